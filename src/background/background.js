@@ -4,14 +4,22 @@
 import { initDatabase } from "./database/db-manager.js";
 import { setupLocalAuth } from "./auth/local-auth-manager.js";
 import { initializePopupMessageHandler } from "./messaging/message-router.js";
-import { DatabaseManagerMedallion } from "./database/db-manager-medallion.js";
-import { MedallionManager } from "./database/medallion-manager.js";
-import { AnalyticsProcessor } from "./database/analytics-processor.js";
-import { ConfigSchemaManager } from "./database/config-schema-manager.js";
+import { connectDatabaseEngine } from "./database/db-engine-client.js";
+import { setupNotifications } from "./notifications/notification-manager.js";
 import { RequestCaptureIntegration } from "./capture/request-capture-integration.js";
 import { migrateLegacyToMedallion } from "./database/medallion-migration.js";
+import collectionScheduler, {
+  SCHEDULER_ALARM_NAME,
+} from "./capture/collection-scheduler.js";
+import jobScheduler, {
+  JOB_ALARM_NAME,
+  getNextMidnight,
+} from "./scheduler/job-scheduler.js";
 import { runtime, downloads, alarms } from "./compat/browser-compat.js";
 import settingsManager from "../lib/shared-components/settings-manager.js";
+import secretVariables from "./security/secret-variables.js";
+import requestRulesManager from "./rules/request-rules-manager.js";
+import faultInjectionManager from "./rules/fault-injection-manager.js";
 
 class IntegratedExtensionInitializer {
   constructor() {
@@ -20,10 +28,9 @@ class IntegratedExtensionInitializer {
     this.localAuth = null;
     this.configManager = null;
     this.medallionManager = null;
-    this.analyticsProcessor = null;
+    this.notifications = null;
     this.requestCapture = null;
     this.eventBus = this.createEventBus();
-    this.scheduledTasks = [];
     this.initialized = false; // Prevent multiple initializations
   }
 
@@ -74,17 +81,32 @@ class IntegratedExtensionInitializer {
       // Step 4: Initialize medallion manager
       await this.initializeMedallionManager();
 
-      // Step 5: Initialize analytics processor
-      await this.initializeAnalyticsProcessor();
-
       // Step 7: Initialize request capture
       await this.initializeRequestCapture();
 
       // Step 8: Initialize message handlers
       this.initializeMessageHandlers();
 
-      // Step 9: Schedule periodic tasks
-      this.schedulePeriodicTasks();
+      // Step 9: Register background jobs
+      this.registerBackgroundJobs();
+
+      // Step 10: Set up secret variable encryption (used by runners)
+      await this.initializeSecretVariables();
+
+      // Step 11: Start scheduled collection runs
+      this.initializeCollectionScheduler();
+
+      // Step 12: Start background jobs
+      await this.initializeJobScheduler();
+
+      // Step 13: Show notifications for alerts fired by the database engine
+      this.initializeAlertNotifications();
+
+      // Step 14: Install mock/modify request rules
+      await this.initializeRequestRules();
+
+      // Step 15: Reinstall active fault injection profiles
+      await this.initializeFaultInjection();
 
       this.initialized = true; // Mark as initialized
       console.log(
@@ -103,8 +125,9 @@ class IntegratedExtensionInitializer {
 
     try {
       // Step 1: Initialize medallion database FIRST
-      this.medallionDb = new DatabaseManagerMedallion();
-      await this.medallionDb.initialize(null, null, this.eventBus);
+      // The engine runs in a worker; a restarted service worker reconnects
+      // to the already loaded database
+      this.medallionDb = await connectDatabaseEngine(this.eventBus);
       console.log("✓ Medallion Database core initialized");
 
       // Step 2: Initialize legacy database
@@ -150,11 +173,8 @@ class IntegratedExtensionInitializer {
   async initializeConfigManager() {
     console.log("→ Initializing Configuration Manager...");
 
-    this.configManager = new ConfigSchemaManager(
-      this.medallionDb.db,
-      this.eventBus
-    );
-    await this.configManager.initialize();
+    // Initialized by the database engine
+    this.configManager = this.medallionDb.config;
 
     // Set default configurations using the correct method name
     try {
@@ -170,11 +190,8 @@ class IntegratedExtensionInitializer {
   async initializeMedallionManager() {
     console.log("→ Initializing Medallion Manager...");
 
-    this.medallionManager = new MedallionManager(
-      this.medallionDb.db,
-      this.eventBus
-    );
-    await this.medallionManager.initialize();
+    // Initialized by the database engine
+    this.medallionManager = this.medallionDb.medallion;
 
     // Subscribe to Bronze layer events for automatic processing
     this.eventBus.subscribe("bronze:new_request", async (data) => {
@@ -188,17 +205,6 @@ class IntegratedExtensionInitializer {
     console.log("✓ Medallion Manager initialized");
   }
 
-  async initializeAnalyticsProcessor() {
-    console.log("→ Initializing Analytics Processor...");
-
-    this.analyticsProcessor = new AnalyticsProcessor(
-      this.medallionDb.db,
-      this.eventBus
-    );
-
-    console.log("✓ Analytics Processor initialized");
-  }
-
   async initializeRequestCapture() {
     console.log("→ Initializing Request Capture...");
 
@@ -222,6 +228,9 @@ class IntegratedExtensionInitializer {
       },
       trackOnlyConfiguredSites:
         settings.capture?.trackOnlyConfiguredSites ?? true,
+      bodyCapture: settings.capture?.bodyCapture || {},
+      realtimeCapture: settings.capture?.realtimeCapture || {},
+      graphqlCapture: settings.capture?.graphqlCapture || {},
     };
 
     console.log("Request capture config loaded:", {
@@ -230,8 +239,13 @@ class IntegratedExtensionInitializer {
       includeDomains: config.captureFilters.includeDomains,
       excludeDomains: config.captureFilters.excludeDomains,
       trackOnlyConfiguredSites: config.trackOnlyConfiguredSites,
+      bodyCapture: config.bodyCapture.enabled === true,
     });
 
+    // Redaction runs inside MedallionManager before every Bronze write
+    const redactionConfig = settings.capture?.redaction || {};
+    await this.medallionManager.setRedactionConfig(redactionConfig);
+
     this.requestCapture = new RequestCaptureIntegration(
       this.medallionDb,
       this.eventBus,
@@ -287,13 +301,13 @@ class IntegratedExtensionInitializer {
     try {
       switch (message.action) {
         case "processToSilver": {
-          const count = await this.medallionManager.processBronzeToSilver();
+          const count = await this.medallionManager.processPendingBronze();
           sendResponse({ success: true, processed: count });
           break;
         }
 
         case "configureAutoExport": {
-          await this.setupAutoExport(message.config);
+          this.setupAutoExport(message.config);
           sendResponse({ success: true });
           break;
         }
@@ -310,7 +324,9 @@ class IntegratedExtensionInitializer {
           try {
             // SQL.js doesn't support parameterized queries with ?
             // The query should already have values embedded or we execute as-is
-            const rawResult = this.medallionDb.executeQuery(message.query);
+            const rawResult = await this.medallionDb.executeQuery(
+              message.query
+            );
 
             // Format result like handleQuery does for consistency
             if (!rawResult || rawResult.length === 0) {
@@ -391,7 +407,7 @@ class IntegratedExtensionInitializer {
         case "previewCleanup":
           try {
             const days = message.days || 30;
-            const preview = this.medallionDb.previewCleanup(days);
+            const preview = await this.medallionDb.previewCleanup(days);
             sendResponse({
               success: true,
               ...preview,
@@ -424,6 +440,7 @@ class IntegratedExtensionInitializer {
               size: size,
               records: stats?.totalRequests || 0,
               oldestDate: stats?.oldestDate || null,
+              persistence: stats?.persistence || null,
             });
           } catch (sizeError) {
             sendResponse({ success: false, error: sizeError.message });
@@ -435,7 +452,7 @@ class IntegratedExtensionInitializer {
             const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
             const filename = `ura_backup_${timestamp}.sqlite`;
 
-            const data = this.medallionDb.exportDatabase();
+            const data = await this.medallionDb.exportDatabase();
 
             // Convert to base64 in chunks to avoid stack overflow
             let binary = "";
@@ -496,6 +513,15 @@ class IntegratedExtensionInitializer {
                 });
                 break;
 
+              case "excel":
+                console.log("[Background] Calling exportFilteredData (XLSX)");
+                exportResponse = await this.popupMessageHandler({
+                  action: "exportFilteredData",
+                  format: "excel",
+                  filters: message.filters || {},
+                });
+                break;
+
               case "sqlite":
               default:
                 console.log("[Background] Calling exportToSQLite (default)");
@@ -602,6 +628,7 @@ class IntegratedExtensionInitializer {
 
             // Store web vital - map to insertWebVital expected fields
             const vitalData = {
+              id: message.id,
               url: url,
               metric: metricName,
               value: message.value,
@@ -609,6 +636,7 @@ class IntegratedExtensionInitializer {
               timestamp: message.timestamp || Date.now(),
               viewport_width: message.viewportWidth,
               viewport_height: message.viewportHeight,
+              attribution: message.attribution,
             };
 
             console.log(
@@ -662,10 +690,15 @@ class IntegratedExtensionInitializer {
 
         case "recordResourceTiming": {
           try {
-            const success = await this.medallionManager.insertResourceTiming(
-              message.timing
-            );
-            sendResponse({ success });
+            // Single timing (page load) or a batch (observer / DevTools HAR)
+            const timings = message.timings || [message.timing];
+            let matched = 0;
+            for (const timing of timings) {
+              if (await this.medallionManager.insertResourceTiming(timing)) {
+                matched++;
+              }
+            }
+            sendResponse({ success: matched > 0, matched });
           } catch (timingError) {
             console.error("Resource timing capture error:", timingError);
             sendResponse({ success: false, error: timingError.message });
@@ -673,6 +706,62 @@ class IntegratedExtensionInitializer {
           break;
         }
 
+        case "captureResponseBody": {
+          try {
+            // Response bodies posted by the main-world page interceptor
+            const attached = this.requestCapture
+              ? await this.requestCapture.attachResponseBody(
+                  {
+                    ...message.data,
+                    pageUrl: message.data?.pageUrl || sender.tab?.url,
+                  },
+                  sender.tab?.id
+                )
+              : false;
+            sendResponse({ success: true, attached });
+          } catch (bodyError) {
+            console.error("Response body capture error:", bodyError);
+            sendResponse({ success: false, error: bodyError.message });
+          }
+          break;
+        }
+
+        case "captureGraphQLResult": {
+          try {
+            // GraphQL errors[] summary from the GraphQL interceptor
+            const attached = this.requestCapture
+              ? await this.requestCapture.attachGraphQLResult(
+                  message.data,
+                  sender.tab?.id
+                )
+              : false;
+            sendResponse({ success: true, attached });
+          } catch (graphqlError) {
+            console.error("GraphQL result capture error:", graphqlError);
+            sendResponse({ success: false, error: graphqlError.message });
+          }
+          break;
+        }
+
+        case "captureRealtimeEvents": {
+          try {
+            // WebSocket / EventSource activity from the realtime interceptor
+            const stored = await this.medallionManager.insertRealtimeEvents(
+              message.events || [],
+              {
+                tabId: sender.tab?.id,
+                pageUrl: message.pageUrl || sender.tab?.url,
+                droppedFrames: message.droppedFrames,
+              }
+            );
+            sendResponse({ success: true, stored });
+          } catch (realtimeError) {
+            console.error("Realtime capture error:", realtimeError);
+            sendResponse({ success: false, error: realtimeError.message });
+          }
+          break;
+        }
+
         case "getResourceCompressionStats": {
           try {
             const stats =
@@ -696,210 +785,231 @@ class IntegratedExtensionInitializer {
     }
   }
 
-  schedulePeriodicTasks() {
-    console.log("→ Scheduling Periodic Tasks...");
+  async initializeSecretVariables() {
+    console.log("→ Initializing Secret Variables...");
 
-    // Process Bronze→Silver every 30 seconds (batch processing)
-    const bronzeToSilver = setInterval(async () => {
-      try {
-        const count = await this.medallionManager.processBronzeToSilver();
-        if (count > 0) {
-          console.log(`Processed ${count} Bronze→Silver records`);
-        }
-      } catch (error) {
-        console.error("Bronze→Silver processing failed:", error);
-      }
-    }, 30000); // 30 seconds for better performance
-    this.scheduledTasks.push(bronzeToSilver);
+    try {
+      await secretVariables.initialize(this.eventBus);
+      console.log("✓ Secret Variables initialized");
+    } catch (error) {
+      // Runners still work, secret placeholders are just left unresolved
+      console.error("Secret variables failed to initialize:", error);
+    }
+  }
 
-    // Process Silver→Gold daily using alarms for reliability
-    // Create alarm for daily processing at midnight
-    if (alarms) {
-      alarms.create("dailyGoldProcessing", {
-        when: this.getNextMidnight(),
-        periodInMinutes: 24 * 60, // Daily
-      });
+  async initializeRequestRules() {
+    console.log("→ Initializing Request Rules...");
 
-      alarms.onAlarm.addListener(async (alarm) => {
-        if (alarm.name === "dailyGoldProcessing") {
-          try {
-            await this.medallionManager.processSilverToGold();
-            console.log("Processed Silver→Gold for daily aggregation");
-          } catch (error) {
-            console.error("Silver→Gold processing failed:", error);
-          }
-        } else if (alarm.name === "autoExport") {
-          try {
-            await this.handleAutoExport();
-            console.log("Auto-export completed successfully");
-          } catch (error) {
-            console.error("Auto-export failed:", error);
-          }
-        }
+    try {
+      await requestRulesManager.initialize();
+      console.log("✓ Request Rules initialized");
+    } catch (error) {
+      // Capture keeps working; the rules stay stored for the next start
+      console.error("Request rules failed to initialize:", error);
+    }
+  }
+
+  async initializeFaultInjection() {
+    console.log("→ Initializing Fault Injection...");
+
+    try {
+      await faultInjectionManager.initialize();
+      console.log("✓ Fault Injection initialized");
+    } catch (error) {
+      // Requests go through unfaulted; profiles stay stored
+      console.error("Fault injection failed to initialize:", error);
+    }
+  }
+
+  initializeCollectionScheduler() {
+    console.log("→ Initializing Collection Scheduler...");
+
+    const settings = settingsManager.getSettings();
+    collectionScheduler.setConfig(settings.advanced?.scheduledRuns);
+    settingsManager.addSettingsListener((updated) => {
+      collectionScheduler.setConfig(updated.advanced?.scheduledRuns);
+    });
+
+    // Catch up on missed runs in the background - runs can take a while
+    collectionScheduler.start().catch((error) => {
+      console.error("Collection scheduler failed to start:", error);
+    });
+
+    console.log("✓ Collection Scheduler initialized");
+  }
+
+  // Alert rules are evaluated inside the database engine, which publishes
+  // "alert:triggered" back onto this event bus
+  initializeAlertNotifications() {
+    console.log("→ Initializing Alert Notifications...");
+
+    const settings = settingsManager.getSettings();
+    this.notifications = setupNotifications(
+      {
+        enabled: settings.general?.showNotifications ?? true,
+        notifyOnAlert: true,
+        autoClose: false,
+      },
+      this.eventBus
+    );
+    settingsManager.addSettingsListener((updated) => {
+      this.notifications.updateNotificationConfig({
+        enabled: updated.general?.showNotifications ?? true,
       });
-    } else {
-      // Fallback to interval-based check
-      const dailyGold = setInterval(async () => {
-        try {
-          const now = new Date();
-          const hour = now.getHours();
-          const minute = now.getMinutes();
-          // Process between midnight and 1am
-          if (hour === 0 && minute < 30) {
-            await this.medallionManager.processSilverToGold();
-            console.log("Processed Silver→Gold for daily aggregation");
-          }
-        } catch (error) {
-          console.error("Silver→Gold processing failed:", error);
+    });
+
+    console.log("✓ Alert Notifications initialized");
+  }
+
+  registerBackgroundJobs() {
+    console.log("→ Registering Background Jobs...");
+
+    // Requests normally reach Silver as they are captured; this picks up
+    // the ones left behind when the service worker was suspended
+    jobScheduler.register("bronzeToSilver", {
+      label: "Bronze → Silver processing",
+      intervalMs: 30 * 1000,
+      timeoutMs: 2 * 60 * 1000,
+      run: async () => {
+        const count = await this.medallionManager.processPendingBronze();
+        if (count > 0) {
+          console.log(`Processed ${count} Bronze→Silver records`);
         }
-      }, 30 * 60 * 1000); // Check every 30 minutes
-      this.scheduledTasks.push(dailyGold);
-    }
+      },
+    });
 
-    console.log("✓ Periodic Tasks scheduled");
-    console.log("  - Bronze→Silver: every 30 seconds");
-    console.log("  - Silver→Gold: daily at midnight (chrome.alarms)");
-    console.log("  - Auto-Export: configured via settings");
+    // Rolls up every day since the last run, so missed days catch up
+    jobScheduler.register("silverToGold", {
+      label: "Silver → Gold daily rollup",
+      intervalMs: 24 * 60 * 60 * 1000,
+      getNextRunAt: getNextMidnight,
+      run: async () => {
+        const { days } = await this.medallionManager.processSilverToGold();
+        console.log(`Processed Silver→Gold for ${days.length} day(s)`);
+      },
+    });
+
+    console.log("✓ Background Jobs registered");
   }
 
-  async handleAutoExport() {
+  async initializeJobScheduler() {
+    console.log("→ Initializing Job Scheduler...");
+
+    // Alarms outlive extension updates; these were replaced by jobs
+    if (alarms) {
+      await alarms.clear("dailyGoldProcessing");
+      await alarms.clear("autoExport");
+    }
+
     try {
-      // Load auto-export configuration from DB
       const response = await this.popupMessageHandler({
         action: "getSetting",
         category: "export",
         key: "autoExport",
       });
+      this.setupAutoExport(response?.value);
+    } catch (error) {
+      console.warn("[Auto-Export] Failed to load configuration:", error);
+    }
 
-      if (!response || !response.success || !response.value) {
-        console.log("[Auto-Export] No auto-export configuration found");
-        return;
-      }
+    // Overdue jobs can take a while - don't hold up initialization
+    jobScheduler.start(this.medallionDb.job).catch((error) => {
+      console.error("Job scheduler failed to start:", error);
+    });
 
-      const autoExportConfig = response.value;
+    console.log("✓ Job Scheduler initialized");
+  }
 
-      if (!autoExportConfig.enabled) {
-        console.log("[Auto-Export] Auto-export is disabled");
-        return;
-      }
+  async handleAutoExport() {
+    // Load auto-export configuration from DB
+    const response = await this.popupMessageHandler({
+      action: "getSetting",
+      category: "export",
+      key: "autoExport",
+    });
 
-      console.log(
-        "[Auto-Export] Starting auto-export with config:",
-        autoExportConfig
-      );
+    if (!response || !response.success || !response.value) {
+      console.log("[Auto-Export] No auto-export configuration found");
+      return;
+    }
 
-      // Determine export format (default to SQLite)
-      const format = autoExportConfig.format || "sqlite";
-      let exportResponse;
+    const autoExportConfig = response.value;
 
-      // Execute export based on format
-      switch (format) {
-        case "sqlite":
-          exportResponse = await this.popupMessageHandler({
-            action: "exportToSQLite",
-            options: autoExportConfig.options || {},
-          });
-          break;
-        case "json":
-          exportResponse = await this.popupMessageHandler({
-            action: "exportToJSON",
-            options: autoExportConfig.options || {},
-          });
-          break;
-        case "csv":
-          exportResponse = await this.popupMessageHandler({
-            action: "exportToCSV",
-            options: autoExportConfig.options || {},
-          });
-          break;
-        default:
-          console.error("[Auto-Export] Unknown format:", format);
-          return;
-      }
+    if (!autoExportConfig.enabled) {
+      console.log("[Auto-Export] Auto-export is disabled");
+      return;
+    }
 
-      if (exportResponse && exportResponse.success) {
-        console.log(
-          `[Auto-Export] Export completed: ${exportResponse.filename}`
-        );
-
-        // Update last export time
-        await this.popupMessageHandler({
-          action: "saveSetting",
-          category: "export",
-          key: "lastAutoExport",
-          value: Date.now(),
-        });
-
-        // TODO: Handle backup rotation if maxBackups is set
-        // TODO: Trigger download or save to configured location
-      } else {
-        console.error("[Auto-Export] Export failed:", exportResponse?.error);
-      }
-    } catch (error) {
-      console.error("[Auto-Export] Error during auto-export:", error);
+    console.log(
+      "[Auto-Export] Starting auto-export with config:",
+      autoExportConfig
+    );
+
+    // Determine export format (default to SQLite)
+    const format = autoExportConfig.format || "sqlite";
+    const actions = {
+      sqlite: "exportToSQLite",
+      json: "exportToJSON",
+      csv: "exportToCSV",
+    };
+    if (!actions[format]) {
+      throw new Error(`Unknown auto-export format: ${format}`);
     }
-  }
 
-  async setupAutoExport(config) {
-    try {
-      if (!config || !config.enabled) {
-        // Clear existing auto-export alarm
-        if (alarms) {
-          await alarms.clear("autoExport");
-        }
-        console.log("[Auto-Export] Auto-export disabled or no config");
-        return;
-      }
+    const exportResponse = await this.popupMessageHandler({
+      action: actions[format],
+      options: autoExportConfig.options || {},
+    });
 
-      // Map frequency to minutes
-      const frequencyMap = {
-        daily: 24 * 60, // 1440 minutes
-        weekly: 7 * 24 * 60, // 10080 minutes
-        monthly: 30 * 24 * 60, // 43200 minutes
-      };
-
-      const periodInMinutes = frequencyMap[config.frequency] || 24 * 60;
-
-      if (alarms) {
-        // Clear existing alarm
-        await alarms.clear("autoExport");
-
-        // Create new alarm
-        await alarms.create("autoExport", {
-          when: Date.now() + 60000, // Start in 1 minute
-          periodInMinutes: periodInMinutes,
-        });
-
-        console.log(
-          `[Auto-Export] Scheduled with frequency: ${config.frequency} (${periodInMinutes} minutes)`
-        );
-      } else {
-        console.warn(
-          "[Auto-Export] chrome.alarms not available, auto-export won't work"
-        );
-      }
-    } catch (error) {
-      console.error("[Auto-Export] Failed to setup auto-export:", error);
+    if (!exportResponse || !exportResponse.success) {
+      throw new Error(exportResponse?.error || "Export failed");
     }
+
+    console.log(`[Auto-Export] Export completed: ${exportResponse.filename}`);
+
+    // Update last export time
+    await this.popupMessageHandler({
+      action: "saveSetting",
+      category: "export",
+      key: "lastAutoExport",
+      value: Date.now(),
+    });
+
+    // TODO: Handle backup rotation if maxBackups is set
+    // TODO: Trigger download or save to configured location
   }
 
-  getNextMidnight() {
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow.getTime();
+  setupAutoExport(config) {
+    // Map frequency to milliseconds
+    const frequencyMap = {
+      daily: 24 * 60 * 60 * 1000,
+      weekly: 7 * 24 * 60 * 60 * 1000,
+      monthly: 30 * 24 * 60 * 60 * 1000,
+    };
+    const intervalMs = frequencyMap[config?.frequency] || frequencyMap.daily;
+
+    jobScheduler.register("autoExport", {
+      label: "Auto-export",
+      intervalMs,
+      enabled: Boolean(config?.enabled),
+      run: () => this.handleAutoExport(),
+    });
+    // The export settings own this job's on/off state
+    jobScheduler.setEnabled("autoExport", Boolean(config?.enabled));
+
+    console.log(
+      config?.enabled
+        ? `[Auto-Export] Scheduled with frequency: ${config.frequency} (${intervalMs} ms)`
+        : "[Auto-Export] Auto-export disabled or no config"
+    );
   }
 
   async cleanup() {
-    console.log("Cleaning up scheduled tasks...");
-    this.scheduledTasks.forEach((task) => clearInterval(task));
-    this.scheduledTasks = [];
-
-    // Clear alarms
-    if (alarms) {
-      alarms.clear("dailyGoldProcessing");
-      alarms.clear("autoExport");
+    // Flush journaled writes first; the worker may be gone shortly after
+    try {
+      await this.medallionDb?.saveDatabase();
+    } catch (error) {
+      console.error("Failed to flush database journal:", error);
     }
 
     // Save database before cleanup
@@ -966,6 +1076,24 @@ runtime.onStartup.addListener(async () => {
 // Initialize immediately if service worker is already running (only once)
 safeInitialize();
 
+// Scheduled collection runs and background jobs - registered synchronously
+// so an alarm that wakes the suspended service worker is still delivered
+if (alarms) {
+  alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== SCHEDULER_ALARM_NAME && alarm.name !== JOB_ALARM_NAME) {
+      return;
+    }
+    await safeInitialize();
+    if (!getInitializer().initialized) return;
+
+    if (alarm.name === SCHEDULER_ALARM_NAME) {
+      await collectionScheduler.handleAlarm(alarm);
+    } else {
+      await jobScheduler.handleAlarm(alarm);
+    }
+  });
+}
+
 // Cleanup on suspension (service worker)
 if (runtime.onSuspend) {
   runtime.onSuspend.addListener(() => {
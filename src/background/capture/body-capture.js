@@ -0,0 +1,180 @@
+// Body capture helpers
+// Decides which request/response bodies are persisted to bronze_requests
+// and normalizes them into size-limited strings.
+
+export const DEFAULT_BODY_CAPTURE_CONFIG = {
+  enabled: false,
+  captureRequestBody: true,
+  captureResponseBody: true,
+  maxBodySize: 256 * 1024, // bytes
+  domains: [], // Opt-in: bodies are only kept for these page domains
+  contentTypes: [
+    "application/json",
+    "application/*+json",
+    "application/x-www-form-urlencoded",
+    "application/xml",
+    "text/*",
+  ],
+};
+
+/**
+ * Merge a partial body capture config with the defaults
+ * @param {Object} config - bodyCapture section from capture settings
+ * @returns {Object} Complete body capture config
+ */
+export function normalizeBodyCaptureConfig(config = {}) {
+  return {
+    ...DEFAULT_BODY_CAPTURE_CONFIG,
+    ...(config || {}),
+  };
+}
+
+/**
+ * Find a header value in a webRequest header array or a plain object
+ * @param {Array|Object} headers - Headers as [{name, value}] or {name: value}
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string|null} Header value
+ */
+export function getHeaderValue(headers, name) {
+  if (!headers) return null;
+  const target = name.toLowerCase();
+
+  if (Array.isArray(headers)) {
+    const header = headers.find((h) => h?.name?.toLowerCase() === target);
+    return header ? header.value ?? null : null;
+  }
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === target) return value;
+  }
+  return null;
+}
+
+/**
+ * Decode webRequest onBeforeRequest `requestBody` into a string
+ * @param {Object} requestBody - details.requestBody ({formData} | {raw} | {error})
+ * @returns {string|null} Decoded body
+ */
+export function decodeRequestBody(requestBody) {
+  if (!requestBody || requestBody.error) return null;
+
+  // Browser already parsed multipart/urlencoded forms
+  if (requestBody.formData) {
+    const params = new URLSearchParams();
+    for (const [key, values] of Object.entries(requestBody.formData)) {
+      (Array.isArray(values) ? values : [values]).forEach((value) =>
+        params.append(key, value)
+      );
+    }
+    return params.toString();
+  }
+
+  if (Array.isArray(requestBody.raw)) {
+    const decoder = new TextDecoder("utf-8", { fatal: false });
+    let body = "";
+    for (const part of requestBody.raw) {
+      if (part.bytes) {
+        body += decoder.decode(part.bytes, { stream: true });
+      } else if (part.file) {
+        body += `[file: ${part.file}]`;
+      }
+    }
+    body += decoder.decode();
+    return body || null;
+  }
+
+  return null;
+}
+
+/**
+ * Match a domain against an opt-in pattern (exact or "*.example.com")
+ * @param {string} domain - Page domain
+ * @param {string} pattern - Configured domain pattern
+ * @returns {boolean}
+ */
+export function matchesBodyDomain(domain, pattern) {
+  if (!domain || !pattern) return false;
+  const normalized = pattern.trim().toLowerCase();
+  const host = domain.toLowerCase();
+
+  if (normalized === "*") return true;
+  if (normalized.startsWith("*.")) {
+    const base = normalized.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === normalized;
+}
+
+/**
+ * Match a Content-Type header against a pattern ("text/*", "application/*+json")
+ * @param {string} contentType - Content-Type header value
+ * @param {string} pattern - Configured content type pattern
+ * @returns {boolean}
+ */
+export function matchesContentType(contentType, pattern) {
+  if (!contentType || !pattern) return false;
+  const mime = contentType.split(";")[0].trim().toLowerCase();
+  const normalized = pattern.trim().toLowerCase();
+
+  if (normalized === "*" || normalized === "*/*") return true;
+  if (!normalized.includes("*")) return mime === normalized;
+
+  const regex = new RegExp(
+    "^" +
+      normalized
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, "\\$&"))
+        .join("[^;]*") +
+      "$"
+  );
+  return regex.test(mime);
+}
+
+/**
+ * Check whether a body should be persisted for a domain and content type
+ * @param {Object} config - Normalized body capture config
+ * @param {string} domain - Page domain the request belongs to
+ * @param {string|null} contentType - Content-Type of the body
+ * @returns {boolean}
+ */
+export function shouldCaptureBody(config, domain, contentType) {
+  if (!config?.enabled) return false;
+
+  const domains = config.domains || [];
+  if (!domains.some((pattern) => matchesBodyDomain(domain, pattern))) {
+    return false;
+  }
+
+  // Bodies without a content type (e.g. text/plain fetch) are kept only
+  // when every type is allowed
+  const contentTypes = config.contentTypes || [];
+  if (contentTypes.length === 0) return true;
+  if (!contentType) {
+    return contentTypes.some((p) => p === "*" || p === "*/*");
+  }
+  return contentTypes.some((pattern) =>
+    matchesContentType(contentType, pattern)
+  );
+}
+
+/**
+ * Limit a body to maxBodySize bytes (0 = no limit)
+ * @param {string|null} body - Body text
+ * @param {number} maxBodySize - Maximum size in bytes
+ * @returns {string|null} Possibly truncated body
+ */
+export function truncateBody(body, maxBodySize) {
+  if (body === undefined || body === null) return null;
+  const text = String(body);
+  if (!maxBodySize || maxBodySize <= 0) return text;
+
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length <= maxBodySize) return text;
+
+  const truncated = new TextDecoder("utf-8", { fatal: false }).decode(
+    bytes.slice(0, maxBodySize)
+  );
+  return `${truncated.replace(/\uFFFD$/, "")}\n…[truncated ${
+    bytes.length - maxBodySize
+  } bytes]`;
+}
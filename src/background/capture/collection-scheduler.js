@@ -0,0 +1,223 @@
+// Collection Scheduler - Fire scheduled collection runs with chrome.alarms
+// Alarms survive service worker suspension; runs missed while the browser
+// was closed are caught up according to the configured missed-run policy
+
+import { alarms } from "../compat/browser-compat.js";
+import runnerCollections from "./runner-collections.js";
+import requestRunner from "./request-runner.js";
+
+export const SCHEDULER_ALARM_NAME = "scheduledCollectionRuns";
+
+/**
+ * Missed-run policies:
+ * - runOnce: run each missed schedule once, then continue on its normal cadence
+ * - skip:    drop missed runs and wait for the next scheduled slot
+ */
+export const MISSED_RUN_POLICIES = ["runOnce", "skip"];
+
+export const DEFAULT_SCHEDULER_CONFIG = {
+  missedRunPolicy: "runOnce",
+  maxCatchUpAge: 24 * 60 * 60 * 1000, // Older missed runs are skipped (0 = no limit)
+};
+
+// A due run fired later than this is treated as missed (alarms may be
+// delayed slightly while the service worker wakes up)
+const MISSED_RUN_GRACE_MS = 5 * 60 * 1000;
+
+// Chrome clamps alarms to a 30 second minimum delay
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+/**
+ * Decide what to do with a due schedule
+ * @param {Object} schedule - Scheduled run ({nextRunAt, ...})
+ * @param {Object} config - Scheduler config
+ * @param {number} now - Current time (ms)
+ * @returns {string} "run" or "skip"
+ */
+export function resolveDueRunAction(schedule, config, now = Date.now()) {
+  const lateness = now - schedule.nextRunAt;
+  if (lateness <= MISSED_RUN_GRACE_MS) {
+    return "run";
+  }
+
+  if (config.missedRunPolicy === "skip") {
+    return "skip";
+  }
+
+  if (config.maxCatchUpAge > 0 && lateness > config.maxCatchUpAge) {
+    return "skip";
+  }
+
+  return "run";
+}
+
+class CollectionScheduler {
+  constructor() {
+    this.config = { ...DEFAULT_SCHEDULER_CONFIG };
+    this.activeCheck = null;
+  }
+
+  /**
+   * Apply scheduler settings (advanced.scheduledRuns)
+   */
+  setConfig(config = {}) {
+    const merged = { ...DEFAULT_SCHEDULER_CONFIG, ...(config || {}) };
+    if (!MISSED_RUN_POLICIES.includes(merged.missedRunPolicy)) {
+      merged.missedRunPolicy = DEFAULT_SCHEDULER_CONFIG.missedRunPolicy;
+    }
+    this.config = merged;
+  }
+
+  /**
+   * Catch up on missed runs and arm the alarm for the next one
+   * Called once the database and message router are ready
+   */
+  async start() {
+    if (!alarms) {
+      console.warn(
+        "[Scheduler] chrome.alarms not available, scheduled runs won't fire"
+      );
+      return;
+    }
+
+    console.log(
+      `[Scheduler] Starting (missed runs: ${this.config.missedRunPolicy})`
+    );
+    await this.checkDueRuns();
+  }
+
+  /**
+   * Handle a fired alarm
+   * @returns {Promise<boolean>} true if the alarm belonged to the scheduler
+   */
+  async handleAlarm(alarm) {
+    if (!alarm || alarm.name !== SCHEDULER_ALARM_NAME) {
+      return false;
+    }
+
+    await this.checkDueRuns();
+    return true;
+  }
+
+  /**
+   * Execute due schedules, then re-arm the alarm
+   * Concurrent callers (startup + alarm) share the same pass
+   */
+  checkDueRuns() {
+    if (!this.activeCheck) {
+      this.activeCheck = this.processDueRuns().finally(() => {
+        this.activeCheck = null;
+      });
+    }
+    return this.activeCheck;
+  }
+
+  async processDueRuns() {
+    try {
+      const dueRuns = await runnerCollections.checkScheduledRuns();
+      const now = Date.now();
+
+      for (const schedule of dueRuns) {
+        if (resolveDueRunAction(schedule, this.config, now) === "skip") {
+          await runnerCollections.skipScheduledRun(schedule.id);
+          continue;
+        }
+
+        const status = await this.runSchedule(schedule);
+        await runnerCollections.markScheduledRunExecuted(schedule.id, status);
+      }
+    } catch (error) {
+      console.error("[Scheduler] Failed to process scheduled runs:", error);
+    } finally {
+      await this.armAlarm();
+    }
+  }
+
+  /**
+   * Run every runner in a scheduled collection
+   * @returns {Promise<string>} "success", "partial" or "failed"
+   */
+  async runSchedule(schedule) {
+    console.log(
+      `[Scheduler] Running scheduled collection: ${schedule.collectionName} (${schedule.id})`
+    );
+
+    try {
+      const collection = await runnerCollections.getCollection(
+        schedule.collectionId
+      );
+      const runners = collection?.runners || [];
+
+      if (runners.length === 0) {
+        console.warn(
+          `[Scheduler] Collection has no runners: ${schedule.collectionId}`
+        );
+        return "failed";
+      }
+
+      // A collection environment overrides each runner's pinned environment
+      const options = collection.environment_id
+        ? { environmentId: collection.environment_id }
+        : {};
+
+      let failedRunners = 0;
+      for (const runner of runners) {
+        try {
+          const run = await requestRunner.runRunner(
+            runner.id,
+            undefined,
+            options
+          );
+          if (run.failureCount > 0) {
+            failedRunners++;
+          }
+        } catch (error) {
+          console.error(`[Scheduler] Runner failed: ${runner.id}`, error);
+          failedRunners++;
+        }
+      }
+
+      if (failedRunners === 0) return "success";
+      return failedRunners === runners.length ? "failed" : "partial";
+    } catch (error) {
+      console.error(`[Scheduler] Scheduled run failed: ${schedule.id}`, error);
+      return "failed";
+    }
+  }
+
+  /**
+   * Point the alarm at the earliest enabled schedule (or clear it)
+   * Call after schedules are created, updated or deleted
+   */
+  async armAlarm() {
+    if (!alarms) return;
+
+    try {
+      const schedules = await runnerCollections.getScheduledRuns();
+      if (!runnerCollections.initialized) {
+        return; // Database not ready - keep the existing alarm
+      }
+
+      const nextRunAt = schedules
+        .filter((s) => s.enabled && s.nextRunAt)
+        .reduce((earliest, s) => Math.min(earliest, s.nextRunAt), Infinity);
+
+      if (nextRunAt === Infinity) {
+        await alarms.clear(SCHEDULER_ALARM_NAME);
+        return;
+      }
+
+      const when = Math.max(nextRunAt, Date.now() + MIN_ALARM_DELAY_MS);
+      await alarms.create(SCHEDULER_ALARM_NAME, { when });
+      console.log(
+        `[Scheduler] Next scheduled run at ${new Date(when).toISOString()}`
+      );
+    } catch (error) {
+      console.error("[Scheduler] Failed to arm alarm:", error);
+    }
+  }
+}
+
+// Singleton instance
+const collectionScheduler = new CollectionScheduler();
+export default collectionScheduler;
@@ -0,0 +1,78 @@
+// GraphQL capture helpers
+// Turns a captured request into the GraphQL columns of bronze_requests
+// (operation_name, operation_type, graphql_variables) and reads the errors[]
+// summary from response bodies.
+
+import {
+  getGraphQLErrors,
+  parseGraphQLRequest,
+} from "../../lib/utils/graphql.js";
+import { truncateBody } from "./body-capture.js";
+
+export const DEFAULT_GRAPHQL_CAPTURE_CONFIG = {
+  enabled: true, // Operation name/type and errors[] of GraphQL requests
+  captureVariables: false, // Variables are request payload, opt-in like bodies
+  maxVariablesSize: 16 * 1024, // bytes
+};
+
+/**
+ * Merge a partial GraphQL capture config with the defaults
+ * @param {Object} config - graphqlCapture section from capture settings
+ * @returns {Object} Complete GraphQL capture config
+ */
+export function normalizeGraphQLCaptureConfig(config = {}) {
+  return {
+    ...DEFAULT_GRAPHQL_CAPTURE_CONFIG,
+    ...(config || {}),
+  };
+}
+
+/**
+ * Parse the GraphQL operation of a captured request
+ * @param {Object} requestData - Pending request (method, url, requestBody,
+ *   requestContentType)
+ * @param {Object} config - Normalized GraphQL capture config
+ * @returns {Object|null} {operationName, operationType, graphqlVariables},
+ *   or null for requests that aren't GraphQL
+ */
+export function getGraphQLCaptureFields(requestData, config) {
+  if (!config?.enabled || !requestData) return null;
+
+  const operation = parseGraphQLRequest({
+    method: requestData.method,
+    url: requestData.url,
+    body: requestData.requestBody,
+    contentType: requestData.requestContentType,
+  });
+  if (!operation) return null;
+
+  const { variables } = operation;
+  const hasVariables = Array.isArray(variables)
+    ? variables.some((value) => value && Object.keys(value).length > 0)
+    : variables && Object.keys(variables).length > 0;
+
+  return {
+    operationName: operation.operationName,
+    operationType: operation.operationType,
+    graphqlVariables:
+      config.captureVariables && hasVariables
+        ? truncateBody(JSON.stringify(variables), config.maxVariablesSize)
+        : null,
+  };
+}
+
+/**
+ * Read the errors[] summary from a GraphQL response body
+ * @param {string|null} body - Response body
+ * @returns {Object|null} {graphqlErrorCount, graphqlError}, or null when the
+ *   body isn't a (complete) GraphQL response
+ */
+export function getGraphQLResultFields(body) {
+  const errors = getGraphQLErrors(body);
+  if (!errors) return null;
+
+  return {
+    graphqlErrorCount: errors.count,
+    graphqlError: errors.message,
+  };
+}
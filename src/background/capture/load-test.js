@@ -0,0 +1,354 @@
+/**
+ * Load test engine for the request runner ("load" execution mode)
+ *
+ * Virtual users (VUs) each replay the runner's requests in order, over and
+ * over, until the test duration has passed or the iteration budget is used
+ * up. VUs start spread over the ramp-up period, and a shared pacer keeps the
+ * overall request rate at or below the target RPS.
+ *
+ * Results are aggregated into one-second buckets (requests, errors, latency
+ * percentiles, active VUs) plus run totals, so a long test doesn't keep one
+ * result row per request.
+ *
+ * This is a browser-side sanity check, not a load generator: the limits keep
+ * a test from starving the extension (and the browser's connection pool).
+ */
+
+import { ValidationError } from "../errors/error-types.js";
+
+export const LOAD_LIMITS = {
+  maxVirtualUsers: 50,
+  maxRampUpSeconds: 300,
+  maxDurationSeconds: 600,
+  maxIterations: 10000,
+  maxTargetRps: 200,
+};
+
+export const DEFAULT_LOAD_CONFIG = {
+  virtualUsers: 5,
+  rampUpSeconds: 0,
+  durationSeconds: 30,
+  iterations: null,
+  targetRps: 0,
+};
+
+export const LOAD_BUCKET_MS = 1000;
+
+// Progress is published at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Longest single sleep, so cancellation is noticed while waiting
+const MAX_SLEEP_MS = 250;
+
+function toInteger(value, label, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(`${label} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate and normalize a load test configuration
+ * Either iterations (total, across all VUs) or durationSeconds ends the test.
+ * @param {Object|string} input - Config object or JSON
+ * @returns {Object} { virtualUsers, rampUpSeconds, durationSeconds, iterations, targetRps }
+ * @throws {ValidationError} When a value is out of range
+ */
+export function validateLoadConfig(input) {
+  let config = input;
+  if (typeof config === "string") {
+    try {
+      config = JSON.parse(config);
+    } catch (error) {
+      throw new ValidationError("Load test config is not valid JSON");
+    }
+  }
+  config = { ...DEFAULT_LOAD_CONFIG, ...(config || {}) };
+
+  const iterations = config.iterations
+    ? toInteger(config.iterations, "Iterations", 1, LOAD_LIMITS.maxIterations)
+    : null;
+
+  return {
+    virtualUsers: toInteger(
+      config.virtualUsers,
+      "Virtual users",
+      1,
+      LOAD_LIMITS.maxVirtualUsers
+    ),
+    rampUpSeconds: toInteger(
+      config.rampUpSeconds || 0,
+      "Ramp-up",
+      0,
+      LOAD_LIMITS.maxRampUpSeconds
+    ),
+    // The duration still caps an iteration-based test
+    durationSeconds: toInteger(
+      iterations
+        ? config.durationSeconds || LOAD_LIMITS.maxDurationSeconds
+        : config.durationSeconds,
+      "Duration (seconds)",
+      1,
+      LOAD_LIMITS.maxDurationSeconds
+    ),
+    iterations,
+    targetRps: toInteger(
+      config.targetRps || 0,
+      "Target RPS",
+      0,
+      LOAD_LIMITS.maxTargetRps
+    ),
+  };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+function summarizeLatencies(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    min: sorted.length ? sorted[0] : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+    avg: sorted.length ? Math.round(total / sorted.length) : null,
+  };
+}
+
+/**
+ * Aggregates request outcomes into time buckets and run totals
+ */
+export class LoadStats {
+  constructor(startTime, bucketMs = LOAD_BUCKET_MS) {
+    this.startTime = startTime;
+    this.bucketMs = bucketMs;
+    this.buckets = [];
+    this.latencies = [];
+    this.statusCounts = {};
+    this.requests = 0;
+    this.errors = 0;
+  }
+
+  /**
+   * Record one finished request
+   * @param {Object} outcome - { time, latency, ok, status, activeUsers }
+   */
+  record({ time, latency, ok, status, activeUsers }) {
+    const index = Math.max(
+      0,
+      Math.floor((time - this.startTime) / this.bucketMs)
+    );
+    for (let i = this.buckets.length; i <= index; i++) {
+      this.buckets.push({
+        index: i,
+        latencies: [],
+        requests: 0,
+        errors: 0,
+        activeUsers: 0,
+        summary: null,
+      });
+    }
+
+    const bucket = this.buckets[index];
+    bucket.latencies.push(latency);
+    bucket.requests++;
+    bucket.activeUsers = Math.max(bucket.activeUsers, activeUsers || 0);
+    bucket.summary = null;
+    if (!ok) {
+      bucket.errors++;
+      this.errors++;
+    }
+
+    this.latencies.push(latency);
+    this.requests++;
+    const key = status ? String(status) : "network error";
+    this.statusCounts[key] = (this.statusCounts[key] || 0) + 1;
+  }
+
+  /**
+   * Per-bucket stats (percentiles are cached until the bucket changes)
+   * @returns {Array<Object>} Buckets in time order
+   */
+  getBuckets() {
+    const seconds = this.bucketMs / 1000;
+    return this.buckets.map((bucket) => {
+      if (!bucket.summary) {
+        bucket.summary = {
+          bucketStart: this.startTime + bucket.index * this.bucketMs,
+          offsetSeconds: bucket.index * seconds,
+          requests: bucket.requests,
+          errors: bucket.errors,
+          rps: Math.round((bucket.requests / seconds) * 10) / 10,
+          activeUsers: bucket.activeUsers,
+          ...summarizeLatencies(bucket.latencies),
+        };
+      }
+      return bucket.summary;
+    });
+  }
+
+  /**
+   * Run totals
+   * @param {number} now - Current time, for throughput
+   * @returns {Object} Totals
+   */
+  getTotals(now) {
+    const elapsedSeconds = Math.max((now - this.startTime) / 1000, 0.001);
+    return {
+      requests: this.requests,
+      errors: this.errors,
+      errorRate: this.requests
+        ? Math.round((this.errors / this.requests) * 10000) / 100
+        : 0,
+      throughput: Math.round((this.requests / elapsedSeconds) * 10) / 10,
+      statusCounts: { ...this.statusCounts },
+      ...summarizeLatencies(this.latencies),
+    };
+  }
+
+  snapshot(now) {
+    return { totals: this.getTotals(now), buckets: this.getBuckets() };
+  }
+}
+
+/**
+ * Spaces request starts so all VUs together stay at or below targetRps
+ */
+function createPacer(targetRps, now, sleep) {
+  const interval = targetRps > 0 ? 1000 / targetRps : 0;
+  let nextSlot = 0;
+
+  return async function acquire() {
+    if (!interval) return;
+    const slot = Math.max(now(), nextSlot);
+    nextSlot = slot + interval;
+    const wait = slot - now();
+    if (wait > 0) await sleep(wait);
+  };
+}
+
+/**
+ * Run a load test
+ * @param {Object} options
+ * @param {Object} options.config - Validated load config
+ * @param {Array} options.requests - Requests making up one iteration
+ * @param {Function} options.sendRequest - async (request, vuIndex) =>
+ *   { ok, status, latency }; may throw for network errors
+ * @param {Function} [options.isCancelled] - Returns true to stop the test
+ * @param {Function} [options.onProgress] - Called with progress snapshots
+ * @param {Function} [options.now] - Clock (ms)
+ * @param {Function} [options.sleep] - async (ms) => void
+ * @returns {Promise<Object>} { totals, buckets, iterations, cancelled }
+ */
+export async function runLoadTest({
+  config,
+  requests,
+  sendRequest,
+  isCancelled = () => false,
+  onProgress = null,
+  now = () => Date.now(),
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) {
+  const startTime = now();
+  const endTime = startTime + config.durationSeconds * 1000;
+  const stats = new LoadStats(startTime);
+  const pace = createPacer(config.targetRps, now, sleep);
+
+  let iterationsStarted = 0;
+  let iterationsCompleted = 0;
+  let activeUsers = 0;
+  let lastProgress = startTime;
+
+  const shouldStop = () => isCancelled() || now() >= endTime;
+
+  const progress = () => ({
+    ...stats.snapshot(now()),
+    activeUsers,
+    iterations: iterationsCompleted,
+    elapsedMs: now() - startTime,
+  });
+
+  const publish = (force = false) => {
+    if (!onProgress) return;
+    if (force || now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = now();
+      onProgress(progress());
+    }
+  };
+
+  // Sleep in short steps so a cancelled test doesn't wait out the ramp-up
+  const waitUntil = async (time) => {
+    while (!shouldStop() && now() < time) {
+      await sleep(Math.min(MAX_SLEEP_MS, time - now()));
+    }
+  };
+
+  const virtualUser = async (vuIndex) => {
+    await waitUntil(
+      startTime + (config.rampUpSeconds * 1000 * vuIndex) / config.virtualUsers
+    );
+
+    activeUsers++;
+    try {
+      while (!shouldStop()) {
+        if (config.iterations && iterationsStarted >= config.iterations) {
+          break;
+        }
+        iterationsStarted++;
+
+        for (const request of requests) {
+          await pace();
+          if (shouldStop()) return;
+
+          const started = now();
+          let outcome;
+          try {
+            outcome = await sendRequest(request, vuIndex);
+          } catch (error) {
+            // Requests aborted by a cancel aren't errors of the target
+            if (isCancelled()) return;
+            outcome = { ok: false, status: 0, error: error.message };
+          }
+
+          stats.record({
+            time: now(),
+            latency: outcome.latency ?? now() - started,
+            ok: outcome.ok,
+            status: outcome.status,
+            activeUsers,
+          });
+          publish();
+        }
+        iterationsCompleted++;
+      }
+    } finally {
+      activeUsers--;
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: config.virtualUsers }, (_, index) =>
+      virtualUser(index)
+    )
+  );
+
+  const result = {
+    ...progress(),
+    cancelled: isCancelled(),
+  };
+  if (onProgress) onProgress(result);
+  return result;
+}
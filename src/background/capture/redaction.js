@@ -0,0 +1,447 @@
+// Sensitive data redaction
+// Masks credentials and secrets in captured requests before they are
+// persisted to the Bronze layer (URLs, headers, request/response bodies).
+
+export const DEFAULT_REDACTION_MASK = "[REDACTED]";
+
+/**
+ * Rule types:
+ * - header:   regex on header name, masks the whole value
+ * - query:    regex on query/form parameter name, masks the value
+ * - field:    regex on JSON property name, masks the value
+ * - jsonPath: JSONPath expression ($.a.b, $..password, $.items[*].token)
+ * - regex:    free-text regex, masks matches in URLs, header values and bodies
+ */
+export const REDACTION_RULE_TYPES = [
+  "header",
+  "query",
+  "field",
+  "jsonPath",
+  "regex",
+];
+
+export const BUILT_IN_REDACTION_RULES = [
+  {
+    id: "builtin-authorization",
+    name: "Authorization headers",
+    type: "header",
+    pattern: "authorization|proxy-authorization",
+  },
+  {
+    id: "builtin-cookies",
+    name: "Cookie and Set-Cookie headers",
+    type: "header",
+    pattern: "cookie|set-cookie",
+  },
+  {
+    id: "builtin-api-key-headers",
+    name: "API key / token headers",
+    type: "header",
+    pattern: "x-api-key|api-key|x-auth-token|x-access-token|x-csrf-token",
+  },
+  {
+    id: "builtin-api-key-params",
+    name: "API key query parameters",
+    type: "query",
+    pattern:
+      "api_?key|api-key|key|access_token|auth_token|token|client_secret|password|sig|signature",
+  },
+  {
+    id: "builtin-secret-fields",
+    name: "Secret JSON fields",
+    type: "field",
+    pattern:
+      "password|passwd|secret|client_secret|api_?key|token|access_token|refresh_token|id_token",
+  },
+  {
+    id: "builtin-bearer-tokens",
+    name: "Bearer tokens in text",
+    type: "regex",
+    pattern: "Bearer\\s+[A-Za-z0-9\\-._~+/]+=*",
+  },
+  {
+    id: "builtin-jwt",
+    name: "JSON Web Tokens in text",
+    type: "regex",
+    pattern: "eyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+",
+  },
+].map((rule) => ({ ...rule, builtIn: true }));
+
+export const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  mask: DEFAULT_REDACTION_MASK,
+  disabledBuiltInRules: [], // ids of built-in rules switched off
+  customRules: [], // [{id, name, type, pattern, enabled}]
+};
+
+/**
+ * Merge a partial redaction config with the defaults
+ * @param {Object} config - redaction section from capture settings
+ * @returns {Object} Complete redaction config
+ */
+export function normalizeRedactionConfig(config = {}) {
+  const merged = { ...DEFAULT_REDACTION_CONFIG, ...(config || {}) };
+  return {
+    ...merged,
+    mask: merged.mask || DEFAULT_REDACTION_MASK,
+    disabledBuiltInRules: Array.isArray(merged.disabledBuiltInRules)
+      ? merged.disabledBuiltInRules
+      : [],
+    customRules: Array.isArray(merged.customRules) ? merged.customRules : [],
+  };
+}
+
+/**
+ * Get the rules that apply for a config (enabled built-ins + custom rules)
+ * @param {Object} config - Normalized redaction config
+ * @returns {Array} Active rules
+ */
+export function getActiveRedactionRules(config) {
+  const builtIn = BUILT_IN_REDACTION_RULES.filter(
+    (rule) => !config.disabledBuiltInRules.includes(rule.id)
+  );
+  const custom = config.customRules.filter(
+    (rule) => rule && rule.enabled !== false && rule.pattern
+  );
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Validate a single rule definition
+ * @param {Object} rule - Rule to validate
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateRedactionRule(rule) {
+  if (!rule || !REDACTION_RULE_TYPES.includes(rule.type)) {
+    return `Unknown rule type: ${rule?.type}`;
+  }
+  if (!rule.pattern || !String(rule.pattern).trim()) {
+    return "Pattern is required";
+  }
+  if (rule.type === "jsonPath") {
+    return parseJsonPath(rule.pattern).length > 0
+      ? null
+      : `Invalid JSONPath: ${rule.pattern}`;
+  }
+  try {
+    new RegExp(rule.pattern);
+    return null;
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+}
+
+/**
+ * Parse a JSONPath subset into tokens
+ * Supports $, .name, ..name (recursive), [*], [0], ['name']. A bare name is
+ * treated as a recursive match ("password" === "$..password").
+ * @param {string} path - JSONPath expression
+ * @returns {Array} Tokens ({key} | {wildcard} | {deep})
+ */
+export function parseJsonPath(path) {
+  let expression = String(path || "").trim();
+  if (!expression) return [];
+  if (!expression.startsWith("$")) {
+    expression = `$..${expression}`;
+  }
+
+  const tokens = [];
+  const tokenRegex = /\.\.|\.|\[\*\]|\[(\d+)\]|\[['"]([^'"]+)['"]\]|([^.[\]]+)/g;
+  let match;
+  while ((match = tokenRegex.exec(expression.slice(1))) !== null) {
+    const [token, index, quoted, name] = match;
+    if (token === "..") {
+      tokens.push({ deep: true });
+    } else if (token === ".") {
+      continue;
+    } else if (token === "[*]" || name === "*") {
+      tokens.push({ wildcard: true });
+    } else if (index !== undefined) {
+      tokens.push({ key: index });
+    } else {
+      tokens.push({ key: quoted ?? name });
+    }
+  }
+  return tokens;
+}
+
+// Match a concrete property path (array of keys) against JSONPath tokens
+function matchJsonPath(tokens, path, ti = 0, pi = 0) {
+  if (ti === tokens.length) return pi === path.length;
+  const token = tokens[ti];
+
+  if (token.deep) {
+    for (let k = pi; k <= path.length; k++) {
+      if (matchJsonPath(tokens, path, ti + 1, k)) return true;
+    }
+    return false;
+  }
+  if (pi >= path.length) return false;
+  if (token.wildcard || token.key === String(path[pi])) {
+    return matchJsonPath(tokens, path, ti + 1, pi + 1);
+  }
+  return false;
+}
+
+// Anchored, case-insensitive name matcher
+function compileNameRegex(pattern) {
+  return new RegExp(`^(?:${pattern})$`, "i");
+}
+
+/**
+ * Compile active rules into matchers
+ * @param {Object} config - Normalized redaction config
+ * @returns {Object} Compiled matchers
+ */
+function compileRedactionRules(config) {
+  const compiled = {
+    headers: [],
+    query: [],
+    fields: [],
+    jsonPaths: [],
+    text: [],
+  };
+
+  for (const rule of getActiveRedactionRules(config)) {
+    try {
+      switch (rule.type) {
+        case "header":
+          compiled.headers.push(compileNameRegex(rule.pattern));
+          break;
+        case "query":
+          compiled.query.push(compileNameRegex(rule.pattern));
+          break;
+        case "field":
+          compiled.fields.push(compileNameRegex(rule.pattern));
+          break;
+        case "jsonPath": {
+          const tokens = parseJsonPath(rule.pattern);
+          if (tokens.length > 0) compiled.jsonPaths.push(tokens);
+          break;
+        }
+        case "regex":
+          compiled.text.push(new RegExp(rule.pattern, "g"));
+          break;
+        default:
+          console.warn("[Redaction] Unknown rule type:", rule.type);
+      }
+    } catch (error) {
+      console.warn(
+        "[Redaction] Skipping invalid rule:",
+        rule.id,
+        error.message
+      );
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * Create a redactor for a redaction config
+ * @param {Object} config - redaction section from capture settings
+ * @returns {Object} Redactor with redactUrl/redactHeaders/redactBody/redactRequest
+ */
+export function createRedactor(config = {}) {
+  const normalized = normalizeRedactionConfig(config);
+  const rules = compileRedactionRules(normalized);
+  const mask = normalized.mask;
+  const enabled = normalized.enabled !== false;
+
+  const matchesAny = (regexes, value) =>
+    regexes.some((regex) => regex.test(value));
+
+  const redactText = (text) => {
+    if (typeof text !== "string" || rules.text.length === 0) return text;
+    return rules.text.reduce((result, regex) => {
+      regex.lastIndex = 0;
+      return result.replace(regex, mask);
+    }, text);
+  };
+
+  const decodeName = (name) => {
+    try {
+      return decodeURIComponent(name.replace(/\+/g, " "));
+    } catch (e) {
+      return name;
+    }
+  };
+
+  // Mask values of matching name=value pairs (query strings, form bodies)
+  const redactParams = (params) => {
+    if (typeof params !== "string" || rules.query.length === 0) return params;
+    return params.replace(
+      /(^|[?&;])([^=&;#?]+)=([^&;#]*)/g,
+      (pair, separator, name) =>
+        matchesAny(rules.query, decodeName(name))
+          ? `${separator}${name}=${mask}`
+          : pair
+    );
+  };
+
+  const redactUrl = (url) => {
+    if (!enabled || typeof url !== "string" || !url) return url;
+
+    const hashIndex = url.indexOf("#");
+    const hash = hashIndex >= 0 ? url.slice(hashIndex) : "";
+    const withoutHash = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+    const queryIndex = withoutHash.indexOf("?");
+
+    const redacted =
+      queryIndex >= 0
+        ? withoutHash.slice(0, queryIndex) +
+          redactParams(withoutHash.slice(queryIndex))
+        : withoutHash;
+
+    return redactText(redacted + hash);
+  };
+
+  const redactHeaderValue = (name, value) => {
+    if (matchesAny(rules.headers, String(name))) return mask;
+    return typeof value === "string" ? redactText(value) : value;
+  };
+
+  // Accepts {name: value} objects or webRequest [{name, value}] arrays
+  const redactHeaders = (headers) => {
+    if (!enabled || !headers) return headers;
+
+    if (Array.isArray(headers)) {
+      return headers.map((header) => ({
+        ...header,
+        value: redactHeaderValue(header.name, header.value),
+      }));
+    }
+
+    const result = {};
+    for (const [name, value] of Object.entries(headers)) {
+      result[name] = redactHeaderValue(name, value);
+    }
+    return result;
+  };
+
+  const shouldMaskPath = (path) => {
+    const last = path[path.length - 1];
+    if (typeof last === "string" && matchesAny(rules.fields, last)) {
+      return true;
+    }
+    return rules.jsonPaths.some((tokens) => matchJsonPath(tokens, path));
+  };
+
+  const redactJson = (value, path = []) => {
+    if (path.length > 0 && shouldMaskPath(path)) return mask;
+    if (Array.isArray(value)) {
+      return value.map((item, index) => redactJson(item, [...path, index]));
+    }
+    if (value && typeof value === "object") {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = redactJson(item, [...path, key]);
+      }
+      return result;
+    }
+    return typeof value === "string" ? redactText(value) : value;
+  };
+
+  // "name": value pairs in JSON text; objects and arrays are not values here
+  const JSON_PAIR = /"((?:[^"\\]|\\.)*)"(\s*:\s*)("(?:[^"\\]|\\.)*"?|[^\s,{}[\]]+)/g;
+
+  // Field rules and bare-name JSONPath rules ($..name) only need the key
+  const matchesFieldName = (name) =>
+    matchesAny(rules.fields, name) ||
+    rules.jsonPaths.some(
+      (tokens) =>
+        tokens.length === 2 && tokens[0].deep && tokens[1].key === name
+    );
+
+  // Truncated JSON can't be parsed, so mask matching fields in the text
+  const redactJsonText = (text) =>
+    text.replace(JSON_PAIR, (pair, name, colon) =>
+      matchesFieldName(name) ? `"${name}"${colon}"${mask}"` : pair
+    );
+
+  const redactBody = (body) => {
+    if (!enabled || typeof body !== "string" || !body) return body;
+
+    const trimmed = body.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        const redacted = JSON.stringify(redactJson(parsed));
+        // Keep original formatting when nothing was masked
+        return redacted === JSON.stringify(parsed) ? body : redacted;
+      } catch (e) {
+        // Not valid JSON, e.g. cut off at the body size limit
+        return redactText(redactJsonText(body));
+      }
+    }
+
+    // URL-encoded form bodies use the query parameter rules
+    if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(trimmed)) {
+      return redactText(redactParams(trimmed));
+    }
+
+    return redactText(body);
+  };
+
+  const redactRequest = (requestData) => {
+    if (!enabled || !requestData) return requestData;
+
+    const redacted = { ...requestData };
+    if (redacted.url) redacted.url = redactUrl(redacted.url);
+    if (redacted.pageUrl) redacted.pageUrl = redactUrl(redacted.pageUrl);
+    if (redacted.queryString) {
+      redacted.queryString = redactText(redactParams(redacted.queryString));
+    }
+    if (redacted.requestBody) {
+      redacted.requestBody = redactBody(redacted.requestBody);
+    }
+    if (redacted.responseBody) {
+      redacted.responseBody = redactBody(redacted.responseBody);
+    }
+    if (redacted.graphqlVariables) {
+      redacted.graphqlVariables = redactBody(redacted.graphqlVariables);
+    }
+    if (redacted.graphqlError) {
+      redacted.graphqlError = redactText(redacted.graphqlError);
+    }
+    if (redacted.requestHeaders) {
+      redacted.requestHeaders = redactHeaders(redacted.requestHeaders);
+    }
+    if (redacted.responseHeaders) {
+      redacted.responseHeaders = redactHeaders(redacted.responseHeaders);
+    }
+    return redacted;
+  };
+
+  return {
+    enabled,
+    mask,
+    redactUrl,
+    redactHeaders,
+    redactBody,
+    redactRequest,
+  };
+}
+
+/**
+ * Run a sample request through a redaction config (capture settings preview)
+ * @param {Object} sample - {url, headers: {name: value}, body}
+ * @param {Object} config - Redaction config to test (may be unsaved)
+ * @returns {Object} {url, headers, body, changed}
+ */
+export function previewRedaction(sample, config) {
+  const redactor = createRedactor(config);
+  const url = redactor.redactUrl(sample?.url || "");
+  const headers = redactor.redactHeaders(sample?.headers || {});
+  const body = redactor.redactBody(sample?.body || "");
+
+  const changed = {
+    url: url !== (sample?.url || ""),
+    headers: Object.keys(headers).filter(
+      (name) => headers[name] !== sample?.headers?.[name]
+    ),
+    body: body !== (sample?.body || ""),
+  };
+
+  return { url, headers, body, changed };
+}
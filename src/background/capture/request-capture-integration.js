@@ -3,6 +3,31 @@
 
 import { generateId } from "../utils/id-generator.js";
 import { parseUrl } from "../utils/url-utils.js";
+import { withExtraHeaders } from "../compat/browser-compat.js";
+import {
+  decodeRequestBody,
+  getHeaderValue,
+  normalizeBodyCaptureConfig,
+  shouldCaptureBody,
+} from "./body-capture.js";
+import {
+  getGraphQLCaptureFields,
+  getGraphQLResultFields,
+  normalizeGraphQLCaptureConfig,
+} from "./graphql-capture.js";
+import faultInjectionManager from "../rules/fault-injection-manager.js";
+import requestRunner from "./request-runner.js";
+
+/**
+ * Whether a background request was sent by this extension itself
+ * (Chrome reports `initiator`, Firefox `originUrl`)
+ */
+function isExtensionRequest(details) {
+  if (details.tabId >= 0) return false;
+  const initiator = details.initiator || details.originUrl || "";
+  const extensionOrigin = chrome.runtime.getURL("").replace(/\/$/, "");
+  return initiator.startsWith(extensionOrigin);
+}
 
 /**
  * RequestCaptureIntegration - Bridges request capture and medallion storage
@@ -12,6 +37,8 @@ export class RequestCaptureIntegration {
     this.dbManager = dbManager;
     this.eventBus = eventBus;
     this.config = config;
+    this.bodyCapture = normalizeBodyCaptureConfig(config?.bodyCapture);
+    this.graphqlCapture = normalizeGraphQLCaptureConfig(config?.graphqlCapture);
     this.pendingRequests = new Map();
     this.performanceMetrics = new Map();
   }
@@ -60,11 +87,12 @@ export class RequestCaptureIntegration {
     );
     console.log("✓ onBeforeRequest listener registered");
 
-    // Capture request headers
+    // Capture request headers ("extraHeaders" exposes Cookie/Referer/Origin
+    // on Chromium; Firefox already includes them)
     chrome.webRequest.onBeforeSendHeaders.addListener(
       (details) => this.handleRequestHeaders(details),
       filters,
-      ["requestHeaders"]
+      withExtraHeaders("OnBeforeSendHeadersOptions", ["requestHeaders"])
     );
     console.log("✓ onBeforeSendHeaders listener registered");
 
@@ -111,9 +139,17 @@ export class RequestCaptureIntegration {
       return false;
     }
 
-    // Check request type filters
+    // Check request type filters. WebSocket handshakes are kept while
+    // realtime capture is on: frames are linked to them.
     const includeTypes = this.config.captureFilters?.includeTypes || [];
-    if (includeTypes.length > 0 && !includeTypes.includes(details.type)) {
+    const isRealtimeHandshake =
+      details.type === "websocket" &&
+      this.config.realtimeCapture?.enabled !== false;
+    if (
+      includeTypes.length > 0 &&
+      !includeTypes.includes(details.type) &&
+      !isRealtimeHandshake
+    ) {
       console.log(`❌ Filtered by type: ${details.type} not in`, includeTypes);
       return false;
     }
@@ -156,6 +192,12 @@ export class RequestCaptureIntegration {
    */
   handleRequestStart(details) {
     try {
+      // Load tests aggregate their own stats; capturing every request they
+      // send would flood the bronze tables
+      if (requestRunner.isLoadTesting() && isExtensionRequest(details)) {
+        return;
+      }
+
       const requestId = details.requestId.toString();
       const timestamp = Date.now();
       const urlParts = parseUrl(details.url);
@@ -174,11 +216,18 @@ export class RequestCaptureIntegration {
         path: urlParts?.pathname || "",
         queryString: urlParts?.search || "",
         protocol: urlParts?.protocol || "",
-        requestBody: details.requestBody
-          ? JSON.stringify(details.requestBody)
-          : null,
+        // GraphQL detection reads the body even when bodies aren't kept;
+        // applyBodyCaptureRules drops it before the Bronze write
+        requestBody:
+          this.bodyCapture.enabled || this.graphqlCapture.enabled
+            ? decodeRequestBody(details.requestBody)
+            : null,
         pageUrl: null, // Will be populated asynchronously
       };
+      Object.assign(
+        requestData,
+        getGraphQLCaptureFields(requestData, this.graphqlCapture)
+      );
 
       // Store in pending requests FIRST (must be synchronous)
       this.pendingRequests.set(requestId, requestData);
@@ -260,6 +309,18 @@ export class RequestCaptureIntegration {
 
     if (pending) {
       pending.requestHeaders = details.requestHeaders || [];
+      pending.requestContentType = getHeaderValue(
+        pending.requestHeaders,
+        "content-type"
+      );
+
+      // application/graphql bodies are only recognizable by content type
+      if (!pending.operationType && !pending.operationName) {
+        Object.assign(
+          pending,
+          getGraphQLCaptureFields(pending, this.graphqlCapture)
+        );
+      }
     }
   }
 
@@ -274,6 +335,10 @@ export class RequestCaptureIntegration {
       pending.status = details.statusCode;
       pending.statusText = details.statusLine;
       pending.responseHeaders = details.responseHeaders || [];
+      pending.responseContentType = getHeaderValue(
+        pending.responseHeaders,
+        "content-type"
+      );
 
       // Extract content length
       const contentLength = details.responseHeaders?.find(
@@ -424,8 +489,32 @@ export class RequestCaptureIntegration {
         return;
       }
 
+      // A captured response body carries the errors[] summary when the
+      // page interceptor hasn't reported it yet
+      if (
+        (requestData.operationType || requestData.operationName) &&
+        requestData.graphqlErrorCount === undefined
+      ) {
+        Object.assign(
+          requestData,
+          getGraphQLResultFields(requestData.responseBody)
+        );
+      }
+
+      // Drop bodies that are not opted in for this domain/content type
+      this.applyBodyCaptureRules(requestData);
+
+      // Tag requests made while a fault profile is active on the tab/domain
+      requestData.faultProfile =
+        faultInjectionManager.getActiveProfile(
+          requestData.tabId,
+          requestData.domain
+        )?.name || null;
+
       // Insert request into Bronze
-      await this.dbManager.medallion.insertBronzeRequest(requestData);
+      await this.dbManager.medallion.insertBronzeRequest(requestData, {
+        maxBodySize: this.bodyCapture.maxBodySize,
+      });
       console.log("✅ Request saved to Bronze layer:", requestData.id);
 
       // Insert headers if available
@@ -480,6 +569,148 @@ export class RequestCaptureIntegration {
     }
   }
 
+  /**
+   * Keep request/response bodies only when body capture is opted in for
+   * the request's domain and content type. The Bronze write caps them at
+   * maxBodySize once they are redacted.
+   */
+  applyBodyCaptureRules(requestData) {
+    const bodyConfig = this.bodyCapture;
+
+    const keepRequestBody =
+      bodyConfig.captureRequestBody &&
+      shouldCaptureBody(
+        bodyConfig,
+        requestData.domain,
+        requestData.requestContentType
+      );
+    if (!keepRequestBody) requestData.requestBody = null;
+
+    const keepResponseBody =
+      bodyConfig.captureResponseBody &&
+      shouldCaptureBody(
+        bodyConfig,
+        requestData.domain,
+        requestData.responseContentType
+      );
+    if (!keepResponseBody) requestData.responseBody = null;
+  }
+
+  /**
+   * Attach a response body reported by the page interceptor
+   * The body can arrive before or after onCompleted, so match the pending
+   * request first and fall back to the stored Bronze row
+   */
+  async attachResponseBody(data, tabId) {
+    try {
+      if (!this.bodyCapture.enabled || !this.bodyCapture.captureResponseBody) {
+        return false;
+      }
+      if (!data?.url || data.body === undefined || data.body === null) {
+        return false;
+      }
+
+      const method = (data.method || "GET").toUpperCase();
+      const contentType = data.contentType || null;
+
+      for (const pending of this.pendingRequests.values()) {
+        if (
+          pending.url === data.url &&
+          pending.method === method &&
+          pending.tabId === tabId &&
+          !pending.responseBody
+        ) {
+          pending.responseBody = data.body;
+          pending.responseContentType =
+            pending.responseContentType || contentType;
+          return true;
+        }
+      }
+
+      if (!this.dbManager?.medallion) {
+        return false;
+      }
+
+      let domain = null;
+      try {
+        domain = data.pageUrl ? new URL(data.pageUrl).hostname : null;
+      } catch (e) {
+        domain = null;
+      }
+      if (!shouldCaptureBody(this.bodyCapture, domain, contentType)) {
+        return false;
+      }
+
+      const requestId = await this.dbManager.medallion.updateBronzeResponseBody(
+        {
+          tabId,
+          url: data.url,
+          method,
+          body: data.body,
+          maxBodySize: this.bodyCapture.maxBodySize,
+        }
+      );
+      return !!requestId;
+    } catch (error) {
+      console.error("Failed to attach response body:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Attach the GraphQL errors[] summary reported by the page interceptor
+   * Every operation goes to the same URL, so the operation name is part of
+   * the match. Like response bodies, the summary can arrive before or after
+   * onCompleted.
+   */
+  async attachGraphQLResult(data, tabId) {
+    try {
+      if (!this.graphqlCapture.enabled || !data?.url) {
+        return false;
+      }
+
+      const method = (data.method || "POST").toUpperCase();
+      const operationName = data.operationName || null;
+      const result = {
+        graphqlErrorCount: Number(data.errorCount) || 0,
+        graphqlError: data.message || null,
+      };
+
+      for (const pending of this.pendingRequests.values()) {
+        if (
+          pending.url === data.url &&
+          pending.method === method &&
+          pending.tabId === tabId &&
+          (pending.operationName || null) === operationName &&
+          (pending.operationType || pending.operationName) &&
+          pending.graphqlErrorCount === undefined
+        ) {
+          Object.assign(pending, result);
+          return true;
+        }
+      }
+
+      if (!this.dbManager?.medallion) {
+        return false;
+      }
+
+      const requestId = await this.dbManager.medallion.updateBronzeGraphQLResult(
+        {
+          tabId,
+          url: data.url,
+          method,
+          operationName,
+          errorCount: result.graphqlErrorCount,
+          message: result.graphqlError,
+        }
+      );
+      return !!requestId;
+    } catch (error) {
+      console.error("Failed to attach GraphQL result:", error);
+      return false;
+    }
+  }
+
   /**
    * Log error to Bronze layer
    */
@@ -2,6 +2,7 @@
 
 import { parseUrl } from "../utils/url-utils.js";
 import { generateId } from "../utils/id-generator.js";
+import { withExtraHeaders } from "../compat/browser-compat.js";
 
 // Performance metrics capture and analysis
 class PerformanceMetricsCollector {
@@ -201,6 +202,13 @@ function setupWebRequestListeners() {
       { urls: ["<all_urls>"] }
     );
 
+    // Listen for outgoing request headers
+    chrome.webRequest.onBeforeSendHeaders.addListener(
+      handleBeforeSendHeaders,
+      { urls: ["<all_urls>"] },
+      withExtraHeaders("OnBeforeSendHeadersOptions", ["requestHeaders"])
+    );
+
     // Listen for headers received
     chrome.webRequest.onHeadersReceived.addListener(
       (details) => {
@@ -295,6 +303,39 @@ function handleBeforeRequest(details) {
   }
 }
 
+// Handle before send headers event
+function handleBeforeSendHeaders(details) {
+  if (!config.enabled) return;
+  if (!shouldCaptureRequest(details)) return;
+
+  const requestHeaders = (details.requestHeaders || []).map((h) => ({
+    name: h.name,
+    value: h.value,
+  }));
+
+  const request = capturedRequests.find((req) => req.id === details.requestId);
+  if (request) {
+    request.requestHeaders = requestHeaders;
+  }
+
+  // Store in bronze_request_headers as header_type='request'
+  if (
+    config.captureHeaders &&
+    dbManager?.medallion &&
+    requestHeaders.length > 0
+  ) {
+    const headers = {};
+    requestHeaders.forEach((h) => {
+      headers[h.name] = h.value;
+    });
+    dbManager.medallion
+      .insertBronzeHeaders(details.requestId, headers, "request")
+      .catch((error) =>
+        console.error("Failed to save request headers:", error)
+      );
+  }
+}
+
 // Handle headers received event
 function handleHeadersReceived(details) {
   if (!config.enabled) return;
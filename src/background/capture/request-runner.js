@@ -1,14 +1,29 @@
 // Request Runner - Replay requests for testing and QA
-// Supports sequential/parallel execution with configurable delays
+// Supports sequential/parallel execution with configurable delays, and a
+// load mode that replays the requests with concurrent virtual users
 
 import { runtime, storage } from "../compat/browser-compat.js";
 import runnerCollections from "./runner-collections.js";
+import { evaluateAssertions, parseAssertions } from "./runner-assertions.js";
+import {
+  extractVariables,
+  parseExtractions,
+  substituteTemplate,
+} from "./runner-variables.js";
+import { resolveVariableMap } from "../../lib/utils/variable-environments.js";
+import secretVariables from "../security/secret-variables.js";
+import { DEFAULT_BODY_CAPTURE_CONFIG, truncateBody } from "./body-capture.js";
+import { runLoadTest, validateLoadConfig } from "./load-test.js";
+
+// Buckets (seconds) of load test history sent with each progress update
+const LOAD_PROGRESS_BUCKETS = 120;
 
 class RequestRunner {
   constructor() {
     this.activeRun = null;
     this.runHistory = [];
     this.dbManager = null;
+    this.loadAbortController = null;
   }
 
   /**
@@ -22,8 +37,11 @@ class RequestRunner {
    * Execute a runner by ID (loads from database)
    * @param {string} runnerId - Runner definition ID
    * @param {Function} progressCallback - Called with progress updates
+   * @param {Object} [options] - Run options
+   * @param {string|null} [options.environmentId] - Variable environment for
+   *   this run (overrides the runner's pinned environment; null = globals only)
    */
-  async runRunner(runnerId, progressCallback) {
+  async runRunner(runnerId, progressCallback, options = {}) {
     if (!this.dbManager || !this.dbManager.runner) {
       throw new Error("Database not initialized");
     }
@@ -56,6 +74,13 @@ class RequestRunner {
 
     await this.dbManager.runner.createRunnerExecution(execution);
 
+    // Environment: per-run override, then the runner's pinned environment,
+    // then the active environment from settings
+    const environmentId =
+      options.environmentId !== undefined
+        ? options.environmentId
+        : runner.environment_id || undefined;
+
     this.activeRun = {
       id: executionId,
       runnerId: runnerId,
@@ -69,12 +94,17 @@ class RequestRunner {
       results: [],
       startTime: execution.start_time,
       useVariables: runner.use_variables,
+      environmentId: environmentId ?? null,
     };
 
-    // Get variables if needed
+    // Get variables if needed (runner variables override settings).
+    // Values extracted from responses are added to this map during the run.
     let variables = {};
     if (runner.use_variables) {
-      variables = await this.getVariables();
+      variables = {
+        ...(await this.getVariables(environmentId)),
+        ...this.parseRunnerVariables(runner.variables),
+      };
     }
 
     // Parse header overrides
@@ -109,23 +139,43 @@ class RequestRunner {
           executionId,
           progressCallback
         );
+      } else if (runner.execution_mode === "load") {
+        await this.runLoadDB(
+          requests,
+          runner,
+          headerOverrides,
+          variables,
+          executionId,
+          progressCallback
+        );
       } else {
         throw new Error(`Invalid mode: ${runner.execution_mode}`);
       }
 
-      this.activeRun.status = "completed";
+      if (this.activeRun.status !== "cancelled") {
+        this.activeRun.status = "completed";
+      }
       this.activeRun.endTime = Date.now();
       this.activeRun.duration =
         this.activeRun.endTime - this.activeRun.startTime;
 
       // Update execution record
       await this.dbManager.runner.updateRunnerExecution(executionId, {
-        status: "completed",
+        status: this.activeRun.status,
         end_time: this.activeRun.endTime,
         duration: this.activeRun.duration,
         completed_requests: this.activeRun.completedRequests,
         success_count: this.activeRun.successCount,
         failure_count: this.activeRun.failureCount,
+        metadata: this.activeRun.load
+          ? JSON.stringify({
+              loadTest: {
+                config: this.activeRun.load.config,
+                iterations: this.activeRun.load.iterations,
+                ...this.activeRun.load.totals,
+              },
+            })
+          : undefined,
       });
 
       // Update runner definition
@@ -170,6 +220,7 @@ class RequestRunner {
    * @param {string} config.name - Runner name (optional, auto-generated if not provided)
    * @param {string} config.description - Runner description (optional)
    * @param {boolean} config.isTemporary - Whether this is a temporary quick run
+   * @param {string} config.environmentId - Variable environment to pin (optional)
    */
   async runRequests(config, progressCallback) {
     const {
@@ -183,6 +234,7 @@ class RequestRunner {
       name = `Quick Run - ${new Date().toLocaleString()}`,
       description = "",
       isTemporary = true,
+      environmentId = null,
     } = config;
 
     if (!requests || requests.length === 0) {
@@ -206,6 +258,7 @@ class RequestRunner {
       follow_redirects: followRedirects,
       validate_status: validateStatus,
       use_variables: useVariables,
+      environment_id: environmentId,
       header_overrides: JSON.stringify(headerOverrides),
       is_active: true,
       created_at: now,
@@ -224,7 +277,14 @@ class RequestRunner {
       domain: req.domain || new URL(req.url).hostname,
       page_url: req.page_url || req.pageUrl || req.url,
       captured_request_id: req.id || null,
-      assertions: null,
+      assertions:
+        req.assertions && typeof req.assertions !== "string"
+          ? JSON.stringify(req.assertions)
+          : req.assertions || null,
+      extractions:
+        req.extractions && typeof req.extractions !== "string"
+          ? JSON.stringify(req.extractions)
+          : req.extractions || null,
       description: null,
       is_enabled: true,
       created_at: now,
@@ -306,6 +366,112 @@ class RequestRunner {
     }
   }
 
+  /**
+   * Run a load test (database-integrated version)
+   * Variables are substituted once up front; extraction and assertions are
+   * skipped because only latency, status and errors are aggregated.
+   */
+  async runLoadDB(
+    runnerRequests,
+    runner,
+    headerOverrides,
+    variables,
+    executionId,
+    progressCallback
+  ) {
+    const config = validateLoadConfig(runner.load_config);
+    const hasVariables = variables && Object.keys(variables).length > 0;
+
+    const prepared = runnerRequests.map((runnerRequest) => {
+      let headers = {
+        ...this.parseHeaders(runnerRequest.headers),
+        ...headerOverrides,
+      };
+      let url = runnerRequest.url;
+      let body = runnerRequest.body;
+      if (hasVariables) {
+        url = substituteTemplate(url, variables);
+        headers = this.substituteVariables(headers, variables);
+        body = substituteTemplate(body, variables);
+      }
+
+      delete headers["host"];
+      delete headers["content-length"];
+      delete headers["connection"];
+
+      const fetchOptions = {
+        method: runnerRequest.method,
+        headers,
+        cache: "no-store",
+        redirect: runner.follow_redirects ? "follow" : "manual",
+      };
+      if (["POST", "PUT", "PATCH"].includes(runnerRequest.method) && body) {
+        fetchOptions.body = body;
+      }
+      return { url, fetchOptions };
+    });
+
+    this.loadAbortController = new AbortController();
+    const { signal } = this.loadAbortController;
+    this.activeRun.load = { config, totals: null, buckets: [], iterations: 0 };
+
+    const sendRequest = async ({ url, fetchOptions }) => {
+      const startTime = performance.now();
+      const response = await fetch(url, { ...fetchOptions, signal });
+      // Read the body so latency covers the full response
+      await response.arrayBuffer();
+      return {
+        ok: runner.validate_status
+          ? response.ok
+          : response.status > 0 && response.status < 400,
+        status: response.status,
+        latency: Math.round(performance.now() - startTime),
+      };
+    };
+
+    try {
+      const result = await runLoadTest({
+        config,
+        requests: prepared,
+        sendRequest,
+        isCancelled: () => this.activeRun.status === "cancelled",
+        onProgress: (progress) => {
+          this.activeRun.load = {
+            config,
+            totals: progress.totals,
+            buckets: progress.buckets,
+            iterations: progress.iterations,
+            activeUsers: progress.activeUsers,
+            elapsedMs: progress.elapsedMs,
+          };
+          this.activeRun.completedRequests = progress.totals.requests;
+          this.activeRun.failureCount = progress.totals.errors;
+          this.activeRun.successCount =
+            progress.totals.requests - progress.totals.errors;
+
+          if (progressCallback) {
+            progressCallback(this.getProgress());
+          }
+        },
+      });
+
+      await this.dbManager.runner.saveLoadStats(executionId, result.buckets);
+    } finally {
+      this.loadAbortController = null;
+    }
+  }
+
+  /**
+   * Whether a load test is currently running
+   */
+  isLoadTesting() {
+    return Boolean(
+      this.activeRun &&
+        this.activeRun.mode === "load" &&
+        this.activeRun.status === "running"
+    );
+  }
+
   /**
    * Run all requests in parallel (database-integrated version)
    */
@@ -475,20 +641,24 @@ class RequestRunner {
     };
 
     try {
-      // Parse request headers
+      // Parse request headers and apply header overrides
       let headers = this.parseHeaders(request.request_headers);
-
-      // Apply variable substitution to headers
-      if (variables && Object.keys(variables).length > 0) {
-        headers = this.substituteVariables(headers, variables);
-      }
-
-      // Apply header overrides
       Object.assign(headers, headerOverrides);
 
-      // Apply variable substitution to overrides
+      // Recorded before substitution so resolved secrets never reach the db
+      const sentRequest = {
+        headers: { ...headers },
+        body: request.request_payload,
+      };
+
+      // Apply variable substitution (including values extracted from
+      // earlier responses) to URL, headers and body
+      let url = request.url;
+      let body = request.request_payload;
       if (variables && Object.keys(variables).length > 0) {
+        url = substituteTemplate(url, variables);
         headers = this.substituteVariables(headers, variables);
+        body = substituteTemplate(body, variables);
       }
 
       // Remove problematic headers for fetch
@@ -504,15 +674,12 @@ class RequestRunner {
       };
 
       // Add body for POST/PUT/PATCH
-      if (
-        ["POST", "PUT", "PATCH"].includes(request.method) &&
-        request.request_payload
-      ) {
-        fetchOptions.body = request.request_payload;
+      if (["POST", "PUT", "PATCH"].includes(request.method) && body) {
+        fetchOptions.body = body;
       }
 
       // Execute request
-      const response = await fetch(request.url, fetchOptions);
+      const response = await fetch(url, fetchOptions);
 
       const endTime = performance.now();
       const duration = Math.round(endTime - startTime);
@@ -531,6 +698,64 @@ class RequestRunner {
         result.responseHeaders[key] = value;
       });
 
+      let responseText = null;
+      try {
+        responseText = await response.clone().text();
+      } catch (e) {
+        // Opaque/redirect responses have no readable body
+      }
+
+      // Check response assertions - a failed assertion fails the request
+      if (parseAssertions(runnerRequest.assertions).length > 0) {
+        const assertionRun = evaluateAssertions(runnerRequest.assertions, {
+          status: result.status,
+          headers: result.responseHeaders,
+          body: responseText,
+          duration,
+        });
+        result.assertionResults = assertionRun.results;
+        result.success = result.success && assertionRun.passed;
+      }
+
+      // Extract values for later requests (request chaining)
+      if (variables && parseExtractions(runnerRequest.extractions).length > 0) {
+        const extraction = extractVariables(runnerRequest.extractions, {
+          headers: result.responseHeaders,
+          body: responseText,
+        });
+        Object.assign(variables, extraction.variables);
+        result.extractions = extraction.results;
+
+        extraction.results
+          .filter((rule) => rule.error)
+          .forEach((rule) => {
+            console.warn(
+              `[Runner] Could not extract {{${rule.variable}}} from ${request.url}: ${rule.error}`
+            );
+          });
+      }
+
+      const executionResult = {
+        execution_id: executionId,
+        runner_request_id: runnerRequest.id,
+        sequence_order: index,
+        // Template URL, like sentRequest, so resolved secrets stay out
+        url: request.url,
+        method: request.method,
+        status: result.status,
+        duration: duration,
+        success: result.success,
+        assertion_results: result.assertionResults
+          ? JSON.stringify(result.assertionResults)
+          : null,
+        ...this.buildReplaySnapshot(
+          sentRequest,
+          result.responseHeaders,
+          responseText
+        ),
+        timestamp: result.startTime,
+      };
+
       // ✅ Log to bronze_requests via event bus (preserving domain/page_url context)
       const logResponse = await chrome.runtime.sendMessage({
         action: "runnerRequestCompleted",
@@ -553,15 +778,9 @@ class RequestRunner {
 
         // ✅ Store result in database linking to bronze_requests
         await this.dbManager.runner.createRunnerExecutionResult({
-          id: `result_${Date.now()}_${index}`,
-          execution_id: executionId,
-          runner_request_id: runnerRequest.id,
+          ...executionResult,
           logged_request_id: logResponse.requestId,
-          status: result.status,
-          duration: duration,
-          success: result.success,
           error_message: null,
-          created_at: Date.now(),
         });
       } else {
         console.warn(
@@ -570,15 +789,9 @@ class RequestRunner {
 
         // ✅ Still store result even if logging failed
         await this.dbManager.runner.createRunnerExecutionResult({
-          id: `result_${Date.now()}_${index}`,
-          execution_id: executionId,
-          runner_request_id: runnerRequest.id,
+          ...executionResult,
           logged_request_id: null,
-          status: result.status,
-          duration: duration,
-          success: result.success,
           error_message: "Failed to log to bronze_requests",
-          created_at: Date.now(),
         });
       }
 
@@ -587,14 +800,8 @@ class RequestRunner {
       const contentLength = response.headers.get("content-length");
       if (contentLength) {
         responseSize = parseInt(contentLength);
-      } else {
-        // Try to get actual size from response
-        try {
-          const responseText = await response.clone().text();
-          responseSize = responseText.length;
-        } catch (e) {
-          // Ignore size calculation errors
-        }
+      } else if (responseText !== null) {
+        responseSize = responseText.length;
       }
       result.size = responseSize;
     } catch (error) {
@@ -608,15 +815,17 @@ class RequestRunner {
       // ✅ Store error result in database
       try {
         await this.dbManager.runner.createRunnerExecutionResult({
-          id: `result_${Date.now()}_${index}`,
           execution_id: executionId,
           runner_request_id: runnerRequest.id,
           logged_request_id: null,
+          sequence_order: index,
+          url: request.url,
+          method: request.method,
           status: 0,
           duration: result.duration,
           success: false,
           error_message: error.message,
-          created_at: Date.now(),
+          timestamp: result.startTime,
         });
       } catch (dbError) {
         console.error("[Runner] Failed to store error result:", dbError);
@@ -626,6 +835,29 @@ class RequestRunner {
     return result;
   }
 
+  /**
+   * Headers and bodies of a replay, stored with its execution result so it
+   * can be diffed against the captured request. Redacted like captures.
+   */
+  buildReplaySnapshot(sentRequest, responseHeaders, responseText) {
+    const redactor = this.dbManager?.medallion?.redactor;
+    const redactHeaders = (headers) =>
+      JSON.stringify(redactor ? redactor.redactHeaders(headers) : headers);
+    // Redact the whole body first so JSON rules can still parse it
+    const redactBody = (body) =>
+      truncateBody(
+        redactor ? redactor.redactBody(body) : body,
+        DEFAULT_BODY_CAPTURE_CONFIG.maxBodySize
+      );
+
+    return {
+      request_headers: redactHeaders(sentRequest.headers),
+      request_body: redactBody(sentRequest.body),
+      response_headers: redactHeaders(responseHeaders),
+      response_body: redactBody(responseText),
+    };
+  }
+
   /**
    * Execute a single request (legacy method)
    */
@@ -759,6 +991,42 @@ class RequestRunner {
   getProgress() {
     if (!this.activeRun) return null;
 
+    const { load } = this.activeRun;
+    if (load) {
+      const elapsedTime = Date.now() - this.activeRun.startTime;
+      return {
+        id: this.activeRun.id,
+        status: this.activeRun.status,
+        mode: this.activeRun.mode,
+        totalRequests: this.activeRun.totalRequests,
+        completedRequests: this.activeRun.completedRequests,
+        successCount: this.activeRun.successCount,
+        failureCount: this.activeRun.failureCount,
+        // The duration caps iteration-based tests too, so report whichever
+        // limit is closer
+        progress: Math.min(
+          100,
+          Math.round(
+            Math.max(
+              elapsedTime / (load.config.durationSeconds * 1000),
+              load.config.iterations
+                ? load.iterations / load.config.iterations
+                : 0
+            ) * 100
+          )
+        ),
+        currentRequest: null,
+        elapsedTime,
+        load: {
+          config: load.config,
+          totals: load.totals,
+          iterations: load.iterations,
+          activeUsers: load.activeUsers || 0,
+          buckets: load.buckets.slice(-LOAD_PROGRESS_BUCKETS),
+        },
+      };
+    }
+
     return {
       id: this.activeRun.id,
       status: this.activeRun.status,
@@ -782,6 +1050,10 @@ class RequestRunner {
   cancelRun() {
     if (this.activeRun && this.activeRun.status === "running") {
       this.activeRun.status = "cancelled";
+      // Abort in-flight load test requests instead of waiting them out
+      if (this.loadAbortController) {
+        this.loadAbortController.abort();
+      }
       return true;
     }
     return false;
@@ -803,23 +1075,24 @@ class RequestRunner {
   }
 
   /**
-   * Get variables from settings
+   * Get variables from settings, with secret values decrypted
+   * @param {string|null} [environmentId] - Environment to apply (defaults to
+   *   the active environment, null for global values only)
    */
-  async getVariables() {
+  async getVariables(environmentId) {
     try {
       const data = await storage.get(["settings"]);
-      const settings = data.settings || {};
-      const variablesList = settings.variables?.list || [];
-
-      // Convert to key-value map
-      const variables = {};
-      variablesList.forEach((v) => {
-        if (v.name && v.value) {
-          variables[v.name] = v.value;
-        }
-      });
-
-      return variables;
+      // Settings managers store { settings: { settings, timestamp } }
+      const settings = data.settings?.settings || data.settings || {};
+      const resolvedEnvironment =
+        environmentId === undefined
+          ? settings.variables?.activeEnvironment
+          : environmentId;
+
+      return {
+        ...resolveVariableMap(settings.variables, environmentId),
+        ...(await secretVariables.resolve(resolvedEnvironment)),
+      };
     } catch (error) {
       console.error("Failed to get variables:", error);
       return {};
@@ -827,26 +1100,36 @@ class RequestRunner {
   }
 
   /**
-   * Substitute variables in headers
+   * Parse runner-level variables ([{name, value}] JSON) into a map
+   */
+  parseRunnerVariables(runnerVariables) {
+    let list = runnerVariables || [];
+    if (typeof list === "string") {
+      try {
+        list = JSON.parse(list);
+      } catch (e) {
+        console.warn("[Runner] Invalid runner variables JSON:", e);
+        return {};
+      }
+    }
+
+    const variables = {};
+    (Array.isArray(list) ? list : []).forEach((v) => {
+      if (v.name && v.value !== undefined && v.value !== null) {
+        variables[v.name] = v.value;
+      }
+    });
+    return variables;
+  }
+
+  /**
+   * Substitute {{VAR_NAME}} / ${VAR_NAME} placeholders in header values
    */
   substituteVariables(headers, variables) {
     const substituted = {};
 
     for (const [key, value] of Object.entries(headers)) {
-      let substitutedValue = value;
-
-      // Replace ${VAR_NAME} with actual values
-      for (const [varName, varValue] of Object.entries(variables)) {
-        const placeholder = `\${${varName}}`;
-        if (substitutedValue.includes(placeholder)) {
-          substitutedValue = substitutedValue.replace(
-            new RegExp(this.escapeRegex(placeholder), "g"),
-            varValue
-          );
-        }
-      }
-
-      substituted[key] = substitutedValue;
+      substituted[key] = substituteTemplate(value, variables);
     }
 
     return substituted;
@@ -886,7 +1169,8 @@ class RequestRunner {
           duration,
           start_time,
           end_time,
-          results_json
+          results_json,
+          created_at
         ) VALUES (
           ${escapeStr(run.id)},
           ${escapeStr(run.collectionId)},
@@ -898,11 +1182,12 @@ class RequestRunner {
           ${run.duration || 0},
           ${run.startTime},
           ${run.endTime || Date.now()},
-          ${escapeStr(JSON.stringify(run.results))}
+          ${escapeStr(JSON.stringify(run.results))},
+          ${Date.now()}
         )
       `;
 
-      this.dbManager.db.exec(query);
+      await this.dbManager.db.exec(query);
       console.log("Runner results stored in database");
     } catch (error) {
       console.error("Failed to store runner results:", error);
@@ -0,0 +1,430 @@
+// Runner response assertions
+// Checks each runner response (status, headers, body, timing) against the
+// assertions configured on its runner request. Results are stored with the
+// execution result and a failed assertion fails the request.
+
+import { parseJsonPath } from "./redaction.js";
+
+/**
+ * Assertion types:
+ * - status:      expected status code (number, or array of allowed codes)
+ * - header:      header `name` equals/contains/exists
+ * - jsonPath:    value at `path` equals/exists/matches (regex)
+ * - bodyRegex:   response body matches the `expected` regex
+ * - maxDuration: response time (ms) is at most `expected`
+ * - jsonSchema:  JSON body validates against the `expected` schema
+ */
+export const ASSERTION_TYPES = [
+  "status",
+  "header",
+  "jsonPath",
+  "bodyRegex",
+  "maxDuration",
+  "jsonSchema",
+];
+
+export const ASSERTION_OPERATORS = {
+  header: ["equals", "contains", "exists"],
+  jsonPath: ["equals", "exists", "matches"],
+};
+
+/**
+ * Parse the assertions stored on a runner request
+ * @param {string|Array|null} assertions - JSON string or array
+ * @returns {Array} Assertions (empty when missing or invalid)
+ */
+export function parseAssertions(assertions) {
+  if (!assertions) return [];
+  if (Array.isArray(assertions)) return assertions;
+
+  try {
+    const parsed = JSON.parse(assertions);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn("[Assertions] Ignoring invalid assertions JSON:", error);
+    return [];
+  }
+}
+
+/**
+ * Validate a single assertion definition
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateAssertion(assertion) {
+  if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+    return `Unknown assertion type: ${assertion?.type}`;
+  }
+
+  const operators = ASSERTION_OPERATORS[assertion.type];
+  if (operators && !operators.includes(assertion.operator || "equals")) {
+    return `Unknown ${assertion.type} operator: ${assertion.operator}`;
+  }
+
+  switch (assertion.type) {
+    case "header":
+      return assertion.name ? null : "Header name is required";
+    case "jsonPath":
+      if (parseJsonPath(assertion.path).length === 0) {
+        return `Invalid JSONPath: ${assertion.path}`;
+      }
+      return assertion.operator === "matches"
+        ? validateRegex(assertion.expected)
+        : null;
+    case "bodyRegex":
+      return validateRegex(assertion.expected);
+    case "maxDuration":
+      return Number(assertion.expected) > 0
+        ? null
+        : "Max duration must be a positive number";
+    case "jsonSchema":
+      return assertion.expected && typeof assertion.expected === "object"
+        ? null
+        : "Schema must be a JSON object";
+    default:
+      return null;
+  }
+}
+
+function validateRegex(pattern) {
+  if (pattern === undefined || pattern === null || pattern === "") {
+    return "Pattern is required";
+  }
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+}
+
+/**
+ * Select all values matching JSONPath tokens
+ */
+export function queryJsonPath(data, path) {
+  const tokens = parseJsonPath(path);
+  if (tokens.length === 0) return [];
+
+  let current = [data];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = [];
+
+    for (const value of current) {
+      if (token.deep) {
+        collectDescendants(value, next);
+      } else if (value !== null && typeof value === "object") {
+        if (token.wildcard) {
+          next.push(...Object.values(value));
+        } else if (Object.prototype.hasOwnProperty.call(value, token.key)) {
+          next.push(value[token.key]);
+        }
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Value itself plus every nested value (for ..name)
+function collectDescendants(value, out) {
+  out.push(value);
+  if (value !== null && typeof value === "object") {
+    Object.values(value).forEach((child) => collectDescendants(child, out));
+  }
+}
+
+function valuesEqual(actual, expected) {
+  if (actual !== null && typeof actual === "object") {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  }
+  // Loose on type so "200" in the editor matches 200 in the response
+  return String(actual) === String(expected);
+}
+
+function getJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = getJsonType(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema subset
+ * Supports type, required, properties, additionalProperties, items, enum,
+ * const, minimum/maximum, minLength/maxLength, minItems/maxItems and pattern
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateJsonSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(
+        `${path}: expected ${types.join(" or ")}, got ${getJsonType(value)}`
+      );
+      return errors;
+    }
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some((option) => valuesEqual(value, option))
+  ) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ("const" in schema && !valuesEqual(value, schema.const)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: length must be >= ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: length must be <= ${schema.maxLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match /${schema.pattern}/`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have >= ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have <= ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => {
+        errors.push(
+          ...validateJsonSchema(item, schema.items, `${path}[${idx}]`)
+        );
+      });
+    }
+  } else if (value !== null && typeof value === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        errors.push(
+          ...validateJsonSchema(value[key], properties[key], `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function getHeader(headers, name) {
+  const target = String(name).toLowerCase();
+  const key = Object.keys(headers || {}).find(
+    (header) => header.toLowerCase() === target
+  );
+  return key === undefined ? undefined : headers[key];
+}
+
+function parseJsonBody(body) {
+  if (body && typeof body === "object") return { ok: true, value: body };
+  try {
+    return { ok: true, value: JSON.parse(body) };
+  } catch (error) {
+    return { ok: false, error: "Response body is not valid JSON" };
+  }
+}
+
+function assertStatus(assertion, response) {
+  const allowed = Array.isArray(assertion.expected)
+    ? assertion.expected
+    : [assertion.expected];
+  return {
+    actual: response.status,
+    passed: allowed.some((status) => valuesEqual(response.status, status)),
+  };
+}
+
+function assertHeader(assertion, response) {
+  const actual = getHeader(response.headers, assertion.name);
+  switch (assertion.operator) {
+    case "exists":
+      return { actual, passed: actual !== undefined };
+    case "contains":
+      return {
+        actual,
+        passed:
+          actual !== undefined &&
+          String(actual)
+            .toLowerCase()
+            .includes(String(assertion.expected).toLowerCase()),
+      };
+    default:
+      return {
+        actual,
+        passed: actual !== undefined && valuesEqual(actual, assertion.expected),
+      };
+  }
+}
+
+function assertJsonPath(assertion, response) {
+  const json = parseJsonBody(response.body);
+  if (!json.ok) return { passed: false, message: json.error };
+
+  const matches = queryJsonPath(json.value, assertion.path);
+  const actual = matches.length > 1 ? matches : matches[0];
+
+  switch (assertion.operator) {
+    case "exists":
+      return { actual, passed: matches.length > 0 };
+    case "matches": {
+      const regex = new RegExp(assertion.expected);
+      return {
+        actual,
+        passed:
+          matches.length > 0 &&
+          matches.every((value) =>
+            regex.test(
+              typeof value === "string" ? value : JSON.stringify(value)
+            )
+          ),
+      };
+    }
+    default:
+      return {
+        actual,
+        passed: matches.some((value) => valuesEqual(value, assertion.expected)),
+      };
+  }
+}
+
+function assertBodyRegex(assertion, response) {
+  const body =
+    typeof response.body === "string"
+      ? response.body
+      : JSON.stringify(response.body ?? "");
+  return {
+    passed: new RegExp(assertion.expected, assertion.flags || "").test(body),
+  };
+}
+
+function assertMaxDuration(assertion, response) {
+  return {
+    actual: response.duration,
+    passed: Number(response.duration) <= Number(assertion.expected),
+  };
+}
+
+function assertJsonSchema(assertion, response) {
+  const json = parseJsonBody(response.body);
+  if (!json.ok) return { passed: false, message: json.error };
+
+  const errors = validateJsonSchema(json.value, assertion.expected);
+  return {
+    passed: errors.length === 0,
+    message: errors.length > 0 ? errors.slice(0, 5).join("; ") : null,
+  };
+}
+
+const ASSERTION_HANDLERS = {
+  status: assertStatus,
+  header: assertHeader,
+  jsonPath: assertJsonPath,
+  bodyRegex: assertBodyRegex,
+  maxDuration: assertMaxDuration,
+  jsonSchema: assertJsonSchema,
+};
+
+/**
+ * Short human-readable description of an assertion
+ */
+export function describeAssertion(assertion) {
+  const expected = JSON.stringify(assertion.expected);
+  switch (assertion.type) {
+    case "status":
+      return `Status is ${
+        Array.isArray(assertion.expected)
+          ? assertion.expected.join(" or ")
+          : assertion.expected
+      }`;
+    case "header":
+      return assertion.operator === "exists"
+        ? `Header ${assertion.name} exists`
+        : `Header ${assertion.name} ${
+            assertion.operator || "equals"
+          } ${expected}`;
+    case "jsonPath":
+      return assertion.operator === "exists"
+        ? `${assertion.path} exists`
+        : `${assertion.path} ${assertion.operator || "equals"} ${expected}`;
+    case "bodyRegex":
+      return `Body matches /${assertion.expected}/${assertion.flags || ""}`;
+    case "maxDuration":
+      return `Duration <= ${assertion.expected}ms`;
+    case "jsonSchema":
+      return "Body matches JSON schema";
+    default:
+      return assertion.type;
+  }
+}
+
+/**
+ * Evaluate assertions against a runner response
+ * @param {Array|string} assertions - Assertions (or their JSON)
+ * @param {Object} response - {status, headers, body, duration}
+ * @returns {{passed: boolean, results: Array}} Per-assertion results
+ */
+export function evaluateAssertions(assertions, response) {
+  const results = parseAssertions(assertions).map((assertion) => {
+    const description = assertion
+      ? describeAssertion(assertion)
+      : "Invalid assertion";
+    const invalid = validateAssertion(assertion);
+    if (invalid) {
+      return { ...assertion, description, passed: false, message: invalid };
+    }
+
+    try {
+      const outcome = ASSERTION_HANDLERS[assertion.type](assertion, response);
+      return {
+        ...assertion,
+        description,
+        actual: outcome.actual,
+        passed: outcome.passed,
+        message: outcome.message || null,
+      };
+    } catch (error) {
+      return {
+        ...assertion,
+        description,
+        passed: false,
+        message: error.message,
+      };
+    }
+  });
+
+  return { passed: results.every((result) => result.passed), results };
+}
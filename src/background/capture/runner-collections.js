@@ -70,6 +70,7 @@ class RunnerCollections {
       description,
       color: config.color || "#007bff",
       icon: config.icon || "fa-folder",
+      environment_id: config.environmentId || null,
       is_active: true,
       created_at: Date.now(),
       updated_at: Date.now(),
@@ -461,6 +462,46 @@ class RunnerCollections {
     return result.success;
   }
 
+  /**
+   * Skip a due scheduled run without executing it (missed-run policy)
+   * Advances next_run_at but leaves last_run_at untouched
+   */
+  async skipScheduledRun(scheduleId) {
+    if (!this.initialized) await this.initialize();
+
+    if (!this.dbManager) {
+      throw new Error("Database manager not initialized");
+    }
+
+    const index = this.scheduledRuns.findIndex((s) => s.id === scheduleId);
+    if (index === -1) {
+      return false;
+    }
+
+    const updates = { lastStatus: "skipped" };
+
+    if (this.scheduledRuns[index].type !== "once") {
+      updates.nextRunAt = this.calculateNextRun(this.scheduledRuns[index]);
+    } else {
+      updates.enabled = false;
+    }
+
+    const result = await this.dbManager.scheduledRun.updateScheduledRun(
+      scheduleId,
+      updates
+    );
+
+    if (result.success) {
+      this.scheduledRuns[index] = {
+        ...this.scheduledRuns[index],
+        ...updates,
+      };
+      console.log(`[Collections] Skipped missed scheduled run: ${scheduleId}`);
+    }
+
+    return result.success;
+  }
+
   /**
    * Calculate next run time based on schedule config
    */
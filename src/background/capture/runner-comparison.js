@@ -0,0 +1,218 @@
+/**
+ * Runner run-to-run comparison
+ *
+ * Lines up the results of two executions of a runner by runner_request_id
+ * and reports what changed between them: status changes, duration deltas,
+ * assertions that started (or stopped) failing, and requests that only ran
+ * in one of the executions.
+ *
+ * A request "regresses" when it passed in the base run and fails in the
+ * compared run, or when one of its assertions newly fails; it is "fixed" in
+ * the opposite case. Slowdowns are reported separately because timings are
+ * noisy: a request only counts as slower when it is both DURATION_REGRESSION
+ * .ratio times slower and at least .minDeltaMs slower.
+ */
+
+export const DURATION_REGRESSION = {
+  ratio: 1.2,
+  minDeltaMs: 50,
+};
+
+export const COMPARISON_OUTCOMES = {
+  REGRESSION: "regression",
+  FIX: "fix",
+  UNCHANGED: "unchanged",
+  ADDED: "added",
+  REMOVED: "removed",
+};
+
+function parseAssertionResults(value) {
+  if (!value) return [];
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function toRun(result) {
+  if (!result) return null;
+  return {
+    resultId: result.id,
+    status: result.status || 0,
+    duration: result.duration ?? null,
+    success: Boolean(result.success),
+    errorMessage: result.error_message || null,
+    assertions: parseAssertionResults(result.assertion_results),
+  };
+}
+
+// Assertions are matched by description; the same description can repeat
+function assertionKeys(assertions) {
+  const seen = new Map();
+  return assertions.map((assertion) => {
+    const description = assertion.description || assertion.type || "assertion";
+    const count = seen.get(description) || 0;
+    seen.set(description, count + 1);
+    return count ? `${description} #${count + 1}` : description;
+  });
+}
+
+function compareAssertions(base, compare) {
+  const baseKeys = assertionKeys(base);
+  const basePassed = new Map(
+    base.map((assertion, index) => [baseKeys[index], assertion.passed])
+  );
+
+  const newlyFailing = [];
+  const fixed = [];
+  assertionKeys(compare).forEach((key, index) => {
+    const assertion = compare[index];
+    const before = basePassed.get(key);
+    if (!assertion.passed && before !== false) {
+      newlyFailing.push({
+        description: key,
+        actual: assertion.actual,
+        message: assertion.message || null,
+      });
+    } else if (assertion.passed && before === false) {
+      fixed.push({ description: key });
+    }
+  });
+  return { newlyFailing, fixed };
+}
+
+function compareDurations(base, compare, threshold) {
+  if (base === null || compare === null) {
+    return { delta: null, percent: null, slower: false, faster: false };
+  }
+
+  const delta = compare - base;
+  const percent = base > 0 ? Math.round((delta / base) * 1000) / 10 : null;
+  return {
+    delta,
+    percent,
+    slower: delta >= threshold.minDeltaMs && compare >= base * threshold.ratio,
+    faster: -delta >= threshold.minDeltaMs && base >= compare * threshold.ratio,
+  };
+}
+
+function pluralize(count, word, plural = `${word}s`) {
+  return `${count} ${count === 1 ? word : plural}`;
+}
+
+/**
+ * Summary line for a comparison, e.g. "3 regressions, 1 fix, 2 slower"
+ * @param {Object} summary - Comparison summary counts
+ * @returns {string} Text
+ */
+export function describeComparison(summary) {
+  const parts = [];
+  if (summary.regressions) {
+    parts.push(pluralize(summary.regressions, "regression"));
+  }
+  if (summary.fixes) parts.push(pluralize(summary.fixes, "fix", "fixes"));
+  if (summary.slower) parts.push(`${summary.slower} slower`);
+  if (summary.faster) parts.push(`${summary.faster} faster`);
+  if (summary.statusChanges) {
+    parts.push(pluralize(summary.statusChanges, "status change"));
+  }
+  if (summary.added) parts.push(`${summary.added} new`);
+  if (summary.removed) parts.push(`${summary.removed} no longer run`);
+  return parts.length ? parts.join(", ") : "No changes";
+}
+
+/**
+ * Compare the results of two executions
+ * @param {Array<Object>} baseResults - bronze_runner_execution_results rows
+ * @param {Array<Object>} compareResults - Rows of the later execution
+ * @param {Object} [threshold] - Slowdown threshold ({ ratio, minDeltaMs })
+ * @returns {Object} { rows, summary } with one row per runner request
+ */
+export function compareExecutionResults(
+  baseResults,
+  compareResults,
+  threshold = DURATION_REGRESSION
+) {
+  const byRequest = (results) =>
+    new Map(
+      (results || []).map((result) => [result.runner_request_id, result])
+    );
+  const base = byRequest(baseResults);
+  const compare = byRequest(compareResults);
+
+  const requestIds = [...new Set([...compare.keys(), ...base.keys()])];
+  const rows = requestIds.map((runnerRequestId) => {
+    const before = base.get(runnerRequestId);
+    const after = compare.get(runnerRequestId);
+    const reference = after || before;
+    const row = {
+      runnerRequestId,
+      sequenceOrder: reference.sequence_order,
+      method: reference.method,
+      url: reference.url,
+      base: toRun(before),
+      compare: toRun(after),
+    };
+
+    if (!before || !after) {
+      row.outcome = before
+        ? COMPARISON_OUTCOMES.REMOVED
+        : COMPARISON_OUTCOMES.ADDED;
+      return row;
+    }
+
+    const assertions = compareAssertions(
+      row.base.assertions,
+      row.compare.assertions
+    );
+    row.statusChanged = row.base.status !== row.compare.status;
+    row.duration = compareDurations(
+      row.base.duration,
+      row.compare.duration,
+      threshold
+    );
+    row.newlyFailingAssertions = assertions.newlyFailing;
+    row.fixedAssertions = assertions.fixed;
+
+    if (
+      (row.base.success && !row.compare.success) ||
+      assertions.newlyFailing.length > 0
+    ) {
+      row.outcome = COMPARISON_OUTCOMES.REGRESSION;
+    } else if (!row.base.success && row.compare.success) {
+      row.outcome = COMPARISON_OUTCOMES.FIX;
+    } else {
+      row.outcome = COMPARISON_OUTCOMES.UNCHANGED;
+    }
+    return row;
+  });
+
+  rows.sort((a, b) => (a.sequenceOrder ?? 0) - (b.sequenceOrder ?? 0));
+
+  const matched = rows.filter((row) => row.base && row.compare);
+  const count = (predicate) => rows.filter(predicate).length;
+  const deltas = matched
+    .map((row) => row.duration.delta)
+    .filter((delta) => delta !== null);
+
+  const summary = {
+    matched: matched.length,
+    regressions: count((row) => row.outcome === COMPARISON_OUTCOMES.REGRESSION),
+    fixes: count((row) => row.outcome === COMPARISON_OUTCOMES.FIX),
+    slower: count((row) => row.duration?.slower),
+    faster: count((row) => row.duration?.faster),
+    statusChanges: count((row) => row.statusChanged),
+    added: count((row) => row.outcome === COMPARISON_OUTCOMES.ADDED),
+    removed: count((row) => row.outcome === COMPARISON_OUTCOMES.REMOVED),
+    avgDurationDelta: deltas.length
+      ? Math.round(
+          deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length
+        )
+      : null,
+  };
+  summary.text = describeComparison(summary);
+
+  return { rows, summary };
+}
@@ -0,0 +1,140 @@
+// Runner variables - template substitution and request chaining
+// Extraction rules on a runner request copy values out of its response into
+// run variables, so later requests in a sequential run can use them
+// (e.g. login -> {{token}} -> authenticated calls).
+
+import { queryJsonPath } from "./runner-assertions.js";
+
+/**
+ * Extraction sources:
+ * - jsonPath: value at a JSONPath in the JSON response body
+ * - regex:    first capture group (or whole match) in the response body
+ * - header:   response header value (case-insensitive name)
+ */
+export const EXTRACTION_SOURCES = ["jsonPath", "regex", "header"];
+
+// {{name}} (editor syntax) and ${name} (legacy overrides syntax)
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]+)\s*\}\}|\$\{([\w.-]+)\}/g;
+
+/**
+ * Replace {{name}} / ${name} placeholders with variable values
+ * Unknown variables are left untouched
+ * @param {*} template - Text to substitute (non-strings are returned as-is)
+ * @param {Object} variables - Variable name -> value
+ * @returns {*} Substituted text
+ */
+export function substituteTemplate(template, variables) {
+  if (typeof template !== "string" || !variables) return template;
+
+  return template.replace(PLACEHOLDER_REGEX, (placeholder, braced, dollar) => {
+    const name = braced || dollar;
+    return Object.prototype.hasOwnProperty.call(variables, name)
+      ? String(variables[name])
+      : placeholder;
+  });
+}
+
+/**
+ * Parse the extraction rules stored on a runner request
+ * @param {string|Array|null} extractions - JSON string or array
+ * @returns {Array} Rules (empty when missing or invalid)
+ */
+export function parseExtractions(extractions) {
+  if (!extractions) return [];
+  if (Array.isArray(extractions)) return extractions;
+
+  try {
+    const parsed = JSON.parse(extractions);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn("[Runner] Ignoring invalid extraction rules JSON:", error);
+    return [];
+  }
+}
+
+/**
+ * Validate a single extraction rule
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateExtraction(rule) {
+  if (!rule || !EXTRACTION_SOURCES.includes(rule.source)) {
+    return `Unknown extraction source: ${rule?.source}`;
+  }
+  if (!rule.variable || !/^[\w.-]+$/.test(rule.variable)) {
+    return "Variable name is required (letters, digits, _ . -)";
+  }
+  if (!rule.expression) {
+    return "Expression is required";
+  }
+  if (rule.source === "regex") {
+    try {
+      new RegExp(rule.expression);
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+function extractValue(rule, response) {
+  switch (rule.source) {
+    case "header": {
+      const target = rule.expression.toLowerCase();
+      const key = Object.keys(response.headers || {}).find(
+        (name) => name.toLowerCase() === target
+      );
+      return key === undefined ? undefined : response.headers[key];
+    }
+    case "regex": {
+      const match = new RegExp(rule.expression).exec(response.body || "");
+      if (!match) return undefined;
+      return match.length > 1 ? match[1] : match[0];
+    }
+    case "jsonPath": {
+      let json;
+      try {
+        json = JSON.parse(response.body);
+      } catch (error) {
+        return undefined;
+      }
+      const [value] = queryJsonPath(json, rule.expression);
+      if (value === undefined) return undefined;
+      return value !== null && typeof value === "object"
+        ? JSON.stringify(value)
+        : value;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Run extraction rules against a response
+ * @param {Array|string} extractions - Rules (or their JSON)
+ * @param {Object} response - {headers, body}
+ * @returns {{variables: Object, results: Array}} Extracted values and
+ *   per-rule outcome ({variable, source, expression, value, error})
+ */
+export function extractVariables(extractions, response) {
+  const variables = {};
+
+  const results = parseExtractions(extractions).map((rule) => {
+    const error = validateExtraction(rule);
+    if (error) {
+      return { ...rule, value: undefined, error };
+    }
+
+    try {
+      const value = extractValue(rule, response);
+      if (value === undefined) {
+        return { ...rule, value, error: "No match in response" };
+      }
+      variables[rule.variable] = String(value);
+      return { ...rule, value: String(value), error: null };
+    } catch (err) {
+      return { ...rule, value: undefined, error: err.message };
+    }
+  });
+
+  return { variables, results };
+}
@@ -286,6 +286,23 @@ export const webRequest = {
     },
   },
 
+  onBeforeSendHeaders: {
+    addListener(callback, filter, extraInfoSpec) {
+      if (browserInfo.isFirefox) {
+        return browser.webRequest.onBeforeSendHeaders.addListener(
+          callback,
+          filter,
+          extraInfoSpec
+        );
+      }
+      return browserAPI.webRequest.onBeforeSendHeaders.addListener(
+        callback,
+        filter,
+        extraInfoSpec
+      );
+    },
+  },
+
   onErrorOccurred: {
     addListener(callback, filter) {
       if (browserInfo.isFirefox) {
@@ -299,6 +316,25 @@ export const webRequest = {
   },
 };
 
+/**
+ * Build a webRequest extraInfoSpec, adding "extraHeaders" where supported.
+ * Chromium hides Cookie, Referer, Origin etc. from listeners without it;
+ * Firefox exposes them already and rejects unknown extraInfoSpec values.
+ * @param {string} optionsEnum - e.g. "OnBeforeSendHeadersOptions"
+ * @param {string[]} extraInfoSpec - Base extraInfoSpec
+ * @returns {string[]} extraInfoSpec for addListener
+ */
+export function withExtraHeaders(optionsEnum, extraInfoSpec = []) {
+  const options = browserInfo.isFirefox
+    ? null
+    : browserAPI.webRequest?.[optionsEnum];
+
+  if (options && Object.values(options).includes("extraHeaders")) {
+    return [...extraInfoSpec, "extraHeaders"];
+  }
+  return [...extraInfoSpec];
+}
+
 // Notifications API compatibility
 export const notifications = {
   async create(id, options) {
@@ -372,6 +408,127 @@ export const downloads = {
   },
 };
 
+// Alarms API compatibility (null when the "alarms" permission is missing)
+export const alarms = browserAPI.alarms
+  ? {
+      async create(name, alarmInfo) {
+        if (browserInfo.isFirefox) {
+          return browser.alarms.create(name, alarmInfo);
+        }
+        return new Promise((resolve, reject) => {
+          try {
+            browserAPI.alarms.create(name, alarmInfo, () => {
+              if (browserAPI.runtime.lastError) {
+                reject(browserAPI.runtime.lastError);
+              } else {
+                resolve();
+              }
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      },
+
+      async get(name) {
+        if (browserInfo.isFirefox) {
+          return browser.alarms.get(name);
+        }
+        return new Promise((resolve, reject) => {
+          try {
+            browserAPI.alarms.get(name, (alarm) => {
+              if (browserAPI.runtime.lastError) {
+                reject(browserAPI.runtime.lastError);
+              } else {
+                resolve(alarm);
+              }
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      },
+
+      async clear(name) {
+        if (browserInfo.isFirefox) {
+          return browser.alarms.clear(name);
+        }
+        return new Promise((resolve, reject) => {
+          try {
+            browserAPI.alarms.clear(name, (wasCleared) => {
+              if (browserAPI.runtime.lastError) {
+                reject(browserAPI.runtime.lastError);
+              } else {
+                resolve(wasCleared);
+              }
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      },
+
+      onAlarm: {
+        addListener(callback) {
+          return browserAPI.alarms.onAlarm.addListener(callback);
+        },
+        removeListener(callback) {
+          return browserAPI.alarms.onAlarm.removeListener(callback);
+        },
+      },
+    }
+  : null;
+
+// declarativeNetRequest API compatibility (null when the permission is
+// missing or the browser doesn't support it, e.g. Firefox before 113)
+const callDeclarativeNetRequest = (method, ...args) => {
+  if (browserInfo.isFirefox) {
+    return browser.declarativeNetRequest[method](...args);
+  }
+  return new Promise((resolve, reject) => {
+    try {
+      browserAPI.declarativeNetRequest[method](...args, (result) => {
+        if (browserAPI.runtime.lastError) {
+          reject(browserAPI.runtime.lastError);
+        } else {
+          resolve(result);
+        }
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+export const declarativeNetRequest = browserAPI.declarativeNetRequest
+  ? {
+      async getDynamicRules() {
+        return callDeclarativeNetRequest("getDynamicRules");
+      },
+
+      async updateDynamicRules(options) {
+        return callDeclarativeNetRequest("updateDynamicRules", options);
+      },
+
+      async getSessionRules() {
+        return callDeclarativeNetRequest("getSessionRules");
+      },
+
+      async updateSessionRules(options) {
+        return callDeclarativeNetRequest("updateSessionRules", options);
+      },
+
+      // Resolves to { isSupported, reason } (always supported when the
+      // browser can't check)
+      async isRegexSupported(regexOptions) {
+        if (!browserAPI.declarativeNetRequest.isRegexSupported) {
+          return { isSupported: true };
+        }
+        return callDeclarativeNetRequest("isRegexSupported", regexOptions);
+      },
+    }
+  : null;
+
 // Tabs API compatibility
 export const tabs = {
   async query(queryInfo) {
@@ -449,6 +606,16 @@ export const tabs = {
       }
     });
   },
+
+  onRemoved: {
+    addListener(callback) {
+      if (browserInfo.isFirefox) {
+        browser.tabs.onRemoved.addListener(callback);
+      } else {
+        browserAPI.tabs.onRemoved.addListener(callback);
+      }
+    },
+  },
 };
 
 // Extension feature detection
@@ -0,0 +1,349 @@
+// Database engine client - the service worker's handle on the database
+// engine. Exposes the DatabaseManagerMedallion surface (executeQuery,
+// db.exec, medallion, config, runner, ...) as async calls. Calls made while
+// a batch is in flight are coalesced into the next batch, so bursts of
+// capture writes cross the boundary together without delaying idle calls.
+
+import { runtime } from "../compat/browser-compat.js";
+import { DatabaseError } from "../errors/error-types.js";
+import { createRedactor } from "../capture/redaction.js";
+import { DatabaseEngine } from "./db-engine.js";
+import {
+  ENGINE_PORT_NAME,
+  decodeEngineMessage,
+  encodeEngineMessage,
+} from "./db-engine-protocol.js";
+
+const OFFSCREEN_DOCUMENT_PATH = "offscreen.html";
+const WORKER_PATH = "db-engine-worker.js";
+
+const MAX_BATCH_CALLS = 200;
+// Loading a large database and replaying its journal can take a while
+const INIT_TIMEOUT_MS = 60 * 1000;
+
+let creatingDocument = null;
+
+/**
+ * Create the offscreen document unless it survived a service worker restart
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)],
+  });
+  if (contexts.length > 0) {
+    return;
+  }
+
+  if (!creatingDocument) {
+    creatingDocument = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ["WORKERS"],
+        justification:
+          "Runs the SQLite database in a worker so queries don't block request capture",
+      })
+      .finally(() => {
+        creatingDocument = null;
+      });
+  }
+  await creatingDocument;
+}
+
+/**
+ * Offscreen document (Chrome) relaying to the database worker
+ */
+export async function connectOffscreenTransport({ onMessage, onDisconnect }) {
+  await ensureOffscreenDocument();
+
+  const port = await runtime.connect({ name: ENGINE_PORT_NAME });
+  port.onMessage.addListener((message) =>
+    onMessage(decodeEngineMessage(message))
+  );
+  port.onDisconnect.addListener(() => onDisconnect());
+
+  return {
+    send: (message) => port.postMessage(encodeEngineMessage(message)),
+    close: () => port.disconnect(),
+  };
+}
+
+/**
+ * Dedicated worker spawned by an event page background (Firefox)
+ */
+export async function connectWorkerTransport({ onMessage, onDisconnect }) {
+  const worker = new Worker(runtime.getURL(WORKER_PATH));
+  const close = () => {
+    worker.terminate();
+    onDisconnect();
+  };
+
+  worker.onmessage = ({ data }) => onMessage(data);
+  worker.onerror = (error) => {
+    console.error("[Database] Engine worker failed:", error.message);
+    close();
+  };
+
+  return { send: (message) => worker.postMessage(message), close };
+}
+
+/**
+ * Engine in the calling context, for browsers that can host neither
+ */
+export async function connectInProcessTransport({ onMessage }) {
+  const engine = new DatabaseEngine({
+    onEvent: (event, data) => onMessage({ event, data }),
+  });
+
+  return {
+    send: (message) => {
+      engine.handleMessage(message).then(onMessage);
+    },
+    close: () => engine.close(),
+  };
+}
+
+function getTransports() {
+  const transports = [];
+  if (globalThis.chrome?.offscreen && chrome.runtime?.getContexts) {
+    transports.push(connectOffscreenTransport);
+  } else if (typeof Worker !== "undefined") {
+    transports.push(connectWorkerTransport);
+  }
+  transports.push(connectInProcessTransport);
+  return transports;
+}
+
+function toEngineError({ name, message }) {
+  return new DatabaseError(message, { engineError: name });
+}
+
+export class DatabaseEngineClient {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Receives events published by the engine
+   * @param {Function} options.connect - Transport factory; by default the
+   *   offscreen document, a worker, then in-process are tried in turn
+   */
+  constructor({ eventBus = null, connect = null } = {}) {
+    this.eventBus = eventBus;
+    this.connectTransport = connect;
+    this.transport = null;
+    this.connecting = null;
+    this.requests = new Map(); // request id -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.queuedCalls = [];
+    this.batchInFlight = false;
+    this.flushScheduled = false;
+    this.initialized = false;
+  }
+
+  get isReady() {
+    return this.initialized;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return this;
+    }
+
+    const transports = this.connectTransport
+      ? [this.connectTransport]
+      : getTransports();
+    let lastError = null;
+
+    for (const connect of transports) {
+      this.connectTransport = connect;
+      try {
+        const description = await this.callWithTimeout(
+          "initialize",
+          INIT_TIMEOUT_MS
+        );
+        this.buildFacade(description);
+        this.initialized = true;
+        console.log("[Database] Engine connected");
+        return this;
+      } catch (error) {
+        lastError = error;
+        console.warn("[Database] Engine unavailable:", error.message);
+        this.disconnect();
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Mirror the engine's methods as async calls
+   */
+  buildFacade({ methods, namespaces }) {
+    methods.forEach((name) => {
+      this[name] = (...args) => this.call(name, args);
+    });
+    Object.entries(namespaces).forEach(([namespace, names]) => {
+      this[namespace] = {};
+      names.forEach((name) => {
+        this[namespace][name] = (...args) =>
+          this.call(`${namespace}.${name}`, args);
+      });
+    });
+
+    // Replays redact on this side too, so keep the capture rules in sync
+    const { medallion } = this;
+    if (medallion?.setRedactionConfig) {
+      const setRemoteRedactionConfig = medallion.setRedactionConfig;
+      medallion.redactionConfig = {};
+      medallion.redactor = createRedactor();
+      medallion.setRedactionConfig = (config) => {
+        medallion.redactionConfig = config || {};
+        medallion.redactor = createRedactor(config);
+        return setRemoteRedactionConfig(config);
+      };
+    }
+  }
+
+  /**
+   * Queue a call for the next batch
+   * @param {string} method - Manager method, or "namespace.method"
+   * @param {Array} args
+   * @returns {Promise<*>} The method's result
+   */
+  call(method, args = []) {
+    // Trailing undefined arguments would arrive as null and skip defaults
+    const trimmed = [...args];
+    while (trimmed.length && trimmed[trimmed.length - 1] === undefined) {
+      trimmed.pop();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queuedCalls.push({ method, args: trimmed, resolve, reject });
+      this.scheduleFlush();
+    });
+  }
+
+  callWithTimeout(method, timeoutMs) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(new DatabaseError(`Database engine timed out (${method})`)),
+        timeoutMs
+      );
+    });
+    return Promise.race([this.call(method), timeout]).finally(() =>
+      clearTimeout(timer)
+    );
+  }
+
+  scheduleFlush() {
+    if (this.batchInFlight || this.flushScheduled) {
+      return;
+    }
+    this.flushScheduled = true;
+    queueMicrotask(() => {
+      this.flushScheduled = false;
+      this.flush();
+    });
+  }
+
+  async flush() {
+    if (this.batchInFlight || this.queuedCalls.length === 0) {
+      return;
+    }
+
+    const calls = this.queuedCalls.splice(0, MAX_BATCH_CALLS);
+    this.batchInFlight = true;
+    try {
+      const results = await this.send(
+        calls.map(({ method, args }) => ({ method, args }))
+      );
+      calls.forEach((call, index) => {
+        const { result, error } = results[index] || {};
+        if (error) {
+          call.reject(toEngineError(error));
+        } else {
+          call.resolve(result);
+        }
+      });
+    } catch (error) {
+      calls.forEach((call) => call.reject(error));
+    } finally {
+      this.batchInFlight = false;
+      this.flush();
+    }
+  }
+
+  async send(calls) {
+    // A recreated engine has to load the database before anything else
+    const reconnecting = !this.transport && this.initialized;
+    const transport = await this.connect();
+    const batch = reconnecting
+      ? [{ method: "initialize", args: [] }, ...calls]
+      : calls;
+
+    const results = await new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.requests.set(id, { resolve, reject });
+      transport.send({ id, calls: batch });
+    });
+    return reconnecting ? results.slice(1) : results;
+  }
+
+  connect() {
+    if (this.transport) {
+      return Promise.resolve(this.transport);
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.connectTransport({
+        onMessage: (message) => this.handleMessage(message),
+        onDisconnect: () => this.handleDisconnect(),
+      })
+        .then((transport) => {
+          this.transport = transport;
+          return transport;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+    return this.connecting;
+  }
+
+  handleMessage(message) {
+    if (message.event) {
+      this.eventBus?.publish(message.event, message.data);
+      return;
+    }
+
+    const request = this.requests.get(message.id);
+    if (request) {
+      this.requests.delete(message.id);
+      request.resolve(message.results);
+    }
+  }
+
+  handleDisconnect() {
+    this.transport = null;
+    const error = new DatabaseError("Database engine disconnected");
+    this.requests.forEach((request) => request.reject(error));
+    this.requests.clear();
+  }
+
+  disconnect() {
+    const transport = this.transport;
+    this.transport = null;
+    transport?.close();
+    this.handleDisconnect();
+  }
+}
+
+/**
+ * Start (or reconnect to) the database engine
+ * @param {Object} eventBus - Service worker event bus for engine events
+ * @returns {Promise<DatabaseEngineClient>}
+ */
+export async function connectDatabaseEngine(eventBus) {
+  const client = new DatabaseEngineClient({ eventBus });
+  return client.initialize();
+}
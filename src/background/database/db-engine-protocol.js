@@ -0,0 +1,55 @@
+// Database engine protocol - shared by the engine client, the offscreen
+// relay and the worker. Requests are { id, calls: [{ method, args }] },
+// replies { id, results: [{ result } | { error }] } and engine events
+// { event, data }.
+
+export const ENGINE_PORT_NAME = "database-engine";
+
+// Runtime ports carry JSON, so binary values travel as base64
+export function encodeEngineMessage(value) {
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    const bytes = new Uint8Array(value);
+    let binary = "";
+    const chunkSize = 8192;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(
+        null,
+        bytes.subarray(i, i + chunkSize)
+      );
+    }
+    return { __bytes: btoa(binary) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeEngineMessage);
+  }
+  if (value && typeof value === "object") {
+    const encoded = {};
+    Object.keys(value).forEach((key) => {
+      encoded[key] = encodeEngineMessage(value[key]);
+    });
+    return encoded;
+  }
+  return value;
+}
+
+export function decodeEngineMessage(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeEngineMessage);
+  }
+  if (value && typeof value === "object") {
+    if (typeof value.__bytes === "string") {
+      const binary = atob(value.__bytes);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    }
+    const decoded = {};
+    Object.keys(value).forEach((key) => {
+      decoded[key] = decodeEngineMessage(value[key]);
+    });
+    return decoded;
+  }
+  return value;
+}
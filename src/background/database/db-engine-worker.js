@@ -0,0 +1,13 @@
+// Database worker entry - hosts the database engine off the extension's
+// main threads. Messages are { id, calls } batches; events published by the
+// engine are posted back as { event, data }.
+
+import { DatabaseEngine } from "./db-engine.js";
+
+const engine = new DatabaseEngine({
+  onEvent: (event, data) => self.postMessage({ event, data }),
+});
+
+self.onmessage = async ({ data: message }) => {
+  self.postMessage(await engine.handleMessage(message));
+};
@@ -0,0 +1,244 @@
+// Database Engine - owns the sql.js database, its managers and the alert
+// evaluator, and applies RPC calls from the service worker in arrival order.
+// Runs in a dedicated worker (spawned by the offscreen document on Chrome)
+// or in-process when no worker can be created.
+
+import { DatabaseManagerMedallion } from "./db-manager-medallion.js";
+import { DatabaseError } from "../errors/error-types.js";
+import { AlertEvaluator } from "../monitoring/alert-evaluator.js";
+import { createRedactor } from "../capture/redaction.js";
+import { buildExportSheets } from "../export/filtered-export.js";
+import { buildHar } from "../export/har-export.js";
+import { buildReportData } from "../messaging/handlers/report-handlers.js";
+
+// Database manager methods callable without a namespace
+const MANAGER_METHODS = [
+  "executeQuery",
+  "executeTransaction",
+  "saveDatabase",
+  "getRequests",
+  "saveRequest",
+  "getDatabaseSize",
+  "getDatabaseStats",
+  "exportDatabase",
+  "importDatabase",
+  "clearDatabase",
+  "vacuumDatabase",
+  "resetDatabase",
+  "cleanupOldRecords",
+  "previewCleanup",
+];
+
+// Only calls with serializable results are exposed on the raw handle
+const DB_METHODS = ["exec", "export"];
+
+const MANAGER_NAMESPACES = [
+  "medallion",
+  "config",
+  "runner",
+  "collection",
+  "scheduledRun",
+  "job",
+];
+
+/**
+ * List the callable methods of a manager, including inherited ones
+ */
+function listMethods(target) {
+  const names = new Set();
+  for (
+    let proto = target;
+    proto && proto !== Object.prototype;
+    proto = Object.getPrototypeOf(proto)
+  ) {
+    Object.getOwnPropertyNames(proto).forEach((name) => {
+      if (name !== "constructor" && typeof target[name] === "function") {
+        names.add(name);
+      }
+    });
+  }
+  return [...names];
+}
+
+/**
+ * Event bus local to the engine; every event is also forwarded to the
+ * service worker
+ */
+function createEngineEventBus(forward) {
+  const subscribers = new Map();
+  return {
+    subscribe: (event, callback) => {
+      if (!subscribers.has(event)) {
+        subscribers.set(event, []);
+      }
+      subscribers.get(event).push(callback);
+    },
+    publish: (event, data) => {
+      (subscribers.get(event) || []).forEach((callback) => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Event handler error for ${event}:`, error);
+        }
+      });
+      forward?.(event, data);
+    },
+  };
+}
+
+export class DatabaseEngine {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onEvent - Receives (event, data) for every
+   *   event published inside the engine
+   * @param {Object} options.database - Database manager, defaults to a
+   *   DatabaseManagerMedallion
+   */
+  constructor({ onEvent = null, database = null } = {}) {
+    this.onEvent = onEvent;
+    this.database = database || new DatabaseManagerMedallion();
+    this.eventBus = createEngineEventBus((event, data) =>
+      this.onEvent?.(event, data)
+    );
+    this.alerts = null;
+    this.description = null;
+    this.initPromise = null;
+    this.queue = Promise.resolve();
+
+    // Heavy builders run next to the data instead of over the boundary
+    this.reports = {
+      buildExportSheets: (filters) =>
+        buildExportSheets(this.database.db, filters || {}),
+      buildHar: (filters, options = {}) =>
+        buildHar(this.database.db, filters || {}, {
+          creatorVersion: options.creatorVersion,
+          redactor: options.redact
+            ? createRedactor({
+                ...(this.database.medallion.redactionConfig || {}),
+                enabled: true,
+              })
+            : null,
+        }),
+      buildReportData: (filters) =>
+        buildReportData(this.database.db, filters || {}),
+    };
+  }
+
+  /**
+   * Load the database once; later calls (a restarted service worker
+   * reconnecting) reuse the loaded engine
+   */
+  initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        await this.database.initialize(null, null, this.eventBus);
+        await this.database.medallion.initialize();
+        await this.database.config.initialize();
+
+        this.alerts = new AlertEvaluator(this.database.db, this.eventBus);
+        this.alerts.start();
+      })();
+      this.initPromise.catch(() => {
+        this.initPromise = null;
+      });
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Methods exposed per namespace, used by the client to build its facade
+   */
+  describe() {
+    if (this.description) {
+      return this.description;
+    }
+
+    const namespaces = { db: DB_METHODS, reports: Object.keys(this.reports) };
+    MANAGER_NAMESPACES.forEach((name) => {
+      namespaces[name] = this.database[name]
+        ? listMethods(this.database[name])
+        : [];
+    });
+    namespaces.alerts = ["evaluateRules"];
+
+    this.description = {
+      methods: MANAGER_METHODS.filter(
+        (name) => typeof this.database[name] === "function"
+      ),
+      namespaces,
+    };
+    return this.description;
+  }
+
+  /**
+   * Apply a batch of calls after every earlier batch has finished
+   * @param {Object} message - { id, calls: [{ method, args }] }
+   * @returns {Promise<Object>} { id, results: [{ result } | { error }] }
+   */
+  handleMessage(message) {
+    const run = this.queue.then(() => this.runCalls(message.calls || []));
+    this.queue = run.catch(() => {});
+    return run.then((results) => ({ id: message.id, results }));
+  }
+
+  async runCalls(calls) {
+    const results = [];
+    for (const { method, args } of calls) {
+      try {
+        results.push({ result: await this.invoke(method, args || []) });
+      } catch (error) {
+        results.push({
+          error: { name: error.name, message: error.message },
+        });
+      }
+    }
+    return results;
+  }
+
+  async invoke(method, args) {
+    if (method === "initialize") {
+      await this.initialize();
+      return this.describe();
+    }
+    if (!this.database.isReady) {
+      throw new DatabaseError("Database not initialized");
+    }
+
+    const [namespace, name] = method.includes(".")
+      ? method.split(".")
+      : [null, method];
+    const target = this.resolveTarget(namespace, name);
+    if (!target) {
+      throw new DatabaseError(`Unknown database method: ${method}`);
+    }
+
+    const { redactionConfig } = this.database.medallion;
+    const result = await target[name](...args);
+
+    // Import and reset swap the sql.js handle and the managers built on it
+    if (name === "importDatabase" || name === "resetDatabase") {
+      this.alerts.db = this.database.db;
+      this.database.medallion.setRedactionConfig(redactionConfig);
+    }
+
+    return result;
+  }
+
+  resolveTarget(namespace, name) {
+    if (!namespace) {
+      return MANAGER_METHODS.includes(name) ? this.database : null;
+    }
+
+    const methods = this.describe().namespaces[namespace] || [];
+    if (!methods.includes(name)) {
+      return null;
+    }
+    if (namespace === "reports") return this.reports;
+    if (namespace === "alerts") return this.alerts;
+    return this.database[namespace];
+  }
+
+  close() {
+    this.alerts?.stop();
+  }
+}
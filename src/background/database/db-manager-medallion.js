@@ -8,6 +8,7 @@ import {
   validateAndFixSchema,
 } from "./medallion-schema.js";
 import { createMedallionManager } from "./medallion-manager.js";
+import { PersistenceJournal } from "./persistence-journal.js";
 import { createConfigSchemaManager } from "./config-schema-manager.js";
 import {
   migrateToMedallionArchitecture,
@@ -19,46 +20,21 @@ let db = null;
 let medallionManager = null;
 let configManager = null;
 let eventBus = null;
-let isSaving = false;
+let journal = null;
 let autoSaveInterval = null;
 const DB_FILE_NAME = "universal_request_analyzer.sqlite";
+// Journal flushes are cheap appends, so they run far more often than the
+// old full exports did
+const JOURNAL_FLUSH_INTERVAL_MS = 5000;
 
 /**
- * Load database from OPFS (Origin Private File System)
+ * Schema fingerprint, used to tell whether initialization changed the schema
  */
-async function loadDatabaseFromOPFS() {
-  try {
-    const fsHandle = await navigator.storage.getDirectory();
-    const fileHandle = await fsHandle.getFileHandle(DB_FILE_NAME, {
-      create: true,
-    });
-    const file = await fileHandle.getFile();
-    return new Uint8Array(await file.arrayBuffer());
-  } catch (error) {
-    console.warn(
-      "Failed to load database from OPFS. Creating a new one.",
-      error
-    );
-    return null;
-  }
-}
-
-/**
- * Save database to OPFS
- */
-async function saveDatabaseToOPFS(data) {
-  try {
-    const fsHandle = await navigator.storage.getDirectory();
-    const fileHandle = await fsHandle.getFileHandle(DB_FILE_NAME, {
-      create: true,
-    });
-    const writable = await fileHandle.createWritable();
-    await writable.write(data);
-    await writable.close();
-    console.log("Database saved to OPFS.");
-  } catch (error) {
-    console.error("Failed to save database to OPFS.", error);
-  }
+function getSchemaSignature(dbInstance) {
+  const result = dbInstance.exec(
+    "SELECT group_concat(sql, ';') FROM sqlite_master"
+  );
+  return result[0]?.values[0]?.[0] || "";
 }
 
 /**
@@ -68,9 +44,19 @@ async function initializeDatabase() {
   try {
     const SQL = await initSqlJs();
 
-    // Load existing database or create new one
-    const data = await loadDatabaseFromOPFS();
-    const dbInstance = data ? new SQL.Database(data) : new SQL.Database();
+    // Load the OPFS snapshot and replay its journal, or create a new database
+    journal = new PersistenceJournal({ fileName: DB_FILE_NAME });
+    let dbInstance;
+    try {
+      dbInstance = await journal.load(SQL);
+    } catch (error) {
+      console.warn(
+        "Failed to load database from OPFS. Creating a new one.",
+        error
+      );
+      dbInstance = new SQL.Database();
+    }
+    const schemaBefore = getSchemaSignature(dbInstance);
 
     // Check if medallion migration has been completed
     const migrationComplete = await isMedallionMigrationComplete(dbInstance);
@@ -100,6 +86,18 @@ async function initializeDatabase() {
       // Don't fail initialization if this fails
     }
 
+    // Initialization runs before journaling starts. Journal segments are
+    // replayed against the snapshot's schema, so schema changes must reach
+    // the snapshot before new writes are journaled.
+    journal.attach(dbInstance);
+    if (!migrationComplete || getSchemaSignature(dbInstance) !== schemaBefore) {
+      try {
+        await journal.compact();
+      } catch (error) {
+        console.warn("Failed to write schema changes to OPFS:", error);
+      }
+    }
+
     return dbInstance;
   } catch (error) {
     console.error("Failed to initialize database:", error);
@@ -115,34 +113,53 @@ function setupAutoSave() {
     clearInterval(autoSaveInterval);
   }
 
-  // Auto-save every 30 seconds
   autoSaveInterval = setInterval(async () => {
     await saveDatabase();
-  }, 30000);
+  }, JOURNAL_FLUSH_INTERVAL_MS);
 }
 
 /**
  * Save database to OPFS
+ * Appends writes made since the last save to the journal; the journal
+ * compacts itself into the snapshot once it grows past its limits
  */
 export async function saveDatabase() {
-  if (!db || isSaving) {
+  if (!db || !journal) {
     return;
   }
 
   try {
-    isSaving = true;
-    const data = db.export();
-    await saveDatabaseToOPFS(data);
+    const written = await journal.flush();
 
-    eventBus?.publish("database:saved", { timestamp: Date.now() });
+    if (written) {
+      eventBus?.publish("database:saved", { timestamp: Date.now() });
+    }
   } catch (error) {
     console.error("Failed to save database:", error);
     eventBus?.publish("database:error", {
       error: "save_failed",
       message: error.message,
     });
-  } finally {
-    isSaving = false;
+  }
+}
+
+/**
+ * Rewrite the OPFS snapshot from memory and drop the journal
+ */
+export async function compactDatabase() {
+  if (!db || !journal) {
+    return;
+  }
+
+  try {
+    await journal.compact();
+    eventBus?.publish("database:saved", { timestamp: Date.now() });
+  } catch (error) {
+    console.error("Failed to compact database:", error);
+    eventBus?.publish("database:error", {
+      error: "save_failed",
+      message: error.message,
+    });
   }
 }
 
@@ -176,6 +193,7 @@ export async function initDatabase(dbConfig, encryptionMgr, events) {
       executeQuery,
       executeTransaction,
       saveDatabase,
+      compactDatabase,
 
       // Medallion operations
       medallion: medallionManager,
@@ -207,7 +225,10 @@ export async function initDatabase(dbConfig, encryptionMgr, events) {
         updateRunnerDefinition,
         getAllRunners,
         getRunnerExecutions,
+        getRunnerExecution,
         getExecutionResults,
+        saveLoadStats,
+        getLoadStats,
         cleanupTemporaryRunners,
         deleteRunner,
       },
@@ -231,6 +252,16 @@ export async function initDatabase(dbConfig, encryptionMgr, events) {
         updateScheduledRun,
         deleteScheduledRun,
       },
+
+      // Background job operations
+      job: {
+        registerJobs,
+        setJobEnabled,
+        getJobs,
+        claimJob,
+        completeJobRun,
+        getJobRuns,
+      },
     };
   } catch (error) {
     console.error("Failed to initialize database:", error);
@@ -349,8 +380,10 @@ export function getDatabaseSize() {
   }
 
   try {
-    const data = db.export();
-    return data.length;
+    // Same size as an export, without serializing the database
+    const pageCount = db.exec("PRAGMA page_count")[0]?.values[0]?.[0] || 0;
+    const pageSize = db.exec("PRAGMA page_size")[0]?.values[0]?.[0] || 0;
+    return pageCount * pageSize;
   } catch (error) {
     console.error("Failed to get database size:", error);
     return 0;
@@ -370,6 +403,7 @@ export function getDatabaseStats() {
       size: getDatabaseSize(),
       tables: {},
       lastModified: Date.now(),
+      persistence: journal ? journal.getStats() : null,
     };
 
     // Count rows in each layer
@@ -432,23 +466,22 @@ export function exportDatabase() {
  * Import database from Uint8Array
  */
 export async function importDatabase(uint8Array) {
-  if (!SQL || !dbConfig) {
+  if (!db || !journal) {
     throw new DatabaseError("Database not initialized");
   }
 
   try {
     console.log("[DB] Importing database...");
+    const SQL = await initSqlJs();
 
-    // Close current database
-    if (db) {
-      db.close();
-    }
-
-    // Create new database from imported data
-    db = new SQL.Database(uint8Array);
+    // Create new database from imported data, replacing the current one
+    const imported = new SQL.Database(uint8Array);
+    db.close();
+    db = imported;
 
-    // Save to OPFS
-    await saveToOPFS(db.export());
+    // The snapshot becomes the imported database and the journal is dropped
+    journal.attach(db);
+    await journal.compact();
 
     console.log("[DB] Database imported successfully");
 
@@ -477,6 +510,8 @@ export async function clearDatabase() {
       "bronze_events",
       "bronze_sessions",
       "bronze_errors",
+      "bronze_realtime_connections",
+      "bronze_realtime_frames",
       "silver_requests",
       "silver_request_metrics",
       "silver_domain_stats",
@@ -502,8 +537,8 @@ export async function clearDatabase() {
 
     db.exec("COMMIT");
 
-    // Save changes
-    await saveDatabase();
+    // Rewrite the snapshot so cleared data doesn't linger on disk
+    await compactDatabase();
 
     eventBus?.publish("database:cleared", { timestamp: Date.now() });
 
@@ -562,7 +597,7 @@ export async function resetDatabase() {
     configManager = createConfigSchemaManager(db);
 
     // Save to OPFS
-    await saveDatabase();
+    await compactDatabase();
 
     eventBus?.publish("database:reset", { timestamp: Date.now() });
 
@@ -582,13 +617,16 @@ export async function resetDatabase() {
 /**
  * Vacuum database to optimize storage
  */
-export function vacuumDatabase() {
+export async function vacuumDatabase() {
   if (!db) {
     return;
   }
 
   try {
     db.exec("VACUUM");
+    // VACUUM isn't journaled; the smaller file only reaches OPFS through a
+    // new snapshot
+    await compactDatabase();
     eventBus?.publish("database:vacuumed", { timestamp: Date.now() });
   } catch (error) {
     console.error("Failed to vacuum database:", error);
@@ -649,6 +687,12 @@ export async function cleanupOldRecords(days) {
     db.exec(
       `DELETE FROM bronze_request_timings WHERE request_id NOT IN (SELECT id FROM bronze_requests)`
     );
+    db.exec(
+      `DELETE FROM bronze_realtime_connections WHERE started_at < ${cutoffTimestamp}`
+    );
+    db.exec(
+      `DELETE FROM bronze_realtime_frames WHERE connection_id NOT IN (SELECT id FROM bronze_realtime_connections)`
+    );
 
     // Delete from silver layer
     db.exec(`DELETE FROM silver_requests WHERE timestamp < ${cutoffTimestamp}`);
@@ -674,7 +718,7 @@ export async function cleanupOldRecords(days) {
     await saveDatabase();
 
     // Vacuum to reclaim space
-    vacuumDatabase();
+    await vacuumDatabase();
 
     const stats = {
       recordsDeleted: totalToDelete,
@@ -842,7 +886,8 @@ async function createRunner(definition, requests) {
       INSERT INTO config_runner_definitions (
         id, name, description, collection_id, execution_mode,
         delay_ms, follow_redirects, validate_status, use_variables,
-        header_overrides, variables, is_active, created_at, updated_at, run_count
+        header_overrides, variables, environment_id, load_config, is_active,
+        created_at, updated_at, run_count
       ) VALUES (
         ${escapeStr(definition.id)},
         ${escapeStr(definition.name)},
@@ -857,6 +902,12 @@ async function createRunner(definition, requests) {
         ${escapeStr(
           definition.variables ? JSON.stringify(definition.variables) : null
         )},
+        ${escapeStr(definition.environment_id || null)},
+        ${escapeStr(
+          definition.load_config && typeof definition.load_config !== "string"
+            ? JSON.stringify(definition.load_config)
+            : definition.load_config || null
+        )},
         1,
         ${definition.created_at},
         ${definition.updated_at},
@@ -873,7 +924,7 @@ async function createRunner(definition, requests) {
         INSERT INTO config_runner_requests (
           id, runner_id, sequence_order, url, method,
           headers, body, domain, page_url, captured_request_id,
-          assertions, description, is_enabled, created_at
+          assertions, extractions, description, is_enabled, created_at
         ) VALUES (
           ${escapeStr(req.id)},
           ${escapeStr(req.runner_id)},
@@ -886,6 +937,7 @@ async function createRunner(definition, requests) {
           ${escapeStr(req.page_url || req.url || "unknown")},
           ${escapeStr(req.captured_request_id)},
           ${escapeStr(req.assertions)},
+          ${escapeStr(req.extractions)},
           ${escapeStr(req.description)},
           1,
           ${req.created_at}
@@ -900,7 +952,7 @@ async function createRunner(definition, requests) {
     );
 
     try {
-      await saveDatabaseToOPFS(db.export());
+      await saveDatabase();
     } catch (saveError) {
       console.warn(
         "[Runner] Database save warning (non-critical):",
@@ -1019,7 +1071,7 @@ async function createRunnerExecution(execution) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[Runner] Created execution: ${execution.id}`);
     return { success: true };
@@ -1041,7 +1093,8 @@ async function createRunnerExecutionResult(result) {
         execution_id, runner_request_id, logged_request_id,
         sequence_order, url, method, status, duration,
         success, assertion_results, validation_errors,
-        error_message, timestamp
+        error_message, request_headers, request_body,
+        response_headers, response_body, timestamp
       ) VALUES (
         ${escapeStr(result.execution_id)},
         ${escapeStr(result.runner_request_id)},
@@ -1055,6 +1108,10 @@ async function createRunnerExecutionResult(result) {
         ${escapeStr(result.assertion_results)},
         ${escapeStr(result.validation_errors)},
         ${escapeStr(result.error_message)},
+        ${escapeStr(result.request_headers)},
+        ${escapeStr(result.request_body)},
+        ${escapeStr(result.response_headers)},
+        ${escapeStr(result.response_body)},
         ${result.timestamp}
       )
     `;
@@ -1101,7 +1158,7 @@ async function updateRunnerExecution(executionId, updates) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     return { success: true };
   } catch (error) {
@@ -1110,6 +1167,84 @@ async function updateRunnerExecution(executionId, updates) {
   }
 }
 
+/**
+ * Store the per-second stats of a load test execution
+ */
+async function saveLoadStats(executionId, buckets) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    const value = (number) =>
+      number === null || number === undefined ? "NULL" : Number(number);
+
+    db.exec("BEGIN");
+    try {
+      buckets.forEach((bucket) => {
+        db.exec(`
+          INSERT INTO bronze_runner_load_stats (
+            execution_id, bucket_start, offset_seconds, requests, errors,
+            rps, active_users, p50, p90, p95, p99, min_latency,
+            max_latency, avg_latency
+          ) VALUES (
+            ${escapeStr(executionId)},
+            ${value(bucket.bucketStart)},
+            ${value(bucket.offsetSeconds)},
+            ${value(bucket.requests)},
+            ${value(bucket.errors)},
+            ${value(bucket.rps)},
+            ${value(bucket.activeUsers)},
+            ${value(bucket.p50)},
+            ${value(bucket.p90)},
+            ${value(bucket.p95)},
+            ${value(bucket.p99)},
+            ${value(bucket.min)},
+            ${value(bucket.max)},
+            ${value(bucket.avg)}
+          )
+        `);
+      });
+      db.exec("COMMIT");
+    } catch (error) {
+      db.exec("ROLLBACK");
+      throw error;
+    }
+
+    await saveDatabase();
+    return { success: true };
+  } catch (error) {
+    console.error("[Runner] Failed to save load stats:", error);
+    throw new DatabaseError(`Failed to save load stats: ${error.message}`);
+  }
+}
+
+/**
+ * Get the per-second stats of a load test execution
+ */
+async function getLoadStats(executionId) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    const result = db.exec(`
+      SELECT * FROM bronze_runner_load_stats
+      WHERE execution_id = ${escapeStr(executionId)}
+      ORDER BY offset_seconds
+    `);
+    if (!result || result.length === 0) return [];
+
+    const columns = result[0].columns;
+    return result[0].values.map((values) => {
+      const row = {};
+      columns.forEach((col, idx) => {
+        row[col] = values[idx];
+      });
+      return row;
+    });
+  } catch (error) {
+    console.error("[Runner] Failed to get load stats:", error);
+    throw new DatabaseError(`Failed to get load stats: ${error.message}`);
+  }
+}
+
 /**
  * Update runner definition
  */
@@ -1124,6 +1259,8 @@ async function updateRunnerDefinition(runnerId, updates) {
       sets.push(`description = ${escapeStr(updates.description)}`);
     if (updates.collection_id !== undefined)
       sets.push(`collection_id = ${escapeStr(updates.collection_id)}`);
+    if (updates.environment_id !== undefined)
+      sets.push(`environment_id = ${escapeStr(updates.environment_id)}`);
     if (updates.last_run_at) sets.push(`last_run_at = ${updates.last_run_at}`);
     if (updates.run_count !== undefined)
       sets.push(`run_count = ${updates.run_count}`);
@@ -1137,7 +1274,7 @@ async function updateRunnerDefinition(runnerId, updates) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     return { success: true };
   } catch (error) {
@@ -1170,7 +1307,7 @@ async function ensureRunnerTablesExist() {
 
       // Create runner tables
       await createMedallionSchema(db);
-      await saveDatabaseToOPFS(db.export());
+      await saveDatabase();
 
       console.log("[Runner] Runner tables created successfully");
     }
@@ -1325,6 +1462,32 @@ async function getRunnerExecutions(runnerId, limit = 50) {
   }
 }
 
+/**
+ * Get a single execution
+ */
+async function getRunnerExecution(executionId) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    const result = db.exec(`
+      SELECT * FROM bronze_runner_executions
+      WHERE id = ${escapeStr(executionId)}
+    `);
+    if (!result || result.length === 0 || !result[0].values.length) {
+      return null;
+    }
+
+    const execution = {};
+    result[0].columns.forEach((col, idx) => {
+      execution[col] = result[0].values[0][idx];
+    });
+    return execution;
+  } catch (error) {
+    console.error("[Runner] Failed to get execution:", error);
+    throw new DatabaseError(`Failed to get execution: ${error.message}`);
+  }
+}
+
 /**
  * Get detailed results for a specific execution
  */
@@ -1334,7 +1497,11 @@ async function getExecutionResults(executionId) {
   try {
     const query = `
       SELECT
-        rer.*,
+        rer.id, rer.execution_id, rer.runner_request_id,
+        rer.logged_request_id, rer.sequence_order, rer.url, rer.method,
+        rer.status, rer.duration, rer.success, rer.assertion_results,
+        rer.validation_errors, rer.error_message, rer.timestamp,
+        crr.captured_request_id,
         br.status as http_status,
         br.duration as actual_duration,
         br.size_bytes,
@@ -1342,6 +1509,7 @@ async function getExecutionResults(executionId) {
         br.page_url
       FROM bronze_runner_execution_results rer
       LEFT JOIN bronze_requests br ON rer.logged_request_id = br.id
+      LEFT JOIN config_runner_requests crr ON rer.runner_request_id = crr.id
       WHERE rer.execution_id = ${escapeStr(executionId)}
       ORDER BY rer.sequence_order
     `;
@@ -1385,7 +1553,7 @@ async function cleanupTemporaryRunners(daysOld = 7) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(
       `[Runner] Cleaned up temporary runners older than ${daysOld} days`
@@ -1411,7 +1579,7 @@ async function deleteRunner(runnerId) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[Runner] Deleted runner: ${runnerId}`);
     return { success: true };
@@ -1436,7 +1604,7 @@ async function createCollection(collectionData) {
   try {
     const query = `
       INSERT INTO config_runner_collections (
-        id, name, description, color, icon,
+        id, name, description, color, icon, environment_id,
         is_active, created_at, updated_at
       ) VALUES (
         ${escapeStr(collectionData.id)},
@@ -1444,6 +1612,7 @@ async function createCollection(collectionData) {
         ${escapeStr(collectionData.description || null)},
         ${escapeStr(collectionData.color || "#007bff")},
         ${escapeStr(collectionData.icon || "fa-folder")},
+        ${escapeStr(collectionData.environment_id || null)},
         ${collectionData.is_active !== false ? 1 : 0},
         ${collectionData.created_at || Date.now()},
         ${collectionData.updated_at || Date.now()}
@@ -1451,7 +1620,7 @@ async function createCollection(collectionData) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[Collection] Created collection: ${collectionData.name}`);
     return { success: true, collectionId: collectionData.id };
@@ -1587,6 +1756,11 @@ async function updateCollection(collectionId, updates) {
     if (updates.icon !== undefined) {
       setClauses.push(`icon = ${escapeStr(updates.icon)}`);
     }
+    if (updates.environment_id !== undefined) {
+      setClauses.push(
+        `environment_id = ${escapeStr(updates.environment_id || null)}`
+      );
+    }
     if (updates.is_active !== undefined) {
       setClauses.push(`is_active = ${updates.is_active ? 1 : 0}`);
     }
@@ -1605,7 +1779,7 @@ async function updateCollection(collectionId, updates) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[Collection] Updated collection: ${collectionId}`);
     return { success: true };
@@ -1637,7 +1811,7 @@ async function deleteCollection(collectionId) {
     `;
     db.exec(deleteQuery);
 
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[Collection] Deleted collection: ${collectionId}`);
     return { success: true };
@@ -1666,7 +1840,7 @@ async function assignRunnersToCollection(runnerIds, collectionId) {
       db.exec(query);
     }
 
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(
       `[Collection] Assigned ${runnerIdList.length} runner(s) to collection: ${collectionId}`
@@ -1697,7 +1871,7 @@ async function removeRunnersFromCollection(runnerIds) {
       db.exec(query);
     }
 
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(
       `[Collection] Removed ${runnerIdList.length} runner(s) from collection`
@@ -1743,7 +1917,7 @@ async function createScheduledRun(scheduleData) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[ScheduledRun] Created scheduled run: ${scheduleData.id}`);
     return { success: true, schedule: scheduleData };
@@ -1753,6 +1927,41 @@ async function createScheduledRun(scheduleData) {
   }
 }
 
+/**
+ * Map a config_runner_scheduled_runs row to the schedule shape used by
+ * RunnerCollections (camelCase, same as scheduleRun())
+ */
+function mapScheduledRunRow(columns, row) {
+  const record = {};
+  columns.forEach((col, idx) => {
+    record[col] = row[idx];
+  });
+
+  let daysOfWeek = null;
+  if (record.days_of_week) {
+    try {
+      daysOfWeek = JSON.parse(record.days_of_week);
+    } catch (e) {
+      daysOfWeek = null;
+    }
+  }
+
+  return {
+    id: record.id,
+    collectionId: record.collection_id,
+    collectionName: record.collection_name,
+    type: record.schedule_type,
+    interval: record.interval_minutes,
+    time: record.time_of_day,
+    daysOfWeek,
+    nextRunAt: record.next_run_at,
+    enabled: !!record.enabled,
+    createdAt: record.created_at,
+    lastRunAt: record.last_run_at,
+    lastStatus: record.last_status,
+  };
+}
+
 /**
  * Get all scheduled runs
  */
@@ -1770,23 +1979,7 @@ async function getScheduledRuns() {
     }
 
     const columns = result[0].columns;
-    return result[0].values.map((row) => {
-      const schedule = {};
-      columns.forEach((col, idx) => {
-        schedule[col] = row[idx];
-      });
-
-      // Parse JSON fields
-      if (schedule.days_of_week) {
-        try {
-          schedule.daysOfWeek = JSON.parse(schedule.days_of_week);
-        } catch (e) {
-          schedule.daysOfWeek = null;
-        }
-      }
-
-      return schedule;
-    });
+    return result[0].values.map((row) => mapScheduledRunRow(columns, row));
   } catch (error) {
     console.error("[ScheduledRun] Failed to get scheduled runs:", error);
     throw new DatabaseError(`Failed to get scheduled runs: ${error.message}`);
@@ -1814,23 +2007,7 @@ async function getScheduledRun(scheduleId) {
       return null;
     }
 
-    const columns = result[0].columns;
-    const row = result[0].values[0];
-    const schedule = {};
-    columns.forEach((col, idx) => {
-      schedule[col] = row[idx];
-    });
-
-    // Parse JSON fields
-    if (schedule.days_of_week) {
-      try {
-        schedule.daysOfWeek = JSON.parse(schedule.days_of_week);
-      } catch (e) {
-        schedule.daysOfWeek = null;
-      }
-    }
-
-    return schedule;
+    return mapScheduledRunRow(result[0].columns, result[0].values[0]);
   } catch (error) {
     console.error("[ScheduledRun] Failed to get scheduled run:", error);
     throw new DatabaseError(`Failed to get scheduled run: ${error.message}`);
@@ -1887,7 +2064,7 @@ async function updateScheduledRun(scheduleId, updates) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[ScheduledRun] Updated scheduled run: ${scheduleId}`);
     return { success: true };
@@ -1910,7 +2087,7 @@ async function deleteScheduledRun(scheduleId) {
     `;
 
     db.exec(query);
-    await saveDatabaseToOPFS(db.export());
+    await saveDatabase();
 
     console.log(`[ScheduledRun] Deleted scheduled run: ${scheduleId}`);
     return { success: true };
@@ -1920,6 +2097,277 @@ async function deleteScheduledRun(scheduleId) {
   }
 }
 
+// ========================
+// SCHEDULER JOB FUNCTIONS
+// ========================
+
+// Runs kept per job in config_job_runs
+const JOB_RUN_HISTORY_LIMIT = 50;
+
+/**
+ * Map a config_jobs row to the job shape used by the job scheduler
+ */
+function mapJobRow(columns, row) {
+  const record = {};
+  columns.forEach((col, idx) => {
+    record[col] = row[idx];
+  });
+
+  return {
+    name: record.name,
+    label: record.label,
+    intervalMs: record.interval_ms,
+    enabled: !!record.enabled,
+    nextRunAt: record.next_run_at,
+    runningSince: record.running_since,
+    lastRunAt: record.last_run_at,
+    lastFinishedAt: record.last_finished_at,
+    lastStatus: record.last_status,
+    lastError: record.last_error,
+    lastDurationMs: record.last_duration_ms,
+    runCount: record.run_count || 0,
+    consecutiveFailures: record.consecutive_failures || 0,
+  };
+}
+
+/**
+ * Create or update job rows from the scheduler's definitions
+ * Run state and the stored enabled flag are kept (enabled only seeds new
+ * rows; see setJobEnabled); a job whose interval changed is rescheduled
+ * @param {Array} jobs - [{ name, label, intervalMs, enabled, nextRunAt }]
+ */
+async function registerJobs(jobs) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    const now = Date.now();
+    for (const job of jobs) {
+      db.run(
+        `
+        INSERT INTO config_jobs (
+          name, label, interval_ms, enabled, next_run_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET
+          label = excluded.label,
+          next_run_at = CASE
+            WHEN next_run_at IS NULL OR interval_ms != excluded.interval_ms
+            THEN excluded.next_run_at
+            ELSE next_run_at
+          END,
+          interval_ms = excluded.interval_ms,
+          updated_at = excluded.updated_at
+      `,
+        [
+          job.name,
+          job.label || job.name,
+          job.intervalMs,
+          job.enabled ? 1 : 0,
+          job.nextRunAt,
+          now,
+        ]
+      );
+    }
+    return true;
+  } catch (error) {
+    console.error("[Jobs] Failed to register jobs:", error);
+    throw new DatabaseError(`Failed to register jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Turn a job on or off
+ * @param {string} jobName
+ * @param {boolean} enabled
+ * @param {number} nextRunAt - Next run for a job being turned on, so one
+ *   that was off for a while doesn't run straight away
+ */
+async function setJobEnabled(jobName, enabled, nextRunAt) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    db.run(
+      `
+      UPDATE config_jobs SET
+        next_run_at = CASE WHEN ? AND enabled = 0 THEN ? ELSE next_run_at END,
+        enabled = ?,
+        updated_at = ?
+      WHERE name = ?
+    `,
+      [enabled ? 1 : 0, nextRunAt, enabled ? 1 : 0, Date.now(), jobName]
+    );
+    return db.getRowsModified() > 0;
+  } catch (error) {
+    console.error("[Jobs] Failed to update job:", error);
+    throw new DatabaseError(`Failed to update job: ${error.message}`);
+  }
+}
+
+/**
+ * Get all jobs
+ */
+async function getJobs() {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    const result = db.exec(`SELECT * FROM config_jobs ORDER BY name ASC`);
+
+    if (!result || result.length === 0 || !result[0].values) {
+      return [];
+    }
+
+    const columns = result[0].columns;
+    return result[0].values.map((row) => mapJobRow(columns, row));
+  } catch (error) {
+    console.error("[Jobs] Failed to get jobs:", error);
+    throw new DatabaseError(`Failed to get jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Take the run lease for a job
+ * Fails while another run holds it, unless that run started more than
+ * leaseMs ago (its service worker was killed mid-run)
+ * @returns {Promise<boolean>} true if the caller may run the job
+ */
+async function claimJob(jobName, now, leaseMs) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    db.run(
+      `
+      UPDATE config_jobs SET running_since = ?
+      WHERE name = ? AND (running_since IS NULL OR running_since < ?)
+    `,
+      [now, jobName, now - leaseMs]
+    );
+    return db.getRowsModified() > 0;
+  } catch (error) {
+    console.error("[Jobs] Failed to claim job:", error);
+    throw new DatabaseError(`Failed to claim job: ${error.message}`);
+  }
+}
+
+/**
+ * Record a finished run, release the lease and schedule the next run
+ * @param {string} jobName
+ * @param {Object} run - { trigger, status, error, startedAt, finishedAt,
+ *   nextRunAt }; a null nextRunAt keeps the current schedule
+ */
+async function completeJobRun(jobName, run) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    const failed = run.status === "failed" ? 1 : 0;
+    const durationMs = run.finishedAt - run.startedAt;
+
+    db.run(
+      `
+      UPDATE config_jobs SET
+        running_since = NULL,
+        next_run_at = COALESCE(?, next_run_at),
+        last_run_at = ?,
+        last_finished_at = ?,
+        last_status = ?,
+        last_error = ?,
+        last_duration_ms = ?,
+        run_count = run_count + 1,
+        consecutive_failures = CASE WHEN ? THEN consecutive_failures + 1 ELSE 0 END,
+        updated_at = ?
+      WHERE name = ?
+    `,
+      [
+        run.nextRunAt,
+        run.startedAt,
+        run.finishedAt,
+        run.status,
+        run.error || null,
+        durationMs,
+        failed,
+        run.finishedAt,
+        jobName,
+      ]
+    );
+    db.run(
+      `
+      INSERT INTO config_job_runs (
+        job_name, triggered_by, status, error, started_at, finished_at, duration_ms
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        jobName,
+        run.trigger || "schedule",
+        run.status,
+        run.error || null,
+        run.startedAt,
+        run.finishedAt,
+        durationMs,
+      ]
+    );
+    db.run(
+      `
+      DELETE FROM config_job_runs
+      WHERE job_name = ? AND id NOT IN (
+        SELECT id FROM config_job_runs WHERE job_name = ?
+        ORDER BY started_at DESC LIMIT ?
+      )
+    `,
+      [jobName, jobName, JOB_RUN_HISTORY_LIMIT]
+    );
+
+    await saveDatabase();
+    return { success: true };
+  } catch (error) {
+    console.error("[Jobs] Failed to record job run:", error);
+    throw new DatabaseError(`Failed to record job run: ${error.message}`);
+  }
+}
+
+/**
+ * Get recent runs, newest first
+ * @param {string} [jobName] - Only runs of this job
+ * @param {number} [limit]
+ */
+async function getJobRuns(jobName = null, limit = 20) {
+  if (!db) throw new DatabaseError("Database not initialized");
+
+  try {
+    const result = db.exec(
+      `
+      SELECT * FROM config_job_runs
+      ${jobName ? "WHERE job_name = ?" : ""}
+      ORDER BY started_at DESC
+      LIMIT ?
+    `,
+      jobName ? [jobName, limit] : [limit]
+    );
+
+    if (!result || result.length === 0 || !result[0].values) {
+      return [];
+    }
+
+    const columns = result[0].columns;
+    return result[0].values.map((row) => {
+      const record = {};
+      columns.forEach((col, idx) => {
+        record[col] = row[idx];
+      });
+      return {
+        id: record.id,
+        jobName: record.job_name,
+        trigger: record.triggered_by,
+        status: record.status,
+        error: record.error,
+        startedAt: record.started_at,
+        finishedAt: record.finished_at,
+        durationMs: record.duration_ms,
+      };
+    });
+  } catch (error) {
+    console.error("[Jobs] Failed to get job runs:", error);
+    throw new DatabaseError(`Failed to get job runs: ${error.message}`);
+  }
+}
+
 /**
  * Class wrapper for backward compatibility
  */
@@ -1927,6 +2375,7 @@ export class DatabaseManagerMedallion {
   constructor() {
     this.initialized = false;
     this.dbApi = null;
+    this.eventBus = null;
   }
 
   async initialize(config = {}, encryptionMgr = null, events = null) {
@@ -1936,6 +2385,7 @@ export class DatabaseManagerMedallion {
     }
 
     try {
+      this.eventBus = events;
       this.dbApi = await initDatabase(config, encryptionMgr, events);
       this.initialized = true;
       return this.dbApi;
@@ -2054,6 +2504,18 @@ export class DatabaseManagerMedallion {
     return this.dbApi.collection;
   }
 
+  // Scheduled run operations proxy
+  get scheduledRun() {
+    if (!this.initialized) throw new DatabaseError("Database not initialized");
+    return this.dbApi.scheduledRun;
+  }
+
+  // Background job operations proxy
+  get job() {
+    if (!this.initialized) throw new DatabaseError("Database not initialized");
+    return this.dbApi.job;
+  }
+
   async cleanup() {
     if (this.initialized) {
       await cleanup();
@@ -2,6 +2,14 @@
 // Manages data flow between Bronze -> Silver -> Gold layers
 
 import { DatabaseError } from "../errors/error-types.js";
+import { createRedactor } from "../capture/redaction.js";
+import { truncateBody } from "../capture/body-capture.js";
+
+// How far a measured timing may be from a captured request's start time
+const TIMING_MATCH_WINDOW_MS = 30000;
+
+// How far a WebSocket/SSE handshake may be from the connection's start time
+const HANDSHAKE_MATCH_WINDOW_MS = 30000;
 
 /**
  * MedallionManager - Orchestrates data processing through medallion layers
@@ -13,6 +21,17 @@ export class MedallionManager {
     this.processingQueue = [];
     this.isProcessing = false;
     this.initialized = false;
+    this.redactionConfig = {};
+    this.redactor = createRedactor();
+  }
+
+  /**
+   * Update the redaction rules applied before Bronze writes
+   * @param {Object} config - capture.redaction settings
+   */
+  setRedactionConfig(config) {
+    this.redactionConfig = config || {};
+    this.redactor = createRedactor(config);
   }
 
   /**
@@ -50,8 +69,12 @@ export class MedallionManager {
 
   /**
    * Insert raw request data into Bronze layer
+   * @param {Object} requestData - Request fields (camelCase)
+   * @param {Object} [options] - { deferSilver: the caller runs Silver
+   *   processing itself, e.g. after storing headers and timings;
+   *   maxBodySize: byte cap applied to bodies after redaction }
    */
-  async insertBronzeRequest(requestData) {
+  async insertBronzeRequest(requestData, options = {}) {
     try {
       const now = Date.now();
 
@@ -61,6 +84,21 @@ export class MedallionManager {
         throw new Error("Request URL is required");
       }
 
+      // Mask credentials/secrets before anything touches the database
+      requestData = this.redactor.redactRequest(requestData);
+
+      // Truncate only after redaction so JSON rules see the whole body
+      if (options.maxBodySize) {
+        requestData.requestBody = truncateBody(
+          requestData.requestBody,
+          options.maxBodySize
+        );
+        requestData.responseBody = truncateBody(
+          requestData.responseBody,
+          options.maxBodySize
+        );
+      }
+
       // Log data model for verification
       console.log("📝 Storing request with hierarchy:", {
         domain: requestData.domain || "NULL",
@@ -87,7 +125,9 @@ export class MedallionManager {
           id, url, method, type, status, status_text, domain, path,
           query_string, protocol, start_time, end_time, duration,
           size_bytes, timestamp, tab_id, frame_id, page_url,
-          initiator, error, from_cache, created_at
+          initiator, error, from_cache, request_body, response_body,
+          import_id, fault_profile, operation_name, operation_type,
+          graphql_variables, graphql_error_count, graphql_error, created_at
         ) VALUES (
           ${escapeStr(requestData.id)},
           ${escapeStr(requestData.url)},
@@ -110,17 +150,26 @@ export class MedallionManager {
           ${escapeStr(requestData.initiator)},
           ${escapeStr(requestData.error)},
           ${requestData.fromCache ? 1 : 0},
+          ${escapeStr(requestData.requestBody)},
+          ${escapeStr(requestData.responseBody)},
+          ${escapeStr(requestData.importId)},
+          ${escapeStr(requestData.faultProfile)},
+          ${escapeStr(requestData.operationName)},
+          ${escapeStr(requestData.operationType)},
+          ${escapeStr(requestData.graphqlVariables)},
+          ${escapeNum(requestData.graphqlErrorCount, "NULL")},
+          ${escapeStr(requestData.graphqlError)},
           ${now}
         )
       `);
 
       // Queue for silver processing (only if ID exists)
-      if (requestData.id) {
+      if (requestData.id && !options.deferSilver) {
         this.queueForSilverProcessing(requestData.id);
         this.eventBus?.publish("medallion:bronze:inserted", {
           requestId: requestData.id,
         });
-      } else {
+      } else if (!requestData.id) {
         console.warn(
           "⚠️ Request inserted without ID, skipping silver processing"
         );
@@ -133,12 +182,131 @@ export class MedallionManager {
     }
   }
 
+  /**
+   * Attach a response body to an already stored Bronze request
+   * Bodies come from the page interceptor and may arrive after onCompleted
+   * @param {Object} data - {tabId, url, method, body, since, maxBodySize}
+   * @returns {Promise<string|null>} Matched request id
+   */
+  async updateBronzeResponseBody(data) {
+    const escapeStr = (val) => {
+      if (val === undefined || val === null) return "NULL";
+      return `'${String(val).replace(/'/g, "''")}'`;
+    };
+
+    try {
+      const since = data.since || Date.now() - 60000;
+      const tabClause =
+        data.tabId !== undefined && data.tabId !== null
+          ? `AND tab_id = ${Number(data.tabId)}`
+          : "";
+
+      // Stored URLs are redacted, so match on the redacted form
+      const match = this.db.exec(`
+        SELECT id FROM bronze_requests
+        WHERE url = ${escapeStr(this.redactor.redactUrl(data.url))}
+        AND method = ${escapeStr((data.method || "GET").toUpperCase())}
+        AND response_body IS NULL
+        AND timestamp >= ${Number(since)}
+        ${tabClause}
+        ORDER BY timestamp DESC LIMIT 1
+      `);
+
+      const requestId = match?.[0]?.values?.[0]?.[0];
+      if (!requestId) {
+        return null;
+      }
+
+      this.db.exec(`
+        UPDATE bronze_requests
+        SET response_body = ${escapeStr(
+          truncateBody(this.redactor.redactBody(data.body), data.maxBodySize)
+        )}
+        WHERE id = ${escapeStr(requestId)}
+      `);
+
+      return requestId;
+    } catch (error) {
+      console.error("Failed to update bronze response body:", error);
+      throw new DatabaseError("Failed to update bronze response body", error);
+    }
+  }
+
+  /**
+   * Record the GraphQL errors[] summary of an already stored request
+   * The page interceptor reports it once the response body is read, which
+   * may be after onCompleted stored the row
+   * @param {Object} data - {tabId, url, method, operationName, errorCount,
+   *   message, since}
+   * @returns {Promise<string|null>} Matched request id
+   */
+  async updateBronzeGraphQLResult(data) {
+    const escapeStr = (val) => {
+      if (val === undefined || val === null) return "NULL";
+      return `'${String(val).replace(/'/g, "''")}'`;
+    };
+
+    try {
+      const since = data.since || Date.now() - 60000;
+      const tabClause =
+        data.tabId !== undefined && data.tabId !== null
+          ? `AND tab_id = ${Number(data.tabId)}`
+          : "";
+      const operationClause = data.operationName
+        ? `AND operation_name = ${escapeStr(data.operationName)}`
+        : "AND operation_name IS NULL";
+
+      // Stored URLs are redacted, so match on the redacted form
+      const match = this.db.exec(`
+        SELECT id FROM bronze_requests
+        WHERE url = ${escapeStr(this.redactor.redactUrl(data.url))}
+        AND method = ${escapeStr((data.method || "POST").toUpperCase())}
+        AND (operation_type IS NOT NULL OR operation_name IS NOT NULL)
+        AND graphql_error_count IS NULL
+        AND timestamp >= ${Number(since)}
+        ${operationClause}
+        ${tabClause}
+        ORDER BY timestamp DESC LIMIT 1
+      `);
+
+      const requestId = match?.[0]?.values?.[0]?.[0];
+      if (!requestId) {
+        return null;
+      }
+
+      const errorCount = Number(data.errorCount) || 0;
+      this.db.exec(`
+        UPDATE bronze_requests
+        SET graphql_error_count = ${errorCount},
+          graphql_error = ${escapeStr(
+            data.message ? this.redactor.redactBody(data.message) : null
+          )}
+        WHERE id = ${escapeStr(requestId)}
+      `);
+
+      // Silver may already hold the request as successful
+      if (errorCount > 0) {
+        this.db.exec(`
+          UPDATE silver_requests
+          SET has_error = 1, updated_at = ${Date.now()}
+          WHERE id = ${escapeStr(requestId)}
+        `);
+      }
+
+      return requestId;
+    } catch (error) {
+      console.error("Failed to update bronze GraphQL result:", error);
+      throw new DatabaseError("Failed to update bronze GraphQL result", error);
+    }
+  }
+
   /**
    * Insert request headers into Bronze layer
    */
   async insertBronzeHeaders(requestId, headers, type = "request") {
     try {
       const now = Date.now();
+      const redactedHeaders = this.redactor.redactHeaders(headers);
 
       // Helper function to escape SQL strings
       const escapeStr = (val) => {
@@ -146,7 +314,7 @@ export class MedallionManager {
         return `'${String(val).replace(/'/g, "''")}'`;
       };
 
-      for (const [name, value] of Object.entries(headers)) {
+      for (const [name, value] of Object.entries(redactedHeaders)) {
         this.db.exec(`
           INSERT INTO bronze_request_headers (request_id, header_type, name, value, created_at)
           VALUES (${escapeStr(requestId)}, ${escapeStr(type)}, ${escapeStr(
@@ -322,6 +490,69 @@ export class MedallionManager {
     }
   }
 
+  /**
+   * Process Bronze requests that never reached Silver (e.g. the service
+   * worker was suspended before the capture queue drained)
+   * @param {number} limit - Maximum requests to process in one pass
+   * @returns {Promise<number>} Number of requests processed
+   */
+  async processPendingBronze(limit = 200) {
+    const pending = this.db.exec(
+      `
+      SELECT b.id FROM bronze_requests b
+      LEFT JOIN silver_requests s ON s.id = b.id
+      WHERE s.id IS NULL
+      ORDER BY b.timestamp ASC
+      LIMIT ?
+    `,
+      [limit]
+    );
+
+    const requestIds = (pending[0]?.values || []).map(([id]) => id);
+    for (const requestId of requestIds) {
+      await this.processBronzeToSilver(requestId);
+    }
+    return requestIds.length;
+  }
+
+  /**
+   * Roll up every day since the last Gold rollup, so days missed while the
+   * browser was closed are caught up. The last rolled-up day is redone
+   * because it may have been processed before it ended.
+   * @param {number} maxDays - Oldest day to catch up, counted back from today
+   * @returns {Promise<Object>} { days: [dateStr, ...] }
+   */
+  async processSilverToGold(maxDays = 30) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const toDateStr = (timestamp) =>
+      new Date(timestamp).toISOString().split("T")[0];
+
+    const today = toDateStr(Date.now());
+    const oldest = toDateStr(Date.now() - (maxDays - 1) * DAY_MS);
+
+    const last = this.db.exec(`SELECT MAX(date) FROM gold_daily_analytics`);
+    let start = last[0]?.values?.[0]?.[0];
+    if (!start) {
+      const first = this.db.exec(`SELECT MIN(timestamp) FROM bronze_requests`);
+      const firstTimestamp = first[0]?.values?.[0]?.[0];
+      start = firstTimestamp ? toDateStr(firstTimestamp) : today;
+    }
+    if (start < oldest) {
+      start = oldest;
+    }
+
+    const days = [];
+    for (
+      let day = start;
+      day <= today;
+      day = toDateStr(Date.parse(day) + DAY_MS)
+    ) {
+      await this.processDailyAnalytics(day);
+      days.push(day);
+    }
+    return { days };
+  }
+
   /**
    * Process Bronze request to Silver layer (data enrichment and validation)
    */
@@ -392,6 +623,8 @@ export class MedallionManager {
         toSqlValue(request.timestamp, now),
         toSqlValue(request.tab_id),
         toSqlValue(request.page_url),
+        toSqlValue(request.operation_name),
+        toSqlValue(request.operation_type),
         toSqlValue(enrichedData.isThirdParty, false) ? 1 : 0,
         toSqlValue(enrichedData.isSecure, false) ? 1 : 0,
         toSqlValue(enrichedData.hasError, false) ? 1 : 0,
@@ -427,9 +660,9 @@ export class MedallionManager {
         INSERT OR REPLACE INTO silver_requests (
           id, url, method, type, status, status_text,
           domain, path, protocol, duration, size_bytes,
-          timestamp, tab_id, page_url, is_third_party,
-          is_secure, has_error, performance_score,
-          quality_score, created_at, updated_at
+          timestamp, tab_id, page_url, operation_name,
+          operation_type, is_third_party, is_secure, has_error,
+          performance_score, quality_score, created_at, updated_at
         ) VALUES (
           ${escapeStr(values[0])},
           ${escapeStr(values[1])},
@@ -445,13 +678,15 @@ export class MedallionManager {
           ${escapeNum(values[11])},
           ${escapeNum(values[12])},
           ${escapeStr(values[13])},
-          ${escapeBool(values[14])},
-          ${escapeBool(values[15])},
+          ${escapeStr(values[14])},
+          ${escapeStr(values[15])},
           ${escapeBool(values[16])},
-          ${escapeNum(values[17])},
-          ${escapeNum(values[18])},
+          ${escapeBool(values[17])},
+          ${escapeBool(values[18])},
           ${escapeNum(values[19])},
-          ${escapeNum(values[20])}
+          ${escapeNum(values[20])},
+          ${escapeNum(values[21])},
+          ${escapeNum(values[22])}
         )
       `);
 
@@ -764,9 +999,11 @@ export class MedallionManager {
       return {
         isThirdParty: this.isThirdPartyDomain(url.hostname),
         isSecure: url.protocol === "https:",
+        // GraphQL errors come back with HTTP 200
         hasError: !!(
           request.error ||
-          (request.status && request.status >= 400)
+          (request.status && request.status >= 400) ||
+          request.graphql_error_count > 0
         ),
         performanceScore: this.calculatePerformanceScore(request),
         qualityScore: this.calculateQualityScore(request),
@@ -862,11 +1099,16 @@ export class MedallionManager {
       return `'${String(val).replace(/'/g, "''")}'`;
     };
 
-    const id = `webvital_${Date.now()}_${Math.random()
-      .toString(36)
-      .substr(2, 9)}`;
+    // Metrics reported more than once per page view (INP) carry a stable
+    // id, so a later report replaces the earlier one
+    const id =
+      metric.id ||
+      `webvital_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const domain = metric.url ? new URL(metric.url).hostname : "unknown";
     const timestamp = metric.timestamp || Date.now();
+    const attribution = metric.attribution
+      ? JSON.stringify(metric.attribution)
+      : null;
 
     try {
       console.log("[Medallion] Inserting web vital:", {
@@ -878,9 +1120,9 @@ export class MedallionManager {
       });
 
       this.db.exec(`
-        INSERT INTO bronze_web_vitals (
+        INSERT OR REPLACE INTO bronze_web_vitals (
           id, page_url, domain, metric_name, value, rating,
-          timestamp, viewport_width, viewport_height, created_at
+          timestamp, viewport_width, viewport_height, attribution, created_at
         ) VALUES (
           ${escapeStr(id)},
           ${escapeStr(metric.url)},
@@ -891,6 +1133,7 @@ export class MedallionManager {
           ${timestamp},
           ${metric.viewport_width || "NULL"},
           ${metric.viewport_height || "NULL"},
+          ${escapeStr(attribution)},
           ${Date.now()}
         )
       `);
@@ -1132,24 +1375,47 @@ export class MedallionManager {
   }
 
   /**
-   * Insert or update resource timing data from Resource Timing API
-   * @param {Object} timing - Resource timing data
-   * @returns {Promise<boolean>}
+   * Insert or update measured timing data for a captured request
+   * Timings come from the content script (Resource Timing API) or from the
+   * DevTools panel (HAR entries). When `phases` is present the row is marked
+   * with its `source` so the waterfall can show it as measured.
+   * @param {Object} timing - { url, pageUrl, method, startedAt, phases,
+   *   source, transferSize, encodedSize, decodedSize, fromCache }
+   * @returns {Promise<boolean>} Whether a matching request was found
    */
   async insertResourceTiming(timing) {
     const escapeStr = (val) => {
       if (val === undefined || val === null) return "NULL";
       return `'${String(val).replace(/'/g, "''")}'`;
     };
+    const num = (val) => (Number.isFinite(Number(val)) ? Number(val) : 0);
 
     try {
-      // Find matching bronze_request by URL to get request_id
-      const urlMatch = this.db.exec(`
+      // Find the matching bronze_request by URL, closest in time when known
+      let matchQuery = `
         SELECT id FROM bronze_requests 
-        WHERE url = ${escapeStr(timing.url)} 
-        AND page_url = ${escapeStr(timing.pageUrl)}
-        ORDER BY timestamp DESC LIMIT 1
-      `);
+        WHERE url = ${escapeStr(this.redactor.redactUrl(timing.url))}
+      `;
+      if (timing.pageUrl) {
+        matchQuery += ` AND page_url = ${escapeStr(
+          this.redactor.redactUrl(timing.pageUrl)
+        )}`;
+      }
+      if (timing.method) {
+        matchQuery += ` AND method = ${escapeStr(timing.method)}`;
+      }
+      if (timing.startedAt) {
+        const startedAt = num(timing.startedAt);
+        matchQuery += `
+          AND timestamp BETWEEN ${startedAt - TIMING_MATCH_WINDOW_MS}
+            AND ${startedAt + TIMING_MATCH_WINDOW_MS}
+          ORDER BY ABS(timestamp - ${startedAt}) LIMIT 1
+        `;
+      } else {
+        matchQuery += " ORDER BY timestamp DESC LIMIT 1";
+      }
+
+      const urlMatch = this.db.exec(matchQuery);
 
       if (
         !urlMatch ||
@@ -1162,40 +1428,274 @@ export class MedallionManager {
       }
 
       const requestId = urlMatch[0].values[0][0];
+      await this.insertMeasuredTimings(requestId, timing);
+
+      return true;
+    } catch (error) {
+      console.error("[Medallion] Error inserting resource timing:", error);
+      return false;
+    }
+  }
 
-      // Insert or replace timing data
+  /**
+   * Store measured timings for a known Bronze request
+   * @param {string} requestId - bronze_requests id
+   * @param {Object} timing - Same shape as insertResourceTiming's timing
+   */
+  async insertMeasuredTimings(requestId, timing) {
+    const escapeStr = (val) => {
+      if (val === undefined || val === null) return "NULL";
+      return `'${String(val).replace(/'/g, "''")}'`;
+    };
+    const num = (val) => (Number.isFinite(Number(val)) ? Number(val) : 0);
+
+    const phases = timing.phases || null;
+
+    // Insert or replace timing data
+    this.db.exec(`
+      INSERT OR REPLACE INTO bronze_request_timings (
+        request_id,
+        queued_duration,
+        dns_duration,
+        tcp_duration,
+        ssl_duration,
+        request_duration,
+        response_duration,
+        transfer_size,
+        encoded_size,
+        decoded_size,
+        from_cache,
+        timing_source,
+        created_at
+      ) VALUES (
+        ${escapeStr(requestId)},
+        ${phases ? num(phases.queued) : "NULL"},
+        ${num(phases ? phases.dns : timing.dnsTime)},
+        ${num(phases ? phases.tcp : timing.tcpTime)},
+        ${num(phases ? phases.ssl : timing.tlsTime)},
+        ${num(phases ? phases.waiting : timing.requestTime)},
+        ${num(phases ? phases.download : timing.responseTime)},
+        ${num(timing.transferSize)},
+        ${num(timing.encodedSize)},
+        ${num(timing.decodedSize)},
+        ${timing.fromCache ? 1 : 0},
+        ${phases ? escapeStr(timing.source) : "NULL"},
+        ${Date.now()}
+      )
+    `);
+  }
+
+  /**
+   * Record an import (e.g. a HAR file) in the Bronze layer
+   * @param {Object} summary - Import summary from the importer
+   */
+  async insertBronzeImport(summary) {
+    const escapeStr = (val) => {
+      if (val === undefined || val === null) return "NULL";
+      return `'${String(val).replace(/'/g, "''")}'`;
+    };
+    const escapeNum = (val) =>
+      Number.isFinite(Number(val)) && val !== null ? Number(val) : "NULL";
+
+    try {
       this.db.exec(`
-        INSERT OR REPLACE INTO bronze_request_timings (
-          request_id,
-          dns_duration,
-          tcp_duration,
-          ssl_duration,
-          request_duration,
-          response_duration,
-          transfer_size,
-          encoded_size,
-          decoded_size,
-          from_cache,
+        INSERT OR REPLACE INTO bronze_imports (
+          id, source, filename, creator, version, entry_count,
+          imported_count, skipped_count, first_timestamp, last_timestamp,
           created_at
         ) VALUES (
-          ${escapeStr(requestId)},
-          ${timing.dnsTime || 0},
-          ${timing.tcpTime || 0},
-          ${timing.tlsTime || 0},
-          ${timing.requestTime || 0},
-          ${timing.responseTime || 0},
-          ${timing.transferSize || 0},
-          ${timing.encodedSize || 0},
-          ${timing.decodedSize || 0},
-          ${timing.fromCache ? 1 : 0},
+          ${escapeStr(summary.importId)},
+          ${escapeStr(summary.source)},
+          ${escapeStr(summary.filename)},
+          ${escapeStr(summary.creator)},
+          ${escapeStr(summary.version)},
+          ${escapeNum(summary.entryCount)},
+          ${escapeNum(summary.importedCount)},
+          ${escapeNum(summary.skippedCount)},
+          ${escapeNum(summary.firstTimestamp)},
+          ${escapeNum(summary.lastTimestamp)},
           ${Date.now()}
         )
       `);
+    } catch (error) {
+      console.error("Failed to insert bronze import:", error);
+      throw new DatabaseError("Failed to insert bronze import", error);
+    }
+  }
 
-      return true;
+  /**
+   * Store WebSocket / Server-Sent Events activity from the realtime
+   * interceptor, then link new connections to their handshake requests
+   * @param {Array<Object>} events - { kind: connect|open|frame|close|error,
+   *   connectionId, timestamp, ... } in the order they happened
+   * @param {Object} context - { tabId, pageUrl, droppedFrames } where
+   *   droppedFrames maps connectionId to frames dropped by the content script
+   * @returns {Promise<number>} Number of events stored
+   */
+  async insertRealtimeEvents(events, context = {}) {
+    const escapeStr = (val) => {
+      if (val === undefined || val === null) return "NULL";
+      return `'${String(val).replace(/'/g, "''")}'`;
+    };
+    const num = (val) => (Number.isFinite(Number(val)) ? Number(val) : 0);
+    const nullableNum = (val) =>
+      val === null || val === undefined || !Number.isFinite(Number(val))
+        ? "NULL"
+        : Number(val);
+
+    const tabId = nullableNum(context.tabId);
+    const pageUrl = context.pageUrl
+      ? this.redactor.redactUrl(context.pageUrl)
+      : null;
+    let domain = null;
+    try {
+      domain = context.pageUrl ? new URL(context.pageUrl).hostname : null;
+    } catch (e) {
+      domain = null;
+    }
+
+    const connectionIds = new Set();
+    let stored = 0;
+
+    try {
+      for (const event of events || []) {
+        if (!event?.connectionId) continue;
+        const id = escapeStr(event.connectionId);
+        const timestamp = num(event.timestamp) || Date.now();
+        connectionIds.add(event.connectionId);
+
+        switch (event.kind) {
+          case "connect":
+            this.db.exec(`
+              INSERT OR IGNORE INTO bronze_realtime_connections (
+                id, protocol, url, tab_id, page_url, domain, status,
+                started_at, created_at
+              ) VALUES (
+                ${id},
+                ${escapeStr(event.protocol === "sse" ? "sse" : "websocket")},
+                ${escapeStr(this.redactor.redactUrl(String(event.url || "")))},
+                ${tabId},
+                ${escapeStr(pageUrl)},
+                ${escapeStr(domain)},
+                'connecting',
+                ${timestamp},
+                ${Date.now()}
+              )
+            `);
+            break;
+
+          case "open":
+            this.db.exec(`
+              UPDATE bronze_realtime_connections
+              SET status = 'open',
+                opened_at = COALESCE(opened_at, ${timestamp}),
+                subprotocol = ${escapeStr(event.subprotocol)}
+              WHERE id = ${id}
+            `);
+            break;
+
+          case "frame": {
+            const sent = event.direction === "sent";
+            this.db.exec(`
+              INSERT INTO bronze_realtime_frames (
+                connection_id, direction, opcode, event_type, size, payload,
+                truncated, timestamp
+              ) VALUES (
+                ${id},
+                ${escapeStr(sent ? "sent" : "received")},
+                ${nullableNum(event.opcode)},
+                ${escapeStr(event.eventType)},
+                ${num(event.size)},
+                ${escapeStr(
+                  event.payload === null || event.payload === undefined
+                    ? null
+                    : this.redactor.redactBody(String(event.payload))
+                )},
+                ${event.truncated ? 1 : 0},
+                ${timestamp}
+              )
+            `);
+            const column = sent ? "sent" : "received";
+            this.db.exec(`
+              UPDATE bronze_realtime_connections
+              SET frames_${column} = frames_${column} + 1,
+                bytes_${column} = bytes_${column} + ${num(event.size)}
+              WHERE id = ${id}
+            `);
+            break;
+          }
+
+          case "close":
+            this.db.exec(`
+              UPDATE bronze_realtime_connections
+              SET status = 'closed',
+                closed_at = ${timestamp},
+                close_code = ${nullableNum(event.code)},
+                close_reason = ${escapeStr(event.reason)},
+                was_clean = ${event.wasClean ? 1 : 0}
+              WHERE id = ${id}
+            `);
+            break;
+
+          case "error":
+            this.db.exec(`
+              UPDATE bronze_realtime_connections
+              SET status = 'error'
+              WHERE id = ${id} AND status != 'closed'
+            `);
+            break;
+
+          default:
+            continue;
+        }
+        stored++;
+      }
+
+      for (const [connectionId, count] of Object.entries(
+        context.droppedFrames || {}
+      )) {
+        this.db.exec(`
+          UPDATE bronze_realtime_connections
+          SET dropped_frames = dropped_frames + ${num(count)}
+          WHERE id = ${escapeStr(connectionId)}
+        `);
+      }
+
+      // The handshake may be stored after the first frames arrive, so keep
+      // trying until the connection is linked
+      if (connectionIds.size > 0) {
+        const unlinked = this.db.exec(`
+          SELECT id, url, tab_id, started_at
+          FROM bronze_realtime_connections
+          WHERE request_id IS NULL
+            AND id IN (${[...connectionIds].map(escapeStr).join(", ")})
+        `);
+        for (const [id, url, connTabId, startedAt] of unlinked[0]?.values ||
+          []) {
+          const match = this.db.exec(`
+            SELECT id FROM bronze_requests
+            WHERE url = ${escapeStr(url)}
+              ${connTabId === null ? "" : `AND tab_id = ${connTabId}`}
+              AND timestamp BETWEEN ${startedAt - HANDSHAKE_MATCH_WINDOW_MS}
+                AND ${startedAt + HANDSHAKE_MATCH_WINDOW_MS}
+            ORDER BY ABS(timestamp - ${startedAt})
+            LIMIT 1
+          `);
+          const requestId = match[0]?.values[0]?.[0];
+          if (requestId) {
+            this.db.exec(`
+              UPDATE bronze_realtime_connections
+              SET request_id = ${escapeStr(requestId)}
+              WHERE id = ${escapeStr(id)}
+            `);
+          }
+        }
+      }
+
+      return stored;
     } catch (error) {
-      console.error("[Medallion] Error inserting resource timing:", error);
-      return false;
+      console.error("Failed to insert realtime events:", error);
+      throw new DatabaseError("Failed to insert realtime events", error);
     }
   }
 
@@ -123,26 +123,7 @@ function createConfigSchema(db) {
   `);
 
   // Runner definitions table - saved test runners/collections
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS config_runner_definitions (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT,
-      collection_id TEXT,
-      execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel')),
-      delay_ms INTEGER DEFAULT 0,
-      follow_redirects BOOLEAN DEFAULT 1,
-      validate_status BOOLEAN DEFAULT 0,
-      use_variables BOOLEAN DEFAULT 1,
-      header_overrides TEXT,
-      variables TEXT,
-      is_active BOOLEAN DEFAULT 1,
-      created_at INTEGER NOT NULL,
-      updated_at INTEGER NOT NULL,
-      last_run_at INTEGER,
-      run_count INTEGER DEFAULT 0
-    )
-  `);
+  createRunnerDefinitionsTable(db);
 
   // Runner requests table - requests associated with runners
   db.exec(`
@@ -158,6 +139,7 @@ function createConfigSchema(db) {
       page_url TEXT NOT NULL,
       captured_request_id TEXT,
       assertions TEXT,
+      extractions TEXT,
       description TEXT,
       is_enabled BOOLEAN DEFAULT 1,
       created_at INTEGER NOT NULL,
@@ -173,6 +155,7 @@ function createConfigSchema(db) {
       description TEXT,
       color TEXT,
       icon TEXT,
+      environment_id TEXT,
       is_active BOOLEAN DEFAULT 1,
       created_at INTEGER NOT NULL,
       updated_at INTEGER NOT NULL
@@ -218,9 +201,55 @@ function createConfigSchema(db) {
     `CREATE INDEX IF NOT EXISTS idx_scheduled_runs_next_run ON config_runner_scheduled_runs(enabled, next_run_at)`
   );
 
+  createJobTables(db);
+
   console.log("Config schema created");
 }
 
+/**
+ * Create the background job tables
+ * One row per job registered with the job scheduler, holding its schedule
+ * and last result; running_since is the lease that keeps a job from
+ * overlapping itself. config_job_runs keeps recent runs per job.
+ * @param {Database} db - SQL.js database instance
+ */
+function createJobTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS config_jobs (
+      name TEXT PRIMARY KEY,
+      label TEXT,
+      interval_ms INTEGER NOT NULL,
+      enabled BOOLEAN DEFAULT 1,
+      next_run_at INTEGER,
+      running_since INTEGER,
+      last_run_at INTEGER,
+      last_finished_at INTEGER,
+      last_status TEXT,
+      last_error TEXT,
+      last_duration_ms INTEGER,
+      run_count INTEGER DEFAULT 0,
+      consecutive_failures INTEGER DEFAULT 0,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS config_job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_name TEXT NOT NULL,
+      triggered_by TEXT NOT NULL CHECK(triggered_by IN ('schedule', 'manual')),
+      status TEXT NOT NULL CHECK(status IN ('success', 'failed')),
+      error TEXT,
+      started_at INTEGER NOT NULL,
+      finished_at INTEGER NOT NULL,
+      duration_ms INTEGER,
+      FOREIGN KEY (job_name) REFERENCES config_jobs(name) ON DELETE CASCADE
+    )
+  `);
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_config_job_runs_job ON config_job_runs(job_name, started_at)`
+  );
+}
+
 /**
  * BRONZE SCHEMA - Raw Event Capture Data
  * Stores all captured events immutably (append-only, timestamped)
@@ -254,10 +283,19 @@ function createBronzeSchema(db) {
       request_body TEXT,
       response_body TEXT,
       raw_data TEXT,
+      import_id TEXT,
+      fault_profile TEXT,
+      operation_name TEXT,
+      operation_type TEXT,
+      graphql_variables TEXT,
+      graphql_error_count INTEGER,
+      graphql_error TEXT,
       created_at INTEGER NOT NULL
     )
   `);
 
+  createImportsTable(db);
+
   // Request headers table
   db.exec(`
     CREATE TABLE IF NOT EXISTS bronze_request_headers (
@@ -294,6 +332,8 @@ function createBronzeSchema(db) {
       encoded_size INTEGER,
       decoded_size INTEGER,
       from_cache BOOLEAN DEFAULT 0,
+      queued_duration INTEGER,
+      timing_source TEXT,
       created_at INTEGER NOT NULL,
       FOREIGN KEY(request_id) REFERENCES bronze_requests(id) ON DELETE CASCADE
     )
@@ -334,23 +374,7 @@ function createBronzeSchema(db) {
   `);
 
   // Web Vitals table - Core Web Vitals metrics
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS bronze_web_vitals (
-      id TEXT PRIMARY KEY,
-      page_url TEXT NOT NULL,
-      domain TEXT NOT NULL,
-      metric_name TEXT NOT NULL CHECK(metric_name IN ('LCP', 'FID', 'CLS', 'FCP', 'TTFB', 'TTI', 'DCL', 'Load')),
-      value REAL NOT NULL,
-      rating TEXT CHECK(rating IN ('good', 'needs-improvement', 'poor')),
-      timestamp INTEGER NOT NULL,
-      user_agent TEXT,
-      viewport_width INTEGER,
-      viewport_height INTEGER,
-      session_id TEXT,
-      created_at INTEGER NOT NULL,
-      FOREIGN KEY(session_id) REFERENCES bronze_sessions(id) ON DELETE SET NULL
-    )
-  `);
+  createWebVitalsTable(db);
 
   // User sessions table
   db.exec(`
@@ -428,12 +452,19 @@ function createBronzeSchema(db) {
       assertion_results TEXT,
       validation_errors TEXT,
       error_message TEXT,
+      request_headers TEXT,
+      request_body TEXT,
+      response_headers TEXT,
+      response_body TEXT,
       timestamp INTEGER NOT NULL,
       FOREIGN KEY(execution_id) REFERENCES bronze_runner_executions(id) ON DELETE CASCADE,
       FOREIGN KEY(logged_request_id) REFERENCES bronze_requests(id) ON DELETE SET NULL
     )
   `);
 
+  createLoadStatsTable(db);
+  createRealtimeTables(db);
+
   // Indexes for bronze schema
   db.exec(
     `CREATE INDEX IF NOT EXISTS idx_bronze_requests_timestamp ON bronze_requests(timestamp)`
@@ -453,6 +484,12 @@ function createBronzeSchema(db) {
   db.exec(
     `CREATE INDEX IF NOT EXISTS idx_bronze_requests_tab_id ON bronze_requests(tab_id)`
   );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_requests_import ON bronze_requests(import_id)`
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_requests_operation ON bronze_requests(operation_name)`
+  );
   db.exec(
     `CREATE INDEX IF NOT EXISTS idx_bronze_headers_request_id ON bronze_request_headers(request_id)`
   );
@@ -472,18 +509,7 @@ function createBronzeSchema(db) {
   db.exec(
     `CREATE INDEX IF NOT EXISTS idx_bronze_events_request_id ON bronze_events(request_id)`
   );
-  db.exec(
-    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_domain ON bronze_web_vitals(domain)`
-  );
-  db.exec(
-    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_page ON bronze_web_vitals(page_url)`
-  );
-  db.exec(
-    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_timestamp ON bronze_web_vitals(timestamp)`
-  );
-  db.exec(
-    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_metric ON bronze_web_vitals(metric_name)`
-  );
+  createWebVitalsIndexes(db);
   db.exec(
     `CREATE INDEX IF NOT EXISTS idx_bronze_sessions_domain ON bronze_sessions(domain)`
   );
@@ -517,6 +543,251 @@ function createBronzeSchema(db) {
   console.log("Bronze schema created");
 }
 
+/**
+ * Create the runner definitions table
+ * execution_mode 'load' runs the requests as a load test (load_config JSON)
+ * @param {Database} db - SQL.js database instance
+ * @param {string} [name] - Table name (a temporary name while rebuilding)
+ */
+function createRunnerDefinitionsTable(db, name = "config_runner_definitions") {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${name} (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      collection_id TEXT,
+      execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel', 'load')),
+      delay_ms INTEGER DEFAULT 0,
+      follow_redirects BOOLEAN DEFAULT 1,
+      validate_status BOOLEAN DEFAULT 0,
+      use_variables BOOLEAN DEFAULT 1,
+      header_overrides TEXT,
+      variables TEXT,
+      environment_id TEXT,
+      load_config TEXT,
+      is_active BOOLEAN DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      last_run_at INTEGER,
+      run_count INTEGER DEFAULT 0
+    )
+  `);
+}
+
+/**
+ * Rebuild config_runner_definitions when its execution_mode CHECK predates
+ * the load mode. SQLite can't change a CHECK constraint in place, so the
+ * rows are copied into a new table that then takes the old one's name
+ * (references from other tables are by name and keep working).
+ * @param {Database} db - SQL.js database instance
+ */
+function migrateRunnerExecutionModes(db) {
+  const result = db.exec(
+    `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'config_runner_definitions'`
+  );
+  const sql = result[0]?.values[0]?.[0];
+  if (!sql || sql.includes("'load'")) return;
+
+  console.log("⚙️ Migrating: Allowing load execution mode for runners");
+  const columnsOf = (table) =>
+    db.exec(`PRAGMA table_info(${table})`)[0].values.map((row) => row[1]);
+
+  db.exec("BEGIN");
+  try {
+    createRunnerDefinitionsTable(db, "config_runner_definitions_new");
+    const newColumns = columnsOf("config_runner_definitions_new");
+    const copied = columnsOf("config_runner_definitions")
+      .filter((column) => newColumns.includes(column))
+      .join(", ");
+
+    db.exec(`
+      INSERT INTO config_runner_definitions_new (${copied})
+      SELECT ${copied} FROM config_runner_definitions
+    `);
+    db.exec(`DROP TABLE config_runner_definitions`);
+    db.exec(
+      `ALTER TABLE config_runner_definitions_new RENAME TO config_runner_definitions`
+    );
+    db.exec(
+      `CREATE INDEX IF NOT EXISTS idx_runner_definitions_collection ON config_runner_definitions(collection_id, created_at)`
+    );
+    db.exec("COMMIT");
+  } catch (error) {
+    db.exec("ROLLBACK");
+    throw error;
+  }
+}
+
+/**
+ * Create the load test stats table
+ * One row per second of a load test execution
+ * @param {Database} db - SQL.js database instance
+ */
+function createLoadStatsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bronze_runner_load_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      execution_id TEXT NOT NULL,
+      bucket_start INTEGER NOT NULL,
+      offset_seconds INTEGER NOT NULL,
+      requests INTEGER NOT NULL,
+      errors INTEGER NOT NULL,
+      rps REAL,
+      active_users INTEGER,
+      p50 INTEGER,
+      p90 INTEGER,
+      p95 INTEGER,
+      p99 INTEGER,
+      min_latency INTEGER,
+      max_latency INTEGER,
+      avg_latency INTEGER,
+      FOREIGN KEY(execution_id) REFERENCES bronze_runner_executions(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_runner_load_stats_execution ON bronze_runner_load_stats(execution_id, offset_seconds)`
+  );
+}
+
+/**
+ * Create the WebSocket / Server-Sent Events tables
+ * Connections and frames are reported by the page's realtime interceptor;
+ * request_id links a connection to its handshake in bronze_requests once
+ * that request has been stored
+ * @param {Database} db - SQL.js database instance
+ */
+function createRealtimeTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bronze_realtime_connections (
+      id TEXT PRIMARY KEY,
+      request_id TEXT,
+      protocol TEXT NOT NULL CHECK(protocol IN ('websocket', 'sse')),
+      url TEXT NOT NULL,
+      tab_id INTEGER,
+      page_url TEXT,
+      domain TEXT,
+      subprotocol TEXT,
+      status TEXT NOT NULL CHECK(status IN ('connecting', 'open', 'closed', 'error')),
+      started_at INTEGER NOT NULL,
+      opened_at INTEGER,
+      closed_at INTEGER,
+      close_code INTEGER,
+      close_reason TEXT,
+      was_clean BOOLEAN,
+      frames_sent INTEGER DEFAULT 0,
+      frames_received INTEGER DEFAULT 0,
+      bytes_sent INTEGER DEFAULT 0,
+      bytes_received INTEGER DEFAULT 0,
+      dropped_frames INTEGER DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY(request_id) REFERENCES bronze_requests(id) ON DELETE SET NULL
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bronze_realtime_frames (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      connection_id TEXT NOT NULL,
+      direction TEXT NOT NULL CHECK(direction IN ('sent', 'received')),
+      opcode INTEGER,
+      event_type TEXT,
+      size INTEGER NOT NULL DEFAULT 0,
+      payload TEXT,
+      truncated BOOLEAN DEFAULT 0,
+      timestamp INTEGER NOT NULL,
+      FOREIGN KEY(connection_id) REFERENCES bronze_realtime_connections(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_realtime_connections_tab ON bronze_realtime_connections(tab_id, started_at)`
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_realtime_connections_domain ON bronze_realtime_connections(domain, started_at)`
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_realtime_frames_connection ON bronze_realtime_frames(connection_id, timestamp)`
+  );
+}
+
+/**
+ * Create the imports table
+ * One row per imported file (HAR); bronze_requests.import_id points here
+ */
+function createImportsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bronze_imports (
+      id TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      filename TEXT,
+      creator TEXT,
+      version TEXT,
+      entry_count INTEGER DEFAULT 0,
+      imported_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      first_timestamp INTEGER,
+      last_timestamp INTEGER,
+      created_at INTEGER NOT NULL
+    )
+  `);
+}
+
+// Columns of bronze_web_vitals before INP attribution was added
+const WEB_VITALS_COLUMNS = [
+  "id",
+  "page_url",
+  "domain",
+  "metric_name",
+  "value",
+  "rating",
+  "timestamp",
+  "user_agent",
+  "viewport_width",
+  "viewport_height",
+  "session_id",
+  "created_at",
+];
+
+/**
+ * Create the Web Vitals table
+ * attribution holds JSON details of the measured entry (INP: target,
+ * input delay, processing time, presentation delay and long-animation-frame
+ * scripts)
+ */
+function createWebVitalsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bronze_web_vitals (
+      id TEXT PRIMARY KEY,
+      page_url TEXT NOT NULL,
+      domain TEXT NOT NULL,
+      metric_name TEXT NOT NULL CHECK(metric_name IN ('LCP', 'INP', 'FID', 'CLS', 'FCP', 'TTFB', 'TTI', 'DCL', 'Load')),
+      value REAL NOT NULL,
+      rating TEXT CHECK(rating IN ('good', 'needs-improvement', 'poor')),
+      timestamp INTEGER NOT NULL,
+      user_agent TEXT,
+      viewport_width INTEGER,
+      viewport_height INTEGER,
+      session_id TEXT,
+      attribution TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY(session_id) REFERENCES bronze_sessions(id) ON DELETE SET NULL
+    )
+  `);
+}
+
+function createWebVitalsIndexes(db) {
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_domain ON bronze_web_vitals(domain)`
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_page ON bronze_web_vitals(page_url)`
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_timestamp ON bronze_web_vitals(timestamp)`
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_bronze_web_vitals_metric ON bronze_web_vitals(metric_name)`
+  );
+}
+
 /**
  * SILVER SCHEMA - Cleaned and Validated Data
  * Stores processed, validated, and enriched data
@@ -539,6 +810,8 @@ function createSilverSchema(db) {
       timestamp INTEGER NOT NULL,
       tab_id INTEGER,
       page_url TEXT,
+      operation_name TEXT,
+      operation_type TEXT,
       is_third_party BOOLEAN DEFAULT 0,
       is_secure BOOLEAN DEFAULT 0,
       has_error BOOLEAN DEFAULT 0,
@@ -872,6 +1145,44 @@ function createGoldSchema(db) {
     `CREATE INDEX IF NOT EXISTS idx_runner_alerts_enabled ON runner_alerts(enabled)`
   );
 
+  // Traffic alert rules - evaluated against rolling Bronze windows
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      condition TEXT NOT NULL,
+      threshold REAL NOT NULL,
+      domain TEXT,
+      enabled INTEGER DEFAULT 1,
+      window_minutes INTEGER DEFAULT 5,
+      cooldown_minutes INTEGER DEFAULT 15,
+      min_samples INTEGER DEFAULT 5,
+      created_at INTEGER
+    )
+  `);
+
+  // Fired traffic alerts
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER,
+      rule_name TEXT,
+      metric TEXT,
+      domain TEXT,
+      triggered_at INTEGER,
+      value REAL,
+      threshold REAL,
+      sample_count INTEGER,
+      window_minutes INTEGER,
+      message TEXT
+    )
+  `);
+
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_alert_history_rule ON alert_history(rule_id, triggered_at DESC)`
+  );
+
   console.log("Gold schema created");
 }
 
@@ -951,25 +1262,30 @@ export async function validateAndFixSchema(db) {
 
         // Drop and recreate table with correct schema
         db.exec(`DROP TABLE IF EXISTS bronze_web_vitals`);
+        createWebVitalsTable(db);
+
+        console.log("✓ bronze_web_vitals table recreated with correct schema");
+      } else if (!columns.includes("attribution")) {
+        // The metric_name CHECK constraint cannot be altered in place, so
+        // copy the rows into a table that accepts INP and stores attribution
+        console.log("⚙️ Migrating: Rebuilding bronze_web_vitals for INP");
+
+        const copiedColumns = WEB_VITALS_COLUMNS.filter((column) =>
+          columns.includes(column)
+        ).join(", ");
+
+        db.exec(
+          `ALTER TABLE bronze_web_vitals RENAME TO bronze_web_vitals_old`
+        );
+        createWebVitalsTable(db);
         db.exec(`
-          CREATE TABLE IF NOT EXISTS bronze_web_vitals (
-            id TEXT PRIMARY KEY,
-            page_url TEXT NOT NULL,
-            domain TEXT NOT NULL,
-            metric_name TEXT NOT NULL CHECK(metric_name IN ('LCP', 'FID', 'CLS', 'FCP', 'TTFB', 'TTI', 'DCL', 'Load')),
-            value REAL NOT NULL,
-            rating TEXT CHECK(rating IN ('good', 'needs-improvement', 'poor')),
-            timestamp INTEGER NOT NULL,
-            user_agent TEXT,
-            viewport_width INTEGER,
-            viewport_height INTEGER,
-            session_id TEXT,
-            created_at INTEGER NOT NULL,
-            FOREIGN KEY(session_id) REFERENCES bronze_sessions(id) ON DELETE SET NULL
-          )
+          INSERT INTO bronze_web_vitals (${copiedColumns})
+          SELECT ${copiedColumns} FROM bronze_web_vitals_old
         `);
+        db.exec(`DROP TABLE bronze_web_vitals_old`);
+        createWebVitalsIndexes(db);
 
-        console.log("✓ bronze_web_vitals table recreated with correct schema");
+        console.log("✓ bronze_web_vitals table migrated");
       }
     }
 
@@ -1041,26 +1357,7 @@ export async function validateAndFixSchema(db) {
 
       // Create config runner tables
       if (!existingRunnerTables.includes("config_runner_definitions")) {
-        db.exec(`
-          CREATE TABLE IF NOT EXISTS config_runner_definitions (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            description TEXT,
-            collection_id TEXT,
-            execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel')),
-            delay_ms INTEGER DEFAULT 0,
-            follow_redirects BOOLEAN DEFAULT 1,
-            validate_status BOOLEAN DEFAULT 0,
-            use_variables BOOLEAN DEFAULT 1,
-            header_overrides TEXT,
-            variables TEXT,
-            is_active BOOLEAN DEFAULT 1,
-            created_at INTEGER NOT NULL,
-            updated_at INTEGER NOT NULL,
-            last_run_at INTEGER,
-            run_count INTEGER DEFAULT 0
-          )
-        `);
+        createRunnerDefinitionsTable(db);
         db.exec(
           `CREATE INDEX IF NOT EXISTS idx_runner_definitions_collection ON config_runner_definitions(collection_id, created_at)`
         );
@@ -1081,6 +1378,7 @@ export async function validateAndFixSchema(db) {
             page_url TEXT NOT NULL,
             captured_request_id TEXT,
             assertions TEXT,
+            extractions TEXT,
             description TEXT,
             is_enabled BOOLEAN DEFAULT 1,
             created_at INTEGER NOT NULL,
@@ -1215,6 +1513,114 @@ export async function validateAndFixSchema(db) {
       }
     }
 
+    // Migration: tables created by older builds lack newer columns
+    const addedColumns = {
+      bronze_requests: {
+        import_id: "TEXT",
+        fault_profile: "TEXT",
+        operation_name: "TEXT",
+        operation_type: "TEXT",
+        graphql_variables: "TEXT",
+        graphql_error_count: "INTEGER",
+        graphql_error: "TEXT",
+      },
+      silver_requests: {
+        operation_name: "TEXT",
+        operation_type: "TEXT",
+      },
+      bronze_request_timings: {
+        queued_duration: "INTEGER",
+        timing_source: "TEXT",
+      },
+      config_runner_definitions: {
+        environment_id: "TEXT",
+        load_config: "TEXT",
+      },
+      config_runner_requests: {
+        extractions: "TEXT",
+      },
+      bronze_runner_execution_results: {
+        request_headers: "TEXT",
+        request_body: "TEXT",
+        response_headers: "TEXT",
+        response_body: "TEXT",
+      },
+      config_runner_collections: {
+        environment_id: "TEXT",
+      },
+      alert_rules: {
+        window_minutes: "INTEGER DEFAULT 5",
+        cooldown_minutes: "INTEGER DEFAULT 15",
+        min_samples: "INTEGER DEFAULT 5",
+      },
+      alert_history: {
+        metric: "TEXT",
+        domain: "TEXT",
+        sample_count: "INTEGER",
+        window_minutes: "INTEGER",
+      },
+    };
+
+    try {
+      migrateRunnerExecutionModes(db);
+    } catch (migrationError) {
+      console.warn(
+        "Migration warning for config_runner_definitions:",
+        migrationError
+      );
+    }
+
+    for (const [table, expected] of Object.entries(addedColumns)) {
+      try {
+        const tableInfo = db.exec(`PRAGMA table_info(${table})`);
+        if (!tableInfo || !tableInfo[0]) continue;
+
+        const columns = tableInfo[0].values.map((row) => row[1]);
+        for (const [column, definition] of Object.entries(expected)) {
+          if (!columns.includes(column)) {
+            console.log(`⚙️ Migrating: Adding ${column} column to ${table}`);
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+          }
+        }
+      } catch (migrationError) {
+        console.warn(`Migration warning for ${table}:`, migrationError);
+      }
+    }
+
+    // Tables added after the medallion migration
+    try {
+      createImportsTable(db);
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS idx_bronze_requests_import ON bronze_requests(import_id)`
+      );
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS idx_bronze_requests_operation ON bronze_requests(operation_name)`
+      );
+    } catch (migrationError) {
+      console.warn("Migration warning for bronze_imports:", migrationError);
+    }
+
+    try {
+      createLoadStatsTable(db);
+    } catch (migrationError) {
+      console.warn(
+        "Migration warning for bronze_runner_load_stats:",
+        migrationError
+      );
+    }
+
+    try {
+      createRealtimeTables(db);
+    } catch (migrationError) {
+      console.warn("Migration warning for realtime tables:", migrationError);
+    }
+
+    try {
+      createJobTables(db);
+    } catch (migrationError) {
+      console.warn("Migration warning for job tables:", migrationError);
+    }
+
     console.log("✓ Schema validation complete");
     return true;
   } catch (error) {
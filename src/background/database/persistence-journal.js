@@ -0,0 +1,481 @@
+// Incremental persistence for the in-memory sql.js database
+// Instead of exporting and rewriting the whole database on every save, write
+// statements are appended to a journal of small OPFS segment files. The
+// snapshot (the database file itself) is only rewritten by compaction, which
+// stores the last segment it contains in PRAGMA user_version so segments left
+// behind by an interrupted compaction are never replayed twice.
+
+import { DatabaseError } from "../errors/error-types.js";
+
+export const JOURNAL_LIMITS = {
+  // Compact once the journal grows past this size or segment count
+  compactBytes: 16 * 1024 * 1024,
+  compactSegments: 500,
+  // ...or once the oldest uncompacted segment is this old
+  compactAgeMs: 60 * 60 * 1000,
+  // Pending statements are flushed early past this size
+  flushBytes: 1024 * 1024,
+};
+
+// Flush/compaction durations kept for the latency stats
+const LATENCY_SAMPLES = 50;
+
+const SEGMENT_PATTERN = /\.journal-(\d+)$/;
+
+// Statements that never change the logical contents. VACUUM only rewrites
+// pages, and replaying it on every load would be expensive.
+const READ_ONLY_STATEMENT = /^(SELECT|EXPLAIN|VACUUM)\b/i;
+const PRAGMA_READ = /^PRAGMA\s+[\w.]+\s*(\([^)]*\))?\s*;?\s*$/i;
+
+function stripLeadingComments(sql) {
+  let statement = sql.trim();
+  while (statement.startsWith("--") || statement.startsWith("/*")) {
+    const end = statement.startsWith("--")
+      ? statement.indexOf("\n")
+      : statement.indexOf("*/") + 1;
+    if (end <= 0) return "";
+    statement = statement.slice(end + 1).trim();
+  }
+  return statement;
+}
+
+/**
+ * Whether a statement has to be journaled. Anything that is not clearly a
+ * read is; replaying a read is harmless, missing a write is not.
+ * @param {string} sql
+ * @returns {boolean}
+ */
+export function isWriteStatement(sql) {
+  const statement = stripLeadingComments(String(sql || ""));
+  if (!statement) return false;
+  return !READ_ONLY_STATEMENT.test(statement) && !PRAGMA_READ.test(statement);
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  const sum = values.reduce((total, value) => total + value, 0);
+  return Math.round((sum / values.length) * 10) / 10;
+}
+
+function elapsed(started) {
+  return Math.round((performance.now() - started) * 10) / 10;
+}
+
+async function readFile(directory, name) {
+  try {
+    const handle = await directory.getFileHandle(name);
+    return await handle.getFile();
+  } catch (error) {
+    if (error?.name === "NotFoundError") return null;
+    throw error;
+  }
+}
+
+// createWritable() writes to a swap file that replaces the original on
+// close(), so a crash mid-write keeps the previous contents
+async function writeFile(directory, name, data) {
+  const handle = await directory.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(data);
+  } catch (error) {
+    await writable.abort?.();
+    throw error;
+  }
+  await writable.close();
+}
+
+/**
+ * Journals writes made through db.exec(), db.run() and prepared statement
+ * run() calls. Statements stepped manually after bind() are not seen.
+ */
+export class PersistenceJournal {
+  /**
+   * @param {Object} options
+   * @param {string} options.fileName - Snapshot file name; segments are
+   *   stored next to it as <fileName>.journal-<seq>
+   * @param {Function} [options.getDirectory] - Resolves the OPFS directory
+   * @param {Object} [options.limits] - Overrides for JOURNAL_LIMITS
+   */
+  constructor(options = {}) {
+    this.fileName = options.fileName;
+    this.getDirectory =
+      options.getDirectory || (() => navigator.storage.getDirectory());
+    this.limits = { ...JOURNAL_LIMITS, ...options.limits };
+
+    this.db = null;
+    this.original = null;
+    this.pending = [];
+    this.pendingBytes = 0;
+    // Set when memory holds changes the journal can't replay
+    this.snapshotRequired = false;
+    // seq of the last segment written; segments maps seq -> { bytes, createdAt }
+    this.seq = 0;
+    this.segments = new Map();
+    this.queue = Promise.resolve();
+
+    this.flushLatencies = [];
+    this.stats = {
+      flushCount: 0,
+      lastFlushAt: null,
+      lastFlushMs: null,
+      maxFlushMs: null,
+      compactionCount: 0,
+      lastCompactionAt: null,
+      lastCompactionMs: null,
+      snapshotBytes: 0,
+      replayedStatements: 0,
+      replayFailures: 0,
+      loadMs: null,
+    };
+  }
+
+  segmentName(seq) {
+    return `${this.fileName}.journal-${String(seq).padStart(10, "0")}`;
+  }
+
+  async listSegments(directory) {
+    const segments = [];
+    for await (const name of directory.keys()) {
+      if (!name.startsWith(`${this.fileName}.journal-`)) continue;
+      const match = name.match(SEGMENT_PATTERN);
+      if (match) segments.push({ seq: Number(match[1]), name });
+    }
+    return segments.sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Open the snapshot and replay the journal segments written after it
+   * @param {Object} SQL - Initialized sql.js module
+   * @returns {Promise<Object>} sql.js Database
+   */
+  async load(SQL) {
+    const started = performance.now();
+    const directory = await this.getDirectory();
+
+    const file = await readFile(directory, this.fileName);
+    const snapshot = file ? new Uint8Array(await file.arrayBuffer()) : null;
+    const db =
+      snapshot && snapshot.length > 0
+        ? new SQL.Database(snapshot)
+        : new SQL.Database();
+    const snapshotSeq = db.exec("PRAGMA user_version")[0]?.values[0]?.[0] || 0;
+
+    this.seq = snapshotSeq;
+    this.segments.clear();
+    this.stats.snapshotBytes = snapshot?.length || 0;
+    this.stats.replayedStatements = 0;
+    this.stats.replayFailures = 0;
+
+    const stale = [];
+    for (const segment of await this.listSegments(directory)) {
+      if (segment.seq <= snapshotSeq) {
+        stale.push(segment.name);
+        continue;
+      }
+
+      const segmentFile = await readFile(directory, segment.name);
+      if (!segmentFile) continue;
+      const text = await segmentFile.text();
+      for (const line of text.split("\n")) {
+        if (!line) continue;
+        // Statements that failed when first run fail the same way here
+        try {
+          const entry = JSON.parse(line);
+          if (entry.params) {
+            db.run(entry.sql, entry.params);
+          } else {
+            db.exec(entry.sql);
+          }
+          this.stats.replayedStatements++;
+        } catch (error) {
+          this.stats.replayFailures++;
+        }
+      }
+
+      this.seq = segment.seq;
+      this.segments.set(segment.seq, {
+        bytes: segmentFile.size,
+        createdAt: segmentFile.lastModified || Date.now(),
+      });
+    }
+
+    // A transaction left open by a crash never committed
+    try {
+      db.exec("ROLLBACK");
+    } catch (error) {
+      // No transaction was open
+    }
+
+    for (const name of stale) {
+      try {
+        await directory.removeEntry(name);
+      } catch (error) {
+        console.warn(`Failed to remove compacted journal segment ${name}`);
+      }
+    }
+
+    this.stats.loadMs = elapsed(started);
+    if (this.stats.replayFailures > 0) {
+      console.warn(
+        `Journal replay: ${this.stats.replayFailures} statement(s) failed`
+      );
+    }
+    return db;
+  }
+
+  /**
+   * Start journaling writes made on a database
+   * @param {Object} db - sql.js Database
+   */
+  attach(db) {
+    this.detach();
+
+    const journal = this;
+    const original = {
+      exec: db.exec,
+      run: db.run,
+      prepare: db.prepare,
+      close: db.close,
+    };
+
+    // Only statements that succeed are journaled. A failed exec() may still
+    // have applied the statements before the failing one, so the next flush
+    // rewrites the snapshot instead of replaying a partial result.
+    // Journaled SQL is replayed later, so writes bind resolved values rather
+    // than relying on clock defaults ('now', CURRENT_TIMESTAMP).
+    db.exec = function (sql, params) {
+      let result;
+      try {
+        result = original.exec.apply(this, arguments);
+      } catch (error) {
+        journal.recordFailure(sql);
+        throw error;
+      }
+      journal.record(sql, params);
+      return result;
+    };
+    db.run = function (sql, params) {
+      let result;
+      try {
+        result = original.run.apply(this, arguments);
+      } catch (error) {
+        journal.recordFailure(sql);
+        throw error;
+      }
+      journal.record(sql, params);
+      return result;
+    };
+    db.prepare = function (sql, boundParams) {
+      const statement = original.prepare.apply(this, arguments);
+      if (isWriteStatement(sql)) {
+        const run = statement.run;
+        // A prepared statement is a single statement, so a failed run
+        // changes nothing
+        statement.run = function (params) {
+          const result = run.apply(this, arguments);
+          journal.record(sql, params === undefined ? boundParams : params);
+          return result;
+        };
+      }
+      return statement;
+    };
+    db.close = function () {
+      journal.detach();
+      return original.close.apply(this, arguments);
+    };
+
+    this.db = db;
+    this.original = original;
+  }
+
+  /**
+   * Stop journaling and restore the database's own methods
+   */
+  detach() {
+    if (!this.db) return;
+    Object.assign(this.db, this.original);
+    this.db = null;
+    this.original = null;
+  }
+
+  record(sql, params) {
+    if (!this.db || !isWriteStatement(sql)) return;
+
+    const hasParams =
+      params !== undefined &&
+      params !== null &&
+      (Array.isArray(params) ? params.length > 0 : true);
+    const line = JSON.stringify(hasParams ? { sql, params } : { sql });
+    this.pending.push(line);
+    this.pendingBytes += line.length + 1;
+
+    if (this.pendingBytes >= this.limits.flushBytes) {
+      this.flush().catch((error) => {
+        console.error("Early journal flush failed:", error);
+      });
+    }
+  }
+
+  // Multi-statement SQL may have partly run before failing
+  recordFailure(sql) {
+    if (!this.db || !isWriteStatement(sql)) return;
+    const statement = String(sql).trim().replace(/;+$/, "");
+    if (statement.includes(";")) this.snapshotRequired = true;
+  }
+
+  // Run file operations one at a time, in order
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write pending statements to a new journal segment, compacting
+   * afterwards when the journal has grown past the limits
+   * @returns {Promise<boolean>} Whether anything was written
+   */
+  flush() {
+    return this.enqueue(async () => {
+      if (this.snapshotRequired && (await this.compactNow())) return true;
+      if (this.pending.length === 0) {
+        if (this.needsCompaction()) await this.compactNow();
+        return false;
+      }
+
+      const lines = this.pending;
+      this.pending = [];
+      this.pendingBytes = 0;
+
+      const seq = this.seq + 1;
+      const data = new TextEncoder().encode(`${lines.join("\n")}\n`);
+      const started = performance.now();
+
+      try {
+        const directory = await this.getDirectory();
+        await writeFile(directory, this.segmentName(seq), data);
+      } catch (error) {
+        // Keep the statements for the next attempt
+        this.pending = lines.concat(this.pending);
+        this.pendingBytes = this.pending.reduce(
+          (total, line) => total + line.length + 1,
+          0
+        );
+        throw new DatabaseError("Failed to write journal segment", error);
+      }
+
+      this.seq = seq;
+      this.segments.set(seq, { bytes: data.length, createdAt: Date.now() });
+
+      const duration = elapsed(started);
+      this.flushLatencies.push(duration);
+      if (this.flushLatencies.length > LATENCY_SAMPLES) {
+        this.flushLatencies.shift();
+      }
+      this.stats.flushCount++;
+      this.stats.lastFlushAt = Date.now();
+      this.stats.lastFlushMs = duration;
+      this.stats.maxFlushMs = Math.max(this.stats.maxFlushMs || 0, duration);
+
+      if (this.needsCompaction()) await this.compactNow();
+      return true;
+    });
+  }
+
+  needsCompaction() {
+    if (this.segments.size === 0) return false;
+
+    const oldest = Math.min(
+      ...[...this.segments.values()].map((segment) => segment.createdAt)
+    );
+    return (
+      this.getJournalBytes() >= this.limits.compactBytes ||
+      this.segments.size >= this.limits.compactSegments ||
+      Date.now() - oldest >= this.limits.compactAgeMs
+    );
+  }
+
+  /**
+   * Rewrite the snapshot from memory and drop the journal
+   * @returns {Promise<boolean>}
+   */
+  compact() {
+    return this.enqueue(() => this.compactNow());
+  }
+
+  // sql.js has no autocommit check; BEGIN fails inside a transaction
+  inTransaction() {
+    try {
+      this.original.exec.call(this.db, "BEGIN");
+      this.original.exec.call(this.db, "COMMIT");
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  async compactNow() {
+    // export() closes and reopens the connection, which would discard an
+    // open transaction; the next flush tries again
+    if (!this.db || this.inTransaction()) return false;
+
+    const started = performance.now();
+    const seq = this.seq;
+    // Pending statements are already applied in memory, so the snapshot
+    // covers them without a segment
+    const pending = this.pending;
+    this.pending = [];
+    this.pendingBytes = 0;
+
+    let data;
+    try {
+      this.original.exec.call(this.db, `PRAGMA user_version = ${seq}`);
+      data = this.db.export();
+      const directory = await this.getDirectory();
+      await writeFile(directory, this.fileName, data);
+
+      for (const segmentSeq of [...this.segments.keys()]) {
+        if (segmentSeq > seq) continue;
+        await directory.removeEntry(this.segmentName(segmentSeq));
+        this.segments.delete(segmentSeq);
+      }
+    } catch (error) {
+      this.pending = pending.concat(this.pending);
+      this.pendingBytes = this.pending.reduce(
+        (total, line) => total + line.length + 1,
+        0
+      );
+      throw new DatabaseError("Failed to compact database journal", error);
+    }
+
+    this.snapshotRequired = false;
+    this.stats.compactionCount++;
+    this.stats.lastCompactionAt = Date.now();
+    this.stats.lastCompactionMs = elapsed(started);
+    this.stats.snapshotBytes = data.length;
+    return true;
+  }
+
+  getJournalBytes() {
+    let bytes = 0;
+    this.segments.forEach((segment) => {
+      bytes += segment.bytes;
+    });
+    return bytes;
+  }
+
+  /**
+   * Persistence stats for the database stats view
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      avgFlushMs: average(this.flushLatencies),
+      journalSegments: this.segments.size,
+      journalBytes: this.getJournalBytes(),
+      pendingStatements: this.pending.length,
+    };
+  }
+}
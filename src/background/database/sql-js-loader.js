@@ -3,12 +3,25 @@
 
 // Import the SQL.js module
 import initSqlJsModule from "../../assets/wasm/sql-wasm.js";
-// Import browser-compat layer for cross-browser support
-import { runtime } from "../compat/browser-compat.js";
 
 let sqlJsInstance = null;
 let initPromise = null;
 
+/**
+ * Resolve an extension asset URL
+ * The database worker has no extension APIs, but it runs on the extension
+ * origin, so its own location resolves the same URL
+ */
+function getAssetUrl(path) {
+  const api = globalThis.browser?.runtime?.getURL
+    ? globalThis.browser
+    : globalThis.chrome;
+  if (api?.runtime?.getURL) {
+    return api.runtime.getURL(path);
+  }
+  return new URL(`/${path}`, self.location.origin).href;
+}
+
 /**
  * Initialize SQL.js with proper service worker configuration
  * Provides wasmBinary directly to prevent XMLHttpRequest usage
@@ -26,10 +39,9 @@ export async function initSqlJs() {
 
   initPromise = (async () => {
     try {
-      console.log("Initializing SQL.js in service worker context...");
+      console.log("Initializing SQL.js...");
 
-      // Get the WASM file URL using browser-compat layer
-      const wasmUrl = runtime.getURL("assets/wasm/sql-wasm.wasm");
+      const wasmUrl = getAssetUrl("assets/wasm/sql-wasm.wasm");
       console.log("WASM URL:", wasmUrl);
 
       // Fetch the WASM binary before initializing SQL.js
@@ -53,7 +65,7 @@ export async function initSqlJs() {
         locateFile: (file) => {
           // This shouldn't be called since we provide wasmBinary directly,
           // but if it is, return the correct path without logging (to avoid console spam)
-          return runtime.getURL(`assets/wasm/${file}`);
+          return getAssetUrl(`assets/wasm/${file}`);
         },
       };
 
@@ -1,6 +1,8 @@
 // Export manager - handles data export in various formats
 
 import { ExportError } from "../errors/error-types.js";
+import { createXlsxWorkbook, XLSX_MIME_TYPE } from "./xlsx-writer.js";
+import { buildExportSheets } from "./filtered-export.js";
 
 let dbManager = null;
 let encryptionManager = null;
@@ -55,6 +57,11 @@ export function getExportFormats() {
       name: "SQLite",
       description: "Export as SQLite database file",
     },
+    {
+      id: "excel",
+      name: "Excel",
+      description: "Export as XLSX workbook with typed, filterable sheets",
+    },
   ];
 }
 
@@ -148,6 +155,7 @@ export async function exportData(options) {
       includeHeaders = true,
       prettyPrint = true,
       compression = false,
+      filters = {},
     } = options;
 
     // Publish export started event
@@ -188,9 +196,8 @@ export async function exportData(options) {
         break;
 
       case "excel":
-        data = await exportToExcel();
-        mimeType =
-          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+        data = await exportToExcel(filters);
+        mimeType = XLSX_MIME_TYPE;
         extension = "xlsx";
         break;
 
@@ -350,25 +357,26 @@ export async function exportToPdf() {
   }
 
   try {
-    // For PDF export, we would typically use a library like jsPDF
-    // Since we don't have that available, we'll throw an error
-    throw new ExportError("PDF export is not implemented yet");
+    // PDFs are printed from the report page (report.html), which renders
+    // the charts; the service worker has no DOM to lay them out
+    throw new ExportError(
+      "PDF export is not available here; open the performance report and use Print / Save as PDF"
+    );
   } catch (error) {
     console.error("PDF export failed:", error);
     throw new ExportError("PDF export failed", error);
   }
 }
 
-// Export to Excel
-export async function exportToExcel() {
+// Export to Excel (XLSX workbook: requests, headers, timings, domain stats,
+// daily analytics and web vitals)
+export async function exportToExcel(filters = {}) {
   if (!dbManager) {
     throw new ExportError("Database not initialized");
   }
 
   try {
-    // For Excel export, we would typically use a library like SheetJS
-    // Since we don't have that available, we'll throw an error
-    throw new ExportError("Excel export is not implemented yet");
+    return createXlsxWorkbook(buildExportSheets(dbManager.db, filters));
   } catch (error) {
     console.error("Excel export failed:", error);
     throw new ExportError("Excel export failed", error);
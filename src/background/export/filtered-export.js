@@ -0,0 +1,248 @@
+/**
+ * Filtered Export
+ * Collects the requests matching the UI filters, with their headers,
+ * timings, per-domain and per-day aggregates and the matching Web Vitals,
+ * as typed sheets for the XLSX writer (or plain rows for JSON).
+ *
+ * Filters: { domain, pageUrl, type, statusPrefix, timeRange (seconds) }
+ * Aggregates are computed from the filtered requests, so every sheet
+ * describes the same slice of traffic.
+ */
+
+import { escapeStr, mapResultToArray } from "../utils/handler-helpers.js";
+
+// Excel handles about a million rows; keep exports responsive
+export const EXPORT_ROW_LIMIT = 50000;
+
+const REQUEST_COLUMNS = [
+  { key: "timestamp", header: "Time", type: "date" },
+  { key: "method", header: "Method", type: "string" },
+  { key: "url", header: "URL", type: "string" },
+  { key: "domain", header: "Domain", type: "string" },
+  { key: "page_url", header: "Page URL", type: "string" },
+  { key: "type", header: "Type", type: "string" },
+  { key: "status", header: "Status", type: "number" },
+  { key: "status_text", header: "Status Text", type: "string" },
+  { key: "duration", header: "Duration (ms)", type: "number" },
+  { key: "size_bytes", header: "Size (bytes)", type: "number" },
+  { key: "from_cache", header: "From Cache", type: "boolean" },
+  { key: "initiator", header: "Initiator", type: "string" },
+  { key: "error", header: "Error", type: "string" },
+  { key: "id", header: "Request ID", type: "string" },
+];
+
+const HEADER_COLUMNS = [
+  { key: "request_id", header: "Request ID", type: "string" },
+  { key: "header_type", header: "Direction", type: "string" },
+  { key: "name", header: "Name", type: "string" },
+  { key: "value", header: "Value", type: "string" },
+];
+
+const TIMING_COLUMNS = [
+  { key: "request_id", header: "Request ID", type: "string" },
+  { key: "url", header: "URL", type: "string" },
+  { key: "queued_duration", header: "Queued (ms)", type: "number" },
+  { key: "dns_duration", header: "DNS (ms)", type: "number" },
+  { key: "tcp_duration", header: "TCP (ms)", type: "number" },
+  { key: "ssl_duration", header: "SSL (ms)", type: "number" },
+  { key: "request_duration", header: "Waiting (ms)", type: "number" },
+  { key: "response_duration", header: "Download (ms)", type: "number" },
+  { key: "transfer_size", header: "Transfer Size (bytes)", type: "number" },
+  { key: "timing_source", header: "Source", type: "string" },
+];
+
+const DOMAIN_COLUMNS = [
+  { key: "domain", header: "Domain", type: "string" },
+  { key: "request_count", header: "Requests", type: "number" },
+  { key: "error_count", header: "Errors", type: "number" },
+  { key: "error_rate", header: "Error Rate (%)", type: "number" },
+  { key: "avg_duration", header: "Avg Duration (ms)", type: "number" },
+  { key: "max_duration", header: "Max Duration (ms)", type: "number" },
+  { key: "total_bytes", header: "Total Bytes", type: "number" },
+  { key: "first_seen", header: "First Seen", type: "date" },
+  { key: "last_seen", header: "Last Seen", type: "date" },
+];
+
+const DAILY_COLUMNS = [
+  { key: "date", header: "Date", type: "date" },
+  { key: "request_count", header: "Requests", type: "number" },
+  { key: "unique_domains", header: "Domains", type: "number" },
+  { key: "error_count", header: "Errors", type: "number" },
+  { key: "error_rate", header: "Error Rate (%)", type: "number" },
+  { key: "avg_duration", header: "Avg Duration (ms)", type: "number" },
+  { key: "max_duration", header: "Max Duration (ms)", type: "number" },
+  { key: "total_bytes", header: "Total Bytes", type: "number" },
+];
+
+const VITALS_COLUMNS = [
+  { key: "timestamp", header: "Time", type: "date" },
+  { key: "metric_name", header: "Metric", type: "string" },
+  { key: "value", header: "Value", type: "number" },
+  { key: "rating", header: "Rating", type: "string" },
+  { key: "domain", header: "Domain", type: "string" },
+  { key: "page_url", header: "Page URL", type: "string" },
+  { key: "attribution", header: "Attribution", type: "string" },
+];
+
+/**
+ * Build the WHERE clause for bronze_requests from UI filters
+ * @param {Object} filters - Export filters
+ * @returns {string} SQL condition (without WHERE)
+ */
+export function buildRequestFilter(filters = {}) {
+  const { domain, pageUrl, type, statusPrefix, timeRange } = filters;
+  const conditions = ["1=1"];
+
+  if (timeRange) {
+    conditions.push(`timestamp > ${Date.now() - parseInt(timeRange) * 1000}`);
+  }
+  if (domain && domain !== "all") {
+    conditions.push(`domain = ${escapeStr(domain)}`);
+  }
+  if (pageUrl) {
+    conditions.push(`page_url = ${escapeStr(pageUrl)}`);
+  }
+  if (type) {
+    conditions.push(`type = ${escapeStr(type)}`);
+  }
+  if (statusPrefix) {
+    if (statusPrefix === "3xx") {
+      conditions.push("status >= 300 AND status < 400");
+    } else if (statusPrefix === "4xx") {
+      conditions.push("status >= 400 AND status < 500");
+    } else if (statusPrefix === "5xx") {
+      conditions.push("status >= 500 AND status < 600");
+    } else if (statusPrefix === "200") {
+      conditions.push("status >= 200 AND status < 300");
+    } else {
+      conditions.push(`status = ${parseInt(statusPrefix)}`);
+    }
+  }
+
+  return conditions.join(" AND ");
+}
+
+function buildVitalsFilter(filters = {}) {
+  const { domain, pageUrl, timeRange } = filters;
+  const conditions = ["1=1"];
+
+  if (timeRange) {
+    conditions.push(`timestamp > ${Date.now() - parseInt(timeRange) * 1000}`);
+  }
+  if (domain && domain !== "all") {
+    conditions.push(`domain = ${escapeStr(domain)}`);
+  }
+  if (pageUrl) {
+    conditions.push(`page_url = ${escapeStr(pageUrl)}`);
+  }
+
+  return conditions.join(" AND ");
+}
+
+function query(db, sql) {
+  const result = db.exec(sql);
+  return mapResultToArray(result[0]);
+}
+
+// Query at most EXPORT_ROW_LIMIT rows; one extra row tells whether any
+// were left out
+function queryLimited(db, sql) {
+  const rows = query(db, `${sql} LIMIT ${EXPORT_ROW_LIMIT + 1}`);
+  return {
+    rows: rows.slice(0, EXPORT_ROW_LIMIT),
+    truncated: rows.length > EXPORT_ROW_LIMIT,
+  };
+}
+
+/**
+ * Collect the filtered export as sheets
+ * @param {Object} db - sql.js database
+ * @param {Object} [filters] - Export filters
+ * @returns {Array<{name: string, columns: Array, rows: Array,
+ *   truncated: boolean}>} Sheets; truncated when rows beyond
+ *   EXPORT_ROW_LIMIT were left out
+ */
+export function buildExportSheets(db, filters = {}) {
+  const requestFilter = buildRequestFilter(filters);
+
+  // Matching request IDs, shared by the headers and timings sheets
+  const matching = `
+    SELECT id FROM bronze_requests
+    WHERE ${requestFilter}
+    ORDER BY timestamp DESC
+    LIMIT ${EXPORT_ROW_LIMIT}
+  `;
+
+  const requests = queryLimited(
+    db,
+    `SELECT ${REQUEST_COLUMNS.map((column) => column.key).join(", ")}
+     FROM bronze_requests
+     WHERE ${requestFilter}
+     ORDER BY timestamp DESC`
+  );
+
+  const headers = queryLimited(
+    db,
+    `SELECT request_id, header_type, name, value
+     FROM bronze_request_headers
+     WHERE request_id IN (${matching})
+     ORDER BY request_id, header_type, id`
+  );
+
+  const timings = queryLimited(
+    db,
+    `SELECT t.request_id, r.url, t.queued_duration, t.dns_duration,
+       t.tcp_duration, t.ssl_duration, t.request_duration,
+       t.response_duration, t.transfer_size, t.timing_source
+     FROM bronze_request_timings t
+     JOIN bronze_requests r ON r.id = t.request_id
+     WHERE t.request_id IN (${matching})
+     ORDER BY r.timestamp DESC`
+  );
+
+  const aggregates = `
+    COUNT(*) AS request_count,
+    SUM(CASE WHEN status >= 400 OR (error IS NOT NULL AND error != '') OR graphql_error_count > 0 THEN 1 ELSE 0 END) AS error_count,
+    ROUND(100.0 * SUM(CASE WHEN status >= 400 OR (error IS NOT NULL AND error != '') OR graphql_error_count > 0 THEN 1 ELSE 0 END) / COUNT(*), 2) AS error_rate,
+    ROUND(AVG(duration), 2) AS avg_duration,
+    MAX(duration) AS max_duration,
+    COALESCE(SUM(size_bytes), 0) AS total_bytes
+  `;
+
+  const domains = query(
+    db,
+    `SELECT domain, ${aggregates},
+       MIN(timestamp) AS first_seen, MAX(timestamp) AS last_seen
+     FROM bronze_requests
+     WHERE ${requestFilter}
+     GROUP BY domain
+     ORDER BY request_count DESC`
+  );
+
+  const daily = query(
+    db,
+    `SELECT DATE(timestamp / 1000, 'unixepoch', 'localtime') AS date,
+       COUNT(DISTINCT domain) AS unique_domains, ${aggregates}
+     FROM bronze_requests
+     WHERE ${requestFilter}
+     GROUP BY date
+     ORDER BY date`
+  ).map((row) => ({ ...row, date: `${row.date}T00:00:00` }));
+
+  const vitals = queryLimited(
+    db,
+    `SELECT ${VITALS_COLUMNS.map((column) => column.key).join(", ")}
+     FROM bronze_web_vitals
+     WHERE ${buildVitalsFilter(filters)}
+     ORDER BY timestamp DESC`
+  );
+
+  return [
+    { name: "Requests", columns: REQUEST_COLUMNS, ...requests },
+    { name: "Headers", columns: HEADER_COLUMNS, ...headers },
+    { name: "Timings", columns: TIMING_COLUMNS, ...timings },
+    { name: "Domain Stats", columns: DOMAIN_COLUMNS, rows: domains },
+    { name: "Daily Analytics", columns: DAILY_COLUMNS, rows: daily },
+    { name: "Web Vitals", columns: VITALS_COLUMNS, ...vitals },
+  ].map((sheet) => ({ truncated: false, ...sheet }));
+}
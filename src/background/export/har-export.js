@@ -0,0 +1,194 @@
+/**
+ * HAR Export
+ * Builds a HAR 1.2 document from the Bronze layer: requests with their
+ * stored headers, cookies, bodies and measured timing phases, grouped into
+ * pages by page URL. Page load times come from the DCL/Load Web Vitals.
+ *
+ * Filters: { domain, pageUrl, type, statusPrefix, timeRange (seconds) }
+ * Without a timeRange the last 24 hours are exported.
+ */
+
+import { escapeStr, mapResultToArray } from "../utils/handler-helpers.js";
+import { buildRequestFilter } from "./filtered-export.js";
+import { buildHarEntry, buildHarLog } from "../../lib/utils/har.js";
+import { timingRowToPhases } from "../../lib/utils/request-timings.js";
+
+export const HAR_EXPORT_LIMIT = 5000;
+
+const DEFAULT_TIME_RANGE = 86400; // 24 hours
+
+function query(db, sql) {
+  const result = db.exec(sql);
+  return mapResultToArray(result[0]);
+}
+
+function groupHeaders(rows) {
+  const byRequest = new Map();
+  rows.forEach((row) => {
+    if (!byRequest.has(row.request_id)) {
+      byRequest.set(row.request_id, { request: [], response: [] });
+    }
+    const headers = byRequest.get(row.request_id);
+    headers[row.header_type].push({ name: row.name, value: row.value });
+  });
+  return byRequest;
+}
+
+/**
+ * Build HAR pages, one per page URL, started at its first request
+ * Repeated visits to the same URL in the window share a page.
+ */
+function buildPages(requests, vitals) {
+  const pages = new Map();
+
+  requests.forEach((request) => {
+    if (!request.page_url || pages.has(request.page_url)) return;
+    pages.set(request.page_url, {
+      startedDateTime: new Date(request.timestamp).toISOString(),
+      id: `page_${pages.size + 1}`,
+      title: request.page_url,
+      start: request.timestamp,
+    });
+  });
+
+  // First DCL/Load reported after the page started loading
+  const pageTiming = (page, metric) => {
+    const match = vitals.find(
+      (vital) =>
+        vital.page_url === page.title &&
+        vital.metric_name === metric &&
+        vital.timestamp >= page.start
+    );
+    return match ? Math.round(match.value * 100) / 100 : -1;
+  };
+
+  return Array.from(pages.values()).map((page) => ({
+    startedDateTime: page.startedDateTime,
+    id: page.id,
+    title: page.title,
+    pageTimings: {
+      onContentLoad: pageTiming(page, "DCL"),
+      onLoad: pageTiming(page, "Load"),
+    },
+  }));
+}
+
+/**
+ * Build a HAR 1.2 document from the stored requests
+ * @param {Object} db - sql.js database
+ * @param {Object} [filters] - Export filters
+ * @param {Object} [options] - { redactor, limit, creatorVersion }
+ *   redactor: createRedactor() instance applied to URLs, headers and bodies
+ * @returns {Object} HAR document { log }
+ */
+export function buildHar(db, filters = {}, options = {}) {
+  const { redactor = null, limit = HAR_EXPORT_LIMIT, creatorVersion } = options;
+  const requestFilter = buildRequestFilter({
+    ...filters,
+    timeRange: filters.timeRange || DEFAULT_TIME_RANGE,
+  });
+
+  // Newest requests win the limit; HAR viewers expect chronological order
+  const requests = query(
+    db,
+    `SELECT id, url, method, type, status, status_text, protocol, duration,
+       size_bytes, from_cache, error, timestamp, page_url, request_body,
+       response_body
+     FROM bronze_requests
+     WHERE ${requestFilter}
+     ORDER BY timestamp DESC
+     LIMIT ${parseInt(limit) || HAR_EXPORT_LIMIT}`
+  ).reverse();
+
+  if (requests.length === 0) {
+    return buildHarLog({ creatorVersion });
+  }
+
+  const matching = `
+    SELECT id FROM bronze_requests
+    WHERE ${requestFilter}
+    ORDER BY timestamp DESC
+    LIMIT ${parseInt(limit) || HAR_EXPORT_LIMIT}
+  `;
+
+  const headers = groupHeaders(
+    query(
+      db,
+      `SELECT request_id, header_type, name, value
+       FROM bronze_request_headers
+       WHERE request_id IN (${matching})
+       ORDER BY request_id, id`
+    )
+  );
+
+  const timings = new Map(
+    query(
+      db,
+      `SELECT request_id, queued_duration, dns_duration, tcp_duration,
+         ssl_duration, request_duration, response_duration, encoded_size,
+         decoded_size, timing_source
+       FROM bronze_request_timings
+       WHERE request_id IN (${matching})`
+    ).map((row) => [row.request_id, row])
+  );
+
+  const pageUrls = [
+    ...new Set(requests.map((request) => request.page_url).filter(Boolean)),
+  ];
+  const vitals = pageUrls.length
+    ? query(
+        db,
+        `SELECT page_url, metric_name, value, timestamp
+         FROM bronze_web_vitals
+         WHERE metric_name IN ('DCL', 'Load')
+           AND page_url IN (${pageUrls.map((url) => escapeStr(url)).join(", ")})
+         ORDER BY timestamp`
+      )
+    : [];
+
+  const pages = buildPages(requests, vitals);
+  const pageIds = new Map(pages.map((page) => [page.title, page.id]));
+
+  const redactUrl = (url) => (redactor ? redactor.redactUrl(url) : url);
+  const redactHeaders = (list) =>
+    redactor ? redactor.redactHeaders(list) : list;
+  const redactBody = (body) => (redactor ? redactor.redactBody(body) : body);
+
+  const entries = requests.map((request) => {
+    const requestHeaders = headers.get(request.id) || {
+      request: [],
+      response: [],
+    };
+    const timing = timings.get(request.id);
+
+    return buildHarEntry(
+      {
+        url: redactUrl(request.url),
+        method: request.method,
+        type: request.type,
+        status: request.status,
+        statusText: request.status_text,
+        protocol: request.protocol,
+        timestamp: request.timestamp,
+        duration: request.duration,
+        sizeBytes: request.size_bytes,
+        fromCache: Boolean(request.from_cache),
+        error: request.error,
+        requestHeaders: redactHeaders(requestHeaders.request),
+        responseHeaders: redactHeaders(requestHeaders.response),
+        requestBody: redactBody(request.request_body),
+        responseBody: redactBody(request.response_body),
+        phases: timingRowToPhases(timing),
+        encodedSize: timing?.encoded_size,
+        decodedSize: timing?.decoded_size,
+      },
+      { pageref: pageIds.get(request.page_url) }
+    );
+  });
+
+  return buildHarLog({
+    creatorVersion,
+    entries,
+    pages: pages.map((page) => ({ ...page, title: redactUrl(page.title) })),
+  });
+}
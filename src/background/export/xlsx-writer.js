@@ -0,0 +1,339 @@
+/**
+ * XLSX Writer
+ * Builds Office Open XML workbooks without external libraries.
+ *
+ * Each sheet is { name, columns, rows } where columns are
+ * { key, header, type } and type is one of:
+ *   string | number | date | boolean
+ * Dates accept epoch milliseconds, ISO strings or Date objects and are
+ * written as Excel serial dates in local time. Every sheet gets a bold,
+ * frozen header row and an autofilter over its data.
+ */
+
+import { createZipArchive } from "./zip-archive.js";
+
+export const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// cellXfs indexes in styles.xml
+const STYLE_DATE = 1;
+const STYLE_HEADER = 2;
+
+// Excel limits
+const MAX_CELL_LENGTH = 32767;
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+// Days between 1899-12-30 (Excel epoch) and 1970-01-01
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a zero-based column index to letters (0 -> A, 27 -> AB)
+ */
+export function columnName(index) {
+  let name = "";
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Convert a date to an Excel serial date (local time)
+ * @returns {number|null} Serial date, or null when the value is not a date
+ */
+export function toExcelDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.getTime();
+  if (isNaN(time)) return null;
+
+  const localTime = time - date.getTimezoneOffset() * 60 * 1000;
+  return localTime / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS;
+}
+
+// Control characters other than tab, LF and CR are not allowed in XML 1.0
+function stripControlCharacters(text) {
+  let result = "";
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d) {
+      result += text[i];
+    }
+  }
+  return result;
+}
+
+function escapeXml(value) {
+  return (
+    stripControlCharacters(String(value))
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+  );
+}
+
+function sanitizeSheetName(name, usedNames) {
+  const base =
+    String(name || "Sheet")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .trim()
+      .slice(0, MAX_SHEET_NAME_LENGTH) || "Sheet";
+
+  let candidate = base;
+  let suffix = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const tail = ` (${suffix++})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - tail.length) + tail;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function stringCell(ref, value, style) {
+  const text = String(value).slice(0, MAX_CELL_LENGTH);
+  const styleAttr = style ? ` s="${style}"` : "";
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    text
+  )}</t></is></c>`;
+}
+
+function buildCell(ref, value, type) {
+  if (value === null || value === undefined || value === "") return "";
+
+  switch (type) {
+    case "number": {
+      const number = Number(value);
+      return Number.isFinite(number)
+        ? `<c r="${ref}"><v>${number}</v></c>`
+        : stringCell(ref, value);
+    }
+    case "date": {
+      const serial = toExcelDate(value);
+      return serial === null
+        ? stringCell(ref, value)
+        : `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+    }
+    case "boolean":
+      return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    default:
+      return stringCell(
+        ref,
+        typeof value === "object" ? JSON.stringify(value) : value
+      );
+  }
+}
+
+function columnWidth(column, rows) {
+  if (column.type === "date") return 20;
+
+  const longest = rows.slice(0, 200).reduce((max, row) => {
+    const value = row[column.key];
+    return value === null || value === undefined
+      ? max
+      : Math.max(max, String(value).length);
+  }, String(column.header).length);
+
+  return Math.min(Math.max(longest + 2, 8), MAX_COLUMN_WIDTH);
+}
+
+function buildSheetXml(sheet, index) {
+  const { columns, rows } = sheet;
+  const lastColumn = columnName(Math.max(columns.length - 1, 0));
+  const range = `A1:${lastColumn}${rows.length + 1}`;
+
+  const header = columns
+    .map((column, col) =>
+      stringCell(`${columnName(col)}1`, column.header, STYLE_HEADER)
+    )
+    .join("");
+
+  const body = rows
+    .map((row, rowIndex) => {
+      const rowNumber = rowIndex + 2;
+      const cells = columns
+        .map((column, col) =>
+          buildCell(
+            `${columnName(col)}${rowNumber}`,
+            row[column.key],
+            column.type
+          )
+        )
+        .join("");
+      return `<row r="${rowNumber}">${cells}</row>`;
+    })
+    .join("");
+
+  const cols = columns
+    .map(
+      (column, col) =>
+        `<col min="${col + 1}" max="${col + 1}" width="${columnWidth(
+          column,
+          rows
+        )}" customWidth="1"/>`
+    )
+    .join("");
+
+  return (
+    XML_HEADER +
+    `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<dimension ref="${range}"/>` +
+    `<sheetViews><sheetView workbookViewId="0"${
+      index === 0 ? ' tabSelected="1"' : ""
+    }>` +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+    "</sheetView></sheetViews>" +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    (cols ? `<cols>${cols}</cols>` : "") +
+    `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+    `<autoFilter ref="${range}"/>` +
+    "</worksheet>"
+  );
+}
+
+function buildWorkbookXml(sheets) {
+  const sheetEntries = sheets
+    .map(
+      (sheet, index) =>
+        `<sheet name="${escapeXml(sheet.name)}" sheetId="${
+          index + 1
+        }" r:id="rId${index + 1}"/>`
+    )
+    .join("");
+
+  // Excel expects a hidden _FilterDatabase name for each autofilter
+  const filterNames = sheets
+    .map((sheet, index) => {
+      const lastColumn = columnName(Math.max(sheet.columns.length - 1, 0));
+      const quotedName = sheet.name.replace(/'/g, "''");
+      return `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXml(
+        quotedName
+      )}'!$A$1:$${lastColumn}$${sheet.rows.length + 1}</definedName>`;
+    })
+    .join("");
+
+  return (
+    XML_HEADER +
+    `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<sheets>${sheetEntries}</sheets>` +
+    `<definedNames>${filterNames}</definedNames>` +
+    "</workbook>"
+  );
+}
+
+function buildWorkbookRelsXml(sheets) {
+  const sheetRels = sheets
+    .map(
+      (sheet, index) =>
+        `<Relationship Id="rId${
+          index + 1
+        }" Type="${REL_NS}/worksheet" Target="worksheets/sheet${
+          index + 1
+        }.xml"/>`
+    )
+    .join("");
+
+  return (
+    XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheetRels +
+    `<Relationship Id="rId${
+      sheets.length + 1
+    }" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    "</Relationships>"
+  );
+}
+
+function buildContentTypesXml(sheets) {
+  const sheetOverrides = sheets
+    .map(
+      (sheet, index) =>
+        `<Override PartName="/xl/worksheets/sheet${
+          index + 1
+        }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    )
+    .join("");
+
+  return (
+    XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheetOverrides +
+    "</Types>"
+  );
+}
+
+const ROOT_RELS_XML =
+  XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+  "</Relationships>";
+
+const STYLES_XML =
+  XML_HEADER +
+  `<styleSheet xmlns="${MAIN_NS}">` +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+  '<fonts count="2">' +
+  '<font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+  "</fonts>" +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  "</cellXfs>" +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  "</styleSheet>";
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<{name: string, columns: Array, rows: Array<Object>}>} sheets
+ * @returns {Uint8Array} XLSX file
+ */
+export function createXlsxWorkbook(sheets) {
+  const usedNames = new Set();
+  const normalized = (sheets || []).map((sheet) => ({
+    name: sanitizeSheetName(sheet.name, usedNames),
+    columns: sheet.columns || [],
+    rows: sheet.rows || [],
+  }));
+
+  if (normalized.length === 0) {
+    normalized.push({ name: "Sheet1", columns: [], rows: [] });
+  }
+
+  const files = [
+    { name: "[Content_Types].xml", content: buildContentTypesXml(normalized) },
+    { name: "_rels/.rels", content: ROOT_RELS_XML },
+    { name: "xl/workbook.xml", content: buildWorkbookXml(normalized) },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: buildWorkbookRelsXml(normalized),
+    },
+    { name: "xl/styles.xml", content: STYLES_XML },
+    ...normalized.map((sheet, index) => ({
+      name: `xl/worksheets/sheet${index + 1}.xml`,
+      content: buildSheetXml(sheet, index),
+    })),
+  ];
+
+  return createZipArchive(files);
+}
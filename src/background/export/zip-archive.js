@@ -0,0 +1,143 @@
+/**
+ * ZIP Archive
+ * Minimal ZIP writer shared by the multi-table CSV and XLSX exports
+ */
+
+let crcTable = null;
+
+/**
+ * Helper: Calculate CRC32 checksum for ZIP files
+ */
+function calculateCRC32(bytes) {
+  crcTable = crcTable || makeCRCTable();
+  let crc = 0 ^ -1;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc = (crc >>> 8) ^ crcTable[(crc ^ bytes[i]) & 0xff];
+  }
+
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Helper: Generate CRC32 lookup table
+ */
+function makeCRCTable() {
+  let c;
+  const table = [];
+  for (let n = 0; n < 256; n++) {
+    c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+}
+
+/**
+ * Create a simple ZIP archive from an array of files
+ * Uses minimal ZIP format (no compression for simplicity)
+ * @param {Array<{name: string, content: string|Uint8Array}>} files
+ * @returns {Uint8Array} ZIP archive
+ */
+export function createZipArchive(files) {
+  const textEncoder = new TextEncoder();
+  const centralDirectory = [];
+  let offset = 0;
+  const fileData = [];
+
+  for (const file of files) {
+    const nameBytes = textEncoder.encode(file.name);
+    const contentBytes =
+      file.content instanceof Uint8Array
+        ? file.content
+        : textEncoder.encode(file.content);
+    const crc32 = calculateCRC32(contentBytes);
+
+    // Local file header
+    const localHeader = new Uint8Array(30 + nameBytes.length);
+    const localHeaderView = new DataView(localHeader.buffer);
+
+    localHeaderView.setUint32(0, 0x04034b50, true); // Local file header signature
+    localHeaderView.setUint16(4, 10, true); // Version needed to extract
+    localHeaderView.setUint16(6, 0, true); // General purpose bit flag
+    localHeaderView.setUint16(8, 0, true); // Compression method (0 = no compression)
+    localHeaderView.setUint16(10, 0, true); // File modification time
+    localHeaderView.setUint16(12, 0, true); // File modification date
+    localHeaderView.setUint32(14, crc32, true); // CRC-32
+    localHeaderView.setUint32(18, contentBytes.length, true); // Compressed size
+    localHeaderView.setUint32(22, contentBytes.length, true); // Uncompressed size
+    localHeaderView.setUint16(26, nameBytes.length, true); // File name length
+    localHeaderView.setUint16(28, 0, true); // Extra field length
+
+    localHeader.set(nameBytes, 30);
+    fileData.push(localHeader, contentBytes);
+
+    // Central directory header
+    const centralHeader = new Uint8Array(46 + nameBytes.length);
+    const centralHeaderView = new DataView(centralHeader.buffer);
+
+    centralHeaderView.setUint32(0, 0x02014b50, true); // Central directory signature
+    centralHeaderView.setUint16(4, 10, true); // Version made by
+    centralHeaderView.setUint16(6, 10, true); // Version needed to extract
+    centralHeaderView.setUint16(8, 0, true); // General purpose bit flag
+    centralHeaderView.setUint16(10, 0, true); // Compression method
+    centralHeaderView.setUint16(12, 0, true); // File modification time
+    centralHeaderView.setUint16(14, 0, true); // File modification date
+    centralHeaderView.setUint32(16, crc32, true); // CRC-32
+    centralHeaderView.setUint32(20, contentBytes.length, true); // Compressed size
+    centralHeaderView.setUint32(24, contentBytes.length, true); // Uncompressed size
+    centralHeaderView.setUint16(28, nameBytes.length, true); // File name length
+    centralHeaderView.setUint16(30, 0, true); // Extra field length
+    centralHeaderView.setUint16(32, 0, true); // File comment length
+    centralHeaderView.setUint16(34, 0, true); // Disk number start
+    centralHeaderView.setUint16(36, 0, true); // Internal file attributes
+    centralHeaderView.setUint32(38, 0, true); // External file attributes
+    centralHeaderView.setUint32(42, offset, true); // Relative offset of local header
+
+    centralHeader.set(nameBytes, 46);
+    centralDirectory.push(centralHeader);
+
+    offset += localHeader.length + contentBytes.length;
+  }
+
+  // End of central directory record
+  const eocdHeader = new Uint8Array(22);
+  const eocdView = new DataView(eocdHeader.buffer);
+  const centralDirSize = centralDirectory.reduce(
+    (sum, dir) => sum + dir.length,
+    0
+  );
+
+  eocdView.setUint32(0, 0x06054b50, true); // End of central directory signature
+  eocdView.setUint16(4, 0, true); // Number of this disk
+  eocdView.setUint16(6, 0, true); // Disk where central directory starts
+  eocdView.setUint16(8, files.length, true); // Number of central directory records on this disk
+  eocdView.setUint16(10, files.length, true); // Total number of central directory records
+  eocdView.setUint32(12, centralDirSize, true); // Size of central directory
+  eocdView.setUint32(16, offset, true); // Offset of start of central directory
+  eocdView.setUint16(20, 0, true); // ZIP file comment length
+
+  // Concatenate all parts
+  const totalSize =
+    fileData.reduce((sum, arr) => sum + arr.length, 0) +
+    centralDirSize +
+    eocdHeader.length;
+  const zipData = new Uint8Array(totalSize);
+  let zipOffset = 0;
+
+  for (const data of fileData) {
+    zipData.set(data, zipOffset);
+    zipOffset += data.length;
+  }
+
+  for (const dir of centralDirectory) {
+    zipData.set(dir, zipOffset);
+    zipOffset += dir.length;
+  }
+
+  zipData.set(eocdHeader, zipOffset);
+
+  return zipData;
+}
@@ -0,0 +1,394 @@
+// HAR importer
+// Ingests HAR 1.1/1.2 files (Chrome/Firefox DevTools, Charles, Fiddler) into
+// the Bronze layer: requests, headers, measured timings and bodies. Every
+// imported request carries the import id so an import can be listed,
+// filtered or removed as a unit.
+
+import { ValidationError } from "../errors/error-types.js";
+import {
+  DEFAULT_BODY_CAPTURE_CONFIG,
+  matchesContentType,
+} from "../capture/body-capture.js";
+import {
+  DEFAULT_GRAPHQL_CAPTURE_CONFIG,
+  getGraphQLCaptureFields,
+  getGraphQLResultFields,
+} from "../capture/graphql-capture.js";
+import {
+  TIMING_SOURCES,
+  harTimingsToPhases,
+} from "../../lib/utils/request-timings.js";
+
+export const HAR_IMPORT_LIMIT = 20000; // entries per file
+
+// Chrome's _resourceType -> webRequest types used by live capture
+const RESOURCE_TYPES = {
+  document: "main_frame",
+  xhr: "xmlhttprequest",
+  fetch: "fetch",
+  script: "script",
+  stylesheet: "stylesheet",
+  image: "image",
+  font: "font",
+  media: "media",
+  websocket: "websocket",
+  ping: "ping",
+  eventsource: "xmlhttprequest",
+  preflight: "other",
+};
+
+/**
+ * Parse and validate a HAR document
+ * @param {string|Object} input - HAR JSON text or parsed object
+ * @returns {Object} HAR log
+ * @throws {ValidationError} When the input is not a HAR file
+ */
+export function parseHar(input) {
+  let har = input;
+  if (typeof input === "string") {
+    try {
+      // Strip a UTF-8 BOM (Fiddler writes one)
+      har = JSON.parse(input.replace(/^\uFEFF/, ""));
+    } catch (error) {
+      throw new ValidationError("File is not valid JSON", {
+        cause: error.message,
+      });
+    }
+  }
+
+  const log = har?.log;
+  if (!log || !Array.isArray(log.entries)) {
+    throw new ValidationError("Invalid HAR format: missing log.entries");
+  }
+  if (log.entries.length > HAR_IMPORT_LIMIT) {
+    throw new ValidationError(
+      `HAR has ${log.entries.length} entries; the limit is ${HAR_IMPORT_LIMIT}`
+    );
+  }
+
+  return log;
+}
+
+/**
+ * Convert HAR headers to a header map
+ * HTTP/2 pseudo-headers are dropped and repeated headers are joined.
+ * @param {Array<{name, value}>} headers - HAR headers
+ * @returns {Object} { name: value }
+ */
+export function harHeadersToObject(headers) {
+  const result = {};
+  (headers || []).forEach(({ name, value }) => {
+    if (!name || name.startsWith(":")) return;
+    const key = name.toLowerCase();
+    const separator = key === "set-cookie" ? "\n" : ", ";
+    result[key] =
+      result[key] !== undefined
+        ? `${result[key]}${separator}${value ?? ""}`
+        : value ?? "";
+  });
+  return result;
+}
+
+function inferType(entry) {
+  if (entry._resourceType) {
+    return RESOURCE_TYPES[entry._resourceType] || "other";
+  }
+
+  const mime = (entry.response?.content?.mimeType || "").toLowerCase();
+  if (mime.includes("html")) return "main_frame";
+  if (mime.includes("css")) return "stylesheet";
+  if (mime.includes("javascript") || mime.includes("ecmascript")) {
+    return "script";
+  }
+  if (mime.startsWith("image/")) return "image";
+  if (mime.startsWith("font/") || mime.includes("font")) return "font";
+  if (mime.startsWith("audio/") || mime.startsWith("video/")) return "media";
+  if (mime.includes("json") || mime.includes("xml")) return "xmlhttprequest";
+  return "other";
+}
+
+function isTextBody(mimeType) {
+  return DEFAULT_BODY_CAPTURE_CONFIG.contentTypes.some((pattern) =>
+    matchesContentType(mimeType, pattern)
+  );
+}
+
+function decodeBase64(text) {
+  const binary = atob(text);
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder("utf-8", { fatal: false }).decode(bytes);
+}
+
+function getResponseBody(content) {
+  if (!content || typeof content.text !== "string" || !content.text) {
+    return null;
+  }
+  if (!isTextBody(content.mimeType)) return null;
+
+  try {
+    const text =
+      content.encoding === "base64" ? decodeBase64(content.text) : content.text;
+    return text;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getRequestBody(postData) {
+  if (!postData) return null;
+  if (typeof postData.text === "string" && postData.text) {
+    return postData.text;
+  }
+  if (Array.isArray(postData.params) && postData.params.length) {
+    return postData.params
+      .map(
+        ({ name, value }) =>
+          `${encodeURIComponent(name)}=${encodeURIComponent(value ?? "")}`
+      )
+      .join("&");
+  }
+  return null;
+}
+
+function positive(value) {
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Resolve the page URL for each HAR page
+ * DevTools titles pages with their URL; proxies often have no pages, in
+ * which case the first document request (or the Referer) is used.
+ */
+function resolvePageUrls(log) {
+  const pageUrls = new Map();
+  (log.pages || []).forEach((page) => {
+    if (/^https?:\/\//i.test(page.title || "")) {
+      pageUrls.set(page.id, page.title);
+    }
+  });
+
+  log.entries.forEach((entry) => {
+    if (
+      entry.pageref &&
+      !pageUrls.has(entry.pageref) &&
+      inferType(entry) === "main_frame"
+    ) {
+      pageUrls.set(entry.pageref, entry.request?.url);
+    }
+  });
+
+  return pageUrls;
+}
+
+/**
+ * Describe the tool that wrote a HAR, e.g. "Charles Proxy 4.6.4"
+ */
+export function describeHarCreator(log) {
+  const creator = log?.creator;
+  if (!creator?.name) return null;
+  return [creator.name, creator.version].filter(Boolean).join(" ");
+}
+
+/**
+ * Convert a HAR entry to a Bronze request with headers and timings
+ * @param {Object} entry - HAR entry
+ * @param {Object} options - { importId, index, pageUrls }
+ * @returns {Object|null} { request, requestHeaders, responseHeaders, timing },
+ *   or null when the entry has no usable URL
+ */
+export function harEntryToBronze(entry, { importId, index, pageUrls }) {
+  const request = entry?.request;
+  if (!request?.url) return null;
+
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (error) {
+    return null;
+  }
+
+  const response = entry.response || {};
+  const requestHeaders = harHeadersToObject(request.headers);
+  const responseHeaders = harHeadersToObject(response.headers);
+  const startedAt = Date.parse(entry.startedDateTime);
+  const timestamp = Number.isFinite(startedAt) ? startedAt : Date.now();
+  const duration = Math.round(positive(entry.time));
+  const content = response.content || {};
+  const transferSize = positive(response._transferSize);
+  const fromCache =
+    Boolean(entry._fromCache) ||
+    Boolean(entry.cache?.beforeRequest || entry.cache?.afterRequest);
+
+  const type = inferType(entry);
+  const pageUrl =
+    (entry.pageref && pageUrls.get(entry.pageref)) ||
+    (type === "main_frame" ? request.url : null) ||
+    requestHeaders.referer ||
+    `${url.origin}/`;
+
+  let pageDomain = url.hostname;
+  try {
+    pageDomain = new URL(pageUrl).hostname;
+  } catch (error) {
+    // Keep the request host
+  }
+
+  const status = Number(response.status) || 0;
+  const error =
+    response._error || entry._error || (status === 0 ? "No response" : null);
+
+  const method = (request.method || "GET").toUpperCase();
+  const requestBody = getRequestBody(request.postData);
+  const responseBody = getResponseBody(content);
+  const graphql = getGraphQLCaptureFields(
+    {
+      method,
+      url: request.url,
+      requestBody,
+      requestContentType: request.postData?.mimeType,
+    },
+    DEFAULT_GRAPHQL_CAPTURE_CONFIG
+  );
+
+  return {
+    request: {
+      id: `har_${importId}_${index}`,
+      importId,
+      url: request.url,
+      method,
+      type,
+      status,
+      statusText: response.statusText || null,
+      // Live capture groups requests under the page's domain
+      domain: pageDomain,
+      path: url.pathname,
+      queryString: url.search ? url.search.slice(1) : null,
+      protocol: response.httpVersion || request.httpVersion || null,
+      startTime: timestamp,
+      endTime: timestamp + duration,
+      duration,
+      sizeBytes:
+        transferSize || positive(response.bodySize) || positive(content.size),
+      timestamp,
+      pageUrl,
+      initiator: entry._initiator?.url || requestHeaders.referer || null,
+      error,
+      fromCache,
+      requestBody,
+      responseBody,
+      ...(graphql && {
+        ...graphql,
+        ...getGraphQLResultFields(responseBody),
+      }),
+    },
+    requestHeaders,
+    responseHeaders,
+    timing: entry.timings
+      ? {
+          phases: harTimingsToPhases(entry.timings),
+          source: TIMING_SOURCES.HAR_IMPORT,
+          transferSize,
+          encodedSize: positive(response.bodySize),
+          decodedSize: positive(content.size),
+          fromCache,
+        }
+      : null,
+  };
+}
+
+/**
+ * Import a HAR file into the medallion database
+ * Requests go through Silver processing as they are stored, and the Gold
+ * daily analytics are rebuilt for every day the HAR covers.
+ * @param {MedallionManager} medallion - Medallion manager
+ * @param {string|Object} input - HAR JSON text or parsed object
+ * @param {Object} [options] - { filename, importId }
+ * @returns {Promise<Object>} Import summary
+ */
+export async function importHar(medallion, input, options = {}) {
+  const log = parseHar(input);
+  const importId =
+    options.importId ||
+    `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const pageUrls = resolvePageUrls(log);
+
+  const requestIds = [];
+  const days = new Set();
+  const errors = [];
+  let skipped = 0;
+  let firstTimestamp = null;
+  let lastTimestamp = null;
+
+  for (let index = 0; index < log.entries.length; index++) {
+    const converted = harEntryToBronze(log.entries[index], {
+      importId,
+      index,
+      pageUrls,
+    });
+    if (!converted) {
+      skipped++;
+      continue;
+    }
+
+    const { request, requestHeaders, responseHeaders, timing } = converted;
+    try {
+      // Store headers and timings before Silver processing reads them
+      await medallion.insertBronzeRequest(request, {
+        deferSilver: true,
+        maxBodySize: DEFAULT_BODY_CAPTURE_CONFIG.maxBodySize,
+      });
+      await medallion.insertBronzeHeaders(
+        request.id,
+        requestHeaders,
+        "request"
+      );
+      await medallion.insertBronzeHeaders(
+        request.id,
+        responseHeaders,
+        "response"
+      );
+      if (timing) {
+        await medallion.insertMeasuredTimings(request.id, timing);
+      }
+
+      requestIds.push(request.id);
+      days.add(new Date(request.timestamp).toISOString().split("T")[0]);
+      firstTimestamp = Math.min(firstTimestamp ?? Infinity, request.timestamp);
+      lastTimestamp = Math.max(lastTimestamp ?? 0, request.timestamp);
+    } catch (error) {
+      skipped++;
+      if (errors.length < 10) {
+        errors.push({ index, url: request.url, error: error.message });
+      }
+    }
+  }
+
+  // Process synchronously (not via the capture queue) so Gold rollups see
+  // every imported request
+  for (const requestId of requestIds) {
+    try {
+      await medallion.processBronzeToSilver(requestId);
+    } catch (error) {
+      console.warn("[HAR import] Silver processing failed:", requestId, error);
+    }
+  }
+  for (const day of days) {
+    await medallion.processDailyAnalytics(day);
+  }
+
+  const summary = {
+    importId,
+    source: "har",
+    filename: options.filename || null,
+    creator: describeHarCreator(log),
+    version: log.version || null,
+    entryCount: log.entries.length,
+    importedCount: requestIds.length,
+    skippedCount: skipped,
+    firstTimestamp,
+    lastTimestamp,
+  };
+  await medallion.insertBronzeImport(summary);
+
+  return { ...summary, requestIds, errors };
+}
@@ -25,6 +25,9 @@ async function handleGetAlertRules(message, sender, context) {
         threshold REAL NOT NULL,
         domain TEXT,
         enabled INTEGER DEFAULT 1,
+        window_minutes INTEGER DEFAULT 5,
+        cooldown_minutes INTEGER DEFAULT 15,
+        min_samples INTEGER DEFAULT 5,
         created_at INTEGER
       )
     `;
@@ -81,7 +84,7 @@ async function handleSaveAlertRule(message, sender, context) {
       LIMIT 1
     `;
 
-    const checkResult = database.executeQuery(checkQuery, [
+    const checkResult = await database.executeQuery(checkQuery, [
       rule.name,
       rule.metric,
       rule.domain || null,
@@ -97,7 +100,8 @@ async function handleSaveAlertRule(message, sender, context) {
       const existingId = checkResult[0].values[0][0];
       const updateQuery = `
         UPDATE alert_rules 
-        SET condition = ?, threshold = ?, enabled = ?
+        SET condition = ?, threshold = ?, enabled = ?,
+          window_minutes = ?, cooldown_minutes = ?, min_samples = ?
         WHERE id = ?
       `;
 
@@ -105,6 +109,9 @@ async function handleSaveAlertRule(message, sender, context) {
         rule.condition,
         rule.threshold,
         rule.enabled !== false ? 1 : 0,
+        rule.windowMinutes || 5,
+        rule.cooldownMinutes ?? 15,
+        rule.minSamples || 5,
         existingId,
       ]);
 
@@ -113,8 +120,11 @@ async function handleSaveAlertRule(message, sender, context) {
 
     // Insert new rule
     const insertQuery = `
-      INSERT INTO alert_rules (name, metric, condition, threshold, domain, enabled, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO alert_rules (
+        name, metric, condition, threshold, domain, enabled,
+        window_minutes, cooldown_minutes, min_samples, created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -124,6 +134,9 @@ async function handleSaveAlertRule(message, sender, context) {
       rule.threshold,
       rule.domain || null,
       rule.enabled !== false ? 1 : 0,
+      rule.windowMinutes || 5,
+      rule.cooldownMinutes ?? 15,
+      rule.minSamples || 5,
       Date.now(),
     ];
 
@@ -181,9 +194,13 @@ async function handleGetAlertHistory(message, sender, context) {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         rule_id INTEGER,
         rule_name TEXT,
+        metric TEXT,
+        domain TEXT,
         triggered_at INTEGER,
         value REAL,
         threshold REAL,
+        sample_count INTEGER,
+        window_minutes INTEGER,
         message TEXT
       )
     `;
@@ -247,7 +264,7 @@ async function handleCreateRunnerAlert(message, sender, context) {
       )
     `;
 
-    database.db.exec(query);
+    await database.db.exec(query);
     return { success: true };
   } catch (error) {
     console.error("Create runner alert error:", error);
@@ -282,7 +299,7 @@ async function handleGetRunnerAlerts(message, sender, context) {
       ORDER BY created_at DESC
     `;
 
-    const result = database.db.exec(query);
+    const result = await database.db.exec(query);
 
     const alerts =
       result.length > 0 && result[0].values
@@ -341,7 +358,7 @@ async function handleUpdateRunnerAlert(message, sender, context) {
       WHERE id = ${parseInt(alertId)}
     `;
 
-    database.db.exec(query);
+    await database.db.exec(query);
     return { success: true };
   } catch (error) {
     console.error("Update runner alert error:", error);
@@ -366,7 +383,7 @@ async function handleDeleteRunnerAlert(message, sender, context) {
       WHERE id = ${parseInt(alertId)}
     `;
 
-    database.db.exec(query);
+    await database.db.exec(query);
     return { success: true };
   } catch (error) {
     console.error("Delete runner alert error:", error);
@@ -5,6 +5,12 @@
  */
 
 import { mapResultToArray, escapeStr } from "../../utils/handler-helpers.js";
+import { timingRowToPhases } from "../../../lib/utils/request-timings.js";
+import { formatGraphQLOperation } from "../../../lib/utils/graphql.js";
+
+// Failed requests: HTTP errors, plus GraphQL responses that carry an
+// errors[] array with a 2xx status
+const FAILED_CONDITION = "(status >= 400 OR graphql_error_count > 0)";
 
 /**
  * Helper: Calculate percentile from sorted array
@@ -14,6 +20,29 @@ function calculatePercentile(sortedArray, percentile) {
   return sortedArray[Math.max(0, Math.min(index, sortedArray.length - 1))];
 }
 
+/**
+ * Helper: Collapse ids and hashes in a URL path ("/users/42" -> "/users/:id")
+ */
+function getEndpointPattern(url) {
+  try {
+    return new URL(url).pathname
+      .replace(/\/\d+/g, "/:id")
+      .replace(/\/[0-9a-f]{8,}/gi, "/:hash");
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Helper: Endpoint label; GraphQL requests share one URL, so the operation
+ * is part of it ("/graphql query GetUser")
+ */
+function getEndpointLabel(url, operationType, operationName) {
+  const operation = formatGraphQLOperation(operationType, operationName);
+  const pattern = getEndpointPattern(url);
+  return operation ? `${pattern} ${operation}` : pattern;
+}
+
 /**
  * Export handler map for analytics operations
  */
@@ -58,7 +87,7 @@ export const analyticsHandlers = new Map([
             AVG(duration) as avg_duration,
             MIN(duration) as min_duration,
             MAX(duration) as max_duration,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as error_count,
+            SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as error_count,
             SUM(size_bytes) as total_bytes
           FROM bronze_requests
           WHERE timestamp > ?
@@ -85,7 +114,7 @@ export const analyticsHandlers = new Map([
 
         let historicalData = [];
         if (database.executeQuery) {
-          const result = database.executeQuery(query, params);
+          const result = await database.executeQuery(query, params);
           if (result && result[0]?.values) {
             historicalData = result[0].values.map((row) => ({
               timeBucket: row[0],
@@ -117,7 +146,7 @@ export const analyticsHandlers = new Map([
         }
 
         const filters = message.filters || {};
-        const { domain, pageUrl, timeRange, type } = filters;
+        const { domain, pageUrl, timeRange, type, operationName } = filters;
         const timeRangeMs = timeRange
           ? parseInt(timeRange) * 1000
           : 24 * 60 * 60 * 1000;
@@ -128,6 +157,7 @@ export const analyticsHandlers = new Map([
           return `'${String(val).replace(/'/g, "''")}'`;
         };
 
+        // GraphQL operations sharing a URL are separate endpoints
         let query = `
           SELECT 
             url,
@@ -135,8 +165,11 @@ export const analyticsHandlers = new Map([
             AVG(duration) as avg_duration,
             MIN(duration) as min_duration,
             MAX(duration) as max_duration,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as error_count,
-            AVG(size_bytes) as avg_size
+            SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as error_count,
+            AVG(size_bytes) as avg_size,
+            operation_name,
+            MAX(operation_type) as operation_type,
+            SUM(CASE WHEN graphql_error_count > 0 THEN 1 ELSE 0 END) as graphql_error_count
           FROM bronze_requests
           WHERE timestamp > ${startTime} AND url IS NOT NULL
         `;
@@ -153,24 +186,25 @@ export const analyticsHandlers = new Map([
           query += ` AND type = ${escapeStr(type)}`;
         }
 
-        query += " GROUP BY url ORDER BY call_count DESC LIMIT 50";
+        if (operationName) {
+          query += ` AND operation_name = ${escapeStr(operationName)}`;
+        }
+
+        query +=
+          " GROUP BY url, operation_name ORDER BY call_count DESC LIMIT 50";
 
         let endpoints = [];
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         if (result && result[0]?.values) {
           endpoints = result[0].values.map((row) => {
             const url = row[0];
-            let endpoint = url;
-            try {
-              const urlObj = new URL(url);
-              endpoint = urlObj.pathname;
-              endpoint = endpoint.replace(/\/\d+/g, "/:id");
-              endpoint = endpoint.replace(/\/[0-9a-f]{8,}/gi, "/:hash");
-            } catch (e) {}
 
             return {
-              endpoint,
+              endpoint: getEndpointLabel(url, row[8], row[7]),
               url,
+              operationName: row[7] || null,
+              operationType: row[8] || null,
+              graphqlErrorCount: row[9] || 0,
               callCount: row[1],
               avgDuration: Math.round(row[2] || 0),
               minDuration: row[3] || 0,
@@ -227,7 +261,8 @@ export const analyticsHandlers = new Map([
 
         if (timeBucket === "none") {
           query = `
-            SELECT timestamp, url, duration, status, size_bytes
+            SELECT timestamp, url, duration, status, size_bytes,
+              operation_name, operation_type, graphql_error_count
             FROM bronze_requests
             WHERE timestamp >= ${actualStartTime} AND timestamp <= ${actualEndTime}
           `;
@@ -248,10 +283,12 @@ export const analyticsHandlers = new Map([
               AVG(duration) as avg_duration,
               MIN(duration) as min_duration,
               MAX(duration) as max_duration,
-              SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as error_count,
+              SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as error_count,
               SUM(CASE WHEN status >= 500 THEN 1 ELSE 0 END) as server_error_count,
               AVG(size_bytes) as avg_size,
-              SUM(size_bytes) as total_size
+              SUM(size_bytes) as total_size,
+              operation_name,
+              MAX(operation_type) as operation_type
             FROM bronze_requests
             WHERE timestamp >= ${actualStartTime} AND timestamp <= ${actualEndTime}
           `;
@@ -272,57 +309,46 @@ export const analyticsHandlers = new Map([
         if (endpoint && endpoint !== "") {
           query += ` AND (url LIKE ${escapeStr(
             `%${endpoint}%`
-          )} OR url = ${escapeStr(endpoint)})`;
+          )} OR url = ${escapeStr(endpoint)} OR operation_name LIKE ${escapeStr(
+            `%${endpoint}%`
+          )})`;
         }
 
         if (timeBucket === "none") {
           query += ` ORDER BY timestamp DESC`;
         } else {
-          query += ` GROUP BY time_bucket, url ORDER BY time_bucket DESC, request_count DESC`;
+          query += ` GROUP BY time_bucket, url, operation_name ORDER BY time_bucket DESC, request_count DESC`;
         }
 
         let history = [];
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         if (result && result[0]?.values) {
           if (timeBucket === "none") {
             history = result[0].values.map((row) => {
               const url = row[1];
-              let endpointPattern = url;
-              try {
-                const urlObj = new URL(url);
-                endpointPattern = urlObj.pathname
-                  .replace(/\/\d+/g, "/:id")
-                  .replace(/\/[0-9a-f]{8,}/gi, "/:hash");
-              } catch (e) {}
 
               return {
                 timestamp: row[0],
                 url,
-                endpoint: endpointPattern,
+                endpoint: getEndpointLabel(url, row[6], row[5]),
+                operationName: row[5] || null,
                 duration: Math.round(row[2] || 0),
                 status: row[3] || 0,
                 sizeBytes: row[4] || 0,
-                isError: row[3] >= 400,
+                isError: row[3] >= 400 || row[7] > 0,
               };
             });
           } else {
             history = result[0].values.map((row) => {
               const url = row[1];
-              let endpointPattern = url;
-              try {
-                const urlObj = new URL(url);
-                endpointPattern = urlObj.pathname
-                  .replace(/\/\d+/g, "/:id")
-                  .replace(/\/[0-9a-f]{8,}/gi, "/:hash");
-              } catch (e) {}
-
               const requestCount = row[2] || 0;
               const errorCount = row[6] || 0;
 
               return {
                 timeBucket: row[0],
                 url,
-                endpoint: endpointPattern,
+                endpoint: getEndpointLabel(url, row[11], row[10]),
+                operationName: row[10] || null,
                 requestCount,
                 avgDuration: Math.round(row[3] || 0),
                 minDuration: Math.round(row[4] || 0),
@@ -472,7 +498,7 @@ export const analyticsHandlers = new Map([
             AVG(duration) as avg_duration,
             MIN(duration) as min_duration,
             MAX(duration) as max_duration,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as error_count,
+            SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as error_count,
             SUM(CASE WHEN status >= 500 THEN 1 ELSE 0 END) as server_error_count,
             AVG(size_bytes) as avg_size,
             SUM(size_bytes) as total_size
@@ -496,7 +522,7 @@ export const analyticsHandlers = new Map([
         query += ` GROUP BY time_bucket, type ORDER BY time_bucket DESC, request_count DESC`;
 
         let history = [];
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         if (result && result[0]?.values) {
           history = result[0].values.map((row) => {
             const requestCount = row[2] || 0;
@@ -592,10 +618,12 @@ export const analyticsHandlers = new Map([
             AVG(duration) as avg_duration,
             MIN(duration) as min_duration,
             MAX(duration) as max_duration,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as error_count,
+            SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as error_count,
             SUM(CASE WHEN status >= 500 THEN 1 ELSE 0 END) as server_error_count,
             AVG(size_bytes) as avg_size,
-            SUM(size_bytes) as total_size
+            SUM(size_bytes) as total_size,
+            operation_name,
+            MAX(operation_type) as operation_type
           FROM bronze_requests
           WHERE timestamp >= ${actualStartTime} AND timestamp <= ${actualEndTime}
             AND (type = 'fetch' OR type = 'xmlhttprequest' OR type = 'xhr')
@@ -609,26 +637,14 @@ export const analyticsHandlers = new Map([
           query += ` AND page_url = ${escapeStr(pageUrl)}`;
         }
 
-        query += ` GROUP BY time_bucket, url, method ORDER BY time_bucket DESC, request_count DESC`;
+        query += ` GROUP BY time_bucket, url, method, operation_name ORDER BY time_bucket DESC, request_count DESC`;
 
         let history = [];
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         if (result && result[0]?.values) {
           history = result[0].values.map((row) => {
             const url = row[1];
             const method = row[2] || "GET";
-
-            let endpointPattern = url;
-            try {
-              const urlObj = new URL(url);
-              endpointPattern = urlObj.pathname;
-              endpointPattern = endpointPattern.replace(/\/\d+/g, "/:id");
-              endpointPattern = endpointPattern.replace(
-                /\/[0-9a-f]{8,}/gi,
-                "/:hash"
-              );
-            } catch (e) {}
-
             const requestCount = row[4] || 0;
             const errorCount = row[8] || 0;
 
@@ -637,7 +653,8 @@ export const analyticsHandlers = new Map([
               url,
               method,
               type: row[3],
-              endpoint: `${method} ${endpointPattern}`,
+              endpoint: `${method} ${getEndpointLabel(url, row[13], row[12])}`,
+              operationName: row[12] || null,
               requestCount,
               avgDuration: Math.round(row[5] || 0),
               minDuration: Math.round(row[6] || 0),
@@ -726,7 +743,7 @@ export const analyticsHandlers = new Map([
 
         query += " GROUP BY type ORDER BY total_bytes DESC";
 
-        const results = database.db.exec(query);
+        const results = await database.db.exec(query);
         let breakdown = [];
         let totalSize = 0;
         let totalCount = 0;
@@ -783,45 +800,55 @@ export const analyticsHandlers = new Map([
           return `'${String(val).replace(/'/g, "''")}'`;
         };
 
+        // Measured phases come from bronze_request_timings (Resource Timing
+        // or DevTools HAR); requests without them are estimated by the panel
         let query = `
           SELECT 
-            id, url, method, type, status, status_text, duration, 
-            size_bytes, timestamp, from_cache, domain, page_url
-          FROM bronze_requests
-          WHERE timestamp > ${startTime}
+            r.id, r.url, r.method, r.type, r.status, r.status_text,
+            r.duration, r.size_bytes, r.timestamp, r.from_cache, r.domain,
+            r.page_url, t.queued_duration, t.dns_duration, t.tcp_duration,
+            t.ssl_duration, t.request_duration, t.response_duration,
+            t.timing_source
+          FROM bronze_requests r
+          LEFT JOIN bronze_request_timings t ON t.request_id = r.id
+          WHERE r.timestamp > ${startTime}
         `;
 
         if (domain && domain !== "all") {
-          query += ` AND domain = ${escapeStr(domain)}`;
+          query += ` AND r.domain = ${escapeStr(domain)}`;
         }
 
         if (pageUrl && pageUrl !== "") {
-          query += ` AND page_url = ${escapeStr(pageUrl)}`;
+          query += ` AND r.page_url = ${escapeStr(pageUrl)}`;
         }
 
         if (type && type !== "") {
-          query += ` AND type = ${escapeStr(type)}`;
+          query += ` AND r.type = ${escapeStr(type)}`;
         }
 
-        query += ` ORDER BY timestamp ASC LIMIT ${parseInt(limit)}`;
+        query += ` ORDER BY r.timestamp ASC LIMIT ${parseInt(limit)}`;
 
         let requests = [];
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         if (result && result[0]) {
-          requests = mapResultToArray(result[0]);
-          requests = requests.map((req) => {
-            const duration = req.duration || 0;
+          requests = mapResultToArray(result[0]).map((row) => {
+            const phases = timingRowToPhases(row);
             return {
-              ...req,
-              startTime: req.timestamp,
-              phases: {
-                queued: Math.round(duration * 0.05),
-                dns: Math.round(duration * 0.1),
-                tcp: Math.round(duration * 0.15),
-                ssl: Math.round(duration * 0.1),
-                ttfb: Math.round(duration * 0.3),
-                download: Math.round(duration * 0.3),
-              },
+              id: row.id,
+              url: row.url,
+              method: row.method,
+              type: row.type,
+              status: row.status,
+              status_text: row.status_text,
+              duration: row.duration,
+              size_bytes: row.size_bytes,
+              timestamp: row.timestamp,
+              from_cache: row.from_cache,
+              domain: row.domain,
+              page_url: row.page_url,
+              startTime: row.timestamp,
+              phases,
+              timingSource: phases ? row.timing_source : null,
             };
           });
         }
@@ -844,14 +871,15 @@ export const analyticsHandlers = new Map([
         }
 
         const filters = message.filters || {};
-        const { domain, pageUrl, timeRange, type } = filters;
+        const { domain, pageUrl, timeRange, type, operationName } = filters;
         const timeRangeMs = timeRange
           ? parseInt(timeRange) * 1000
           : 86400 * 1000;
         const startTime = Date.now() - timeRangeMs;
 
         let query = `
-          SELECT duration
+          SELECT duration, operation_name, operation_type,
+            CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END as failed
           FROM bronze_requests
           WHERE timestamp > ? AND duration IS NOT NULL
         `;
@@ -872,15 +900,54 @@ export const analyticsHandlers = new Map([
           params.push(type);
         }
 
+        if (operationName) {
+          query += " AND operation_name = ?";
+          params.push(operationName);
+        }
+
         query += " ORDER BY duration ASC";
 
-        let durations = [];
+        let rows = [];
         if (database.executeQuery) {
-          const result = database.executeQuery(query, params);
+          const result = await database.executeQuery(query, params);
           if (result && result[0]?.values) {
-            durations = result[0].values.map((row) => row[0]);
+            rows = result[0].values;
           }
         }
+        const durations = rows.map((row) => row[0]);
+
+        // GraphQL operations get their own percentiles (rows are already
+        // sorted by duration)
+        const operations = new Map();
+        rows.forEach(([duration, name, operationType, failed]) => {
+          if (!name) return;
+          if (!operations.has(name)) {
+            operations.set(name, { operationType, durations: [], errors: 0 });
+          }
+          const operation = operations.get(name);
+          operation.operationType = operation.operationType || operationType;
+          operation.durations.push(duration);
+          operation.errors += failed;
+        });
+
+        const byOperation = [...operations.entries()]
+          .map(([name, operation]) => ({
+            operationName: name,
+            operationType: operation.operationType || null,
+            count: operation.durations.length,
+            p50: calculatePercentile(operation.durations, 50),
+            p90: calculatePercentile(operation.durations, 90),
+            p95: calculatePercentile(operation.durations, 95),
+            p99: calculatePercentile(operation.durations, 99),
+            max: operation.durations[operation.durations.length - 1],
+            errorCount: operation.errors,
+            errorRate: (
+              (operation.errors / operation.durations.length) *
+              100
+            ).toFixed(2),
+          }))
+          .sort((a, b) => b.count - a.count)
+          .slice(0, 50);
 
         const percentiles = {};
         if (durations.length > 0) {
@@ -894,7 +961,7 @@ export const analyticsHandlers = new Map([
           percentiles.count = durations.length;
         }
 
-        return { success: true, percentiles };
+        return { success: true, percentiles, byOperation };
       } catch (error) {
         console.error("Get percentiles analysis error:", error);
         return { success: false, error: error.message };
@@ -923,7 +990,7 @@ export const analyticsHandlers = new Map([
             strftime('%H', datetime(timestamp/1000, 'unixepoch')) as hour,
             COUNT(*) as count,
             AVG(duration) as avgDuration,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as errors
+            SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as errors
           FROM bronze_requests
           WHERE timestamp > ?
         `;
@@ -943,7 +1010,7 @@ export const analyticsHandlers = new Map([
 
         let hourlyData = [];
         if (database.executeQuery) {
-          const result = database.executeQuery(query, params);
+          const result = await database.executeQuery(query, params);
           if (result && result[0]) {
             hourlyData = mapResultToArray(result[0]);
           }
@@ -1050,7 +1117,7 @@ export const analyticsHandlers = new Map([
             SELECT 
               COUNT(*) as totalRequests,
               AVG(duration) as avgDuration,
-              SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as errors,
+              SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as errors,
               SUM(size_bytes) as totalBytes
             FROM bronze_requests
             WHERE timestamp > ? AND timestamp <= ?
@@ -1073,7 +1140,7 @@ export const analyticsHandlers = new Map([
           }
 
           if (database.executeQuery) {
-            const result = database.executeQuery(query, params);
+            const result = await database.executeQuery(query, params);
             if (result && result[0]?.values && result[0].values[0]) {
               const [requests, duration, errors, bytes] = result[0].values[0];
               return {
@@ -1159,7 +1226,7 @@ export const analyticsHandlers = new Map([
             COUNT(*) as totalRequests,
             AVG(duration) as avgDuration,
             MAX(duration) as maxDuration,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as errors,
+            SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as errors,
             SUM(CASE WHEN from_cache = 1 THEN 1 ELSE 0 END) as cachedRequests,
             SUM(size_bytes) as totalBytes,
             type
@@ -1178,7 +1245,7 @@ export const analyticsHandlers = new Map([
         query += " GROUP BY type";
 
         try {
-          const result = database.db.exec(query);
+          const result = await database.db.exec(query);
           if (result && result[0]) {
             const typeStats = mapResultToArray(result[0]);
 
@@ -1299,7 +1366,7 @@ export const analyticsHandlers = new Map([
 
         query += " GROUP BY dayOfWeek, hour";
 
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         const heatmapData =
           result && result[0] ? mapResultToArray(result[0]) : [];
 
@@ -1375,14 +1442,14 @@ export const analyticsHandlers = new Map([
             SELECT 
               COUNT(*) as totalRequests,
               AVG(duration) as avgDuration,
-              SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as errors,
+              SUM(CASE WHEN ${FAILED_CONDITION} THEN 1 ELSE 0 END) as errors,
               SUM(size_bytes) as totalBytes
             FROM bronze_requests
             WHERE domain = ${escapeStr(domain)} AND timestamp > ${startTime}
           `;
 
           try {
-            const result = database.db.exec(query);
+            const result = await database.db.exec(query);
             if (result && result[0]?.values && result[0].values[0]) {
               const [requests, duration, errors, bytes] = result[0].values[0];
               results.push({
@@ -1450,7 +1517,7 @@ export const analyticsHandlers = new Map([
           ORDER BY total_size DESC
         `;
 
-        const result = database.executeQuery(query);
+        const result = await database.executeQuery(query);
         const stats = [];
 
         if (result && result[0]?.values) {
@@ -1480,4 +1547,66 @@ export const analyticsHandlers = new Map([
       }
     },
   ],
+
+  [
+    "getFaultProfileComparison",
+    async (message, sender, context) => {
+      try {
+        const { database } = context;
+        if (!database || !database.isReady || !database.db) {
+          return { success: false, error: "Database not initialized" };
+        }
+
+        const { filters = {} } = message;
+        const { domain, timeRange = 86400 } = filters;
+        const startTime = Date.now() - parseInt(timeRange) * 1000;
+
+        let whereClause = `WHERE timestamp > ${startTime}`;
+        if (domain) {
+          whereClause += ` AND domain = ${escapeStr(domain)}`;
+        }
+
+        // Requests captured without an active profile form the baseline
+        const query = `
+          SELECT
+            fault_profile,
+            COUNT(*) as total_requests,
+            SUM(CASE WHEN ${FAILED_CONDITION} OR error IS NOT NULL THEN 1 ELSE 0 END) as errors,
+            SUM(CASE WHEN error IS NOT NULL THEN 1 ELSE 0 END) as failed,
+            AVG(duration) as avg_duration,
+            MAX(duration) as max_duration,
+            COUNT(DISTINCT page_url) as pages
+          FROM bronze_requests
+          ${whereClause}
+          GROUP BY fault_profile
+          ORDER BY fault_profile IS NOT NULL, fault_profile
+        `;
+
+        const profiles = mapResultToArray(
+          (await database.executeQuery(query))?.[0]
+        ).map((row) => ({
+          faultProfile: row.fault_profile,
+          totalRequests: row.total_requests,
+          errors: row.errors || 0,
+          failedRequests: row.failed || 0,
+          errorRate:
+            row.total_requests > 0
+              ? ((row.errors / row.total_requests) * 100).toFixed(2)
+              : 0,
+          avgDuration: Math.round(row.avg_duration || 0),
+          maxDuration: row.max_duration || 0,
+          pages: row.pages,
+        }));
+
+        return {
+          success: true,
+          baseline: profiles.find((p) => p.faultProfile === null) || null,
+          profiles: profiles.filter((p) => p.faultProfile !== null),
+        };
+      } catch (error) {
+        console.error("Fault profile comparison error:", error);
+        return { success: false, error: error.message };
+      }
+    },
+  ],
 ]);
@@ -6,6 +6,7 @@
 
 import runnerCollections from "../../capture/runner-collections.js";
 import requestRunner from "../../capture/request-runner.js";
+import collectionScheduler from "../../capture/collection-scheduler.js";
 
 /**
  * Handle create collection
@@ -105,6 +106,7 @@ async function handleDeleteCollection(message, sender, context) {
     const collectionId = message.collectionId || message.id;
 
     const result = await runnerCollections.deleteCollection(collectionId);
+    await collectionScheduler.armAlarm();
 
     return {
       success: result,
@@ -197,6 +199,7 @@ async function handleScheduleRunner(message, sender, context) {
       collectionId,
       scheduleConfig
     );
+    await collectionScheduler.armAlarm();
 
     return {
       success: true,
@@ -236,6 +239,7 @@ async function handleUpdateScheduledRun(message, sender, context) {
       scheduleId,
       updates
     );
+    await collectionScheduler.armAlarm();
 
     return {
       success: true,
@@ -255,6 +259,7 @@ async function handleDeleteScheduledRun(message, sender, context) {
     const scheduleId = message.scheduleId;
 
     const deleted = await runnerCollections.deleteScheduledRun(scheduleId);
+    await collectionScheduler.armAlarm();
 
     return {
       success: deleted,
@@ -6,6 +6,8 @@
 
 import { downloads } from "../../compat/browser-compat.js";
 import { exportHandlers } from "./export-handlers.js";
+import { importHar } from "../../import/har-importer.js";
+import { mapResultToArray } from "../../utils/handler-helpers.js";
 
 /**
  * Export handler map for database operations
@@ -21,7 +23,7 @@ export const databaseHandlers = new Map([
         }
 
         // Use getDatabaseStats() which returns size, records, oldestDate
-        const stats = database.getDatabaseStats();
+        const stats = await database.getDatabaseStats();
         if (!stats) {
           return { success: false, error: "Failed to get database stats" };
         }
@@ -31,6 +33,7 @@ export const databaseHandlers = new Map([
           size: stats.size || 0,
           records: stats.totalRequests || 0,
           oldestDate: stats.oldestDate || null,
+          persistence: stats.persistence || null,
         };
       } catch (error) {
         console.error("getDatabaseSize error:", error);
@@ -59,7 +62,9 @@ export const databaseHandlers = new Map([
 
         for (const table of tables) {
           try {
-            const result = database.db.exec(`SELECT COUNT(*) FROM ${table}`);
+            const result = await database.db.exec(
+              `SELECT COUNT(*) FROM ${table}`
+            );
             stats[table] = result[0]?.values[0]?.[0] || 0;
           } catch (e) {
             stats[table] = 0;
@@ -90,7 +95,7 @@ export const databaseHandlers = new Map([
         }
 
         const query = `PRAGMA table_info(${tableName})`;
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
 
         if (!result || !result[0]?.values) {
           return { success: false, error: "Table not found" };
@@ -129,7 +134,7 @@ export const databaseHandlers = new Map([
           ORDER BY name
         `;
 
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         const tables = [];
 
         if (result && result[0]?.values) {
@@ -137,7 +142,7 @@ export const databaseHandlers = new Map([
             const tableName = row[0];
             // Get row count for each table
             try {
-              const countResult = database.db.exec(
+              const countResult = await database.db.exec(
                 `SELECT COUNT(*) FROM ${tableName}`
               );
               const count = countResult[0]?.values[0]?.[0] || 0;
@@ -235,6 +240,65 @@ export const databaseHandlers = new Map([
     },
   ],
 
+  [
+    "importHAR",
+    async (message, sender, context) => {
+      try {
+        const { database } = context;
+        if (!database || !database.medallion) {
+          return { success: false, error: "Database not initialized" };
+        }
+
+        const { content, filename } = message;
+        if (!content) {
+          return { success: false, error: "No HAR content provided" };
+        }
+
+        const result = await importHar(database.medallion, content, {
+          filename,
+        });
+
+        if (database.saveDatabase) {
+          await database.saveDatabase();
+        }
+
+        return {
+          success: true,
+          ...result,
+          message: `Imported ${result.importedCount} of ${result.entryCount} HAR entries`,
+        };
+      } catch (error) {
+        console.error("importHAR error:", error);
+        return { success: false, error: error.message };
+      }
+    },
+  ],
+
+  [
+    "getImports",
+    async (message, sender, context) => {
+      try {
+        const { database } = context;
+        if (!database || !database.executeQuery) {
+          return { success: false, error: "Database not initialized" };
+        }
+
+        const result = await database.executeQuery(
+          `SELECT id, source, filename, creator, version, entry_count,
+             imported_count, skipped_count, first_timestamp, last_timestamp,
+             created_at
+           FROM bronze_imports
+           ORDER BY created_at DESC`
+        );
+
+        return { success: true, imports: mapResultToArray(result?.[0]) };
+      } catch (error) {
+        console.error("getImports error:", error);
+        return { success: false, error: error.message };
+      }
+    },
+  ],
+
   [
     "createBackup",
     async (message, sender, context) => {
@@ -244,7 +308,7 @@ export const databaseHandlers = new Map([
           return { success: false, error: "Database not initialized" };
         }
 
-        const exportData = database.exportDatabase();
+        const exportData = await database.exportDatabase();
         const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
         const filename = `ura_backup_${timestamp}.sqlite`;
 
@@ -295,7 +359,7 @@ export const databaseHandlers = new Map([
           return { success: false, error: "Database not initialized" };
         }
 
-        database.vacuumDatabase();
+        await database.vacuumDatabase();
         return {
           success: true,
           message: "Database vacuumed successfully",
@@ -362,7 +426,7 @@ export const databaseHandlers = new Map([
         }
 
         const { days = 7 } = message;
-        const preview = database.previewCleanup(days);
+        const preview = await database.previewCleanup(days);
 
         // Return preview fields directly (UI expects response.recordsToDelete, etc.)
         return {
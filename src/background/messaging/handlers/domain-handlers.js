@@ -31,7 +31,7 @@ async function handleGetDomains(message, sender, context) {
     let domains = [];
 
     try {
-      const result = database.executeQuery(query, [startTime]);
+      const result = await database.executeQuery(query, [startTime]);
       if (result && result[0]?.values) {
         domains = result[0].values.map((row) => ({
           domain: row[0],
@@ -67,7 +67,7 @@ async function handleGetDistinctDomains(message, sender, context) {
       ORDER BY request_count DESC
     `;
 
-    const result = database.executeQuery(query);
+    const result = await database.executeQuery(query);
     let domains = [];
 
     if (result && result[0]?.values) {
@@ -116,7 +116,7 @@ async function handleGetPagesByDomain(message, sender, context) {
     let pages = [];
 
     try {
-      const result = database.db.exec(query);
+      const result = await database.db.exec(query);
       if (result && result[0]?.values) {
         pages = result[0].values.map((row) => ({
           pageUrl: row[0],
@@ -167,7 +167,7 @@ async function handleGetDomainDetails(message, sender, context) {
       WHERE domain = ${escapeStr(domain)} AND timestamp > ${startTime}
     `;
 
-    const result = database.db.exec(statsQuery);
+    const result = await database.db.exec(statsQuery);
 
     if (!result || !result[0]?.values || !result[0].values[0]) {
       return { success: false, error: "No data found for domain" };
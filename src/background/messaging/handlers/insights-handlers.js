@@ -78,7 +78,7 @@ async function handleGetHeatmapData(message, sender, context) {
     let heatmapData = [];
 
     try {
-      const result = database.executeQuery(query, params);
+      const result = await database.executeQuery(query, params);
       if (result && result[0]) {
         heatmapData = mapResultToArray(result[0]);
       }
@@ -159,7 +159,7 @@ async function handleGetMultiDomainComparison(message, sender, context) {
       `;
 
       try {
-        const result = database.executeQuery(query, [domain, startTime]);
+        const result = await database.executeQuery(query, [domain, startTime]);
         if (result && result[0]?.values && result[0].values[0]) {
           const [requests, duration, errors, bytes] = result[0].values[0];
           results.push({
@@ -228,7 +228,7 @@ async function handleGetPerformanceInsights(message, sender, context) {
     query += " GROUP BY type";
 
     try {
-      const result = database.executeQuery(query, params);
+      const result = await database.executeQuery(query, params);
       if (result && result[0]) {
         const typeStats = mapResultToArray(result[0]);
 
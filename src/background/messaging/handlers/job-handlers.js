@@ -0,0 +1,72 @@
+/**
+ * Job Handlers
+ * Handles the options page Jobs view: background job status, run history
+ * and manual runs. Jobs can only be run from extension pages.
+ */
+
+import { runtime } from "../../compat/browser-compat.js";
+import jobScheduler from "../../scheduler/job-scheduler.js";
+
+function isExtensionPage(sender) {
+  return !sender?.url || sender.url.startsWith(runtime.getURL(""));
+}
+
+/**
+ * Handle get jobs
+ */
+async function handleGetJobs(message, sender, context) {
+  try {
+    const [jobs, runs] = await Promise.all([
+      jobScheduler.getJobs(),
+      jobScheduler.getJobRuns(null, message.limit || 20),
+    ]);
+    return { success: true, jobs, runs };
+  } catch (error) {
+    console.error("[JobHandlers] Get jobs error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle get job runs
+ */
+async function handleGetJobRuns(message, sender, context) {
+  try {
+    const runs = await jobScheduler.getJobRuns(
+      message.name || null,
+      message.limit || 20
+    );
+    return { success: true, runs };
+  } catch (error) {
+    console.error("[JobHandlers] Get job runs error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle run job now
+ */
+async function handleRunJob(message, sender, context) {
+  if (!isExtensionPage(sender)) {
+    return { success: false, error: "Not allowed from this context" };
+  }
+
+  try {
+    const run = await jobScheduler.runJob(message.name, {
+      trigger: "manual",
+    });
+    return { success: true, run };
+  } catch (error) {
+    console.error("[JobHandlers] Run job error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Export handler map for background job operations
+ */
+export const jobHandlers = new Map([
+  ["getJobs", handleGetJobs],
+  ["getJobRuns", handleGetJobRuns],
+  ["runJob", handleRunJob],
+]);
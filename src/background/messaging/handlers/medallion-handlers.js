@@ -3,6 +3,14 @@
  * Handles medallion architecture operations (Bronze → Silver → Gold processing)
  */
 
+/**
+ * Run a COUNT(*) query and return the count (0 when empty)
+ */
+async function queryCount(database, query) {
+  const result = await database.executeQuery(query);
+  return result[0]?.values?.[0]?.[0] || 0;
+}
+
 /**
  * Export handler map for medallion operations
  */
@@ -26,7 +34,7 @@ export const medallionHandlers = new Map([
 
         // Process bronze records to silver
         // This validates, deduplicates, and transforms raw data
-        const stats = await medallion.processBronzeToSilver();
+        const stats = await medallion.processPendingBronze();
 
         return {
           success: true,
@@ -82,18 +90,18 @@ export const medallionHandlers = new Map([
         }
 
         // Get record counts for each layer
-        const bronzeCount =
-          database.executeQuery(
-            "SELECT COUNT(*) as count FROM bronze_requests"
-          )[0]?.values?.[0]?.[0] || 0;
-        const silverCount =
-          database.executeQuery(
-            "SELECT COUNT(*) as count FROM silver_requests"
-          )[0]?.values?.[0]?.[0] || 0;
-        const goldCount =
-          database.executeQuery(
-            "SELECT COUNT(*) as count FROM gold_daily_analytics"
-          )[0]?.values?.[0]?.[0] || 0;
+        const bronzeCount = await queryCount(
+          database,
+          "SELECT COUNT(*) as count FROM bronze_requests"
+        );
+        const silverCount = await queryCount(
+          database,
+          "SELECT COUNT(*) as count FROM silver_requests"
+        );
+        const goldCount = await queryCount(
+          database,
+          "SELECT COUNT(*) as count FROM gold_daily_analytics"
+        );
 
         return {
           success: true,
@@ -121,15 +129,15 @@ export const medallionHandlers = new Map([
         }
 
         // Check for unprocessed records in bronze and silver layers
-        const unprocessedBronze =
-          database.executeQuery(
-            "SELECT COUNT(*) as count FROM bronze_requests WHERE processed = 0"
-          )[0]?.values?.[0]?.[0] || 0;
-
-        const unprocessedSilver =
-          database.executeQuery(
-            "SELECT COUNT(*) as count FROM silver_requests WHERE processed = 0"
-          )[0]?.values?.[0]?.[0] || 0;
+        const unprocessedBronze = await queryCount(
+          database,
+          "SELECT COUNT(*) as count FROM bronze_requests WHERE processed = 0"
+        );
+
+        const unprocessedSilver = await queryCount(
+          database,
+          "SELECT COUNT(*) as count FROM silver_requests WHERE processed = 0"
+        );
 
         return {
           success: true,
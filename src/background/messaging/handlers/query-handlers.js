@@ -23,7 +23,7 @@ async function handleQuery(query, params, context) {
     }
 
     // Execute query
-    const result = database.db.exec(query, params);
+    const result = await database.db.exec(query, params);
 
     if (!result || result.length === 0) {
       return { success: true, data: [] };
@@ -60,7 +60,7 @@ async function handleGetDomains(timeRange, context) {
 
     try {
       if (database?.executeQuery) {
-        const result = database.executeQuery(query, [startTime]);
+        const result = await database.executeQuery(query, [startTime]);
         if (result && result[0]?.values) {
           domains = result[0].values.map((row) => ({
             domain: row[0],
@@ -105,7 +105,7 @@ async function handleGetPagesByDomain(domain, timeRange, context) {
 
     try {
       if (database?.db) {
-        const result = database.db.exec(query);
+        const result = await database.db.exec(query);
         if (result && result[0]?.values) {
           pages = result[0].values.map((row) => ({
             pageUrl: row[0],
@@ -274,13 +274,13 @@ async function handleGetDetailedRequests(
         }
       }
 
-      const countResult = database.db.exec(countQuery);
+      const countResult = await database.db.exec(countQuery);
       if (countResult && countResult[0]?.values) {
         totalCount = countResult[0].values[0][0];
       }
 
       // Get requests with pagination
-      const result = database.db.exec(query);
+      const result = await database.db.exec(query);
       if (result && result[0]) {
         requests = mapResultToArray(result[0]);
       }
@@ -323,7 +323,7 @@ async function handleGetRequestTypes(filters, context) {
     let requestTypes = [];
 
     try {
-      const result = database.executeQuery(query);
+      const result = await database.executeQuery(query);
       if (result && result[0]?.values) {
         requestTypes = result[0].values.map((row) => ({
           type: row[0],
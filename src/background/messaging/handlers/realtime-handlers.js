@@ -0,0 +1,125 @@
+/**
+ * Realtime Handlers
+ * Handles queries for captured WebSocket and Server-Sent Events connections
+ * and their frame timelines
+ */
+
+import { mapResultToArray, escapeStr } from "../../utils/handler-helpers.js";
+
+const MAX_CONNECTIONS = 200;
+const MAX_FRAMES = 2000;
+// Per-second message rate buckets returned with a connection's frames
+const MAX_RATE_BUCKETS = 600;
+
+/**
+ * Handle get realtime connections
+ * Filters: tabId, domain, since (timestamp); newest first
+ */
+async function handleGetRealtimeConnections(message, sender, context) {
+  try {
+    const { database } = context;
+    if (!database || !database.isReady || !database.db) {
+      return { success: false, error: "Database not initialized" };
+    }
+
+    const { tabId, domain, since } = message.filters || {};
+    const limit = Math.min(parseInt(message.limit, 10) || 50, MAX_CONNECTIONS);
+
+    const conditions = [];
+    if (tabId !== undefined && tabId !== null) {
+      conditions.push(`c.tab_id = ${Number(tabId)}`);
+    }
+    if (domain && domain !== "all") {
+      conditions.push(`c.domain = ${escapeStr(domain)}`);
+    }
+    if (since) {
+      conditions.push(`c.started_at >= ${Number(since)}`);
+    }
+
+    const result = await database.db.exec(`
+      SELECT
+        c.*,
+        r.status AS handshake_status,
+        r.duration AS handshake_duration
+      FROM bronze_realtime_connections c
+      LEFT JOIN bronze_requests r ON r.id = c.request_id
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY c.started_at DESC
+      LIMIT ${limit}
+    `);
+
+    return { success: true, connections: mapResultToArray(result[0]) };
+  } catch (error) {
+    console.error("Get realtime connections error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle get realtime frames
+ * Returns the connection, its latest frames (oldest first) and per-second
+ * message rates over the connection's lifetime
+ */
+async function handleGetRealtimeFrames(message, sender, context) {
+  try {
+    const { database } = context;
+    if (!database || !database.isReady || !database.db) {
+      return { success: false, error: "Database not initialized" };
+    }
+
+    const connectionId = escapeStr(message.connectionId);
+    const limit = Math.min(parseInt(message.limit, 10) || 500, MAX_FRAMES);
+
+    const connectionResult = await database.db.exec(
+      `SELECT * FROM bronze_realtime_connections WHERE id = ${connectionId}`
+    );
+    const connection = mapResultToArray(connectionResult[0])[0];
+    if (!connection) {
+      return { success: false, error: "Connection not found" };
+    }
+
+    const framesResult = await database.db.exec(`
+      SELECT id, direction, opcode, event_type, size, payload, truncated,
+        timestamp
+      FROM bronze_realtime_frames
+      WHERE connection_id = ${connectionId}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ${limit}
+    `);
+    const frames = mapResultToArray(framesResult[0]).reverse();
+
+    const ratesResult = await database.db.exec(`
+      SELECT
+        (timestamp / 1000) * 1000 AS bucket,
+        SUM(CASE WHEN direction = 'sent' THEN 1 ELSE 0 END) AS sent,
+        SUM(CASE WHEN direction = 'received' THEN 1 ELSE 0 END) AS received,
+        SUM(CASE WHEN direction = 'sent' THEN size ELSE 0 END) AS bytes_sent,
+        SUM(CASE WHEN direction = 'received' THEN size ELSE 0 END) AS bytes_received
+      FROM bronze_realtime_frames
+      WHERE connection_id = ${connectionId}
+      GROUP BY bucket
+      ORDER BY bucket DESC
+      LIMIT ${MAX_RATE_BUCKETS}
+    `);
+    const rates = mapResultToArray(ratesResult[0]).reverse();
+
+    return {
+      success: true,
+      connection,
+      frames,
+      rates,
+      totalFrames: connection.frames_sent + connection.frames_received,
+    };
+  } catch (error) {
+    console.error("Get realtime frames error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Export handler map for realtime capture operations
+ */
+export const realtimeHandlers = new Map([
+  ["getRealtimeConnections", handleGetRealtimeConnections],
+  ["getRealtimeFrames", handleGetRealtimeFrames],
+]);
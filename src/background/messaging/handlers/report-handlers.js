@@ -0,0 +1,243 @@
+/**
+ * Report Handlers
+ * Collects the data for the printable performance report: summary KPIs,
+ * slowest endpoints, error breakdown, Web Vitals and a request timeline.
+ * Percentiles, trends and insights come from the analytics handlers.
+ */
+
+import { mapResultToArray } from "../../utils/handler-helpers.js";
+import { buildRequestFilter } from "../../export/filtered-export.js";
+import { INP_THRESHOLDS } from "../../../lib/utils/interaction-timing.js";
+
+const DEFAULT_TIME_RANGE = 86400; // seconds
+const TOP_ENDPOINTS = 10;
+
+// [good, poor] boundaries from web.dev
+const VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  INP: [INP_THRESHOLDS.good, INP_THRESHOLDS.poor],
+  CLS: [0.1, 0.25],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800],
+  FID: [100, 300],
+};
+
+// GraphQL failures come back as HTTP 200 with an errors[] array
+const ERROR_CONDITION =
+  "(status >= 400 OR (error IS NOT NULL AND error != '') OR graphql_error_count > 0)";
+
+function query(db, sql) {
+  const result = db.exec(sql);
+  return mapResultToArray(result[0]);
+}
+
+function calculatePercentile(sortedArray, percentile) {
+  const index = Math.ceil((percentile / 100) * sortedArray.length) - 1;
+  return sortedArray[Math.max(0, Math.min(index, sortedArray.length - 1))];
+}
+
+function rateVital(metric, value) {
+  const thresholds = VITAL_THRESHOLDS[metric];
+  if (!thresholds) return null;
+  if (value <= thresholds[0]) return "good";
+  if (value <= thresholds[1]) return "needs-improvement";
+  return "poor";
+}
+
+/**
+ * Collect report data for a domain/page and time range
+ * @param {Object} db - sql.js database
+ * @param {Object} [filters] - { domain, pageUrl, timeRange (seconds) }
+ * @returns {Object} Report data
+ */
+export function buildReportData(db, filters = {}) {
+  const timeRange = parseInt(filters.timeRange) || DEFAULT_TIME_RANGE;
+  const where = buildRequestFilter({
+    domain: filters.domain,
+    pageUrl: filters.pageUrl,
+    timeRange,
+  });
+
+  const [totals] = query(
+    db,
+    `SELECT COUNT(*) AS totalRequests,
+       AVG(duration) AS avgDuration,
+       SUM(CASE WHEN ${ERROR_CONDITION} THEN 1 ELSE 0 END) AS errors,
+       COALESCE(SUM(size_bytes), 0) AS totalBytes,
+       SUM(CASE WHEN from_cache = 1 THEN 1 ELSE 0 END) AS cachedRequests,
+       COUNT(DISTINCT domain) AS domains,
+       COUNT(DISTINCT page_url) AS pages
+     FROM bronze_requests
+     WHERE ${where}`
+  );
+
+  const totalRequests = totals?.totalRequests || 0;
+  const summary = {
+    totalRequests,
+    avgDuration: Math.round(totals?.avgDuration || 0),
+    errors: totals?.errors || 0,
+    errorRate: totalRequests
+      ? Math.round((totals.errors / totalRequests) * 10000) / 100
+      : 0,
+    totalBytes: totals?.totalBytes || 0,
+    cacheHitRate: totalRequests
+      ? Math.round((totals.cachedRequests / totalRequests) * 10000) / 100
+      : 0,
+    domains: totals?.domains || 0,
+    pages: totals?.pages || 0,
+  };
+
+  // Group by path so query strings don't split an endpoint, and by GraphQL
+  // operation so one /graphql URL doesn't hide every operation behind it
+  const endpoint = "COALESCE(NULLIF(path, ''), url)";
+
+  const slowEndpoints = query(
+    db,
+    `SELECT method, domain, ${endpoint} AS endpoint,
+       operation_name AS operationName,
+       MAX(operation_type) AS operationType,
+       COUNT(*) AS requests,
+       ROUND(AVG(duration), 2) AS avgDuration,
+       MAX(duration) AS maxDuration,
+       SUM(CASE WHEN ${ERROR_CONDITION} THEN 1 ELSE 0 END) AS errors
+     FROM bronze_requests
+     WHERE ${where} AND duration IS NOT NULL
+     GROUP BY method, domain, endpoint, operation_name
+     ORDER BY avgDuration DESC
+     LIMIT ${TOP_ENDPOINTS}`
+  );
+
+  const durationsByEndpoint = new Map();
+  query(
+    db,
+    `SELECT method, domain, ${endpoint} AS endpoint,
+       operation_name AS operationName, duration
+     FROM bronze_requests
+     WHERE ${where} AND duration IS NOT NULL
+     ORDER BY duration ASC`
+  ).forEach((row) => {
+    const key = `${row.method} ${row.domain} ${row.endpoint} ${row.operationName}`;
+    if (!durationsByEndpoint.has(key)) durationsByEndpoint.set(key, []);
+    durationsByEndpoint.get(key).push(row.duration);
+  });
+
+  slowEndpoints.forEach((row) => {
+    const durations =
+      durationsByEndpoint.get(
+        `${row.method} ${row.domain} ${row.endpoint} ${row.operationName}`
+      ) || [];
+    row.p95 = durations.length ? calculatePercentile(durations, 95) : null;
+  });
+
+  const errorsByStatus = query(
+    db,
+    `SELECT CASE
+         WHEN status >= 400 THEN CAST(status AS TEXT)
+         WHEN graphql_error_count > 0 THEN 'GraphQL'
+         ELSE 'Network'
+       END AS status,
+       COUNT(*) AS count
+     FROM bronze_requests
+     WHERE ${where} AND ${ERROR_CONDITION}
+     GROUP BY 1
+     ORDER BY count DESC, status`
+  );
+
+  const failingEndpoints = query(
+    db,
+    `SELECT method, domain, ${endpoint} AS endpoint,
+       operation_name AS operationName,
+       MAX(operation_type) AS operationType,
+       COUNT(*) AS errors,
+       MAX(status) AS lastStatus,
+       MAX(COALESCE(NULLIF(error, ''), graphql_error)) AS lastError
+     FROM bronze_requests
+     WHERE ${where} AND ${ERROR_CONDITION}
+     GROUP BY method, domain, endpoint, operation_name
+     ORDER BY errors DESC
+     LIMIT ${TOP_ENDPOINTS}`
+  );
+
+  const vitalValues = new Map();
+  query(
+    db,
+    `SELECT metric_name, value
+     FROM bronze_web_vitals
+     WHERE ${where}
+     ORDER BY value ASC`
+  ).forEach((row) => {
+    if (!vitalValues.has(row.metric_name)) vitalValues.set(row.metric_name, []);
+    vitalValues.get(row.metric_name).push(row.value);
+  });
+
+  const webVitals = Object.keys(VITAL_THRESHOLDS)
+    .filter((metric) => vitalValues.has(metric))
+    .map((metric) => {
+      const values = vitalValues.get(metric);
+      const p75 = calculatePercentile(values, 75);
+      return {
+        metric,
+        p75,
+        samples: values.length,
+        rating: rateVital(metric, p75),
+        goodSamples: values.filter(
+          (value) => value <= VITAL_THRESHOLDS[metric][0]
+        ).length,
+      };
+    });
+
+  // Hourly buckets up to two days, daily beyond that
+  const bucketMs = timeRange <= 2 * 86400 ? 3600 * 1000 : 86400 * 1000;
+  const timeline = query(
+    db,
+    `SELECT (timestamp / ${bucketMs}) * ${bucketMs} AS bucket,
+       COUNT(*) AS requests,
+       ROUND(AVG(duration), 2) AS avgDuration,
+       SUM(CASE WHEN ${ERROR_CONDITION} THEN 1 ELSE 0 END) AS errors
+     FROM bronze_requests
+     WHERE ${where}
+     GROUP BY bucket
+     ORDER BY bucket`
+  );
+
+  return {
+    generatedAt: Date.now(),
+    filters: {
+      domain:
+        filters.domain && filters.domain !== "all" ? filters.domain : null,
+      pageUrl: filters.pageUrl || null,
+      timeRange,
+    },
+    summary,
+    slowEndpoints,
+    errors: { byStatus: errorsByStatus, byEndpoint: failingEndpoints },
+    webVitals,
+    timeline: { bucketMs, buckets: timeline },
+  };
+}
+
+/**
+ * Export handler map for report operations
+ */
+export const reportHandlers = new Map([
+  [
+    "getReportData",
+    async (message, sender, context) => {
+      try {
+        const { database } = context;
+        if (!database || !database.isReady || !database.db) {
+          return { success: false, error: "Database not initialized" };
+        }
+
+        // Built next to the data by the database engine
+        const report = await database.reports.buildReportData(
+          message.filters || {}
+        );
+        return { success: true, report };
+      } catch (error) {
+        console.error("Get report data error:", error);
+        return { success: false, error: error.message };
+      }
+    },
+  ],
+]);
@@ -5,6 +5,7 @@
  */
 
 import { mapResultToArray, escapeStr } from "../../utils/handler-helpers.js";
+import { diffRequests } from "../../../lib/utils/request-diff.js";
 
 /**
  * Handle get requests by filters
@@ -51,7 +52,7 @@ async function handleGetRequestsByFilters(message, sender, context) {
     query += ` ORDER BY timestamp DESC LIMIT 500`;
 
     // Execute query and parse SQL.js result format
-    const result = database.db.exec(query);
+    const result = await database.db.exec(query);
     let requests = [];
 
     if (result && result[0]?.values) {
@@ -95,7 +96,7 @@ async function handleGetRequests(message, sender, context) {
       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
     `;
 
-    const result = database.db.exec(query);
+    const result = await database.db.exec(query);
     const requests = mapResultToArray(result);
 
     return { success: true, requests };
@@ -127,7 +128,7 @@ async function handleGetRequestDetails(message, sender, context) {
       WHERE id = ${escapeStr(id)}
     `;
 
-    const result = database.db.exec(query);
+    const result = await database.db.exec(query);
     const requests = mapResultToArray(result);
 
     if (requests.length === 0) {
@@ -177,7 +178,7 @@ async function handleDeleteRequests(message, sender, context) {
     const idList = ids.map((id) => escapeStr(id)).join(",");
     const query = `DELETE FROM bronze_requests WHERE id IN (${idList})`;
 
-    database.db.exec(query);
+    await database.db.exec(query);
 
     // Save database
     if (database.saveDatabase) {
@@ -218,7 +219,7 @@ async function handleSearchRequests(message, sender, context) {
       LIMIT ${parseInt(limit)}
     `;
 
-    const result = database.db.exec(query);
+    const result = await database.db.exec(query);
     const requests = mapResultToArray(result);
 
     return { success: true, requests, count: requests.length };
@@ -228,6 +229,144 @@ async function handleSearchRequests(message, sender, context) {
   }
 }
 
+function parseJsonColumn(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Load a captured request (with headers) as a diff snapshot
+ */
+async function loadCapturedSnapshot(db, requestId) {
+  const requestResult = await db.exec(`
+    SELECT id, url, method, status, duration, size_bytes, timestamp,
+      request_body, response_body
+    FROM bronze_requests
+    WHERE id = ${escapeStr(requestId)}
+  `);
+  const [request] = mapResultToArray(requestResult[0]);
+  if (!request) return null;
+
+  const headersResult = await db.exec(`
+    SELECT header_type, name, value
+    FROM bronze_request_headers
+    WHERE request_id = ${escapeStr(requestId)}
+    ORDER BY id
+  `);
+  const headers = mapResultToArray(headersResult[0]);
+  const byType = (type) =>
+    headers
+      .filter((header) => header.header_type === type)
+      .map(({ name, value }) => ({ name, value }));
+
+  return {
+    source: "capture",
+    id: request.id,
+    url: request.url,
+    method: request.method,
+    status: request.status,
+    duration: request.duration,
+    sizeBytes: request.size_bytes,
+    timestamp: request.timestamp,
+    requestHeaders: byType("request"),
+    responseHeaders: byType("response"),
+    requestBody: request.request_body,
+    responseBody: request.response_body,
+  };
+}
+
+/**
+ * Load a runner replay (execution result) as a diff snapshot
+ */
+async function loadReplaySnapshot(db, resultId) {
+  const resultRows = await db.exec(`
+    SELECT rer.*, crr.captured_request_id
+    FROM bronze_runner_execution_results rer
+    LEFT JOIN config_runner_requests crr ON rer.runner_request_id = crr.id
+    WHERE rer.id = ${escapeStr(resultId)}
+  `);
+  const [result] = mapResultToArray(resultRows[0]);
+  if (!result) return null;
+
+  return {
+    source: "replay",
+    id: result.id,
+    executionId: result.execution_id,
+    capturedRequestId: result.captured_request_id || null,
+    url: result.url,
+    method: result.method,
+    status: result.status,
+    duration: result.duration,
+    sizeBytes: result.response_body ? result.response_body.length : null,
+    timestamp: result.timestamp,
+    requestHeaders: parseJsonColumn(result.request_headers, []),
+    responseHeaders: parseJsonColumn(result.response_headers, []),
+    requestBody: result.request_body,
+    responseBody: result.response_body,
+  };
+}
+
+/**
+ * Handle diff between two requests
+ * Each side is { requestId } (captured request) or { executionResultId }
+ * (runner replay).
+ */
+async function handleDiffRequests(message, sender, context) {
+  try {
+    const { database } = context;
+    if (!database || !database.isReady || !database.db) {
+      return { success: false, error: "Database not initialized" };
+    }
+
+    const load = (side) => {
+      if (side?.requestId) {
+        return loadCapturedSnapshot(database.db, side.requestId);
+      }
+      if (side?.executionResultId) {
+        return loadReplaySnapshot(database.db, side.executionResultId);
+      }
+      return undefined;
+    };
+
+    const left = await load(message.left);
+    const right = await load(message.right);
+    if (left === undefined || right === undefined) {
+      return {
+        success: false,
+        error: "Both sides need a requestId or executionResultId",
+      };
+    }
+    if (!left || !right) {
+      return { success: false, error: "Request not found" };
+    }
+
+    // Labels for the UI; headers and bodies are already in the diff
+    const describe = (snapshot) => ({
+      source: snapshot.source,
+      id: snapshot.id,
+      url: snapshot.url,
+      method: snapshot.method,
+      status: snapshot.status,
+      timestamp: snapshot.timestamp,
+      capturedRequestId: snapshot.capturedRequestId,
+    });
+
+    return {
+      success: true,
+      left: describe(left),
+      right: describe(right),
+      diff: diffRequests(left, right),
+    };
+  } catch (error) {
+    console.error("Diff requests error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Export handler map for request operations
  */
@@ -237,4 +376,5 @@ export const requestHandlers = new Map([
   ["getRequestDetails", handleGetRequestDetails],
   ["deleteRequests", handleDeleteRequests],
   ["searchRequests", handleSearchRequests],
+  ["diffRequests", handleDiffRequests],
 ]);
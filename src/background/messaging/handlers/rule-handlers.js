@@ -0,0 +1,290 @@
+/**
+ * Request Rule Handlers
+ * Handles mock/modify rules and fault profiles installed with
+ * declarativeNetRequest. Both can only be changed from extension pages, and
+ * each action requires its ACL permission (mock:responses or
+ * modify:requests; fault profiles need modify:requests) and its feature flag
+ * (requestMocking or requestModification).
+ */
+
+import { runtime } from "../../compat/browser-compat.js";
+import aclManager from "../../../auth/acl-manager.js";
+import featureFlags from "../../../config/feature-flags.js";
+import requestRulesManager from "../../rules/request-rules-manager.js";
+import faultInjectionManager from "../../rules/fault-injection-manager.js";
+import { FAULT_FEATURE } from "../../rules/fault-profiles.js";
+import { RULE_FEATURES, RULE_PERMISSIONS } from "../../rules/request-rules.js";
+
+const FAULT_PERMISSION = "modify:requests";
+
+function isExtensionPage(sender) {
+  return !sender?.url || sender.url.startsWith(runtime.getURL(""));
+}
+
+/**
+ * Check that a rule change is allowed
+ * @param {Object} sender - Message sender
+ * @param {string} [permission] - ACL permission the change needs
+ * @param {string} [feature] - Feature flag the change needs
+ * @returns {Promise<Object|null>} Error response, or null when allowed
+ */
+async function checkAccess(sender, permission, feature) {
+  if (!isExtensionPage(sender)) {
+    return { success: false, error: "Not allowed from this context" };
+  }
+  if (!requestRulesManager.isSupported()) {
+    return {
+      success: false,
+      error: "This browser doesn't support declarativeNetRequest rules",
+    };
+  }
+
+  if (permission && !aclManager.hasPermission(permission)) {
+    return {
+      success: false,
+      error: `Your role doesn't have the "${permission}" permission`,
+    };
+  }
+
+  if (feature && !(await featureFlags.loadStoredFlags())[feature]) {
+    return {
+      success: false,
+      error: `The "${feature}" feature is turned off in Settings`,
+    };
+  }
+  return null;
+}
+
+async function findRule(id) {
+  const rules = await requestRulesManager.getRules();
+  return rules.find((rule) => rule.id === Number(id)) || null;
+}
+
+/**
+ * Handle get request rules
+ */
+async function handleGetRequestRules(message, sender, context) {
+  try {
+    const rules = await requestRulesManager.getRules();
+    const flags = await featureFlags.loadStoredFlags();
+    return {
+      success: true,
+      rules,
+      supported: requestRulesManager.isSupported(),
+      permissions: {
+        mock: aclManager.hasPermission("mock:responses"),
+        modify: aclManager.hasPermission("modify:requests"),
+      },
+      features: {
+        mock: flags.requestMocking,
+        modify: flags.requestModification,
+      },
+    };
+  } catch (error) {
+    console.error("[RuleHandlers] Get rules error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle create or update request rule
+ */
+async function handleSaveRequestRule(message, sender, context) {
+  const rule = message.rule || {};
+
+  try {
+    // Changing a rule's action needs the permission for both actions
+    const existing = rule.id ? await findRule(rule.id) : null;
+    const denied =
+      (await checkAccess(
+        sender,
+        RULE_PERMISSIONS[rule.action],
+        RULE_FEATURES[rule.action]
+      )) ||
+      (existing &&
+        (await checkAccess(
+          sender,
+          RULE_PERMISSIONS[existing.action],
+          RULE_FEATURES[existing.action]
+        )));
+    if (denied) return denied;
+
+    const saved = await requestRulesManager.saveRule(rule);
+    return { success: true, rule: saved };
+  } catch (error) {
+    console.error("[RuleHandlers] Save rule error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle enable/disable request rule
+ */
+async function handleSetRequestRuleEnabled(message, sender, context) {
+  try {
+    const existing = await findRule(message.ruleId);
+    if (!existing) {
+      return { success: false, error: `Rule not found: ${message.ruleId}` };
+    }
+    // Switching a rule off is allowed while its feature is off
+    const denied = await checkAccess(
+      sender,
+      RULE_PERMISSIONS[existing.action],
+      message.enabled ? RULE_FEATURES[existing.action] : null
+    );
+    if (denied) return denied;
+
+    const rule = await requestRulesManager.setRuleEnabled(
+      existing.id,
+      message.enabled
+    );
+    return { success: true, rule };
+  } catch (error) {
+    console.error("[RuleHandlers] Toggle rule error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle delete request rule
+ */
+async function handleDeleteRequestRule(message, sender, context) {
+  try {
+    const existing = await findRule(message.ruleId);
+    if (!existing) {
+      return { success: false, error: `Rule not found: ${message.ruleId}` };
+    }
+    const denied = await checkAccess(sender, RULE_PERMISSIONS[existing.action]);
+    if (denied) return denied;
+
+    await requestRulesManager.deleteRule(existing.id);
+    return { success: true };
+  } catch (error) {
+    console.error("[RuleHandlers] Delete rule error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle draft a mock rule from a captured request ("mock this response")
+ * The draft is returned for editing; nothing is installed until it's saved.
+ */
+async function handleDraftRuleFromRequest(message, sender, context) {
+  try {
+    const { database } = context;
+    if (!database || !database.isReady || !database.db) {
+      return { success: false, error: "Database not initialized" };
+    }
+
+    const rule = await requestRulesManager.draftRuleFromRequest(
+      database.db,
+      message.requestId
+    );
+    return { success: true, rule };
+  } catch (error) {
+    console.error("[RuleHandlers] Draft rule error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle get fault profiles and where they're active
+ */
+async function handleGetFaultProfiles(message, sender, context) {
+  try {
+    const { profiles, activations } = await faultInjectionManager.getState();
+    const flags = await featureFlags.loadStoredFlags();
+    return {
+      success: true,
+      profiles,
+      activations,
+      supported: faultInjectionManager.isSupported(),
+      canManage: aclManager.hasPermission(FAULT_PERMISSION),
+      enabled: Boolean(flags[FAULT_FEATURE]),
+    };
+  } catch (error) {
+    console.error("[RuleHandlers] Get fault profiles error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle create or update fault profile
+ */
+async function handleSaveFaultProfile(message, sender, context) {
+  try {
+    const denied = await checkAccess(sender, FAULT_PERMISSION, FAULT_FEATURE);
+    if (denied) return denied;
+
+    const profile = await faultInjectionManager.saveProfile(
+      message.profile || {}
+    );
+    return { success: true, profile };
+  } catch (error) {
+    console.error("[RuleHandlers] Save fault profile error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle delete fault profile (also switches it off everywhere)
+ */
+async function handleDeleteFaultProfile(message, sender, context) {
+  try {
+    const denied = await checkAccess(sender, FAULT_PERMISSION);
+    if (denied) return denied;
+
+    await faultInjectionManager.deleteProfile(message.profileId);
+    return { success: true };
+  } catch (error) {
+    console.error("[RuleHandlers] Delete fault profile error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle switch a fault profile on or off for a tab or domain
+ * A null profileId switches the target back to normal traffic.
+ */
+async function handleSetFaultProfileActivation(message, sender, context) {
+  try {
+    // Switching a profile off is allowed while the feature is off
+    const switchingOff =
+      message.profileId === null || message.profileId === undefined;
+    const denied = await checkAccess(
+      sender,
+      FAULT_PERMISSION,
+      switchingOff ? null : FAULT_FEATURE
+    );
+    if (denied) return denied;
+
+    if (switchingOff) {
+      await faultInjectionManager.deactivate(message.target);
+      return { success: true, activation: null };
+    }
+
+    const activation = await faultInjectionManager.activate(
+      message.profileId,
+      message.target
+    );
+    return { success: true, activation };
+  } catch (error) {
+    console.error("[RuleHandlers] Fault activation error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Export handler map for request rule operations
+ */
+export const ruleHandlers = new Map([
+  ["getRequestRules", handleGetRequestRules],
+  ["saveRequestRule", handleSaveRequestRule],
+  ["setRequestRuleEnabled", handleSetRequestRuleEnabled],
+  ["deleteRequestRule", handleDeleteRequestRule],
+  ["draftRuleFromRequest", handleDraftRuleFromRequest],
+  ["getFaultProfiles", handleGetFaultProfiles],
+  ["saveFaultProfile", handleSaveFaultProfile],
+  ["deleteFaultProfile", handleDeleteFaultProfile],
+  ["setFaultProfileActivation", handleSetFaultProfileActivation],
+]);
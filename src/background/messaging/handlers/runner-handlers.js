@@ -5,6 +5,8 @@
  */
 
 import requestRunner from "../../capture/request-runner.js";
+import { compareExecutionResults } from "../../capture/runner-comparison.js";
+import { validateLoadConfig } from "../../capture/load-test.js";
 
 /**
  * Handle run requests
@@ -124,6 +126,9 @@ async function handleCreateRunner(message, sender, context) {
     }
 
     const { definition, requests } = message;
+    if (definition?.execution_mode === "load") {
+      definition.load_config = validateLoadConfig(definition.load_config);
+    }
     const result = await database.runner.createRunner(definition, requests);
 
     console.log("[runner-handlers] handleCreateRunner completed", result);
@@ -209,7 +214,9 @@ async function handleEnsureRunnerTables(message, sender, context) {
 
     // Try to query runner tables to see if they exist
     try {
-      database.executeQuery("SELECT COUNT(*) FROM config_runner_definitions");
+      await database.executeQuery(
+        "SELECT COUNT(*) FROM config_runner_definitions"
+      );
       return { success: true, message: "Runner tables already exist" };
     } catch (e) {
       // Tables don't exist, create them
@@ -220,7 +227,7 @@ async function handleEnsureRunnerTables(message, sender, context) {
           name TEXT NOT NULL,
           description TEXT,
           collection_id TEXT,
-          execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel')),
+          execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel', 'load')),
           delay_ms INTEGER DEFAULT 0,
           follow_redirects BOOLEAN DEFAULT 1,
           validate_status BOOLEAN DEFAULT 0,
@@ -286,7 +293,7 @@ async function handleEnsureRunnerTables(message, sender, context) {
       ];
 
       for (const query of createQueries) {
-        database.executeQuery(query);
+        await database.executeQuery(query);
       }
 
       if (database.saveDatabase) {
@@ -312,9 +319,18 @@ async function handleRunRunner(message, sender, context) {
     }
 
     const runnerId = message.runnerId;
-    const result = await requestRunner.runRunner(runnerId, (progress) => {
-      // Progress updates available via getRunnerProgress
-    });
+    const options = {};
+    if (message.environmentId !== undefined) {
+      options.environmentId = message.environmentId; // Per-run override
+    }
+
+    const result = await requestRunner.runRunner(
+      runnerId,
+      (progress) => {
+        // Progress updates available via getRunnerProgress
+      },
+      options
+    );
 
     return {
       success: true,
@@ -378,6 +394,100 @@ async function handleGetExecutionResults(message, sender, context) {
   }
 }
 
+/**
+ * Handle get load test stats (per-second buckets of a load execution)
+ */
+async function handleGetLoadTestStats(message, sender, context) {
+  try {
+    const { database } = context;
+    if (!database || !database.isReady || !database.runner) {
+      return { success: false, error: "Database not initialized" };
+    }
+
+    const [execution, buckets] = await Promise.all([
+      database.runner.getRunnerExecution(message.executionId),
+      database.runner.getLoadStats(message.executionId),
+    ]);
+    if (!execution) {
+      return { success: false, error: "Execution not found" };
+    }
+
+    let totals = null;
+    try {
+      totals = JSON.parse(execution.metadata || "null")?.loadTest || null;
+    } catch (e) {
+      // Older executions have no load summary
+    }
+
+    return { success: true, execution, totals, buckets };
+  } catch (error) {
+    console.error("Get load test stats error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle run-to-run comparison
+ * Without a baseExecutionId the execution before compareExecutionId is used.
+ */
+async function handleCompareExecutions(message, sender, context) {
+  try {
+    const { database } = context;
+    if (!database || !database.isReady || !database.runner) {
+      return { success: false, error: "Database not initialized" };
+    }
+
+    const compareExecution = await database.runner.getRunnerExecution(
+      message.compareExecutionId
+    );
+    if (!compareExecution) {
+      return { success: false, error: "Execution not found" };
+    }
+
+    let baseExecution = null;
+    if (message.baseExecutionId) {
+      baseExecution = await database.runner.getRunnerExecution(
+        message.baseExecutionId
+      );
+    } else {
+      const executions = await database.runner.getRunnerExecutions(
+        compareExecution.runner_id,
+        50
+      );
+      // Newest first, so the previous run is the first one that started earlier
+      baseExecution =
+        executions.find(
+          (execution) => execution.start_time < compareExecution.start_time
+        ) || null;
+    }
+    if (!baseExecution) {
+      return { success: false, error: "No earlier execution to compare with" };
+    }
+    if (baseExecution.runner_id !== compareExecution.runner_id) {
+      // Results are lined up by runner request, which is per runner
+      return {
+        success: false,
+        error: "Only executions of the same runner can be compared",
+      };
+    }
+
+    const [baseResults, compareResults] = await Promise.all([
+      database.runner.getExecutionResults(baseExecution.id),
+      database.runner.getExecutionResults(compareExecution.id),
+    ]);
+
+    return {
+      success: true,
+      base: baseExecution,
+      compare: compareExecution,
+      ...compareExecutionResults(baseResults, compareResults),
+    };
+  } catch (error) {
+    console.error("Compare executions error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Handle convert to saved runner
  */
@@ -486,6 +596,8 @@ export const runnerHandlers = new Map([
   ["runRunner", handleRunRunner],
   ["getRunnerHistory", handleGetRunnerHistory],
   ["getExecutionResults", handleGetExecutionResults],
+  ["compareExecutions", handleCompareExecutions],
+  ["getLoadTestStats", handleGetLoadTestStats],
   ["convertToSavedRunner", handleConvertToSavedRunner],
   ["updateRunnerMetadata", handleUpdateRunnerMetadata],
   ["cleanupTemporaryRunners", handleCleanupTemporaryRunners],
@@ -0,0 +1,134 @@
+/**
+ * Secret Variable Handlers
+ * Handles encrypted secret variables. Values are write-only from UI pages:
+ * no handler ever returns a decrypted secret.
+ */
+
+import { runtime } from "../../compat/browser-compat.js";
+import secretVariables from "../../security/secret-variables.js";
+
+/**
+ * Secrets may only be changed from extension pages, not content scripts
+ */
+function isExtensionPage(sender) {
+  return !sender?.url || sender.url.startsWith(runtime.getURL(""));
+}
+
+function rejectSender() {
+  return { success: false, error: "Not allowed from this context" };
+}
+
+/**
+ * Handle get secret status (mode, lock state and secret names)
+ */
+async function handleGetSecretStatus(message, sender, context) {
+  try {
+    const status = await secretVariables.getStatus();
+    return { success: true, status };
+  } catch (error) {
+    console.error("[SecretHandlers] Get status error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle set secret variable value
+ */
+async function handleSetSecretVariable(message, sender, context) {
+  if (!isExtensionPage(sender)) return rejectSender();
+
+  try {
+    const { name, value, environmentId } = message;
+    await secretVariables.setSecret(name, value, environmentId || null);
+    return { success: true };
+  } catch (error) {
+    console.error("[SecretHandlers] Set secret error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle delete secret variable value
+ */
+async function handleDeleteSecretVariable(message, sender, context) {
+  if (!isExtensionPage(sender)) return rejectSender();
+
+  try {
+    const { name, environmentId } = message;
+    if (!name && environmentId) {
+      await secretVariables.deleteEnvironmentSecrets(environmentId);
+    } else {
+      await secretVariables.deleteSecret(name, environmentId);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("[SecretHandlers] Delete secret error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle unlock secrets with passphrase
+ */
+async function handleUnlockSecrets(message, sender, context) {
+  if (!isExtensionPage(sender)) return rejectSender();
+
+  try {
+    await secretVariables.unlock(message.passphrase);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle lock secrets
+ */
+async function handleLockSecrets(message, sender, context) {
+  const locked = secretVariables.lock();
+  return { success: true, locked };
+}
+
+/**
+ * Handle set (or change) secret passphrase
+ */
+async function handleSetSecretPassphrase(message, sender, context) {
+  if (!isExtensionPage(sender)) return rejectSender();
+
+  try {
+    const { passphrase, autoLockMinutes } = message;
+    await secretVariables.setPassphrase(passphrase, autoLockMinutes);
+    return { success: true };
+  } catch (error) {
+    console.error("[SecretHandlers] Set passphrase error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle remove secret passphrase (back to a device key)
+ */
+async function handleClearSecretPassphrase(message, sender, context) {
+  if (!isExtensionPage(sender)) return rejectSender();
+
+  try {
+    await secretVariables.clearPassphrase();
+    return { success: true };
+  } catch (error) {
+    console.error("[SecretHandlers] Clear passphrase error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Export handler map for secret variable operations
+ */
+export const secretHandlers = new Map([
+  ["getSecretStatus", handleGetSecretStatus],
+  ["setSecretVariable", handleSetSecretVariable],
+  ["deleteSecretVariable", handleDeleteSecretVariable],
+  ["unlockSecrets", handleUnlockSecrets],
+  ["lockSecrets", handleLockSecrets],
+  ["setSecretPassphrase", handleSetSecretPassphrase],
+  ["clearSecretPassphrase", handleClearSecretPassphrase],
+]);
@@ -75,13 +75,13 @@ async function handleGetPageStats(data, context) {
           SELECT 
             COUNT(*) as totalRequests,
             AVG(duration) as avgResponse,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as errorCount,
+            SUM(CASE WHEN status >= 400 OR graphql_error_count > 0 THEN 1 ELSE 0 END) as errorCount,
             SUM(size_bytes) as dataTransferred
           FROM bronze_requests
           ${whereClause}
         `;
 
-        const aggregateResult = database.db.exec(aggregateQuery);
+        const aggregateResult = await database.db.exec(aggregateQuery);
 
         if (
           aggregateResult &&
@@ -104,7 +104,7 @@ async function handleGetPageStats(data, context) {
           LIMIT 100
         `;
 
-        const detailResult = database.db.exec(detailQuery);
+        const detailResult = await database.db.exec(detailQuery);
 
         if (detailResult && detailResult[0]?.values) {
           detailResult[0].values.forEach((row) => {
@@ -228,7 +228,7 @@ async function handleGetFilteredStats(filters, context) {
     let requests = [];
 
     try {
-      const result = database.db.exec(query);
+      const result = await database.db.exec(query);
 
       if (result && result[0]) {
         requests = mapResultToArray(result[0]);
@@ -344,11 +344,13 @@ async function handleGetDashboardStats(timeRange, context) {
             COUNT(*) as totalRequests,
             AVG(duration) as avgResponse,
             SUM(CASE WHEN duration > 1000 THEN 1 ELSE 0 END) as slowRequests,
-            SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as errorCount
+            SUM(CASE WHEN status >= 400 OR graphql_error_count > 0 THEN 1 ELSE 0 END) as errorCount
           FROM bronze_requests
           WHERE timestamp > ?
         `;
-        const overallResult = database.executeQuery(overallQuery, [startTime]);
+        const overallResult = await database.executeQuery(overallQuery, [
+          startTime,
+        ]);
 
         if (
           overallResult &&
@@ -376,7 +378,9 @@ async function handleGetDashboardStats(timeRange, context) {
           WHERE timestamp > ? AND status IS NOT NULL
           GROUP BY statusGroup
         `;
-        const statusResult = database.executeQuery(statusQuery, [startTime]);
+        const statusResult = await database.executeQuery(statusQuery, [
+          startTime,
+        ]);
 
         if (statusResult && statusResult[0]?.values) {
           const statusMap = { "2xx": 0, "3xx": 1, "4xx": 2, "5xx": 3 };
@@ -396,7 +400,9 @@ async function handleGetDashboardStats(timeRange, context) {
           ORDER BY count DESC
           LIMIT 10
         `;
-        const domainsResult = database.executeQuery(domainsQuery, [startTime]);
+        const domainsResult = await database.executeQuery(domainsQuery, [
+          startTime,
+        ]);
 
         if (domainsResult && domainsResult[0]?.values) {
           stats.topDomains.labels = domainsResult[0].values.map((r) => r[0]);
@@ -418,7 +424,7 @@ async function handleGetDashboardStats(timeRange, context) {
           ORDER BY timestamp ASC
           LIMIT ?
         `;
-        const volumeResult = database.executeQuery(hourlyQuery, [
+        const volumeResult = await database.executeQuery(hourlyQuery, [
           startTime,
           hoursToShow,
         ]);
@@ -439,7 +445,7 @@ async function handleGetDashboardStats(timeRange, context) {
           ORDER BY timestamp ASC
           LIMIT ?
         `;
-        const perfResult = database.executeQuery(perfQuery, [
+        const perfResult = await database.executeQuery(perfQuery, [
           startTime,
           hoursToShow,
         ]);
@@ -460,7 +466,7 @@ async function handleGetDashboardStats(timeRange, context) {
 
         for (const [layer, query] of Object.entries(layerQueries)) {
           try {
-            const result = database.executeQuery(query);
+            const result = await database.executeQuery(query);
             if (result && result[0]?.values && result[0].values.length > 0) {
               stats.layerCounts[layer] = result[0].values[0][0] || 0;
             }
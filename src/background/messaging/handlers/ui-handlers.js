@@ -80,7 +80,7 @@ export const uiHandlers = new Map([
         GROUP BY domain
       `;
 
-        const result = database.executeQuery(query);
+        const result = await database.executeQuery(query);
 
         return {
           success: true,
@@ -27,7 +27,7 @@ async function handleGetWebVitals(filters, context) {
 
     let query = `
       SELECT 
-        metric_name, value, rating, timestamp, domain, page_url
+        metric_name, value, rating, timestamp, domain, page_url, attribution
       FROM bronze_web_vitals
       WHERE timestamp > ${startTime}
     `;
@@ -43,7 +43,7 @@ async function handleGetWebVitals(filters, context) {
     query += " ORDER BY timestamp DESC LIMIT 100";
 
     let vitals = [];
-    const result = database.db.exec(query);
+    const result = await database.db.exec(query);
     if (result && result[0]?.values) {
       vitals = result[0].values.map((row) => ({
         metricName: row[0],
@@ -52,6 +52,7 @@ async function handleGetWebVitals(filters, context) {
         timestamp: row[3],
         domain: row[4],
         pageUrl: row[5],
+        attribution: row[6] ? JSON.parse(row[6]) : null,
       }));
     }
 
@@ -88,7 +89,7 @@ async function handleGetRecentErrors(limit, context) {
       LIMIT ${parseInt(actualLimit)}
     `;
 
-    const queryResult = database.db.exec(query);
+    const queryResult = await database.db.exec(query);
 
     const errors =
       queryResult.length > 0 && queryResult[0].values
@@ -144,7 +145,7 @@ async function handleGetRecentRequests(data, context) {
       LIMIT ${parseInt(actualLimit)}
     `;
 
-    const queryResult = database.db.exec(query);
+    const queryResult = await database.db.exec(query);
 
     const requests =
       queryResult.length > 0 && queryResult[0].values
@@ -19,6 +19,11 @@ import { domainHandlers } from "./handlers/domain-handlers.js";
 import { requestHandlers } from "./handlers/request-handlers.js";
 import { uiHandlers } from "./handlers/ui-handlers.js";
 import { medallionHandlers } from "./handlers/medallion-handlers.js";
+import { secretHandlers } from "./handlers/secret-handlers.js";
+import { reportHandlers } from "./handlers/report-handlers.js";
+import { ruleHandlers } from "./handlers/rule-handlers.js";
+import { realtimeHandlers } from "./handlers/realtime-handlers.js";
+import { jobHandlers } from "./handlers/job-handlers.js";
 import requestRunner from "../capture/request-runner.js";
 import runnerCollections from "../capture/runner-collections.js";
 
@@ -62,6 +67,11 @@ const handlers = new Map([
   ...requestHandlers,
   ...uiHandlers,
   ...medallionHandlers,
+  ...secretHandlers,
+  ...reportHandlers,
+  ...ruleHandlers,
+  ...realtimeHandlers,
+  ...jobHandlers,
 ]);
 
 /**
@@ -4649,7 +4649,7 @@ async function handleEnsureRunnerTables() {
           name TEXT NOT NULL,
           description TEXT,
           collection_id TEXT,
-          execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel')),
+          execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel', 'load')),
           delay_ms INTEGER DEFAULT 0,
           follow_redirects BOOLEAN DEFAULT 1,
           validate_status BOOLEAN DEFAULT 0,
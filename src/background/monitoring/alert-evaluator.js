@@ -0,0 +1,336 @@
+// Alert evaluator - checks alert_rules against rolling windows of captured
+// traffic (bronze_requests, bronze_web_vitals) and records fired alerts
+
+import { escapeStr, mapResultToArray } from "../utils/handler-helpers.js";
+
+// Request metrics computed from bronze_requests
+const REQUEST_METRICS = {
+  requestCount: { label: "Request Count", unit: "" },
+  errorRate: { label: "Error Rate", unit: "%" },
+  avgDuration: { label: "Average Response Time", unit: "ms" },
+  maxDuration: { label: "Max Response Time", unit: "ms" },
+  p95Duration: { label: "p95 Response Time", unit: "ms" },
+};
+
+// Web vitals metrics (p75, as reported by CrUX) from bronze_web_vitals
+const VITALS_METRICS = {
+  lcp: { label: "LCP (p75)", unit: "ms", metricName: "LCP" },
+  fcp: { label: "FCP (p75)", unit: "ms", metricName: "FCP" },
+  cls: { label: "CLS (p75)", unit: "", metricName: "CLS" },
+  ttfb: { label: "TTFB (p75)", unit: "ms", metricName: "TTFB" },
+  inp: { label: "INP (p75)", unit: "ms", metricName: "INP" },
+  // FID is no longer reported; kept for existing rules and stored data
+  fid: { label: "FID (p75)", unit: "ms", metricName: "FID" },
+};
+
+export const ALERT_METRICS = { ...REQUEST_METRICS, ...VITALS_METRICS };
+
+export const ALERT_CONDITIONS = {
+  gt: { symbol: ">", test: (value, threshold) => value > threshold },
+  lt: { symbol: "<", test: (value, threshold) => value < threshold },
+  eq: { symbol: "=", test: (value, threshold) => value === threshold },
+};
+
+export const DEFAULT_ALERT_WINDOW_MINUTES = 5;
+export const DEFAULT_ALERT_COOLDOWN_MINUTES = 15;
+
+// Coalesce bursts of captured requests into one evaluation
+const EVALUATION_DEBOUNCE_MS = 10 * 1000;
+const EVALUATION_MAX_WAIT_MS = 60 * 1000;
+
+// Periodic evaluation so "less than" rules fire when traffic stops
+const EVALUATION_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check whether a metric value breaches a rule
+ * @param {Object} rule - alert_rules row
+ * @param {number} value - Current metric value
+ * @returns {boolean}
+ */
+export function isRuleBreached(rule, value) {
+  const condition = ALERT_CONDITIONS[rule.condition];
+  if (!condition || value === null || value === undefined || isNaN(value)) {
+    return false;
+  }
+  return condition.test(Number(value), Number(rule.threshold));
+}
+
+/**
+ * Build the alert message shown in history and notifications
+ */
+export function formatAlertMessage(rule, value, windowMinutes) {
+  const metric = ALERT_METRICS[rule.metric] || { label: rule.metric, unit: "" };
+  const symbol = ALERT_CONDITIONS[rule.condition]?.symbol || rule.condition;
+  const rounded = Math.round(Number(value) * 100) / 100;
+
+  return `${metric.label} is ${rounded}${metric.unit} (${symbol} ${
+    rule.threshold
+  }${metric.unit}) over the last ${windowMinutes} min${
+    rule.domain ? ` on ${rule.domain}` : ""
+  }`;
+}
+
+export class AlertEvaluator {
+  constructor(db, eventBus) {
+    this.db = db;
+    this.eventBus = eventBus;
+    this.lastFired = new Map(); // rule_id -> triggered_at
+    this.debounceTimer = null;
+    this.firstPendingAt = null;
+    this.evaluating = false;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start evaluating rules on new Bronze requests and on a timer
+   */
+  start() {
+    this.loadLastFired();
+
+    this.eventBus?.subscribe("medallion:bronze:inserted", () => {
+      this.scheduleEvaluation();
+    });
+
+    this.intervalId = setInterval(() => {
+      this.evaluateRules().catch((error) => {
+        console.error("[Alerts] Periodic evaluation failed:", error);
+      });
+    }, EVALUATION_INTERVAL_MS);
+
+    console.log("[Alerts] Alert evaluator started");
+    return this.intervalId;
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    clearTimeout(this.debounceTimer);
+    this.intervalId = null;
+    this.debounceTimer = null;
+  }
+
+  /**
+   * Debounce evaluation requests, but never delay longer than the max wait
+   */
+  scheduleEvaluation() {
+    const now = Date.now();
+    if (!this.firstPendingAt) {
+      this.firstPendingAt = now;
+    }
+
+    clearTimeout(this.debounceTimer);
+    const delay = Math.min(
+      EVALUATION_DEBOUNCE_MS,
+      Math.max(0, this.firstPendingAt + EVALUATION_MAX_WAIT_MS - now)
+    );
+
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.firstPendingAt = null;
+      this.evaluateRules().catch((error) => {
+        console.error("[Alerts] Evaluation failed:", error);
+      });
+    }, delay);
+  }
+
+  // Restore cooldowns after a service worker restart
+  loadLastFired() {
+    try {
+      const result = this.db.exec(`
+        SELECT rule_id, MAX(triggered_at) AS triggered_at
+        FROM alert_history
+        GROUP BY rule_id
+      `);
+      mapResultToArray(result[0]).forEach((row) => {
+        this.lastFired.set(row.rule_id, row.triggered_at);
+      });
+    } catch (error) {
+      console.warn("[Alerts] Failed to load alert history:", error);
+    }
+  }
+
+  getEnabledRules() {
+    const result = this.db.exec(`SELECT * FROM alert_rules WHERE enabled = 1`);
+    return mapResultToArray(result[0]);
+  }
+
+  /**
+   * Evaluate every enabled rule once
+   * @param {number} now - Evaluation time (ms)
+   * @returns {Promise<Array>} Alerts fired in this pass
+   */
+  async evaluateRules(now = Date.now()) {
+    if (this.evaluating) return [];
+    this.evaluating = true;
+
+    const fired = [];
+    try {
+      for (const rule of this.getEnabledRules()) {
+        try {
+          const alert = this.evaluateRule(rule, now);
+          if (alert) fired.push(alert);
+        } catch (error) {
+          console.error(`[Alerts] Failed to evaluate rule ${rule.id}:`, error);
+        }
+      }
+    } finally {
+      this.evaluating = false;
+    }
+
+    return fired;
+  }
+
+  /**
+   * Evaluate a single rule and record it if it fires
+   * @returns {Object|null} Fired alert
+   */
+  evaluateRule(rule, now = Date.now()) {
+    if (!ALERT_METRICS[rule.metric] || !ALERT_CONDITIONS[rule.condition]) {
+      return null;
+    }
+
+    const cooldownMs =
+      (rule.cooldown_minutes ?? DEFAULT_ALERT_COOLDOWN_MINUTES) * 60 * 1000;
+    const lastFired = this.lastFired.get(rule.id);
+    if (lastFired && now - lastFired < cooldownMs) {
+      return null;
+    }
+
+    const windowMinutes = rule.window_minutes || DEFAULT_ALERT_WINDOW_MINUTES;
+    const since = now - windowMinutes * 60 * 1000;
+    const { value, sampleCount } = this.computeMetric(
+      rule.metric,
+      since,
+      rule.domain
+    );
+
+    // Count rules evaluate empty windows; everything else needs samples
+    if (
+      rule.metric !== "requestCount" &&
+      sampleCount < (rule.min_samples || 1)
+    ) {
+      return null;
+    }
+
+    if (!isRuleBreached(rule, value)) {
+      return null;
+    }
+
+    const alert = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      metric: rule.metric,
+      domain: rule.domain || null,
+      triggeredAt: now,
+      value,
+      threshold: rule.threshold,
+      sampleCount,
+      windowMinutes,
+      message: formatAlertMessage(rule, value, windowMinutes),
+    };
+
+    this.recordAlert(alert);
+    this.lastFired.set(rule.id, now);
+    this.eventBus?.publish("alert:triggered", alert);
+
+    console.log(`[Alerts] Fired "${rule.name}": ${alert.message}`);
+    return alert;
+  }
+
+  /**
+   * Compute a metric over bronze data since a timestamp
+   * @returns {{value: number|null, sampleCount: number}}
+   */
+  computeMetric(metric, since, domain) {
+    const domainFilter = domain ? `AND domain = ${escapeStr(domain)}` : "";
+
+    if (VITALS_METRICS[metric]) {
+      return this.computePercentile(
+        "bronze_web_vitals",
+        "value",
+        `timestamp >= ${since} ${domainFilter}
+          AND metric_name = ${escapeStr(VITALS_METRICS[metric].metricName)}`,
+        0.75
+      );
+    }
+
+    const requestFilter = `timestamp >= ${since} ${domainFilter}`;
+
+    if (metric === "p95Duration") {
+      return this.computePercentile(
+        "bronze_requests",
+        "duration",
+        `${requestFilter} AND duration IS NOT NULL`,
+        0.95
+      );
+    }
+
+    const result = this.db.exec(`
+      SELECT
+        COUNT(*) AS total,
+        SUM(CASE WHEN status >= 400 OR (error IS NOT NULL AND error != '') OR graphql_error_count > 0 THEN 1 ELSE 0 END) AS errors,
+        AVG(duration) AS avg_duration,
+        MAX(duration) AS max_duration
+      FROM bronze_requests
+      WHERE ${requestFilter}
+    `);
+    const [row] = mapResultToArray(result[0]);
+    const total = row?.total || 0;
+
+    switch (metric) {
+      case "requestCount":
+        return { value: total, sampleCount: total };
+      case "errorRate":
+        return {
+          value: total > 0 ? ((row.errors || 0) / total) * 100 : null,
+          sampleCount: total,
+        };
+      case "avgDuration":
+        return { value: row?.avg_duration ?? null, sampleCount: total };
+      case "maxDuration":
+        return { value: row?.max_duration ?? null, sampleCount: total };
+      default:
+        return { value: null, sampleCount: 0 };
+    }
+  }
+
+  // Nearest-rank percentile of a column
+  computePercentile(table, column, where, percentile) {
+    const countResult = this.db.exec(
+      `SELECT COUNT(*) FROM ${table} WHERE ${where}`
+    );
+    const sampleCount = countResult[0]?.values?.[0]?.[0] || 0;
+    if (sampleCount === 0) {
+      return { value: null, sampleCount: 0 };
+    }
+
+    const offset = Math.max(0, Math.ceil(percentile * sampleCount) - 1);
+    const result = this.db.exec(`
+      SELECT ${column} FROM ${table}
+      WHERE ${where}
+      ORDER BY ${column} ASC
+      LIMIT 1 OFFSET ${offset}
+    `);
+
+    return { value: result[0]?.values?.[0]?.[0] ?? null, sampleCount };
+  }
+
+  recordAlert(alert) {
+    this.db.exec(`
+      INSERT INTO alert_history (
+        rule_id, rule_name, metric, domain, triggered_at, value,
+        threshold, sample_count, window_minutes, message
+      ) VALUES (
+        ${Number(alert.ruleId)},
+        ${escapeStr(alert.ruleName)},
+        ${escapeStr(alert.metric)},
+        ${escapeStr(alert.domain)},
+        ${alert.triggeredAt},
+        ${Number(alert.value)},
+        ${Number(alert.threshold)},
+        ${alert.sampleCount},
+        ${alert.windowMinutes},
+        ${escapeStr(alert.message)}
+      )
+    `);
+  }
+}
@@ -173,6 +173,17 @@ function setupNotificationSubscriptions() {
     }
   });
 
+  // Traffic alert notifications (alert rules evaluated in the background)
+  eventBus.subscribe("alert:triggered", (data) => {
+    if (config.notifyOnAlert) {
+      showNotification({
+        title: `Alert: ${data.ruleName}`,
+        message: data.message,
+        type: "warning",
+      });
+    }
+  });
+
   // Cleanup notifications
   eventBus.subscribe("cleanup:started", () => {
     if (config.notifyOnCleanup) {
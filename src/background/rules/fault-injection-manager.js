@@ -0,0 +1,299 @@
+/**
+ * Fault Injection Manager
+ *
+ * Stores fault profiles in chrome.storage.local together with where each
+ * one is switched on (a tab or a page domain), and installs the active ones
+ * as declarativeNetRequest session rules in the fault id range.
+ *
+ * Tab ids don't survive a browser restart, so tab activations are dropped on
+ * startup when the browser has lost the session rules or the tab is gone.
+ * Domain activations are reinstalled.
+ *
+ * The active profile is kept in memory so request capture can record it on
+ * every stored request without a storage round-trip.
+ *
+ * While the requestModification feature flag is off, no fault rules are
+ * installed and no profile counts as active; the rules are synced again
+ * whenever the flags change.
+ */
+
+import {
+  declarativeNetRequest,
+  storage,
+  tabs,
+} from "../compat/browser-compat.js";
+import { FeatureError, ValidationError } from "../errors/error-types.js";
+import featureFlags from "../../config/feature-flags.js";
+import {
+  FAULT_FEATURE,
+  FAULT_RULE_ID_BASE,
+  findActiveProfile,
+  isSameTarget,
+  toFaultRules,
+  validateFaultProfile,
+  validateFaultTarget,
+} from "./fault-profiles.js";
+
+export const FAULT_PROFILES_STORAGE_KEY = "faultProfiles";
+
+class FaultInjectionManager {
+  constructor() {
+    this.state = { nextId: 1, profiles: [], activations: [] };
+    this.featureEnabled = false;
+    this.activeSync = Promise.resolve();
+  }
+
+  isSupported() {
+    return Boolean(declarativeNetRequest);
+  }
+
+  async loadState() {
+    const data = await storage.get([FAULT_PROFILES_STORAGE_KEY]);
+    this.state = {
+      nextId: 1,
+      profiles: [],
+      activations: [],
+      ...(data?.[FAULT_PROFILES_STORAGE_KEY] || {}),
+    };
+    return this.state;
+  }
+
+  async saveState(state) {
+    await storage.set({ [FAULT_PROFILES_STORAGE_KEY]: state });
+    this.state = state;
+  }
+
+  /**
+   * Drop stale tab activations and install the active profiles
+   * Called once at startup
+   */
+  async initialize() {
+    if (!this.isSupported()) {
+      console.warn(
+        "[Faults] declarativeNetRequest not available, fault injection is disabled"
+      );
+      return;
+    }
+
+    const state = await this.loadState();
+    const [sessionRules, openTabs] = await Promise.all([
+      declarativeNetRequest.getSessionRules(),
+      tabs.query({}),
+    ]);
+    const restarted = !sessionRules.some(
+      (rule) => rule.id >= FAULT_RULE_ID_BASE
+    );
+    const openTabIds = new Set(openTabs.map((tab) => tab.id));
+
+    const activations = state.activations.filter(
+      (activation) =>
+        !activation.tabId || (!restarted && openTabIds.has(activation.tabId))
+    );
+    if (activations.length !== state.activations.length) {
+      console.log(
+        `[Faults] Dropped ${
+          state.activations.length - activations.length
+        } stale tab activation(s)`
+      );
+      state.activations = activations;
+      await this.saveState(state);
+    }
+
+    tabs.onRemoved.addListener((tabId) => {
+      if (this.state.activations.some((a) => a.tabId === tabId)) {
+        this.deactivate({ tabId }).catch((error) =>
+          console.warn("[Faults] Failed to clear closed tab:", error)
+        );
+      }
+    });
+
+    storage.onChanged.addListener((changes) => {
+      if (changes.featureFlags) {
+        this.syncRules().catch((error) =>
+          console.warn("[Faults] Failed to apply feature flag change:", error)
+        );
+      }
+    });
+
+    await this.syncRules(state);
+    console.log(
+      `[Faults] Initialized with ${state.profiles.length} profile(s), ${state.activations.length} active`
+    );
+  }
+
+  /**
+   * Replace the installed fault rules with the active profiles' rules
+   * Syncs are serialized so overlapping updates can't interleave
+   * @param {Object} [state] - Fault state (loaded when omitted)
+   * @returns {Promise<number>} Installed rule count
+   */
+  syncRules(state) {
+    const run = this.activeSync
+      .catch(() => {})
+      .then(() => this.applyRules(state));
+    this.activeSync = run;
+    return run;
+  }
+
+  async applyRules(state) {
+    if (!this.isSupported()) {
+      throw new FeatureError("declarativeNetRequest is not available");
+    }
+
+    const { profiles, activations } = state || (await this.loadState());
+    this.featureEnabled = Boolean(
+      (await featureFlags.loadStoredFlags())[FAULT_FEATURE]
+    );
+    const rules = [];
+    (this.featureEnabled ? activations : []).forEach((activation) => {
+      const profile = profiles.find((p) => p.id === activation.profileId);
+      if (profile) {
+        rules.push(
+          ...toFaultRules(
+            profile,
+            activation,
+            FAULT_RULE_ID_BASE + rules.length
+          )
+        );
+      }
+    });
+
+    const installed = await declarativeNetRequest.getSessionRules();
+    await declarativeNetRequest.updateSessionRules({
+      removeRuleIds: installed
+        .filter((rule) => rule.id >= FAULT_RULE_ID_BASE)
+        .map((rule) => rule.id),
+      addRules: rules,
+    });
+
+    return rules.length;
+  }
+
+  /**
+   * Save a new state and install it; the previous state is restored when
+   * the browser rejects the rules
+   */
+  async commit(previous, next) {
+    await this.saveState(next);
+    try {
+      await this.syncRules(next);
+    } catch (error) {
+      await this.saveState(previous);
+      await this.syncRules(previous).catch(() => {});
+      throw new ValidationError(
+        `The browser rejected the fault rules: ${error.message || error}`
+      );
+    }
+  }
+
+  async getState() {
+    const { profiles, activations } = await this.loadState();
+    return { profiles, activations };
+  }
+
+  /**
+   * Profile active for a captured request (from memory)
+   * @param {number} tabId - Request tab
+   * @param {string} domain - Page domain
+   * @returns {Object|null} Profile
+   */
+  getActiveProfile(tabId, domain) {
+    if (!this.featureEnabled) return null;
+    return findActiveProfile(this.state, tabId, domain);
+  }
+
+  /**
+   * Create or update a profile
+   * @param {Object} input - Profile fields (with id to update)
+   * @returns {Promise<Object>} Saved profile
+   */
+  async saveProfile(input) {
+    const profile = validateFaultProfile(input);
+    const previous = await this.loadState();
+    const next = { ...previous, profiles: [...previous.profiles] };
+    const now = Date.now();
+    let saved;
+
+    if (input.id) {
+      const index = next.profiles.findIndex((p) => p.id === Number(input.id));
+      if (index === -1) {
+        throw new ValidationError(`Fault profile not found: ${input.id}`);
+      }
+      saved = {
+        ...profile,
+        id: next.profiles[index].id,
+        createdAt: next.profiles[index].createdAt,
+        updatedAt: now,
+      };
+      next.profiles[index] = saved;
+    } else {
+      saved = { ...profile, id: next.nextId, createdAt: now, updatedAt: now };
+      next.nextId += 1;
+      next.profiles.push(saved);
+    }
+
+    await this.commit(previous, next);
+    return saved;
+  }
+
+  async deleteProfile(id) {
+    const previous = await this.loadState();
+    const profiles = previous.profiles.filter((p) => p.id !== Number(id));
+    if (profiles.length === previous.profiles.length) {
+      throw new ValidationError(`Fault profile not found: ${id}`);
+    }
+
+    await this.commit(previous, {
+      ...previous,
+      profiles,
+      activations: previous.activations.filter(
+        (activation) => activation.profileId !== Number(id)
+      ),
+    });
+  }
+
+  /**
+   * Switch a profile on for a tab or domain (replacing any profile there)
+   * @param {number} profileId - Profile to activate
+   * @param {Object} target - { tabId } or { domain }
+   */
+  async activate(profileId, target) {
+    const normalized = validateFaultTarget(target);
+    const previous = await this.loadState();
+    const profile = previous.profiles.find((p) => p.id === Number(profileId));
+    if (!profile) {
+      throw new ValidationError(`Fault profile not found: ${profileId}`);
+    }
+
+    const activation = {
+      profileId: profile.id,
+      ...normalized,
+      activatedAt: Date.now(),
+    };
+    await this.commit(previous, {
+      ...previous,
+      activations: [
+        ...previous.activations.filter((a) => !isSameTarget(a, normalized)),
+        activation,
+      ],
+    });
+    return activation;
+  }
+
+  async deactivate(target) {
+    const normalized = validateFaultTarget(target);
+    const previous = await this.loadState();
+    const activations = previous.activations.filter(
+      (a) => !isSameTarget(a, normalized)
+    );
+    if (activations.length === previous.activations.length) {
+      return;
+    }
+
+    await this.commit(previous, { ...previous, activations });
+  }
+}
+
+// Singleton instance
+const faultInjectionManager = new FaultInjectionManager();
+export default faultInjectionManager;
@@ -0,0 +1,268 @@
+/**
+ * Fault Profiles
+ *
+ * Named sets of faults for resilience testing, switched on per tab or per
+ * page domain and installed as declarativeNetRequest session rules:
+ * - status:            redirect to the mock server's /status/<code>
+ * - connectionFailure: block the request (net::ERR_BLOCKED_BY_CLIENT)
+ * - stripHeaders:      remove request/response headers
+ * - latency:           redirect to the mock server's /delay/<seconds>
+ *
+ * declarativeNetRequest can't answer with a status code or hold a request,
+ * so those faults go through a local httpbin-compatible mock server (e.g.
+ * `docker run -p 8080:80 kennethreitz/httpbin`), which also sends the CORS
+ * headers the redirected fetch needs. Both replace the real response: a
+ * latency fault answers with the mock server's /delay JSON after the delay,
+ * so it exercises timeouts and loading states, not a slower real API.
+ *
+ * Profiles are only installed while the requestModification feature flag
+ * is on.
+ *
+ * Fault rules live in their own id range so they never collide with the
+ * user's request rules.
+ */
+
+import { ValidationError } from "../errors/error-types.js";
+import { isValidHeaderName, normalizeResourceTypes } from "./request-rules.js";
+
+export const FAULT_TYPES = [
+  "status",
+  "connectionFailure",
+  "stripHeaders",
+  "latency",
+];
+
+// Feature flag that must be on for fault rules to be installed
+export const FAULT_FEATURE = "requestModification";
+
+export const FAULT_RULE_ID_BASE = 1000000;
+
+// Above user rules, so an active profile wins over ad-hoc mocks
+export const FAULT_RULE_PRIORITY = 1000;
+
+export const DEFAULT_MOCK_SERVER_URL = "http://localhost:8080";
+
+// httpbin caps /delay at 10 seconds
+export const MAX_FAULT_LATENCY_MS = 10000;
+
+function toHeaderNames(value, direction) {
+  const names = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+
+  const invalid = names.find((name) => !isValidHeaderName(name));
+  if (invalid) {
+    throw new ValidationError(`Invalid ${direction} header name`, {
+      header: invalid,
+    });
+  }
+  return [...new Set(names)];
+}
+
+function validateFault(input, index) {
+  const label = `Fault ${index + 1}`;
+  const type = input?.type;
+  if (!FAULT_TYPES.includes(type)) {
+    throw new ValidationError(`${label}: invalid type ${type}`);
+  }
+
+  const fault = {
+    type,
+    urlPattern: String(input.urlPattern || "").trim(),
+    resourceTypes: normalizeResourceTypes(input.resourceTypes),
+  };
+
+  if (type === "status") {
+    const status = parseInt(input.status);
+    if (!(status >= 400 && status <= 599)) {
+      throw new ValidationError(`${label}: status must be between 400 and 599`);
+    }
+    fault.status = status;
+  }
+
+  if (type === "latency") {
+    const delayMs = parseInt(input.delayMs);
+    if (!(delayMs > 0 && delayMs <= MAX_FAULT_LATENCY_MS)) {
+      throw new ValidationError(
+        `${label}: latency must be between 1 and ${MAX_FAULT_LATENCY_MS} ms`
+      );
+    }
+    fault.delayMs = delayMs;
+  }
+
+  if (type === "stripHeaders") {
+    fault.requestHeaders = toHeaderNames(input.requestHeaders, "request");
+    fault.responseHeaders = toHeaderNames(input.responseHeaders, "response");
+    if (!fault.requestHeaders.length && !fault.responseHeaders.length) {
+      throw new ValidationError(`${label}: name at least one header to strip`);
+    }
+  }
+
+  return fault;
+}
+
+/**
+ * Validate and normalize a fault profile from the UI
+ * @param {Object} input - Profile fields
+ * @returns {Object} Normalized profile (without id/timestamps)
+ * @throws {ValidationError} When the profile can't be installed
+ */
+export function validateFaultProfile(input) {
+  if (!input || typeof input !== "object") {
+    throw new ValidationError("Fault profile is required");
+  }
+
+  const name = String(input.name || "").trim();
+  if (!name) {
+    throw new ValidationError("Profile name is required");
+  }
+
+  const faults = (Array.isArray(input.faults) ? input.faults : []).map(
+    validateFault
+  );
+  if (!faults.length) {
+    throw new ValidationError("Add at least one fault");
+  }
+
+  let mockServerUrl = DEFAULT_MOCK_SERVER_URL;
+  if (input.mockServerUrl) {
+    let url;
+    try {
+      url = new URL(input.mockServerUrl);
+    } catch (error) {
+      throw new ValidationError("Mock server URL is not a valid URL");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new ValidationError("Mock server URL must be http(s)");
+    }
+    mockServerUrl = url.origin + url.pathname.replace(/\/+$/, "");
+  }
+
+  return {
+    name,
+    description: String(input.description || "").trim(),
+    mockServerUrl,
+    faults,
+  };
+}
+
+/**
+ * Validate where a profile is switched on
+ * @param {Object} target - { tabId } or { domain }
+ * @returns {Object} Normalized target
+ */
+export function validateFaultTarget(target) {
+  const tabId = Number(target?.tabId);
+  if (Number.isInteger(tabId) && tabId > 0) {
+    return { tabId };
+  }
+
+  const domain = String(target?.domain || "")
+    .trim()
+    .toLowerCase();
+  if (domain && /^[a-z0-9.-]+$/.test(domain)) {
+    return { domain };
+  }
+  throw new ValidationError("Target must be a tab id or a domain");
+}
+
+export function isSameTarget(a, b) {
+  return a.tabId ? a.tabId === b.tabId : !b.tabId && a.domain === b.domain;
+}
+
+/**
+ * Build the declarativeNetRequest rules for an active profile
+ * Tab targets match the tab's requests; domain targets match requests
+ * started by pages on that domain (or its subdomains).
+ * @param {Object} profile - Validated profile
+ * @param {Object} target - { tabId } or { domain }
+ * @param {number} firstId - Id of the first rule
+ * @returns {Array<Object>} chrome.declarativeNetRequest.Rule list
+ */
+export function toFaultRules(profile, target, firstId) {
+  const mockServer = new URL(profile.mockServerUrl);
+
+  return profile.faults.map((fault, index) => {
+    const condition = target.tabId
+      ? { tabIds: [target.tabId] }
+      : { initiatorDomains: [target.domain] };
+    if (fault.urlPattern) {
+      condition.urlFilter = fault.urlPattern;
+    }
+    if (fault.resourceTypes?.length) {
+      condition.resourceTypes = fault.resourceTypes;
+    }
+    // Never fault the mock server itself (redirect loop)
+    condition.excludedRequestDomains = [mockServer.hostname];
+
+    let action;
+    switch (fault.type) {
+      case "status":
+        action = {
+          type: "redirect",
+          redirect: { url: `${profile.mockServerUrl}/status/${fault.status}` },
+        };
+        break;
+      case "latency":
+        action = {
+          type: "redirect",
+          redirect: {
+            url: `${profile.mockServerUrl}/delay/${fault.delayMs / 1000}`,
+          },
+        };
+        break;
+      case "connectionFailure":
+        action = { type: "block" };
+        break;
+      case "stripHeaders": {
+        const remove = (header) => ({ header, operation: "remove" });
+        action = { type: "modifyHeaders" };
+        if (fault.requestHeaders.length) {
+          action.requestHeaders = fault.requestHeaders.map(remove);
+        }
+        if (fault.responseHeaders.length) {
+          action.responseHeaders = fault.responseHeaders.map(remove);
+        }
+        break;
+      }
+      default:
+        throw new ValidationError(`Invalid fault type: ${fault.type}`);
+    }
+
+    return {
+      id: firstId + index,
+      priority: FAULT_RULE_PRIORITY,
+      condition,
+      action,
+    };
+  });
+}
+
+/**
+ * Find the profile active for a captured request
+ * A tab activation takes precedence over a domain activation.
+ * @param {Object} state - { profiles, activations }
+ * @param {number} tabId - Request tab
+ * @param {string} domain - Page domain of the request
+ * @returns {Object|null} Profile
+ */
+export function findActiveProfile(state, tabId, domain) {
+  const activations = state?.activations || [];
+  const byTab =
+    tabId > 0 && activations.find((activation) => activation.tabId === tabId);
+  const host = String(domain || "").toLowerCase();
+  const byDomain =
+    host &&
+    activations.find(
+      (activation) =>
+        activation.domain &&
+        (host === activation.domain || host.endsWith(`.${activation.domain}`))
+    );
+
+  const activation = byTab || byDomain;
+  if (!activation) return null;
+  return (
+    state.profiles.find((profile) => profile.id === activation.profileId) ||
+    null
+  );
+}
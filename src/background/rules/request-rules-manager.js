@@ -0,0 +1,276 @@
+/**
+ * Request Rules Manager
+ *
+ * Stores request rules in chrome.storage.local and mirrors the enabled ones
+ * into declarativeNetRequest. Storage is the source of truth: every change
+ * replaces the extension's dynamic and session rules (outside the fault id
+ * range), so the browser never keeps a rule the user deleted.
+ *
+ * Session rules don't survive a browser restart; on startup, session-scoped
+ * rules the browser no longer has are switched off instead of reinstalled.
+ *
+ * Rules whose feature flag is off stay stored but are not installed; the
+ * rules are synced again whenever the flags change.
+ */
+
+import { declarativeNetRequest, storage } from "../compat/browser-compat.js";
+import { FeatureError, ValidationError } from "../errors/error-types.js";
+import featureFlags from "../../config/feature-flags.js";
+import {
+  RULE_FEATURES,
+  createRuleFromRequest,
+  toDeclarativeRule,
+  validateRequestRule,
+} from "./request-rules.js";
+import { FAULT_RULE_ID_BASE } from "./fault-profiles.js";
+import { escapeStr, mapResultToArray } from "../utils/handler-helpers.js";
+
+export const REQUEST_RULES_STORAGE_KEY = "requestRules";
+
+class RequestRulesManager {
+  constructor() {
+    this.activeSync = Promise.resolve();
+  }
+
+  isSupported() {
+    return Boolean(declarativeNetRequest);
+  }
+
+  async loadState() {
+    const data = await storage.get([REQUEST_RULES_STORAGE_KEY]);
+    return {
+      nextId: 1,
+      rules: [],
+      ...(data?.[REQUEST_RULES_STORAGE_KEY] || {}),
+    };
+  }
+
+  async saveState(state) {
+    await storage.set({ [REQUEST_RULES_STORAGE_KEY]: state });
+  }
+
+  /**
+   * Reconcile session rules and install the stored rules
+   * Called once at startup
+   */
+  async initialize() {
+    if (!this.isSupported()) {
+      console.warn(
+        "[Rules] declarativeNetRequest not available, request rules are disabled"
+      );
+      return;
+    }
+
+    const state = await this.loadState();
+    const installed = new Set(
+      (await declarativeNetRequest.getSessionRules()).map((rule) => rule.id)
+    );
+
+    let expired = 0;
+    state.rules.forEach((rule) => {
+      if (rule.scope === "session" && rule.enabled && !installed.has(rule.id)) {
+        rule.enabled = false;
+        expired++;
+      }
+    });
+    if (expired > 0) {
+      await this.saveState(state);
+      console.log(`[Rules] Switched off ${expired} expired session rule(s)`);
+    }
+
+    storage.onChanged.addListener((changes) => {
+      if (changes.featureFlags) {
+        this.syncRules().catch((error) =>
+          console.warn("[Rules] Failed to apply feature flag change:", error)
+        );
+      }
+    });
+
+    await this.syncRules(state);
+    console.log(`[Rules] Initialized with ${state.rules.length} rule(s)`);
+  }
+
+  /**
+   * Replace the installed declarativeNetRequest rules with the enabled rules
+   * Syncs are serialized so overlapping updates can't interleave
+   * @param {Object} [state] - Rules state (loaded when omitted)
+   * @returns {Promise<Object>} { persistent, session } installed counts
+   */
+  syncRules(state) {
+    const run = this.activeSync
+      .catch(() => {})
+      .then(() => this.applyRules(state));
+    this.activeSync = run;
+    return run;
+  }
+
+  async applyRules(state) {
+    if (!this.isSupported()) {
+      throw new FeatureError("declarativeNetRequest is not available");
+    }
+
+    const { rules } = state || (await this.loadState());
+    const flags = await featureFlags.loadStoredFlags();
+    const enabled = rules.filter(
+      (rule) => rule.enabled && flags[RULE_FEATURES[rule.action]]
+    );
+    const persistent = enabled
+      .filter((rule) => rule.scope !== "session")
+      .map(toDeclarativeRule);
+    const session = enabled
+      .filter((rule) => rule.scope === "session")
+      .map(toDeclarativeRule);
+
+    const [dynamicInstalled, sessionInstalled] = await Promise.all([
+      declarativeNetRequest.getDynamicRules(),
+      declarativeNetRequest.getSessionRules(),
+    ]);
+
+    // Rules in the fault id range belong to the fault injection manager
+    const ownIds = (installed) =>
+      installed
+        .filter((rule) => rule.id < FAULT_RULE_ID_BASE)
+        .map((rule) => rule.id);
+
+    await declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: ownIds(dynamicInstalled),
+      addRules: persistent,
+    });
+    await declarativeNetRequest.updateSessionRules({
+      removeRuleIds: ownIds(sessionInstalled),
+      addRules: session,
+    });
+
+    return { persistent: persistent.length, session: session.length };
+  }
+
+  /**
+   * Save a new state and install it; the previous state is restored when
+   * the browser rejects the rules (e.g. an unsupported regex)
+   */
+  async commit(previous, next) {
+    await this.saveState(next);
+    try {
+      await this.syncRules(next);
+    } catch (error) {
+      await this.saveState(previous);
+      await this.syncRules(previous).catch(() => {});
+      throw new ValidationError(
+        `The browser rejected the rules: ${error.message || error}`
+      );
+    }
+  }
+
+  async getRules() {
+    const { rules } = await this.loadState();
+    return rules;
+  }
+
+  /**
+   * Create or update a rule
+   * @param {Object} input - Rule fields (with id to update)
+   * @returns {Promise<Object>} Saved rule
+   */
+  async saveRule(input) {
+    const rule = validateRequestRule(input);
+
+    if (rule.isRegex && this.isSupported()) {
+      const {
+        isSupported,
+        reason,
+      } = await declarativeNetRequest.isRegexSupported({
+        regex: rule.urlPattern,
+      });
+      if (!isSupported) {
+        throw new ValidationError(
+          `The browser doesn't support this regular expression (${reason})`
+        );
+      }
+    }
+
+    const previous = await this.loadState();
+    const next = { ...previous, rules: [...previous.rules] };
+    const now = Date.now();
+    let saved;
+
+    if (input.id) {
+      const index = next.rules.findIndex((r) => r.id === Number(input.id));
+      if (index === -1) {
+        throw new ValidationError(`Rule not found: ${input.id}`);
+      }
+      saved = {
+        ...rule,
+        id: next.rules[index].id,
+        createdAt: next.rules[index].createdAt,
+        updatedAt: now,
+      };
+      next.rules[index] = saved;
+    } else {
+      saved = { ...rule, id: next.nextId, createdAt: now, updatedAt: now };
+      next.nextId += 1;
+      next.rules.push(saved);
+    }
+
+    await this.commit(previous, next);
+    return saved;
+  }
+
+  async setRuleEnabled(id, enabled) {
+    const previous = await this.loadState();
+    const rule = previous.rules.find((r) => r.id === Number(id));
+    if (!rule) {
+      throw new ValidationError(`Rule not found: ${id}`);
+    }
+
+    const updated = {
+      ...rule,
+      enabled: Boolean(enabled),
+      updatedAt: Date.now(),
+    };
+    await this.commit(previous, {
+      ...previous,
+      rules: previous.rules.map((r) => (r.id === rule.id ? updated : r)),
+    });
+    return updated;
+  }
+
+  async deleteRule(id) {
+    const previous = await this.loadState();
+    const rules = previous.rules.filter((r) => r.id !== Number(id));
+    if (rules.length === previous.rules.length) {
+      throw new ValidationError(`Rule not found: ${id}`);
+    }
+
+    await this.commit(previous, { ...previous, rules });
+  }
+
+  /**
+   * Draft a mock rule from a captured request (not saved)
+   * @param {Object} db - Database handle (exec may be async)
+   * @param {string} requestId - bronze_requests id
+   * @returns {Promise<Object>} Rule fields
+   */
+  async draftRuleFromRequest(db, requestId) {
+    const requestResult = await db.exec(
+      `SELECT id, url, method, type, status, response_body
+       FROM bronze_requests WHERE id = ${escapeStr(requestId)}`
+    );
+    const [request] = mapResultToArray(requestResult[0]);
+    if (!request) {
+      throw new ValidationError(`Request not found: ${requestId}`);
+    }
+
+    const headersResult = await db.exec(
+      `SELECT name, value FROM bronze_request_headers
+       WHERE request_id = ${escapeStr(requestId)}
+         AND header_type = 'response'`
+    );
+    const headers = mapResultToArray(headersResult[0]);
+
+    return createRuleFromRequest(request, headers);
+  }
+}
+
+// Singleton instance
+const requestRulesManager = new RequestRulesManager();
+export default requestRulesManager;
@@ -0,0 +1,379 @@
+/**
+ * Request Rules
+ *
+ * User rules that block, redirect, mock or rewrite headers of matching
+ * requests, installed as declarativeNetRequest rules:
+ * - block:         the request fails with a network error
+ * - redirect:      the request is redirected to another URL
+ * - mock:          the request is redirected to a data: URL holding the mock
+ *                  body (the browser answers 200 with the given content type).
+ *                  fetch() and XHR treat a redirect to a non-HTTP(S) URL as a
+ *                  network error, so mocks only reach resources the page
+ *                  loads itself (scripts, stylesheets, images, frames); mock
+ *                  API calls with a redirect to an http(s) URL instead
+ * - modifyHeaders: request/response headers are set, appended or removed
+ *
+ * Rules match on a URL pattern (declarativeNetRequest urlFilter syntax, or
+ * an RE2 regular expression), HTTP methods and resource types.
+ *
+ * Scopes:
+ * - persistent: dynamic rules, kept across browser restarts
+ * - session:    session rules, dropped when the browser restarts
+ *
+ * Rules are only installed while their feature flag (requestMocking or
+ * requestModification) is on.
+ */
+
+import { ValidationError } from "../errors/error-types.js";
+
+export const RULE_ACTIONS = ["block", "redirect", "mock", "modifyHeaders"];
+export const RULE_SCOPES = ["persistent", "session"];
+export const HEADER_OPERATIONS = ["set", "append", "remove"];
+
+export const RULE_METHODS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+  "connect",
+  "other",
+];
+
+export const RULE_RESOURCE_TYPES = [
+  "main_frame",
+  "sub_frame",
+  "stylesheet",
+  "script",
+  "image",
+  "font",
+  "object",
+  "xmlhttprequest",
+  "ping",
+  "csp_report",
+  "media",
+  "websocket",
+  "other",
+];
+
+// ACL permission required to manage each kind of rule
+export const RULE_PERMISSIONS = {
+  block: "mock:responses",
+  redirect: "mock:responses",
+  mock: "mock:responses",
+  modifyHeaders: "modify:requests",
+};
+
+// Feature flag that must be on for each kind of rule to be installed
+export const RULE_FEATURES = {
+  block: "requestMocking",
+  redirect: "requestMocking",
+  mock: "requestMocking",
+  modifyHeaders: "requestModification",
+};
+
+// data: URLs are stored in the rule itself; keep mocks small
+export const MAX_MOCK_BODY_BYTES = 256 * 1024;
+
+const DEFAULT_MOCK_CONTENT_TYPE = "application/json";
+const HEADER_NAME_REGEX = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Captured types that declarativeNetRequest knows under another name
+const CAPTURED_TYPE_ALIASES = {
+  fetch: "xmlhttprequest",
+  imageset: "image",
+};
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+function utf8ByteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  // Chunked so large bodies don't overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Build the data: URL served for a mock rule
+ * @param {string} body - Mock response body
+ * @param {string} [contentType] - Response content type
+ * @returns {string} data: URL
+ */
+export function buildMockDataUrl(
+  body,
+  contentType = DEFAULT_MOCK_CONTENT_TYPE
+) {
+  const mediaType = String(contentType || DEFAULT_MOCK_CONTENT_TYPE).replace(
+    /\s+/g,
+    ""
+  );
+  return `data:${mediaType};base64,${toBase64(body || "")}`;
+}
+
+/**
+ * Map captured resource types to declarativeNetRequest ones
+ * @param {Array<string>|string} value - Types (array or comma separated)
+ * @returns {Array<string>} Resource types
+ * @throws {ValidationError} On a type declarativeNetRequest doesn't know
+ */
+export function normalizeResourceTypes(value) {
+  const resourceTypes = toList(value).map(
+    (type) => CAPTURED_TYPE_ALIASES[type] || type
+  );
+  const invalidType = resourceTypes.find(
+    (type) => !RULE_RESOURCE_TYPES.includes(type)
+  );
+  if (invalidType) {
+    throw new ValidationError(`Unsupported resource type: ${invalidType}`);
+  }
+  return resourceTypes;
+}
+
+export function isValidHeaderName(name) {
+  return HEADER_NAME_REGEX.test(name);
+}
+
+function validateHeaderOperations(list, direction) {
+  return toList(list).map((entry) => {
+    const header = String(entry?.header || "").trim();
+    const operation = entry?.operation || "set";
+
+    if (!isValidHeaderName(header)) {
+      throw new ValidationError(`Invalid ${direction} header name`, {
+        header,
+      });
+    }
+    if (!HEADER_OPERATIONS.includes(operation)) {
+      throw new ValidationError(`Invalid header operation: ${operation}`);
+    }
+    // Chrome only allows appending to a few request headers
+    if (operation === "append" && direction === "request") {
+      throw new ValidationError(
+        "Request headers can only be set or removed, not appended"
+      );
+    }
+    if (operation === "remove") {
+      return { header, operation };
+    }
+    if (typeof entry.value !== "string" || entry.value === "") {
+      throw new ValidationError(
+        `A value is required to ${operation} ${header}`
+      );
+    }
+    return { header, operation, value: entry.value };
+  });
+}
+
+/**
+ * Validate and normalize a rule from the UI
+ * @param {Object} input - Rule fields
+ * @returns {Object} Normalized rule (without id/timestamps)
+ * @throws {ValidationError} When the rule can't be installed
+ */
+export function validateRequestRule(input) {
+  if (!input || typeof input !== "object") {
+    throw new ValidationError("Rule is required");
+  }
+
+  const action = input.action;
+  if (!RULE_ACTIONS.includes(action)) {
+    throw new ValidationError(`Invalid rule action: ${action}`);
+  }
+
+  const urlPattern = String(input.urlPattern || "").trim();
+  if (!urlPattern) {
+    throw new ValidationError("URL pattern is required");
+  }
+  const isRegex = input.isRegex === true;
+  if (isRegex) {
+    try {
+      new RegExp(urlPattern);
+    } catch (error) {
+      throw new ValidationError(
+        "URL pattern is not a valid regular expression",
+        {
+          cause: error.message,
+        }
+      );
+    }
+  }
+
+  const methods = toList(input.methods).map((method) => method.toLowerCase());
+  const invalidMethod = methods.find(
+    (method) => !RULE_METHODS.includes(method)
+  );
+  if (invalidMethod) {
+    throw new ValidationError(`Unsupported method: ${invalidMethod}`);
+  }
+
+  const resourceTypes = normalizeResourceTypes(input.resourceTypes);
+
+  const scope = input.scope || "persistent";
+  if (!RULE_SCOPES.includes(scope)) {
+    throw new ValidationError(`Invalid rule scope: ${scope}`);
+  }
+
+  const priority = parseInt(input.priority) || 1;
+  if (priority < 1) {
+    throw new ValidationError("Priority must be 1 or higher");
+  }
+
+  const rule = {
+    name: String(input.name || "").trim() || `${action} ${urlPattern}`,
+    enabled: input.enabled !== false,
+    scope,
+    priority,
+    action,
+    urlPattern,
+    isRegex,
+    methods: [...new Set(methods)],
+    resourceTypes: [...new Set(resourceTypes)],
+    sourceRequestId: input.sourceRequestId || null,
+  };
+
+  if (action === "redirect") {
+    let url;
+    try {
+      url = new URL(input.redirectUrl);
+    } catch (error) {
+      throw new ValidationError("Redirect URL is not a valid URL");
+    }
+    if (!["http:", "https:", "data:"].includes(url.protocol)) {
+      throw new ValidationError("Redirect URL must be http(s) or data:");
+    }
+    rule.redirectUrl = url.href;
+  }
+
+  if (action === "mock") {
+    const body = typeof input.mockBody === "string" ? input.mockBody : "";
+    if (utf8ByteLength(body) > MAX_MOCK_BODY_BYTES) {
+      throw new ValidationError(
+        `Mock body is larger than ${MAX_MOCK_BODY_BYTES / 1024} KB`
+      );
+    }
+    rule.mockBody = body;
+    rule.mockContentType =
+      String(input.mockContentType || "").trim() || DEFAULT_MOCK_CONTENT_TYPE;
+  }
+
+  if (action === "modifyHeaders") {
+    rule.requestHeaders = validateHeaderOperations(
+      input.requestHeaders,
+      "request"
+    );
+    rule.responseHeaders = validateHeaderOperations(
+      input.responseHeaders,
+      "response"
+    );
+    if (!rule.requestHeaders.length && !rule.responseHeaders.length) {
+      throw new ValidationError("Add at least one header change");
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Convert a stored rule to a declarativeNetRequest rule
+ * @param {Object} rule - Validated rule with a numeric id
+ * @returns {Object} chrome.declarativeNetRequest.Rule
+ */
+export function toDeclarativeRule(rule) {
+  const condition = rule.isRegex
+    ? { regexFilter: rule.urlPattern }
+    : { urlFilter: rule.urlPattern };
+
+  if (rule.methods?.length) {
+    condition.requestMethods = rule.methods;
+  }
+  if (rule.resourceTypes?.length) {
+    condition.resourceTypes = rule.resourceTypes;
+  }
+
+  let action;
+  switch (rule.action) {
+    case "block":
+      action = { type: "block" };
+      break;
+    case "redirect":
+      action = { type: "redirect", redirect: { url: rule.redirectUrl } };
+      break;
+    case "mock":
+      action = {
+        type: "redirect",
+        redirect: {
+          url: buildMockDataUrl(rule.mockBody, rule.mockContentType),
+        },
+      };
+      break;
+    case "modifyHeaders":
+      action = { type: "modifyHeaders" };
+      if (rule.requestHeaders?.length) {
+        action.requestHeaders = rule.requestHeaders;
+      }
+      if (rule.responseHeaders?.length) {
+        action.responseHeaders = rule.responseHeaders;
+      }
+      break;
+    default:
+      throw new ValidationError(`Invalid rule action: ${rule.action}`);
+  }
+
+  return { id: rule.id, priority: rule.priority || 1, condition, action };
+}
+
+function findHeaderValue(headers, name) {
+  const match = (headers || []).find(
+    (header) => String(header.name).toLowerCase() === name
+  );
+  return match ? match.value : null;
+}
+
+/**
+ * Draft a mock rule that replays a captured response
+ * The URL pattern matches the same path with any query string.
+ * @param {Object} request - bronze_requests row
+ * @param {Array<{name, value}>} [responseHeaders] - Stored response headers
+ * @returns {Object} Rule fields for validateRequestRule
+ */
+export function createRuleFromRequest(request, responseHeaders = []) {
+  const url = new URL(request.url);
+  const method = String(request.method || "GET").toLowerCase();
+  const type = CAPTURED_TYPE_ALIASES[request.type] || request.type;
+
+  return {
+    name: `Mock ${method.toUpperCase()} ${url.pathname}`,
+    enabled: true,
+    scope: "persistent",
+    priority: 1,
+    action: "mock",
+    // "|" anchors the start; without a query the URL must end there too
+    urlPattern: `|${url.origin}${url.pathname}${url.search ? "?" : "|"}`,
+    isRegex: false,
+    methods: RULE_METHODS.includes(method) ? [method] : [],
+    resourceTypes: RULE_RESOURCE_TYPES.includes(type) ? [type] : [],
+    mockBody: request.response_body || "",
+    mockContentType:
+      findHeaderValue(responseHeaders, "content-type") ||
+      DEFAULT_MOCK_CONTENT_TYPE,
+    sourceRequestId: request.id,
+  };
+}
@@ -0,0 +1,341 @@
+// Job Scheduler - Durable periodic background jobs
+// setInterval timers die silently whenever the MV3 service worker is
+// suspended. Jobs registered here keep their next run, last result and run
+// history in the database (config_jobs / config_job_runs), and a single
+// chrome.alarms alarm wakes the service worker when the earliest job is due.
+
+import { alarms } from "../compat/browser-compat.js";
+
+export const JOB_ALARM_NAME = "jobScheduler";
+
+// Chrome clamps alarms to a 30 second minimum delay, so jobs can't run
+// more often than this
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+// A run holding its lease longer than this fails and releases the lease
+// (also covers a service worker killed mid-run)
+const DEFAULT_JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Next local midnight, for jobs that run once a day
+ * @param {number} now - Current time (ms)
+ * @returns {number}
+ */
+export function getNextMidnight(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setDate(midnight.getDate() + 1);
+  midnight.setHours(0, 0, 0, 0);
+  return midnight.getTime();
+}
+
+/**
+ * When a job runs next after finishing at `now`
+ * @param {Object} job - Job definition
+ * @param {number} now - Current time (ms)
+ * @returns {number}
+ */
+export function getNextRunAt(job, now = Date.now()) {
+  return job.getNextRunAt ? job.getNextRunAt(now) : now + job.intervalMs;
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map(); // name -> definition
+    this.store = null; // Database "job" namespace, set by start()
+    this.running = new Set(); // Jobs whose body is running in this worker
+    this.enabledChanges = new Set(); // Jobs turned on/off, not yet stored
+    this.activeCheck = null;
+    this.pendingSync = null;
+  }
+
+  /**
+   * Register or replace a job
+   * Registration happens on every service worker start, before start()
+   * @param {string} name - Unique job name
+   * @param {Object} definition
+   * @param {Function} definition.run - Job body; throw (or reject) to fail
+   *   the run
+   * @param {number} definition.intervalMs - Time between runs
+   * @param {string} [definition.label] - Name shown in the Jobs view
+   * @param {boolean} [definition.enabled] - Whether a new job starts on;
+   *   afterwards the stored value wins, change it with setEnabled().
+   *   Disabled jobs keep their history but don't run on schedule
+   * @param {number} [definition.timeoutMs] - Longest a run may take
+   * @param {Function} [definition.getNextRunAt] - (now) => next run time,
+   *   for jobs tied to the clock rather than an interval
+   */
+  register(name, definition) {
+    if (typeof definition?.run !== "function") {
+      throw new Error(`Job ${name} has no run function`);
+    }
+
+    this.jobs.set(name, {
+      label: name,
+      enabled: true,
+      timeoutMs: DEFAULT_JOB_TIMEOUT_MS,
+      ...definition,
+      name,
+      intervalMs: Math.max(definition.intervalMs || 0, MIN_ALARM_DELAY_MS),
+    });
+    this.scheduleSync();
+  }
+
+  /**
+   * Turn a registered job on or off
+   * Stored with the job, so the choice survives service worker restarts
+   */
+  setEnabled(name, enabled) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return;
+    }
+    job.enabled = enabled;
+    this.enabledChanges.add(name);
+    this.scheduleSync();
+  }
+
+  /**
+   * Write registration changes made after start() and re-arm the alarm
+   */
+  scheduleSync() {
+    if (!this.store || this.pendingSync) {
+      return;
+    }
+
+    this.pendingSync = Promise.resolve()
+      .then(async () => {
+        this.pendingSync = null;
+        await this.syncJobs();
+        await this.armAlarm();
+      })
+      .catch((error) => {
+        console.error("[Jobs] Failed to update jobs:", error);
+      });
+  }
+
+  /**
+   * Run overdue jobs and arm the alarm for the next one
+   * Called once the database is ready
+   * @param {Object} store - Database "job" namespace
+   */
+  async start(store) {
+    this.store = store;
+
+    if (!alarms) {
+      console.warn(
+        "[Jobs] chrome.alarms not available, jobs only run at startup"
+      );
+    }
+
+    console.log(`[Jobs] Starting (${this.jobs.size} jobs)`);
+    await this.checkDueJobs();
+  }
+
+  /**
+   * Handle a fired alarm
+   * @returns {Promise<boolean>} true if the alarm belonged to the scheduler
+   */
+  async handleAlarm(alarm) {
+    if (!alarm || alarm.name !== JOB_ALARM_NAME) {
+      return false;
+    }
+
+    await this.checkDueJobs();
+    return true;
+  }
+
+  /**
+   * Run due jobs, then re-arm the alarm
+   * Concurrent callers (startup + alarm) share the same pass
+   */
+  checkDueJobs() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+
+    if (!this.activeCheck) {
+      this.activeCheck = this.processDueJobs().finally(() => {
+        this.activeCheck = null;
+      });
+    }
+    return this.activeCheck;
+  }
+
+  async processDueJobs() {
+    try {
+      // Rows go missing after a database reset
+      await this.syncJobs();
+
+      const now = Date.now();
+      const dueJobs = (await this.store.getJobs()).filter(
+        (row) => row.enabled && row.nextRunAt <= now && this.jobs.has(row.name)
+      );
+
+      for (const row of dueJobs) {
+        await this.runJob(row.name);
+      }
+    } catch (error) {
+      console.error("[Jobs] Failed to process due jobs:", error);
+    } finally {
+      await this.armAlarm();
+    }
+  }
+
+  async syncJobs() {
+    const now = Date.now();
+    await this.store.registerJobs(
+      [...this.jobs.values()].map((job) => ({
+        name: job.name,
+        label: job.label,
+        intervalMs: job.intervalMs,
+        enabled: job.enabled,
+        nextRunAt: getNextRunAt(job, now),
+      }))
+    );
+
+    for (const name of [...this.enabledChanges]) {
+      const job = this.jobs.get(name);
+      await this.store.setJobEnabled(name, job.enabled, getNextRunAt(job, now));
+      this.enabledChanges.delete(name);
+    }
+  }
+
+  /**
+   * Run a job now, unless a run is already in progress
+   * @param {string} name
+   * @param {Object} [options] - { trigger: "schedule" | "manual" }; manual
+   *   runs leave the schedule alone
+   * @returns {Promise<Object>} The recorded run, or { status: "skipped" }
+   */
+  async runJob(name, { trigger = "schedule" } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    if (!this.store) {
+      throw new Error("Job scheduler not started");
+    }
+
+    if (this.running.has(name)) {
+      console.log(`[Jobs] ${name} is still running, skipping`);
+      return { status: "skipped" };
+    }
+
+    // The lease covers runs in an earlier service worker; the set covers
+    // this one until the body settles, even after a timeout
+    this.running.add(name);
+    const startedAt = Date.now();
+    let claimed = false;
+    try {
+      claimed = await this.store.claimJob(name, startedAt, job.timeoutMs);
+    } finally {
+      if (!claimed) {
+        this.running.delete(name);
+      }
+    }
+    if (!claimed) {
+      console.log(`[Jobs] ${name} is running elsewhere, skipping`);
+      return { status: "skipped" };
+    }
+
+    const body = Promise.resolve().then(() => job.run());
+    body
+      .catch(() => {})
+      .then(() => {
+        this.running.delete(name);
+      });
+
+    let status = "success";
+    let error = null;
+    try {
+      await withTimeout(
+        body,
+        job.timeoutMs,
+        `Timed out after ${Math.round(job.timeoutMs / 1000)}s`
+      );
+    } catch (runError) {
+      status = "failed";
+      error = runError?.message || String(runError);
+      console.error(`[Jobs] ${name} failed:`, runError);
+    }
+
+    const finishedAt = Date.now();
+    const run = {
+      trigger,
+      status,
+      error,
+      startedAt,
+      finishedAt,
+      nextRunAt: trigger === "manual" ? null : getNextRunAt(job, finishedAt),
+    };
+    await this.store.completeJobRun(name, run);
+    return run;
+  }
+
+  /**
+   * Registered jobs with their stored state, for the Jobs view
+   */
+  async getJobs() {
+    if (!this.store) {
+      return [];
+    }
+
+    const rows = await this.store.getJobs();
+    return rows
+      .filter((row) => this.jobs.has(row.name))
+      .map((row) => ({
+        ...row,
+        label: this.jobs.get(row.name).label,
+        running: this.running.has(row.name) || Boolean(row.runningSince),
+      }));
+  }
+
+  /**
+   * Recent runs, newest first
+   * @param {string} [name] - Only runs of this job
+   * @param {number} [limit]
+   */
+  async getJobRuns(name, limit) {
+    if (!this.store) {
+      return [];
+    }
+    return this.store.getJobRuns(name, limit);
+  }
+
+  /**
+   * Point the alarm at the earliest enabled job (or clear it)
+   */
+  async armAlarm() {
+    if (!alarms || !this.store) return;
+
+    try {
+      const nextRunAt = (await this.store.getJobs())
+        .filter(
+          (row) => row.enabled && row.nextRunAt && this.jobs.has(row.name)
+        )
+        .reduce((earliest, row) => Math.min(earliest, row.nextRunAt), Infinity);
+
+      if (nextRunAt === Infinity) {
+        await alarms.clear(JOB_ALARM_NAME);
+        return;
+      }
+
+      const when = Math.max(nextRunAt, Date.now() + MIN_ALARM_DELAY_MS);
+      await alarms.create(JOB_ALARM_NAME, { when });
+    } catch (error) {
+      console.error("[Jobs] Failed to arm alarm:", error);
+    }
+  }
+}
+
+// Singleton instance
+const jobScheduler = new JobScheduler();
+export default jobScheduler;
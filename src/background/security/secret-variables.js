@@ -0,0 +1,467 @@
+/**
+ * Secret Variables
+ *
+ * Values of variables marked "secret" are encrypted with AES-GCM (WebCrypto,
+ * random 96-bit IV per value) and stored outside of settings: the settings
+ * list entry only carries { secret: true } with an empty value, so secrets
+ * never reach UI pages or settings exports. They are decrypted here, in the
+ * background, when the runner substitutes variables.
+ *
+ * Key modes:
+ * - device:     random AES key saved in chrome.storage.local
+ *               ("secretVariablesKey")
+ * - passphrase: AES key derived from a user passphrase (PBKDF2), kept in
+ *               memory only; it is dropped after inactivity and whenever the
+ *               service worker stops, which locks the secrets. The passphrase
+ *               is checked by decrypting a stored sentinel: a wrong key fails
+ *               the GCM tag check.
+ */
+
+import { SecurityError, ValidationError } from "../errors/error-types.js";
+import { storage } from "../compat/browser-compat.js";
+
+export const SECRET_STORAGE_KEY = "secretVariables";
+export const SECRET_KEY_STORAGE_KEY = "secretVariablesKey";
+export const GLOBAL_SCOPE = "global";
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+const CHECK_VALUE = "universal-request-analyzer-secrets";
+const PBKDF2_ITERATIONS = 100000;
+const IV_LENGTH = 12; // 96-bit IVs, as recommended for GCM
+const MIN_PASSPHRASE_LENGTH = 8;
+const VARIABLE_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the secrets
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+export async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+function importDeviceKey(rawKey) {
+  return crypto.subtle.importKey("raw", fromBase64(rawKey), "AES-GCM", false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+class SecretVariableStore {
+  constructor() {
+    this.key = null; // AES-GCM CryptoKey, null while locked
+    this.eventBus = { publish: () => {} };
+    this.ready = null;
+    this.mode = "device";
+    this.autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES;
+    this.lockTimer = null;
+  }
+
+  /**
+   * Set up encryption (also done lazily on first use)
+   * @param {Object} [eventBus] - Background event bus
+   */
+  initialize(eventBus) {
+    if (eventBus) {
+      this.eventBus = eventBus;
+    }
+    return this.ensureReady();
+  }
+
+  ensureReady() {
+    if (!this.ready) {
+      this.ready = this.setup().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async setup() {
+    const state = await this.loadState();
+    this.mode = state.mode;
+    this.autoLockMinutes = state.autoLockMinutes;
+
+    // Passphrase mode starts locked until the passphrase is entered
+    this.key = state.mode === "passphrase" ? null : await this.loadDeviceKey();
+  }
+
+  async loadDeviceKey() {
+    const data = await storage.get([SECRET_KEY_STORAGE_KEY]);
+    if (data?.[SECRET_KEY_STORAGE_KEY]) {
+      return importDeviceKey(data[SECRET_KEY_STORAGE_KEY]);
+    }
+    return this.generateDeviceKey();
+  }
+
+  async generateDeviceKey() {
+    const rawKey = toBase64(crypto.getRandomValues(new Uint8Array(32)));
+    await storage.set({ [SECRET_KEY_STORAGE_KEY]: rawKey });
+    return importDeviceKey(rawKey);
+  }
+
+  async loadState() {
+    const data = await storage.get([SECRET_STORAGE_KEY]);
+    return {
+      mode: "device",
+      autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+      values: {},
+      ...(data?.[SECRET_STORAGE_KEY] || {}),
+    };
+  }
+
+  async saveState(state) {
+    await storage.set({ [SECRET_STORAGE_KEY]: state });
+  }
+
+  isLocked() {
+    return !this.key;
+  }
+
+  async requireUnlocked() {
+    await this.ensureReady();
+    if (this.isLocked()) {
+      throw new SecurityError("Secret variables are locked");
+    }
+    this.touch();
+  }
+
+  /**
+   * Restart the inactivity timer (passphrase mode only)
+   */
+  touch() {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+
+    if (this.mode === "passphrase" && this.autoLockMinutes > 0) {
+      this.lockTimer = setTimeout(
+        () => this.lock(),
+        this.autoLockMinutes * 60 * 1000
+      );
+    }
+  }
+
+  /**
+   * Encrypt a value with a fresh IV
+   * @param {string} value - Plaintext
+   * @param {CryptoKey} [key] - Defaults to the current key
+   * @returns {Promise<Object>} { iv, data } (base64)
+   */
+  async encryptValue(value, key = this.key) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(value)
+    );
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Decrypt a value; fails if the key is wrong or the value was altered
+   * @param {Object} encrypted - { iv, data } from encryptValue()
+   * @param {CryptoKey} [key] - Defaults to the current key
+   * @returns {Promise<string>} Plaintext
+   */
+  async decryptValue(encrypted, key = this.key) {
+    try {
+      const data = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(encrypted.iv) },
+        key,
+        fromBase64(encrypted.data)
+      );
+      return new TextDecoder().decode(data);
+    } catch (error) {
+      throw new SecurityError("Unable to decrypt secret variable", error);
+    }
+  }
+
+  async decryptAll(state) {
+    const plain = {};
+    for (const [scope, values] of Object.entries(state.values)) {
+      plain[scope] = {};
+      for (const [name, encrypted] of Object.entries(values)) {
+        plain[scope][name] = await this.decryptValue(encrypted);
+      }
+    }
+    return plain;
+  }
+
+  async encryptAll(plain, key) {
+    const values = {};
+    for (const [scope, scopeValues] of Object.entries(plain)) {
+      values[scope] = {};
+      for (const [name, value] of Object.entries(scopeValues)) {
+        values[scope][name] = await this.encryptValue(value, key);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Describe the secret store without exposing any value
+   * @returns {Promise<Object>} { mode, locked, autoLockMinutes, secrets }
+   *   where secrets maps a scope ("global" or environment ID) to names
+   */
+  async getStatus() {
+    await this.ensureReady();
+    const state = await this.loadState();
+
+    const secrets = {};
+    Object.entries(state.values).forEach(([scope, values]) => {
+      secrets[scope] = Object.keys(values);
+    });
+
+    return {
+      mode: state.mode,
+      locked: this.isLocked(),
+      autoLockMinutes: state.autoLockMinutes,
+      secrets,
+    };
+  }
+
+  /**
+   * Encrypt and store a secret value
+   * @param {string} name - Variable name
+   * @param {string} value - Plaintext value
+   * @param {string|null} [environmentId] - Environment override, or null for
+   *   the global value
+   */
+  async setSecret(name, value, environmentId = null) {
+    if (!name || !VARIABLE_NAME_REGEX.test(name)) {
+      throw new ValidationError("Invalid variable name");
+    }
+    if (typeof value !== "string" || !value) {
+      throw new ValidationError("Secret value is required");
+    }
+
+    await this.requireUnlocked();
+
+    const state = await this.loadState();
+    const scope = environmentId || GLOBAL_SCOPE;
+    state.values[scope] = {
+      ...(state.values[scope] || {}),
+      [name]: await this.encryptValue(value),
+    };
+    await this.saveState(state);
+
+    this.eventBus.publish("secrets:updated", { name, scope });
+    return true;
+  }
+
+  /**
+   * Delete a secret value
+   * @param {string} name - Variable name
+   * @param {string|null} [environmentId] - Scope to delete from; undefined
+   *   deletes the global value and every environment override
+   */
+  async deleteSecret(name, environmentId) {
+    const state = await this.loadState();
+    const scopes =
+      environmentId === undefined
+        ? Object.keys(state.values)
+        : [environmentId || GLOBAL_SCOPE];
+
+    scopes.forEach((scope) => {
+      if (state.values[scope]) {
+        delete state.values[scope][name];
+        if (Object.keys(state.values[scope]).length === 0) {
+          delete state.values[scope];
+        }
+      }
+    });
+    await this.saveState(state);
+
+    this.eventBus.publish("secrets:updated", { name, scope: environmentId });
+    return true;
+  }
+
+  /**
+   * Delete every secret override of an environment
+   * @param {string} environmentId - Environment ID
+   */
+  async deleteEnvironmentSecrets(environmentId) {
+    const state = await this.loadState();
+    delete state.values[environmentId];
+    await this.saveState(state);
+    return true;
+  }
+
+  /**
+   * Decrypt the secrets that apply to an environment (runner only)
+   * Environment overrides win over global values. Returns an empty map,
+   * leaving the placeholders untouched, while the store is locked.
+   * @param {string|null} [environmentId] - Resolved environment ID
+   * @returns {Promise<Object>} Variable name -> plaintext value
+   */
+  async resolve(environmentId) {
+    await this.ensureReady();
+    const state = await this.loadState();
+    const scopes = [GLOBAL_SCOPE, environmentId].filter(
+      (scope) => scope && state.values[scope]
+    );
+
+    if (scopes.length === 0) {
+      return {};
+    }
+
+    if (this.isLocked()) {
+      console.warn(
+        "[Secrets] Secret variables are locked, unlock them in Options > Variables"
+      );
+      return {};
+    }
+    this.touch();
+
+    const resolved = {};
+    for (const scope of scopes) {
+      for (const [name, encrypted] of Object.entries(state.values[scope])) {
+        try {
+          resolved[name] = await this.decryptValue(encrypted);
+        } catch (error) {
+          console.error(`[Secrets] Failed to decrypt ${name}:`, error);
+        }
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Unlock passphrase-protected secrets
+   * @param {string} passphrase - User passphrase
+   */
+  async unlock(passphrase) {
+    await this.ensureReady();
+    const state = await this.loadState();
+    if (state.mode !== "passphrase") {
+      return true;
+    }
+
+    const key = await deriveKey(passphrase || "", fromBase64(state.salt));
+    try {
+      await this.decryptValue(state.check, key);
+    } catch (error) {
+      throw new SecurityError("Incorrect passphrase");
+    }
+
+    this.key = key;
+    this.touch();
+    this.eventBus.publish("secrets:unlocked", { timestamp: Date.now() });
+    return true;
+  }
+
+  /**
+   * Forget the passphrase-derived key
+   * @returns {boolean} Whether the store was locked (device keys never lock)
+   */
+  lock() {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+
+    if (this.mode !== "passphrase") {
+      return false;
+    }
+
+    this.key = null;
+    this.eventBus.publish("secrets:locked", { timestamp: Date.now() });
+    return true;
+  }
+
+  /**
+   * Protect secrets with a passphrase (or change it), re-encrypting them
+   * @param {string} passphrase - New passphrase
+   * @param {number} [autoLockMinutes] - Lock after this much inactivity
+   *   (0 keeps them unlocked until the service worker stops)
+   */
+  async setPassphrase(passphrase, autoLockMinutes) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new ValidationError(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+
+    await this.requireUnlocked();
+
+    const state = await this.loadState();
+    const plain = await this.decryptAll(state);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+
+    const nextState = {
+      ...state,
+      mode: "passphrase",
+      salt: toBase64(salt),
+      check: await this.encryptValue(CHECK_VALUE, key),
+      autoLockMinutes:
+        autoLockMinutes === undefined
+          ? state.autoLockMinutes
+          : Math.max(0, Number(autoLockMinutes) || 0),
+      values: await this.encryptAll(plain, key),
+    };
+    await this.saveState(nextState);
+
+    // The derived key is kept in memory only
+    await storage.remove(SECRET_KEY_STORAGE_KEY);
+    this.key = key;
+    this.mode = nextState.mode;
+    this.autoLockMinutes = nextState.autoLockMinutes;
+    this.touch();
+    return true;
+  }
+
+  /**
+   * Go back to a device key, re-encrypting the secrets
+   */
+  async clearPassphrase() {
+    await this.requireUnlocked();
+
+    const state = await this.loadState();
+    if (state.mode !== "passphrase") {
+      return true;
+    }
+
+    const plain = await this.decryptAll(state);
+    const key = await this.generateDeviceKey();
+
+    const nextState = {
+      ...state,
+      mode: "device",
+      values: await this.encryptAll(plain, key),
+    };
+    delete nextState.salt;
+    delete nextState.check;
+    await this.saveState(nextState);
+
+    this.key = key;
+    this.mode = "device";
+    this.touch();
+    return true;
+  }
+}
+
+const secretVariables = new SecretVariableStore();
+
+export default secretVariables;
@@ -320,6 +320,17 @@ class FeatureFlagsManager {
     });
   }
 
+  /**
+   * Read the flags last saved by the settings UI
+   * For contexts that never initialize the manager (the background);
+   * nothing is validated or written back.
+   * @returns {Promise<Object>} - Saved flags over the defaults
+   */
+  async loadStoredFlags() {
+    const data = await this.loadFromStorage();
+    return { ...DEFAULT_FEATURE_FLAGS, ...(data.flags || {}) };
+  }
+
   /**
    * Save feature flags to storage
    * @returns {Promise<void>}
@@ -1,15 +1,43 @@
 // Content script to capture performance metrics from the page
 
+import {
+  resourceTimingToPhases,
+  TIMING_SOURCES,
+} from "../lib/utils/request-timings.js";
+import {
+  InteractionTracker,
+  rateInp,
+} from "../lib/utils/interaction-timing.js";
+import { acceptPageChannels } from "./page-bridge.js";
+
 // Cross-browser API support
 const browserAPI = globalThis.browser || globalThis.chrome;
 
 // Check if current domain should be monitored
 let shouldMonitor = false;
 let configLoaded = false;
+let bodyCaptureConfig = null;
+let realtimeCaptureConfig = null;
+let graphqlCaptureConfig = null;
+let pageBodyCapture = null; // Body capture config when this page is opted in
+let pageRealtimeCapture = null; // Realtime capture config when enabled
+let pageGraphQLCapture = false; // GraphQL errors[] summaries when enabled
+
+// The main-world interceptors connect at document_start, so the channels
+// have to be accepted before anything else
+const pageChannels = acceptPageChannels({
+  "page-interceptor": relayPageInterceptorMessage,
+  "realtime-interceptor": relayRealtimeEvent,
+});
 
 // Load configuration from storage (using local storage where settings-manager saves)
 browserAPI.storage.local.get(["settings"], function (data) {
-  const config = data.settings?.settings || {};
+  loadMonitoringConfig(data.settings?.settings || {});
+  // Interceptors hold back until configured; unmonitored pages get null
+  configurePageScripts();
+});
+
+function loadMonitoringConfig(config) {
   configLoaded = true;
 
   const currentUrl = window.location.href;
@@ -24,6 +52,9 @@ browserAPI.storage.local.get(["settings"], function (data) {
   }
 
   const captureFilters = captureConfig.captureFilters || {};
+  bodyCaptureConfig = captureConfig.bodyCapture || null;
+  realtimeCaptureConfig = captureConfig.realtimeCapture || {};
+  graphqlCaptureConfig = captureConfig.graphqlCapture || {};
 
   // Get exclude patterns with defaults
   const excludeDomains = captureFilters.excludeDomains || [
@@ -59,7 +90,7 @@ browserAPI.storage.local.get(["settings"], function (data) {
       return;
     }
   }
-});
+}
 
 // Listen for settings updates
 browserAPI.storage.onChanged.addListener((changes, areaName) => {
@@ -112,13 +143,132 @@ function initializeMonitoring() {
   initializePerformanceObserver();
   initializePageLoadMonitoring();
   initializeSecurityDetection();
+  initializeBodyCapture();
+  initializeRealtimeCapture();
+  pageGraphQLCapture = graphqlCaptureConfig?.enabled !== false;
   initializeEventTracking();
 }
 
+// Body capture only applies to domains explicitly opted in
+function initializeBodyCapture() {
+  const bodyConfig = bodyCaptureConfig;
+  if (!bodyConfig?.enabled || bodyConfig.captureResponseBody === false) {
+    return;
+  }
+
+  const currentUrl = window.location.href;
+  const currentDomain = window.location.hostname;
+  const domains = bodyConfig.domains || [];
+  const optedIn = domains.some((pattern) =>
+    matchesPattern(currentUrl, currentDomain, pattern)
+  );
+  if (!optedIn) return;
+
+  pageBodyCapture = {
+    maxBodySize: bodyConfig.maxBodySize ?? 0,
+    contentTypes: bodyConfig.contentTypes || [],
+  };
+}
+
+// Send each main-world interceptor its config once settings are known
+function configurePageScripts() {
+  pageChannels.configure(
+    "page-interceptor",
+    pageBodyCapture || pageGraphQLCapture
+      ? { bodyCapture: pageBodyCapture, graphql: pageGraphQLCapture }
+      : null
+  );
+  pageChannels.configure("realtime-interceptor", pageRealtimeCapture);
+}
+
+// Relay bodies and GraphQL results reported by page-interceptor.js to the
+// background
+function relayPageInterceptorMessage(type, payload) {
+  let message = null;
+  if (type === "responseBody" && pageBodyCapture) {
+    message = {
+      action: "captureResponseBody",
+      data: { ...payload, pageUrl: window.location.href },
+    };
+  } else if (type === "graphqlResult" && pageGraphQLCapture) {
+    message = { action: "captureGraphQLResult", data: payload };
+  }
+  if (!message) return;
+
+  try {
+    browserAPI.runtime.sendMessage(message);
+  } catch (e) {
+    // Extension context may be invalidated after reload
+  }
+}
+
+// Realtime events are batched; a busy socket would otherwise send one
+// runtime message per frame
+const REALTIME_FLUSH_INTERVAL_MS = 500;
+const REALTIME_MAX_BATCH = 200;
+// Beyond this many queued events, frames are dropped (lifecycle events kept)
+const REALTIME_MAX_QUEUE = 2000;
+
+let realtimeQueue = [];
+let droppedFrames = {}; // connectionId -> count
+let realtimeFlushTimer = null;
+
+// WebSocket and EventSource connections and frames are reported by
+// realtime-interceptor.js
+function initializeRealtimeCapture() {
+  const realtimeConfig = realtimeCaptureConfig || {};
+  if (realtimeConfig.enabled === false) return;
+
+  pageRealtimeCapture = {
+    capturePayloads: realtimeConfig.capturePayloads === true,
+    maxPayloadSize: realtimeConfig.maxPayloadSize ?? 4096,
+  };
+  window.addEventListener("pagehide", flushRealtimeEvents);
+}
+
+function flushRealtimeEvents() {
+  realtimeFlushTimer = null;
+  while (realtimeQueue.length > 0) {
+    const events = realtimeQueue.splice(0, REALTIME_MAX_BATCH);
+    try {
+      browserAPI.runtime.sendMessage({
+        action: "captureRealtimeEvents",
+        events,
+        droppedFrames,
+        pageUrl: window.location.href,
+      });
+      droppedFrames = {};
+    } catch (e) {
+      // Extension context may be invalidated after reload
+      realtimeQueue = [];
+    }
+  }
+}
+
+function relayRealtimeEvent(type, payload) {
+  if (type !== "realtimeEvent" || !pageRealtimeCapture) return;
+
+  const { kind, connectionId } = payload;
+  if (realtimeQueue.length >= REALTIME_MAX_QUEUE && kind === "frame") {
+    droppedFrames[connectionId] = (droppedFrames[connectionId] || 0) + 1;
+    return;
+  }
+  realtimeQueue.push(payload);
+  if (realtimeQueue.length >= REALTIME_MAX_BATCH) {
+    clearTimeout(realtimeFlushTimer);
+    flushRealtimeEvents();
+  } else if (!realtimeFlushTimer) {
+    realtimeFlushTimer = setTimeout(
+      flushRealtimeEvents,
+      REALTIME_FLUSH_INTERVAL_MS
+    );
+  }
+}
+
 // Store Core Web Vitals metrics
 const webVitals = {
   lcp: null,
-  fid: null,
+  inp: null,
   cls: null,
   fcp: null,
   ttfb: null,
@@ -164,42 +314,77 @@ function initializeCoreWebVitals() {
     console.warn("LCP not supported:", e);
   }
 
-  // Core Web Vitals - First Input Delay (FID)
+  // Core Web Vitals - Interaction to Next Paint (INP)
+  // Reported when the page is hidden, once interactions are over; later
+  // reports for the same page view reuse the id and replace the stored value
   try {
-    const fidObserver = new PerformanceObserver((list) => {
-      const entries = list.getEntries();
-      entries.forEach((entry) => {
-        webVitals.fid = entry.processingStart - entry.startTime;
-
-        browserAPI.runtime.sendMessage(
-          {
-            action: "webVital",
-            metric: "FID",
-            value: webVitals.fid,
-            rating:
-              webVitals.fid < 100
-                ? "good"
-                : webVitals.fid < 300
-                ? "needs-improvement"
-                : "poor",
-            url: window.location.href,
-            timestamp: Date.now(),
-          },
-          (response) => {
-            if (browserAPI.runtime.lastError) {
-              console.error(
-                "[URA] Failed to send FID:",
-                browserAPI.runtime.lastError
-              );
-            }
-          }
-        );
-      });
+    const inpTracker = new InteractionTracker();
+    const inpReportId = `inp_${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+
+    const eventObserver = new PerformanceObserver((list) => {
+      list.getEntries().forEach((entry) => inpTracker.addEntry(entry));
+    });
+
+    eventObserver.observe({
+      type: "event",
+      durationThreshold: 40,
+      buffered: true,
     });
+    // Covers the first interaction even when it is below the threshold
+    eventObserver.observe({ type: "first-input", buffered: true });
+
+    if (
+      PerformanceObserver.supportedEntryTypes?.includes("long-animation-frame")
+    ) {
+      const loafObserver = new PerformanceObserver((list) => {
+        list
+          .getEntries()
+          .forEach((entry) => inpTracker.addLongAnimationFrame(entry));
+      });
+      loafObserver.observe({ type: "long-animation-frame", buffered: true });
+    }
+
+    const reportInp = () => {
+      eventObserver
+        .takeRecords()
+        .forEach((entry) => inpTracker.addEntry(entry));
+
+      const inp = inpTracker.getInp(performance.interactionCount);
+      if (!inp || inp.value === webVitals.inp) return;
+
+      webVitals.inp = inp.value;
+
+      browserAPI.runtime.sendMessage(
+        {
+          action: "webVital",
+          id: inpReportId,
+          metric: "INP",
+          value: inp.value,
+          rating: rateInp(inp.value),
+          attribution: inp.attribution,
+          url: window.location.href,
+          timestamp: Date.now(),
+        },
+        (response) => {
+          if (browserAPI.runtime.lastError) {
+            console.error(
+              "[URA] Failed to send INP:",
+              browserAPI.runtime.lastError
+            );
+          }
+        }
+      );
+    };
 
-    fidObserver.observe({ type: "first-input", buffered: true });
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") {
+        reportInp();
+      }
+    });
   } catch (e) {
-    console.warn("FID not supported:", e);
+    console.warn("INP not supported:", e);
   }
 
   // Core Web Vitals - Cumulative Layout Shift (CLS)
@@ -285,46 +470,69 @@ function initializeCoreWebVitals() {
   }
 } // End initializeCoreWebVitals
 
+// Resource Timing entry -> payload for bronze_request_timings.
+// phases is null for cross-origin entries without Timing-Allow-Origin.
+function toResourceTiming(entry) {
+  return {
+    url: entry.name,
+    type: entry.initiatorType,
+    startedAt: Math.round(performance.timeOrigin + entry.startTime),
+    phases: resourceTimingToPhases(entry),
+    source: TIMING_SOURCES.RESOURCE_TIMING,
+
+    // Timing breakdown
+    dnsTime: entry.domainLookupEnd - entry.domainLookupStart,
+    tcpTime: entry.connectEnd - entry.connectStart,
+    tlsTime:
+      entry.secureConnectionStart > 0
+        ? entry.connectEnd - entry.secureConnectionStart
+        : 0,
+    requestTime: entry.responseStart - entry.requestStart,
+    responseTime: entry.responseEnd - entry.responseStart,
+    totalTime: entry.duration,
+
+    // Size details
+    transferSize: entry.transferSize || 0, // Over network
+    encodedSize: entry.encodedBodySize || 0, // Compressed
+    decodedSize: entry.decodedBodySize || 0, // Uncompressed
+
+    // Cache info
+    fromCache: entry.transferSize === 0 && entry.encodedBodySize > 0,
+
+    timestamp: Date.now(),
+    pageUrl: window.location.href,
+  };
+}
+
 // Initialize Performance Observer
 function initializePerformanceObserver() {
+  // Timings are sent in batches, a little after the entries arrive, so the
+  // background has already stored the matching webRequest capture
+  let pendingTimings = [];
+  let flushTimer = null;
+
+  const flushTimings = () => {
+    flushTimer = null;
+    if (pendingTimings.length === 0) return;
+
+    browserAPI.runtime.sendMessage({
+      action: "recordResourceTiming",
+      timings: pendingTimings,
+    });
+    pendingTimings = [];
+  };
+
   // Create a performance observer to monitor resource timing entries
   const observer = new PerformanceObserver((list) => {
-    const entries = list.getEntries();
-
-    // Filter for network requests
-    const networkRequests = entries.filter(
-      (entry) => entry.entryType === "resource"
-    );
+    const networkRequests = list
+      .getEntries()
+      .filter((entry) => entry.entryType === "resource");
 
     if (networkRequests.length > 0) {
-      // Send the performance data to the background script
-      browserAPI.runtime.sendMessage({
-        action: "performanceData",
-        entries: networkRequests.map((entry) => ({
-          name: entry.name,
-          duration: entry.duration,
-          startTime: entry.startTime,
-          initiatorType: entry.initiatorType,
-          // Include detailed timing information
-          timings: {
-            dns: entry.domainLookupEnd - entry.domainLookupStart,
-            tcp: entry.connectEnd - entry.connectStart,
-            ssl:
-              entry.secureConnectionStart > 0
-                ? entry.connectEnd - entry.secureConnectionStart
-                : 0,
-            ttfb: entry.responseStart - entry.requestStart,
-            download: entry.responseEnd - entry.responseStart,
-            total: entry.responseEnd - entry.startTime,
-          },
-          // Include transfer size if available
-          size: entry.transferSize || 0,
-          // Include encoded body size if available
-          encodedBodySize: entry.encodedBodySize || 0,
-          // Include decoded body size if available
-          decodedBodySize: entry.decodedBodySize || 0,
-        })),
-      });
+      pendingTimings.push(...networkRequests.map(toResourceTiming));
+      if (!flushTimer) {
+        flushTimer = setTimeout(flushTimings, 2000);
+      }
     }
   });
 
@@ -632,33 +840,7 @@ function initializePageLoadMonitoring() {
     if (resources.length > 0) {
       // Send detailed resource timing for each resource
       resources.forEach((resource) => {
-        const timing = {
-          url: resource.name,
-          type: resource.initiatorType,
-
-          // Timing breakdown
-          dnsTime: resource.domainLookupEnd - resource.domainLookupStart,
-          tcpTime: resource.connectEnd - resource.connectStart,
-          tlsTime:
-            resource.secureConnectionStart > 0
-              ? resource.connectEnd - resource.secureConnectionStart
-              : 0,
-          requestTime: resource.responseStart - resource.requestStart,
-          responseTime: resource.responseEnd - resource.responseStart,
-          totalTime: resource.duration,
-
-          // Size details
-          transferSize: resource.transferSize || 0, // Over network
-          encodedSize: resource.encodedBodySize || 0, // Compressed
-          decodedSize: resource.decodedBodySize || 0, // Uncompressed
-
-          // Cache info
-          fromCache:
-            resource.transferSize === 0 && resource.encodedBodySize > 0,
-
-          timestamp: Date.now(),
-          pageUrl: window.location.href,
-        };
+        const timing = toResourceTiming(resource);
 
         browserAPI.runtime.sendMessage({
           action: "recordResourceTiming",
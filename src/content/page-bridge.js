@@ -0,0 +1,98 @@
+// Channel between the main-world interceptors and content.js
+// The interceptors are MAIN-world content scripts that run at document_start,
+// before any page script. Each one opens a MessageChannel and hands one port
+// to content.js with a single window.postMessage handshake. content.js only
+// accepts the first handshake per channel and from then on only listens on
+// that port, so page scripts can't forge captured data by posting to the
+// window. Configuration travels back over the same port.
+
+const HANDSHAKE_SOURCE = "ura-page-interceptor";
+
+/**
+ * Open the channel to content.js (main-world side)
+ * Must run at document_start, before page scripts can patch the natives.
+ * @param {string} name - Channel name, one per interceptor
+ * @returns {Object} { post(type, payload), configured } where configured
+ *   resolves with the config sent by content.js (null = stay inactive)
+ */
+export function openPageChannel(name) {
+  const apply = Reflect.apply;
+  const postToPort = MessagePort.prototype.postMessage;
+  const { port1, port2 } = new MessageChannel();
+
+  const configured = new Promise((resolve) => {
+    port1.onmessage = (event) => {
+      if (event.data?.type === "configure") {
+        resolve(event.data.config || null);
+      }
+    };
+  });
+
+  window.postMessage(
+    { source: HANDSHAKE_SOURCE, type: "connect", channel: name },
+    "*",
+    [port2]
+  );
+
+  return {
+    configured,
+    post(type, payload) {
+      try {
+        apply(postToPort, port1, [{ type, payload }]);
+      } catch (e) {
+        // Ignore - page may be unloading
+      }
+    },
+  };
+}
+
+/**
+ * Accept interceptor channels (content script side)
+ * Must be called at document_start, before the interceptors' handshakes
+ * are dispatched.
+ * @param {Object} handlers - channel name -> (type, payload) => void
+ * @returns {Object} { configure(name, config) }; configs sent before the
+ *   handshake are delivered once it arrives
+ */
+export function acceptPageChannels(handlers) {
+  const ports = new Map();
+  const pendingConfigs = new Map();
+
+  const send = (port, config) => {
+    try {
+      port.postMessage({ type: "configure", config });
+    } catch (e) {
+      // Port closed - page is unloading
+    }
+  };
+
+  window.addEventListener("message", (event) => {
+    if (event.source !== window) return;
+    const data = event.data;
+    if (!data || data.source !== HANDSHAKE_SOURCE || data.type !== "connect") {
+      return;
+    }
+
+    const name = data.channel;
+    const port = event.ports?.[0];
+    if (!Object.hasOwn(handlers, name) || !port || ports.has(name)) return;
+
+    ports.set(name, port);
+    port.onmessage = (message) => {
+      const { type, payload } = message.data || {};
+      if (type && payload) handlers[name](type, payload);
+    };
+    if (pendingConfigs.has(name)) {
+      send(port, pendingConfigs.get(name));
+      pendingConfigs.delete(name);
+    }
+  });
+
+  return {
+    configure(name, config) {
+      const port = ports.get(name);
+      if (port) send(port, config);
+      else pendingConfigs.set(name, config);
+    },
+  };
+}
@@ -0,0 +1,267 @@
+// Page-context interceptor for response bodies and GraphQL results
+// Runs as a MAIN-world content script at document_start. The content script
+// runs in an isolated world and never sees the page's own fetch/XHR calls, so
+// the patch has to live here. Each response is read at most once, for:
+// - body capture: the body, for pages opted in to body capture
+// - GraphQL capture: the errors[] summary (count and first message) of
+//   GraphQL operations, which fail with HTTP 200 that webRequest can't tell
+//   from a success; the body itself is never sent for these
+// Results are handed back over the page channel and relayed to the
+// background by content.js, which also sends the config (null when the page
+// isn't monitored). No extension APIs are available.
+
+import { openPageChannel } from "./page-bridge.js";
+import { matchesContentType } from "../background/capture/body-capture.js";
+import {
+  getGraphQLErrors,
+  parseGraphQLRequest,
+} from "../lib/utils/graphql.js";
+
+// GraphQL results larger than this are not inspected for errors
+const MAX_GRAPHQL_RESULT_SIZE = 1024 * 1024; // characters
+
+(() => {
+  if (window.__uraBodyInterceptorInstalled) return;
+  window.__uraBodyInterceptorInstalled = true;
+
+  const channel = openPageChannel("page-interceptor");
+
+  let configured = false;
+  let captureBodies = false;
+  let captureGraphQL = false;
+  let maxBodySize = 0;
+  let contentTypes = [];
+  channel.configured.then((config) => {
+    configured = true;
+    captureBodies = Boolean(config?.bodyCapture);
+    captureGraphQL = config?.graphql === true;
+    maxBodySize = Number(config?.bodyCapture?.maxBodySize || 0);
+    contentTypes = Array.isArray(config?.bodyCapture?.contentTypes)
+      ? config.bodyCapture.contentTypes
+      : [];
+  });
+
+  // XHR keeps its response text anyway, so XHRs sent before the config
+  // arrives are still reported once it does
+  const wantsBodies = () => captureBodies || !configured;
+  const wantsGraphQL = () => captureGraphQL || !configured;
+
+  function isAllowedContentType(contentType) {
+    if (contentTypes.length === 0) return true;
+    return contentTypes.some((pattern) =>
+      matchesContentType(contentType, String(pattern))
+    );
+  }
+
+  function resolveUrl(url) {
+    try {
+      return new URL(url, window.location.href).href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  // Content-Type from fetch init headers (Headers, array or plain object)
+  function getContentType(headers) {
+    if (!headers) return null;
+    try {
+      return new Headers(headers).get("content-type");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function detectOperation(method, url, body, contentType) {
+    if (!wantsGraphQL()) return null;
+    try {
+      return parseGraphQLRequest({
+        method,
+        url,
+        body: typeof body === "string" ? body : null,
+        contentType,
+      });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Read up to `limit` characters of a response body, then cancel the rest
+   * @param {Response} response - Cloned response
+   * @param {number} limit - Maximum characters (0 = whole body)
+   * @returns {Promise<string>} Body text, limit + 1 characters when longer
+   */
+  async function readText(response, limit) {
+    if (!limit || !response.body) return response.text();
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    while (text.length <= limit) {
+      const { done, value } = await reader.read();
+      if (done) return text + decoder.decode();
+      text += decoder.decode(value, { stream: true });
+    }
+    reader.cancel().catch(() => {});
+    return text.slice(0, limit + 1);
+  }
+
+  // Character cap keeps channel messages small; the background applies
+  // the exact byte limit before persisting
+  function limitBody(text) {
+    if (!maxBodySize || text.length <= maxBodySize) return text;
+    return text.slice(0, maxBodySize + 1);
+  }
+
+  /**
+   * Report a response once its text is read
+   * @param {Object} request - { url, method, operation }
+   * @param {Object} response - { status, contentType, text }
+   */
+  function report(request, { status, contentType, text }) {
+    if (captureBodies && isAllowedContentType(contentType)) {
+      channel.post("responseBody", {
+        url: request.url,
+        method: request.method,
+        status,
+        contentType,
+        body: limitBody(text),
+        timestamp: Date.now(),
+      });
+    }
+
+    if (captureGraphQL && request.operation) {
+      const errors = getGraphQLErrors(text);
+      if (!errors) return;
+      channel.post("graphqlResult", {
+        url: request.url,
+        method: request.method,
+        operationName: request.operation.operationName,
+        status,
+        errorCount: errors.count,
+        message: errors.message,
+        timestamp: Date.now(),
+      });
+    }
+  }
+
+  // Intercept fetch
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === "function") {
+    window.fetch = function (input, init) {
+      let request = null;
+      try {
+        const method = (
+          (init && init.method) ||
+          (input && typeof input === "object" && input.method) ||
+          "GET"
+        ).toUpperCase();
+        const url = resolveUrl(
+          typeof input === "string" || input instanceof URL ? input : input.url
+        );
+        request = {
+          url,
+          method,
+          operation: detectOperation(
+            method,
+            url,
+            init && init.body,
+            getContentType(init && init.headers)
+          ),
+        };
+      } catch (e) {
+        request = null;
+      }
+
+      const promise = originalFetch.apply(this, arguments);
+      if (!request) return promise;
+
+      return promise.then((response) => {
+        try {
+          // Cloning tees the body, so only responses that are actually
+          // wanted are cloned; fetches that finish before content.js sends
+          // the config are not captured
+          const contentType = response.headers.get("content-type");
+          const wantsBody = captureBodies && isAllowedContentType(contentType);
+          const wantsResult = captureGraphQL && Boolean(request.operation);
+          if (response.type !== "opaque" && (wantsBody || wantsResult)) {
+            let limit = wantsBody ? maxBodySize : MAX_GRAPHQL_RESULT_SIZE;
+            if (wantsBody && wantsResult && limit) {
+              limit = Math.max(limit, MAX_GRAPHQL_RESULT_SIZE);
+            }
+            readText(response.clone(), limit)
+              .then((text) => {
+                report(request, { status: response.status, contentType, text });
+              })
+              .catch(() => {});
+          }
+        } catch (e) {
+          // Never break the page's fetch
+        }
+        return response;
+      });
+    };
+  }
+
+  // Intercept XMLHttpRequest
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__uraRequest = {
+      method: (method || "GET").toUpperCase(),
+      url: resolveUrl(url),
+      contentType: null,
+      operation: null,
+    };
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+    if (this.__uraRequest && String(name).toLowerCase() === "content-type") {
+      this.__uraRequest.contentType = value;
+    }
+    return originalSetRequestHeader.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function (body) {
+    const request = this.__uraRequest;
+    if (request) {
+      request.operation = detectOperation(
+        request.method,
+        request.url,
+        body,
+        request.contentType
+      );
+    }
+    if (request && (wantsBodies() || (request.operation && wantsGraphQL()))) {
+      this.addEventListener("load", function () {
+        channel.configured.then(() => reportXhr(this, request));
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+
+  function reportXhr(xhr, request) {
+    try {
+      const contentType = xhr.getResponseHeader("content-type");
+      const wanted =
+        (captureBodies && isAllowedContentType(contentType)) ||
+        (captureGraphQL && request.operation);
+      if (!wanted) return;
+
+      let text = null;
+      if (xhr.responseType === "" || xhr.responseType === "text") {
+        text = xhr.responseText;
+      } else if (xhr.responseType === "json" && xhr.response !== null) {
+        text = JSON.stringify(xhr.response);
+      }
+      if (text === null || text === undefined) return;
+
+      report(request, { status: xhr.status, contentType, text });
+    } catch (e) {
+      // Never break the page's XHR
+    }
+  }
+})();
@@ -0,0 +1,339 @@
+// Page-context interceptor for WebSocket and Server-Sent Events traffic
+// Runs as a MAIN-world content script at document_start, so sockets opened
+// while the page boots are wrapped too. webRequest only sees the WebSocket
+// upgrade handshake (and the EventSource GET), never the frames, so
+// WebSocket and EventSource are wrapped here. Lifecycle events and frames
+// are handed back over the page channel and relayed to the background by
+// content.js. Events seen before content.js sends the config are held back
+// until it arrives. No extension APIs are available.
+
+import { openPageChannel } from "./page-bridge.js";
+
+(() => {
+  if (window.__uraRealtimeInterceptorInstalled) return;
+  window.__uraRealtimeInterceptorInstalled = true;
+
+  const channel = openPageChannel("realtime-interceptor");
+
+  // WebSocket opcodes (RFC 6455); the browser API only exposes data and
+  // close frames, never ping/pong
+  const OPCODE_TEXT = 1;
+  const OPCODE_BINARY = 2;
+  const OPCODE_CLOSE = 8;
+
+  // Events held back until the config arrives, with a bounded preview
+  const MAX_PENDING_EVENTS = 1000;
+  const MAX_PENDING_PAYLOAD = 64 * 1024;
+
+  let configured = false;
+  let active = false;
+  let capturePayloads = false;
+  let maxPayloadSize = 0;
+  let pending = [];
+
+  const encoder = new TextEncoder();
+  let connectionCounter = 0;
+
+  channel.configured.then((config) => {
+    configured = true;
+    active = Boolean(config);
+    capturePayloads = config?.capturePayloads === true;
+    maxPayloadSize = Number(config?.maxPayloadSize || 0);
+
+    if (active) {
+      pending.forEach((event) =>
+        channel.post("realtimeEvent", applyPayloadConfig(event))
+      );
+    }
+    pending = null;
+  });
+
+  function nextConnectionId(prefix) {
+    connectionCounter++;
+    return `${prefix}_${Date.now().toString(36)}_${Math.random()
+      .toString(36)
+      .slice(2, 8)}_${connectionCounter}`;
+  }
+
+  function post(payload) {
+    if (active) {
+      channel.post("realtimeEvent", payload);
+    } else if (!configured) {
+      if (pending.length >= MAX_PENDING_EVENTS && payload.kind === "frame") {
+        return;
+      }
+      pending.push(payload);
+    }
+  }
+
+  function truncatePayload(text) {
+    const truncated = maxPayloadSize > 0 && text.length > maxPayloadSize;
+    return {
+      payload: truncated ? text.slice(0, maxPayloadSize) : text,
+      truncated,
+    };
+  }
+
+  // Frames held back before the config keep a text preview either way; apply
+  // the payload settings now that they are known
+  function applyPayloadConfig(event) {
+    if (event.payload === null || event.payload === undefined) return event;
+    if (!capturePayloads) {
+      return { ...event, payload: null, truncated: false };
+    }
+    const limited = truncatePayload(event.payload);
+    return {
+      ...event,
+      ...limited,
+      truncated: event.truncated || limited.truncated,
+    };
+  }
+
+  // ws:// URLs can be given relative to the page (or as http URLs)
+  function resolveUrl(url, websocket) {
+    try {
+      const resolved = new URL(String(url), window.location.href);
+      if (websocket && resolved.protocol === "http:") {
+        resolved.protocol = "ws:";
+      } else if (websocket && resolved.protocol === "https:") {
+        resolved.protocol = "wss:";
+      }
+      return resolved.href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  // Size in bytes plus an optional (truncated) text preview of a frame
+  function describeData(data) {
+    if (typeof data === "string") {
+      const size = encoder.encode(data).length;
+      if (!configured) {
+        return {
+          size,
+          payload: data.slice(0, MAX_PENDING_PAYLOAD),
+          truncated: data.length > MAX_PENDING_PAYLOAD,
+        };
+      }
+      if (!capturePayloads) return { size, payload: null, truncated: false };
+      return { size, ...truncatePayload(data) };
+    }
+
+    let size = 0;
+    if (data instanceof Blob) size = data.size;
+    else if (data instanceof ArrayBuffer) size = data.byteLength;
+    else if (ArrayBuffer.isView(data)) size = data.byteLength;
+    return { size, payload: null, truncated: false };
+  }
+
+  function postFrame(connectionId, direction, data, extra) {
+    if (configured && !active) return;
+    try {
+      post({
+        kind: "frame",
+        connectionId,
+        direction,
+        opcode: typeof data === "string" ? OPCODE_TEXT : OPCODE_BINARY,
+        ...describeData(data),
+        ...extra,
+        timestamp: Date.now(),
+      });
+    } catch (e) {
+      // Never break the page's socket
+    }
+  }
+
+  // Intercept WebSocket
+  const NativeWebSocket = window.WebSocket;
+  if (typeof NativeWebSocket === "function") {
+    const socketIds = new WeakMap();
+    const closingLocally = new WeakSet();
+
+    const InstrumentedWebSocket = function WebSocket(url, protocols) {
+      const socket =
+        arguments.length > 1
+          ? new NativeWebSocket(url, protocols)
+          : new NativeWebSocket(url);
+
+      const connectionId = nextConnectionId("ws");
+      socketIds.set(socket, connectionId);
+      post({
+        kind: "connect",
+        connectionId,
+        protocol: "websocket",
+        url: resolveUrl(url, true),
+        timestamp: Date.now(),
+      });
+
+      socket.addEventListener("open", () => {
+        post({
+          kind: "open",
+          connectionId,
+          subprotocol: socket.protocol || null,
+          timestamp: Date.now(),
+        });
+      });
+      socket.addEventListener("message", (event) => {
+        postFrame(connectionId, "received", event.data);
+      });
+      socket.addEventListener("error", () => {
+        post({ kind: "error", connectionId, timestamp: Date.now() });
+      });
+      socket.addEventListener("close", (event) => {
+        if (!closingLocally.has(socket)) {
+          post({
+            kind: "frame",
+            connectionId,
+            direction: "received",
+            opcode: OPCODE_CLOSE,
+            ...describeData(event.reason || ""),
+            timestamp: Date.now(),
+          });
+        }
+        post({
+          kind: "close",
+          connectionId,
+          code: event.code,
+          reason: event.reason || null,
+          wasClean: event.wasClean,
+          timestamp: Date.now(),
+        });
+      });
+
+      return socket;
+    };
+
+    // Keep instanceof checks and the readyState constants working
+    InstrumentedWebSocket.prototype = NativeWebSocket.prototype;
+    ["CONNECTING", "OPEN", "CLOSING", "CLOSED"].forEach((name) => {
+      InstrumentedWebSocket[name] = NativeWebSocket[name];
+    });
+
+    const originalSend = NativeWebSocket.prototype.send;
+    NativeWebSocket.prototype.send = function (data) {
+      const connectionId = socketIds.get(this);
+      // Frames are only sent on an open socket; send() throws otherwise
+      if (connectionId && this.readyState === NativeWebSocket.OPEN) {
+        postFrame(connectionId, "sent", data);
+      }
+      return originalSend.apply(this, arguments);
+    };
+
+    const originalClose = NativeWebSocket.prototype.close;
+    NativeWebSocket.prototype.close = function (code, reason) {
+      const connectionId = socketIds.get(this);
+      if (
+        connectionId &&
+        !closingLocally.has(this) &&
+        this.readyState <= NativeWebSocket.OPEN
+      ) {
+        closingLocally.add(this);
+        post({
+          kind: "frame",
+          connectionId,
+          direction: "sent",
+          opcode: OPCODE_CLOSE,
+          ...describeData(reason === undefined ? "" : String(reason)),
+          timestamp: Date.now(),
+        });
+      }
+      return originalClose.apply(this, arguments);
+    };
+
+    window.WebSocket = InstrumentedWebSocket;
+  }
+
+  // Intercept EventSource
+  const NativeEventSource = window.EventSource;
+  if (typeof NativeEventSource === "function") {
+    const sourceIds = new WeakMap();
+    const observedTypes = new WeakMap();
+
+    // Named events only reach listeners registered for that name, so each
+    // type the page listens to gets its own recording listener
+    const observeType = (source, type) => {
+      const connectionId = sourceIds.get(source);
+      const types = observedTypes.get(source);
+      if (!connectionId || !types || types.has(type)) return;
+      if (type === "open" || type === "error") return;
+
+      types.add(type);
+      originalAddEventListener.call(source, type, (event) => {
+        postFrame(connectionId, "received", event.data, {
+          eventType: type,
+          lastEventId: event.lastEventId || null,
+        });
+      });
+    };
+
+    const InstrumentedEventSource = function EventSource(url, config) {
+      const source =
+        arguments.length > 1
+          ? new NativeEventSource(url, config)
+          : new NativeEventSource(url);
+
+      const connectionId = nextConnectionId("sse");
+      sourceIds.set(source, connectionId);
+      observedTypes.set(source, new Set());
+      post({
+        kind: "connect",
+        connectionId,
+        protocol: "sse",
+        url: resolveUrl(url, false),
+        timestamp: Date.now(),
+      });
+
+      originalAddEventListener.call(source, "open", () => {
+        post({ kind: "open", connectionId, timestamp: Date.now() });
+      });
+      originalAddEventListener.call(source, "error", () => {
+        // EventSource reconnects by itself unless it gave up (CLOSED)
+        if (source.readyState === NativeEventSource.CLOSED) {
+          post({
+            kind: "close",
+            connectionId,
+            code: null,
+            reason: "error",
+            wasClean: false,
+            timestamp: Date.now(),
+          });
+        } else {
+          post({ kind: "error", connectionId, timestamp: Date.now() });
+        }
+      });
+      observeType(source, "message");
+
+      return source;
+    };
+
+    InstrumentedEventSource.prototype = NativeEventSource.prototype;
+    ["CONNECTING", "OPEN", "CLOSED"].forEach((name) => {
+      InstrumentedEventSource[name] = NativeEventSource[name];
+    });
+
+    const originalAddEventListener =
+      NativeEventSource.prototype.addEventListener;
+    NativeEventSource.prototype.addEventListener = function (type) {
+      observeType(this, String(type));
+      return originalAddEventListener.apply(this, arguments);
+    };
+
+    const originalClose = NativeEventSource.prototype.close;
+    NativeEventSource.prototype.close = function () {
+      const connectionId = sourceIds.get(this);
+      if (connectionId && this.readyState !== NativeEventSource.CLOSED) {
+        post({
+          kind: "close",
+          connectionId,
+          code: null,
+          reason: null,
+          wasClean: true,
+          timestamp: Date.now(),
+        });
+      }
+      return originalClose.apply(this, arguments);
+    };
+
+    window.EventSource = InstrumentedEventSource;
+  }
+})();
@@ -1,5 +1,10 @@
 import Chart from "../../lib/chart.min.js";
 import logger from "../../lib/utils/logger.js";
+import {
+  findClosestTiming,
+  harTimingsToPhases,
+  TIMING_SOURCES,
+} from "../../lib/utils/request-timings.js";
 
 // Global initialization function that can be called from devtools.js
 window.initializePanel = function () {
@@ -17,11 +22,17 @@ export class DevToolsPanel {
     this.selectedRequests = new Set();
     this.currentErrors = [];
 
+    // Real HAR timings from chrome.devtools.network, keyed by "METHOD url"
+    this.harTimings = new Map();
+    this.pendingHarTimings = [];
+    this.harFlushTimer = null;
+
     // Constants
     this.SEVEN_DAYS_SECONDS = 7 * 24 * 60 * 60;
     this.MAX_CHART_POINTS = 20;
     this.ERROR_STATUS_PREFIX = "4xx";
     this.DEFAULT_TIME_RANGE = 300; // 5 minutes in seconds
+    this.MAX_HAR_TIMING_URLS = 500;
 
     this.initialize();
   }
@@ -290,6 +301,9 @@ export class DevToolsPanel {
               <button id="exportHAR" class="btn-secondary btn-sm">
                 <i class="fas fa-download"></i> Export HAR
               </button>
+              <label title="Apply the redaction rules to URLs, headers and bodies">
+                <input type="checkbox" id="harRedact" checked /> Redact
+              </label>
             </div>
             <div class="waterfall-container">
               <div id="waterfallChart" class="waterfall-chart"></div>
@@ -501,8 +515,18 @@ export class DevToolsPanel {
                 <span class="stat-value" id="wsReceivedCount">0</span>
               </div>
             </div>
-            <div class="websocket-messages" id="websocketMessages">
-              <p class="placeholder">No WebSocket activity detected. WebSocket connections will appear here when they occur.</p>
+            <div class="websocket-layout">
+              <div class="websocket-connections" id="websocketConnections">
+                <p class="placeholder">No WebSocket or Server-Sent Events activity detected. Connections will appear here when they occur.</p>
+              </div>
+              <div class="websocket-detail">
+                <div class="websocket-rate-chart">
+                  <canvas id="websocketRateChart"></canvas>
+                </div>
+                <div class="websocket-messages" id="websocketMessages">
+                  <p class="placeholder">Select a connection to see its frames.</p>
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -918,6 +942,8 @@ export class DevToolsPanel {
         return;
       }
 
+      this.checkWebSocketActivity();
+
       const filters = this.getActiveFilters();
       logger.debug("DevTools Panel: Collecting metrics with filters:", filters);
 
@@ -2900,6 +2926,9 @@ export class DevToolsPanel {
       ...requests.map((r) => r.timestamp + (r.duration || 0))
     );
     const timeRange = maxTime - minTime || 1000; // Default to 1 second if all same time
+    const measuredCount = requests.filter(
+      (req) => this.getRequestTiming(req).measured
+    ).length;
 
     // Create timeline header with time markers
     let html = `
@@ -2911,6 +2940,9 @@ export class DevToolsPanel {
           <div class="legend-item"><span class="legend-color ssl"></span> SSL</div>
           <div class="legend-item"><span class="legend-color waiting"></span> Waiting (TTFB)</div>
           <div class="legend-item"><span class="legend-color download"></span> Download</div>
+          <div class="legend-item"><span class="legend-color estimated"></span> Estimated (${
+            requests.length - measuredCount
+          } of ${requests.length})</div>
         </div>
         <div class="waterfall-timeline-header">
           <span>0ms</span>
@@ -2931,8 +2963,7 @@ export class DevToolsPanel {
       const statusClass =
         req.status >= 400 ? "error" : req.status >= 300 ? "warning" : "success";
 
-      // Estimate timing phases if not provided
-      const phases = req.phases || this.estimateTimingPhases(req);
+      const { phases, source, measured } = this.getRequestTiming(req);
       const totalPhases =
         Object.values(phases).reduce((a, b) => a + b, 0) || duration;
 
@@ -2947,12 +2978,19 @@ export class DevToolsPanel {
         req.status || ""
       }</span>
               <span class="url-text">${this.truncateUrl(req.url, 35)}</span>
+              ${
+                measured
+                  ? `<span class="timing-source measured" title="Measured (${source})"><i class="fas fa-check"></i></span>`
+                  : '<span class="timing-source estimated" title="Estimated: no browser timing data for this request">est.</span>'
+              }
             </div>
           </div>
           <div class="waterfall-timeline">
-            <div class="waterfall-bar" style="left: ${startOffset}%; width: ${width}%;" title="${
+            <div class="waterfall-bar ${
+              measured ? "measured" : "estimated"
+            }" style="left: ${startOffset}%; width: ${width}%;" title="${
         req.url
-      }">
+      }${measured ? "" : " (estimated phases)"}">
               ${this.renderWaterfallPhases(phases, totalPhases)}
             </div>
             <div class="waterfall-duration">${Math.round(duration)}ms</div>
@@ -2965,6 +3003,91 @@ export class DevToolsPanel {
     container.innerHTML = html;
   }
 
+  // Resolve waterfall phases for a request: stored measurements first
+  // (Resource Timing / HAR), then HAR timings seen by this panel, and only
+  // then an estimate, which is flagged so it is never mistaken for data
+  getRequestTiming(request) {
+    if (request.phases && request.timingSource) {
+      return {
+        phases: request.phases,
+        source: request.timingSource,
+        measured: true,
+      };
+    }
+
+    const harTiming = findClosestTiming(
+      this.harTimings.get(`${request.method || "GET"} ${request.url}`),
+      request.timestamp
+    );
+    if (harTiming) {
+      return {
+        phases: harTiming.phases,
+        source: TIMING_SOURCES.DEVTOOLS_HAR,
+        measured: true,
+      };
+    }
+
+    return {
+      phases: this.estimateTimingPhases(request),
+      source: "estimated",
+      measured: false,
+    };
+  }
+
+  // Record real timings for a request finished in the inspected tab
+  handleHarEntry(harEntry) {
+    const url = harEntry?.request?.url;
+    const phases = harTimingsToPhases(harEntry?.timings);
+    if (!url || !phases || url.startsWith("data:")) return;
+
+    const method = harEntry.request.method || "GET";
+    const startedAt = new Date(harEntry.startedDateTime).getTime();
+    const key = `${method} ${url}`;
+
+    const timings = this.harTimings.get(key) || [];
+    timings.push({ startedAt, phases });
+    if (timings.length > 20) timings.shift();
+    this.harTimings.delete(key);
+    this.harTimings.set(key, timings);
+
+    // Forget the least recently seen URLs
+    if (this.harTimings.size > this.MAX_HAR_TIMING_URLS) {
+      this.harTimings.delete(this.harTimings.keys().next().value);
+    }
+
+    // Also store them in Bronze so the measured bars survive a reload
+    this.pendingHarTimings.push({
+      url,
+      method,
+      startedAt,
+      phases,
+      source: TIMING_SOURCES.DEVTOOLS_HAR,
+      transferSize: harEntry.response?._transferSize || 0,
+      decodedSize: harEntry.response?.content?.size || 0,
+      fromCache: Boolean(harEntry._fromCache),
+    });
+    if (!this.harFlushTimer) {
+      this.harFlushTimer = setTimeout(() => this.flushHarTimings(), 2000);
+    }
+  }
+
+  async flushHarTimings() {
+    this.harFlushTimer = null;
+    if (this.pendingHarTimings.length === 0) return;
+
+    const timings = this.pendingHarTimings;
+    this.pendingHarTimings = [];
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: "recordResourceTiming",
+        timings,
+      });
+    } catch (error) {
+      logger.debug("Failed to store HAR timings:", error);
+    }
+  }
+
   // Estimate timing phases from available data
   estimateTimingPhases(request) {
     const duration = request.duration || 0;
@@ -3865,71 +3988,17 @@ export class DevToolsPanel {
   }
 
   async generateHAR() {
-    const filters = this.getActiveFilters();
     const response = await chrome.runtime.sendMessage({
-      action: "getDetailedRequests",
-      filters,
-      limit: 1000,
+      action: "exportAsHAR",
+      filters: this.getActiveFilters(),
+      redact: document.getElementById("harRedact")?.checked !== false,
     });
 
-    if (!response.success || !response.requests) {
-      throw new Error("No requests available");
+    if (!response?.success || !response.har) {
+      throw new Error(response?.error || "No requests available");
     }
 
-    // Generate HAR format
-    const har = {
-      log: {
-        version: "1.2",
-        creator: {
-          name: "Universal Request Analyzer",
-          version: "1.0.0",
-        },
-        entries: response.requests.map((req) => ({
-          startedDateTime: new Date(req.timestamp).toISOString(),
-          time: req.duration || 0,
-          request: {
-            method: req.method || "GET",
-            url: req.url,
-            httpVersion: "HTTP/1.1",
-            headers: [],
-            queryString: [],
-            cookies: [],
-            headersSize: -1,
-            bodySize: -1,
-          },
-          response: {
-            status: req.status || 0,
-            statusText: req.status_text || "",
-            httpVersion: "HTTP/1.1",
-            headers: [],
-            cookies: [],
-            content: {
-              size: req.size_bytes || 0,
-              mimeType: req.type || "application/octet-stream",
-            },
-            redirectURL: "",
-            headersSize: -1,
-            bodySize: req.size_bytes || 0,
-          },
-          cache: {
-            beforeRequest: req.from_cache
-              ? { lastAccess: "", eTag: "", hitCount: 1 }
-              : null,
-          },
-          timings: {
-            blocked: -1,
-            dns: -1,
-            connect: -1,
-            send: 0,
-            wait: req.duration || 0,
-            receive: 0,
-            ssl: -1,
-          },
-        })),
-      },
-    };
-
-    return har;
+    return response.har;
   }
 
   // Performance budgets checking
@@ -4306,6 +4375,13 @@ export class DevToolsPanel {
       clearInterval(this.refreshInterval);
     }
 
+    this.stopWebSocketPolling();
+
+    if (this.harFlushTimer) {
+      clearTimeout(this.harFlushTimer);
+      this.flushHarTimings();
+    }
+
     // Destroy all charts
     Object.values(this.charts).forEach((chart) => {
       if (chart) {
@@ -4315,10 +4391,10 @@ export class DevToolsPanel {
   }
 
   // WebSocket Inspector Methods
+  // Connections and frames come from the realtime capture tables, scoped to
+  // the inspected tab
   async loadWebSocketData() {
-    // Initialize WebSocket tracking
-    this.websocketMessages = this.websocketMessages || [];
-    this.websocketPaused = false;
+    this.websocketPaused = this.websocketPaused || false;
 
     // Setup event listeners for WebSocket controls
     const clearBtn = document.getElementById("clearWebSocketBtn");
@@ -4339,8 +4415,77 @@ export class DevToolsPanel {
         .addEventListener("click", () => this.toggleWebSocketPause());
     }
 
-    // Display message that WebSocket tracking is active
-    this.updateWebSocketDisplay();
+    await this.refreshWebSocketData();
+
+    // Poll while the tab is visible
+    if (!this.websocketInterval) {
+      this.websocketInterval = setInterval(() => {
+        const tab = document.getElementById("websocketTab");
+        if (!tab || !tab.classList.contains("active")) {
+          this.stopWebSocketPolling();
+          return;
+        }
+        if (!this.websocketPaused) {
+          this.refreshWebSocketData();
+        }
+      }, 2000);
+    }
+  }
+
+  stopWebSocketPolling() {
+    if (this.websocketInterval) {
+      clearInterval(this.websocketInterval);
+      this.websocketInterval = null;
+    }
+  }
+
+  getWebSocketFilters() {
+    const filters = { tabId: chrome.devtools.inspectedWindow.tabId };
+    if (this.websocketClearedAt) {
+      filters.since = this.websocketClearedAt;
+    }
+    return filters;
+  }
+
+  async refreshWebSocketData() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getRealtimeConnections",
+        filters: this.getWebSocketFilters(),
+        limit: 100,
+      });
+
+      if (!response || !response.success) {
+        logger.error("Failed to load realtime connections:", response?.error);
+        return;
+      }
+
+      this.websocketConnections = response.connections || [];
+      this.updateWebSocketDisplay();
+
+      if (this.selectedWebSocketId) {
+        await this.loadWebSocketFrames(this.selectedWebSocketId);
+      }
+    } catch (error) {
+      logger.error("Failed to load WebSocket data:", error);
+    }
+  }
+
+  // Called from periodic metrics so the hidden tab shows up once the
+  // inspected page opens a WebSocket or EventSource
+  async checkWebSocketActivity() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getRealtimeConnections",
+        filters: { tabId: chrome.devtools.inspectedWindow.tabId },
+        limit: 1,
+      });
+      if (response && response.success) {
+        this.updateWebSocketTabVisibility(response.connections.length > 0);
+      }
+    } catch (error) {
+      logger.debug("WebSocket activity check failed:", error);
+    }
   }
 
   toggleWebSocketPause() {
@@ -4353,60 +4498,288 @@ export class DevToolsPanel {
     }
   }
 
+  // Hides connections started before now; captured data is kept
   clearWebSocket() {
-    this.websocketMessages = [];
+    this.websocketClearedAt = Date.now();
+    this.websocketConnections = [];
+    this.selectedWebSocketId = null;
     this.updateWebSocketDisplay();
+    this.renderWebSocketFrames(null);
+  }
+
+  selectWebSocketConnection(connectionId) {
+    this.selectedWebSocketId = connectionId;
+    this.updateWebSocketDisplay();
+    this.loadWebSocketFrames(connectionId);
+  }
+
+  async loadWebSocketFrames(connectionId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getRealtimeFrames",
+        connectionId,
+        limit: 500,
+      });
+
+      // Selection may have changed while the request was in flight
+      if (this.selectedWebSocketId !== connectionId) return;
+
+      if (!response || !response.success) {
+        logger.error("Failed to load realtime frames:", response?.error);
+        this.renderWebSocketFrames(null);
+        return;
+      }
+
+      this.renderWebSocketFrames(response);
+    } catch (error) {
+      logger.error("Failed to load WebSocket frames:", error);
+    }
   }
 
   updateWebSocketDisplay() {
-    const container = document.getElementById("websocketMessages");
+    const container = document.getElementById("websocketConnections");
     if (!container) return;
 
-    if (this.websocketMessages.length === 0) {
+    const connections = this.websocketConnections || [];
+
+    document.getElementById("wsConnectionCount").textContent =
+      connections.length;
+    document.getElementById("wsSentCount").textContent = connections.reduce(
+      (sum, conn) => sum + (conn.frames_sent || 0),
+      0
+    );
+    document.getElementById("wsReceivedCount").textContent = connections.reduce(
+      (sum, conn) => sum + (conn.frames_received || 0),
+      0
+    );
+
+    if (connections.length === 0) {
       container.innerHTML =
-        '<p class="placeholder">No WebSocket activity detected. WebSocket connections will appear here when they occur.</p>';
+        '<p class="placeholder">No WebSocket or Server-Sent Events activity detected. Connections will appear here when they occur.</p>';
       return;
     }
 
+    this.updateWebSocketTabVisibility(true);
+
     let html = '<div class="websocket-list">';
 
-    this.websocketMessages
-      .slice(-100)
+    connections.forEach((conn) => {
+      const selected = conn.id === this.selectedWebSocketId ? "selected" : "";
+      const handshake = conn.request_id
+        ? `<span class="ws-handshake" title="Handshake request ${this.escapeHtml(
+            conn.request_id
+          )}">${conn.handshake_status || "—"}${
+            conn.handshake_duration
+              ? ` · ${Math.round(conn.handshake_duration)}ms`
+              : ""
+          }</span>`
+        : "";
+
+      html += `
+        <div class="websocket-connection ${selected}" data-connection-id="${this.escapeHtml(
+        conn.id
+      )}">
+          <div class="ws-header">
+            <span class="ws-protocol">${
+              conn.protocol === "sse" ? "SSE" : "WS"
+            }</span>
+            <span class="ws-status ws-status-${conn.status}">${
+        conn.status
+      }</span>
+            <span class="ws-time">${new Date(
+              conn.started_at
+            ).toLocaleTimeString()}</span>
+            ${handshake}
+          </div>
+          <div class="ws-connection" title="${this.escapeHtml(
+            conn.url
+          )}">${this.escapeHtml(this.truncateText(conn.url, 80))}</div>
+          <div class="ws-counts">
+            <span>↑ ${conn.frames_sent} (${this.formatBytes(
+        conn.bytes_sent || 0
+      )})</span>
+            <span>↓ ${conn.frames_received} (${this.formatBytes(
+        conn.bytes_received || 0
+      )})</span>
+            ${
+              conn.dropped_frames
+                ? `<span class="ws-dropped">${conn.dropped_frames} dropped</span>`
+                : ""
+            }
+          </div>
+        </div>
+      `;
+    });
+
+    html += "</div>";
+    container.innerHTML = html;
+
+    container.querySelectorAll(".websocket-connection").forEach((el) => {
+      el.addEventListener("click", () =>
+        this.selectWebSocketConnection(el.dataset.connectionId)
+      );
+    });
+  }
+
+  getFrameLabel(frame, protocol) {
+    if (protocol === "sse") return frame.event_type || "message";
+    switch (frame.opcode) {
+      case 1:
+        return "text";
+      case 2:
+        return "binary";
+      case 8:
+        return "close";
+      default:
+        return `opcode ${frame.opcode}`;
+    }
+  }
+
+  renderWebSocketFrames(data) {
+    const container = document.getElementById("websocketMessages");
+    if (!container) return;
+
+    if (!data) {
+      container.innerHTML =
+        '<p class="placeholder">Select a connection to see its frames.</p>';
+      this.renderWebSocketRateChart([]);
+      return;
+    }
+
+    const { connection, frames, rates, totalFrames } = data;
+    this.renderWebSocketRateChart(rates);
+
+    if (frames.length === 0) {
+      container.innerHTML =
+        '<p class="placeholder">No frames on this connection yet.</p>';
+      return;
+    }
+
+    let html = "";
+    if (totalFrames > frames.length) {
+      html += `<p class="ws-more">Showing the latest ${frames.length} of ${totalFrames} frames</p>`;
+    }
+    html += '<div class="websocket-list">';
+
+    frames
+      .slice()
       .reverse()
-      .forEach((msg, idx) => {
-        const direction = msg.direction === "sent" ? "outgoing" : "incoming";
+      .forEach((frame) => {
+        const direction = frame.direction === "sent" ? "outgoing" : "incoming";
+        let payload;
+        if (frame.payload !== null && frame.payload !== undefined) {
+          payload = this.escapeHtml(frame.payload);
+          if (frame.truncated) {
+            payload += ' <span class="ws-truncated">… truncated</span>';
+          }
+        } else {
+          payload = `<span class="placeholder">${
+            frame.opcode === 2
+              ? "Binary payload not shown"
+              : "Payload not captured"
+          }</span>`;
+        }
+
         html += `
         <div class="websocket-message ${direction}">
           <div class="ws-header">
             <span class="ws-time">${new Date(
-              msg.timestamp
+              frame.timestamp
             ).toLocaleTimeString()}</span>
             <span class="ws-direction">${
-              msg.direction === "sent" ? "→" : "←"
-            } ${msg.direction.toUpperCase()}</span>
-            <span class="ws-size">${this.formatBytes(msg.size || 0)}</span>
+              frame.direction === "sent" ? "→" : "←"
+            } ${frame.direction.toUpperCase()}</span>
+            <span class="ws-opcode">${this.escapeHtml(
+              this.getFrameLabel(frame, connection.protocol)
+            )}</span>
+            <span class="ws-size">${this.formatBytes(frame.size || 0)}</span>
           </div>
-          <div class="ws-connection">${msg.url || "Unknown connection"}</div>
-          <div class="ws-data">${this.truncateText(msg.data || "", 200)}</div>
+          <div class="ws-data">${payload}</div>
         </div>
       `;
       });
 
     html += "</div>";
     container.innerHTML = html;
+  }
 
-    // Update stats
-    const sentCount = this.websocketMessages.filter(
-      (m) => m.direction === "sent"
-    ).length;
-    const receivedCount = this.websocketMessages.filter(
-      (m) => m.direction === "received"
-    ).length;
-    const connections = new Set(this.websocketMessages.map((m) => m.url)).size;
+  // Messages per second; seconds without frames are filled with zeros
+  renderWebSocketRateChart(rates) {
+    const canvas = document.getElementById("websocketRateChart");
+    if (!canvas) return;
+
+    const buckets = new Map(rates.map((rate) => [rate.bucket, rate]));
+    const labels = [];
+    const sent = [];
+    const received = [];
+    if (rates.length > 0) {
+      const first = rates[0].bucket;
+      const last = rates[rates.length - 1].bucket;
+      for (let bucket = first; bucket <= last; bucket += 1000) {
+        const rate = buckets.get(bucket);
+        labels.push(new Date(bucket).toLocaleTimeString());
+        sent.push(rate ? rate.sent : 0);
+        received.push(rate ? rate.received : 0);
+      }
+    }
+
+    if (this.charts.websocketRate) {
+      const chart = this.charts.websocketRate;
+      chart.data.labels = labels;
+      chart.data.datasets[0].data = sent;
+      chart.data.datasets[1].data = received;
+      chart.update("none");
+      return;
+    }
+
+    this.charts.websocketRate = new Chart(canvas.getContext("2d"), {
+      type: "line",
+      data: {
+        labels,
+        datasets: [
+          {
+            label: "Sent/s",
+            data: sent,
+            borderColor: "#2196F3",
+            backgroundColor: "rgba(33, 150, 243, 0.1)",
+            tension: 0.2,
+            pointRadius: 0,
+          },
+          {
+            label: "Received/s",
+            data: received,
+            borderColor: "#4CAF50",
+            backgroundColor: "rgba(76, 175, 80, 0.1)",
+            tension: 0.2,
+            pointRadius: 0,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          title: {
+            display: true,
+            text: "Message Rate",
+          },
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: { precision: 0 },
+          },
+        },
+      },
+    });
+  }
 
-    document.getElementById("wsConnectionCount").textContent = connections;
-    document.getElementById("wsSentCount").textContent = sentCount;
-    document.getElementById("wsReceivedCount").textContent = receivedCount;
+  escapeHtml(text) {
+    if (!text) return "";
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
   }
 
   // Real-time Feed Methods
@@ -4523,6 +4896,11 @@ document.addEventListener("DOMContentLoaded", () => {
     panel.handleUrlChange(url);
   });
 
+  // Real per-phase timings for the waterfall
+  chrome.devtools.network.onRequestFinished.addListener((harEntry) => {
+    panel.handleHarEntry(harEntry);
+  });
+
   // Get current URL
   chrome.devtools.inspectedWindow.eval(
     "window.location.href",
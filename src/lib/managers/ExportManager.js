@@ -4,6 +4,7 @@
  */
 
 import { formatTimestamp, downloadFile } from '../utils/helpers.js';
+import { buildHarEntry, buildHarLog } from '../utils/har.js';
 
 export class ExportManager {
   constructor(options = {}) {
@@ -98,16 +99,10 @@ export class ExportManager {
       throw new Error('HAR export requires array of requests');
     }
 
-    const har = {
-      log: {
-        version: '1.2',
-        creator: {
-          name: this.options.appName,
-          version: '1.0.0'
-        },
-        entries: requests.map(req => this.requestToHAREntry(req))
-      }
-    };
+    const har = buildHarLog({
+      entries: requests.map(req => this.requestToHAREntry(req))
+    });
+    har.log.creator.name = this.options.appName;
 
     return JSON.stringify(har, null, 2);
   }
@@ -116,44 +111,22 @@ export class ExportManager {
    * Convert request to HAR entry format
    */
   requestToHAREntry(request) {
-    return {
-      startedDateTime: new Date(request.timestamp || Date.now()).toISOString(),
-      time: request.duration || 0,
-      request: {
-        method: request.method || 'GET',
-        url: request.url || '',
-        httpVersion: 'HTTP/1.1',
-        headers: this.convertHeaders(request.requestHeaders),
-        queryString: this.parseQueryString(request.url),
-        cookies: [],
-        headersSize: -1,
-        bodySize: -1
-      },
-      response: {
-        status: request.status || 0,
-        statusText: request.statusText || '',
-        httpVersion: 'HTTP/1.1',
-        headers: this.convertHeaders(request.responseHeaders),
-        cookies: [],
-        content: {
-          size: request.size || 0,
-          mimeType: request.type || 'application/octet-stream'
-        },
-        redirectURL: '',
-        headersSize: -1,
-        bodySize: request.size || 0
-      },
-      cache: {},
-      timings: {
-        blocked: -1,
-        dns: request.timings?.dns || -1,
-        connect: request.timings?.tcp || -1,
-        send: 0,
-        wait: request.timings?.ttfb || -1,
-        receive: request.timings?.download || -1,
-        ssl: request.timings?.ssl || -1
-      }
-    };
+    const timings = request.timings;
+
+    return buildHarEntry({
+      ...request,
+      sizeBytes: request.sizeBytes ?? request.size,
+      phases: timings
+        ? {
+            queued: timings.queued || 0,
+            dns: timings.dns || 0,
+            tcp: timings.tcp || 0,
+            ssl: timings.ssl || 0,
+            waiting: timings.ttfb || 0,
+            download: timings.download || 0
+          }
+        : null
+    });
   }
 
   /**
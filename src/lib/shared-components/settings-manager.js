@@ -8,6 +8,11 @@
 import featureFlags from "../../config/feature-flags.js";
 import aclManager from "../../auth/acl-manager.js";
 import themeManager from "../../config/theme-manager.js";
+import {
+  findEnvironment,
+  resolveVariables,
+  withoutSecretValues,
+} from "../utils/variable-environments.js";
 
 // Cross-browser API support
 const browserAPI = globalThis.browser || globalThis.chrome;
@@ -65,6 +70,36 @@ class SettingsManager {
           ],
         },
         trackOnlyConfiguredSites: true, // Default: only track configured sites
+        bodyCapture: {
+          enabled: false,
+          captureRequestBody: true,
+          captureResponseBody: true,
+          maxBodySize: 256 * 1024, // bytes
+          domains: [], // Opt-in list of page domains (supports *.example.com)
+          contentTypes: [
+            "application/json",
+            "application/*+json",
+            "application/x-www-form-urlencoded",
+            "application/xml",
+            "text/*",
+          ],
+        },
+        realtimeCapture: {
+          enabled: true, // WebSocket/EventSource connections and frame sizes
+          capturePayloads: false, // Frame contents are opt-in, like bodies
+          maxPayloadSize: 4 * 1024, // bytes per frame
+        },
+        graphqlCapture: {
+          enabled: true, // Operation name/type and errors[] of GraphQL requests
+          captureVariables: false, // Variables are opt-in, like bodies
+          maxVariablesSize: 16 * 1024, // bytes
+        },
+        redaction: {
+          enabled: true,
+          mask: "[REDACTED]",
+          disabledBuiltInRules: [], // ids of built-in rules switched off
+          customRules: [], // [{ id, name, type, pattern, enabled }]
+        },
       },
       display: {
         requestsPerPage: 50,
@@ -102,6 +137,10 @@ class SettingsManager {
           autoVacuum: true,
           vacuumInterval: 3600000,
         },
+        scheduledRuns: {
+          missedRunPolicy: "runOnce", // "runOnce" | "skip"
+          maxCatchUpAge: 24 * 60 * 60 * 1000, // Skip runs missed longer ago (0 = no limit)
+        },
       },
       variables: {
         enabled: true,
@@ -109,6 +148,10 @@ class SettingsManager {
         list: [
           // Example: { id: '1', name: 'API_TOKEN', value: '', description: 'API authentication token', createdAt: Date.now() }
         ],
+        environments: [
+          // Example: { id: 'env_1', name: 'staging', values: { API_TOKEN: '...' } }
+        ],
+        activeEnvironment: null, // Environment ID applied by default
       },
     };
 
@@ -257,6 +300,8 @@ class SettingsManager {
           enabled: true,
           autoDetect: true,
           list: [],
+          environments: [],
+          activeEnvironment: null,
         },
       };
 
@@ -579,6 +624,36 @@ class SettingsManager {
               "other",
             ],
           },
+          bodyCapture: {
+            enabled: false,
+            captureRequestBody: true,
+            captureResponseBody: true,
+            maxBodySize: 256 * 1024,
+            domains: [],
+            contentTypes: [
+              "application/json",
+              "application/*+json",
+              "application/x-www-form-urlencoded",
+              "application/xml",
+              "text/*",
+            ],
+          },
+          realtimeCapture: {
+            enabled: true,
+            capturePayloads: false,
+            maxPayloadSize: 4 * 1024,
+          },
+          graphqlCapture: {
+            enabled: true,
+            captureVariables: false,
+            maxVariablesSize: 16 * 1024,
+          },
+          redaction: {
+            enabled: true,
+            mask: "[REDACTED]",
+            disabledBuiltInRules: [],
+            customRules: [],
+          },
         },
         display: {
           requestsPerPage: 50,
@@ -616,6 +691,10 @@ class SettingsManager {
             autoVacuum: true,
             vacuumInterval: 3600000,
           },
+          scheduledRuns: {
+            missedRunPolicy: "runOnce", // "runOnce" | "skip"
+            maxCatchUpAge: 24 * 60 * 60 * 1000, // Skip runs missed longer ago (0 = no limit)
+          },
         },
       };
 
@@ -642,7 +721,11 @@ class SettingsManager {
    */
   exportSettings() {
     const exportData = {
-      settings: this.settings,
+      // Secret values are encrypted by the background and never exported
+      settings: {
+        ...this.settings,
+        variables: withoutSecretValues(this.settings.variables),
+      },
       featureFlags: featureFlags.getFeatureInfo(),
       acl: {
         role: aclManager.currentRole,
@@ -803,7 +886,9 @@ class SettingsManager {
       const newVariable = {
         id: `var_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         name: variable.name,
-        value: variable.value || "",
+        // Secret values are stored encrypted by the background, not here
+        value: variable.secret ? "" : variable.value || "",
+        secret: Boolean(variable.secret),
         description: variable.description || "",
         createdAt: Date.now(),
         updatedAt: Date.now(),
@@ -867,11 +952,15 @@ class SettingsManager {
         }
       }
 
-      this.settings.variables.list[index] = {
+      const updated = {
         ...this.settings.variables.list[index],
         ...updates,
         updatedAt: Date.now(),
       };
+      if (updated.secret) {
+        updated.value = "";
+      }
+      this.settings.variables.list[index] = updated;
 
       await this.saveToStorage();
       await this.broadcastSettingsUpdate(this.settings);
@@ -908,6 +997,163 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Get all variable environments
+   * @returns {Array} List of environments
+   */
+  getEnvironments() {
+    return this.settings.variables?.environments || [];
+  }
+
+  /**
+   * Get the active environment
+   * @returns {Object|null} Active environment
+   */
+  getActiveEnvironment() {
+    return findEnvironment(
+      this.settings.variables,
+      this.settings.variables?.activeEnvironment
+    );
+  }
+
+  /**
+   * Get variables with an environment's values applied
+   * @param {string|null} [environmentId] - Environment ID (defaults to the
+   *   active environment, null for global values only)
+   * @returns {Array} Effective variables
+   */
+  getEffectiveVariables(environmentId) {
+    return resolveVariables(this.settings.variables, environmentId);
+  }
+
+  /**
+   * Set the active environment
+   * @param {string|null} id - Environment ID, or null for global values only
+   * @returns {Promise<boolean>} Success status
+   */
+  async setActiveEnvironment(id) {
+    try {
+      if (id && !findEnvironment(this.settings.variables, id)) {
+        throw new Error(`Environment with ID "${id}" not found`);
+      }
+
+      this.settings.variables.activeEnvironment = id || null;
+
+      await this.saveToStorage();
+      await this.broadcastSettingsUpdate(this.settings);
+
+      return true;
+    } catch (error) {
+      console.error("Failed to set active environment:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a new environment
+   * @param {Object} environment - Environment object { name, values }
+   * @returns {Promise<Object>} Created environment
+   */
+  async addEnvironment(environment) {
+    try {
+      const name = environment.name?.trim();
+      if (!name) {
+        throw new Error("Environment name is required");
+      }
+
+      const environments = this.getEnvironments();
+      if (environments.some((env) => env.name === name)) {
+        throw new Error(`Environment "${name}" already exists`);
+      }
+
+      const newEnvironment = {
+        id: `env_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name,
+        values: { ...(environment.values || {}) },
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+
+      this.settings.variables.environments = [...environments, newEnvironment];
+
+      await this.saveToStorage();
+      await this.broadcastSettingsUpdate(this.settings);
+
+      return newEnvironment;
+    } catch (error) {
+      console.error("Failed to add environment:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing environment
+   * @param {string} id - Environment ID
+   * @param {Object} updates - Updates to apply ({ name, values })
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateEnvironment(id, updates) {
+    try {
+      const environments = this.getEnvironments();
+      const index = environments.findIndex((env) => env.id === id);
+
+      if (index === -1) {
+        throw new Error(`Environment with ID "${id}" not found`);
+      }
+
+      if (
+        updates.name &&
+        environments.some((env) => env.name === updates.name && env.id !== id)
+      ) {
+        throw new Error(`Environment "${updates.name}" already exists`);
+      }
+
+      environments[index] = {
+        ...environments[index],
+        ...updates,
+        updatedAt: Date.now(),
+      };
+      this.settings.variables.environments = environments;
+
+      await this.saveToStorage();
+      await this.broadcastSettingsUpdate(this.settings);
+
+      return true;
+    } catch (error) {
+      console.error("Failed to update environment:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an environment (clears it if active)
+   * @param {string} id - Environment ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteEnvironment(id) {
+    try {
+      const environments = this.getEnvironments();
+      if (!environments.some((env) => env.id === id)) {
+        throw new Error(`Environment with ID "${id}" not found`);
+      }
+
+      this.settings.variables.environments = environments.filter(
+        (env) => env.id !== id
+      );
+      if (this.settings.variables.activeEnvironment === id) {
+        this.settings.variables.activeEnvironment = null;
+      }
+
+      await this.saveToStorage();
+      await this.broadcastSettingsUpdate(this.settings);
+
+      return true;
+    } catch (error) {
+      console.error("Failed to delete environment:", error);
+      throw error;
+    }
+  }
+
   /**
    * Validate variable name format
    * @param {string} name - Variable name to validate
@@ -927,7 +1173,7 @@ class SettingsManager {
     if (!text) return text;
 
     let result = text;
-    const variables = this.getVariables();
+    const variables = this.getEffectiveVariables();
 
     variables.forEach((variable) => {
       const placeholder = `\${${variable.name}}`;
@@ -951,7 +1197,7 @@ class SettingsManager {
     if (!text) return text;
 
     let result = text;
-    const variables = this.getVariables();
+    const variables = this.getEffectiveVariables();
 
     // Replace known variable values with placeholders
     variables.forEach((variable) => {
@@ -312,6 +312,34 @@ class SettingsUICoordinator {
     return this.core.isValidVariableName(name);
   }
 
+  getEnvironments() {
+    return this.core.getEnvironments();
+  }
+
+  getActiveEnvironment() {
+    return this.core.getActiveEnvironment();
+  }
+
+  getEffectiveVariables(environmentId) {
+    return this.core.getEffectiveVariables(environmentId);
+  }
+
+  async setActiveEnvironment(id) {
+    return await this.core.setActiveEnvironment(id);
+  }
+
+  async addEnvironment(environment) {
+    return await this.core.addEnvironment(environment);
+  }
+
+  async updateEnvironment(id, updates) {
+    return await this.core.updateEnvironment(id, updates);
+  }
+
+  async deleteEnvironment(id) {
+    return await this.core.deleteEnvironment(id);
+  }
+
   substituteVariables(text) {
     return this.core.substituteVariables(text);
   }
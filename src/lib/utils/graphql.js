@@ -0,0 +1,274 @@
+/**
+ * GraphQL Request Parsing for Universal Request Analyzer
+ *
+ * GraphQL APIs send every operation to one endpoint (usually /graphql), so
+ * the URL alone says nothing about what was called. These helpers pull the
+ * operation out of the request instead:
+ *   { operationName, operationType, variables, batchSize }
+ *
+ * Supported request shapes:
+ * - POST JSON:        {query, operationName, variables}, or an array of them
+ *                     (batched); persisted queries may omit `query`
+ * - POST graphql:     Content-Type application/graphql, body is the document
+ * - GET:              ?query=...&operationName=...&variables=<json>
+ *
+ * GraphQL servers answer errors with HTTP 200 and an `errors` array, so
+ * responses are checked with getGraphQLErrors().
+ *
+ * Shared by the background capture and the page-context interceptor, so
+ * nothing here may use extension APIs.
+ */
+
+export const GRAPHQL_OPERATION_TYPES = ["query", "mutation", "subscription"];
+
+const NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*/;
+const VALID_NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+/**
+ * List the top-level operations defined in a GraphQL document
+ * Fragments are skipped; a bare selection set ("{ user { id } }") is an
+ * anonymous query.
+ * @param {string} document - GraphQL document text
+ * @returns {Array<{operationType: string, operationName: string|null}>}
+ */
+export function parseGraphQLOperations(document) {
+  if (typeof document !== "string") return [];
+
+  const operations = [];
+  let depth = 0;
+  let i = 0;
+
+  while (i < document.length) {
+    const char = document[i];
+
+    // Comments run to the end of the line
+    if (char === "#") {
+      const end = document.indexOf("\n", i);
+      i = end === -1 ? document.length : end + 1;
+      continue;
+    }
+
+    // Skip strings so braces or keywords inside them don't count
+    if (char === '"') {
+      if (document.startsWith('"""', i)) {
+        const end = document.indexOf('"""', i + 3);
+        i = end === -1 ? document.length : end + 3;
+      } else {
+        i++;
+        while (i < document.length && document[i] !== '"') {
+          i += document[i] === "\\" ? 2 : 1;
+        }
+        i++;
+      }
+      continue;
+    }
+
+    if (char === "{" || char === "(" || char === "[") {
+      if (char === "{" && depth === 0) {
+        // Shorthand query unless a keyword already opened this definition
+        const last = operations[operations.length - 1];
+        if (!last || !last.open) {
+          operations.push({ operationType: "query", operationName: null });
+        }
+        if (last) last.open = false;
+      }
+      depth++;
+      i++;
+      continue;
+    }
+
+    if (char === "}" || char === ")" || char === "]") {
+      depth = Math.max(0, depth - 1);
+      i++;
+      continue;
+    }
+
+    const word = depth === 0 ? document.slice(i).match(NAME_PATTERN) : null;
+    if (!word) {
+      i++;
+      continue;
+    }
+
+    i += word[0].length;
+    if (GRAPHQL_OPERATION_TYPES.includes(word[0])) {
+      const name = document
+        .slice(i)
+        .replace(/^[\s,]+/, "")
+        .match(NAME_PATTERN);
+      operations.push({
+        operationType: word[0],
+        operationName: name ? name[0] : null,
+        open: true,
+      });
+    } else if (word[0] === "fragment") {
+      // Mark the fragment so its selection set isn't read as a shorthand query
+      operations.push({ fragment: true, open: true });
+    }
+  }
+
+  return operations
+    .filter((operation) => !operation.fragment)
+    .map(({ operationType, operationName }) => ({
+      operationType,
+      operationName,
+    }));
+}
+
+/**
+ * Resolve a single GraphQL request payload
+ * @param {Object} payload - {query, operationName, variables, extensions}
+ * @returns {Object|null} Operation, or null when the payload isn't GraphQL
+ */
+function parseGraphQLPayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return null;
+  }
+
+  const { query, variables, extensions } = payload;
+  // Names that aren't valid GraphQL names are ignored; they end up in
+  // analytics labels
+  const declaredName =
+    typeof payload.operationName === "string" &&
+    VALID_NAME_PATTERN.test(payload.operationName)
+      ? payload.operationName
+      : null;
+
+  // Persisted queries send a hash or id instead of the document
+  const persisted =
+    typeof query !== "string" &&
+    declaredName &&
+    (extensions?.persistedQuery || payload.id || payload.documentId);
+  if (typeof query !== "string" && !persisted) return null;
+
+  const operations = parseGraphQLOperations(query);
+  if (typeof query === "string" && operations.length === 0) return null;
+
+  const operation =
+    operations.find(
+      (op) => declaredName && op.operationName === declaredName
+    ) ||
+    operations[0] ||
+    null;
+
+  return {
+    operationName: declaredName || operation?.operationName || null,
+    operationType: operation?.operationType || null,
+    variables: variables && typeof variables === "object" ? variables : null,
+  };
+}
+
+function parseJson(text) {
+  if (typeof text !== "string") return null;
+  const trimmed = text.trim();
+  if (!trimmed.startsWith("{") && !trimmed.startsWith("[")) return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Detect a GraphQL request and parse its operation
+ * @param {Object} request - {method, url, body, contentType}
+ * @returns {Object|null} {operationName, operationType, variables, batchSize},
+ *   or null for requests that aren't GraphQL
+ */
+export function parseGraphQLRequest({ method, url, body, contentType } = {}) {
+  const verb = String(method || "GET").toUpperCase();
+
+  if (verb === "GET") {
+    let params;
+    try {
+      params = new URL(url).searchParams;
+    } catch (e) {
+      return null;
+    }
+    if (!params.has("query") && !params.has("extensions")) return null;
+
+    const operation = parseGraphQLPayload({
+      query: params.get("query") ?? undefined,
+      operationName: params.get("operationName"),
+      variables: parseJson(params.get("variables")),
+      extensions: parseJson(params.get("extensions")),
+    });
+    return operation ? { ...operation, batchSize: 1 } : null;
+  }
+
+  if (typeof body !== "string" || !body) return null;
+
+  const mime = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (mime === "application/graphql") {
+    const operation = parseGraphQLPayload({ query: body });
+    return operation ? { ...operation, batchSize: 1 } : null;
+  }
+
+  const payload = parseJson(body);
+  if (Array.isArray(payload)) {
+    const operations = payload.map(parseGraphQLPayload);
+    if (operations.length === 0 || operations.some((op) => !op)) return null;
+
+    // A batch is one HTTP request, so it is recorded as one combined
+    // operation ("GetUser,GetCart")
+    const types = [...new Set(operations.map((op) => op.operationType))];
+    return {
+      operationName: operations
+        .map((op) => op.operationName || "anonymous")
+        .join(","),
+      operationType: types.length === 1 ? types[0] : null,
+      variables: operations.map((op) => op.variables),
+      batchSize: operations.length,
+    };
+  }
+
+  const operation = parseGraphQLPayload(payload);
+  return operation ? { ...operation, batchSize: 1 } : null;
+}
+
+/**
+ * Count the entries in a GraphQL response's `errors` array
+ * @param {string} body - Response body
+ * @returns {Object|null} {count, message} (message of the first error), or
+ *   null when the body isn't a GraphQL response
+ */
+export function getGraphQLErrors(body) {
+  const parsed = parseJson(body);
+  const responses = Array.isArray(parsed) ? parsed : [parsed];
+
+  let isGraphQL = false;
+  let count = 0;
+  let message = null;
+  for (const response of responses) {
+    if (!response || typeof response !== "object") continue;
+    if (!("data" in response) && !Array.isArray(response.errors)) continue;
+
+    isGraphQL = true;
+    if (Array.isArray(response.errors)) {
+      count += response.errors.length;
+      if (message === null && response.errors.length > 0) {
+        const first = response.errors[0];
+        message =
+          typeof first?.message === "string"
+            ? first.message
+            : JSON.stringify(first);
+      }
+    }
+  }
+
+  return isGraphQL ? { count, message } : null;
+}
+
+/**
+ * Label for an operation, e.g. "query GetUser"
+ * @param {string|null} operationType
+ * @param {string|null} operationName
+ * @returns {string} Empty string for requests without an operation
+ */
+export function formatGraphQLOperation(operationType, operationName) {
+  if (!operationName && !operationType) return "";
+  if (!operationName) return `${operationType} (anonymous)`;
+  return operationType ? `${operationType} ${operationName}` : operationName;
+}
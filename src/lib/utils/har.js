@@ -0,0 +1,289 @@
+/**
+ * HAR 1.2 builders for Universal Request Analyzer
+ *
+ * Converts stored requests into HAR 1.2 entries and pages
+ * (http://www.softwareishard.com/blog/har-12-spec/). Shared by the
+ * background HAR export and ExportManager so every HAR we write has the
+ * same shape: real headers, cookies, bodies and timing phases, with -1 for
+ * values that were not recorded.
+ */
+
+import { phasesToHarTimings } from "./request-timings.js";
+
+export const HAR_VERSION = "1.2";
+export const HAR_CREATOR_NAME = "Universal Request Analyzer";
+
+// webRequest types -> Chrome DevTools _resourceType
+const RESOURCE_TYPES = {
+  main_frame: "document",
+  sub_frame: "document",
+  xmlhttprequest: "xhr",
+  fetch: "fetch",
+  script: "script",
+  stylesheet: "stylesheet",
+  image: "image",
+  imageset: "image",
+  font: "font",
+  media: "media",
+  websocket: "websocket",
+  ping: "ping",
+  csp_report: "ping",
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert a header map or webRequest header array to HAR headers
+ * Set-Cookie values joined with newlines are split into separate headers.
+ * @param {Object|Array} headers - { name: value } or [{ name, value }]
+ * @returns {Array<{name, value}>} HAR headers
+ */
+export function toHarHeaders(headers) {
+  if (!headers) return [];
+
+  const pairs = Array.isArray(headers)
+    ? headers.map((header) => [header.name, header.value])
+    : Object.entries(headers);
+
+  return pairs.flatMap(([name, value]) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    if (String(name).toLowerCase() === "set-cookie") {
+      return text
+        .split("\n")
+        .filter(Boolean)
+        .map((cookie) => ({ name, value: cookie }));
+    }
+    return [{ name, value: text }];
+  });
+}
+
+function findHeader(headers, name) {
+  const header = headers.find(
+    (candidate) => candidate.name.toLowerCase() === name
+  );
+  return header ? header.value : null;
+}
+
+/**
+ * Parse a Cookie request header
+ * @param {string} value - "a=1; b=2"
+ * @returns {Array<{name, value}>} HAR cookies
+ */
+export function parseCookieHeader(value) {
+  if (!value) return [];
+
+  return value
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter((pair) => pair.includes("="))
+    .map((pair) => {
+      const index = pair.indexOf("=");
+      return { name: pair.slice(0, index), value: pair.slice(index + 1) };
+    });
+}
+
+/**
+ * Parse a Set-Cookie response header
+ * @param {string} value - "id=1; Path=/; HttpOnly"
+ * @returns {Object|null} HAR cookie
+ */
+export function parseSetCookieHeader(value) {
+  const [pair, ...attributes] = (value || "").split(";");
+  const index = pair.indexOf("=");
+  if (index <= 0) return null;
+
+  const cookie = {
+    name: pair.slice(0, index).trim(),
+    value: pair.slice(index + 1).trim(),
+  };
+
+  attributes.forEach((attribute) => {
+    const [key, ...rest] = attribute.split("=");
+    const attrValue = rest.join("=").trim();
+    switch (key.trim().toLowerCase()) {
+      case "path":
+        cookie.path = attrValue;
+        break;
+      case "domain":
+        cookie.domain = attrValue;
+        break;
+      case "expires": {
+        const expires = Date.parse(attrValue);
+        if (Number.isFinite(expires)) {
+          cookie.expires = new Date(expires).toISOString();
+        }
+        break;
+      }
+      case "httponly":
+        cookie.httpOnly = true;
+        break;
+      case "secure":
+        cookie.secure = true;
+        break;
+    }
+  });
+
+  return cookie;
+}
+
+/**
+ * Normalize a protocol string to a HAR httpVersion
+ * @param {string} protocol - e.g. "h2", "http/1.1", "HTTP/2", "h3"
+ * @returns {string} HAR httpVersion
+ */
+export function toHarHttpVersion(protocol) {
+  const value = String(protocol || "").toLowerCase();
+  if (!value) return "HTTP/1.1";
+  if (value === "h2" || value === "http/2" || value === "http/2.0") {
+    return "HTTP/2";
+  }
+  if (value.startsWith("h3") || value.startsWith("http/3")) return "HTTP/3";
+  if (value.startsWith("http/")) return value.toUpperCase();
+  return "HTTP/1.1";
+}
+
+function getQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({
+      name,
+      value,
+    }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+function positive(value) {
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function buildPostData(body, mimeType) {
+  const postData = { mimeType, text: body };
+
+  if (mimeType.toLowerCase().includes("application/x-www-form-urlencoded")) {
+    postData.params = Array.from(
+      new URLSearchParams(body),
+      ([name, value]) => ({ name, value })
+    );
+  }
+
+  return postData;
+}
+
+/**
+ * Build a HAR entry from a stored request
+ * @param {Object} request - {
+ *   url, method, status, statusText, protocol, type, timestamp, duration,
+ *   sizeBytes, fromCache, requestHeaders, responseHeaders, requestBody,
+ *   responseBody, phases, decodedSize, encodedSize }
+ * @param {Object} [options] - { pageref }
+ * @returns {Object} HAR entry
+ */
+export function buildHarEntry(request, options = {}) {
+  const httpVersion = toHarHttpVersion(request.protocol);
+  const requestHeaders = toHarHeaders(request.requestHeaders);
+  const responseHeaders = toHarHeaders(request.responseHeaders);
+
+  const requestBody = request.requestBody || null;
+  const responseBody = request.responseBody || null;
+  const responseMimeType =
+    findHeader(responseHeaders, "content-type") || "x-unknown";
+  const encodedSize =
+    positive(request.encodedSize) ?? positive(request.sizeBytes) ?? -1;
+
+  const timings = phasesToHarTimings(request.phases, request.duration || 0);
+  // "time" is the sum of the applicable timings; "ssl" is part of "connect"
+  const time = round(
+    Object.entries(timings).reduce(
+      (sum, [phase, value]) =>
+        phase !== "ssl" && value > 0 ? sum + value : sum,
+      0
+    )
+  );
+
+  const entry = {
+    startedDateTime: new Date(request.timestamp || Date.now()).toISOString(),
+    time,
+    request: {
+      method: (request.method || "GET").toUpperCase(),
+      url: request.url || "",
+      httpVersion,
+      cookies: parseCookieHeader(findHeader(requestHeaders, "cookie")),
+      headers: requestHeaders,
+      queryString: getQueryString(request.url),
+      headersSize: -1,
+      bodySize: requestBody ? byteLength(requestBody) : 0,
+    },
+    response: {
+      status: request.status || 0,
+      statusText: request.statusText || "",
+      httpVersion,
+      cookies: responseHeaders
+        .filter((header) => header.name.toLowerCase() === "set-cookie")
+        .map((header) => parseSetCookieHeader(header.value))
+        .filter(Boolean),
+      headers: responseHeaders,
+      content: {
+        size:
+          positive(request.decodedSize) ??
+          (responseBody ? byteLength(responseBody) : Math.max(encodedSize, 0)),
+        mimeType: responseMimeType,
+      },
+      redirectURL: findHeader(responseHeaders, "location") || "",
+      headersSize: -1,
+      bodySize: request.fromCache ? 0 : encodedSize,
+    },
+    cache: {},
+    timings,
+  };
+
+  if (options.pageref) {
+    entry.pageref = options.pageref;
+  }
+  if (requestBody) {
+    entry.request.postData = buildPostData(
+      requestBody,
+      findHeader(requestHeaders, "content-type") || "application/octet-stream"
+    );
+  }
+  if (responseBody) {
+    entry.response.content.text = responseBody;
+  }
+
+  // Chrome DevTools extensions, read by most HAR viewers
+  entry._resourceType = RESOURCE_TYPES[request.type] || "other";
+  if (positive(request.sizeBytes)) {
+    entry.response._transferSize = request.sizeBytes;
+  }
+  if (request.fromCache) {
+    entry._fromCache = "disk";
+  }
+  if (request.error) {
+    entry.response._error = request.error;
+  }
+
+  return entry;
+}
+
+/**
+ * Build a HAR 1.2 document
+ * @param {Object} parts - { entries, pages, creatorVersion }
+ * @returns {Object} { log }
+ */
+export function buildHarLog({ entries = [], pages = [], creatorVersion }) {
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: {
+        name: HAR_CREATOR_NAME,
+        version: creatorVersion || "1.0.0",
+      },
+      pages,
+      entries,
+    },
+  };
+}
@@ -0,0 +1,204 @@
+/**
+ * Interaction to Next Paint (INP) for Universal Request Analyzer
+ *
+ * Groups Event Timing entries by interactionId and estimates INP the way
+ * Chrome does: the worst interaction, or roughly the 98th percentile on pages
+ * with many interactions (one outlier is ignored per 50 interactions).
+ *
+ * Attribution for the INP interaction (milliseconds):
+ *   { target, interactionType, eventType, inputDelay, processingTime,
+ *     presentationDelay, longAnimationFrames, scripts }
+ *
+ * scripts come from long-animation-frame entries that overlap the
+ * interaction, slowest first.
+ */
+
+export const INP_THRESHOLDS = { good: 200, poor: 500 };
+
+// Only the slowest interactions can ever become INP
+const MAX_INTERACTIONS = 10;
+const MAX_FRAMES = 100;
+const MAX_SCRIPTS = 5;
+
+const round = (value) => Math.max(0, Math.round((value || 0) * 100) / 100);
+
+/**
+ * Rate an INP value
+ * @param {number} value - INP (ms)
+ * @returns {string} good | needs-improvement | poor
+ */
+export function rateInp(value) {
+  if (value <= INP_THRESHOLDS.good) return "good";
+  if (value <= INP_THRESHOLDS.poor) return "needs-improvement";
+  return "poor";
+}
+
+/**
+ * Build a short CSS selector for an interaction target
+ * @param {Element} node - Event target
+ * @param {number} [maxDepth=3] - Ancestors to include
+ * @returns {string|null} Selector, e.g. "div.cart > button#checkout"
+ */
+export function getTargetSelector(node, maxDepth = 3) {
+  const parts = [];
+  let current = node;
+
+  while (current && current.nodeType === 1 && parts.length < maxDepth) {
+    let part = current.localName;
+    if (current.id) {
+      parts.unshift(`${part}#${current.id}`);
+      break;
+    }
+    const classes = Array.from(current.classList || []).slice(0, 2);
+    if (classes.length) {
+      part += `.${classes.join(".")}`;
+    }
+    parts.unshift(part);
+    current = current.parentElement;
+  }
+
+  return parts.length ? parts.join(" > ") : null;
+}
+
+function overlaps(frame, interaction) {
+  return (
+    frame.startTime < interaction.startTime + interaction.latency &&
+    frame.startTime + frame.duration > interaction.startTime
+  );
+}
+
+function toScript(script) {
+  return {
+    sourceURL: script.sourceURL || null,
+    sourceFunctionName: script.sourceFunctionName || null,
+    invoker: script.invoker || null,
+    invokerType: script.invokerType || null,
+    duration: round(script.duration),
+    forcedStyleAndLayoutDuration: round(script.forcedStyleAndLayoutDuration),
+  };
+}
+
+export class InteractionTracker {
+  constructor() {
+    this.interactions = new Map();
+    this.longest = [];
+    this.frames = [];
+    this.interactionIds = new Set();
+  }
+
+  /**
+   * Record an "event" or "first-input" entry
+   * Entries without an interactionId (hover, scroll...) are ignored.
+   * @param {PerformanceEventTiming} entry - Event timing entry
+   */
+  addEntry(entry) {
+    if (!entry || !entry.interactionId) return;
+    this.interactionIds.add(entry.interactionId);
+
+    let interaction = this.interactions.get(entry.interactionId);
+    if (!interaction) {
+      const minLatency = this.longest.length
+        ? this.longest[this.longest.length - 1].latency
+        : 0;
+      if (
+        this.longest.length >= MAX_INTERACTIONS &&
+        entry.duration <= minLatency
+      ) {
+        return;
+      }
+
+      interaction = {
+        id: entry.interactionId,
+        latency: entry.duration,
+        startTime: entry.startTime,
+        processingStart: entry.processingStart,
+        processingEnd: entry.processingEnd,
+        eventType: entry.name,
+        target: null,
+      };
+      this.interactions.set(interaction.id, interaction);
+      this.longest.push(interaction);
+    }
+
+    // keydown/keyup or pointerdown/pointerup/click share one interaction
+    interaction.latency = Math.max(interaction.latency, entry.duration);
+    interaction.startTime = Math.min(interaction.startTime, entry.startTime);
+    interaction.processingStart = Math.min(
+      interaction.processingStart,
+      entry.processingStart
+    );
+    interaction.processingEnd = Math.max(
+      interaction.processingEnd,
+      entry.processingEnd
+    );
+    // The target may be detached later, so resolve the selector now
+    if (!interaction.target && entry.target) {
+      interaction.target = getTargetSelector(entry.target);
+    }
+
+    this.longest.sort((a, b) => b.latency - a.latency);
+    this.longest.splice(MAX_INTERACTIONS).forEach((dropped) => {
+      this.interactions.delete(dropped.id);
+    });
+  }
+
+  /**
+   * Record a long-animation-frame entry for script attribution
+   * @param {PerformanceLongAnimationFrameTiming} frame - LoAF entry
+   */
+  addLongAnimationFrame(frame) {
+    if (!frame) return;
+    this.frames.push(frame);
+
+    if (this.frames.length > MAX_FRAMES) {
+      this.frames = this.frames.filter((candidate) =>
+        this.longest.some((interaction) => overlaps(candidate, interaction))
+      );
+      this.frames = this.frames.slice(-MAX_FRAMES);
+    }
+  }
+
+  /**
+   * Estimate INP with attribution
+   * @param {number} [interactionCount] - performance.interactionCount when
+   *   the browser provides it; otherwise observed interactions are counted
+   * @returns {{value: number, attribution: Object}|null} INP, or null before
+   *   the first interaction
+   */
+  getInp(interactionCount) {
+    if (this.longest.length === 0) return null;
+
+    const count = interactionCount || this.interactionIds.size;
+    const index = Math.min(this.longest.length - 1, Math.floor(count / 50));
+    const interaction = this.longest[index];
+
+    const frames = this.frames.filter((frame) => overlaps(frame, interaction));
+    const scripts = frames
+      .flatMap((frame) => Array.from(frame.scripts || []))
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, MAX_SCRIPTS)
+      .map(toScript);
+
+    return {
+      value: round(interaction.latency),
+      attribution: {
+        target: interaction.target,
+        interactionType: interaction.eventType?.startsWith("key")
+          ? "keyboard"
+          : "pointer",
+        eventType: interaction.eventType,
+        inputDelay: round(interaction.processingStart - interaction.startTime),
+        processingTime: round(
+          interaction.processingEnd - interaction.processingStart
+        ),
+        presentationDelay: round(
+          interaction.startTime +
+            interaction.latency -
+            interaction.processingEnd
+        ),
+        longAnimationFrames: frames.length,
+        scripts,
+      },
+    };
+  }
+}
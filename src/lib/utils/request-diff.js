@@ -0,0 +1,311 @@
+/**
+ * Request diffing for Universal Request Analyzer
+ *
+ * Compares two request snapshots (captured requests, or a captured request
+ * and its runner replay): URL and query params, request/response headers,
+ * and bodies. JSON bodies get a structural diff by path ($.items[0].id);
+ * other bodies get a line diff.
+ *
+ * Snapshot shape:
+ *   { url, method, status, duration, sizeBytes,
+ *     requestHeaders, responseHeaders,   // [{name, value}] or {name: value}
+ *     requestBody, responseBody }        // strings
+ */
+
+export const DIFF_STATUS = {
+  ADDED: "added",
+  REMOVED: "removed",
+  CHANGED: "changed",
+  UNCHANGED: "unchanged",
+};
+
+// Keep huge payloads from producing unreadable (and slow) diffs
+export const MAX_JSON_CHANGES = 500;
+export const MAX_TEXT_DIFF_LINES = 1000;
+
+function compareValues(name, left, right) {
+  let status = DIFF_STATUS.UNCHANGED;
+  if (left === undefined) status = DIFF_STATUS.ADDED;
+  else if (right === undefined) status = DIFF_STATUS.REMOVED;
+  else if (left !== right) status = DIFF_STATUS.CHANGED;
+  return { name, status, left, right };
+}
+
+function parseUrlSafe(url) {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+function groupParams(url) {
+  const params = new Map();
+  if (!url) return params;
+  url.searchParams.forEach((value, name) => {
+    params.set(
+      name,
+      params.has(name) ? `${params.get(name)}, ${value}` : value
+    );
+  });
+  return params;
+}
+
+/**
+ * Diff two URLs: origin, path and query params (repeated params are joined)
+ * @returns {Object} { changed, origin, path, params: [{name, status, left, right}] }
+ */
+export function diffUrls(leftUrl, rightUrl) {
+  const left = parseUrlSafe(leftUrl);
+  const right = parseUrlSafe(rightUrl);
+  const leftParams = groupParams(left);
+  const rightParams = groupParams(right);
+
+  const names = [...new Set([...leftParams.keys(), ...rightParams.keys()])];
+  const params = names.map((name) =>
+    compareValues(name, leftParams.get(name), rightParams.get(name))
+  );
+
+  const origin = compareValues(
+    "origin",
+    left ? left.origin : leftUrl,
+    right ? right.origin : rightUrl
+  );
+  const path = compareValues("path", left?.pathname, right?.pathname);
+
+  return {
+    changed:
+      origin.status !== DIFF_STATUS.UNCHANGED ||
+      path.status !== DIFF_STATUS.UNCHANGED ||
+      params.some((param) => param.status !== DIFF_STATUS.UNCHANGED),
+    origin,
+    path,
+    params,
+  };
+}
+
+function normalizeHeaders(headers) {
+  const list = Array.isArray(headers)
+    ? headers
+    : Object.entries(headers || {}).map(([name, value]) => ({ name, value }));
+
+  // Header names are case-insensitive; repeated headers are joined
+  const byName = new Map();
+  list.forEach(({ name, value }) => {
+    if (!name) return;
+    const key = String(name).toLowerCase();
+    const existing = byName.get(key);
+    byName.set(key, {
+      name: existing?.name || name,
+      value: existing ? `${existing.value}\n${value}` : String(value ?? ""),
+    });
+  });
+  return byName;
+}
+
+/**
+ * Diff two header sets by case-insensitive name
+ * @returns {Array<{name, status, left, right}>} Sorted by name
+ */
+export function diffHeaders(leftHeaders, rightHeaders) {
+  const left = normalizeHeaders(leftHeaders);
+  const right = normalizeHeaders(rightHeaders);
+
+  return [...new Set([...left.keys(), ...right.keys()])]
+    .sort()
+    .map((key) =>
+      compareValues(
+        left.get(key)?.name || right.get(key)?.name,
+        left.get(key)?.value,
+        right.get(key)?.value
+      )
+    );
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Structural diff of two parsed JSON values
+ * Only differences are returned; arrays are compared by index.
+ * @returns {Object} { changes: [{path, status, left, right}], truncated }
+ */
+export function diffJson(left, right, maxChanges = MAX_JSON_CHANGES) {
+  const changes = [];
+  let truncated = false;
+
+  const walk = (a, b, path) => {
+    if (changes.length >= maxChanges) {
+      truncated = true;
+      return;
+    }
+
+    const typeA = typeOf(a);
+    const typeB = typeOf(b);
+    if (typeA !== typeB || (typeA !== "object" && typeA !== "array")) {
+      if (a !== b) {
+        changes.push({ path, status: DIFF_STATUS.CHANGED, left: a, right: b });
+      }
+      return;
+    }
+
+    const keys =
+      typeA === "array"
+        ? Array.from({ length: Math.max(a.length, b.length) }, (_, i) => i)
+        : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+
+    keys.forEach((key) => {
+      const inA = typeA === "array" ? key < a.length : key in a;
+      const inB = typeA === "array" ? key < b.length : key in b;
+      const next = childPath(path, key);
+
+      if (changes.length >= maxChanges) {
+        truncated = true;
+      } else if (!inA) {
+        changes.push({ path: next, status: DIFF_STATUS.ADDED, right: b[key] });
+      } else if (!inB) {
+        changes.push({ path: next, status: DIFF_STATUS.REMOVED, left: a[key] });
+      } else {
+        walk(a[key], b[key], next);
+      }
+    });
+  };
+
+  walk(left, right, "$");
+  return { changes, truncated };
+}
+
+/**
+ * Line diff (longest common subsequence)
+ * @returns {Array<{status, left, right}>} Lines in order
+ */
+export function diffLines(leftText, rightText) {
+  const a = leftText.split("\n");
+  const b = rightText.split("\n");
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from(
+    { length: a.length + 1 },
+    () => new Uint16Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ status: DIFF_STATUS.UNCHANGED, left: a[i], right: b[j] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ status: DIFF_STATUS.REMOVED, left: a[i++] });
+    } else {
+      lines.push({ status: DIFF_STATUS.ADDED, right: b[j++] });
+    }
+  }
+  while (i < a.length)
+    lines.push({ status: DIFF_STATUS.REMOVED, left: a[i++] });
+  while (j < b.length) lines.push({ status: DIFF_STATUS.ADDED, right: b[j++] });
+  return lines;
+}
+
+function parseJsonBody(body) {
+  const trimmed = body.trim();
+  if (!/^[[{]/.test(trimmed)) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Diff two bodies: structural when both are JSON, by line otherwise
+ * @returns {Object} { kind: "none"|"json"|"text", equal, ... }
+ */
+export function diffBodies(leftBody, rightBody) {
+  const left = leftBody ?? "";
+  const right = rightBody ?? "";
+  if (!left && !right) {
+    return { kind: "none", equal: true };
+  }
+
+  const leftJson = parseJsonBody(left);
+  const rightJson = parseJsonBody(right);
+  if (leftJson !== undefined && rightJson !== undefined) {
+    const { changes, truncated } = diffJson(leftJson, rightJson);
+    return { kind: "json", equal: changes.length === 0, changes, truncated };
+  }
+
+  const equal = left === right;
+  const lineCount = Math.max(left.split("\n").length, right.split("\n").length);
+  if (equal || lineCount > MAX_TEXT_DIFF_LINES) {
+    return { kind: "text", equal, lines: null, tooLarge: !equal };
+  }
+  return { kind: "text", equal, lines: diffLines(left, right) };
+}
+
+/**
+ * Diff two request snapshots
+ * @param {Object} left - Baseline request (e.g. staging, or the capture)
+ * @param {Object} right - Compared request (e.g. prod, or the replay)
+ * @returns {Object} Diff with a changeCount for quick summaries
+ */
+export function diffRequests(left, right) {
+  const summary = [
+    compareValues("method", left.method, right.method),
+    compareValues("status", left.status ?? null, right.status ?? null),
+    compareValues("duration", left.duration ?? null, right.duration ?? null),
+    compareValues("size", left.sizeBytes ?? null, right.sizeBytes ?? null),
+  ];
+
+  const url = diffUrls(left.url, right.url);
+  const requestHeaders = diffHeaders(left.requestHeaders, right.requestHeaders);
+  const responseHeaders = diffHeaders(
+    left.responseHeaders,
+    right.responseHeaders
+  );
+  const requestBody = diffBodies(left.requestBody, right.requestBody);
+  const responseBody = diffBodies(left.responseBody, right.responseBody);
+
+  const countChanged = (items) =>
+    items.filter((item) => item.status !== DIFF_STATUS.UNCHANGED).length;
+  const countBody = (body) =>
+    body.kind === "json" ? body.changes.length : body.equal ? 0 : 1;
+
+  return {
+    summary,
+    url,
+    requestHeaders,
+    responseHeaders,
+    requestBody,
+    responseBody,
+    changeCount:
+      // Timing and size always vary between runs; they aren't "changes"
+      countChanged(summary.slice(0, 2)) +
+      (url.origin.status !== DIFF_STATUS.UNCHANGED ? 1 : 0) +
+      (url.path.status !== DIFF_STATUS.UNCHANGED ? 1 : 0) +
+      countChanged(url.params) +
+      countChanged(requestHeaders) +
+      countChanged(responseHeaders) +
+      countBody(requestBody) +
+      countBody(responseBody),
+  };
+}
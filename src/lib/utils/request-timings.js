@@ -0,0 +1,147 @@
+/**
+ * Request Timing Phases for Universal Request Analyzer
+ *
+ * Converts measured browser timings into waterfall phases (milliseconds):
+ *   { queued, dns, tcp, ssl, waiting, download }
+ *
+ * Sources:
+ * - resource-timing: Resource Timing entries from the content script's
+ *                    PerformanceObserver, stored in bronze_request_timings
+ * - devtools-har:    HAR entries from chrome.devtools.network.onRequestFinished
+ * - har-import:      HAR files imported into the database (importHAR)
+ *
+ * Requests without either source have no measured phases; the waterfall
+ * estimates them and marks the bar as estimated.
+ */
+
+export const TIMING_SOURCES = {
+  RESOURCE_TIMING: "resource-timing",
+  DEVTOOLS_HAR: "devtools-har",
+  HAR_IMPORT: "har-import",
+};
+
+const round = (value) => Math.max(0, Math.round((value || 0) * 100) / 100);
+
+/**
+ * Build phases from a PerformanceResourceTiming entry
+ * Cross-origin resources without Timing-Allow-Origin report zeroed
+ * connection and request marks, so they have no measurable phases.
+ * @param {PerformanceResourceTiming} entry - Resource timing entry
+ * @returns {Object|null} Phases, or null when the entry is opaque
+ */
+export function resourceTimingToPhases(entry) {
+  if (!entry || !(entry.requestStart > 0) || !(entry.responseStart > 0)) {
+    return null;
+  }
+
+  const connectEnd = entry.connectEnd || entry.connectStart || 0;
+  const sslStart =
+    entry.secureConnectionStart > 0 ? entry.secureConnectionStart : 0;
+  const dns = entry.domainLookupEnd - entry.domainLookupStart;
+  const tcp = (sslStart || connectEnd) - entry.connectStart;
+  const ssl = sslStart ? connectEnd - sslStart : 0;
+
+  return {
+    queued: round(entry.requestStart - entry.startTime - dns - tcp - ssl),
+    dns: round(dns),
+    tcp: round(tcp),
+    ssl: round(ssl),
+    waiting: round(entry.responseStart - entry.requestStart),
+    download: round(entry.responseEnd - entry.responseStart),
+  };
+}
+
+/**
+ * Build phases from HAR entry timings (-1 means "not applicable")
+ * HAR "connect" includes "ssl", so TLS time is subtracted from TCP.
+ * @param {Object} timings - HAR timings {blocked, dns, connect, ssl, send, wait, receive}
+ * @returns {Object|null} Phases
+ */
+export function harTimingsToPhases(timings) {
+  if (!timings) return null;
+
+  const value = (name) => (timings[name] > 0 ? timings[name] : 0);
+  const ssl = value("ssl");
+
+  return {
+    queued: round(value("blocked")),
+    dns: round(value("dns")),
+    tcp: round(Math.max(value("connect") - ssl, 0)),
+    ssl: round(ssl),
+    waiting: round(value("send") + value("wait")),
+    download: round(value("receive")),
+  };
+}
+
+/**
+ * Build HAR entry timings from phases (inverse of harTimingsToPhases)
+ * Without measured phases the whole duration is reported as "wait" and the
+ * connection phases as -1 (not available).
+ * @param {Object|null} phases - Waterfall phases
+ * @param {number} [duration=0] - Total request duration (ms)
+ * @returns {Object} HAR timings {blocked, dns, connect, ssl, send, wait, receive}
+ */
+export function phasesToHarTimings(phases, duration = 0) {
+  if (!phases) {
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: round(duration),
+      receive: 0,
+    };
+  }
+
+  return {
+    blocked: round(phases.queued),
+    dns: round(phases.dns),
+    // HAR "connect" includes the TLS handshake
+    connect: round(phases.tcp + phases.ssl),
+    ssl: round(phases.ssl),
+    send: 0,
+    wait: round(phases.waiting),
+    receive: round(phases.download),
+  };
+}
+
+/**
+ * Build phases from a bronze_request_timings row
+ * @param {Object} row - Row with *_duration columns and timing_source
+ * @returns {Object|null} Phases, or null when the row was not measured
+ */
+export function timingRowToPhases(row) {
+  if (!row || !row.timing_source) return null;
+
+  return {
+    queued: round(row.queued_duration),
+    dns: round(row.dns_duration),
+    tcp: round(row.tcp_duration),
+    ssl: round(row.ssl_duration),
+    waiting: round(row.request_duration),
+    download: round(row.response_duration),
+  };
+}
+
+/**
+ * Pick the candidate that started closest to a timestamp
+ * @param {Array} candidates - Items with a startedAt (ms epoch)
+ * @param {number} timestamp - Target time (ms epoch)
+ * @param {number} [toleranceMs=10000] - Maximum distance
+ * @returns {Object|null} Closest candidate
+ */
+export function findClosestTiming(candidates, timestamp, toleranceMs = 10000) {
+  let closest = null;
+  let closestDistance = Infinity;
+
+  (candidates || []).forEach((candidate) => {
+    const distance = Math.abs(candidate.startedAt - timestamp);
+    if (distance <= toleranceMs && distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  });
+
+  return closest;
+}
@@ -0,0 +1,112 @@
+/**
+ * Variable Environments for Universal Request Analyzer
+ *
+ * Variables live in settings.variables:
+ * - list:              global variables ({ id, name, value, description,
+ *                      secret }); secret values are kept out of settings
+ * - environments:      named environments ({ id, name, values: { NAME: value } })
+ * - activeEnvironment: id of the environment applied by default (or null)
+ *
+ * An environment overrides global values by name and may add variables of
+ * its own, so the same runners and collections can target dev/staging/prod.
+ */
+
+/**
+ * Find an environment by id
+ * @param {Object} variablesSettings - settings.variables
+ * @param {string} environmentId - Environment ID
+ * @returns {Object|null} Environment
+ */
+export function findEnvironment(variablesSettings, environmentId) {
+  if (!environmentId) return null;
+  return (
+    (variablesSettings?.environments || []).find(
+      (env) => env.id === environmentId
+    ) || null
+  );
+}
+
+/**
+ * Resolve the effective variable list for an environment
+ * @param {Object} variablesSettings - settings.variables
+ * @param {string|null} [environmentId] - Environment to apply; undefined uses
+ *   the active environment, null uses global values only
+ * @returns {Array} Variables ({ name, value, ... , environment })
+ */
+export function resolveVariables(variablesSettings, environmentId) {
+  const list = variablesSettings?.list || [];
+  const environment = findEnvironment(
+    variablesSettings,
+    environmentId === undefined
+      ? variablesSettings?.activeEnvironment
+      : environmentId
+  );
+
+  if (!environment) {
+    return list.map((variable) => ({ ...variable }));
+  }
+
+  const values = environment.values || {};
+  const resolved = list.map((variable) =>
+    Object.prototype.hasOwnProperty.call(values, variable.name)
+      ? {
+          ...variable,
+          value: values[variable.name],
+          environment: environment.id,
+        }
+      : { ...variable }
+  );
+
+  // Variables that only exist in the environment
+  Object.entries(values).forEach(([name, value]) => {
+    if (!list.some((variable) => variable.name === name)) {
+      resolved.push({ name, value, environment: environment.id });
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Resolve variables into a name -> value map (empty values are skipped)
+ * @param {Object} variablesSettings - settings.variables
+ * @param {string|null} [environmentId] - See resolveVariables
+ * @returns {Object} Variable map
+ */
+export function resolveVariableMap(variablesSettings, environmentId) {
+  const variables = {};
+  resolveVariables(variablesSettings, environmentId).forEach((variable) => {
+    if (variable.name && variable.value) {
+      variables[variable.name] = variable.value;
+    }
+  });
+  return variables;
+}
+
+/**
+ * Copy variable settings with secret values removed
+ * Secret values live encrypted in the background (see secret-variables.js);
+ * this keeps stray plaintext out of exports and saved settings.
+ * @param {Object} variablesSettings - settings.variables
+ * @returns {Object} Copy without secret values
+ */
+export function withoutSecretValues(variablesSettings) {
+  if (!variablesSettings) return variablesSettings;
+
+  const list = variablesSettings.list || [];
+  const secretNames = list
+    .filter((variable) => variable.secret)
+    .map((variable) => variable.name);
+
+  return {
+    ...variablesSettings,
+    list: list.map((variable) =>
+      variable.secret ? { ...variable, value: "" } : { ...variable }
+    ),
+    environments: (variablesSettings.environments || []).map((env) => {
+      const values = { ...(env.values || {}) };
+      secretNames.forEach((name) => delete values[name]);
+      return { ...env, values };
+    }),
+  };
+}
@@ -0,0 +1,62 @@
+// Offscreen document (Chrome) - spawns the database worker and relays the
+// service worker's engine port to it. The document outlives service worker
+// restarts, so the database stays loaded while the service worker comes and
+// goes.
+
+import {
+  ENGINE_PORT_NAME,
+  decodeEngineMessage,
+  encodeEngineMessage,
+} from "../../background/database/db-engine-protocol.js";
+
+const worker = new Worker("db-engine-worker.js");
+const ports = new Set();
+// Relay request id -> { port, id } so replies reach the port that asked
+const pending = new Map();
+let nextRequestId = 1;
+
+function postToPort(port, message) {
+  try {
+    port.postMessage(encodeEngineMessage(message));
+  } catch (error) {
+    ports.delete(port);
+  }
+}
+
+worker.onmessage = ({ data: message }) => {
+  if (message.event) {
+    ports.forEach((port) => postToPort(port, message));
+    return;
+  }
+
+  const request = pending.get(message.id);
+  if (request) {
+    pending.delete(message.id);
+    postToPort(request.port, { ...message, id: request.id });
+  }
+};
+
+worker.onerror = (error) => {
+  console.error("[Offscreen] Database worker error:", error.message);
+};
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ENGINE_PORT_NAME) {
+    return;
+  }
+
+  ports.add(port);
+  port.onMessage.addListener((message) => {
+    const id = nextRequestId++;
+    pending.set(id, { port, id: message.id });
+    worker.postMessage({ ...decodeEngineMessage(message), id });
+  });
+  port.onDisconnect.addListener(() => {
+    ports.delete(port);
+    pending.forEach((request, id) => {
+      if (request.port === port) {
+        pending.delete(id);
+      }
+    });
+  });
+});
@@ -132,6 +132,11 @@ class Alerts {
               ? `<div class="rule-domain">Domain: ${rule.domain}</div>`
               : ""
           }
+          <div class="rule-window">
+            Window: ${rule.window_minutes || 5} min | Cooldown: ${
+          rule.cooldown_minutes ?? 15
+        } min
+          </div>
         </div>
       </div>
     `
@@ -156,6 +161,13 @@ class Alerts {
       errorRate: "Error Rate",
       requestCount: "Request Count",
       maxDuration: "Max Response Time",
+      p95Duration: "p95 Response Time",
+      lcp: "LCP (p75)",
+      fcp: "FCP (p75)",
+      cls: "CLS (p75)",
+      ttfb: "TTFB (p75)",
+      inp: "INP (p75)",
+      fid: "FID (p75)",
     };
 
     const conditions = {
@@ -168,7 +180,8 @@ class Alerts {
     const condition = conditions[rule.condition] || rule.condition;
 
     return `${metric} ${condition} ${rule.threshold}${
-      rule.metric.includes("Duration")
+      rule.metric.includes("Duration") ||
+      ["lcp", "fcp", "ttfb", "inp", "fid"].includes(rule.metric)
         ? "ms"
         : rule.metric === "errorRate"
         ? "%"
@@ -221,7 +234,9 @@ class Alerts {
           ${alert.message}
         </div>
         <div class="alert-values">
-          Value: ${alert.value} | Threshold: ${alert.threshold}
+          Value: ${Math.round(alert.value * 100) / 100} | Threshold: ${
+          alert.threshold
+        }
         </div>
       </div>
     `
@@ -239,6 +254,9 @@ class Alerts {
       document.getElementById("alertMetric").value = "avgDuration";
       document.getElementById("alertCondition").value = "gt";
       document.getElementById("alertThreshold").value = "";
+      document.getElementById("alertWindow").value = 5;
+      document.getElementById("alertCooldown").value = 15;
+      document.getElementById("alertMinSamples").value = 5;
       document.getElementById("alertDomain").value = "";
       document.getElementById("alertEnabled").checked = true;
 
@@ -260,6 +278,15 @@ class Alerts {
     const threshold = parseFloat(
       document.getElementById("alertThreshold")?.value
     );
+    const windowMinutes = parseInt(
+      document.getElementById("alertWindow")?.value
+    );
+    const cooldownMinutes = parseInt(
+      document.getElementById("alertCooldown")?.value
+    );
+    const minSamples = parseInt(
+      document.getElementById("alertMinSamples")?.value
+    );
     const domain = document.getElementById("alertDomain")?.value;
     const enabled = document.getElementById("alertEnabled")?.checked;
 
@@ -273,6 +300,9 @@ class Alerts {
       metric,
       condition,
       threshold,
+      windowMinutes: windowMinutes > 0 ? windowMinutes : 5,
+      cooldownMinutes: cooldownMinutes >= 0 ? cooldownMinutes : 15,
+      minSamples: minSamples > 0 ? minSamples : 5,
       domain: domain || null,
       enabled,
     };
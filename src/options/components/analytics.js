@@ -2,10 +2,19 @@
 // Manages advanced analytics features: percentiles, anomaly detection, trends, heatmaps
 
 import Chart from "../../lib/chart.min.js";
+import { formatGraphQLOperation } from "../../lib/utils/graphql.js";
 
 // Constants
 const DEFAULT_TIME_RANGE = 604800; // 7 days in seconds
 
+// Operation names come from captured traffic
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
 class Analytics {
   constructor() {
     this.charts = {};
@@ -249,6 +258,7 @@ class Analytics {
 
       if (response?.success && response.percentiles) {
         this.displayPercentiles(response.percentiles);
+        this.displayOperationPercentiles(response.byOperation || []);
       }
     } catch (error) {
       console.error("Failed to load percentiles:", error);
@@ -278,6 +288,59 @@ class Analytics {
     }
   }
 
+  // GraphQL operations share one URL, so they get their own breakdown
+  displayOperationPercentiles(operations) {
+    const sectionEl = document.getElementById("operationPercentiles");
+    const tableEl = document.getElementById("operationPercentilesTable");
+    if (!sectionEl || !tableEl) return;
+
+    if (operations.length === 0) {
+      sectionEl.style.display = "none";
+      tableEl.innerHTML = "";
+      return;
+    }
+
+    const formatMs = (value) => (value ? `${Math.round(value)}ms` : "-");
+    const rows = operations
+      .map(
+        (operation) => `
+        <tr>
+          <td><code>${escapeHtml(
+            formatGraphQLOperation(
+              operation.operationType,
+              operation.operationName
+            )
+          )}</code></td>
+          <td>${operation.count}</td>
+          <td>${formatMs(operation.p50)}</td>
+          <td>${formatMs(operation.p90)}</td>
+          <td>${formatMs(operation.p95)}</td>
+          <td>${formatMs(operation.p99)}</td>
+          <td>${operation.errorCount} (${operation.errorRate}%)</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    tableEl.innerHTML = `
+      <table class="data-table" style="width: 100%">
+        <thead>
+          <tr>
+            <th>Operation</th>
+            <th>Requests</th>
+            <th>P50</th>
+            <th>P90</th>
+            <th>P95</th>
+            <th>P99</th>
+            <th>Errors</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+    sectionEl.style.display = "block";
+  }
+
   async loadAnomalyDetection() {
     const loadingEl = document.getElementById("anomaliesLoading");
     if (loadingEl) loadingEl.style.display = "block";
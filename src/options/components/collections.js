@@ -3,6 +3,8 @@
  * Replaces chrome.storage with database storage
  */
 
+import settingsManager from "../../lib/shared-components/settings-ui-coordinator.js";
+
 const browserAPI = globalThis.browser || globalThis.chrome;
 
 class CollectionsManager {
@@ -38,6 +40,17 @@ class CollectionsManager {
       );
     }
 
+    // Missed scheduled run policy
+    const missedRunPolicy = cloneAndReplace("missedRunPolicy");
+    if (missedRunPolicy) {
+      missedRunPolicy.value =
+        settingsManager.getSettings()?.advanced?.scheduledRuns
+          ?.missedRunPolicy || "runOnce";
+      missedRunPolicy.addEventListener("change", () =>
+        this.saveMissedRunPolicy(missedRunPolicy.value)
+      );
+    }
+
     // Refresh button
     const btnRefreshCollections = cloneAndReplace("btnRefreshCollections");
     if (btnRefreshCollections) {
@@ -244,6 +257,7 @@ class CollectionsManager {
     document.getElementById("collectionDescription").value = "";
     document.getElementById("collectionColor").value = "#007bff";
     document.getElementById("collectionIcon").value = "fa-folder";
+    this.populateEnvironmentSelect("");
 
     // Update modal title
     document.getElementById("collectionModalTitle").textContent =
@@ -276,6 +290,9 @@ class CollectionsManager {
           this.selectedCollection.color || "#007bff";
         document.getElementById("collectionIcon").value =
           this.selectedCollection.icon || "fa-folder";
+        this.populateEnvironmentSelect(
+          this.selectedCollection.environment_id || ""
+        );
 
         // Update modal title
         document.getElementById("collectionModalTitle").textContent =
@@ -492,10 +509,13 @@ class CollectionsManager {
             runner.name
           );
 
-          // Execute the runner
+          // Execute the runner (collection environment overrides the runner's)
           const runResponse = await browserAPI.runtime.sendMessage({
             action: "runRunner",
             runnerId: runner.id,
+            ...(collection.environment_id
+              ? { environmentId: collection.environment_id }
+              : {}),
           });
 
           if (runResponse && runResponse.success) {
@@ -590,6 +610,27 @@ class CollectionsManager {
     }
   }
 
+  populateEnvironmentSelect(selectedId) {
+    const select = document.getElementById("collectionEnvironment");
+    if (!select) return;
+
+    const environments =
+      settingsManager.getSettings()?.variables?.environments || [];
+    select.innerHTML =
+      '<option value="">Runner defaults</option>' +
+      environments
+        .map(
+          (env) =>
+            `<option value="${this.escapeHtml(env.id)}">${this.escapeHtml(
+              env.name
+            )}</option>`
+        )
+        .join("");
+    select.value = environments.some((env) => env.id === selectedId)
+      ? selectedId
+      : "";
+  }
+
   async saveCollection() {
     const collectionId = document.getElementById("collectionId").value;
     const name = document.getElementById("collectionName").value.trim();
@@ -598,6 +639,8 @@ class CollectionsManager {
       .value.trim();
     const color = document.getElementById("collectionColor").value;
     const icon = document.getElementById("collectionIcon").value;
+    const environmentId =
+      document.getElementById("collectionEnvironment")?.value || null;
 
     // Get selected runners
     const selectedRunners = Array.from(
@@ -619,7 +662,13 @@ class CollectionsManager {
         response = await browserAPI.runtime.sendMessage({
           action: "updateCollection",
           collectionId: collectionId,
-          updates: { name, description, color, icon },
+          updates: {
+            name,
+            description,
+            color,
+            icon,
+            environment_id: environmentId,
+          },
         });
 
         // Update runner assignments - first get existing runners to unassign them
@@ -654,7 +703,7 @@ class CollectionsManager {
           action: "createCollection",
           name: name,
           description: description,
-          config: { color, icon },
+          config: { color, icon, environmentId },
         });
 
         // Assign runners to new collection
@@ -753,6 +802,21 @@ class CollectionsManager {
     }
   }
 
+  async saveMissedRunPolicy(policy) {
+    const scheduledRuns = settingsManager.getSettings()?.advanced
+      ?.scheduledRuns;
+    const success = await settingsManager.updateSettings({
+      advanced: {
+        scheduledRuns: { ...scheduledRuns, missedRunPolicy: policy },
+      },
+    });
+
+    this.showNotification(
+      success ? "Missed run policy saved" : "Failed to save missed run policy",
+      success ? "success" : "error"
+    );
+  }
+
   showNotification(message, type = "info") {
     // Reuse the global notification system if available
     if (
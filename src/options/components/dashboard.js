@@ -2,6 +2,10 @@
 // Manages the dashboard visualization and real-time metrics
 
 import Chart from "../../lib/chart.min.js";
+import { resolveVariables } from "../../lib/utils/variable-environments.js";
+import { rateInp } from "../../lib/utils/interaction-timing.js";
+import { MOCK_REQUEST_EVENT } from "./request-rules.js";
+import { DIFF_REQUESTS_EVENT } from "./request-diff.js";
 
 class Dashboard {
   constructor() {
@@ -15,6 +19,7 @@ class Dashboard {
     this.loadingPageFilter = false; // Prevent concurrent page filter loads
     this.runnerProgressInterval = null; // Runner progress polling
     this.runnerResults = null; // Cache runner results for table
+    this.diffBaselineId = null; // First request picked for a diff
   }
 
   async initialize() {
@@ -147,6 +152,16 @@ class Dashboard {
       exportHAR.addEventListener("click", () => this.exportAsHAR());
     }
 
+    const exportExcel = document.getElementById("dashboardExportExcel");
+    if (exportExcel) {
+      exportExcel.addEventListener("click", () => this.exportAsExcel());
+    }
+
+    const reportBtn = document.getElementById("dashboardReport");
+    if (reportBtn) {
+      reportBtn.addEventListener("click", () => this.openReport());
+    }
+
     // Requests table event delegation
     const requestsTableBody = document.getElementById(
       "dashboardRequestsTableBody"
@@ -183,6 +198,18 @@ class Dashboard {
           }
           return;
         }
+
+        const mockBtn = e.target.closest(".btn-mock-response");
+        if (mockBtn) {
+          this.mockResponse(mockBtn.dataset.requestId);
+          return;
+        }
+
+        const diffBtn = e.target.closest(".btn-diff-request");
+        if (diffBtn) {
+          this.pickDiffRequest(diffBtn.dataset.requestId);
+          return;
+        }
       });
     }
 
@@ -1213,15 +1240,27 @@ class Dashboard {
         query += ` AND page_url = '${filters.pageUrl.replace(/'/g, "''")}'`;
       }
 
+      // INP is reported once per page view and shown as its p75
+      const inpQuery = `${query} AND metric_name = 'INP'
+        ORDER BY value ASC
+        LIMIT 1000
+      `;
+
       query += `
         ORDER BY timestamp DESC
         LIMIT 100
       `;
 
-      const response = await chrome.runtime.sendMessage({
-        action: "executeDirectQuery",
-        query: query,
-      });
+      const [response, inpResponse] = await Promise.all([
+        chrome.runtime.sendMessage({
+          action: "executeDirectQuery",
+          query: query,
+        }),
+        chrome.runtime.sendMessage({
+          action: "executeDirectQuery",
+          query: inpQuery,
+        }),
+      ]);
 
       if (response.success && response.data) {
         // Group by metric name and get latest value
@@ -1235,9 +1274,13 @@ class Dashboard {
           }
         });
 
+        const inp = this.getInpP75(
+          inpResponse?.success ? inpResponse.data : []
+        );
+
         // Update DOM elements
         this.updateWebVitalCard("lcp", vitals.LCP);
-        this.updateWebVitalCard("fid", vitals.FID);
+        this.updateWebVitalCard("inp", inp);
         this.updateWebVitalCard("cls", vitals.CLS);
         this.updateWebVitalCard("fcp", vitals.FCP);
         this.updateWebVitalCard("ttfb", vitals.TTFB);
@@ -1250,10 +1293,86 @@ class Dashboard {
     }
   }
 
+  /**
+   * p75 of INP page views (nearest rank), with the attribution of the
+   * interaction at that rank
+   * @param {Array} rows - bronze_web_vitals INP rows sorted by value
+   */
+  getInpP75(rows) {
+    if (!rows || rows.length === 0) return null;
+
+    const row = rows[Math.ceil(rows.length * 0.75) - 1];
+    let attribution = null;
+    try {
+      attribution = row.attribution ? JSON.parse(row.attribution) : null;
+    } catch (error) {
+      console.warn("Invalid INP attribution:", error);
+    }
+
+    return {
+      value: row.value,
+      rating: rateInp(row.value),
+      sampleCount: rows.length,
+      attribution,
+    };
+  }
+
+  renderInpAttribution(vitalData) {
+    const attributionEl = document.getElementById("inpAttribution");
+    const ratingEl = document.getElementById("inpRating");
+    if (!attributionEl) return;
+
+    if (ratingEl) {
+      ratingEl.textContent = vitalData
+        ? `${vitalData.sampleCount} page view${
+            vitalData.sampleCount === 1 ? "" : "s"
+          }`
+        : "";
+    }
+
+    const attribution = vitalData?.attribution;
+    if (!attribution) {
+      attributionEl.innerHTML = "";
+      attributionEl.title = "";
+      return;
+    }
+
+    const [script] = attribution.scripts || [];
+    attributionEl.innerHTML = `
+      <div><code>${this.escapeHtml(
+        attribution.target || attribution.eventType || "unknown target"
+      )}</code></div>
+      <div>
+        Input ${Math.round(attribution.inputDelay)}ms ·
+        Processing ${Math.round(attribution.processingTime)}ms ·
+        Presentation ${Math.round(attribution.presentationDelay)}ms
+      </div>
+      ${
+        script
+          ? `<div>Script: ${this.escapeHtml(
+              script.sourceFunctionName || script.invoker || "anonymous"
+            )} (${Math.round(script.duration)}ms)</div>`
+          : ""
+      }
+    `;
+    attributionEl.title = (attribution.scripts || [])
+      .map(
+        (item) =>
+          `${item.sourceURL || "inline"} ${
+            item.sourceFunctionName || item.invoker || ""
+          } ${Math.round(item.duration)}ms`
+      )
+      .join("\n");
+  }
+
   updateWebVitalCard(metricKey, vitalData) {
     const valueEl = document.getElementById(`${metricKey}Value`);
     if (!valueEl) return;
 
+    if (metricKey === "inp") {
+      this.renderInpAttribution(vitalData);
+    }
+
     if (vitalData) {
       // Format value based on metric type
       let displayValue;
@@ -1811,6 +1930,20 @@ class Dashboard {
               }" title="Copy as Fetch">
                 <i class="fas fa-code"></i>
               </button>
+              <button class="btn-icon btn-mock-response" data-request-id="${
+                req.id
+              }" title="Mock this response">
+                <i class="fas fa-theater-masks"></i>
+              </button>
+              <button class="btn-icon btn-diff-request${
+                req.id === this.diffBaselineId ? " active" : ""
+              }" data-request-id="${req.id}" title="${
+          this.diffBaselineId && req.id !== this.diffBaselineId
+            ? "Diff against the picked request"
+            : "Pick for diff"
+        }">
+                <i class="fas fa-exchange-alt"></i>
+              </button>
             </td>
           </tr>
         `;
@@ -2202,6 +2335,68 @@ class Dashboard {
     }
   }
 
+  // Draft a mock rule from a captured response and open it in the Rules tab
+  async mockResponse(requestId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "draftRuleFromRequest",
+        requestId,
+      });
+
+      if (!response?.success) {
+        this.showToast(
+          "Failed to create mock rule: " + (response?.error || "Unknown error"),
+          "error"
+        );
+        return;
+      }
+
+      document.dispatchEvent(
+        new CustomEvent(MOCK_REQUEST_EVENT, { detail: { rule: response.rule } })
+      );
+    } catch (error) {
+      console.error("Failed to create mock rule:", error);
+      this.showToast("Failed to create mock rule", "error");
+    }
+  }
+
+  // First click picks the baseline, the second opens the diff against it
+  pickDiffRequest(requestId) {
+    const buttons = document.querySelectorAll(
+      "#dashboardRequestsTableBody .btn-diff-request"
+    );
+
+    if (!this.diffBaselineId || this.diffBaselineId === requestId) {
+      this.diffBaselineId =
+        this.diffBaselineId === requestId ? null : requestId;
+      buttons.forEach((btn) => {
+        const picked = btn.dataset.requestId === this.diffBaselineId;
+        btn.classList.toggle("active", picked);
+        btn.title =
+          this.diffBaselineId && !picked
+            ? "Diff against the picked request"
+            : "Pick for diff";
+      });
+      if (this.diffBaselineId) {
+        this.showToast("Pick a second request to compare", "info");
+      }
+      return;
+    }
+
+    const baselineId = this.diffBaselineId;
+    this.diffBaselineId = null;
+    buttons.forEach((btn) => {
+      btn.classList.remove("active");
+      btn.title = "Pick for diff";
+    });
+
+    document.dispatchEvent(
+      new CustomEvent(DIFF_REQUESTS_EVENT, {
+        detail: { left: { requestId: baselineId }, right: { requestId } },
+      })
+    );
+  }
+
   // Generate Fetch API code
   generateFetchCode(request, headers = [], requestBody = null) {
     const options = {
@@ -2543,9 +2738,10 @@ class Dashboard {
       const response = await chrome.runtime.sendMessage({
         action: "exportAsHAR",
         filters: {
-          domain: selectedDomain === "all" ? null : selectedDomain,
+          ...this.getActiveFilters(),
           timeRange: this.timeRange,
         },
+        redact: document.getElementById("dashboardExportRedact")?.checked,
       });
 
       if (response && response.success && response.har) {
@@ -2558,7 +2754,10 @@ class Dashboard {
         a.download = `requests-${selectedDomain}-${Date.now()}.har`;
         a.click();
         URL.revokeObjectURL(url);
-        this.showToast("HAR file exported successfully", "success");
+        this.showToast(
+          `HAR file exported (${response.count} requests, ${response.pages} pages)`,
+          "success"
+        );
       } else {
         this.showToast("Failed to export HAR file", "error");
       }
@@ -2568,6 +2767,66 @@ class Dashboard {
     }
   }
 
+  async exportAsExcel() {
+    try {
+      this.showToast("Building Excel workbook...", "info");
+
+      const response = await chrome.runtime.sendMessage({
+        action: "exportFilteredData",
+        format: "excel",
+        filters: {
+          ...this.getActiveFilters(),
+          timeRange: this.timeRange,
+        },
+      });
+
+      if (response && response.success && response.data) {
+        const blob = new Blob([new Uint8Array(response.data)], {
+          type: response.mimeType,
+        });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = response.filename;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        const truncated = response.truncatedSheets || [];
+        if (truncated.length > 0) {
+          this.showToast(
+            `Excel workbook exported, but ${truncated.join(
+              ", "
+            )} stopped at ${response.rowLimit.toLocaleString()} rows. Narrow the filters to export the rest.`,
+            "warning"
+          );
+        } else {
+          this.showToast("Excel workbook exported successfully", "success");
+        }
+      } else {
+        this.showToast(
+          `Failed to export Excel workbook: ${
+            response?.error || "Unknown error"
+          }`,
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Error exporting Excel workbook:", error);
+      this.showToast("Failed to export Excel workbook", "error");
+    }
+  }
+
+  openReport() {
+    const { domain, pageUrl } = this.getActiveFilters();
+    const params = new URLSearchParams({ timeRange: this.timeRange });
+    if (domain) params.set("domain", domain);
+    if (pageUrl) params.set("pageUrl", pageUrl);
+
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`report.html?${params.toString()}`),
+    });
+  }
+
   async loadResourcesBreakdown() {
     try {
       const activeFilters = this.getActiveFilters();
@@ -3288,7 +3547,7 @@ class Dashboard {
         return;
       }
 
-      const variables = response.settings?.variables?.list || [];
+      const variables = resolveVariables(response.settings?.variables);
       const variableCount = variables.length;
 
       console.log(
@@ -4144,8 +4403,8 @@ class Dashboard {
         // Update LCP
         this.updateVitalCard("lcp", vitals.LCP);
 
-        // Update FID
-        this.updateVitalCard("fid", vitals.FID);
+        // Update INP
+        this.updateVitalCard("inp", vitals.INP);
 
         // Update CLS
         this.updateVitalCard("cls", vitals.CLS);
@@ -5163,7 +5422,8 @@ class Dashboard {
         return text;
       }
 
-      const variables = response.settings.variables.list || [];
+      // Active environment values take precedence over global values
+      const variables = resolveVariables(response.settings.variables);
       let result = text;
 
       // Replace actual values with ${VAR_NAME} placeholders
@@ -5212,7 +5472,7 @@ class Dashboard {
         return;
       }
 
-      const variables = response.settings?.variables?.list || [];
+      const variables = resolveVariables(response.settings?.variables);
       console.log(
         `[Variables Dropdown] Found ${variables.length} variables:`,
         variables
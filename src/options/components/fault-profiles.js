@@ -0,0 +1,473 @@
+// Fault Profiles Component
+// Manages fault injection profiles and where they're switched on
+
+const FAULT_TYPE_LABELS = {
+  status: "Error status",
+  connectionFailure: "Connection failure",
+  stripHeaders: "Strip headers",
+  latency: "Delayed stub response",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+class FaultProfiles {
+  constructor() {
+    this.profiles = [];
+    this.activations = [];
+    this.canManage = true;
+  }
+
+  async initialize() {
+    this.setupEventListeners();
+    await this.loadProfiles();
+    await this.loadImpact();
+  }
+
+  setupEventListeners() {
+    // Clone and replace so repeated initialization doesn't stack listeners
+    const bind = (id, handler) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      const clone = el.cloneNode(true);
+      el.parentNode.replaceChild(clone, el);
+      clone.addEventListener("click", handler);
+    };
+
+    bind("addFaultProfileBtn", () => this.showProfileModal());
+    bind("saveFaultProfileBtn", () => this.saveProfile());
+    bind("cancelFaultProfileBtn", () => this.hideProfileModal());
+    bind("addFaultBtn", () =>
+      this.addFaultRow({ type: "status", status: 503 })
+    );
+    bind("refreshFaultImpactBtn", () => this.loadImpact());
+
+    const modalClose = document.querySelector(
+      "#faultProfileModal .modal-close"
+    );
+    if (modalClose) {
+      const newModalClose = modalClose.cloneNode(true);
+      modalClose.parentNode.replaceChild(newModalClose, modalClose);
+      newModalClose.addEventListener("click", () => this.hideProfileModal());
+    }
+
+    const faultsEl = document.getElementById("faultProfileFaults");
+    if (faultsEl && !this._listenersAdded) {
+      faultsEl.addEventListener("change", (e) => {
+        if (e.target.classList.contains("fault-type")) {
+          this.updateFaultRow(e.target.closest(".fault-row"));
+        }
+      });
+      faultsEl.addEventListener("click", (e) => {
+        const removeBtn = e.target.closest(".fault-remove");
+        if (removeBtn) {
+          removeBtn.closest(".fault-row").remove();
+        }
+      });
+    }
+    this._listenersAdded = true;
+  }
+
+  async loadProfiles() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getFaultProfiles",
+      });
+
+      if (response?.success) {
+        this.profiles = response.profiles || [];
+        this.activations = response.activations || [];
+        this.canManage = response.canManage !== false;
+        this.enabled = response.enabled !== false;
+        const addBtn = document.getElementById("addFaultProfileBtn");
+        if (addBtn) {
+          addBtn.disabled = !this.canManage || !this.enabled;
+          addBtn.title = !this.canManage
+            ? 'Your role needs the "modify:requests" permission'
+            : !this.enabled
+            ? "Turn on Request Modification in Feature Flags"
+            : "";
+        }
+        this.displayProfiles();
+      }
+    } catch (error) {
+      console.error("Failed to load fault profiles:", error);
+    }
+  }
+
+  displayProfiles() {
+    const listEl = document.getElementById("faultProfilesList");
+    if (!listEl) return;
+
+    if (this.profiles.length === 0) {
+      listEl.innerHTML =
+        '<p class="placeholder">No fault profiles yet. Click "Add Profile" to create one.</p>';
+      return;
+    }
+
+    listEl.innerHTML = this.profiles
+      .map((profile) => {
+        const active = this.activations.filter(
+          (a) => a.profileId === profile.id
+        );
+        const targets = active
+          .map(
+            (a) => `
+            <button class="btn-secondary btn-sm deactivate-fault-btn" ${
+              a.tabId ? `data-tab-id="${a.tabId}"` : ""
+            } data-domain="${escapeHtml(a.domain || "")}" title="Switch off">
+              ${a.tabId ? `Tab ${a.tabId}` : escapeHtml(a.domain)}
+              <i class="fas fa-times"></i>
+            </button>`
+          )
+          .join("");
+
+        return `
+      <div class="alert-rule-card ${active.length ? "enabled" : "disabled"}">
+        <div class="rule-header">
+          <div class="rule-name">
+            <i class="fas fa-bolt"></i> ${escapeHtml(profile.name)}
+          </div>
+          <div class="rule-actions">
+            <button class="edit-rule-btn" data-id="${profile.id}" title="Edit">
+              <i class="fas fa-pen"></i>
+            </button>
+            <button class="delete-rule-btn" data-id="${
+              profile.id
+            }" title="Delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </div>
+        <div class="rule-details">
+          ${
+            profile.description
+              ? `<div class="rule-domain">${escapeHtml(
+                  profile.description
+                )}</div>`
+              : ""
+          }
+          <div class="rule-condition">
+            ${profile.faults.map((f) => this.formatFault(f)).join("<br>")}
+          </div>
+          <div class="rule-window">
+            Active on: ${targets || "nowhere"}
+          </div>
+          <div class="rule-window">
+            <input type="text" class="fault-domain-input" data-id="${
+              profile.id
+            }" placeholder="example.com" />
+            <button class="btn-secondary btn-sm activate-fault-btn" data-id="${
+              profile.id
+            }">
+              <i class="fas fa-play"></i> Activate on domain
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+      })
+      .join("");
+
+    listEl.querySelectorAll(".edit-rule-btn").forEach((btn) => {
+      btn.addEventListener("click", () => this.editProfile(btn.dataset.id));
+    });
+    listEl.querySelectorAll(".delete-rule-btn").forEach((btn) => {
+      btn.addEventListener("click", () => this.deleteProfile(btn.dataset.id));
+    });
+    listEl.querySelectorAll(".activate-fault-btn").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const input = listEl.querySelector(
+          `.fault-domain-input[data-id="${btn.dataset.id}"]`
+        );
+        this.setActivation(btn.dataset.id, { domain: input?.value });
+      });
+    });
+    listEl.querySelectorAll(".deactivate-fault-btn").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.setActivation(
+          null,
+          btn.dataset.tabId
+            ? { tabId: Number(btn.dataset.tabId) }
+            : { domain: btn.dataset.domain }
+        )
+      );
+    });
+  }
+
+  formatFault(fault) {
+    const scope = fault.urlPattern
+      ? `<code>${escapeHtml(fault.urlPattern)}</code>`
+      : "all requests";
+    let detail = "";
+    if (fault.type === "status") {
+      detail = ` ${fault.status}`;
+    } else if (fault.type === "latency") {
+      detail = ` +${fault.delayMs} ms`;
+    } else if (fault.type === "stripHeaders") {
+      detail = `: ${escapeHtml(
+        [...fault.requestHeaders, ...fault.responseHeaders].join(", ")
+      )}`;
+    }
+    return `${
+      FAULT_TYPE_LABELS[fault.type] || fault.type
+    }${detail} on ${scope}`;
+  }
+
+  addFaultRow(fault = {}) {
+    const container = document.getElementById("faultProfileFaults");
+    if (!container) return;
+
+    const row = document.createElement("div");
+    row.className = "fault-row";
+    row.innerHTML = `
+      <select class="fault-type">
+        ${Object.entries(FAULT_TYPE_LABELS)
+          .map(
+            ([value, label]) =>
+              `<option value="${value}" ${
+                fault.type === value ? "selected" : ""
+              }>${label}</option>`
+          )
+          .join("")}
+      </select>
+      <input type="text" class="fault-url" placeholder="URL pattern (all requests)"
+        value="${escapeHtml(fault.urlPattern)}" />
+      <input type="number" class="fault-status" data-fault-type="status"
+        min="400" max="599" value="${
+          fault.status || 503
+        }" title="Status code" />
+      <input type="number" class="fault-delay" data-fault-type="latency"
+        min="1" max="10000" value="${
+          fault.delayMs || 3000
+        }" title="Delay before the stub response (ms)" />
+      <input type="text" class="fault-request-headers" data-fault-type="stripHeaders"
+        placeholder="Request headers (e.g., Authorization)"
+        value="${escapeHtml((fault.requestHeaders || []).join(", "))}" />
+      <input type="text" class="fault-response-headers" data-fault-type="stripHeaders"
+        placeholder="Response headers (e.g., Cache-Control)"
+        value="${escapeHtml((fault.responseHeaders || []).join(", "))}" />
+      <button class="delete-rule-btn fault-remove" title="Remove fault">
+        <i class="fas fa-trash"></i>
+      </button>
+    `;
+    container.appendChild(row);
+    this.updateFaultRow(row);
+  }
+
+  updateFaultRow(row) {
+    const type = row.querySelector(".fault-type").value;
+    row.querySelectorAll("[data-fault-type]").forEach((el) => {
+      el.style.display = el.dataset.faultType === type ? "" : "none";
+    });
+  }
+
+  readFaultRows() {
+    return Array.from(
+      document.querySelectorAll("#faultProfileFaults .fault-row")
+    ).map((row) => {
+      const value = (selector) => row.querySelector(selector)?.value ?? "";
+      const fault = {
+        type: value(".fault-type"),
+        urlPattern: value(".fault-url"),
+      };
+      if (fault.type === "status") {
+        fault.status = parseInt(value(".fault-status"));
+      } else if (fault.type === "latency") {
+        fault.delayMs = parseInt(value(".fault-delay"));
+      } else if (fault.type === "stripHeaders") {
+        fault.requestHeaders = value(".fault-request-headers");
+        fault.responseHeaders = value(".fault-response-headers");
+      }
+      return fault;
+    });
+  }
+
+  showProfileModal(profile = null) {
+    const modal = document.getElementById("faultProfileModal");
+    if (!modal) return;
+
+    document.getElementById("faultProfileId").value = profile?.id || "";
+    document.getElementById("faultProfileName").value = profile?.name || "";
+    document.getElementById("faultProfileDescription").value =
+      profile?.description || "";
+    document.getElementById("faultProfileMockServer").value =
+      profile?.mockServerUrl || "";
+
+    document.getElementById("faultProfileFaults").innerHTML = "";
+    (profile?.faults || [{ type: "status", status: 503 }]).forEach((fault) =>
+      this.addFaultRow(fault)
+    );
+
+    modal.style.display = "flex";
+  }
+
+  hideProfileModal() {
+    const modal = document.getElementById("faultProfileModal");
+    if (modal) {
+      modal.style.display = "none";
+    }
+  }
+
+  editProfile(profileId) {
+    const profile = this.profiles.find((p) => p.id === Number(profileId));
+    if (profile) {
+      this.showProfileModal(profile);
+    }
+  }
+
+  async saveProfile() {
+    const id = document.getElementById("faultProfileId")?.value;
+    const profile = {
+      id: id ? Number(id) : undefined,
+      name: document.getElementById("faultProfileName")?.value,
+      description: document.getElementById("faultProfileDescription")?.value,
+      mockServerUrl: document.getElementById("faultProfileMockServer")?.value,
+      faults: this.readFaultRows(),
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "saveFaultProfile",
+        profile,
+      });
+
+      if (response?.success) {
+        this.showToast("Fault profile saved successfully", "success");
+        this.hideProfileModal();
+        await this.loadProfiles();
+      } else {
+        this.showToast(
+          "Failed to save fault profile: " +
+            (response?.error || "Unknown error"),
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Failed to save fault profile:", error);
+      this.showToast("Failed to save fault profile", "error");
+    }
+  }
+
+  async deleteProfile(profileId) {
+    if (!confirm("Delete this fault profile and switch it off everywhere?")) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "deleteFaultProfile",
+        profileId: parseInt(profileId),
+      });
+
+      if (response?.success) {
+        this.showToast("Fault profile deleted successfully", "success");
+        await this.loadProfiles();
+      } else {
+        this.showToast(
+          "Failed to delete fault profile: " +
+            (response?.error || "Unknown error"),
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Failed to delete fault profile:", error);
+      this.showToast("Failed to delete fault profile", "error");
+    }
+  }
+
+  async setActivation(profileId, target) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "setFaultProfileActivation",
+        profileId: profileId === null ? null : Number(profileId),
+        target,
+      });
+
+      if (response?.success) {
+        await this.loadProfiles();
+      } else {
+        this.showToast(
+          "Failed to update fault profile: " +
+            (response?.error || "Unknown error"),
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Failed to update fault profile:", error);
+      this.showToast("Failed to update fault profile", "error");
+    }
+  }
+
+  async loadImpact() {
+    const tableEl = document.getElementById("faultImpactTable");
+    if (!tableEl) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getFaultProfileComparison",
+        filters: { timeRange: 86400 },
+      });
+
+      if (!response?.success || response.profiles.length === 0) {
+        tableEl.innerHTML =
+          '<p class="placeholder">No faulted requests captured in the last 24 hours.</p>';
+        return;
+      }
+
+      const rows = [
+        response.baseline && { ...response.baseline, label: "Normal" },
+        ...response.profiles.map((p) => ({ ...p, label: p.faultProfile })),
+      ].filter(Boolean);
+
+      tableEl.innerHTML = `
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Profile</th>
+              <th>Requests</th>
+              <th>Error Rate</th>
+              <th>Failed</th>
+              <th>Avg Duration</th>
+              <th>Max Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows
+              .map(
+                (row) => `
+              <tr>
+                <td>${escapeHtml(row.label)}</td>
+                <td>${row.totalRequests}</td>
+                <td>${row.errorRate}%</td>
+                <td>${row.failedRequests}</td>
+                <td>${row.avgDuration} ms</td>
+                <td>${row.maxDuration} ms</td>
+              </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      `;
+    } catch (error) {
+      console.error("Failed to load fault impact:", error);
+    }
+  }
+
+  showToast(message, type = "info") {
+    const notification = document.getElementById("notification");
+    if (notification) {
+      notification.textContent = message;
+      notification.className = `notification ${type} show`;
+      setTimeout(() => {
+        notification.classList.remove("show");
+      }, 3000);
+    }
+  }
+}
+
+export default FaultProfiles;
@@ -0,0 +1,255 @@
+// Jobs Component
+// Shows background job status, recent runs and errors, and runs jobs on demand
+
+const STATUS_BADGES = {
+  running: { label: "Running", className: "status-running" },
+  success: { label: "OK", className: "status-completed" },
+  failed: { label: "Failed", className: "status-failed" },
+  disabled: { label: "Disabled", className: "status-disabled" },
+  pending: { label: "Not run yet", className: "status-disabled" },
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "—";
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "—";
+  if (ms < 1000) return `${ms} ms`;
+
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+
+  return `${Math.round(hours / 24)} days`;
+}
+
+class Jobs {
+  constructor() {
+    this.jobs = [];
+    this.runs = [];
+  }
+
+  async initialize() {
+    this.setupEventListeners();
+    await this.loadJobs();
+  }
+
+  setupEventListeners() {
+    // Clone and replace so repeated initialization doesn't stack listeners
+    const refreshBtn = document.getElementById("refreshJobsBtn");
+    if (refreshBtn) {
+      const clone = refreshBtn.cloneNode(true);
+      refreshBtn.parentNode.replaceChild(clone, refreshBtn);
+      clone.addEventListener("click", () => this.loadJobs());
+    }
+
+    // Job state changes in the background, so reload when the tab is opened
+    const navItem = document.querySelector('.nav-item[data-tab="jobs"]');
+    if (navItem && !this._listenersAdded) {
+      navItem.addEventListener("click", () => this.loadJobs());
+    }
+    this._listenersAdded = true;
+  }
+
+  async loadJobs() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getJobs",
+      });
+
+      if (response?.success) {
+        this.jobs = response.jobs || [];
+        this.runs = response.runs || [];
+        this.displayJobs();
+        this.displayRuns();
+      }
+    } catch (error) {
+      console.error("Failed to load background jobs:", error);
+    }
+  }
+
+  getStatus(job) {
+    if (job.running) return "running";
+    if (!job.enabled) return "disabled";
+    return job.lastStatus || "pending";
+  }
+
+  displayJobs() {
+    const listEl = document.getElementById("jobsList");
+    if (!listEl) return;
+
+    if (this.jobs.length === 0) {
+      listEl.innerHTML =
+        '<p class="placeholder">No background jobs registered</p>';
+      return;
+    }
+
+    listEl.innerHTML = this.jobs
+      .map((job) => {
+        const badge = STATUS_BADGES[this.getStatus(job)];
+        const failing = job.enabled && job.lastStatus === "failed";
+        return `
+      <div class="alert-rule-card ${job.enabled ? "enabled" : "disabled"} ${
+          failing ? "failing" : ""
+        }">
+        <div class="rule-header">
+          <div class="rule-name">
+            <i class="fas fa-clock"></i> ${escapeHtml(job.label)}
+            <span class="status-badge ${badge.className}">${badge.label}</span>
+          </div>
+          <div class="rule-actions">
+            <button class="run-job-btn" data-name="${escapeHtml(
+              job.name
+            )}" title="Run now" ${job.running ? "disabled" : ""}>
+              <i class="fas fa-play"></i>
+            </button>
+          </div>
+        </div>
+        <div class="rule-details">
+          <div class="rule-window">
+            ${this.formatJobDetails(job)}
+          </div>
+          ${
+            failing && job.lastError
+              ? `<div class="job-error">${
+                  job.consecutiveFailures > 1
+                    ? `Failed ${job.consecutiveFailures} times in a row: `
+                    : ""
+                }${escapeHtml(job.lastError)}</div>`
+              : ""
+          }
+        </div>
+      </div>
+    `;
+      })
+      .join("");
+
+    listEl.querySelectorAll(".run-job-btn").forEach((btn) => {
+      btn.addEventListener("click", () => this.runJob(btn.dataset.name));
+    });
+  }
+
+  formatJobDetails(job) {
+    const parts = [`Every ${formatDuration(job.intervalMs)}`];
+    if (job.lastRunAt) {
+      parts.push(
+        `Last run: ${formatTime(job.lastRunAt)} (${formatDuration(
+          job.lastDurationMs
+        )})`
+      );
+    }
+    if (job.enabled) {
+      parts.push(`Next run: ${formatTime(job.nextRunAt)}`);
+    }
+    parts.push(`${job.runCount} run${job.runCount === 1 ? "" : "s"}`);
+    return parts.join(" | ");
+  }
+
+  displayRuns() {
+    const listEl = document.getElementById("jobRunsList");
+    if (!listEl) return;
+
+    if (this.runs.length === 0) {
+      listEl.innerHTML = '<p class="placeholder">No job runs yet</p>';
+      return;
+    }
+
+    const labels = new Map(this.jobs.map((job) => [job.name, job.label]));
+    const rows = this.runs
+      .map((run) => {
+        const badge = STATUS_BADGES[run.status] || STATUS_BADGES.pending;
+        return `
+        <tr>
+          <td>${formatTime(run.startedAt)}</td>
+          <td>${escapeHtml(labels.get(run.jobName) || run.jobName)}</td>
+          <td>${run.trigger === "manual" ? "Manual" : "Scheduled"}</td>
+          <td><span class="status-badge ${badge.className}">${
+          badge.label
+        }</span></td>
+          <td>${formatDuration(run.durationMs)}</td>
+          <td>${escapeHtml(run.error || "")}</td>
+        </tr>
+      `;
+      })
+      .join("");
+
+    listEl.innerHTML = `
+      <table class="data-table" style="width: 100%">
+        <thead>
+          <tr>
+            <th>Started</th>
+            <th>Job</th>
+            <th>Trigger</th>
+            <th>Status</th>
+            <th>Duration</th>
+            <th>Error</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  async runJob(name) {
+    const job = this.jobs.find((j) => j.name === name);
+    if (!job) return;
+
+    // Show the job as running until its run is recorded
+    job.running = true;
+    this.displayJobs();
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "runJob",
+        name,
+      });
+
+      if (!response?.success) {
+        this.showToast(
+          "Failed to run job: " + (response?.error || "Unknown error"),
+          "error"
+        );
+      } else if (response.run.status === "skipped") {
+        this.showToast(`${job.label} is already running`, "info");
+      } else if (response.run.status === "failed") {
+        this.showToast(
+          `${job.label} failed: ${response.run.error || "Unknown error"}`,
+          "error"
+        );
+      } else {
+        this.showToast(`${job.label} completed`, "success");
+      }
+    } catch (error) {
+      console.error("Failed to run background job:", error);
+      this.showToast("Failed to run job", "error");
+    } finally {
+      await this.loadJobs();
+    }
+  }
+
+  showToast(message, type = "info") {
+    const notification = document.getElementById("notification");
+    if (notification) {
+      notification.textContent = message;
+      notification.className = `notification ${type} show`;
+      setTimeout(() => {
+        notification.classList.remove("show");
+      }, 3000);
+    }
+  }
+}
+
+export default Jobs;
@@ -0,0 +1,231 @@
+// Request Diff Component
+// Side-by-side diff of two captured requests, or a request and its replay
+
+// Fired by the dashboard and runner results with { left, right }, where each
+// side is { requestId } or { executionResultId }
+export const DIFF_REQUESTS_EVENT = "ura:diff-requests";
+
+const STATUS_LABELS = {
+  added: { label: "Added", color: "var(--success-color)" },
+  removed: { label: "Removed", color: "var(--error-color)" },
+  changed: { label: "Changed", color: "var(--warning-color)" },
+  unchanged: { label: "Same", color: "var(--text-secondary)" },
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatValue = (value) => {
+  if (value === undefined) return "";
+  return typeof value === "string" ? value : JSON.stringify(value);
+};
+
+const statusBadge = (status) => {
+  const { label, color } = STATUS_LABELS[status] || STATUS_LABELS.unchanged;
+  return `<span style="color: ${color}; font-weight: 600;">${label}</span>`;
+};
+
+class RequestDiff {
+  constructor() {
+    this.lastDiff = null;
+  }
+
+  initialize() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    const modal = document.getElementById("requestDiffModal");
+    if (!modal || this._listenersAdded) return;
+
+    modal.addEventListener("click", (e) => {
+      if (
+        e.target === modal ||
+        e.target.closest(".modal-close") ||
+        e.target.closest("#closeRequestDiffBtn")
+      ) {
+        modal.style.display = "none";
+      }
+    });
+
+    const showUnchanged = document.getElementById("requestDiffShowUnchanged");
+    if (showUnchanged) {
+      showUnchanged.addEventListener("change", () => this.render());
+    }
+
+    document.addEventListener(DIFF_REQUESTS_EVENT, (event) =>
+      this.open(event.detail?.left, event.detail?.right)
+    );
+    this._listenersAdded = true;
+  }
+
+  async open(left, right) {
+    const modal = document.getElementById("requestDiffModal");
+    const body = document.getElementById("requestDiffBody");
+    if (!modal || !body) return;
+
+    body.innerHTML =
+      '<p style="text-align: center; padding: 20px;"><i class="fas fa-spinner fa-spin"></i> Comparing requests...</p>';
+    modal.style.display = "flex";
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "diffRequests",
+        left,
+        right,
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || "Failed to diff requests");
+      }
+
+      this.lastDiff = response;
+      this.render();
+    } catch (error) {
+      console.error("[RequestDiff] Failed to diff requests:", error);
+      body.innerHTML = `<p class="error-message">${escapeHtml(
+        error.message
+      )}</p>`;
+    }
+  }
+
+  render() {
+    const body = document.getElementById("requestDiffBody");
+    if (!body || !this.lastDiff) return;
+
+    const { left, right, diff } = this.lastDiff;
+    const showUnchanged = Boolean(
+      document.getElementById("requestDiffShowUnchanged")?.checked
+    );
+
+    body.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr><th></th><th>${this.renderSide(left)}</th><th>${this.renderSide(
+      right
+    )}</th></tr>
+        </thead>
+        <tbody>
+          ${diff.summary.map((item) => this.renderRow(item)).join("")}
+        </tbody>
+      </table>
+      <p style="margin: 12px 0;">
+        <strong>${diff.changeCount}</strong> difference(s)
+        <span style="color: var(--text-secondary);">(duration and size not counted)</span>
+      </p>
+      ${this.renderSection(
+        "URL",
+        [diff.url.origin, diff.url.path],
+        showUnchanged
+      )}
+      ${this.renderSection("Query Parameters", diff.url.params, showUnchanged)}
+      ${this.renderSection(
+        "Request Headers",
+        diff.requestHeaders,
+        showUnchanged
+      )}
+      ${this.renderSection(
+        "Response Headers",
+        diff.responseHeaders,
+        showUnchanged
+      )}
+      ${this.renderBody("Request Body", diff.requestBody, showUnchanged)}
+      ${this.renderBody("Response Body", diff.responseBody, showUnchanged)}
+    `;
+  }
+
+  renderSide(side) {
+    const source = side.source === "replay" ? "Replay" : "Captured";
+    const time = side.timestamp
+      ? new Date(side.timestamp).toLocaleString()
+      : "";
+    return `${source} <span style="font-weight: normal; color: var(--text-secondary);">${escapeHtml(
+      time
+    )}</span>`;
+  }
+
+  renderRow(item, nameLabel = item.name) {
+    return `
+      <tr>
+        <td><code>${escapeHtml(nameLabel)}</code><br />${statusBadge(
+      item.status
+    )}</td>
+        <td style="word-break: break-all;">${escapeHtml(
+          formatValue(item.left)
+        )}</td>
+        <td style="word-break: break-all;">${escapeHtml(
+          formatValue(item.right)
+        )}</td>
+      </tr>
+    `;
+  }
+
+  renderSection(title, items, showUnchanged) {
+    const visible = showUnchanged
+      ? items
+      : items.filter((item) => item.status !== "unchanged");
+    const changed = items.filter((item) => item.status !== "unchanged").length;
+
+    return `
+      <div class="details-section">
+        <h4>${title} <span style="font-weight: normal; color: var(--text-secondary);">(${changed} of ${
+      items.length
+    } differ)</span></h4>
+        ${
+          visible.length > 0
+            ? `<table class="data-table"><tbody>${visible
+                .map((item) => this.renderRow(item))
+                .join("")}</tbody></table>`
+            : '<p style="color: var(--text-secondary);">No differences</p>'
+        }
+      </div>
+    `;
+  }
+
+  renderBody(title, bodyDiff, showUnchanged) {
+    let content;
+    if (bodyDiff.kind === "none") {
+      content = '<p style="color: var(--text-secondary);">No body captured</p>';
+    } else if (bodyDiff.equal) {
+      content = '<p style="color: var(--text-secondary);">Identical</p>';
+    } else if (bodyDiff.kind === "json") {
+      content = `
+        <table class="data-table"><tbody>${bodyDiff.changes
+          .map((change) => this.renderRow(change, change.path))
+          .join("")}</tbody></table>
+        ${
+          bodyDiff.truncated
+            ? `<p style="color: var(--text-secondary);">Showing the first ${bodyDiff.changes.length} changes</p>`
+            : ""
+        }
+      `;
+    } else if (bodyDiff.tooLarge) {
+      content =
+        '<p style="color: var(--text-secondary);">Bodies differ (too large for a line diff)</p>';
+    } else {
+      const prefix = { added: "+", removed: "-", unchanged: " " };
+      content = `<pre class="preview-content" style="max-height: 400px; overflow: auto;">${bodyDiff.lines
+        .filter((line) => showUnchanged || line.status !== "unchanged")
+        .map((line) => {
+          const color = STATUS_LABELS[line.status].color;
+          return `<span style="color: ${color};">${
+            prefix[line.status]
+          } ${escapeHtml(line.left ?? line.right)}</span>`;
+        })
+        .join("\n")}</pre>`;
+    }
+
+    const label = bodyDiff.kind === "json" ? " (JSON, compared by path)" : "";
+    return `
+      <div class="details-section">
+        <h4>${title}<span style="font-weight: normal; color: var(--text-secondary);">${label}</span></h4>
+        ${content}
+      </div>
+    `;
+  }
+}
+
+export default RequestDiff;
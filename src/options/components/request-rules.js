@@ -0,0 +1,439 @@
+// Request Rules Component
+// Manages block/redirect/mock/modify-headers rules (declarativeNetRequest)
+
+const ACTION_LABELS = {
+  mock: { label: "Mock", icon: "fa-theater-masks" },
+  block: { label: "Block", icon: "fa-ban" },
+  redirect: { label: "Redirect", icon: "fa-directions" },
+  modifyHeaders: { label: "Modify headers", icon: "fa-edit" },
+};
+
+// Fired by the dashboard's "mock this response" button
+export const MOCK_REQUEST_EVENT = "ura:mock-request";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// "set Name: value" / "append Name: value" / "remove Name", one per line
+function parseHeaderLines(text) {
+  return String(text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const match = line.match(
+        /^(set|append|remove)\s+([^:\s]+)\s*:?\s*(.*)$/i
+      );
+      if (!match) {
+        return { operation: "set", header: line, value: "" };
+      }
+      const [, operation, header, value] = match;
+      return { operation: operation.toLowerCase(), header, value };
+    });
+}
+
+function formatHeaderLines(headers) {
+  return (headers || [])
+    .map((h) =>
+      h.operation === "remove"
+        ? `remove ${h.header}`
+        : `${h.operation} ${h.header}: ${h.value}`
+    )
+    .join("\n");
+}
+
+class RequestRules {
+  constructor() {
+    this.rules = [];
+    this.supported = true;
+    this.permissions = { mock: true, modify: true };
+    this.features = { mock: true, modify: true };
+    this.editingSourceRequestId = null;
+  }
+
+  async initialize() {
+    this.setupEventListeners();
+    await this.loadRules();
+  }
+
+  setupEventListeners() {
+    // Clone and replace so repeated initialization doesn't stack listeners
+    const bind = (id, handler) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      const clone = el.cloneNode(true);
+      el.parentNode.replaceChild(clone, el);
+      clone.addEventListener("click", handler);
+    };
+
+    bind("addRequestRuleBtn", () => this.showRuleModal());
+    bind("saveRequestRuleBtn", () => this.saveRule());
+    bind("cancelRequestRuleBtn", () => this.hideRuleModal());
+
+    const modalClose = document.querySelector("#requestRuleModal .modal-close");
+    if (modalClose) {
+      const newModalClose = modalClose.cloneNode(true);
+      modalClose.parentNode.replaceChild(newModalClose, modalClose);
+      newModalClose.addEventListener("click", () => this.hideRuleModal());
+    }
+
+    const actionSelect = document.getElementById("requestRuleAction");
+    if (actionSelect && !this._listenersAdded) {
+      actionSelect.addEventListener("change", () => this.updateActionFields());
+    }
+
+    const modal = document.getElementById("requestRuleModal");
+    if (modal && !this._listenersAdded) {
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) {
+          this.hideRuleModal();
+        }
+      });
+    }
+
+    if (!this._listenersAdded) {
+      document.addEventListener(MOCK_REQUEST_EVENT, (event) =>
+        this.openDraft(event.detail?.rule)
+      );
+    }
+    this._listenersAdded = true;
+  }
+
+  async loadRules() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getRequestRules",
+      });
+
+      if (response?.success) {
+        this.rules = response.rules || [];
+        this.supported = response.supported !== false;
+        this.permissions = response.permissions || this.permissions;
+        this.features = response.features || this.features;
+        this.displayRules();
+      }
+    } catch (error) {
+      console.error("Failed to load request rules:", error);
+    }
+  }
+
+  displayRules() {
+    const noticeEl = document.getElementById("requestRulesNotice");
+    if (noticeEl) {
+      let notice = "";
+      if (!this.supported) {
+        notice =
+          "This browser doesn't support declarativeNetRequest, so rules can't be applied.";
+      } else if (!this.permissions.mock || !this.permissions.modify) {
+        notice = `Your role can't manage ${
+          !this.permissions.mock ? "block, redirect or mock" : "header"
+        } rules.`;
+      } else if (!this.features.mock || !this.features.modify) {
+        const off = [
+          !this.features.mock && "Request Mocking (block, redirect, mock)",
+          !this.features.modify && "Request Modification (headers)",
+        ].filter(Boolean);
+        notice = `Turn on ${off.join(
+          " and "
+        )} in Feature Flags to add rules of that kind; existing ones are not applied until then.`;
+      }
+      noticeEl.textContent = notice;
+      noticeEl.style.display = notice ? "block" : "none";
+    }
+
+    const listEl = document.getElementById("requestRulesList");
+    if (!listEl) return;
+
+    if (this.rules.length === 0) {
+      listEl.innerHTML =
+        '<p class="placeholder">No request rules yet. Click "Add Rule", or use the mock button on a captured request in the Dashboard.</p>';
+      return;
+    }
+
+    listEl.innerHTML = this.rules
+      .map((rule) => {
+        const action = ACTION_LABELS[rule.action] || {
+          label: rule.action,
+          icon: "fa-random",
+        };
+        return `
+      <div class="alert-rule-card ${rule.enabled ? "enabled" : "disabled"}">
+        <div class="rule-header">
+          <div class="rule-name">
+            <i class="fas ${action.icon}"></i> ${escapeHtml(rule.name)}
+          </div>
+          <div class="rule-actions">
+            <button class="edit-rule-btn" data-id="${rule.id}" title="Edit">
+              <i class="fas fa-pen"></i>
+            </button>
+            <button class="toggle-rule-btn" data-id="${rule.id}" title="${
+          rule.enabled ? "Disable" : "Enable"
+        }">
+              <i class="fas fa-${rule.enabled ? "pause" : "play"}"></i>
+            </button>
+            <button class="delete-rule-btn" data-id="${rule.id}" title="Delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </div>
+        <div class="rule-details">
+          <div class="rule-condition">
+            ${action.label}: <code>${escapeHtml(rule.urlPattern)}</code>${
+          rule.isRegex ? " (regex)" : ""
+        }
+          </div>
+          <div class="rule-window">
+            ${this.formatRuleDetails(rule)}
+          </div>
+        </div>
+      </div>
+    `;
+      })
+      .join("");
+
+    listEl.querySelectorAll(".edit-rule-btn").forEach((btn) => {
+      btn.addEventListener("click", () => this.editRule(btn.dataset.id));
+    });
+    listEl.querySelectorAll(".toggle-rule-btn").forEach((btn) => {
+      btn.addEventListener("click", () => this.toggleRule(btn.dataset.id));
+    });
+    listEl.querySelectorAll(".delete-rule-btn").forEach((btn) => {
+      btn.addEventListener("click", () => this.deleteRule(btn.dataset.id));
+    });
+  }
+
+  formatRuleDetails(rule) {
+    const parts = [
+      rule.methods?.length
+        ? rule.methods.map((m) => m.toUpperCase()).join(", ")
+        : "Any method",
+      rule.resourceTypes?.length ? rule.resourceTypes.join(", ") : "Any type",
+      rule.scope === "session" ? "Until restart" : "Persistent",
+      `Priority ${rule.priority}`,
+    ];
+
+    if (rule.action === "redirect") {
+      parts.push(`→ ${escapeHtml(rule.redirectUrl)}`);
+    } else if (rule.action === "mock") {
+      parts.push(escapeHtml(rule.mockContentType));
+    } else if (rule.action === "modifyHeaders") {
+      const count =
+        (rule.requestHeaders?.length || 0) +
+        (rule.responseHeaders?.length || 0);
+      parts.push(`${count} header change${count === 1 ? "" : "s"}`);
+    }
+    return parts.join(" | ");
+  }
+
+  updateActionFields() {
+    const action = document.getElementById("requestRuleAction")?.value;
+    document
+      .querySelectorAll("#requestRuleModal [data-rule-action]")
+      .forEach((el) => {
+        el.style.display = el.dataset.ruleAction === action ? "" : "none";
+      });
+  }
+
+  showRuleModal(rule = null) {
+    const modal = document.getElementById("requestRuleModal");
+    if (!modal) return;
+
+    const values = {
+      name: "",
+      action: "mock",
+      urlPattern: "",
+      isRegex: false,
+      methods: [],
+      resourceTypes: [],
+      redirectUrl: "",
+      mockBody: "",
+      mockContentType: "application/json",
+      requestHeaders: [],
+      responseHeaders: [],
+      scope: "persistent",
+      priority: 1,
+      enabled: true,
+      ...(rule || {}),
+    };
+
+    document.getElementById("requestRuleId").value = values.id || "";
+    document.getElementById("requestRuleName").value = values.name;
+    document.getElementById("requestRuleAction").value = values.action;
+    document.getElementById("requestRuleUrlPattern").value = values.urlPattern;
+    document.getElementById("requestRuleIsRegex").checked = values.isRegex;
+    document.getElementById(
+      "requestRuleMethods"
+    ).value = values.methods.map((m) => m.toUpperCase()).join(", ");
+    Array.from(
+      document.getElementById("requestRuleResourceTypes").options
+    ).forEach((option) => {
+      option.selected = values.resourceTypes.includes(option.value);
+    });
+    document.getElementById("requestRuleRedirectUrl").value =
+      values.redirectUrl;
+    document.getElementById("requestRuleMockBody").value = values.mockBody;
+    document.getElementById("requestRuleMockContentType").value =
+      values.mockContentType;
+    document.getElementById(
+      "requestRuleRequestHeaders"
+    ).value = formatHeaderLines(values.requestHeaders);
+    document.getElementById(
+      "requestRuleResponseHeaders"
+    ).value = formatHeaderLines(values.responseHeaders);
+    document.getElementById("requestRuleScope").value = values.scope;
+    document.getElementById("requestRulePriority").value = values.priority;
+    document.getElementById("requestRuleEnabled").checked = values.enabled;
+    this.editingSourceRequestId = values.sourceRequestId || null;
+
+    this.updateActionFields();
+    modal.style.display = "flex";
+  }
+
+  hideRuleModal() {
+    const modal = document.getElementById("requestRuleModal");
+    if (modal) {
+      modal.style.display = "none";
+    }
+  }
+
+  editRule(ruleId) {
+    const rule = this.rules.find((r) => r.id === Number(ruleId));
+    if (rule) {
+      this.showRuleModal(rule);
+    }
+  }
+
+  // Switch to the Rules tab with a draft from the dashboard
+  openDraft(rule) {
+    if (!rule) return;
+    document.querySelector('.nav-item[data-tab="rules"]')?.click();
+    this.showRuleModal(rule);
+  }
+
+  readForm() {
+    const value = (id) => document.getElementById(id)?.value ?? "";
+    const resourceTypes = Array.from(
+      document.getElementById("requestRuleResourceTypes")?.selectedOptions || []
+    ).map((option) => option.value);
+
+    return {
+      id: value("requestRuleId") ? Number(value("requestRuleId")) : undefined,
+      name: value("requestRuleName"),
+      action: value("requestRuleAction"),
+      urlPattern: value("requestRuleUrlPattern"),
+      isRegex: document.getElementById("requestRuleIsRegex")?.checked === true,
+      methods: value("requestRuleMethods"),
+      resourceTypes,
+      redirectUrl: value("requestRuleRedirectUrl"),
+      mockBody: value("requestRuleMockBody"),
+      mockContentType: value("requestRuleMockContentType"),
+      requestHeaders: parseHeaderLines(value("requestRuleRequestHeaders")),
+      responseHeaders: parseHeaderLines(value("requestRuleResponseHeaders")),
+      scope: value("requestRuleScope"),
+      priority: parseInt(value("requestRulePriority")) || 1,
+      enabled: document.getElementById("requestRuleEnabled")?.checked === true,
+      sourceRequestId: this.editingSourceRequestId,
+    };
+  }
+
+  async saveRule() {
+    const rule = this.readForm();
+
+    if (!rule.urlPattern.trim()) {
+      this.showToast("Please enter a URL pattern", "error");
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "saveRequestRule",
+        rule,
+      });
+
+      if (response?.success) {
+        this.showToast("Request rule saved successfully", "success");
+        this.hideRuleModal();
+        await this.loadRules();
+      } else {
+        this.showToast(
+          "Failed to save request rule: " +
+            (response?.error || "Unknown error"),
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Failed to save request rule:", error);
+      this.showToast("Failed to save request rule", "error");
+    }
+  }
+
+  async toggleRule(ruleId) {
+    const rule = this.rules.find((r) => r.id === Number(ruleId));
+    if (!rule) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "setRequestRuleEnabled",
+        ruleId: rule.id,
+        enabled: !rule.enabled,
+      });
+
+      if (response?.success) {
+        await this.loadRules();
+      } else {
+        this.showToast(
+          "Failed to update request rule: " +
+            (response?.error || "Unknown error"),
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Failed to toggle request rule:", error);
+      this.showToast("Failed to update request rule", "error");
+    }
+  }
+
+  async deleteRule(ruleId) {
+    if (!confirm("Are you sure you want to delete this request rule?")) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "deleteRequestRule",
+        ruleId: parseInt(ruleId),
+      });
+
+      if (response?.success) {
+        this.showToast("Request rule deleted successfully", "success");
+        await this.loadRules();
+      } else {
+        this.showToast(
+          "Failed to delete request rule: " +
+            (response?.error || "Unknown error"),
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Failed to delete request rule:", error);
+      this.showToast("Failed to delete request rule", "error");
+    }
+  }
+
+  showToast(message, type = "info") {
+    const notification = document.getElementById("notification");
+    if (notification) {
+      notification.textContent = message;
+      notification.className = `notification ${type} show`;
+      setTimeout(() => {
+        notification.classList.remove("show");
+      }, 3000);
+    }
+  }
+}
+
+export default RequestRules;
@@ -3,6 +3,9 @@
  * Part of unified runner architecture (Phase 3)
  */
 
+import Chart from "../../lib/chart.min.js";
+import { DIFF_REQUESTS_EVENT } from "./request-diff.js";
+
 class RunnersManager {
   constructor() {
     this.runners = [];
@@ -17,6 +20,14 @@ class RunnersManager {
     this.totalCount = 0;
     this.searchQuery = "";
     this.searchTimeout = null;
+
+    // Executions shown in the details modal (for run comparison)
+    this.detailExecutions = [];
+
+    // Live load test view
+    this.loadTestChart = null;
+    this.loadTestPollInterval = null;
+    this.loadTestTitle = null;
   }
 
   async initialize() {
@@ -35,8 +46,8 @@ class RunnersManager {
     // Setup wizard listeners (one-time setup)
     this.setupWizardListeners();
 
-    // Load runners
-    await this.loadRunners();
+    // Load runners and environments
+    await Promise.all([this.loadRunners(), this.loadEnvironmentOptions()]);
 
     // Auto-refresh every 30 seconds
     this.refreshInterval = setInterval(() => this.loadRunners(), 30000);
@@ -132,6 +143,38 @@ class RunnersManager {
         }
       }
 
+      // Handle compare with previous execution clicks
+      const compareBtn = e.target.closest(".compare-execution-btn");
+      if (compareBtn) {
+        this.showExecutionComparison(
+          compareBtn.dataset.executionId,
+          compareBtn.dataset.baseExecutionId
+        );
+      }
+
+      // Handle load test stats clicks
+      const loadStatsBtn = e.target.closest(".load-stats-btn");
+      if (loadStatsBtn) {
+        this.showLoadTestStats(loadStatsBtn.dataset.executionId);
+      }
+
+      if (e.target.closest("#cancelLoadTestBtn")) {
+        this.cancelLoadTest();
+      }
+
+      // Handle diff against captured request clicks
+      const diffResultBtn = e.target.closest(".diff-result-btn");
+      if (diffResultBtn) {
+        document.dispatchEvent(
+          new CustomEvent(DIFF_REQUESTS_EVENT, {
+            detail: {
+              left: { requestId: diffResultBtn.dataset.capturedRequestId },
+              right: { executionResultId: diffResultBtn.dataset.resultId },
+            },
+          })
+        );
+      }
+
       // Handle convert to saved button clicks
       const convertBtn = e.target.closest(".convert-to-saved-btn");
       if (convertBtn) {
@@ -552,9 +595,19 @@ class RunnersManager {
 
       this.showToast("Starting runner...", "info");
 
+      const runner = this.runners.find((r) => r.id === runnerId);
+      if (runner?.execution_mode === "load") {
+        this.startLoadTestMonitor(runner);
+      }
+
+      // Per-run environment override (empty = runner's pinned environment)
+      const environmentId = document.getElementById("runnerEnvironmentSelect")
+        ?.value;
+
       const response = await chrome.runtime.sendMessage({
         action: "runRunner",
         runnerId,
+        ...(environmentId ? { environmentId } : {}),
       });
 
       if (response && response.success) {
@@ -572,6 +625,7 @@ class RunnersManager {
       // Remove from running state
       this.runningRunners.delete(runnerId);
       this.updateRunnerCardState(runnerId);
+      await this.stopLoadTestMonitor();
 
       // Reload runners to update stats
       setTimeout(() => this.loadRunners(), 1000);
@@ -676,11 +730,12 @@ class RunnersManager {
     const modal = document.getElementById("runnerDetailsModal");
     if (!modal) return;
 
+    this.detailExecutions = executions;
     const executionsHtml =
       executions.length > 0
         ? executions
             .map(
-              (exec) => `
+              (exec, index) => `
           <tr>
             <td>${new Date(exec.start_time).toLocaleString()}</td>
             <td>
@@ -699,6 +754,28 @@ class RunnersManager {
               >
                 <i class="fas fa-list"></i> View Results
               </button>
+              ${
+                exec.execution_mode === "load"
+                  ? `<button
+                class="link-btn load-stats-btn"
+                data-execution-id="${exec.id}"
+              >
+                <i class="fas fa-tachometer-alt"></i> Load Stats
+              </button>`
+                  : ""
+              }
+              ${
+                executions[index + 1]
+                  ? `<button
+                class="link-btn compare-execution-btn"
+                data-execution-id="${exec.id}"
+                data-base-execution-id="${executions[index + 1].id}"
+                title="Compare with the previous run"
+              >
+                <i class="fas fa-code-branch"></i> Compare
+              </button>`
+                  : ""
+              }
             </td>
           </tr>
         `
@@ -835,6 +912,18 @@ class RunnersManager {
               <th>Execution Mode:</th>
               <td>${runner.execution_mode}</td>
             </tr>
+            ${
+              runner.environment_id
+                ? `
+            <tr>
+              <th>Environment:</th>
+              <td><i class="fas fa-layer-group"></i> ${this.escapeHtml(
+                this.getEnvironmentName(runner.environment_id)
+              )}</td>
+            </tr>
+            `
+                : ""
+            }
             <tr>
               <th>Total Requests:</th>
               <td>${runner.total_requests || 0}</td>
@@ -904,17 +993,571 @@ class RunnersManager {
       }
 
       const results = response.results || [];
-
-      // Show results in a new modal or expand section
-      alert(
-        `Execution Results:\n\n${results.length} results loaded\n\nTODO: Implement results view UI`
-      );
+      this.renderExecutionResults(executionId, results);
     } catch (error) {
       console.error("[Runners] Error loading execution results:", error);
       this.showToast("Error loading results", "error");
     }
   }
 
+  renderExecutionResults(executionId, results) {
+    const modal = document.getElementById("runnerDetailsModal");
+    const details = modal?.querySelector(".runner-details");
+    if (!details) return;
+
+    let section = details.querySelector(".execution-results-section");
+    if (!section) {
+      section = document.createElement("div");
+      section.className = "details-section execution-results-section";
+      details.appendChild(section);
+    }
+
+    const rowsHtml =
+      results.length > 0
+        ? results
+            .map((res) => {
+              const assertions = this.parseAssertionResults(
+                res.assertion_results
+              );
+              const assertionsHtml =
+                assertions.length > 0
+                  ? assertions
+                      .map(
+                        (a) => `
+                  <div style="font-size: 12px; color: ${
+                    a.passed ? "var(--success-color)" : "var(--error-color)"
+                  };">
+                    <i class="fas fa-${a.passed ? "check" : "times"}"></i>
+                    ${this.escapeHtml(a.description || a.type)}${
+                          !a.passed && a.actual !== undefined
+                            ? ` <span style="color: var(--text-secondary);">(actual: ${this.escapeHtml(
+                                JSON.stringify(a.actual)
+                              )})</span>`
+                            : ""
+                        }${
+                          a.message
+                            ? ` <span style="color: var(--text-secondary);">- ${this.escapeHtml(
+                                a.message
+                              )}</span>`
+                            : ""
+                        }
+                  </div>`
+                      )
+                      .join("")
+                  : '<span style="color: var(--text-secondary);">-</span>';
+
+              return `
+          <tr>
+            <td>${res.sequence_order + 1}</td>
+            <td>
+              <strong>${this.escapeHtml(res.method)}</strong>
+              <div style="font-size: 12px; color: var(--text-secondary); word-break: break-all;">${this.escapeHtml(
+                res.url
+              )}</div>
+            </td>
+            <td>${res.status || "ERR"}</td>
+            <td>${res.duration ? `${res.duration}ms` : "N/A"}</td>
+            <td>
+              <span class="status-badge status-${
+                res.success ? "completed" : "failed"
+              }">${res.success ? "passed" : "failed"}</span>
+              ${
+                res.error_message
+                  ? `<div style="font-size: 12px; color: var(--text-secondary);">${this.escapeHtml(
+                      res.error_message
+                    )}</div>`
+                  : ""
+              }
+            </td>
+            <td>${assertionsHtml}</td>
+            <td>${
+              res.captured_request_id
+                ? `<button class="link-btn diff-result-btn" data-result-id="${this.escapeHtml(
+                    res.id
+                  )}" data-captured-request-id="${this.escapeHtml(
+                    res.captured_request_id
+                  )}" title="Diff the replay against the captured request">
+                    <i class="fas fa-exchange-alt"></i> Diff
+                  </button>`
+                : '<span style="color: var(--text-secondary);">-</span>'
+            }</td>
+          </tr>
+        `;
+            })
+            .join("")
+        : '<tr><td colspan="7" style="text-align: center; padding: 20px; color: var(--text-secondary);">No results recorded for this execution</td></tr>';
+
+    section.innerHTML = `
+      <h3><i class="fas fa-list"></i> Execution Results</h3>
+      <div style="overflow-x: auto;">
+        <table class="data-table" data-execution-id="${this.escapeHtml(
+          executionId
+        )}">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Request</th>
+              <th>Status</th>
+              <th>Duration</th>
+              <th>Result</th>
+              <th>Assertions</th>
+              <th>Compare</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+          </tbody>
+        </table>
+      </div>
+    `;
+    section.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }
+
+  async showExecutionComparison(compareExecutionId, baseExecutionId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "compareExecutions",
+        compareExecutionId,
+        baseExecutionId,
+      });
+
+      if (!response?.success) {
+        this.showToast(
+          response?.error || "Failed to compare executions",
+          "error"
+        );
+        return;
+      }
+
+      this.renderExecutionComparison(response);
+    } catch (error) {
+      console.error("[Runners] Error comparing executions:", error);
+      this.showToast("Error comparing executions", "error");
+    }
+  }
+
+  renderExecutionComparison({ base, compare, rows, summary }) {
+    const modal = document.getElementById("runnerDetailsModal");
+    const details = modal?.querySelector(".runner-details");
+    if (!details) return;
+
+    let section = details.querySelector(".execution-comparison-section");
+    if (!section) {
+      section = document.createElement("div");
+      section.className = "details-section execution-comparison-section";
+      details.appendChild(section);
+    }
+
+    const formatRun = (run) =>
+      run
+        ? `${run.status || "ERR"} · ${
+            run.duration !== null ? `${run.duration}ms` : "N/A"
+          } · <span class="status-badge status-${
+            run.success ? "completed" : "failed"
+          }">${run.success ? "passed" : "failed"}</span>`
+        : '<span style="color: var(--text-secondary);">not run</span>';
+
+    const outcomeColors = {
+      regression: "var(--error-color)",
+      fix: "var(--success-color)",
+      added: "var(--info-color)",
+      removed: "var(--text-secondary)",
+      unchanged: "var(--text-secondary)",
+    };
+
+    const formatDelta = (row) => {
+      if (!row.duration || row.duration.delta === null) return "-";
+      const { delta, percent, slower, faster } = row.duration;
+      const color = slower
+        ? "var(--error-color)"
+        : faster
+        ? "var(--success-color)"
+        : "var(--text-secondary)";
+      return `<span style="color: ${color}; font-weight: ${
+        slower ? 600 : 400
+      };">${delta > 0 ? "+" : ""}${delta}ms${
+        percent !== null ? ` (${percent > 0 ? "+" : ""}${percent}%)` : ""
+      }</span>`;
+    };
+
+    const rowsHtml = rows
+      .map((row) => {
+        const assertionsHtml = [
+          ...(row.newlyFailingAssertions || []).map(
+            (a) => `<div style="font-size: 12px; color: var(--error-color);">
+              <i class="fas fa-times"></i> ${this.escapeHtml(a.description)}${
+              a.actual !== undefined
+                ? ` <span style="color: var(--text-secondary);">(actual: ${this.escapeHtml(
+                    JSON.stringify(a.actual)
+                  )})</span>`
+                : ""
+            }</div>`
+          ),
+          ...(row.fixedAssertions || []).map(
+            (a) => `<div style="font-size: 12px; color: var(--success-color);">
+              <i class="fas fa-check"></i> ${this.escapeHtml(a.description)}
+            </div>`
+          ),
+        ].join("");
+
+        return `
+          <tr>
+            <td>
+              <strong>${this.escapeHtml(row.method)}</strong>
+              <div style="font-size: 12px; color: var(--text-secondary); word-break: break-all;">${this.escapeHtml(
+                row.url
+              )}</div>
+            </td>
+            <td>${formatRun(row.base)}</td>
+            <td>${formatRun(row.compare)}${
+          row.statusChanged
+            ? ' <i class="fas fa-exclamation-triangle" style="color: var(--warning-color);" title="Status changed"></i>'
+            : ""
+        }</td>
+            <td>${formatDelta(row)}</td>
+            <td>
+              <span style="color: ${
+                outcomeColors[row.outcome]
+              }; font-weight: 600;">${row.outcome}</span>
+              ${assertionsHtml}
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    const baseOptions = (this.detailExecutions || [])
+      .filter((exec) => exec.start_time < compare.start_time)
+      .map(
+        (exec) =>
+          `<option value="${this.escapeHtml(exec.id)}" ${
+            exec.id === base.id ? "selected" : ""
+          }>${new Date(exec.start_time).toLocaleString()}</option>`
+      )
+      .join("");
+
+    section.innerHTML = `
+      <h3><i class="fas fa-code-branch"></i> Run Comparison</h3>
+      <p>
+        <strong>${this.escapeHtml(summary.text)}</strong>
+        ${
+          summary.avgDurationDelta !== null
+            ? `<span style="color: var(--text-secondary);">· average duration ${
+                summary.avgDurationDelta > 0 ? "+" : ""
+              }${summary.avgDurationDelta}ms</span>`
+            : ""
+        }
+      </p>
+      <div class="form-group">
+        <label>
+          Run of ${new Date(compare.start_time).toLocaleString()} compared with
+          <select class="comparison-base-select">${baseOptions}</select>
+        </label>
+      </div>
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Request</th>
+              <th>Before</th>
+              <th>After</th>
+              <th>Duration Δ</th>
+              <th>Outcome</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${
+              rowsHtml ||
+              '<tr><td colspan="5" style="text-align: center; padding: 20px; color: var(--text-secondary);">No results recorded for these executions</td></tr>'
+            }
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    section
+      .querySelector(".comparison-base-select")
+      ?.addEventListener("change", (e) =>
+        this.showExecutionComparison(compare.id, e.target.value)
+      );
+    section.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }
+
+  startLoadTestMonitor(runner) {
+    const modal = document.getElementById("loadTestModal");
+    if (!modal) return;
+
+    this.renderLoadTest({
+      title: runner.name,
+      status: "running",
+      totals: null,
+      buckets: [],
+    });
+    modal.style.display = "flex";
+
+    // The run message only resolves when the test ends, so poll for progress
+    this.loadTestTitle = runner.name;
+    clearInterval(this.loadTestPollInterval);
+    this.loadTestPollInterval = setInterval(
+      () => this.refreshLoadTestProgress(),
+      1000
+    );
+  }
+
+  async stopLoadTestMonitor() {
+    if (!this.loadTestPollInterval) return;
+    clearInterval(this.loadTestPollInterval);
+    this.loadTestPollInterval = null;
+    // Final state (completed or cancelled)
+    await this.refreshLoadTestProgress();
+  }
+
+  async refreshLoadTestProgress() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getRunnerProgress",
+      });
+      const progress = response?.progress;
+      if (!progress?.load) return;
+
+      this.renderLoadTest({
+        title: this.loadTestTitle,
+        status: progress.status,
+        progress: progress.progress,
+        elapsedTime: progress.elapsedTime,
+        config: progress.load.config,
+        activeUsers: progress.load.activeUsers,
+        totals: progress.load.totals,
+        buckets: progress.load.buckets,
+      });
+    } catch (error) {
+      console.error("[Runners] Error loading load test progress:", error);
+    }
+  }
+
+  async cancelLoadTest() {
+    try {
+      await chrome.runtime.sendMessage({ action: "cancelRun" });
+      this.showToast("Cancelling load test...", "info");
+    } catch (error) {
+      console.error("[Runners] Error cancelling load test:", error);
+      this.showToast("Failed to cancel load test", "error");
+    }
+  }
+
+  async showLoadTestStats(executionId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getLoadTestStats",
+        executionId,
+      });
+      if (!response?.success) {
+        this.showToast(
+          "Failed to load stats: " + (response?.error || "Unknown error"),
+          "error"
+        );
+        return;
+      }
+
+      const { execution, totals } = response;
+      this.renderLoadTest({
+        title: `${execution.runner_name} - ${new Date(
+          execution.start_time
+        ).toLocaleString()}`,
+        status: execution.status,
+        elapsedTime: execution.duration,
+        config: totals?.config,
+        totals,
+        buckets: response.buckets.map((bucket) => ({
+          offsetSeconds: bucket.offset_seconds,
+          requests: bucket.requests,
+          errors: bucket.errors,
+          rps: bucket.rps,
+          activeUsers: bucket.active_users,
+          p50: bucket.p50,
+          p90: bucket.p90,
+          p95: bucket.p95,
+          p99: bucket.p99,
+        })),
+      });
+      document.getElementById("loadTestModal").style.display = "flex";
+    } catch (error) {
+      console.error("[Runners] Error loading load test stats:", error);
+      this.showToast("Error loading load test stats", "error");
+    }
+  }
+
+  renderLoadTest({
+    title,
+    status,
+    progress,
+    elapsedTime,
+    config,
+    activeUsers,
+    totals,
+    buckets,
+  }) {
+    const statsEl = document.getElementById("loadTestStats");
+    const cancelBtn = document.getElementById("cancelLoadTestBtn");
+    if (!statsEl) return;
+
+    if (cancelBtn) {
+      cancelBtn.style.display = status === "running" ? "" : "none";
+    }
+
+    const ms = (value) =>
+      value === null || value === undefined ? "N/A" : `${value}ms`;
+    const stat = (label, value, color = "var(--text-primary)") => `
+      <div style="padding: 12px; background: var(--surface-color); border: 1px solid var(--border-color); border-radius: 8px; text-align: center;">
+        <div style="font-size: 20px; font-weight: 700; color: ${color};">${value}</div>
+        <div style="font-size: 12px; color: var(--text-secondary);">${label}</div>
+      </div>
+    `;
+
+    statsEl.innerHTML = `
+      <p style="margin-top: 0;">
+        ${title ? `<strong>${this.escapeHtml(title)}</strong>` : ""}
+        <span class="status-badge status-${this.escapeHtml(
+          status
+        )}">${this.escapeHtml(status)}</span>
+        ${
+          progress !== undefined
+            ? `<span style="color: var(--text-secondary);">${progress}%</span>`
+            : ""
+        }
+        ${
+          elapsedTime
+            ? `<span style="color: var(--text-secondary);">${(
+                elapsedTime / 1000
+              ).toFixed(1)}s</span>`
+            : ""
+        }
+      </p>
+      ${
+        config
+          ? `<p style="color: var(--text-secondary);">${
+              config.virtualUsers
+            } virtual users, ${config.rampUpSeconds}s ramp-up, ${
+              config.iterations
+                ? `${config.iterations} iterations (max ${config.durationSeconds}s)`
+                : `${config.durationSeconds}s`
+            }${config.targetRps ? `, target ${config.targetRps} RPS` : ""}</p>`
+          : ""
+      }
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 10px;">
+        ${stat("Requests", totals?.requests ?? 0)}
+        ${stat("Throughput", `${totals?.throughput ?? 0}/s`)}
+        ${stat(
+          "Error Rate",
+          `${totals?.errorRate ?? 0}%`,
+          totals?.errors ? "var(--error-color)" : "var(--success-color)"
+        )}
+        ${activeUsers !== undefined ? stat("Active VUs", activeUsers) : ""}
+        ${stat("p50", ms(totals?.p50))}
+        ${stat("p90", ms(totals?.p90))}
+        ${stat("p95", ms(totals?.p95))}
+        ${stat("p99", ms(totals?.p99))}
+      </div>
+    `;
+
+    this.renderLoadTestChart(buckets || []);
+  }
+
+  renderLoadTestChart(buckets) {
+    const canvas = document.getElementById("loadTestChart");
+    if (!canvas) return;
+
+    const labels = buckets.map((bucket) => `${bucket.offsetSeconds}s`);
+    const datasets = [
+      { label: "p50 (ms)", key: "p50", color: "rgba(76, 175, 80, 1)" },
+      { label: "p95 (ms)", key: "p95", color: "rgba(255, 152, 0, 1)" },
+      { label: "p99 (ms)", key: "p99", color: "rgba(244, 67, 54, 1)" },
+    ].map(({ label, key, color }) => ({
+      label,
+      data: buckets.map((bucket) => bucket[key]),
+      borderColor: color,
+      backgroundColor: color,
+      fill: false,
+      yAxisID: "y",
+    }));
+    datasets.push(
+      {
+        label: "Requests/s",
+        data: buckets.map((bucket) => bucket.rps),
+        borderColor: "rgba(33, 150, 243, 1)",
+        backgroundColor: "rgba(33, 150, 243, 0.15)",
+        fill: true,
+        yAxisID: "y1",
+      },
+      {
+        label: "Errors",
+        data: buckets.map((bucket) => bucket.errors),
+        borderColor: "rgba(156, 39, 176, 1)",
+        backgroundColor: "rgba(156, 39, 176, 1)",
+        fill: false,
+        yAxisID: "y1",
+      }
+    );
+
+    // Update in place while the test runs to avoid redrawing from scratch
+    if (this.loadTestChart) {
+      this.loadTestChart.data.labels = labels;
+      this.loadTestChart.data.datasets.forEach((dataset, index) => {
+        dataset.data = datasets[index].data;
+      });
+      this.loadTestChart.update("none");
+      return;
+    }
+
+    this.loadTestChart = new Chart(canvas.getContext("2d"), {
+      type: "line",
+      data: { labels, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        elements: { point: { radius: 0 } },
+        scales: {
+          y: {
+            type: "linear",
+            position: "left",
+            title: { display: true, text: "Latency (ms)" },
+          },
+          y1: {
+            type: "linear",
+            position: "right",
+            title: { display: true, text: "Requests / Errors" },
+            grid: { drawOnChartArea: false },
+          },
+        },
+      },
+    });
+  }
+
+  parseAssertionResults(assertionResults) {
+    if (!assertionResults) return [];
+    try {
+      const parsed =
+        typeof assertionResults === "string"
+          ? JSON.parse(assertionResults)
+          : assertionResults;
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.warn("[Runners] Failed to parse assertion results:", e);
+      return [];
+    }
+  }
+
+  formatJsonField(value) {
+    if (!value) return "";
+    try {
+      const parsed = typeof value === "string" ? JSON.parse(value) : value;
+      return JSON.stringify(parsed, null, 2);
+    } catch (e) {
+      return String(value);
+    }
+  }
+
   async convertToSaved(runnerId) {
     if (!confirm("Convert this quick run to a permanent saved runner?")) {
       return;
@@ -1051,9 +1694,11 @@ class RunnersManager {
         collection_id: runner.collection_id,
         execution_mode: runner.execution_mode,
         delay_ms: runner.delay_ms,
+        load_config: runner.load_config,
         follow_redirects: runner.follow_redirects,
         validate_status: runner.validate_status,
         use_variables: runner.use_variables,
+        environment_id: runner.environment_id,
         header_overrides: runner.header_overrides,
         is_active: true,
         created_at: now,
@@ -1074,6 +1719,7 @@ class RunnersManager {
         page_url: req.page_url,
         captured_request_id: req.captured_request_id,
         assertions: req.assertions,
+        extractions: req.extractions,
         description: req.description,
         is_enabled: req.is_enabled,
         created_at: now,
@@ -1234,7 +1880,54 @@ class RunnersManager {
     // Show modal and load domains
     modal.style.display = "block";
     this.updateWizardStep(1);
-    await this.loadWizardDomains();
+    await Promise.all([
+      this.loadWizardDomains(),
+      this.loadEnvironmentOptions(),
+    ]);
+  }
+
+  /**
+   * Fill environment selects (run override and wizard pin) from settings
+   */
+  async loadEnvironmentOptions() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getSettings",
+      });
+      this.environments = response?.settings?.variables?.environments || [];
+    } catch (error) {
+      console.warn("[Runners] Could not load environments:", error);
+      this.environments = [];
+    }
+
+    const options = this.environments
+      .map(
+        (env) =>
+          `<option value="${this.escapeHtml(env.id)}">${this.escapeHtml(
+            env.name
+          )}</option>`
+      )
+      .join("");
+
+    [
+      ["runnerEnvironmentSelect", "Runner default environment"],
+      ["wizardEnvironment", "Active environment (default)"],
+    ].forEach(([id, defaultLabel]) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      const current = select.value;
+      select.innerHTML = `<option value="">${defaultLabel}</option>${options}`;
+      select.value = this.environments.some((env) => env.id === current)
+        ? current
+        : "";
+    });
+  }
+
+  getEnvironmentName(environmentId) {
+    const environment = (this.environments || []).find(
+      (env) => env.id === environmentId
+    );
+    return environment ? environment.name : "Deleted environment";
   }
 
   setupWizardListeners() {
@@ -1302,6 +1995,11 @@ class RunnersManager {
           delayGroup.style.display =
             e.target.value === "sequential" ? "block" : "none";
         }
+        const loadGroup = document.getElementById("wizardLoadGroup");
+        if (loadGroup) {
+          loadGroup.style.display =
+            e.target.value === "load" ? "block" : "none";
+        }
       });
     }
 
@@ -1842,6 +2540,22 @@ class RunnersManager {
               style="width: 100%; padding: 6px; border: 1px solid var(--border-color); border-radius: 4px; font-size: 12px; font-family: monospace;">${bodyStr}</textarea>
             <small style="color: var(--text-secondary); font-size: 11px;">Use {{variableName}} to reference variables</small>
           </div>
+          <div style="margin-bottom: 8px;">
+            <label style="font-size: 12px; color: var(--text-secondary);">Assertions (JSON):</label>
+            <textarea class="request-assertions-input" data-index="${idx}" rows="3" placeholder='[{"type": "status", "expected": 200}, {"type": "jsonPath", "path": "$.data.id", "operator": "exists"}]'
+              style="width: 100%; padding: 6px; border: 1px solid var(--border-color); border-radius: 4px; font-size: 12px; font-family: monospace;">${this.escapeHtml(
+                this.formatJsonField(req.assertions)
+              )}</textarea>
+            <small style="color: var(--text-secondary); font-size: 11px;">Types: status, header, jsonPath, bodyRegex, maxDuration, jsonSchema</small>
+          </div>
+          <div style="margin-bottom: 8px;">
+            <label style="font-size: 12px; color: var(--text-secondary);">Extract Variables (JSON):</label>
+            <textarea class="request-extractions-input" data-index="${idx}" rows="3" placeholder='[{"variable": "token", "source": "jsonPath", "expression": "$.access_token"}]'
+              style="width: 100%; padding: 6px; border: 1px solid var(--border-color); border-radius: 4px; font-size: 12px; font-family: monospace;">${this.escapeHtml(
+                this.formatJsonField(req.extractions)
+              )}</textarea>
+            <small style="color: var(--text-secondary); font-size: 11px;">Sources: jsonPath, regex, header. Later requests in a sequential run can use {{variable}}</small>
+          </div>
           <div style="margin-bottom: 8px;">
             <label style="font-size: 12px; color: var(--text-secondary);">Description:</label>
             <input type="text" class="request-description-input" data-index="${idx}" value="${
@@ -1896,6 +2610,24 @@ class RunnersManager {
       });
     });
 
+    container.querySelectorAll(".request-assertions-input").forEach((input) => {
+      input.addEventListener("change", (e) => {
+        this.updateRequestJsonField(e.target, "assertions", "assertions");
+      });
+    });
+
+    container
+      .querySelectorAll(".request-extractions-input")
+      .forEach((input) => {
+        input.addEventListener("change", (e) => {
+          this.updateRequestJsonField(
+            e.target,
+            "extractions",
+            "extraction rules"
+          );
+        });
+      });
+
     container
       .querySelectorAll(".request-description-input")
       .forEach((input) => {
@@ -1906,6 +2638,26 @@ class RunnersManager {
       });
   }
 
+  // Store a JSON array field (assertions, extractions) edited in the wizard
+  updateRequestJsonField(input, field, label) {
+    const idx = parseInt(input.dataset.index);
+    const value = input.value.trim();
+    if (!value) {
+      this.wizardState.selectedRequests[idx][field] = null;
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(value);
+      if (!Array.isArray(parsed)) {
+        throw new Error(`${label} must be a JSON array`);
+      }
+      this.wizardState.selectedRequests[idx][field] = JSON.stringify(parsed);
+    } catch (error) {
+      this.showToast(`Invalid ${label}: ${error.message}`, "error");
+    }
+  }
+
   async addVariable() {
     const name = prompt("Variable name (without {{ }}):");
     if (!name) return;
@@ -2135,6 +2887,8 @@ class RunnersManager {
         .checked,
       validate_status: document.getElementById("wizardValidateStatus").checked,
       use_variables: document.getElementById("wizardUseVariables").checked,
+      environment_id:
+        document.getElementById("wizardEnvironment")?.value || null,
       header_overrides: null,
       is_active: true,
       created_at: now,
@@ -2172,12 +2926,25 @@ class RunnersManager {
         body: req.body || null,
         captured_request_id: req.id || null,
         assertions: req.assertions || null,
+        extractions: req.extractions || null,
         description: req.description || null,
         is_enabled: true,
         created_at: now,
       };
     });
 
+    if (definition.execution_mode === "load") {
+      const numberValue = (id) =>
+        parseInt(document.getElementById(id).value, 10) || 0;
+      definition.load_config = {
+        virtualUsers: numberValue("wizardLoadVirtualUsers"),
+        rampUpSeconds: numberValue("wizardLoadRampUp"),
+        durationSeconds: numberValue("wizardLoadDuration"),
+        iterations: numberValue("wizardLoadIterations") || null,
+        targetRps: numberValue("wizardLoadTargetRps"),
+      };
+    }
+
     // Add variables to definition if any
     if (this.wizardState.variables.length > 0) {
       definition.variables = this.wizardState.variables;
@@ -2552,6 +3319,12 @@ class RunnersManager {
     if (this.refreshInterval) {
       clearInterval(this.refreshInterval);
     }
+    if (this.loadTestPollInterval) {
+      clearInterval(this.loadTestPollInterval);
+    }
+    if (this.loadTestChart) {
+      this.loadTestChart.destroy();
+    }
   }
 }
 
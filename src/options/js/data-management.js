@@ -42,12 +42,57 @@ export async function updateDatabaseSizeDisplay() {
       } else if (oldestElement) {
         oldestElement.textContent = "N/A";
       }
+
+      const latencyElement = document.getElementById("dbSaveLatency");
+      if (latencyElement) {
+        latencyElement.textContent = formatSaveLatency(response.persistence);
+        latencyElement.title = formatPersistenceDetails(response.persistence);
+      }
     }
   } catch (error) {
     console.error("Failed to get database size:", error);
   }
 }
 
+/**
+ * Format journal flush latency for the database status
+ */
+function formatSaveLatency(persistence) {
+  if (!persistence || persistence.lastFlushMs === null) {
+    return "N/A";
+  }
+  return `${persistence.avgFlushMs} ms avg (last ${persistence.lastFlushMs} ms)`;
+}
+
+/**
+ * Tooltip with journal and compaction details
+ */
+function formatPersistenceDetails(persistence) {
+  if (!persistence) return "";
+
+  const journalKB = (persistence.journalBytes / 1024).toFixed(1);
+  const lines = [
+    `Journal: ${persistence.journalSegments} segment(s), ${journalKB} KB`,
+    `Pending statements: ${persistence.pendingStatements}`,
+  ];
+  if (persistence.maxFlushMs !== null) {
+    lines.push(`Slowest save: ${persistence.maxFlushMs} ms`);
+  }
+  if (persistence.lastCompactionAt) {
+    lines.push(
+      `Last compaction: ${new Date(
+        persistence.lastCompactionAt
+      ).toLocaleString()} (${persistence.lastCompactionMs} ms)`
+    );
+  }
+  if (persistence.loadMs !== null) {
+    lines.push(
+      `Startup load: ${persistence.loadMs} ms, ${persistence.replayedStatements} statement(s) replayed`
+    );
+  }
+  return lines.join("\n");
+}
+
 /**
  * Preview Cleanup
  * Calculate and display statistics about records to be deleted
@@ -2,11 +2,14 @@
 import "../components/dashboard.js";
 import "../components/analytics.js"; // Analytics features available through Dashboard
 import "../components/alerts.js";
+import "../components/request-rules.js";
+import "../components/fault-profiles.js";
+import "../components/request-diff.js";
 import "../components/runners.js";
 import "../components/collections.js"; // Collections integrated into Runners tab
 import "../components/auto-export.js";
 import "../components/capture-filters.js";
-import "../components/capture-settings.js";
+import { renderRedactionSettings } from "../components/capture-settings.js";
 import "../../lib/shared-components/chart-components.js";
 import "../../lib/shared-components/chart-renderer.js";
 import "../../lib/shared-components/data-filter-panel.js";
@@ -289,6 +292,14 @@ document.addEventListener("DOMContentLoaded", async () => {
     // Initialize variables manager
     await variablesManager.initialize();
 
+    // Mount sensitive data redaction settings
+    const redactionContainer = document.getElementById(
+      "redactionSettingsContainer"
+    );
+    if (redactionContainer) {
+      redactionContainer.appendChild(renderRedactionSettings());
+    }
+
     // Setup event listeners for buttons
     setupEventListeners();
 
@@ -350,6 +361,18 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     // Initialize Alerts component
     await initializeAlerts();
+
+    // Initialize Request Rules component
+    await initializeRequestRules();
+
+    // Initialize Fault Profiles component
+    await initializeFaultProfiles();
+
+    // Initialize Background Jobs component
+    await initializeJobs();
+
+    // Initialize Request Diff modal (opened from dashboard and runners)
+    await initializeRequestDiff();
   } catch (error) {
     console.error("Error initializing options:", error);
     console.error("Error stack:", error.stack);
@@ -416,6 +439,11 @@ async function loadOptions() {
       ).join(", ");
     }
 
+    // Update body capture settings
+    loadBodyCaptureOptions(settings?.capture?.bodyCapture || {});
+    loadRealtimeCaptureOptions(settings?.capture?.realtimeCapture || {});
+    loadGraphQLCaptureOptions(settings?.capture?.graphqlCapture || {});
+
     // Update export settings
     if (autoExport) autoExport.checked = settings?.general?.autoExport ?? false;
     if (exportFormat)
@@ -503,6 +531,109 @@ async function loadDatabaseInfo() {
   }
 }
 
+// Populate request/response body capture controls
+function loadBodyCaptureOptions(bodyCapture) {
+  const setChecked = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.checked = value;
+  };
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+
+  setChecked("bodyCaptureEnabled", bodyCapture.enabled ?? false);
+  setChecked("bodyCaptureRequest", bodyCapture.captureRequestBody ?? true);
+  setChecked("bodyCaptureResponse", bodyCapture.captureResponseBody ?? true);
+  setValue("bodyCaptureDomains", (bodyCapture.domains || []).join(", "));
+  setValue(
+    "bodyCaptureContentTypes",
+    (
+      bodyCapture.contentTypes || [
+        "application/json",
+        "application/*+json",
+        "application/x-www-form-urlencoded",
+        "application/xml",
+        "text/*",
+      ]
+    ).join(", ")
+  );
+  setValue(
+    "bodyCaptureMaxSize",
+    Math.round((bodyCapture.maxBodySize ?? 256 * 1024) / 1024)
+  );
+}
+
+// Read request/response body capture controls into settings shape
+function readBodyCaptureOptions() {
+  const splitList = (id) =>
+    (document.getElementById(id)?.value || "")
+      .split(",")
+      .map((v) => v.trim())
+      .filter((v) => v);
+  const maxSizeKb = Number.parseInt(
+    document.getElementById("bodyCaptureMaxSize")?.value,
+    10
+  );
+
+  return {
+    enabled: document.getElementById("bodyCaptureEnabled")?.checked ?? false,
+    captureRequestBody:
+      document.getElementById("bodyCaptureRequest")?.checked ?? true,
+    captureResponseBody:
+      document.getElementById("bodyCaptureResponse")?.checked ?? true,
+    domains: splitList("bodyCaptureDomains"),
+    contentTypes: splitList("bodyCaptureContentTypes"),
+    maxBodySize: Number.isNaN(maxSizeKb) ? 256 * 1024 : maxSizeKb * 1024,
+  };
+}
+
+// Populate WebSocket / Server-Sent Events capture controls
+function loadRealtimeCaptureOptions(realtimeCapture) {
+  const enabled = document.getElementById("realtimeCaptureEnabled");
+  const payloads = document.getElementById("realtimeCapturePayloads");
+  const maxSize = document.getElementById("realtimeMaxPayloadSize");
+
+  if (enabled) enabled.checked = realtimeCapture.enabled ?? true;
+  if (payloads) payloads.checked = realtimeCapture.capturePayloads ?? false;
+  if (maxSize) {
+    maxSize.value = Math.round((realtimeCapture.maxPayloadSize ?? 4096) / 1024);
+  }
+}
+
+// Read WebSocket / Server-Sent Events capture controls into settings shape
+function readRealtimeCaptureOptions() {
+  const maxSizeKb = Number.parseInt(
+    document.getElementById("realtimeMaxPayloadSize")?.value,
+    10
+  );
+
+  return {
+    enabled: document.getElementById("realtimeCaptureEnabled")?.checked ?? true,
+    capturePayloads:
+      document.getElementById("realtimeCapturePayloads")?.checked ?? false,
+    maxPayloadSize: Number.isNaN(maxSizeKb) ? 4096 : maxSizeKb * 1024,
+  };
+}
+
+// Populate GraphQL capture controls
+function loadGraphQLCaptureOptions(graphqlCapture) {
+  const enabled = document.getElementById("graphqlCaptureEnabled");
+  const variables = document.getElementById("graphqlCaptureVariables");
+
+  if (enabled) enabled.checked = graphqlCapture.enabled ?? true;
+  if (variables) variables.checked = graphqlCapture.captureVariables ?? false;
+}
+
+// Read GraphQL capture controls into settings shape
+function readGraphQLCaptureOptions() {
+  return {
+    enabled: document.getElementById("graphqlCaptureEnabled")?.checked ?? true,
+    captureVariables:
+      document.getElementById("graphqlCaptureVariables")?.checked ?? false,
+  };
+}
+
 // Placeholder for SQLite export toggle (if needed by other components)
 function loadSqliteExportToggle() {
   // Implementation can be added here if needed
@@ -548,6 +679,9 @@ async function saveOptions() {
           .map((d) => d.trim())
           .filter((d) => d),
       },
+      bodyCapture: readBodyCaptureOptions(),
+      realtimeCapture: readRealtimeCaptureOptions(),
+      graphqlCapture: readGraphQLCaptureOptions(),
     },
     general: {
       maxStoredRequests: Number.parseInt(maxStoredRequests.value, 10),
@@ -1571,11 +1705,13 @@ function setupTabNavigation() {
   const tabTitles = {
     dashboard: "Dashboard",
     runners: "Request Runners",
+    rules: "Request Rules",
     general: "General Settings",
     monitoring: "Monitoring",
     filters: "Filters",
     export: "Export Settings",
     retention: "Data Retention",
+    jobs: "Background Jobs",
     security: "Security Settings",
     themes: "Themes",
     advanced: "Advanced Tools",
@@ -2867,6 +3003,61 @@ function initializeAdvancedTab() {
     });
   }
 
+  // Import HAR (adds to the database, nothing is replaced)
+  const importHarBtn = document.getElementById("importHarBtn");
+  const importHarFile = document.getElementById("importHarFile");
+
+  if (importHarBtn && importHarFile) {
+    importHarBtn.addEventListener("click", () => {
+      importHarFile.click();
+    });
+
+    importHarFile.addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      try {
+        const sizeMB = file.size / (1024 * 1024);
+        if (sizeMB > 50) {
+          showNotification(
+            `HAR file is ${sizeMB.toFixed(
+              1
+            )}MB. Chrome extensions have a 64MB message limit. Please split the HAR file.`,
+            true
+          );
+          return;
+        }
+
+        showNotification(`Importing ${file.name}...`);
+
+        const response = await chrome.runtime.sendMessage({
+          action: "importHAR",
+          content: await file.text(),
+          filename: file.name,
+        });
+
+        if (response && response.success) {
+          const skipped = response.skippedCount
+            ? ` (${response.skippedCount} skipped)`
+            : "";
+          showNotification(
+            `Imported ${response.importedCount} requests from ${file.name}${skipped}`
+          );
+        } else {
+          showNotification(
+            "HAR import failed: " + (response?.error || "Unknown error"),
+            true
+          );
+        }
+      } catch (error) {
+        console.error("HAR import error:", error);
+        showNotification("Failed to import HAR file: " + error.message, true);
+      } finally {
+        importHarFile.value = "";
+      }
+    });
+  }
+
   // Reset Database
   const resetDatabaseBtn = document.getElementById("resetDatabaseBtn");
   if (resetDatabaseBtn) {
@@ -4154,6 +4345,7 @@ if (exportNowBtn) {
           json: "JSON",
           csv: "CSV (ZIP)",
           sqlite: "SQLite",
+          excel: "Excel (XLSX)",
         };
         const formatName = response.format
           ? formatNames[response.format] || response.format.toUpperCase()
@@ -4639,6 +4831,64 @@ async function initializeAlerts() {
   }
 }
 
+// Initialize Request Rules component
+let requestRulesInstance = null;
+
+async function initializeRequestRules() {
+  try {
+    const { default: RequestRules } = await import(
+      "../components/request-rules.js"
+    );
+    requestRulesInstance = new RequestRules();
+    await requestRulesInstance.initialize();
+  } catch (error) {
+    console.error("Failed to initialize Request Rules:", error);
+  }
+}
+
+// Initialize Fault Profiles component
+let faultProfilesInstance = null;
+
+async function initializeFaultProfiles() {
+  try {
+    const { default: FaultProfiles } = await import(
+      "../components/fault-profiles.js"
+    );
+    faultProfilesInstance = new FaultProfiles();
+    await faultProfilesInstance.initialize();
+  } catch (error) {
+    console.error("Failed to initialize Fault Profiles:", error);
+  }
+}
+
+// Initialize Background Jobs component
+let jobsInstance = null;
+
+async function initializeJobs() {
+  try {
+    const { default: Jobs } = await import("../components/jobs.js");
+    jobsInstance = new Jobs();
+    await jobsInstance.initialize();
+  } catch (error) {
+    console.error("Failed to initialize Jobs:", error);
+  }
+}
+
+// Initialize Request Diff component
+let requestDiffInstance = null;
+
+async function initializeRequestDiff() {
+  try {
+    const { default: RequestDiff } = await import(
+      "../components/request-diff.js"
+    );
+    requestDiffInstance = new RequestDiff();
+    requestDiffInstance.initialize();
+  } catch (error) {
+    console.error("Failed to initialize Request Diff:", error);
+  }
+}
+
 // ===== DATA SAFETY FEATURES =====
 // (Data Management functions moved to data-management.js)
 
@@ -8,6 +8,7 @@ import settingsManager from "../../lib/shared-components/settings-ui-coordinator
 export class VariablesManager {
   constructor() {
     this.currentEditingId = null;
+    this.secretStatus = { mode: "device", locked: false, secrets: {} };
     this.initializeElements();
     this.attachEventListeners();
   }
@@ -28,8 +29,29 @@ export class VariablesManager {
     this.variableDescriptionInput = document.getElementById(
       "variableDescription"
     );
+    this.variableSecretInput = document.getElementById("variableSecret");
     this.saveVariableBtn = document.getElementById("saveVariableBtn");
     this.cancelVariableBtn = document.getElementById("cancelVariableBtn");
+
+    // Environment elements
+    this.activeEnvironmentSelect = document.getElementById(
+      "activeEnvironmentSelect"
+    );
+    this.addEnvironmentBtn = document.getElementById("addEnvironmentBtn");
+    this.editEnvironmentBtn = document.getElementById("editEnvironmentBtn");
+    this.deleteEnvironmentBtn = document.getElementById("deleteEnvironmentBtn");
+    this.environmentEditor = document.getElementById("environmentEditor");
+
+    // Secret variable elements
+    this.secretStatusEl = document.getElementById("secretStatus");
+    this.secretPassphraseInput = document.getElementById(
+      "secretPassphraseInput"
+    );
+    this.unlockSecretsBtn = document.getElementById("unlockSecretsBtn");
+    this.lockSecretsBtn = document.getElementById("lockSecretsBtn");
+    this.setPassphraseBtn = document.getElementById("setPassphraseBtn");
+    this.clearPassphraseBtn = document.getElementById("clearPassphraseBtn");
+    this.secretAutoLockInput = document.getElementById("secretAutoLockMinutes");
   }
 
   attachEventListeners() {
@@ -67,11 +89,44 @@ export class VariablesManager {
     this.variableNameInput?.addEventListener("input", (e) => {
       this.validateVariableName(e.target);
     });
+
+    // Secret values are never displayed
+    this.variableSecretInput?.addEventListener("change", (e) => {
+      this.variableValueInput.type = e.target.checked ? "password" : "text";
+    });
+
+    // Environments
+    this.activeEnvironmentSelect?.addEventListener("change", (e) =>
+      this.setActiveEnvironment(e.target.value)
+    );
+    this.addEnvironmentBtn?.addEventListener("click", () =>
+      this.addEnvironment()
+    );
+    this.editEnvironmentBtn?.addEventListener("click", () =>
+      this.openEnvironmentEditor()
+    );
+    this.deleteEnvironmentBtn?.addEventListener("click", () =>
+      this.deleteEnvironment()
+    );
+
+    // Secret variables
+    this.unlockSecretsBtn?.addEventListener("click", () =>
+      this.unlockSecrets()
+    );
+    this.lockSecretsBtn?.addEventListener("click", () => this.lockSecrets());
+    this.setPassphraseBtn?.addEventListener("click", () =>
+      this.setSecretPassphrase()
+    );
+    this.clearPassphraseBtn?.addEventListener("click", () =>
+      this.clearSecretPassphrase()
+    );
   }
 
   async initialize() {
     await settingsManager.initialize();
     this.loadSettings();
+    await this.loadSecretStatus();
+    this.renderEnvironments();
     this.renderVariables();
 
     // Listen for settings changes from other components (e.g., runner wizard)
@@ -79,6 +134,7 @@ export class VariablesManager {
       if (event.detail && event.detail.key === "variables") {
         // Reload settings from storage and re-render
         settingsManager.initialize().then(() => {
+          this.renderEnvironments();
           this.renderVariables();
         });
       }
@@ -127,11 +183,30 @@ export class VariablesManager {
   createVariableItem(variable) {
     const createdDate = new Date(variable.createdAt).toLocaleDateString();
     const updatedDate = new Date(variable.updatedAt).toLocaleDateString();
+    const activeEnvironment = settingsManager.getActiveEnvironment();
+    const isOverridden =
+      activeEnvironment &&
+      (variable.secret
+        ? this.hasSecretOverride(activeEnvironment.id, variable.name)
+        : Object.prototype.hasOwnProperty.call(
+            activeEnvironment.values || {},
+            variable.name
+          ));
 
     return `
       <div class="variable-item" data-id="${variable.id}">
         <div class="variable-header">
-          <div class="variable-name">\${${variable.name}}</div>
+          <div class="variable-name">\${${variable.name}}${
+      variable.secret
+        ? '<span class="variable-secret-badge"><i class="fas fa-lock"></i> secret</span>'
+        : ""
+    }${
+      isOverridden
+        ? `<span class="variable-override"><i class="fas fa-layer-group"></i> overridden in ${this.escapeHtml(
+            activeEnvironment.name
+          )}</span>`
+        : ""
+    }</div>
           <div class="variable-actions">
             <button class="edit-btn" data-action="edit" data-id="${
               variable.id
@@ -145,7 +220,11 @@ export class VariablesManager {
             </button>
           </div>
         </div>
-        <div class="variable-value">${this.maskValue(variable.value)}</div>
+        <div class="variable-value">${
+          variable.secret
+            ? "<em>encrypted</em>"
+            : this.maskValue(variable.value)
+        }</div>
         ${
           variable.description
             ? `<div class="variable-description">${this.escapeHtml(
@@ -206,6 +285,7 @@ export class VariablesManager {
     this.variableNameInput.value = "";
     this.variableValueInput.value = "";
     this.variableDescriptionInput.value = "";
+    this.setSecretInputState(false);
     this.variableNameInput.disabled = false;
     this.modal.style.display = "block";
     this.variableNameInput.focus();
@@ -223,13 +303,24 @@ export class VariablesManager {
     this.currentEditingId = id;
     this.modalTitle.textContent = "Edit Variable";
     this.variableNameInput.value = variable.name;
-    this.variableValueInput.value = variable.value;
+    this.variableValueInput.value = variable.secret ? "" : variable.value;
     this.variableDescriptionInput.value = variable.description || "";
+    this.setSecretInputState(Boolean(variable.secret));
     this.variableNameInput.disabled = true; // Can't change name during edit
     this.modal.style.display = "block";
     this.variableValueInput.focus();
   }
 
+  setSecretInputState(secret) {
+    if (this.variableSecretInput) {
+      this.variableSecretInput.checked = secret;
+    }
+    this.variableValueInput.type = secret ? "password" : "text";
+    this.variableValueInput.placeholder = secret
+      ? "Leave empty to keep the current secret"
+      : "e.g., your-secret-token-here";
+  }
+
   closeModal() {
     this.modal.style.display = "none";
     this.currentEditingId = null;
@@ -251,6 +342,12 @@ export class VariablesManager {
     const name = this.variableNameInput.value.trim();
     const value = this.variableValueInput.value.trim();
     const description = this.variableDescriptionInput.value.trim();
+    const secret = Boolean(this.variableSecretInput?.checked);
+    const existing = this.currentEditingId
+      ? settingsManager
+          .getVariables()
+          .find((v) => v.id === this.currentEditingId)
+      : null;
 
     // Validation
     if (!name) {
@@ -264,17 +361,30 @@ export class VariablesManager {
       return;
     }
 
-    if (!value) {
+    // An existing secret keeps its encrypted value when left empty
+    if (!value && !(secret && existing?.secret)) {
       this.showToast("Variable value is required", "error");
       this.variableValueInput.focus();
       return;
     }
 
     try {
+      // Secret values go to the background for encryption, never to settings
+      if (secret && value) {
+        await this.sendSecretMessage({
+          action: "setSecretVariable",
+          name,
+          value,
+        });
+      } else if (!secret && existing?.secret) {
+        await this.sendSecretMessage({ action: "deleteSecretVariable", name });
+      }
+
       if (this.currentEditingId) {
         // Update existing variable
         await settingsManager.updateVariable(this.currentEditingId, {
-          value,
+          value: secret ? "" : value,
+          secret,
           description,
         });
         this.showToast("Variable updated successfully", "success");
@@ -282,13 +392,15 @@ export class VariablesManager {
         // Add new variable
         await settingsManager.addVariable({
           name,
-          value,
+          value: secret ? "" : value,
+          secret,
           description,
         });
         this.showToast("Variable added successfully", "success");
       }
 
       this.closeModal();
+      await this.loadSecretStatus();
       this.renderVariables();
     } catch (error) {
       console.error("Failed to save variable:", error);
@@ -312,6 +424,12 @@ export class VariablesManager {
     if (!confirmDelete) return;
 
     try {
+      if (variable.secret) {
+        await this.sendSecretMessage({
+          action: "deleteSecretVariable",
+          name: variable.name,
+        });
+      }
       await settingsManager.deleteVariable(id);
       this.showToast("Variable deleted successfully", "success");
       this.renderVariables();
@@ -321,6 +439,350 @@ export class VariablesManager {
     }
   }
 
+  renderEnvironments() {
+    if (!this.activeEnvironmentSelect) return;
+
+    const environments = settingsManager.getEnvironments();
+    const active = settingsManager.getActiveEnvironment();
+
+    this.activeEnvironmentSelect.innerHTML =
+      '<option value="">Global values only</option>' +
+      environments
+        .map(
+          (env) =>
+            `<option value="${env.id}">${this.escapeHtml(env.name)}</option>`
+        )
+        .join("");
+    this.activeEnvironmentSelect.value = active?.id || "";
+
+    const hasActive = Boolean(active);
+    if (this.editEnvironmentBtn) this.editEnvironmentBtn.disabled = !hasActive;
+    if (this.deleteEnvironmentBtn)
+      this.deleteEnvironmentBtn.disabled = !hasActive;
+  }
+
+  async setActiveEnvironment(id) {
+    try {
+      await settingsManager.setActiveEnvironment(id || null);
+      this.closeEnvironmentEditor();
+      this.renderEnvironments();
+      this.renderVariables();
+    } catch (error) {
+      console.error("Failed to set active environment:", error);
+      this.showToast("Failed to switch environment", "error");
+    }
+  }
+
+  async addEnvironment() {
+    const name = prompt("Environment name (e.g. dev, staging, prod):");
+    if (!name || !name.trim()) return;
+
+    try {
+      const environment = await settingsManager.addEnvironment({ name });
+      await settingsManager.setActiveEnvironment(environment.id);
+      this.renderEnvironments();
+      this.renderVariables();
+      this.openEnvironmentEditor();
+      this.showToast(`Environment "${environment.name}" created`, "success");
+    } catch (error) {
+      console.error("Failed to add environment:", error);
+      this.showToast(error.message || "Failed to add environment", "error");
+    }
+  }
+
+  async deleteEnvironment() {
+    const environment = settingsManager.getActiveEnvironment();
+    if (!environment) return;
+
+    if (
+      !confirm(
+        `Delete the environment "${environment.name}"?\n\nRunners and collections pinned to it will fall back to global values.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await settingsManager.deleteEnvironment(environment.id);
+      await this.sendSecretMessage({
+        action: "deleteSecretVariable",
+        environmentId: environment.id,
+      });
+      this.closeEnvironmentEditor();
+      this.renderEnvironments();
+      this.renderVariables();
+      this.showToast("Environment deleted", "success");
+    } catch (error) {
+      console.error("Failed to delete environment:", error);
+      this.showToast("Failed to delete environment", "error");
+    }
+  }
+
+  openEnvironmentEditor() {
+    const environment = settingsManager.getActiveEnvironment();
+    if (!environment || !this.environmentEditor) return;
+
+    const values = environment.values || {};
+    const globalNames = settingsManager.getVariables().map((v) => v.name);
+    const names = [
+      ...globalNames,
+      ...Object.keys(values).filter((name) => !globalNames.includes(name)),
+    ];
+
+    this.environmentEditor.innerHTML = `
+      <h3><i class="fas fa-layer-group"></i> ${this.escapeHtml(
+        environment.name
+      )} values</h3>
+      <p class="description">Leave a value empty to use the global value.</p>
+      <div id="environmentValueRows">
+        ${names
+          .map((name) => this.createEnvironmentValueRow(name, values))
+          .join("")}
+      </div>
+      <div style="display: flex; gap: 8px; margin-top: 12px;">
+        <button id="addEnvironmentValueBtn" class="secondary-btn">
+          <i class="fas fa-plus"></i> Add Variable
+        </button>
+        <div style="flex: 1"></div>
+        <button id="cancelEnvironmentBtn" class="secondary-btn">Cancel</button>
+        <button id="saveEnvironmentBtn" class="btn-primary">Save Values</button>
+      </div>
+    `;
+    this.environmentEditor.style.display = "block";
+
+    this.environmentEditor
+      .querySelector("#addEnvironmentValueBtn")
+      .addEventListener("click", () => {
+        const name = prompt("Variable name:");
+        if (!name) return;
+        if (!settingsManager.isValidVariableName(name)) {
+          this.showToast("Invalid variable name format", "error");
+          return;
+        }
+        if (
+          this.environmentEditor.querySelector(`input[data-variable="${name}"]`)
+        ) {
+          return;
+        }
+        this.environmentEditor
+          .querySelector("#environmentValueRows")
+          .insertAdjacentHTML(
+            "beforeend",
+            this.createEnvironmentValueRow(name, values)
+          );
+      });
+    this.environmentEditor
+      .querySelector("#cancelEnvironmentBtn")
+      .addEventListener("click", () => this.closeEnvironmentEditor());
+    this.environmentEditor
+      .querySelector("#saveEnvironmentBtn")
+      .addEventListener("click", () => this.saveEnvironmentValues(environment));
+  }
+
+  createEnvironmentValueRow(name, values) {
+    const globalVariable = settingsManager
+      .getVariables()
+      .find((v) => v.name === name);
+    const environmentId = settingsManager.getActiveEnvironment()?.id;
+
+    if (globalVariable?.secret) {
+      const placeholder = this.hasSecretOverride(environmentId, name)
+        ? "Secret override set (leave empty to keep)"
+        : "Global: encrypted";
+      return `
+      <div class="environment-value-row">
+        <label><i class="fas fa-lock"></i> \${${this.escapeHtml(name)}}</label>
+        <input type="password" data-variable="${this.escapeHtml(
+          name
+        )}" data-secret="true" autocomplete="off" placeholder="${placeholder}" />
+      </div>
+    `;
+    }
+
+    const placeholder = globalVariable
+      ? `Global: ${globalVariable.value ? "••••••••" : "empty"}`
+      : "Environment-only variable";
+
+    return `
+      <div class="environment-value-row">
+        <label>\${${this.escapeHtml(name)}}</label>
+        <input type="text" data-variable="${this.escapeHtml(
+          name
+        )}" value="${this.escapeHtml(values[name] ?? "").replace(
+      /"/g,
+      "&quot;"
+    )}" placeholder="${placeholder}" />
+      </div>
+    `;
+  }
+
+  closeEnvironmentEditor() {
+    if (this.environmentEditor) {
+      this.environmentEditor.style.display = "none";
+      this.environmentEditor.innerHTML = "";
+    }
+  }
+
+  async saveEnvironmentValues(environment) {
+    const values = {};
+    const secretValues = {};
+    this.environmentEditor
+      .querySelectorAll("input[data-variable]")
+      .forEach((input) => {
+        const value = input.value.trim();
+        if (!value) return;
+        if (input.dataset.secret === "true") {
+          secretValues[input.dataset.variable] = value;
+        } else {
+          values[input.dataset.variable] = value;
+        }
+      });
+
+    try {
+      for (const [name, value] of Object.entries(secretValues)) {
+        await this.sendSecretMessage({
+          action: "setSecretVariable",
+          name,
+          value,
+          environmentId: environment.id,
+        });
+      }
+      await settingsManager.updateEnvironment(environment.id, { values });
+      await this.loadSecretStatus();
+      this.closeEnvironmentEditor();
+      this.renderVariables();
+      this.showToast("Environment values saved", "success");
+    } catch (error) {
+      console.error("Failed to save environment:", error);
+      this.showToast("Failed to save environment", "error");
+    }
+  }
+
+  async sendSecretMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      throw new Error(response?.error || "Secret variable operation failed");
+    }
+    return response;
+  }
+
+  hasSecretOverride(environmentId, name) {
+    return Boolean(
+      environmentId &&
+        this.secretStatus.secrets?.[environmentId]?.includes(name)
+    );
+  }
+
+  async loadSecretStatus() {
+    try {
+      const response = await this.sendSecretMessage({
+        action: "getSecretStatus",
+      });
+      this.secretStatus = response.status;
+    } catch (error) {
+      console.warn("Could not load secret variable status:", error);
+    }
+    this.renderSecretStatus();
+  }
+
+  renderSecretStatus() {
+    if (!this.secretStatusEl) return;
+
+    const { mode, locked, autoLockMinutes } = this.secretStatus;
+    const protectedByPassphrase = mode === "passphrase";
+
+    this.secretStatusEl.textContent = protectedByPassphrase
+      ? locked
+        ? "Locked - enter the passphrase to use secrets in runs"
+        : "Unlocked (passphrase protected)"
+      : "Encrypted with a device key";
+
+    if (this.unlockSecretsBtn) {
+      this.unlockSecretsBtn.style.display =
+        protectedByPassphrase && locked ? "" : "none";
+    }
+    if (this.lockSecretsBtn) {
+      this.lockSecretsBtn.style.display =
+        protectedByPassphrase && !locked ? "" : "none";
+    }
+    if (this.clearPassphraseBtn) {
+      this.clearPassphraseBtn.style.display =
+        protectedByPassphrase && !locked ? "" : "none";
+    }
+    if (this.setPassphraseBtn) {
+      this.setPassphraseBtn.style.display = locked ? "none" : "";
+      this.setPassphraseBtn.innerHTML = protectedByPassphrase
+        ? '<i class="fas fa-key"></i> Change Passphrase'
+        : '<i class="fas fa-key"></i> Set Passphrase';
+    }
+    if (this.secretAutoLockInput && autoLockMinutes !== undefined) {
+      this.secretAutoLockInput.value = autoLockMinutes;
+    }
+  }
+
+  takePassphrase() {
+    const passphrase = this.secretPassphraseInput?.value || "";
+    if (this.secretPassphraseInput) {
+      this.secretPassphraseInput.value = "";
+    }
+    return passphrase;
+  }
+
+  async unlockSecrets() {
+    try {
+      await this.sendSecretMessage({
+        action: "unlockSecrets",
+        passphrase: this.takePassphrase(),
+      });
+      this.showToast("Secret variables unlocked", "success");
+    } catch (error) {
+      this.showToast(error.message || "Failed to unlock secrets", "error");
+    }
+    await this.loadSecretStatus();
+  }
+
+  async lockSecrets() {
+    try {
+      await this.sendSecretMessage({ action: "lockSecrets" });
+      this.showToast("Secret variables locked", "info");
+    } catch (error) {
+      this.showToast("Failed to lock secrets", "error");
+    }
+    await this.loadSecretStatus();
+  }
+
+  async setSecretPassphrase() {
+    try {
+      await this.sendSecretMessage({
+        action: "setSecretPassphrase",
+        passphrase: this.takePassphrase(),
+        autoLockMinutes: parseInt(this.secretAutoLockInput?.value, 10) || 0,
+      });
+      this.showToast("Secrets are now protected by a passphrase", "success");
+    } catch (error) {
+      this.showToast(error.message || "Failed to set passphrase", "error");
+    }
+    await this.loadSecretStatus();
+  }
+
+  async clearSecretPassphrase() {
+    if (
+      !confirm(
+        "Remove the passphrase?\n\nSecrets stay encrypted with a key stored on this device and no longer lock."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await this.sendSecretMessage({ action: "clearSecretPassphrase" });
+      this.showToast("Passphrase removed", "success");
+    } catch (error) {
+      this.showToast(error.message || "Failed to remove passphrase", "error");
+    }
+    await this.loadSecretStatus();
+  }
+
   async updateSettings(updates) {
     try {
       // Null-safe access with fallback
@@ -113,7 +113,7 @@ export const TABLE_METADATA = {
     feature: "Performance Analysis",
     status: "✅ ACTIVE",
     usage:
-      "request-capture.js captures from webRequest API, medallion-manager aggregates to silver_request_metrics",
+      "content.js (Resource Timing) and the DevTools panel (HAR timings) write measured phases, DevTools waterfall displays them, medallion-manager aggregates to silver_request_metrics",
   },
   bronze_web_vitals: {
     schema: "bronze",
@@ -125,6 +125,7 @@ export async function exportAsHAR() {
         domain: domain,
         quickFilter: currentQuickFilter,
       },
+      redact: true,
     });
 
     if (response && response.success && response.har) {
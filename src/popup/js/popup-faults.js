@@ -0,0 +1,77 @@
+// Popup Fault Injection - Switch a fault profile on for the current tab
+
+import { runtime, tabs } from '../../background/compat/browser-compat.js';
+import { showNotification } from './popup-utils.js';
+
+/**
+ * Load fault profiles and show the profile active on the current tab
+ * The panel stays hidden when there are no profiles, the role can't use them
+ * or the Request Modification feature is off.
+ */
+export async function loadFaultProfiles() {
+  const panel = document.getElementById('faultInjectionPanel');
+  const select = document.getElementById('faultProfileSelect');
+  if (!panel || !select) return;
+
+  try {
+    const [tab] = await tabs.query({ active: true, currentWindow: true });
+    const response = await runtime.sendMessage({ action: 'getFaultProfiles' });
+
+    if (
+      !tab?.id ||
+      !response?.success ||
+      !response.supported ||
+      !response.canManage ||
+      !response.enabled ||
+      response.profiles.length === 0
+    ) {
+      panel.style.display = 'none';
+      return;
+    }
+
+    const active = response.activations.find((a) => a.tabId === tab.id);
+    select.innerHTML = '<option value="">None (normal traffic)</option>';
+    response.profiles.forEach((profile) => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.selected = active?.profileId === profile.id;
+      select.appendChild(option);
+    });
+
+    select.onchange = () => setTabFaultProfile(tab.id, select.value);
+    panel.style.display = 'block';
+  } catch (error) {
+    console.error('Failed to load fault profiles:', error);
+    panel.style.display = 'none';
+  }
+}
+
+/**
+ * Switch the tab's fault profile (empty value switches it off)
+ * @param {number} tabId - Tab to fault
+ * @param {string} profileId - Profile id, or '' for normal traffic
+ */
+async function setTabFaultProfile(tabId, profileId) {
+  try {
+    const response = await runtime.sendMessage({
+      action: 'setFaultProfileActivation',
+      profileId: profileId ? Number(profileId) : null,
+      target: { tabId },
+    });
+
+    if (response?.success) {
+      showNotification(
+        profileId ? 'Fault profile active on this tab' : 'Fault profile off'
+      );
+    } else {
+      showNotification(
+        'Fault profile update failed: ' + (response?.error || 'Unknown error'),
+        true
+      );
+    }
+  } catch (error) {
+    console.error('Fault profile update error:', error);
+    showNotification('Fault profile update failed', true);
+  }
+}
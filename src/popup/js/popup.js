@@ -7,6 +7,7 @@ import { loadPageSummary, stopAutoRefresh } from "./popup-data.js";
 import { setupEventListeners } from "./popup-events.js";
 import { checkAndShowWelcome, showTipsBanner, cleanupTips } from "./popup-welcome.js";
 import { loadRecentRequests, clearRequestsList } from "./popup-requests.js";
+import { loadFaultProfiles } from "./popup-faults.js";
 
 // Initialize popup
 document.addEventListener("DOMContentLoaded", async () => {
@@ -21,6 +22,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Load data
   await loadPageSummary();
   await loadRecentRequests();
+  await loadFaultProfiles();
   
   // Setup event listeners
   setupEventListeners();
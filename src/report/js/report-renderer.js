@@ -0,0 +1,483 @@
+/**
+ * Report Renderer
+ * Renders the performance report as self-contained HTML. The same markup is
+ * shown on the report page, printed to PDF and saved as a standalone file,
+ * so charts are passed in as data: URL images and styles are inlined.
+ */
+
+import { formatGraphQLOperation } from "../../lib/utils/graphql.js";
+import { formatBytes, formatDuration } from "../../lib/utils/helpers.js";
+
+export const REPORT_STYLES = `
+  .report {
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen,
+      Ubuntu, Cantarell, sans-serif;
+    color: #1f2937;
+    background: #ffffff;
+    max-width: 1000px;
+    margin: 0 auto;
+    padding: 32px;
+    font-size: 13px;
+    line-height: 1.5;
+  }
+  .report h1 { font-size: 24px; margin: 0 0 4px; }
+  .report h2 {
+    font-size: 16px;
+    margin: 28px 0 10px;
+    padding-bottom: 4px;
+    border-bottom: 2px solid #e5e7eb;
+  }
+  .report-meta { color: #6b7280; margin: 0; }
+  .report-kpis {
+    display: grid;
+    grid-template-columns: repeat(5, 1fr);
+    gap: 10px;
+  }
+  .report-kpi {
+    border: 1px solid #e5e7eb;
+    border-radius: 6px;
+    padding: 10px 12px;
+  }
+  .report-kpi-label { color: #6b7280; font-size: 11px; text-transform: uppercase; }
+  .report-kpi-value { font-size: 20px; font-weight: 600; }
+  .report-kpi-trend { font-size: 11px; color: #6b7280; }
+  .report-kpi-trend.worse { color: #b91c1c; }
+  .report-kpi-trend.better { color: #047857; }
+  .report table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+  .report th, .report td {
+    text-align: left;
+    padding: 5px 8px;
+    border-bottom: 1px solid #e5e7eb;
+    vertical-align: top;
+  }
+  .report th { background: #f9fafb; font-weight: 600; }
+  .report td.num, .report th.num { text-align: right; white-space: nowrap; }
+  .report .endpoint { word-break: break-all; }
+  .report-charts { display: grid; grid-template-columns: 2fr 1fr; gap: 16px; }
+  .report-chart img { width: 100%; height: auto; }
+  .report-chart figcaption { color: #6b7280; font-size: 11px; text-align: center; }
+  .report-columns { display: grid; grid-template-columns: 1fr 2fr; gap: 16px; }
+  .rating { font-weight: 600; }
+  .rating-good { color: #047857; }
+  .rating-needs-improvement { color: #b45309; }
+  .rating-poor { color: #b91c1c; }
+  .report-insights { padding-left: 18px; margin: 0; }
+  .report-insights li { margin-bottom: 6px; }
+  .report-empty { color: #6b7280; font-style: italic; }
+  .report-footer { margin-top: 32px; color: #9ca3af; font-size: 11px; }
+  @media print {
+    @page { size: A4; margin: 14mm; }
+    .report { max-width: none; padding: 0; font-size: 11px; }
+    .report section, .report tr, .report figure { break-inside: avoid; }
+    .report h2 { break-after: avoid; }
+  }
+`;
+
+// getTrendAnalysis compares fixed windows, not the report's time range
+const TREND_LABELS = { week: "week over week", month: "month over month" };
+
+const VITAL_UNITS = {
+  LCP: "ms",
+  INP: "ms",
+  FCP: "ms",
+  TTFB: "ms",
+  FID: "ms",
+  CLS: "",
+};
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatNumber(value) {
+  return Number(value || 0).toLocaleString("en-US");
+}
+
+function formatTimeRange(seconds) {
+  if (seconds % 86400 === 0) {
+    const days = seconds / 86400;
+    return days === 1 ? "Last 24 hours" : `Last ${days} days`;
+  }
+  if (seconds % 3600 === 0) {
+    const hours = seconds / 3600;
+    return hours === 1 ? "Last hour" : `Last ${hours} hours`;
+  }
+  return `Last ${Math.round(seconds / 60)} minutes`;
+}
+
+function formatVital(metric, value) {
+  if (metric === "CLS") return Number(value).toFixed(3);
+  return `${Math.round(value)} ${VITAL_UNITS[metric] || ""}`.trim();
+}
+
+function describeScope(filters = {}) {
+  if (filters.pageUrl) return filters.pageUrl;
+  return filters.domain || "All domains";
+}
+
+/**
+ * Report title, e.g. "Performance Report - example.com"
+ */
+export function getReportTitle(report) {
+  return `Performance Report - ${describeScope(report.filters)}`;
+}
+
+/**
+ * File name for the standalone HTML report
+ */
+export function getReportFilename(report) {
+  const scope = describeScope(report.filters)
+    .replace(/^https?:\/\//, "")
+    .replace(/[^a-z0-9.-]+/gi, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 60);
+  const date = new Date(report.generatedAt).toISOString().slice(0, 10);
+  return `URA_Report_${scope}_${date}.html`;
+}
+
+// Higher is worse for every KPI that has a trend
+function renderTrend(change, compareType) {
+  if (change === undefined || change === null) return "";
+  const value = Number(change);
+  if (!Number.isFinite(value)) return "";
+
+  const arrow = value > 0 ? "&#9650;" : value < 0 ? "&#9660;" : "&#9644;";
+  const tone = value > 0 ? "worse" : value < 0 ? "better" : "";
+  return `<div class="report-kpi-trend ${tone}">${arrow} ${Math.abs(
+    value
+  ).toFixed(1)}% ${TREND_LABELS[compareType] || "vs previous period"}</div>`;
+}
+
+function renderKpi(label, value, trend = "") {
+  return `
+    <div class="report-kpi">
+      <div class="report-kpi-label">${escapeHtml(label)}</div>
+      <div class="report-kpi-value">${escapeHtml(value)}</div>
+      ${trend}
+    </div>`;
+}
+
+function renderTable(columns, rows, emptyText) {
+  if (!rows || rows.length === 0) {
+    return `<p class="report-empty">${escapeHtml(emptyText)}</p>`;
+  }
+
+  const head = columns
+    .map(
+      (column) =>
+        `<th${column.numeric ? ' class="num"' : ""}>${escapeHtml(
+          column.label
+        )}</th>`
+    )
+    .join("");
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${columns
+          .map((column) => {
+            const classes = [
+              column.numeric ? "num" : "",
+              column.className || "",
+            ].filter(Boolean);
+            const classAttr = classes.length
+              ? ` class="${classes.join(" ")}"`
+              : "";
+            // Columns with html() return markup they have already escaped
+            const content = column.html
+              ? column.html(row)
+              : escapeHtml(column.value(row));
+            return `<td${classAttr}>${content}</td>`;
+          })
+          .join("")}</tr>`
+    )
+    .join("");
+
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function renderSummary(summary, trends) {
+  const compareType = trends?.compareType;
+  return `
+    <section>
+      <h2>Summary</h2>
+      <div class="report-kpis">
+        ${renderKpi(
+          "Requests",
+          formatNumber(summary.totalRequests),
+          renderTrend(trends?.requestsChange, compareType)
+        )}
+        ${renderKpi(
+          "Avg Response",
+          formatDuration(summary.avgDuration),
+          renderTrend(trends?.durationChange, compareType)
+        )}
+        ${renderKpi(
+          "Errors",
+          `${formatNumber(summary.errors)} (${summary.errorRate}%)`,
+          renderTrend(trends?.errorsChange, compareType)
+        )}
+        ${renderKpi(
+          "Data Transferred",
+          formatBytes(summary.totalBytes),
+          renderTrend(trends?.bytesChange, compareType)
+        )}
+        ${renderKpi("Cache Hit Rate", `${summary.cacheHitRate}%`)}
+      </div>
+    </section>`;
+}
+
+function renderPercentiles(percentiles) {
+  const rows = percentiles && percentiles.count ? [percentiles] : [];
+  return `
+    <section>
+      <h2>Response Time Percentiles</h2>
+      ${renderTable(
+        [
+          ...["p50", "p75", "p90", "p95", "p99", "min", "max"].map((key) => ({
+            label: key.toUpperCase(),
+            numeric: true,
+            value: (row) => formatDuration(row[key]),
+          })),
+          {
+            label: "Samples",
+            numeric: true,
+            value: (row) => formatNumber(row.count),
+          },
+        ],
+        rows,
+        "No requests with timing data in this period."
+      )}
+    </section>`;
+}
+
+function renderCharts(charts = {}) {
+  const figures = [
+    ["timeline", "Requests and average response time"],
+    ["status", "Errors by status"],
+  ]
+    .filter(([key]) => charts[key])
+    .map(
+      ([key, caption]) => `
+        <figure class="report-chart">
+          <img src="${escapeHtml(charts[key])}" alt="${escapeHtml(caption)}" />
+          <figcaption>${escapeHtml(caption)}</figcaption>
+        </figure>`
+    )
+    .join("");
+
+  if (!figures) return "";
+  return `
+    <section>
+      <h2>Charts</h2>
+      <div class="report-charts">${figures}</div>
+    </section>`;
+}
+
+const endpointColumn = {
+  label: "Endpoint",
+  className: "endpoint",
+  value: (row) => {
+    const operation = formatGraphQLOperation(
+      row.operationType,
+      row.operationName
+    );
+    const endpoint = `${row.method} ${row.domain || ""}${row.endpoint}`;
+    return operation ? `${endpoint} ${operation}` : endpoint;
+  },
+};
+
+function renderSlowEndpoints(endpoints) {
+  return `
+    <section>
+      <h2>Slowest Endpoints</h2>
+      ${renderTable(
+        [
+          endpointColumn,
+          {
+            label: "Requests",
+            numeric: true,
+            value: (row) => formatNumber(row.requests),
+          },
+          {
+            label: "Avg",
+            numeric: true,
+            value: (row) => formatDuration(row.avgDuration),
+          },
+          {
+            label: "P95",
+            numeric: true,
+            value: (row) => formatDuration(row.p95),
+          },
+          {
+            label: "Max",
+            numeric: true,
+            value: (row) => formatDuration(row.maxDuration),
+          },
+          {
+            label: "Errors",
+            numeric: true,
+            value: (row) => formatNumber(row.errors),
+          },
+        ],
+        endpoints,
+        "No requests in this period."
+      )}
+    </section>`;
+}
+
+function renderErrors(errors = {}) {
+  return `
+    <section>
+      <h2>Errors</h2>
+      <div class="report-columns">
+        ${renderTable(
+          [
+            { label: "Status", value: (row) => row.status },
+            {
+              label: "Count",
+              numeric: true,
+              value: (row) => formatNumber(row.count),
+            },
+          ],
+          errors.byStatus,
+          "No errors in this period."
+        )}
+        ${renderTable(
+          [
+            endpointColumn,
+            {
+              label: "Errors",
+              numeric: true,
+              value: (row) => formatNumber(row.errors),
+            },
+            {
+              label: "Last Error",
+              value: (row) => row.lastError || row.lastStatus || "",
+            },
+          ],
+          errors.byEndpoint,
+          "No failing endpoints."
+        )}
+      </div>
+    </section>`;
+}
+
+function renderWebVitals(vitals) {
+  return `
+    <section>
+      <h2>Web Vitals</h2>
+      ${renderTable(
+        [
+          { label: "Metric", value: (row) => row.metric },
+          {
+            label: "P75",
+            numeric: true,
+            value: (row) => formatVital(row.metric, row.p75),
+          },
+          {
+            label: "Rating",
+            html: (row) =>
+              `<span class="rating rating-${escapeHtml(
+                row.rating
+              )}">${escapeHtml((row.rating || "").replace("-", " "))}</span>`,
+          },
+          {
+            label: "Good",
+            numeric: true,
+            value: (row) =>
+              `${Math.round((row.goodSamples / row.samples) * 100)}%`,
+          },
+          {
+            label: "Samples",
+            numeric: true,
+            value: (row) => formatNumber(row.samples),
+          },
+        ],
+        vitals,
+        "No Web Vitals were recorded for this scope."
+      )}
+    </section>`;
+}
+
+function renderInsights(insights) {
+  const items = (insights || [])
+    .map(
+      (insight) => `
+        <li>
+          <strong>[${escapeHtml(insight.severity)}] ${escapeHtml(
+        insight.message
+      )}</strong><br />
+          ${escapeHtml(insight.recommendation)}
+        </li>`
+    )
+    .join("");
+
+  return `
+    <section>
+      <h2>Insights</h2>
+      ${
+        items
+          ? `<ul class="report-insights">${items}</ul>`
+          : '<p class="report-empty">No issues detected.</p>'
+      }
+    </section>`;
+}
+
+/**
+ * Render the report body
+ * @param {Object} data - { report, percentiles, trends, insights }
+ *   report comes from getReportData, the others from the analytics handlers
+ * @param {Object} [options] - { charts: { timeline, status } as data: URLs }
+ * @returns {string} HTML
+ */
+export function renderReportHtml(data, options = {}) {
+  const { report, percentiles, trends, insights } = data;
+  const generated = new Date(report.generatedAt).toLocaleString();
+
+  return `
+    <article class="report">
+      <header>
+        <h1>${escapeHtml(getReportTitle(report))}</h1>
+        <p class="report-meta">
+          ${escapeHtml(formatTimeRange(report.filters.timeRange))} &middot;
+          ${formatNumber(report.summary.domains)} domain(s),
+          ${formatNumber(report.summary.pages)} page(s) &middot;
+          Generated ${escapeHtml(generated)}
+        </p>
+      </header>
+      ${renderSummary(report.summary, trends)}
+      ${renderPercentiles(percentiles)}
+      ${renderCharts(options.charts)}
+      ${renderSlowEndpoints(report.slowEndpoints)}
+      ${renderErrors(report.errors)}
+      ${renderWebVitals(report.webVitals)}
+      ${renderInsights(insights)}
+      <footer class="report-footer">
+        Universal Request Analyzer &middot; ${escapeHtml(generated)}
+      </footer>
+    </article>`;
+}
+
+/**
+ * Wrap a rendered report in a standalone HTML document
+ * @param {string} title - Document title
+ * @param {string} body - Output of renderReportHtml
+ * @returns {string} HTML document
+ */
+export function buildReportDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>${body}</body>
+</html>
+`;
+}
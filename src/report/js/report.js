@@ -0,0 +1,350 @@
+// Performance Report page
+// Builds a printable report for a domain/page and time range. Charts are
+// rendered offscreen and embedded as images so the downloaded HTML and the
+// printed PDF are self-contained.
+
+import Chart from "../../lib/chart.min.js";
+import {
+  REPORT_STYLES,
+  buildReportDocument,
+  getReportFilename,
+  getReportTitle,
+  renderReportHtml,
+} from "./report-renderer.js";
+
+const CHART_WIDTH = 900;
+const CHART_HEIGHT = 320;
+// Print at twice the screen resolution
+const CHART_PIXEL_RATIO = 2;
+
+class ReportPage {
+  constructor() {
+    this.domainSelect = document.getElementById("reportDomain");
+    this.pageSelect = document.getElementById("reportPage");
+    this.timeRangeSelect = document.getElementById("reportTimeRange");
+    this.generateBtn = document.getElementById("reportGenerate");
+    this.downloadBtn = document.getElementById("reportDownload");
+    this.printBtn = document.getElementById("reportPrint");
+    this.status = document.getElementById("reportStatus");
+    this.container = document.getElementById("reportContainer");
+    this.current = null;
+  }
+
+  async initialize() {
+    const style = document.createElement("style");
+    style.textContent = REPORT_STYLES;
+    document.head.appendChild(style);
+
+    this.generateBtn.addEventListener("click", () => this.generate());
+    this.downloadBtn.addEventListener("click", () => this.download());
+    this.printBtn.addEventListener("click", () => window.print());
+    this.domainSelect.addEventListener("change", () =>
+      this.loadPages(this.domainSelect.value)
+    );
+
+    // The dashboard opens the report with its current filters
+    const params = new URLSearchParams(window.location.search);
+    const timeRange = params.get("timeRange");
+    if (
+      timeRange &&
+      Array.from(this.timeRangeSelect.options).some(
+        (option) => option.value === timeRange
+      )
+    ) {
+      this.timeRangeSelect.value = timeRange;
+    }
+
+    await this.loadDomains(params.get("domain"));
+    await this.loadPages(this.domainSelect.value, params.get("pageUrl"));
+
+    if (params.has("domain") || params.has("timeRange")) {
+      await this.generate();
+    }
+  }
+
+  async loadDomains(selected) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getDomains",
+        timeRange: 7776000,
+      });
+
+      (response?.domains || []).forEach(({ domain, requestCount }) => {
+        if (!domain) return;
+        const option = document.createElement("option");
+        option.value = domain;
+        option.textContent = `${domain} (${requestCount} requests)`;
+        this.domainSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error("Failed to load report domains:", error);
+    }
+
+    if (selected) {
+      this.ensureOption(this.domainSelect, selected, selected);
+      this.domainSelect.value = selected;
+    }
+  }
+
+  async loadPages(domain, selected) {
+    this.pageSelect.innerHTML = '<option value="">All pages</option>';
+    this.pageSelect.disabled = !domain || domain === "all";
+    if (this.pageSelect.disabled) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getPagesByDomain",
+        domain,
+        timeRange: 7776000,
+      });
+
+      (response?.pages || []).forEach(({ pageUrl, requestCount }) => {
+        if (!pageUrl) return;
+        let label = pageUrl;
+        try {
+          const url = new URL(pageUrl);
+          label = url.pathname + url.search || "/";
+        } catch (e) {
+          // Keep the raw value
+        }
+        const option = document.createElement("option");
+        option.value = pageUrl;
+        option.textContent = `${label} (${requestCount} req)`;
+        this.pageSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error("Failed to load report pages:", error);
+    }
+
+    if (selected) {
+      this.ensureOption(this.pageSelect, selected, selected);
+      this.pageSelect.value = selected;
+    }
+  }
+
+  ensureOption(select, value, label) {
+    if (!Array.from(select.options).some((option) => option.value === value)) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+  }
+
+  getFilters() {
+    const filters = { timeRange: parseInt(this.timeRangeSelect.value) };
+    if (this.domainSelect.value && this.domainSelect.value !== "all") {
+      filters.domain = this.domainSelect.value;
+    }
+    if (this.pageSelect.value) {
+      filters.pageUrl = this.pageSelect.value;
+    }
+    return filters;
+  }
+
+  setStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle("error", isError);
+  }
+
+  async generate() {
+    const filters = this.getFilters();
+    this.generateBtn.disabled = true;
+    this.setStatus("Generating report...");
+
+    try {
+      const [
+        reportRes,
+        percentilesRes,
+        trendsRes,
+        insightsRes,
+      ] = await Promise.all([
+        chrome.runtime.sendMessage({ action: "getReportData", filters }),
+        chrome.runtime.sendMessage({
+          action: "getPercentilesAnalysis",
+          filters,
+        }),
+        chrome.runtime.sendMessage({
+          action: "getTrendAnalysis",
+          filters,
+          compareType: filters.timeRange <= 604800 ? "week" : "month",
+        }),
+        chrome.runtime.sendMessage({
+          action: "getPerformanceInsights",
+          filters,
+        }),
+      ]);
+
+      if (!reportRes?.success) {
+        throw new Error(reportRes?.error || "Failed to load report data");
+      }
+
+      const data = {
+        report: reportRes.report,
+        percentiles: percentilesRes?.success ? percentilesRes.percentiles : {},
+        trends: trendsRes?.success ? trendsRes.trends : null,
+        insights: insightsRes?.success ? insightsRes.insights : [],
+      };
+      const charts = this.renderCharts(data.report);
+
+      this.current = { data, charts };
+      this.container.innerHTML = renderReportHtml(data, { charts });
+      document.title = getReportTitle(data.report);
+
+      this.downloadBtn.disabled = false;
+      this.printBtn.disabled = false;
+      this.setStatus(
+        `Report generated at ${new Date(
+          data.report.generatedAt
+        ).toLocaleTimeString()}`
+      );
+    } catch (error) {
+      console.error("Failed to generate report:", error);
+      this.setStatus(`Failed to generate report: ${error.message}`, true);
+    } finally {
+      this.generateBtn.disabled = false;
+    }
+  }
+
+  // Draw a chart on a detached canvas and return it as a PNG data URL
+  renderChartImage(config, width = CHART_WIDTH, height = CHART_HEIGHT) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+
+    const chart = new Chart(canvas.getContext("2d"), {
+      ...config,
+      options: {
+        ...config.options,
+        responsive: false,
+        animation: false,
+        devicePixelRatio: CHART_PIXEL_RATIO,
+      },
+    });
+    // Paint a white background so the PNG isn't transparent in dark viewers
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.globalCompositeOperation = "destination-over";
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, chart.canvas.width, chart.canvas.height);
+    ctx.restore();
+
+    const image = chart.toBase64Image("image/png");
+    chart.destroy();
+    return image;
+  }
+
+  renderCharts(report) {
+    const charts = {};
+    const { bucketMs, buckets } = report.timeline;
+
+    if (buckets.length > 0) {
+      const labels = buckets.map((bucket) => {
+        const date = new Date(bucket.bucket);
+        return bucketMs < 86400000
+          ? date.toLocaleString([], {
+              month: "short",
+              day: "numeric",
+              hour: "2-digit",
+            })
+          : date.toLocaleDateString([], { month: "short", day: "numeric" });
+      });
+
+      charts.timeline = this.renderChartImage({
+        type: "bar",
+        data: {
+          labels,
+          datasets: [
+            {
+              type: "bar",
+              label: "Requests",
+              data: buckets.map((bucket) => bucket.requests),
+              backgroundColor: "rgba(0, 102, 204, 0.5)",
+              yAxisID: "y",
+            },
+            {
+              type: "bar",
+              label: "Errors",
+              data: buckets.map((bucket) => bucket.errors),
+              backgroundColor: "rgba(220, 53, 69, 0.7)",
+              yAxisID: "y",
+            },
+            {
+              type: "line",
+              label: "Avg Response (ms)",
+              data: buckets.map((bucket) => bucket.avgDuration),
+              borderColor: "#ff9800",
+              backgroundColor: "#ff9800",
+              pointRadius: 2,
+              yAxisID: "y1",
+            },
+          ],
+        },
+        options: {
+          scales: {
+            y: { beginAtZero: true, position: "left" },
+            y1: {
+              beginAtZero: true,
+              position: "right",
+              grid: { drawOnChartArea: false },
+            },
+          },
+        },
+      });
+    }
+
+    const byStatus = report.errors.byStatus;
+    if (byStatus.length > 0) {
+      const palette = [
+        "#dc3545",
+        "#fd7e14",
+        "#ffc107",
+        "#6f42c1",
+        "#20c997",
+        "#6c757d",
+      ];
+      charts.status = this.renderChartImage(
+        {
+          type: "doughnut",
+          data: {
+            labels: byStatus.map((row) => row.status),
+            datasets: [
+              {
+                data: byStatus.map((row) => row.count),
+                backgroundColor: byStatus.map(
+                  (row, index) => palette[index % palette.length]
+                ),
+              },
+            ],
+          },
+          options: { plugins: { legend: { position: "right" } } },
+        },
+        440,
+        CHART_HEIGHT
+      );
+    }
+
+    return charts;
+  }
+
+  download() {
+    if (!this.current) return;
+
+    const { data, charts } = this.current;
+    const html = buildReportDocument(
+      getReportTitle(data.report),
+      renderReportHtml(data, { charts })
+    );
+    const blob = new Blob([html], { type: "text/html" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = getReportFilename(data.report);
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  new ReportPage().initialize();
+});
@@ -0,0 +1,112 @@
+import {
+  decodeRequestBody,
+  getHeaderValue,
+  matchesContentType,
+  normalizeBodyCaptureConfig,
+  shouldCaptureBody,
+  truncateBody,
+} from "../../background/capture/body-capture";
+import { TextEncoder, TextDecoder } from "util";
+
+// jsdom does not provide the Encoding API
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+describe("Body Capture", () => {
+  describe("decodeRequestBody", () => {
+    it("should encode form data as urlencoded string", () => {
+      const body = decodeRequestBody({
+        formData: { user: ["alice"], tags: ["a", "b"] },
+      });
+      expect(body).toBe("user=alice&tags=a&tags=b");
+    });
+
+    it("should decode raw bytes as UTF-8", () => {
+      const bytes = new TextEncoder().encode('{"id":1}').buffer;
+      expect(decodeRequestBody({ raw: [{ bytes }] })).toBe('{"id":1}');
+    });
+
+    it("should return null for missing or failed bodies", () => {
+      expect(decodeRequestBody(undefined)).toBeNull();
+      expect(decodeRequestBody({ error: "Unknown error" })).toBeNull();
+    });
+  });
+
+  describe("matchesContentType", () => {
+    it("should match exact and wildcard types ignoring parameters", () => {
+      expect(
+        matchesContentType(
+          "application/json; charset=utf-8",
+          "application/json"
+        )
+      ).toBe(true);
+      expect(matchesContentType("text/html", "text/*")).toBe(true);
+      expect(
+        matchesContentType("application/problem+json", "application/*+json")
+      ).toBe(true);
+      expect(matchesContentType("image/png", "text/*")).toBe(false);
+    });
+  });
+
+  describe("shouldCaptureBody", () => {
+    const config = normalizeBodyCaptureConfig({
+      enabled: true,
+      domains: ["app.example.com", "*.staging.example.com"],
+    });
+
+    it("should require body capture to be enabled", () => {
+      expect(
+        shouldCaptureBody(
+          { ...config, enabled: false },
+          "app.example.com",
+          "application/json"
+        )
+      ).toBe(false);
+    });
+
+    it("should only capture opted-in domains", () => {
+      expect(
+        shouldCaptureBody(config, "app.example.com", "application/json")
+      ).toBe(true);
+      expect(
+        shouldCaptureBody(config, "api.staging.example.com", "application/json")
+      ).toBe(true);
+      expect(shouldCaptureBody(config, "other.com", "application/json")).toBe(
+        false
+      );
+    });
+
+    it("should filter by content type", () => {
+      expect(shouldCaptureBody(config, "app.example.com", "image/png")).toBe(
+        false
+      );
+    });
+  });
+
+  describe("truncateBody", () => {
+    it("should leave small bodies untouched", () => {
+      expect(truncateBody("hello", 10)).toBe("hello");
+      expect(truncateBody("hello", 0)).toBe("hello");
+    });
+
+    it("should cap bodies at maxBodySize bytes", () => {
+      const result = truncateBody("abcdefghij", 4);
+      expect(result.startsWith("abcd")).toBe(true);
+      expect(result).toContain("[truncated 6 bytes]");
+    });
+  });
+
+  describe("getHeaderValue", () => {
+    it("should read headers case-insensitively", () => {
+      expect(
+        getHeaderValue(
+          [{ name: "Content-Type", value: "text/plain" }],
+          "content-type"
+        )
+      ).toBe("text/plain");
+      expect(getHeaderValue({ "content-type": "a/b" }, "Content-Type")).toBe(
+        "a/b"
+      );
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import collectionScheduler, {
+  SCHEDULER_ALARM_NAME,
+  resolveDueRunAction,
+} from "../../background/capture/collection-scheduler";
+import runnerCollections from "../../background/capture/runner-collections";
+import requestRunner from "../../background/capture/request-runner";
+import { alarms } from "../../background/compat/browser-compat";
+
+jest.mock("../../background/compat/browser-compat", () => ({
+  alarms: { create: jest.fn(), clear: jest.fn() },
+}));
+
+jest.mock("../../background/capture/runner-collections", () => ({
+  initialized: true,
+  checkScheduledRuns: jest.fn(),
+  getScheduledRuns: jest.fn(),
+  getCollection: jest.fn(),
+  markScheduledRunExecuted: jest.fn(),
+  skipScheduledRun: jest.fn(),
+}));
+
+jest.mock("../../background/capture/request-runner", () => ({
+  runRunner: jest.fn(),
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+describe("Collection Scheduler", () => {
+  describe("resolveDueRunAction", () => {
+    const now = Date.now();
+    const runOnce = { missedRunPolicy: "runOnce", maxCatchUpAge: 24 * HOUR };
+
+    it("should run schedules that are on time", () => {
+      expect(resolveDueRunAction({ nextRunAt: now - 1000 }, runOnce, now)).toBe(
+        "run"
+      );
+      expect(
+        resolveDueRunAction(
+          { nextRunAt: now - 1000 },
+          { missedRunPolicy: "skip" },
+          now
+        )
+      ).toBe("run");
+    });
+
+    it("should apply the missed-run policy to late schedules", () => {
+      expect(
+        resolveDueRunAction({ nextRunAt: now - 2 * HOUR }, runOnce, now)
+      ).toBe("run");
+      expect(
+        resolveDueRunAction(
+          { nextRunAt: now - 2 * HOUR },
+          { missedRunPolicy: "skip" },
+          now
+        )
+      ).toBe("skip");
+    });
+
+    it("should skip runs missed longer than maxCatchUpAge", () => {
+      expect(
+        resolveDueRunAction({ nextRunAt: now - 48 * HOUR }, runOnce, now)
+      ).toBe("skip");
+      expect(
+        resolveDueRunAction(
+          { nextRunAt: now - 48 * HOUR },
+          { ...runOnce, maxCatchUpAge: 0 },
+          now
+        )
+      ).toBe("run");
+    });
+  });
+
+  describe("checkDueRuns", () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      collectionScheduler.setConfig({ missedRunPolicy: "skip" });
+    });
+
+    it("should run due collections and record the status", async () => {
+      const schedule = {
+        id: "schedule_1",
+        collectionId: "collection_1",
+        nextRunAt: Date.now(),
+      };
+      runnerCollections.checkScheduledRuns.mockResolvedValue([schedule]);
+      runnerCollections.getCollection.mockResolvedValue({
+        runners: [{ id: "runner_1" }, { id: "runner_2" }],
+      });
+      runnerCollections.getScheduledRuns.mockResolvedValue([]);
+      requestRunner.runRunner
+        .mockResolvedValueOnce({ failureCount: 0 })
+        .mockResolvedValueOnce({ failureCount: 2 });
+
+      await collectionScheduler.checkDueRuns();
+
+      expect(requestRunner.runRunner).toHaveBeenCalledTimes(2);
+      expect(runnerCollections.markScheduledRunExecuted).toHaveBeenCalledWith(
+        "schedule_1",
+        "partial"
+      );
+    });
+
+    it("should skip missed runs under the skip policy", async () => {
+      runnerCollections.checkScheduledRuns.mockResolvedValue([
+        { id: "schedule_1", nextRunAt: Date.now() - 2 * HOUR },
+      ]);
+      runnerCollections.getScheduledRuns.mockResolvedValue([]);
+
+      await collectionScheduler.checkDueRuns();
+
+      expect(requestRunner.runRunner).not.toHaveBeenCalled();
+      expect(runnerCollections.skipScheduledRun).toHaveBeenCalledWith(
+        "schedule_1"
+      );
+    });
+
+    it("should arm the alarm for the earliest enabled schedule", async () => {
+      const soon = Date.now() + HOUR;
+      runnerCollections.checkScheduledRuns.mockResolvedValue([]);
+      runnerCollections.getScheduledRuns.mockResolvedValue([
+        { id: "a", enabled: true, nextRunAt: soon + HOUR },
+        { id: "b", enabled: true, nextRunAt: soon },
+        { id: "c", enabled: false, nextRunAt: soon - HOUR },
+      ]);
+
+      await collectionScheduler.checkDueRuns();
+
+      expect(alarms.create).toHaveBeenCalledWith(SCHEDULER_ALARM_NAME, {
+        when: soon,
+      });
+    });
+
+    it("should clear the alarm when nothing is scheduled", async () => {
+      runnerCollections.checkScheduledRuns.mockResolvedValue([]);
+      runnerCollections.getScheduledRuns.mockResolvedValue([]);
+
+      await collectionScheduler.checkDueRuns();
+
+      expect(alarms.clear).toHaveBeenCalledWith(SCHEDULER_ALARM_NAME);
+    });
+  });
+});
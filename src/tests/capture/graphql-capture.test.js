@@ -0,0 +1,301 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import {
+  formatGraphQLOperation,
+  getGraphQLErrors,
+  parseGraphQLOperations,
+  parseGraphQLRequest,
+} from "../../lib/utils/graphql";
+import {
+  getGraphQLCaptureFields,
+  normalizeGraphQLCaptureConfig,
+} from "../../background/capture/graphql-capture";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+import { analyticsHandlers } from "../../background/messaging/handlers/analytics-handlers";
+
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+
+const ENDPOINT = "https://api.example.com/graphql";
+
+const post = (payload, contentType = "application/json") => ({
+  method: "POST",
+  url: ENDPOINT,
+  body: typeof payload === "string" ? payload : JSON.stringify(payload),
+  contentType,
+});
+
+describe("GraphQL request parsing", () => {
+  it("should read the operation type and name from the document", () => {
+    expect(
+      parseGraphQLRequest(
+        post({
+          query: "mutation AddToCart($id: ID!) { addToCart(id: $id) { id } }",
+          variables: { id: "42" },
+        })
+      )
+    ).toEqual({
+      operationName: "AddToCart",
+      operationType: "mutation",
+      variables: { id: "42" },
+      batchSize: 1,
+    });
+  });
+
+  it("should pick the declared operation and skip fragments", () => {
+    const document = `
+      # query Commented { ignored }
+      fragment UserFields on User { id name }
+      query GetUser { user { ...UserFields } }
+      mutation Rename { rename(name: "query Fake { x }") { id } }
+    `;
+
+    expect(parseGraphQLOperations(document)).toEqual([
+      { operationType: "query", operationName: "GetUser" },
+      { operationType: "mutation", operationName: "Rename" },
+    ]);
+    expect(
+      parseGraphQLRequest(post({ query: document, operationName: "Rename" }))
+    ).toMatchObject({ operationName: "Rename", operationType: "mutation" });
+  });
+
+  it("should treat a bare selection set as an anonymous query", () => {
+    expect(
+      parseGraphQLRequest(post("{ viewer { id } }", "application/graphql"))
+    ).toMatchObject({ operationName: null, operationType: "query" });
+  });
+
+  it("should parse GET requests and persisted queries", () => {
+    const url = new URL(ENDPOINT);
+    url.searchParams.set("query", "query Search { search { id } }");
+    url.searchParams.set("variables", '{"term":"shoes"}');
+    expect(parseGraphQLRequest({ method: "GET", url: url.href })).toMatchObject(
+      {
+        operationName: "Search",
+        operationType: "query",
+        variables: { term: "shoes" },
+      }
+    );
+
+    expect(
+      parseGraphQLRequest(
+        post({
+          operationName: "GetCart",
+          extensions: { persistedQuery: { version: 1, sha256Hash: "abc" } },
+        })
+      )
+    ).toMatchObject({ operationName: "GetCart", operationType: null });
+  });
+
+  it("should combine batched operations into one", () => {
+    expect(
+      parseGraphQLRequest(
+        post([
+          { query: "query GetUser { user { id } }" },
+          { query: "query { cart { id } }" },
+        ])
+      )
+    ).toMatchObject({
+      operationName: "GetUser,anonymous",
+      operationType: "query",
+      batchSize: 2,
+    });
+  });
+
+  it("should ignore requests that aren't GraphQL", () => {
+    expect(parseGraphQLRequest(post({ query: "shoes" }))).toBeNull();
+    expect(parseGraphQLRequest(post({ name: "GetUser" }))).toBeNull();
+    expect(parseGraphQLRequest(post("query=shoes", "text/plain"))).toBeNull();
+    expect(
+      parseGraphQLRequest({ method: "GET", url: `${ENDPOINT}?q=1` })
+    ).toBeNull();
+  });
+
+  it("should drop declared names that aren't valid GraphQL names", () => {
+    expect(
+      parseGraphQLRequest(
+        post({
+          query: "query GetUser { user { id } }",
+          operationName: "<img src=x>",
+        })
+      )
+    ).toMatchObject({ operationName: "GetUser" });
+  });
+
+  it("should store variables only when opted in", () => {
+    const request = {
+      method: "POST",
+      url: ENDPOINT,
+      requestBody: JSON.stringify({
+        query: "query GetUser($id: ID!) { user(id: $id) { id } }",
+        variables: { id: "42" },
+      }),
+      requestContentType: "application/json",
+    };
+
+    expect(
+      getGraphQLCaptureFields(request, normalizeGraphQLCaptureConfig())
+    ).toEqual({
+      operationName: "GetUser",
+      operationType: "query",
+      graphqlVariables: null,
+    });
+    expect(
+      getGraphQLCaptureFields(
+        request,
+        normalizeGraphQLCaptureConfig({ captureVariables: true })
+      ).graphqlVariables
+    ).toBe('{"id":"42"}');
+    expect(
+      getGraphQLCaptureFields(
+        request,
+        normalizeGraphQLCaptureConfig({ enabled: false })
+      )
+    ).toBeNull();
+  });
+
+  it("should summarize the errors array of responses", () => {
+    expect(
+      getGraphQLErrors(
+        JSON.stringify({
+          data: { user: null },
+          errors: [{ message: "Not authorized" }, { message: "Other" }],
+        })
+      )
+    ).toEqual({ count: 2, message: "Not authorized" });
+    expect(getGraphQLErrors('{"data":{"user":{"id":1}}}')).toEqual({
+      count: 0,
+      message: null,
+    });
+    expect(getGraphQLErrors('{"status":"ok"}')).toBeNull();
+    expect(getGraphQLErrors('{"data":')).toBeNull();
+  });
+
+  it("should format operation labels", () => {
+    expect(formatGraphQLOperation("query", "GetUser")).toBe("query GetUser");
+    expect(formatGraphQLOperation(null, "GetCart")).toBe("GetCart");
+    expect(formatGraphQLOperation("query", null)).toBe("query (anonymous)");
+    expect(formatGraphQLOperation(null, null)).toBe("");
+  });
+});
+
+describe("GraphQL analytics", () => {
+  let db;
+  let medallion;
+  let context;
+
+  beforeEach(async () => {
+    const SQL = await initSqlJs();
+    db = new SQL.Database();
+    await createMedallionSchema(db);
+    medallion = createMedallionManager(db);
+    context = {
+      database: {
+        db,
+        isReady: true,
+        executeQuery: (query, params) => db.exec(query, params),
+      },
+    };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  const insertOperation = (id, operationName, fields = {}) =>
+    medallion.insertBronzeRequest({
+      id,
+      url: ENDPOINT,
+      method: "POST",
+      type: "fetch",
+      status: 200,
+      domain: "api.example.com",
+      tabId: 3,
+      duration: 100,
+      timestamp: Date.now() - 1000,
+      operationName,
+      operationType: "query",
+      ...fields,
+    });
+
+  it("should group one URL into an endpoint per operation", async () => {
+    await insertOperation("req-1", "GetUser");
+    await insertOperation("req-2", "GetUser", {
+      graphqlErrorCount: 1,
+      graphqlError: "Not authorized",
+    });
+    await insertOperation("req-3", "GetCart", { graphqlErrorCount: 0 });
+
+    const { endpoints } = await analyticsHandlers.get("getEndpointAnalysis")(
+      { filters: { domain: "api.example.com" } },
+      {},
+      context
+    );
+
+    expect(endpoints).toHaveLength(2);
+    expect(endpoints.find((e) => e.operationName === "GetUser")).toMatchObject({
+      operationType: "query",
+      callCount: 2,
+      errorCount: 1,
+      graphqlErrorCount: 1,
+    });
+    expect(endpoints.find((e) => e.operationName === "GetCart")).toMatchObject({
+      callCount: 1,
+      errorCount: 0,
+    });
+  });
+
+  it("should attach results reported by the page to the stored request", async () => {
+    await insertOperation("req-1", "GetUser");
+
+    const requestId = await medallion.updateBronzeGraphQLResult({
+      tabId: 3,
+      url: ENDPOINT,
+      method: "POST",
+      operationName: "GetUser",
+      errorCount: 2,
+      message: "Not authorized",
+    });
+    expect(requestId).toBe("req-1");
+
+    const [bronze] = db.exec(
+      "SELECT graphql_error_count, graphql_error FROM bronze_requests WHERE id = 'req-1'"
+    );
+    expect(bronze.values[0]).toEqual([2, "Not authorized"]);
+
+    const [silver] = db.exec(
+      "SELECT has_error, operation_name FROM silver_requests WHERE id = 'req-1'"
+    );
+    expect(silver.values[0]).toEqual([1, "GetUser"]);
+
+    // A result is only attached once
+    expect(
+      await medallion.updateBronzeGraphQLResult({
+        tabId: 3,
+        url: ENDPOINT,
+        method: "POST",
+        operationName: "GetUser",
+        errorCount: 0,
+      })
+    ).toBeNull();
+  });
+
+  it("should report percentiles per operation", async () => {
+    await insertOperation("req-1", "GetUser", { duration: 100 });
+    await insertOperation("req-2", "GetUser", { duration: 300 });
+    await insertOperation("req-3", "GetCart", { duration: 50 });
+
+    const { byOperation } = await analyticsHandlers.get(
+      "getPercentilesAnalysis"
+    )({ filters: { timeRange: 3600 } }, {}, context);
+
+    expect(byOperation.map((op) => op.operationName)).toEqual([
+      "GetUser",
+      "GetCart",
+    ]);
+    expect(byOperation[0]).toMatchObject({ count: 2, max: 300 });
+  });
+});
@@ -0,0 +1,152 @@
+import initSqlJs from "sql.js";
+import {
+  createMedallionSchema,
+  validateAndFixSchema,
+} from "../../background/database/medallion-schema";
+import {
+  getTargetSelector,
+  InteractionTracker,
+  rateInp,
+} from "../../lib/utils/interaction-timing";
+
+const eventEntry = (interactionId, startTime, duration, overrides = {}) => ({
+  name: "pointerup",
+  interactionId,
+  startTime,
+  duration,
+  processingStart: startTime + 10,
+  processingEnd: startTime + duration - 20,
+  target: null,
+  ...overrides,
+});
+
+describe("Interaction Timing", () => {
+  it("should report the slowest interaction with its phases", () => {
+    const tracker = new InteractionTracker();
+    tracker.addEntry(eventEntry(1, 100, 80));
+    tracker.addEntry(
+      eventEntry(2, 1000, 240, { name: "keydown", processingEnd: 1200 })
+    );
+    tracker.addEntry(eventEntry(2, 1000, 120, { name: "keyup" }));
+
+    expect(tracker.getInp()).toEqual({
+      value: 240,
+      attribution: {
+        target: null,
+        interactionType: "keyboard",
+        eventType: "keydown",
+        inputDelay: 10,
+        processingTime: 190,
+        presentationDelay: 40,
+        longAnimationFrames: 0,
+        scripts: [],
+      },
+    });
+    expect(rateInp(240)).toBe("needs-improvement");
+  });
+
+  it("should skip one outlier per 50 interactions", () => {
+    const tracker = new InteractionTracker();
+    tracker.addEntry(eventEntry(1, 0, 900));
+    tracker.addEntry(eventEntry(2, 2000, 300));
+    tracker.addEntry(eventEntry(3, 4000, 100));
+    tracker.addEntry({ ...eventEntry(0, 5000, 600), name: "pointerover" });
+
+    expect(tracker.getInp(3).value).toBe(900);
+    expect(tracker.getInp(60).value).toBe(300);
+  });
+
+  it("should link long-animation-frame scripts that overlap the interaction", () => {
+    const tracker = new InteractionTracker();
+    tracker.addEntry(eventEntry(1, 1000, 300));
+    tracker.addLongAnimationFrame({
+      startTime: 990,
+      duration: 280,
+      scripts: [
+        {
+          sourceURL: "https://a.com/app.js",
+          invoker: "BUTTON.onclick",
+          duration: 60,
+        },
+        {
+          sourceURL: "https://a.com/cart.js",
+          sourceFunctionName: "render",
+          duration: 200,
+        },
+      ],
+    });
+    tracker.addLongAnimationFrame({
+      startTime: 5000,
+      duration: 90,
+      scripts: [],
+    });
+
+    const { attribution } = tracker.getInp();
+    expect(attribution.longAnimationFrames).toBe(1);
+    expect(attribution.scripts.map((script) => script.duration)).toEqual([
+      200,
+      60,
+    ]);
+    expect(attribution.scripts[0]).toMatchObject({
+      sourceURL: "https://a.com/cart.js",
+      sourceFunctionName: "render",
+    });
+  });
+
+  it("should describe the interaction target", () => {
+    document.body.innerHTML = `
+      <div id="cart"><ul class="items list extra"><li><button class="buy">Buy</button></li></ul></div>
+    `;
+
+    expect(getTargetSelector(document.querySelector("button"))).toBe(
+      "ul.items.list > li > button.buy"
+    );
+    expect(getTargetSelector(document.querySelector("ul"))).toBe(
+      "div#cart > ul.items.list"
+    );
+  });
+
+  it("should migrate bronze_web_vitals to accept INP with attribution", async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    await createMedallionSchema(db);
+
+    db.exec(`DROP TABLE bronze_web_vitals`);
+    db.exec(`
+      CREATE TABLE bronze_web_vitals (
+        id TEXT PRIMARY KEY,
+        page_url TEXT NOT NULL,
+        domain TEXT NOT NULL,
+        metric_name TEXT NOT NULL CHECK(metric_name IN ('LCP', 'FID', 'CLS', 'FCP', 'TTFB', 'TTI', 'DCL', 'Load')),
+        value REAL NOT NULL,
+        rating TEXT,
+        timestamp INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      )
+    `);
+    db.exec(`
+      INSERT INTO bronze_web_vitals VALUES
+        ('v1', 'https://a.com/', 'a.com', 'FID', 12, 'good', 1, 1)
+    `);
+
+    await validateAndFixSchema(db);
+
+    db.exec(`
+      INSERT INTO bronze_web_vitals (id, page_url, domain, metric_name, value, timestamp, attribution, created_at)
+      VALUES ('v2', 'https://a.com/', 'a.com', 'INP', 240, 2, '{"target":"button"}', 2)
+    `);
+    const [result] = db.exec(
+      `SELECT id, metric_name, attribution FROM bronze_web_vitals ORDER BY id`
+    );
+    expect(result.values).toEqual([
+      ["v1", "FID", null],
+      ["v2", "INP", '{"target":"button"}'],
+    ]);
+
+    const [indexes] = db.exec(
+      `SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'bronze_web_vitals' AND name LIKE 'idx_%'`
+    );
+    expect(indexes.values).toHaveLength(4);
+    db.close();
+  });
+});
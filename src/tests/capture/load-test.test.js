@@ -0,0 +1,225 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import {
+  LoadStats,
+  percentile,
+  runLoadTest,
+  validateLoadConfig,
+} from "../../background/capture/load-test";
+import {
+  createMedallionSchema,
+  validateAndFixSchema,
+} from "../../background/database/medallion-schema";
+import { ValidationError } from "../../background/errors/error-types";
+
+// Virtual clock: once all pending work is waiting, time jumps to the
+// earliest sleeper, so concurrent virtual users see consistent timings
+function createClock() {
+  const clock = { time: 1000, timers: [] };
+  clock.now = () => clock.time;
+  clock.sleep = (ms) =>
+    new Promise((resolve) =>
+      clock.timers.push({ at: clock.time + ms, resolve })
+    );
+  clock.run = async (promise) => {
+    let done = false;
+    promise.finally(() => {
+      done = true;
+    });
+    while (!done) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (done || clock.timers.length === 0) continue;
+      clock.timers.sort((a, b) => a.at - b.at);
+      const timer = clock.timers.shift();
+      clock.time = Math.max(clock.time, timer.at);
+      timer.resolve();
+    }
+    return promise;
+  };
+  return clock;
+}
+
+describe("Load Test", () => {
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+  });
+
+  it("should validate and normalize load configs", () => {
+    expect(validateLoadConfig('{"virtualUsers":3}')).toEqual({
+      virtualUsers: 3,
+      rampUpSeconds: 0,
+      durationSeconds: 30,
+      iterations: null,
+      targetRps: 0,
+    });
+    // Iteration-based tests are still capped by the maximum duration
+    expect(
+      validateLoadConfig({ iterations: 100, durationSeconds: null })
+    ).toMatchObject({ iterations: 100, durationSeconds: 600 });
+
+    expect(() => validateLoadConfig({ virtualUsers: 500 })).toThrow(
+      ValidationError
+    );
+    expect(() => validateLoadConfig({ targetRps: 1.5 })).toThrow(
+      "Target RPS must be between 0 and 200"
+    );
+    expect(() => validateLoadConfig("{ nope")).toThrow(ValidationError);
+  });
+
+  it("should aggregate latency percentiles per bucket", () => {
+    expect(percentile([], 50)).toBeNull();
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2);
+    expect(percentile([1, 2, 3, 4], 99)).toBe(4);
+
+    const stats = new LoadStats(0);
+    for (let i = 1; i <= 10; i++) {
+      stats.record({ time: 100, latency: i * 10, ok: true, status: 200 });
+    }
+    stats.record({ time: 2500, latency: 500, ok: false, status: 503 });
+
+    const buckets = stats.getBuckets();
+    expect(buckets).toHaveLength(3);
+    expect(buckets[0]).toMatchObject({
+      offsetSeconds: 0,
+      requests: 10,
+      errors: 0,
+      p50: 50,
+      p90: 90,
+      p99: 100,
+      min: 10,
+      avg: 55,
+    });
+    expect(buckets[1].requests).toBe(0);
+    expect(buckets[2]).toMatchObject({ requests: 1, errors: 1, p50: 500 });
+    expect(stats.getTotals(4000)).toMatchObject({
+      requests: 11,
+      errors: 1,
+      errorRate: 9.09,
+      throughput: 2.8,
+      statusCounts: { 200: 10, 503: 1 },
+    });
+  });
+
+  it("should stop after the iteration budget", async () => {
+    const clock = createClock();
+    const sendRequest = async () => {
+      clock.time += 20;
+      return { ok: true, status: 200, latency: 20 };
+    };
+
+    const result = await runLoadTest({
+      config: validateLoadConfig({ virtualUsers: 3, iterations: 5 }),
+      requests: ["a", "b"],
+      sendRequest,
+      now: clock.now,
+      sleep: clock.sleep,
+    });
+
+    expect(result.iterations).toBe(5);
+    expect(result.totals.requests).toBe(10);
+    expect(result.totals.p50).toBe(20);
+    expect(result.cancelled).toBe(false);
+  });
+
+  it("should pace requests to the target RPS", async () => {
+    const clock = createClock();
+    const result = await clock.run(
+      runLoadTest({
+        config: validateLoadConfig({
+          virtualUsers: 5,
+          durationSeconds: 2,
+          targetRps: 10,
+        }),
+        requests: ["a"],
+        sendRequest: async () => ({ ok: true, status: 200, latency: 0 }),
+        now: clock.now,
+        sleep: clock.sleep,
+      })
+    );
+
+    expect(result.totals.requests).toBe(20);
+    expect(result.buckets.map((bucket) => bucket.requests)).toEqual([10, 10]);
+  });
+
+  it("should honor cancellation and not count aborted requests", async () => {
+    const clock = createClock();
+    let sent = 0;
+    const progress = [];
+
+    const result = await runLoadTest({
+      config: validateLoadConfig({ virtualUsers: 2, durationSeconds: 60 }),
+      requests: ["a"],
+      sendRequest: async () => {
+        sent++;
+        clock.time += 400;
+        if (sent > 4) throw new Error("The user aborted a request.");
+        return { ok: sent !== 2, status: sent === 2 ? 500 : 200 };
+      },
+      isCancelled: () => sent > 4,
+      onProgress: (snapshot) => progress.push(snapshot),
+      now: clock.now,
+      sleep: clock.sleep,
+    });
+
+    expect(result.cancelled).toBe(true);
+    expect(result.totals).toMatchObject({ requests: 4, errors: 1 });
+    expect(result.totals.statusCounts).toEqual({ 200: 3, 500: 1 });
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress[progress.length - 1]).toBe(result);
+  });
+
+  it("should migrate runner definitions to allow the load mode", async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    await createMedallionSchema(db);
+
+    // Table as created before the load mode existed
+    db.exec(`DROP TABLE config_runner_definitions`);
+    db.exec(`
+      CREATE TABLE config_runner_definitions (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        collection_id TEXT,
+        execution_mode TEXT NOT NULL CHECK(execution_mode IN ('sequential', 'parallel')),
+        delay_ms INTEGER DEFAULT 0,
+        follow_redirects BOOLEAN DEFAULT 1,
+        validate_status BOOLEAN DEFAULT 0,
+        use_variables BOOLEAN DEFAULT 1,
+        header_overrides TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        last_run_at INTEGER,
+        run_count INTEGER DEFAULT 0
+      )
+    `);
+    db.exec(`
+      INSERT INTO config_runner_definitions
+        (id, name, execution_mode, created_at, updated_at, run_count)
+      VALUES ('runner-1', 'Smoke', 'sequential', 1, 1, 7)
+    `);
+
+    await validateAndFixSchema(db);
+
+    db.exec(`
+      INSERT INTO config_runner_definitions
+        (id, name, execution_mode, load_config, created_at, updated_at)
+      VALUES ('runner-2', 'Load', 'load', '{"virtualUsers":2}', 2, 2)
+    `);
+    const rows = db.exec(
+      "SELECT id, execution_mode, run_count FROM config_runner_definitions ORDER BY id"
+    )[0].values;
+    expect(rows).toEqual([
+      ["runner-1", "sequential", 7],
+      ["runner-2", "load", 0],
+    ]);
+    expect(
+      db.exec(
+        "SELECT name FROM sqlite_master WHERE name = 'bronze_runner_load_stats'"
+      )
+    ).toHaveLength(1);
+    db.close();
+  });
+});
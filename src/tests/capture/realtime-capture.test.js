@@ -0,0 +1,245 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+import { realtimeHandlers } from "../../background/messaging/handlers/realtime-handlers";
+
+describe("Realtime Capture", () => {
+  let db;
+  let medallion;
+  let context;
+
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+  });
+
+  beforeEach(async () => {
+    const SQL = await initSqlJs();
+    db = new SQL.Database();
+    await createMedallionSchema(db);
+    medallion = createMedallionManager(db);
+    context = { database: { db, isReady: true } };
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const tabContext = {
+    tabId: 7,
+    pageUrl: "https://app.example.com/chat",
+  };
+
+  it("should record the connection lifecycle and frame counters", async () => {
+    const stored = await medallion.insertRealtimeEvents(
+      [
+        {
+          kind: "connect",
+          connectionId: "ws_1",
+          protocol: "websocket",
+          url: "wss://app.example.com/socket",
+          timestamp: 1000,
+        },
+        {
+          kind: "open",
+          connectionId: "ws_1",
+          subprotocol: "graphql-ws",
+          timestamp: 1050,
+        },
+        {
+          kind: "frame",
+          connectionId: "ws_1",
+          direction: "sent",
+          opcode: 1,
+          size: 12,
+          payload: null,
+          timestamp: 1100,
+        },
+        {
+          kind: "frame",
+          connectionId: "ws_1",
+          direction: "received",
+          opcode: 2,
+          size: 300,
+          timestamp: 1200,
+        },
+        {
+          kind: "frame",
+          connectionId: "ws_1",
+          direction: "received",
+          opcode: 1,
+          size: 40,
+          timestamp: 2300,
+        },
+        { kind: "unknown", connectionId: "ws_1" },
+        {
+          kind: "close",
+          connectionId: "ws_1",
+          code: 1000,
+          reason: "bye",
+          wasClean: true,
+          timestamp: 2500,
+        },
+        // Errors after a close don't reopen the connection status
+        { kind: "error", connectionId: "ws_1", timestamp: 2600 },
+      ],
+      { ...tabContext, droppedFrames: { ws_1: 3 } }
+    );
+
+    expect(stored).toBe(7);
+
+    const { connections } = await realtimeHandlers.get(
+      "getRealtimeConnections"
+    )({ filters: { tabId: 7 } }, {}, context);
+    expect(connections).toHaveLength(1);
+    expect(connections[0]).toMatchObject({
+      protocol: "websocket",
+      domain: "app.example.com",
+      subprotocol: "graphql-ws",
+      status: "closed",
+      opened_at: 1050,
+      closed_at: 2500,
+      close_code: 1000,
+      was_clean: 1,
+      frames_sent: 1,
+      frames_received: 2,
+      bytes_sent: 12,
+      bytes_received: 340,
+      dropped_frames: 3,
+    });
+
+    const frames = await realtimeHandlers.get("getRealtimeFrames")(
+      { connectionId: "ws_1", limit: 2 },
+      {},
+      context
+    );
+    expect(frames.totalFrames).toBe(3);
+    // Latest frames, oldest first
+    expect(frames.frames.map((frame) => frame.timestamp)).toEqual([1200, 2300]);
+    expect(frames.rates).toEqual([
+      {
+        bucket: 1000,
+        sent: 1,
+        received: 1,
+        bytes_sent: 12,
+        bytes_received: 300,
+      },
+      { bucket: 2000, sent: 0, received: 1, bytes_sent: 0, bytes_received: 40 },
+    ]);
+  });
+
+  it("should redact urls and payloads before storing them", async () => {
+    await medallion.insertRealtimeEvents(
+      [
+        {
+          kind: "connect",
+          connectionId: "sse_1",
+          protocol: "sse",
+          url: "https://app.example.com/events?token=abc123",
+          timestamp: 1000,
+        },
+        {
+          kind: "frame",
+          connectionId: "sse_1",
+          direction: "received",
+          opcode: 1,
+          eventType: "update",
+          size: 64,
+          payload: '{"password":"hunter2","count":1}',
+          truncated: true,
+          timestamp: 1100,
+        },
+      ],
+      tabContext
+    );
+
+    const [[url]] = db.exec(
+      "SELECT url FROM bronze_realtime_connections"
+    )[0].values;
+    expect(url).not.toContain("abc123");
+
+    const [[payload, eventType, truncated]] = db.exec(
+      "SELECT payload, event_type, truncated FROM bronze_realtime_frames"
+    )[0].values;
+    expect(payload).not.toContain("hunter2");
+    expect(payload).toContain('"count":1');
+    expect(eventType).toBe("update");
+    expect(truncated).toBe(1);
+  });
+
+  it("should link connections to their handshake request", async () => {
+    await medallion.insertRealtimeEvents(
+      [
+        {
+          kind: "connect",
+          connectionId: "ws_2",
+          protocol: "websocket",
+          url: "wss://app.example.com/socket",
+          timestamp: 50000,
+        },
+      ],
+      tabContext
+    );
+
+    // The handshake is captured after the connect event
+    for (const [id, tabId, timestamp] of [
+      ["req-other-tab", 9, 50010],
+      ["req-stale", 7, 10000],
+      ["req-handshake", 7, 50020],
+    ]) {
+      await medallion.insertBronzeRequest(
+        {
+          id,
+          url: "wss://app.example.com/socket",
+          method: "GET",
+          type: "websocket",
+          status: 101,
+          domain: "app.example.com",
+          tabId,
+          timestamp,
+        },
+        { deferSilver: true }
+      );
+    }
+
+    await medallion.insertRealtimeEvents(
+      [
+        {
+          kind: "open",
+          connectionId: "ws_2",
+          timestamp: 50030,
+        },
+      ],
+      tabContext
+    );
+
+    const { connections } = await realtimeHandlers.get(
+      "getRealtimeConnections"
+    )({ filters: { domain: "app.example.com" } }, {}, context);
+    expect(connections[0]).toMatchObject({
+      id: "ws_2",
+      request_id: "req-handshake",
+      handshake_status: 101,
+    });
+  });
+
+  it("should report missing connections and an unready database", async () => {
+    const missing = await realtimeHandlers.get("getRealtimeFrames")(
+      { connectionId: "nope" },
+      {},
+      context
+    );
+    expect(missing).toEqual({
+      success: false,
+      error: "Connection not found",
+    });
+
+    const notReady = await realtimeHandlers.get("getRealtimeConnections")(
+      {},
+      {},
+      { database: { db, isReady: false } }
+    );
+    expect(notReady.success).toBe(false);
+  });
+});
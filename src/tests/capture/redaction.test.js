@@ -0,0 +1,195 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import {
+  createRedactor,
+  parseJsonPath,
+  previewRedaction,
+  validateRedactionRule,
+} from "../../background/capture/redaction";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+
+describe("Redaction", () => {
+  describe("headers", () => {
+    it("should mask built-in sensitive headers", () => {
+      const redactor = createRedactor();
+      expect(
+        redactor.redactHeaders({
+          Authorization: "Basic abc",
+          Cookie: "sid=1",
+          Accept: "application/json",
+        })
+      ).toEqual({
+        Authorization: "[REDACTED]",
+        Cookie: "[REDACTED]",
+        Accept: "application/json",
+      });
+    });
+
+    it("should handle webRequest header arrays", () => {
+      const redactor = createRedactor();
+      expect(
+        redactor.redactHeaders([{ name: "X-Api-Key", value: "secret" }])
+      ).toEqual([{ name: "X-Api-Key", value: "[REDACTED]" }]);
+    });
+  });
+
+  describe("urls", () => {
+    it("should mask matching query parameters only", () => {
+      const redactor = createRedactor();
+      expect(redactor.redactUrl("https://a.com/x?api_key=abc&page=2#top")).toBe(
+        "https://a.com/x?api_key=[REDACTED]&page=2#top"
+      );
+    });
+  });
+
+  describe("bodies", () => {
+    it("should mask JSON fields and custom JSONPath rules", () => {
+      const redactor = createRedactor({
+        customRules: [
+          { id: "c1", type: "jsonPath", pattern: "$.items[*].ssn" },
+        ],
+      });
+      const body = JSON.stringify({
+        user: { password: "hunter2", name: "bob" },
+        items: [{ ssn: "123", id: 1 }],
+      });
+      expect(JSON.parse(redactor.redactBody(body))).toEqual({
+        user: { password: "[REDACTED]", name: "bob" },
+        items: [{ ssn: "[REDACTED]", id: 1 }],
+      });
+    });
+
+    it("should keep original formatting when nothing matches", () => {
+      const body = '{\n  "name": "bob"\n}';
+      expect(createRedactor().redactBody(body)).toBe(body);
+    });
+
+    it("should mask bearer tokens in free text", () => {
+      expect(createRedactor().redactBody("auth: Bearer abc.def")).toBe(
+        "auth: [REDACTED]"
+      );
+    });
+
+    it("should mask fields in JSON cut off at the size limit", () => {
+      const redactor = createRedactor({
+        customRules: [{ id: "c1", type: "jsonPath", pattern: "$..ssn" }],
+      });
+      expect(
+        redactor.redactBody(
+          '{"user":{"password":"hunter2","ssn":"123"},"items":[{"token":"ab'
+        )
+      ).toBe(
+        '{"user":{"password":"[REDACTED]","ssn":"[REDACTED]"},"items":[{"token":"[REDACTED]"'
+      );
+    });
+
+    it("should do nothing when disabled", () => {
+      const redactor = createRedactor({ enabled: false });
+      expect(redactor.redactBody('{"password":"x"}')).toBe('{"password":"x"}');
+    });
+  });
+
+  describe("rules", () => {
+    it("should skip disabled built-in rules", () => {
+      const redactor = createRedactor({
+        disabledBuiltInRules: ["builtin-cookies"],
+      });
+      expect(redactor.redactHeaders({ Cookie: "sid=1" })).toEqual({
+        Cookie: "sid=1",
+      });
+    });
+
+    it("should validate rule patterns", () => {
+      expect(validateRedactionRule({ type: "regex", pattern: "(" })).toMatch(
+        /Invalid regular expression/
+      );
+      expect(validateRedactionRule({ type: "bogus", pattern: "a" })).toMatch(
+        /Unknown rule type/
+      );
+      expect(
+        validateRedactionRule({ type: "jsonPath", pattern: "$..token" })
+      ).toBeNull();
+    });
+
+    it("should treat bare JSONPath names as recursive", () => {
+      expect(parseJsonPath("token")).toEqual(parseJsonPath("$..token"));
+    });
+  });
+
+  describe("previewRedaction", () => {
+    it("should report what changed", () => {
+      const result = previewRedaction(
+        {
+          url: "https://a.com/?token=1",
+          headers: { Authorization: "x", Accept: "*/*" },
+          body: "plain",
+        },
+        {}
+      );
+      expect(result.changed).toEqual({
+        url: true,
+        headers: ["Authorization"],
+        body: false,
+      });
+    });
+  });
+
+  describe("Bronze writes", () => {
+    let db;
+    let medallion;
+
+    beforeEach(async () => {
+      const SQL = await initSqlJs();
+      db = new SQL.Database();
+      await createMedallionSchema(db);
+      medallion = createMedallionManager(db);
+      medallion.setRedactionConfig({
+        customRules: [
+          { id: "c1", type: "jsonPath", pattern: "$.account.pin" },
+        ],
+      });
+      jest.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      db.close();
+      jest.restoreAllMocks();
+    });
+
+    it("should redact bodies larger than maxBodySize before truncating", async () => {
+      const body = JSON.stringify({
+        account: { pin: "4321" },
+        password: "hunter2",
+        items: Array.from({ length: 200 }, (_, id) => ({ id })),
+      });
+
+      await medallion.insertBronzeRequest(
+        {
+          id: "req-1",
+          url: "https://api.example.com/login",
+          method: "POST",
+          domain: "api.example.com",
+          timestamp: Date.now(),
+          requestBody: body,
+          responseBody: body,
+        },
+        { maxBodySize: 256 }
+      );
+
+      const [[requestBody, responseBody]] = db.exec(
+        "SELECT request_body, response_body FROM bronze_requests WHERE id = 'req-1'"
+      )[0].values;
+      for (const stored of [requestBody, responseBody]) {
+        expect(stored).toContain('"pin":"[REDACTED]"');
+        expect(stored).toContain('"password":"[REDACTED]"');
+        expect(stored).not.toContain("4321");
+        expect(stored).not.toContain("hunter2");
+        expect(stored).toMatch(/…\[truncated \d+ bytes\]$/);
+      }
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import {
+  diffBodies,
+  diffHeaders,
+  diffJson,
+  diffRequests,
+  diffUrls,
+} from "../../lib/utils/request-diff";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+import { requestHandlers } from "../../background/messaging/handlers/request-handlers";
+
+describe("Request Diff", () => {
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+  });
+
+  it("should diff origin, path and query params", () => {
+    const diff = diffUrls(
+      "https://staging.example.com/api/items?page=1&sort=name&tag=a&tag=b",
+      "https://example.com/api/items?page=2&tag=a&tag=b&debug=1"
+    );
+
+    expect(diff.changed).toBe(true);
+    expect(diff.origin).toMatchObject({
+      status: "changed",
+      left: "https://staging.example.com",
+      right: "https://example.com",
+    });
+    expect(diff.path.status).toBe("unchanged");
+    expect(diff.params).toEqual([
+      { name: "page", status: "changed", left: "1", right: "2" },
+      { name: "sort", status: "removed", left: "name", right: undefined },
+      { name: "tag", status: "unchanged", left: "a, b", right: "a, b" },
+      { name: "debug", status: "added", left: undefined, right: "1" },
+    ]);
+  });
+
+  it("should diff headers by case-insensitive name", () => {
+    const diff = diffHeaders(
+      [
+        { name: "Content-Type", value: "application/json" },
+        { name: "X-Env", value: "staging" },
+      ],
+      { "content-type": "application/json", "x-env": "prod", etag: "abc" }
+    );
+
+    expect(diff).toEqual([
+      {
+        name: "Content-Type",
+        status: "unchanged",
+        left: "application/json",
+        right: "application/json",
+      },
+      { name: "etag", status: "added", left: undefined, right: "abc" },
+      { name: "X-Env", status: "changed", left: "staging", right: "prod" },
+    ]);
+  });
+
+  it("should diff JSON bodies by path", () => {
+    const { changes, truncated } = diffJson(
+      { id: 1, user: { name: "a", roles: ["x", "y"] }, "odd key": 1 },
+      { id: 1, user: { name: "b", roles: ["x"] }, extra: null, "odd key": "1" }
+    );
+
+    expect(truncated).toBe(false);
+    expect(changes).toEqual([
+      { path: "$.user.name", status: "changed", left: "a", right: "b" },
+      { path: "$.user.roles[1]", status: "removed", left: "y" },
+      { path: '$["odd key"]', status: "changed", left: 1, right: "1" },
+      { path: "$.extra", status: "added", right: null },
+    ]);
+
+    const many = diffJson(
+      Array.from({ length: 20 }, (_, i) => i),
+      [],
+      5
+    );
+    expect(many.changes).toHaveLength(5);
+    expect(many.truncated).toBe(true);
+  });
+
+  it("should fall back to a line diff for text bodies", () => {
+    const diff = diffBodies("a\nb\nc", "a\nc\nd");
+
+    expect(diff.kind).toBe("text");
+    expect(diff.equal).toBe(false);
+    expect(diff.lines).toEqual([
+      { status: "unchanged", left: "a", right: "a" },
+      { status: "removed", left: "b" },
+      { status: "unchanged", left: "c", right: "c" },
+      { status: "added", right: "d" },
+    ]);
+    expect(diffBodies(null, "")).toEqual({ kind: "none", equal: true });
+    expect(diffBodies("{ broken", "{ broken").kind).toBe("text");
+  });
+
+  it("should count differences but not timing or size", () => {
+    const base = {
+      url: "https://example.com/a?x=1",
+      method: "GET",
+      status: 200,
+      duration: 100,
+      sizeBytes: 10,
+      responseBody: '{"ok":true}',
+    };
+
+    expect(diffRequests(base, { ...base, duration: 250 }).changeCount).toBe(0);
+    expect(
+      diffRequests(base, {
+        ...base,
+        status: 500,
+        responseBody: '{"ok":false}',
+      }).changeCount
+    ).toBe(2);
+  });
+
+  it("should diff a captured request against its runner replay", async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    await createMedallionSchema(db);
+    const medallion = createMedallionManager(db);
+
+    await medallion.insertBronzeRequest(
+      {
+        id: "req-1",
+        url: "https://example.com/api/items?page=1",
+        method: "GET",
+        status: 200,
+        duration: 80,
+        domain: "example.com",
+        timestamp: Date.now(),
+        responseBody: '{"items":[{"id":1}],"total":1}',
+      },
+      { deferSilver: true }
+    );
+    await medallion.insertBronzeHeaders("req-1", {
+      Accept: "application/json",
+    });
+    await medallion.insertBronzeHeaders("req-1", { ETag: "v1" }, "response");
+
+    db.exec(`
+      INSERT INTO config_runner_requests (
+        id, runner_id, sequence_order, url, method, domain, page_url,
+        captured_request_id, created_at
+      ) VALUES (
+        'rr-1', 'runner-1', 0, 'https://example.com/api/items?page=1',
+        'GET', 'example.com', 'https://example.com/', 'req-1', 0
+      )
+    `);
+    db.exec(`
+      INSERT INTO bronze_runner_execution_results (
+        execution_id, runner_request_id, sequence_order, url, method,
+        status, duration, success, request_headers, response_headers,
+        response_body, timestamp
+      ) VALUES (
+        'exec-1', 'rr-1', 0, 'https://example.com/api/items?page=1', 'GET',
+        200, 95, 1, '{"Accept":"application/json"}', '{"etag":"v2"}',
+        '{"items":[{"id":1},{"id":2}],"total":2}', 0
+      )
+    `);
+    const [resultId] = db.exec(
+      "SELECT id FROM bronze_runner_execution_results"
+    )[0].values[0];
+
+    const context = { database: { db, isReady: true } };
+    const response = await requestHandlers.get("diffRequests")(
+      {
+        left: { requestId: "req-1" },
+        right: { executionResultId: resultId },
+      },
+      {},
+      context
+    );
+
+    expect(response.success).toBe(true);
+    expect(response.left).toMatchObject({ source: "capture", id: "req-1" });
+    expect(response.right).toMatchObject({
+      source: "replay",
+      capturedRequestId: "req-1",
+    });
+    expect(response.diff.requestHeaders[0].status).toBe("unchanged");
+    expect(response.diff.responseHeaders).toEqual([
+      { name: "ETag", status: "changed", left: "v1", right: "v2" },
+    ]);
+    expect(response.diff.responseBody.changes).toEqual([
+      { path: "$.items[1]", status: "added", right: { id: 2 } },
+      { path: "$.total", status: "changed", left: 1, right: 2 },
+    ]);
+
+    const missing = await requestHandlers.get("diffRequests")(
+      { left: { requestId: "nope" }, right: { requestId: "req-1" } },
+      {},
+      context
+    );
+    expect(missing).toEqual({ success: false, error: "Request not found" });
+    db.close();
+  });
+});
@@ -0,0 +1,82 @@
+import {
+  findClosestTiming,
+  harTimingsToPhases,
+  resourceTimingToPhases,
+  timingRowToPhases,
+} from "../../lib/utils/request-timings";
+
+describe("Request Timings", () => {
+  it("should build phases from a Resource Timing entry", () => {
+    expect(
+      resourceTimingToPhases({
+        startTime: 100,
+        domainLookupStart: 105,
+        domainLookupEnd: 125,
+        connectStart: 125,
+        secureConnectionStart: 150,
+        connectEnd: 190,
+        requestStart: 200,
+        responseStart: 320,
+        responseEnd: 400,
+      })
+    ).toEqual({
+      queued: 15,
+      dns: 20,
+      tcp: 25,
+      ssl: 40,
+      waiting: 120,
+      download: 80,
+    });
+  });
+
+  it("should not invent phases for opaque cross-origin entries", () => {
+    expect(
+      resourceTimingToPhases({
+        startTime: 100,
+        requestStart: 0,
+        responseStart: 0,
+        responseEnd: 400,
+      })
+    ).toBeNull();
+  });
+
+  it("should build phases from HAR timings", () => {
+    expect(
+      harTimingsToPhases({
+        blocked: 2,
+        dns: -1,
+        connect: 50,
+        ssl: 30,
+        send: 1,
+        wait: 99,
+        receive: 10,
+      })
+    ).toEqual({
+      queued: 2,
+      dns: 0,
+      tcp: 20,
+      ssl: 30,
+      waiting: 100,
+      download: 10,
+    });
+  });
+
+  it("should only treat sourced timing rows as measured", () => {
+    expect(timingRowToPhases({ dns_duration: 10 })).toBeNull();
+    expect(
+      timingRowToPhases({
+        timing_source: "resource-timing",
+        dns_duration: 10,
+        request_duration: 50,
+      })
+    ).toMatchObject({ dns: 10, waiting: 50, queued: 0 });
+  });
+
+  it("should match the closest timing within the tolerance", () => {
+    const candidates = [{ startedAt: 1000 }, { startedAt: 5000 }];
+
+    expect(findClosestTiming(candidates, 4200)).toBe(candidates[1]);
+    expect(findClosestTiming(candidates, 60000)).toBeNull();
+    expect(findClosestTiming(undefined, 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import {
+  evaluateAssertions,
+  parseAssertions,
+  queryJsonPath,
+  validateAssertion,
+  validateJsonSchema,
+} from "../../background/capture/runner-assertions";
+
+const response = {
+  status: 200,
+  headers: { "Content-Type": "application/json; charset=utf-8" },
+  body: JSON.stringify({
+    data: { id: 42, name: "widget", tags: ["a", "b"] },
+    items: [{ token: "abc" }, { token: "def" }],
+  }),
+  duration: 120,
+};
+
+describe("Runner Assertions", () => {
+  it("should parse stored assertions and ignore invalid JSON", () => {
+    expect(parseAssertions('[{"type":"status","expected":200}]')).toHaveLength(
+      1
+    );
+    expect(parseAssertions("not json")).toEqual([]);
+    expect(parseAssertions(null)).toEqual([]);
+  });
+
+  it("should validate assertion definitions", () => {
+    expect(validateAssertion({ type: "status", expected: 200 })).toBeNull();
+    expect(validateAssertion({ type: "unknown" })).toMatch(/Unknown/);
+    expect(validateAssertion({ type: "header", operator: "equals" })).toMatch(
+      /name/
+    );
+    expect(validateAssertion({ type: "bodyRegex", expected: "(" })).toMatch(
+      /Invalid regular expression/
+    );
+  });
+
+  it("should check status and headers", () => {
+    const { passed, results } = evaluateAssertions(
+      [
+        { type: "status", expected: [200, 201] },
+        {
+          type: "header",
+          name: "content-type",
+          operator: "contains",
+          expected: "JSON",
+        },
+        { type: "header", name: "x-missing", operator: "exists" },
+      ],
+      response
+    );
+
+    expect(passed).toBe(false);
+    expect(results.map((r) => r.passed)).toEqual([true, true, false]);
+  });
+
+  it("should check JSONPath values", () => {
+    expect(
+      queryJsonPath(JSON.parse(response.body), "$.items[*].token")
+    ).toEqual(["abc", "def"]);
+
+    const { passed, results } = evaluateAssertions(
+      [
+        { type: "jsonPath", path: "$.data.id", expected: "42" },
+        { type: "jsonPath", path: "$.data.name", operator: "exists" },
+        {
+          type: "jsonPath",
+          path: "$.items[*].token",
+          operator: "matches",
+          expected: "^[a-z]{3}$",
+        },
+      ],
+      response
+    );
+
+    expect(passed).toBe(true);
+    expect(results[0].actual).toBe(42);
+  });
+
+  it("should check body regex and duration", () => {
+    const { results } = evaluateAssertions(
+      [
+        { type: "bodyRegex", expected: '"name":\\s*"widget"' },
+        { type: "maxDuration", expected: 100 },
+      ],
+      response
+    );
+
+    expect(results[0].passed).toBe(true);
+    expect(results[1]).toMatchObject({ passed: false, actual: 120 });
+  });
+
+  it("should validate JSON bodies against a schema", () => {
+    const schema = {
+      type: "object",
+      required: ["data"],
+      properties: {
+        data: {
+          type: "object",
+          required: ["id", "email"],
+          properties: { id: { type: "integer", minimum: 1 } },
+        },
+      },
+    };
+
+    expect(validateJsonSchema({ data: { id: 0 } }, schema)).toEqual([
+      '$.data: missing required property "email"',
+      "$.data.id: must be >= 1",
+    ]);
+
+    const { passed, results } = evaluateAssertions(
+      [{ type: "jsonSchema", expected: schema }],
+      response
+    );
+    expect(passed).toBe(false);
+    expect(results[0].message).toMatch(/email/);
+  });
+
+  it("should fail body assertions for non-JSON responses", () => {
+    const { results } = evaluateAssertions(
+      [{ type: "jsonPath", path: "$.id", operator: "exists" }],
+      { ...response, body: "<html></html>" }
+    );
+
+    expect(results[0]).toMatchObject({
+      passed: false,
+      message: "Response body is not valid JSON",
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  compareExecutionResults,
+  describeComparison,
+} from "../../background/capture/runner-comparison";
+import { runnerHandlers } from "../../background/messaging/handlers/runner-handlers";
+
+const result = (runnerRequestId, fields = {}) => ({
+  id: `${runnerRequestId}-${fields.execution || "a"}`,
+  runner_request_id: runnerRequestId,
+  sequence_order: Number(runnerRequestId.slice(1)),
+  method: "GET",
+  url: `https://api.test/${runnerRequestId}`,
+  status: 200,
+  duration: 100,
+  success: 1,
+  assertion_results: null,
+  ...fields,
+});
+
+const assertion = (description, passed, actual) =>
+  JSON.stringify([{ type: "status", description, passed, actual }]);
+
+describe("Runner Comparison", () => {
+  const base = [
+    result("r0"),
+    result("r1", { assertion_results: assertion("Status is 200", true) }),
+    result("r2", { status: 500, success: 0 }),
+    result("r3", { duration: 200 }),
+    result("r4"),
+  ];
+  const compare = [
+    result("r0", { status: 503, success: 0, execution: "b" }),
+    result("r1", {
+      assertion_results: assertion("Status is 200", false, 201),
+      status: 201,
+      execution: "b",
+    }),
+    result("r2", { execution: "b" }),
+    result("r3", { duration: 320, execution: "b" }),
+    result("r5", { execution: "b" }),
+  ];
+
+  it("should line up results by runner request", () => {
+    const { rows } = compareExecutionResults(base, compare);
+
+    expect(rows.map((row) => [row.runnerRequestId, row.outcome])).toEqual([
+      ["r0", "regression"],
+      ["r1", "regression"],
+      ["r2", "fix"],
+      ["r3", "unchanged"],
+      ["r4", "removed"],
+      ["r5", "added"],
+    ]);
+    expect(rows[0].statusChanged).toBe(true);
+    expect(rows[1].newlyFailingAssertions).toEqual([
+      { description: "Status is 200", actual: 201, message: null },
+    ]);
+    expect(rows[3].duration).toEqual({
+      delta: 120,
+      percent: 60,
+      slower: true,
+      faster: false,
+    });
+  });
+
+  it("should ignore small duration changes", () => {
+    const { rows, summary } = compareExecutionResults(
+      [result("r0", { duration: 10 })],
+      [result("r0", { duration: 40 })]
+    );
+
+    expect(rows[0].duration.slower).toBe(false);
+    expect(summary.text).toBe("No changes");
+    expect(summary.avgDurationDelta).toBe(30);
+  });
+
+  it("should summarise the run", () => {
+    const { summary } = compareExecutionResults(base, compare);
+
+    expect(summary).toMatchObject({
+      matched: 4,
+      regressions: 2,
+      fixes: 1,
+      slower: 1,
+      statusChanges: 3,
+      added: 1,
+      removed: 1,
+    });
+    expect(summary.text).toBe(
+      "2 regressions, 1 fix, 1 slower, 3 status changes, 1 new, 1 no longer run"
+    );
+    expect(describeComparison({ regressions: 3, fixes: 1 })).toBe(
+      "3 regressions, 1 fix"
+    );
+  });
+
+  it("should compare with the previous execution by default", async () => {
+    const executions = [
+      { id: "exec-3", runner_id: "runner-1", start_time: 3000 },
+      { id: "exec-2", runner_id: "runner-1", start_time: 2000 },
+      { id: "exec-1", runner_id: "runner-1", start_time: 1000 },
+    ];
+    const runner = {
+      getRunnerExecution: jest.fn(async (id) =>
+        executions.find((execution) => execution.id === id)
+      ),
+      getRunnerExecutions: jest.fn(async () => executions),
+      getExecutionResults: jest.fn(async (id) =>
+        id === "exec-2" ? base : compare
+      ),
+    };
+    const context = { database: { isReady: true, runner } };
+
+    const response = await runnerHandlers.get("compareExecutions")(
+      { compareExecutionId: "exec-3" },
+      {},
+      context
+    );
+
+    expect(response.success).toBe(true);
+    expect(response.base.id).toBe("exec-2");
+    expect(response.summary.regressions).toBe(2);
+
+    const first = await runnerHandlers.get("compareExecutions")(
+      { compareExecutionId: "exec-1" },
+      {},
+      context
+    );
+    expect(first).toEqual({
+      success: false,
+      error: "No earlier execution to compare with",
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  extractVariables,
+  substituteTemplate,
+  validateExtraction,
+} from "../../background/capture/runner-variables";
+
+const response = {
+  headers: { "X-Request-Id": "req-123", "Content-Type": "application/json" },
+  body: JSON.stringify({
+    access_token: "abc.def",
+    user: { id: 7, roles: ["admin"] },
+  }),
+};
+
+describe("Runner Variables", () => {
+  it("should substitute {{name}} and ${name} placeholders", () => {
+    const variables = { token: "abc", userId: 7 };
+
+    expect(
+      substituteTemplate(
+        "https://api.test/users/{{userId}}?t=${token}&x={{ missing }}",
+        variables
+      )
+    ).toBe("https://api.test/users/7?t=abc&x={{ missing }}");
+    expect(substituteTemplate(null, variables)).toBeNull();
+  });
+
+  it("should validate extraction rules", () => {
+    expect(
+      validateExtraction({
+        variable: "token",
+        source: "jsonPath",
+        expression: "$.token",
+      })
+    ).toBeNull();
+    expect(validateExtraction({ variable: "token", source: "xpath" })).toMatch(
+      /Unknown/
+    );
+    expect(
+      validateExtraction({ variable: "a b", source: "header", expression: "x" })
+    ).toMatch(/Variable name/);
+    expect(
+      validateExtraction({ variable: "t", source: "regex", expression: "(" })
+    ).toMatch(/Invalid regular expression/);
+  });
+
+  it("should extract values from JSON, regex and headers", () => {
+    const { variables, results } = extractVariables(
+      [
+        { variable: "token", source: "jsonPath", expression: "$.access_token" },
+        { variable: "userId", source: "jsonPath", expression: "$.user.id" },
+        { variable: "roles", source: "jsonPath", expression: "$.user.roles" },
+        {
+          variable: "tokenPrefix",
+          source: "regex",
+          expression: '"access_token":"(\\w+)\\.',
+        },
+        { variable: "requestId", source: "header", expression: "x-request-id" },
+      ],
+      response
+    );
+
+    expect(variables).toEqual({
+      token: "abc.def",
+      userId: "7",
+      roles: '["admin"]',
+      tokenPrefix: "abc",
+      requestId: "req-123",
+    });
+    expect(results.every((r) => r.error === null)).toBe(true);
+  });
+
+  it("should report rules that do not match", () => {
+    const { variables, results } = extractVariables(
+      JSON.stringify([
+        { variable: "missing", source: "jsonPath", expression: "$.nope" },
+      ]),
+      { headers: {}, body: "<html></html>" }
+    );
+
+    expect(variables).toEqual({});
+    expect(results[0].error).toBe("No match in response");
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  findEnvironment,
+  resolveVariableMap,
+  resolveVariables,
+  withoutSecretValues,
+} from "../../lib/utils/variable-environments";
+
+const variablesSettings = {
+  list: [
+    { id: "1", name: "BASE_URL", value: "https://dev.example.com" },
+    { id: "2", name: "API_TOKEN", value: "dev-token" },
+  ],
+  environments: [
+    {
+      id: "env_staging",
+      name: "staging",
+      values: { BASE_URL: "https://staging.example.com" },
+    },
+    {
+      id: "env_prod",
+      name: "prod",
+      values: { API_TOKEN: "prod-token", TENANT: "acme" },
+    },
+  ],
+  activeEnvironment: "env_staging",
+};
+
+describe("Variable Environments", () => {
+  it("should find environments by id", () => {
+    expect(findEnvironment(variablesSettings, "env_prod").name).toBe("prod");
+    expect(findEnvironment(variablesSettings, "missing")).toBeNull();
+    expect(findEnvironment(undefined, "env_prod")).toBeNull();
+  });
+
+  it("should apply the active environment by default", () => {
+    expect(resolveVariableMap(variablesSettings)).toEqual({
+      BASE_URL: "https://staging.example.com",
+      API_TOKEN: "dev-token",
+    });
+  });
+
+  it("should apply an explicit environment, including its own variables", () => {
+    const variables = resolveVariables(variablesSettings, "env_prod");
+
+    expect(variables.map((v) => [v.name, v.value])).toEqual([
+      ["BASE_URL", "https://dev.example.com"],
+      ["API_TOKEN", "prod-token"],
+      ["TENANT", "acme"],
+    ]);
+    expect(variables[1].environment).toBe("env_prod");
+  });
+
+  it("should use global values only when environment is null", () => {
+    expect(resolveVariableMap(variablesSettings, null)).toEqual({
+      BASE_URL: "https://dev.example.com",
+      API_TOKEN: "dev-token",
+    });
+  });
+
+  it("should not modify the stored variables", () => {
+    resolveVariables(variablesSettings, "env_prod");
+    expect(variablesSettings.list[1].value).toBe("dev-token");
+  });
+
+  it("should strip secret values from exported variables", () => {
+    const stripped = withoutSecretValues({
+      ...variablesSettings,
+      list: [
+        variablesSettings.list[0],
+        { ...variablesSettings.list[1], secret: true },
+      ],
+    });
+
+    expect(stripped.list[1]).toMatchObject({ name: "API_TOKEN", value: "" });
+    expect(stripped.environments[1].values).toEqual({ TENANT: "acme" });
+    expect(stripped.list[0].value).toBe("https://dev.example.com");
+  });
+});
@@ -0,0 +1,189 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+import { createConfigSchemaManager } from "../../background/database/config-schema-manager";
+import { DatabaseEngine } from "../../background/database/db-engine";
+import { DatabaseEngineClient } from "../../background/database/db-engine-client";
+import {
+  decodeEngineMessage,
+  encodeEngineMessage,
+} from "../../background/database/db-engine-protocol";
+import { DatabaseError } from "../../background/errors/error-types";
+
+// Stands in for DatabaseManagerMedallion without OPFS
+function createDatabase(SQL) {
+  const db = new SQL.Database();
+  const database = {
+    db,
+    isReady: false,
+    async initialize(config, encryptionMgr, eventBus) {
+      await createMedallionSchema(db);
+      database.medallion = createMedallionManager(db, eventBus);
+      database.config = createConfigSchemaManager(db, eventBus);
+      database.isReady = true;
+    },
+    executeQuery: (query, params) => db.exec(query, params),
+    exportDatabase: () => db.export(),
+  };
+  return database;
+}
+
+// Round-trips every message through JSON like a runtime port
+function toWire(message) {
+  return decodeEngineMessage(
+    JSON.parse(JSON.stringify(encodeEngineMessage(message)))
+  );
+}
+
+describe("Database Engine", () => {
+  let SQL;
+  let engines;
+
+  beforeAll(async () => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    engines = [];
+  });
+
+  afterEach(() => {
+    engines.forEach((engine) => {
+      engine.close();
+      engine.database.db.close();
+    });
+  });
+
+  function connectTo(sent) {
+    return async ({ onMessage, onDisconnect }) => {
+      const engine = new DatabaseEngine({ database: createDatabase(SQL) });
+      engine.onEvent = (event, data) => onMessage(toWire({ event, data }));
+      engines.push(engine);
+
+      return {
+        send: (message) => {
+          sent.push(message);
+          engine
+            .handleMessage(toWire(message))
+            .then((reply) => onMessage(toWire(reply)));
+        },
+        close: onDisconnect,
+      };
+    };
+  }
+
+  async function connect(eventBus = null) {
+    const sent = [];
+    const client = new DatabaseEngineClient({
+      eventBus,
+      connect: connectTo(sent),
+    });
+    await client.initialize();
+    return { client, sent };
+  }
+
+  const request = (id) => ({
+    id,
+    url: `https://api.example.com/items/${id}`,
+    method: "GET",
+    status: 200,
+    domain: "api.example.com",
+    timestamp: Date.now(),
+  });
+
+  it("should mirror the database surface as async calls", async () => {
+    const { client } = await connect();
+
+    expect(client.isReady).toBe(true);
+    expect(typeof client.executeQuery).toBe("function");
+    expect(typeof client.medallion.insertBronzeRequest).toBe("function");
+    expect(typeof client.config.setAppSetting).toBe("function");
+    expect(client.db.prepare).toBeUndefined();
+
+    await client.medallion.insertBronzeRequest(request("r1"), {
+      deferSilver: true,
+    });
+    const result = await client.db.exec("SELECT id FROM bronze_requests");
+    expect(result[0].values).toEqual([["r1"]]);
+  });
+
+  it("should batch calls made while a batch is in flight, in order", async () => {
+    const { client, sent } = await connect();
+    sent.length = 0;
+
+    const writes = ["a", "b", "c"].map((id) =>
+      client.medallion.insertBronzeRequest(request(id), { deferSilver: true })
+    );
+    const count = client.executeQuery("SELECT COUNT(*) FROM bronze_requests");
+    await Promise.all(writes);
+
+    // The read queued behind the writes sees all of them
+    expect((await count)[0].values[0][0]).toBe(3);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].calls.map((call) => call.method)).toEqual([
+      "medallion.insertBronzeRequest",
+      "medallion.insertBronzeRequest",
+      "medallion.insertBronzeRequest",
+      "executeQuery",
+    ]);
+  });
+
+  it("should fail single calls without failing the batch", async () => {
+    const { client } = await connect();
+
+    const [bad, unknown, good] = await Promise.allSettled([
+      client.executeQuery("SELECT * FROM missing_table"),
+      client.call("db.prepare", ["SELECT 1"]),
+      client.executeQuery("SELECT 1"),
+    ]);
+
+    expect(bad.reason).toBeInstanceOf(DatabaseError);
+    expect(bad.reason.message).toMatch(/missing_table/);
+    expect(unknown.reason.message).toBe("Unknown database method: db.prepare");
+    expect(good.value[0].values).toEqual([[1]]);
+  });
+
+  it("should carry bytes and engine events across the boundary", async () => {
+    const eventBus = { publish: jest.fn() };
+    const { client } = await connect(eventBus);
+
+    await client.config.setAppSetting("capture.enabled", false);
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      "config:setting:changed",
+      expect.objectContaining({ key: "capture.enabled", value: false })
+    );
+
+    const data = await client.exportDatabase();
+    expect(data).toBeInstanceOf(Uint8Array);
+    expect(new TextDecoder().decode(data.slice(0, 15))).toBe("SQLite format 3");
+  });
+
+  it("should reload the engine after the connection drops", async () => {
+    const { client, sent } = await connect();
+
+    client.transport.close();
+    sent.length = 0;
+    await client.executeQuery("SELECT 1");
+
+    expect(engines).toHaveLength(2);
+    expect(sent[0].calls.map((call) => call.method)).toEqual([
+      "initialize",
+      "executeQuery",
+    ]);
+  });
+
+  it("should keep capture redaction rules on both sides", async () => {
+    const { client } = await connect();
+
+    await client.medallion.setRedactionConfig({ enabled: true });
+
+    expect(client.medallion.redactionConfig).toEqual({ enabled: true });
+    expect(client.medallion.redactor.redactBody).toEqual(expect.any(Function));
+    expect(engines[0].database.medallion.redactionConfig).toEqual({
+      enabled: true,
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+import {
+  harEntryToBronze,
+  harHeadersToObject,
+  importHar,
+  parseHar,
+} from "../../background/import/har-importer";
+
+const har = {
+  log: {
+    version: "1.2",
+    creator: { name: "Charles Proxy", version: "4.6.4" },
+    pages: [
+      {
+        id: "page_1",
+        title: "https://shop.example.com/cart",
+        startedDateTime: "2024-03-01T10:00:00.000Z",
+      },
+    ],
+    entries: [
+      {
+        pageref: "page_1",
+        startedDateTime: "2024-03-01T10:00:01.000Z",
+        time: 180,
+        request: {
+          method: "POST",
+          url: "https://api.example.com/v1/cart?session=abc",
+          httpVersion: "HTTP/2",
+          headers: [
+            { name: ":authority", value: "api.example.com" },
+            { name: "Content-Type", value: "application/json" },
+            { name: "Authorization", value: "Bearer secret-token" },
+          ],
+          postData: { mimeType: "application/json", text: '{"sku":42}' },
+        },
+        response: {
+          status: 201,
+          statusText: "Created",
+          httpVersion: "HTTP/2",
+          headers: [
+            { name: "Set-Cookie", value: "a=1" },
+            { name: "Set-Cookie", value: "b=2" },
+          ],
+          content: {
+            size: 11,
+            mimeType: "application/json",
+            text: Buffer.from('{"ok":true}').toString("base64"),
+            encoding: "base64",
+          },
+          bodySize: 11,
+          _transferSize: 320,
+        },
+        cache: {},
+        timings: {
+          blocked: 5,
+          dns: 10,
+          connect: 40,
+          ssl: 25,
+          send: 1,
+          wait: 90,
+          receive: 9,
+        },
+        _resourceType: "fetch",
+      },
+      {
+        startedDateTime: "2024-03-02T08:00:00.000Z",
+        time: 50,
+        request: {
+          method: "GET",
+          url: "https://cdn.example.com/logo.png",
+          headers: [{ name: "Referer", value: "https://shop.example.com/" }],
+        },
+        response: {
+          status: 200,
+          headers: [],
+          content: { size: 2048, mimeType: "image/png", text: "iVBORw0KGgo=" },
+        },
+        timings: { send: 0, wait: 30, receive: 20 },
+      },
+      { request: { method: "GET", url: "not a url" }, response: {} },
+    ],
+  },
+};
+
+beforeAll(() => {
+  global.TextDecoder = TextDecoder;
+  global.TextEncoder = TextEncoder;
+});
+
+describe("HAR import", () => {
+  it("should reject files that are not HAR", () => {
+    expect(() => parseHar("{")).toThrow("File is not valid JSON");
+    expect(() => parseHar({ log: {} })).toThrow("missing log.entries");
+    expect(parseHar(`\uFEFF${JSON.stringify(har)}`).entries).toHaveLength(3);
+  });
+
+  it("should join repeated headers and drop HTTP/2 pseudo-headers", () => {
+    expect(
+      harHeadersToObject([
+        { name: ":method", value: "GET" },
+        { name: "Accept", value: "text/html" },
+        { name: "accept", value: "*/*" },
+        { name: "Set-Cookie", value: "a=1" },
+        { name: "set-cookie", value: "b=2" },
+      ])
+    ).toEqual({ accept: "text/html, */*", "set-cookie": "a=1\nb=2" });
+  });
+
+  it("should map entries to Bronze requests under their page", () => {
+    const pageUrls = new Map([["page_1", "https://shop.example.com/cart"]]);
+    const { request, timing } = harEntryToBronze(har.log.entries[0], {
+      importId: "imp1",
+      index: 0,
+      pageUrls,
+    });
+
+    expect(request).toMatchObject({
+      id: "har_imp1_0",
+      importId: "imp1",
+      method: "POST",
+      type: "fetch",
+      status: 201,
+      domain: "shop.example.com",
+      path: "/v1/cart",
+      queryString: "session=abc",
+      pageUrl: "https://shop.example.com/cart",
+      duration: 180,
+      sizeBytes: 320,
+      timestamp: Date.parse("2024-03-01T10:00:01.000Z"),
+      requestBody: '{"sku":42}',
+      responseBody: '{"ok":true}',
+    });
+    expect(timing.source).toBe("har-import");
+    expect(timing.phases).toEqual({
+      queued: 5,
+      dns: 10,
+      tcp: 15,
+      ssl: 25,
+      waiting: 91,
+      download: 9,
+    });
+
+    const image = harEntryToBronze(har.log.entries[1], {
+      importId: "imp1",
+      index: 1,
+      pageUrls,
+    }).request;
+    expect(image).toMatchObject({
+      type: "image",
+      domain: "shop.example.com",
+      pageUrl: "https://shop.example.com/",
+      responseBody: null,
+    });
+  });
+
+  it("should store requests, headers and timings tagged with the import", async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    await createMedallionSchema(db);
+    const medallion = createMedallionManager(db);
+
+    const result = await importHar(medallion, JSON.stringify(har), {
+      filename: "checkout.har",
+      importId: "imp1",
+    });
+
+    expect(result).toMatchObject({
+      importId: "imp1",
+      creator: "Charles Proxy 4.6.4",
+      entryCount: 3,
+      importedCount: 2,
+      skippedCount: 1,
+      requestIds: ["har_imp1_0", "har_imp1_1"],
+    });
+
+    const rows = (sql) => {
+      const [res] = db.exec(sql);
+      return res ? res.values : [];
+    };
+
+    expect(
+      rows(`SELECT id, import_id FROM bronze_requests ORDER BY id`)
+    ).toEqual([
+      ["har_imp1_0", "imp1"],
+      ["har_imp1_1", "imp1"],
+    ]);
+    // Credentials are masked like live captures
+    expect(
+      rows(
+        `SELECT value FROM bronze_request_headers WHERE name = 'authorization'`
+      )[0][0]
+    ).not.toContain("secret-token");
+    expect(
+      rows(
+        `SELECT timing_source, ssl_duration FROM bronze_request_timings WHERE request_id = 'har_imp1_0'`
+      )
+    ).toEqual([["har-import", 25]]);
+    expect(rows(`SELECT COUNT(*) FROM silver_requests`)).toEqual([[2]]);
+    expect(
+      rows(`SELECT id, filename, imported_count FROM bronze_imports`)
+    ).toEqual([["imp1", "checkout.har", 2]]);
+    db.close();
+  });
+});
@@ -0,0 +1,297 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import {
+  PersistenceJournal,
+  isWriteStatement,
+} from "../../background/database/persistence-journal";
+import { DatabaseError } from "../../background/errors/error-types";
+
+const FILE_NAME = "test.sqlite";
+
+// In-memory stand-in for an OPFS directory handle
+function createDirectory() {
+  const files = new Map();
+  const directory = {
+    files,
+    failWrites: false,
+    async getFileHandle(name, options = {}) {
+      if (!files.has(name)) {
+        if (!options.create) {
+          const error = new Error(`${name} not found`);
+          error.name = "NotFoundError";
+          throw error;
+        }
+        files.set(name, { data: new Uint8Array(), lastModified: Date.now() });
+      }
+      return {
+        async getFile() {
+          const { data, lastModified } = files.get(name);
+          return {
+            size: data.length,
+            lastModified,
+            arrayBuffer: async () => data.slice().buffer,
+            text: async () => new TextDecoder().decode(data),
+          };
+        },
+        async createWritable() {
+          let written = null;
+          return {
+            async write(data) {
+              if (directory.failWrites) throw new Error("Disk full");
+              written =
+                typeof data === "string"
+                  ? new TextEncoder().encode(data)
+                  : new Uint8Array(data);
+            },
+            async close() {
+              files.set(name, { data: written, lastModified: Date.now() });
+            },
+            async abort() {},
+          };
+        },
+      };
+    },
+    async removeEntry(name) {
+      files.delete(name);
+    },
+    async *keys() {
+      yield* [...files.keys()];
+    },
+  };
+  return directory;
+}
+
+function segmentNames(directory) {
+  return [...directory.files.keys()].filter((name) =>
+    name.includes(".journal-")
+  );
+}
+
+describe("Persistence Journal", () => {
+  let SQL;
+
+  beforeAll(async () => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+    SQL = await initSqlJs();
+  });
+
+  async function open(directory, limits) {
+    const journal = new PersistenceJournal({
+      fileName: FILE_NAME,
+      getDirectory: async () => directory,
+      limits,
+    });
+    const db = await journal.load(SQL);
+    journal.attach(db);
+    return { journal, db };
+  }
+
+  function count(db) {
+    return db.exec("SELECT COUNT(*) FROM items")[0].values[0][0];
+  }
+
+  it("should only journal statements that can change data", () => {
+    expect(isWriteStatement("INSERT INTO items VALUES (1)")).toBe(true);
+    expect(isWriteStatement("  -- note\n  DELETE FROM items")).toBe(true);
+    expect(isWriteStatement("PRAGMA user_version = 3")).toBe(true);
+    expect(isWriteStatement("WITH x AS (SELECT 1) SELECT * FROM x")).toBe(true);
+
+    expect(isWriteStatement("SELECT * FROM items")).toBe(false);
+    expect(isWriteStatement("/* count */ select count(*) from items")).toBe(
+      false
+    );
+    expect(isWriteStatement("PRAGMA table_info(items)")).toBe(false);
+    expect(isWriteStatement("VACUUM")).toBe(false);
+    expect(isWriteStatement("")).toBe(false);
+  });
+
+  it("should restore writes by replaying journal segments", async () => {
+    const directory = createDirectory();
+    const { journal, db } = await open(directory);
+
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)");
+    db.run("INSERT INTO items (name) VALUES (?)", ["first"]);
+    const statement = db.prepare("INSERT INTO items (name) VALUES (?)");
+    statement.run(["second"]);
+    statement.free();
+    db.exec("SELECT * FROM items");
+    expect(journal.getStats().pendingStatements).toBe(3);
+
+    expect(await journal.flush()).toBe(true);
+    expect(await journal.flush()).toBe(false);
+    db.exec("UPDATE items SET name = 'third' WHERE id = 2");
+    await journal.flush();
+
+    // Nothing but the journal was written
+    expect(directory.files.has(FILE_NAME)).toBe(false);
+    expect(segmentNames(directory)).toHaveLength(2);
+    db.close();
+
+    const reopened = await open(directory);
+    expect(reopened.db.exec("SELECT name FROM items ORDER BY id")[0]).toEqual({
+      columns: ["name"],
+      values: [["first"], ["third"]],
+    });
+    expect(reopened.journal.getStats()).toMatchObject({
+      replayedStatements: 4,
+      replayFailures: 0,
+      journalSegments: 2,
+    });
+    reopened.db.close();
+  });
+
+  it("should replay parameterised exec() writes with their parameters", async () => {
+    const directory = createDirectory();
+    const { journal, db } = await open(directory);
+
+    // ConfigSchemaManager writes settings this way
+    db.exec("CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT)");
+    db.exec("INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)", [
+      "theme",
+      "dark",
+    ]);
+    db.exec("UPDATE settings SET value = :value WHERE key = :key", {
+      ":key": "theme",
+      ":value": "light",
+    });
+    await journal.flush();
+    db.close();
+
+    const reopened = await open(directory);
+    expect(reopened.db.exec("SELECT key, value FROM settings")[0].values).toEqual(
+      [["theme", "light"]]
+    );
+    expect(reopened.journal.getStats()).toMatchObject({
+      replayedStatements: 3,
+      replayFailures: 0,
+    });
+    reopened.db.close();
+  });
+
+  it("should not journal statements that fail", async () => {
+    const directory = createDirectory();
+    const { journal, db } = await open(directory);
+
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT UNIQUE)");
+    db.exec("INSERT INTO items (name) VALUES ('a')");
+    expect(() => db.exec("INSERT INTO items (name) VALUES ('a')")).toThrow();
+    expect(() =>
+      db.run("INSERT INTO items (name) VALUES (?)", ["a"])
+    ).toThrow();
+    const statement = db.prepare("INSERT INTO items (name) VALUES (?)");
+    expect(() => statement.run(["a"])).toThrow();
+    statement.run(["b"]);
+    statement.free();
+    expect(journal.getStats().pendingStatements).toBe(3);
+    await journal.flush();
+    expect(directory.files.has(FILE_NAME)).toBe(false);
+
+    // The first statement of a failed batch stays applied, so the snapshot
+    // is rewritten rather than replaying the batch
+    expect(() =>
+      db.exec(
+        "INSERT INTO items (name) VALUES ('c'); INSERT INTO items (name) VALUES ('a')"
+      )
+    ).toThrow();
+    await journal.flush();
+    expect(directory.files.has(FILE_NAME)).toBe(true);
+    expect(segmentNames(directory)).toHaveLength(0);
+    db.close();
+
+    const reopened = await open(directory);
+    expect(
+      reopened.db.exec("SELECT name FROM items ORDER BY id")[0].values
+    ).toEqual([["a"], ["b"], ["c"]]);
+    expect(reopened.journal.getStats().replayFailures).toBe(0);
+    reopened.db.close();
+  });
+
+  it("should compact into the snapshot and never replay compacted segments", async () => {
+    const directory = createDirectory();
+    const { journal, db } = await open(directory);
+
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)");
+    db.exec("INSERT INTO items (name) VALUES ('a')");
+    await journal.flush();
+    const compactedSegments = new Map(
+      segmentNames(directory).map((name) => [name, directory.files.get(name)])
+    );
+
+    // Pending statements go straight into the snapshot
+    db.exec("INSERT INTO items (name) VALUES ('b')");
+    await journal.compact();
+    expect(segmentNames(directory)).toHaveLength(0);
+    expect(journal.getStats()).toMatchObject({
+      compactionCount: 1,
+      pendingStatements: 0,
+    });
+
+    db.exec("INSERT INTO items (name) VALUES ('c')");
+    await journal.flush();
+    db.close();
+
+    // Segments left behind by a compaction interrupted before cleanup
+    compactedSegments.forEach((file, name) => directory.files.set(name, file));
+
+    const reopened = await open(directory);
+    expect(count(reopened.db)).toBe(3);
+    expect(segmentNames(directory)).toHaveLength(1);
+    reopened.db.close();
+  });
+
+  it("should compact once the journal passes its limits", async () => {
+    const directory = createDirectory();
+    const { journal, db } = await open(directory, { compactSegments: 3 });
+
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY)");
+    for (let i = 0; i < 3; i++) {
+      db.exec("INSERT INTO items DEFAULT VALUES");
+      await journal.flush();
+    }
+
+    expect(directory.files.has(FILE_NAME)).toBe(true);
+    expect(segmentNames(directory)).toHaveLength(0);
+    expect(journal.getStats()).toMatchObject({
+      flushCount: 3,
+      compactionCount: 1,
+      journalSegments: 0,
+    });
+    expect(journal.getStats().avgFlushMs).toEqual(expect.any(Number));
+    db.close();
+  });
+
+  it("should not compact inside an open transaction", async () => {
+    const directory = createDirectory();
+    const { journal, db } = await open(directory);
+
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY)");
+    db.exec("BEGIN");
+    db.exec("INSERT INTO items DEFAULT VALUES");
+    expect(await journal.compact()).toBe(false);
+    db.exec("COMMIT");
+
+    expect(count(db)).toBe(1);
+    expect(await journal.compact()).toBe(true);
+    db.close();
+  });
+
+  it("should keep pending statements when a segment write fails", async () => {
+    const directory = createDirectory();
+    const { journal, db } = await open(directory);
+
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY)");
+    directory.failWrites = true;
+    await expect(journal.flush()).rejects.toThrow(DatabaseError);
+    expect(journal.getStats().pendingStatements).toBe(1);
+
+    directory.failWrites = false;
+    db.exec("INSERT INTO items DEFAULT VALUES");
+    await journal.flush();
+    db.close();
+
+    const reopened = await open(directory);
+    expect(count(reopened.db)).toBe(1);
+    reopened.db.close();
+  });
+});
@@ -0,0 +1,213 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+import { createRedactor } from "../../background/capture/redaction";
+import { buildHar } from "../../background/export/har-export";
+import { importHar } from "../../background/import/har-importer";
+import { parseSetCookieHeader, toHarHttpVersion } from "../../lib/utils/har";
+
+describe("HAR export", () => {
+  let SQL;
+  let db;
+  let now;
+
+  beforeAll(async () => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    db = new SQL.Database();
+    await createMedallionSchema(db);
+    now = Date.now();
+
+    db.exec(`
+      INSERT INTO bronze_requests (id, url, method, type, status, status_text, domain, path, protocol, page_url, duration, size_bytes, from_cache, request_body, response_body, timestamp, created_at)
+      VALUES
+        ('doc', 'https://shop.example.com/cart', 'GET', 'main_frame', 200, 'OK', 'shop.example.com', '/cart', 'h2',
+          'https://shop.example.com/cart', 120, 5000, 0, NULL, '<html></html>', ${
+            now - 5000
+          }, ${now}),
+        ('api', 'https://api.example.com/v1/cart?token=abc123&page=2', 'POST', 'xmlhttprequest', 201, 'Created', 'shop.example.com', '/v1/cart', 'h2',
+          'https://shop.example.com/cart', 80, 320, 0, '{"sku":42,"password":"hunter2"}', '{"ok":true}', ${
+            now - 4000
+          }, ${now}),
+        ('other', 'https://blog.example.com/', 'GET', 'main_frame', 304, '', 'blog.example.com', '/', 'http/1.1',
+          'https://blog.example.com/', 15, 0, 1, NULL, NULL, ${
+            now - 3000
+          }, ${now}),
+        ('old', 'https://shop.example.com/old', 'GET', 'main_frame', 200, 'OK', 'shop.example.com', '/old', 'h2',
+          'https://shop.example.com/old', 10, 10, 0, NULL, NULL, ${
+            now - 3 * 86400000
+          }, ${now})
+    `);
+
+    db.exec(`
+      INSERT INTO bronze_request_headers (request_id, header_type, name, value, created_at)
+      VALUES
+        ('api', 'request', 'Content-Type', 'application/json', ${now}),
+        ('api', 'request', 'Cookie', 'session=s1; theme=dark', ${now}),
+        ('api', 'request', 'Authorization', 'Bearer secret-token', ${now}),
+        ('api', 'response', 'Content-Type', 'application/json; charset=utf-8', ${now}),
+        ('api', 'response', 'Set-Cookie', 'id=7; Path=/; Secure; HttpOnly', ${now})
+    `);
+
+    db.exec(`
+      INSERT INTO bronze_request_timings (request_id, queued_duration, dns_duration, tcp_duration, ssl_duration, request_duration, response_duration, encoded_size, decoded_size, timing_source, created_at)
+      VALUES ('api', 2, 5, 10, 8, 40, 15, 300, 11, 'resource-timing', ${now})
+    `);
+
+    db.exec(`
+      INSERT INTO bronze_web_vitals (id, page_url, domain, metric_name, value, rating, timestamp, created_at)
+      VALUES ('v1', 'https://shop.example.com/cart', 'shop.example.com', 'DCL', 850.5, 'good', ${now}, ${now}),
+             ('v2', 'https://shop.example.com/cart', 'shop.example.com', 'Load', 1400, 'good', ${now}, ${now})
+    `);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it("should group entries into pages with page timings", () => {
+    const { log } = buildHar(db, { timeRange: 86400 });
+
+    expect(log.version).toBe("1.2");
+    expect(log.creator.name).toBe("Universal Request Analyzer");
+    expect(log.pages).toEqual([
+      {
+        startedDateTime: new Date(now - 5000).toISOString(),
+        id: "page_1",
+        title: "https://shop.example.com/cart",
+        pageTimings: { onContentLoad: 850.5, onLoad: 1400 },
+      },
+      expect.objectContaining({
+        id: "page_2",
+        title: "https://blog.example.com/",
+        pageTimings: { onContentLoad: -1, onLoad: -1 },
+      }),
+    ]);
+    expect(log.entries.map((entry) => entry.pageref)).toEqual([
+      "page_1",
+      "page_1",
+      "page_2",
+    ]);
+
+    // Every entry has the fields HAR 1.2 requires
+    log.entries.forEach((entry) => {
+      expect(Object.keys(entry)).toEqual(
+        expect.arrayContaining([
+          "startedDateTime",
+          "time",
+          "request",
+          "response",
+          "cache",
+          "timings",
+        ])
+      );
+      expect(entry.response.content).toHaveProperty("mimeType");
+      ["send", "wait", "receive"].forEach((phase) => {
+        expect(entry.timings[phase]).toBeGreaterThanOrEqual(0);
+      });
+    });
+  });
+
+  it("should export measured timings, cookies and bodies", () => {
+    const { log } = buildHar(db, { domain: "shop.example.com" });
+    const entry = log.entries.find((candidate) =>
+      candidate.request.url.startsWith("https://api.example.com")
+    );
+
+    expect(entry.timings).toEqual({
+      blocked: 2,
+      dns: 5,
+      connect: 18,
+      ssl: 8,
+      send: 0,
+      wait: 40,
+      receive: 15,
+    });
+    expect(entry.time).toBe(80);
+    expect(entry.request).toMatchObject({
+      method: "POST",
+      httpVersion: "HTTP/2",
+      cookies: [
+        { name: "session", value: "s1" },
+        { name: "theme", value: "dark" },
+      ],
+      queryString: [
+        { name: "token", value: "abc123" },
+        { name: "page", value: "2" },
+      ],
+      postData: {
+        mimeType: "application/json",
+        text: '{"sku":42,"password":"hunter2"}',
+      },
+    });
+    expect(entry.response).toMatchObject({
+      status: 201,
+      cookies: [{ name: "id", value: "7", path: "/", secure: true }],
+      content: {
+        size: 11,
+        mimeType: "application/json; charset=utf-8",
+        text: '{"ok":true}',
+      },
+      bodySize: 300,
+    });
+    expect(entry._resourceType).toBe("xhr");
+
+    // Unmeasured requests report the duration as wait time
+    expect(log.entries[0].timings).toMatchObject({ dns: -1, wait: 120 });
+  });
+
+  it("should apply the redaction rules when requested", () => {
+    const { log } = buildHar(
+      db,
+      { domain: "shop.example.com" },
+      { redactor: createRedactor() }
+    );
+    const har = JSON.stringify(log);
+
+    expect(har).not.toContain("secret-token");
+    expect(har).not.toContain("hunter2");
+    expect(har).not.toContain("abc123");
+    expect(har).toContain("[REDACTED]");
+  });
+
+  it("should round-trip through the HAR importer", async () => {
+    const har = buildHar(db, { timeRange: 86400 });
+
+    const target = new SQL.Database();
+    await createMedallionSchema(target);
+    const result = await importHar(createMedallionManager(target), har, {
+      importId: "rt",
+    });
+
+    expect(result).toMatchObject({ importedCount: 3, skippedCount: 0 });
+    const [timing] = target.exec(
+      `SELECT t.ssl_duration, t.response_duration FROM bronze_request_timings t
+       JOIN bronze_requests r ON r.id = t.request_id
+       WHERE r.url LIKE 'https://api.example.com/%'`
+    );
+    expect(timing.values).toEqual([[8, 15]]);
+    target.close();
+  });
+
+  it("should parse Set-Cookie attributes and protocol names", () => {
+    expect(
+      parseSetCookieHeader(
+        "a=b=c; Domain=.example.com; Expires=Wed, 21 Oct 2026 07:28:00 GMT"
+      )
+    ).toEqual({
+      name: "a",
+      value: "b=c",
+      domain: ".example.com",
+      expires: "2026-10-21T07:28:00.000Z",
+    });
+    expect(parseSetCookieHeader("invalid")).toBeNull();
+    expect(toHarHttpVersion("h2")).toBe("HTTP/2");
+    expect(toHarHttpVersion("h3-29")).toBe("HTTP/3");
+    expect(toHarHttpVersion(null)).toBe("HTTP/1.1");
+  });
+});
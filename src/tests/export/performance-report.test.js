@@ -0,0 +1,138 @@
+import initSqlJs from "sql.js";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { buildReportData } from "../../background/messaging/handlers/report-handlers";
+import {
+  buildReportDocument,
+  getReportFilename,
+  renderReportHtml,
+} from "../../report/js/report-renderer";
+
+describe("Performance Report", () => {
+  let db;
+
+  beforeEach(async () => {
+    const SQL = await initSqlJs();
+    db = new SQL.Database();
+    await createMedallionSchema(db);
+
+    const now = Date.now();
+    const insertRequest = (id, domain, path, status, duration, extra = {}) => {
+      db.exec(`
+        INSERT INTO bronze_requests (id, url, method, type, status, domain, path, page_url, duration, size_bytes, from_cache, error, timestamp, created_at)
+        VALUES ('${id}', 'https://${domain}${path}?v=${id}', 'GET', 'fetch', ${status}, '${domain}', '${path}',
+          'https://${domain}/', ${duration}, 1000, ${extra.cached ? 1 : 0},
+          ${extra.error ? `'${extra.error}'` : "NULL"}, ${
+        now - (extra.ago || 1000)
+      }, ${now})
+      `);
+    };
+
+    insertRequest("r1", "a.com", "/api/slow", 200, 900, { cached: true });
+    insertRequest("r2", "a.com", "/api/slow", 500, 1100);
+    insertRequest("r3", "a.com", "/api/fast", 200, 50);
+    insertRequest("r4", "a.com", "/api/fast", 0, 30, {
+      error: "net::ERR_FAILED",
+    });
+    insertRequest("r5", "b.com", "/api/other", 200, 5000);
+    insertRequest("r6", "a.com", "/api/old", 404, 10, { ago: 3 * 86400000 });
+
+    db.exec(`
+      INSERT INTO bronze_web_vitals (id, page_url, domain, metric_name, value, rating, timestamp, created_at)
+      VALUES ('v1', 'https://a.com/', 'a.com', 'LCP', 1800, 'good', ${now}, ${now}),
+             ('v2', 'https://a.com/', 'a.com', 'LCP', 3000, 'needs-improvement', ${now}, ${now}),
+             ('v3', 'https://a.com/', 'a.com', 'INP', 650, 'poor', ${now}, ${now}),
+             ('v4', 'https://b.com/', 'b.com', 'LCP', 9000, 'poor', ${now}, ${now})
+    `);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it("should summarize the selected domain and time range", () => {
+    const report = buildReportData(db, { domain: "a.com", timeRange: 86400 });
+
+    expect(report.summary).toMatchObject({
+      totalRequests: 4,
+      errors: 2,
+      errorRate: 50,
+      totalBytes: 4000,
+      cacheHitRate: 25,
+    });
+    expect(report.slowEndpoints[0]).toMatchObject({
+      endpoint: "/api/slow",
+      requests: 2,
+      avgDuration: 1000,
+      p95: 1100,
+      errors: 1,
+    });
+    expect(report.errors.byStatus).toEqual([
+      { status: "500", count: 1 },
+      { status: "Network", count: 1 },
+    ]);
+    expect(report.webVitals).toEqual([
+      expect.objectContaining({
+        metric: "LCP",
+        p75: 3000,
+        rating: "needs-improvement",
+        samples: 2,
+        goodSamples: 1,
+      }),
+      expect.objectContaining({ metric: "INP", p75: 650, rating: "poor" }),
+    ]);
+    expect(report.timeline.bucketMs).toBe(3600 * 1000);
+    expect(
+      report.timeline.buckets.reduce((sum, bucket) => sum + bucket.requests, 0)
+    ).toBe(4);
+  });
+
+  it("should render a self-contained, escaped HTML report", () => {
+    const report = buildReportData(db, { domain: "a.com", timeRange: 86400 });
+    report.errors.byEndpoint[0].lastError = "<script>alert(1)</script>";
+
+    const body = renderReportHtml(
+      {
+        report,
+        percentiles: {
+          p50: 50,
+          p75: 900,
+          p90: 1100,
+          p95: 1100,
+          p99: 1100,
+          min: 30,
+          max: 1100,
+          count: 4,
+        },
+        trends: {
+          requestsChange: "33.33",
+          durationChange: -10,
+          compareType: "week",
+        },
+        insights: [
+          {
+            severity: "high",
+            message: "fetch requests averaging 1020ms",
+            recommendation: "Cache responses",
+          },
+        ],
+      },
+      { charts: { timeline: "data:image/png;base64,AAAA" } }
+    );
+
+    expect(body).toContain("Performance Report - a.com");
+    expect(body).toContain("33.3% week over week");
+    expect(body).toContain('<img src="data:image/png;base64,AAAA"');
+    expect(body).toContain("&lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(body).not.toContain("<script>");
+    expect(body).toContain("fetch requests averaging 1020ms");
+
+    const html = buildReportDocument("Report", body);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain("@media print");
+    expect(html).not.toMatch(/<link|<script/);
+
+    expect(getReportFilename(report)).toMatch(
+      /^URA_Report_a\.com_\d{4}-\d{2}-\d{2}\.html$/
+    );
+  });
+});
@@ -0,0 +1,187 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import {
+  buildExportSheets,
+  EXPORT_ROW_LIMIT,
+} from "../../background/export/filtered-export";
+import {
+  columnName,
+  createXlsxWorkbook,
+  toExcelDate,
+} from "../../background/export/xlsx-writer";
+
+// Read the stored (uncompressed) entries of a ZIP archive
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decoder.decode(
+      bytes.subarray(offset + 30, offset + 30 + nameLength)
+    );
+    const start = offset + 30 + nameLength;
+    files[name] = decoder.decode(bytes.subarray(start, start + size));
+    offset = start + size;
+  }
+
+  return files;
+}
+
+beforeAll(() => {
+  global.TextEncoder = TextEncoder;
+});
+
+describe("XLSX Export", () => {
+  it("should name columns like Excel", () => {
+    expect(columnName(0)).toBe("A");
+    expect(columnName(25)).toBe("Z");
+    expect(columnName(27)).toBe("AB");
+    expect(columnName(702)).toBe("AAA");
+  });
+
+  it("should write typed cells, frozen headers and autofilters", () => {
+    const timestamp = Date.UTC(2024, 0, 15, 12, 30);
+    const files = unzip(
+      createXlsxWorkbook([
+        {
+          name: "Requests",
+          columns: [
+            { key: "timestamp", header: "Time", type: "date" },
+            { key: "url", header: "URL", type: "string" },
+            { key: "status", header: "Status", type: "number" },
+            { key: "cached", header: "Cached", type: "boolean" },
+          ],
+          rows: [
+            {
+              timestamp,
+              url: "https://a.com/?q=<b>&x=1",
+              status: 200,
+              cached: 1,
+            },
+            { timestamp: null, url: "https://a.com/\u00002\u0007\t", status: null },
+          ],
+        },
+        { name: "Web Vitals", columns: [], rows: [] },
+      ])
+    );
+
+    expect(Object.keys(files)).toEqual([
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+      "xl/worksheets/sheet1.xml",
+      "xl/worksheets/sheet2.xml",
+    ]);
+
+    const sheet = files["xl/worksheets/sheet1.xml"];
+    expect(sheet).toContain('state="frozen"');
+    expect(sheet).toContain('<autoFilter ref="A1:D3"/>');
+    expect(sheet).toContain(
+      `<c r="A2" s="1"><v>${toExcelDate(timestamp)}</v></c>`
+    );
+    expect(sheet).toContain("https://a.com/?q=&lt;b&gt;&amp;x=1");
+    expect(sheet).toContain('<c r="C2"><v>200</v></c>');
+    expect(sheet).toContain('<c r="D2" t="b"><v>1</v></c>');
+    expect(sheet).not.toContain('r="C3"');
+    // XML 1.0 only allows tab, LF and CR among control characters
+    expect(sheet).toContain("https://a.com/2\t");
+    expect(sheet).not.toContain("\u0000");
+    expect(sheet).not.toContain("\u0007");
+
+    const workbook = files["xl/workbook.xml"];
+    expect(workbook).toContain('<sheet name="Web Vitals" sheetId="2"');
+    expect(workbook).toContain("'Requests'!$A$1:$D$3");
+  });
+
+  it("should convert dates to Excel serial dates", () => {
+    const date = new Date(2024, 0, 1, 6, 0, 0);
+    expect(toExcelDate(date)).toBeCloseTo(45292.25, 6);
+    expect(toExcelDate("not a date")).toBeNull();
+  });
+
+  it("should apply export filters to every sheet", async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    await createMedallionSchema(db);
+
+    const now = Date.now();
+    const insertRequest = (id, domain, status, ago) => {
+      db.exec(`
+        INSERT INTO bronze_requests (id, url, method, type, status, domain, page_url, duration, size_bytes, timestamp, created_at)
+        VALUES ('${id}', 'https://${domain}/${id}', 'GET', 'fetch', ${status}, '${domain}',
+          'https://${domain}/', 120, 500, ${now - ago}, ${now})
+      `);
+      db.exec(`
+        INSERT INTO bronze_request_headers (request_id, header_type, name, value, created_at)
+        VALUES ('${id}', 'response', 'content-type', 'application/json', ${now})
+      `);
+    };
+
+    insertRequest("r1", "a.com", 200, 1000);
+    insertRequest("r2", "a.com", 500, 2000);
+    insertRequest("r3", "b.com", 200, 1000);
+    insertRequest("r4", "a.com", 200, 2 * 60 * 60 * 1000);
+    db.exec(`
+      INSERT INTO bronze_web_vitals (id, page_url, domain, metric_name, value, rating, timestamp, created_at)
+      VALUES ('v1', 'https://a.com/', 'a.com', 'LCP', 1800, 'good', ${now}, ${now}),
+             ('v2', 'https://b.com/', 'b.com', 'LCP', 4200, 'poor', ${now}, ${now})
+    `);
+
+    const sheets = buildExportSheets(db, { domain: "a.com", timeRange: 3600 });
+    const byName = Object.fromEntries(
+      sheets.map((sheet) => [sheet.name, sheet.rows])
+    );
+
+    expect(byName.Requests.map((row) => row.id)).toEqual(["r1", "r2"]);
+    expect(byName.Headers).toHaveLength(2);
+    expect(byName["Domain Stats"]).toEqual([
+      expect.objectContaining({
+        domain: "a.com",
+        request_count: 2,
+        error_count: 1,
+        error_rate: 50,
+      }),
+    ]);
+    expect(byName["Web Vitals"].map((row) => row.domain)).toEqual(["a.com"]);
+
+    const errorsOnly = buildExportSheets(db, { statusPrefix: "5xx" });
+    expect(errorsOnly[0].rows.map((row) => row.id)).toEqual(["r2"]);
+    db.close();
+  });
+
+  it("should flag sheets cut off at the row limit", async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    await createMedallionSchema(db);
+
+    const now = Date.now();
+    db.exec(`
+      WITH RECURSIVE n(i) AS (
+        SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i <= ${EXPORT_ROW_LIMIT}
+      )
+      INSERT INTO bronze_requests (id, url, method, type, status, domain, timestamp, created_at)
+      SELECT 'r' || i, 'https://a.com/' || i, 'GET', 'fetch', 200, 'a.com', ${now} - i, ${now}
+      FROM n
+    `);
+
+    const sheets = buildExportSheets(db, { domain: "a.com" });
+    const requests = sheets.find((sheet) => sheet.name === "Requests");
+    expect(requests.rows).toHaveLength(EXPORT_ROW_LIMIT);
+    expect(requests.truncated).toBe(true);
+    expect(
+      sheets.find((sheet) => sheet.name === "Domain Stats").rows[0]
+        .request_count
+    ).toBe(EXPORT_ROW_LIMIT + 1);
+    expect(sheets.find((sheet) => sheet.name === "Headers").truncated).toBe(
+      false
+    );
+    db.close();
+  });
+});
@@ -0,0 +1,151 @@
+import initSqlJs from "sql.js";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import {
+  AlertEvaluator,
+  isRuleBreached,
+} from "../../background/monitoring/alert-evaluator";
+
+const MINUTE = 60 * 1000;
+
+describe("Alert Evaluator", () => {
+  let db;
+  let eventBus;
+  let evaluator;
+  const now = Date.now();
+
+  const insertRequest = (id, { status = 200, duration = 100, ago = 0 }) => {
+    db.exec(`
+      INSERT INTO bronze_requests (id, url, method, status, domain, duration, timestamp, created_at)
+      VALUES ('${id}', 'https://a.com/${id}', 'GET', ${status}, 'a.com', ${duration}, ${
+      now - ago
+    }, ${now})
+    `);
+  };
+
+  const insertRule = (rule) => {
+    db.exec(`
+      INSERT INTO alert_rules (name, metric, condition, threshold, domain, enabled,
+        window_minutes, cooldown_minutes, min_samples, created_at)
+      VALUES ('${rule.name}', '${rule.metric}', '${rule.condition}', ${
+      rule.threshold
+    }, ${rule.domain ? `'${rule.domain}'` : "NULL"}, 1, 5, 15, ${
+      rule.minSamples || 1
+    }, ${now})
+    `);
+  };
+
+  beforeEach(async () => {
+    const SQL = await initSqlJs();
+    db = new SQL.Database();
+    await createMedallionSchema(db);
+    eventBus = { publish: jest.fn(), subscribe: jest.fn() };
+    evaluator = new AlertEvaluator(db, eventBus);
+  });
+
+  it("should compare values using the rule condition", () => {
+    expect(isRuleBreached({ condition: "gt", threshold: 5 }, 6)).toBe(true);
+    expect(isRuleBreached({ condition: "lt", threshold: 5 }, 6)).toBe(false);
+    expect(isRuleBreached({ condition: "gt", threshold: 5 }, null)).toBe(false);
+  });
+
+  it("should fire error rate alerts and record history", async () => {
+    insertRequest("r1", { status: 500 });
+    insertRequest("r2", { status: 200 });
+    insertRule({
+      name: "Errors",
+      metric: "errorRate",
+      condition: "gt",
+      threshold: 10,
+    });
+
+    const fired = await evaluator.evaluateRules(now);
+
+    expect(fired).toHaveLength(1);
+    expect(fired[0].value).toBe(50);
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      "alert:triggered",
+      expect.objectContaining({ ruleName: "Errors" })
+    );
+    const history = db.exec("SELECT rule_name, value FROM alert_history");
+    expect(history[0].values).toEqual([["Errors", 50]]);
+  });
+
+  it("should only look at the rolling window", async () => {
+    insertRequest("old", { status: 500, ago: 10 * MINUTE });
+    insertRequest("new", { status: 200 });
+    insertRule({
+      name: "Errors",
+      metric: "errorRate",
+      condition: "gt",
+      threshold: 10,
+    });
+
+    expect(await evaluator.evaluateRules(now)).toHaveLength(0);
+  });
+
+  it("should compute p95 duration", () => {
+    for (let i = 1; i <= 20; i++) {
+      insertRequest(`r${i}`, { duration: i * 10 });
+    }
+
+    const { value, sampleCount } = evaluator.computeMetric(
+      "p95Duration",
+      now - 5 * MINUTE
+    );
+    expect(sampleCount).toBe(20);
+    expect(value).toBe(190);
+  });
+
+  it("should respect minimum samples", async () => {
+    insertRequest("r1", { duration: 5000 });
+    insertRule({
+      name: "Slow",
+      metric: "avgDuration",
+      condition: "gt",
+      threshold: 1000,
+      minSamples: 5,
+    });
+
+    expect(await evaluator.evaluateRules(now)).toHaveLength(0);
+  });
+
+  it("should not fire again during the cooldown", async () => {
+    insertRequest("r1", { status: 500 });
+    insertRule({
+      name: "Errors",
+      metric: "errorRate",
+      condition: "gt",
+      threshold: 10,
+    });
+
+    expect(await evaluator.evaluateRules(now)).toHaveLength(1);
+    expect(await evaluator.evaluateRules(now + MINUTE)).toHaveLength(0);
+  });
+
+  it("should restore cooldowns from alert history", async () => {
+    insertRequest("r1", { status: 500 });
+    insertRule({
+      name: "Errors",
+      metric: "errorRate",
+      condition: "gt",
+      threshold: 10,
+    });
+    await evaluator.evaluateRules(now);
+
+    const restarted = new AlertEvaluator(db, eventBus);
+    restarted.loadLastFired();
+    expect(await restarted.evaluateRules(now + MINUTE)).toHaveLength(0);
+  });
+
+  it("should evaluate web vitals at p75", () => {
+    [1000, 2000, 3000, 4000].forEach((value, i) => {
+      db.exec(`
+        INSERT INTO bronze_web_vitals (id, page_url, domain, metric_name, value, timestamp, created_at)
+        VALUES ('v${i}', 'https://a.com', 'a.com', 'LCP', ${value}, ${now}, ${now})
+      `);
+    });
+
+    const { value } = evaluator.computeMetric("lcp", now - MINUTE, "a.com");
+    expect(value).toBe(3000);
+  });
+});
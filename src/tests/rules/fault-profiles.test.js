@@ -0,0 +1,292 @@
+import initSqlJs from "sql.js";
+import { TextDecoder, TextEncoder } from "util";
+import {
+  FAULT_RULE_ID_BASE,
+  FAULT_RULE_PRIORITY,
+  findActiveProfile,
+  toFaultRules,
+  validateFaultProfile,
+} from "../../background/rules/fault-profiles";
+import faultInjectionManager from "../../background/rules/fault-injection-manager";
+import requestRulesManager from "../../background/rules/request-rules-manager";
+import {
+  declarativeNetRequest,
+  storage,
+} from "../../background/compat/browser-compat";
+import { createMedallionSchema } from "../../background/database/medallion-schema";
+import { createMedallionManager } from "../../background/database/medallion-manager";
+import { analyticsHandlers } from "../../background/messaging/handlers/analytics-handlers";
+
+const mockFlags = { requestMocking: true, requestModification: true };
+jest.mock("../../config/feature-flags", () => ({
+  __esModule: true,
+  default: { loadStoredFlags: jest.fn(async () => ({ ...mockFlags })) },
+}));
+
+jest.mock("../../background/compat/browser-compat", () => {
+  const stored = {};
+  let sessionRules = [];
+  return {
+    storage: {
+      get: jest.fn(async (keys) =>
+        Object.fromEntries(keys.map((key) => [key, stored[key]]))
+      ),
+      set: jest.fn(async (items) => Object.assign(stored, items)),
+      onChanged: { addListener: jest.fn() },
+    },
+    tabs: {
+      query: jest.fn(async () => [{ id: 7 }]),
+      onRemoved: { addListener: jest.fn() },
+    },
+    declarativeNetRequest: {
+      getDynamicRules: jest.fn(async () => []),
+      updateDynamicRules: jest.fn(async () => {}),
+      getSessionRules: jest.fn(async () => sessionRules),
+      updateSessionRules: jest.fn(async ({ removeRuleIds, addRules }) => {
+        sessionRules = [
+          ...sessionRules.filter((rule) => !removeRuleIds.includes(rule.id)),
+          ...addRules,
+        ];
+      }),
+      isRegexSupported: jest.fn(async () => ({ isSupported: true })),
+    },
+  };
+});
+
+describe("Fault Profiles", () => {
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+  });
+
+  const flakyApi = {
+    name: "Flaky API",
+    faults: [
+      { type: "status", status: "503", urlPattern: "||api.example.com" },
+      { type: "latency", delayMs: 2500, resourceTypes: ["fetch"] },
+      { type: "connectionFailure", urlPattern: "/upload" },
+      {
+        type: "stripHeaders",
+        requestHeaders: "Authorization",
+        responseHeaders: ["Cache-Control", "ETag"],
+      },
+    ],
+  };
+
+  it("should validate profiles", () => {
+    const profile = validateFaultProfile(flakyApi);
+
+    expect(profile.mockServerUrl).toBe("http://localhost:8080");
+    expect(profile.faults[0]).toEqual({
+      type: "status",
+      urlPattern: "||api.example.com",
+      resourceTypes: [],
+      status: 503,
+    });
+    expect(profile.faults[1].resourceTypes).toEqual(["xmlhttprequest"]);
+    expect(profile.faults[3].requestHeaders).toEqual(["Authorization"]);
+
+    expect(() =>
+      validateFaultProfile({
+        name: "x",
+        faults: [{ type: "status", status: 200 }],
+      })
+    ).toThrow("between 400 and 599");
+    expect(() =>
+      validateFaultProfile({
+        name: "x",
+        faults: [{ type: "latency", delayMs: 60000 }],
+      })
+    ).toThrow("latency must be between");
+    expect(() => validateFaultProfile({ name: "x", faults: [] })).toThrow(
+      "at least one fault"
+    );
+  });
+
+  it("should build session rules for a tab or domain", () => {
+    const profile = validateFaultProfile({
+      ...flakyApi,
+      mockServerUrl: "http://127.0.0.1:9000/",
+    });
+
+    const tabRules = toFaultRules(profile, { tabId: 7 }, FAULT_RULE_ID_BASE);
+    expect(tabRules.map((rule) => rule.id)).toEqual([
+      FAULT_RULE_ID_BASE,
+      FAULT_RULE_ID_BASE + 1,
+      FAULT_RULE_ID_BASE + 2,
+      FAULT_RULE_ID_BASE + 3,
+    ]);
+    expect(tabRules[0]).toEqual({
+      id: FAULT_RULE_ID_BASE,
+      priority: FAULT_RULE_PRIORITY,
+      condition: {
+        tabIds: [7],
+        urlFilter: "||api.example.com",
+        excludedRequestDomains: ["127.0.0.1"],
+      },
+      action: {
+        type: "redirect",
+        redirect: { url: "http://127.0.0.1:9000/status/503" },
+      },
+    });
+    expect(tabRules[1].action.redirect.url).toBe(
+      "http://127.0.0.1:9000/delay/2.5"
+    );
+    expect(tabRules[2].action).toEqual({ type: "block" });
+    expect(tabRules[3].action).toEqual({
+      type: "modifyHeaders",
+      requestHeaders: [{ header: "Authorization", operation: "remove" }],
+      responseHeaders: [
+        { header: "Cache-Control", operation: "remove" },
+        { header: "ETag", operation: "remove" },
+      ],
+    });
+
+    const [domainRule] = toFaultRules(
+      profile,
+      { domain: "shop.example.com" },
+      FAULT_RULE_ID_BASE
+    );
+    expect(domainRule.condition.initiatorDomains).toEqual(["shop.example.com"]);
+    expect(domainRule.condition.tabIds).toBeUndefined();
+  });
+
+  it("should prefer a tab activation over a domain activation", () => {
+    const state = {
+      profiles: [
+        { id: 1, name: "Slow" },
+        { id: 2, name: "Down" },
+      ],
+      activations: [
+        { profileId: 1, domain: "example.com" },
+        { profileId: 2, tabId: 7 },
+      ],
+    };
+
+    expect(findActiveProfile(state, 7, "example.com").name).toBe("Down");
+    expect(findActiveProfile(state, 8, "shop.example.com").name).toBe("Slow");
+    expect(findActiveProfile(state, 8, "notexample.com")).toBeNull();
+  });
+
+  it("should keep fault rules and request rules apart", async () => {
+    const profile = await faultInjectionManager.saveProfile(flakyApi);
+    await faultInjectionManager.activate(profile.id, { tabId: 7 });
+    await requestRulesManager.saveRule({
+      action: "block",
+      urlPattern: "||ads.example.com",
+      scope: "session",
+    });
+
+    let installed = await declarativeNetRequest.getSessionRules();
+    expect(installed.filter((r) => r.id >= FAULT_RULE_ID_BASE)).toHaveLength(4);
+    expect(installed.filter((r) => r.id < FAULT_RULE_ID_BASE)).toHaveLength(1);
+    expect(faultInjectionManager.getActiveProfile(7, "a.com").name).toBe(
+      "Flaky API"
+    );
+
+    await faultInjectionManager.deactivate({ tabId: 7 });
+    installed = await declarativeNetRequest.getSessionRules();
+    expect(installed.map((r) => r.id)).toEqual([1]);
+    expect(faultInjectionManager.getActiveProfile(7, "a.com")).toBeNull();
+  });
+
+  it("should drop tab activations after a browser restart", async () => {
+    const { profiles } = await faultInjectionManager.getState();
+    await faultInjectionManager.activate(profiles[0].id, { tabId: 7 });
+    await faultInjectionManager.activate(profiles[0].id, {
+      domain: "example.com",
+    });
+
+    // Session rules are gone after a restart
+    declarativeNetRequest.getSessionRules.mockResolvedValueOnce([]);
+    await faultInjectionManager.initialize();
+
+    const { activations } = await faultInjectionManager.getState();
+    expect(activations).toEqual([
+      expect.objectContaining({ domain: "example.com" }),
+    ]);
+  });
+
+  it("should switch faults off while request modification is off", async () => {
+    const faultRules = async () =>
+      (await declarativeNetRequest.getSessionRules()).filter(
+        (rule) => rule.id >= FAULT_RULE_ID_BASE
+      );
+    expect(await faultRules()).toHaveLength(4);
+
+    const [onFlagsChanged] = storage.onChanged.addListener.mock.calls.slice(
+      -1
+    )[0];
+    mockFlags.requestModification = false;
+    onFlagsChanged({ featureFlags: {} });
+    await faultInjectionManager.activeSync;
+
+    expect(await faultRules()).toEqual([]);
+    expect(faultInjectionManager.getActiveProfile(1, "example.com")).toBeNull();
+
+    mockFlags.requestModification = true;
+    onFlagsChanged({ featureFlags: {} });
+    await faultInjectionManager.activeSync;
+    expect(await faultRules()).toHaveLength(4);
+  });
+
+  it("should record and compare the active profile per request", async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    await createMedallionSchema(db);
+    const medallion = createMedallionManager(db);
+    const now = Date.now();
+
+    const requests = [
+      { id: "n1", status: 200, duration: 100 },
+      { id: "n2", status: 200, duration: 140 },
+      { id: "f1", status: 503, duration: 20, faultProfile: "Flaky API" },
+      {
+        id: "f2",
+        error: "net::ERR_BLOCKED_BY_CLIENT",
+        faultProfile: "Flaky API",
+      },
+    ];
+    for (const request of requests) {
+      await medallion.insertBronzeRequest(
+        {
+          url: `https://example.com/${request.id}`,
+          domain: "example.com",
+          timestamp: now,
+          ...request,
+        },
+        { deferSilver: true }
+      );
+    }
+
+    const response = await analyticsHandlers.get("getFaultProfileComparison")(
+      { filters: { domain: "example.com" } },
+      {},
+      {
+        database: {
+          db,
+          isReady: true,
+          executeQuery: (query) => db.exec(query),
+        },
+      }
+    );
+
+    expect(response.success).toBe(true);
+    expect(response.baseline).toMatchObject({
+      faultProfile: null,
+      totalRequests: 2,
+      errors: 0,
+      avgDuration: 120,
+    });
+    expect(response.profiles).toEqual([
+      expect.objectContaining({
+        faultProfile: "Flaky API",
+        totalRequests: 2,
+        errors: 2,
+        failedRequests: 1,
+        errorRate: "100.00",
+      }),
+    ]);
+    db.close();
+  });
+});
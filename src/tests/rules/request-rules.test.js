@@ -0,0 +1,288 @@
+import { TextDecoder, TextEncoder } from "util";
+import {
+  buildMockDataUrl,
+  createRuleFromRequest,
+  toDeclarativeRule,
+  validateRequestRule,
+} from "../../background/rules/request-rules";
+import requestRulesManager from "../../background/rules/request-rules-manager";
+import {
+  declarativeNetRequest,
+  storage,
+} from "../../background/compat/browser-compat";
+import { ValidationError } from "../../background/errors/error-types";
+
+jest.mock("../../background/compat/browser-compat", () => {
+  const stored = {};
+  return {
+    storage: {
+      get: jest.fn(async (keys) =>
+        Object.fromEntries(keys.map((key) => [key, stored[key]]))
+      ),
+      set: jest.fn(async (items) => Object.assign(stored, items)),
+      onChanged: { addListener: jest.fn() },
+    },
+    declarativeNetRequest: {
+      getDynamicRules: jest.fn(async () => []),
+      updateDynamicRules: jest.fn(async () => {}),
+      getSessionRules: jest.fn(async () => []),
+      updateSessionRules: jest.fn(async () => {}),
+      isRegexSupported: jest.fn(async () => ({ isSupported: true })),
+    },
+  };
+});
+
+const mockFlags = { requestMocking: true, requestModification: true };
+jest.mock("../../config/feature-flags", () => ({
+  __esModule: true,
+  default: { loadStoredFlags: jest.fn(async () => ({ ...mockFlags })) },
+}));
+
+describe("Request Rules", () => {
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+  });
+
+  describe("validateRequestRule", () => {
+    it("should normalize methods, resource types and defaults", () => {
+      const rule = validateRequestRule({
+        action: "mock",
+        urlPattern: " ||api.example.com/cart ",
+        methods: "GET, post",
+        resourceTypes: ["fetch", "xmlhttprequest"],
+        mockBody: '{"items":[]}',
+      });
+
+      expect(rule).toEqual({
+        name: "mock ||api.example.com/cart",
+        enabled: true,
+        scope: "persistent",
+        priority: 1,
+        action: "mock",
+        urlPattern: "||api.example.com/cart",
+        isRegex: false,
+        methods: ["get", "post"],
+        resourceTypes: ["xmlhttprequest"],
+        sourceRequestId: null,
+        mockBody: '{"items":[]}',
+        mockContentType: "application/json",
+      });
+    });
+
+    it("should reject rules the browser can't install", () => {
+      const base = { action: "block", urlPattern: "example.com" };
+
+      expect(() => validateRequestRule({ ...base, action: "delay" })).toThrow(
+        ValidationError
+      );
+      expect(() => validateRequestRule({ ...base, urlPattern: "" })).toThrow(
+        "URL pattern is required"
+      );
+      expect(() =>
+        validateRequestRule({ ...base, isRegex: true, urlPattern: "(" })
+      ).toThrow("not a valid regular expression");
+      expect(() =>
+        validateRequestRule({ ...base, methods: ["trace"] })
+      ).toThrow("Unsupported method");
+      expect(() =>
+        validateRequestRule({
+          ...base,
+          action: "redirect",
+          redirectUrl: "javascript:alert(1)",
+        })
+      ).toThrow("must be http(s) or data:");
+      expect(() =>
+        validateRequestRule({
+          ...base,
+          action: "modifyHeaders",
+          requestHeaders: [
+            { header: "X-Debug", operation: "append", value: "1" },
+          ],
+        })
+      ).toThrow("can only be set or removed");
+      expect(() =>
+        validateRequestRule({ ...base, action: "modifyHeaders" })
+      ).toThrow("at least one header change");
+    });
+  });
+
+  describe("toDeclarativeRule", () => {
+    it("should serve mocks from a data: URL", () => {
+      const rule = {
+        id: 3,
+        ...validateRequestRule({
+          action: "mock",
+          urlPattern: "^https://api\\.example\\.com/.*",
+          isRegex: true,
+          methods: ["get"],
+          priority: 5,
+          mockBody: '{"name":"Zoë"}',
+          mockContentType: "application/json; charset=utf-8",
+        }),
+      };
+
+      expect(toDeclarativeRule(rule)).toEqual({
+        id: 3,
+        priority: 5,
+        condition: {
+          regexFilter: "^https://api\\.example\\.com/.*",
+          requestMethods: ["get"],
+        },
+        action: {
+          type: "redirect",
+          redirect: {
+            url: buildMockDataUrl(
+              '{"name":"Zoë"}',
+              "application/json; charset=utf-8"
+            ),
+          },
+        },
+      });
+
+      const url = buildMockDataUrl('{"name":"Zoë"}', "application/json");
+      expect(url.startsWith("data:application/json;base64,")).toBe(true);
+      expect(Buffer.from(url.split(",")[1], "base64").toString("utf8")).toBe(
+        '{"name":"Zoë"}'
+      );
+    });
+
+    it("should map header changes", () => {
+      const rule = {
+        id: 1,
+        ...validateRequestRule({
+          action: "modifyHeaders",
+          urlPattern: "||example.com",
+          requestHeaders: [{ header: "Authorization", operation: "remove" }],
+          responseHeaders: [
+            { header: "Cache-Control", operation: "set", value: "no-store" },
+          ],
+        }),
+      };
+
+      expect(toDeclarativeRule(rule).action).toEqual({
+        type: "modifyHeaders",
+        requestHeaders: [{ header: "Authorization", operation: "remove" }],
+        responseHeaders: [
+          { header: "Cache-Control", operation: "set", value: "no-store" },
+        ],
+      });
+    });
+  });
+
+  it("should draft a mock rule from a captured request", () => {
+    const draft = createRuleFromRequest(
+      {
+        id: "req_1",
+        url: "https://api.example.com/v1/cart?page=2",
+        method: "POST",
+        type: "fetch",
+        response_body: '{"ok":true}',
+      },
+      [{ name: "Content-Type", value: "application/json; charset=utf-8" }]
+    );
+
+    expect(draft).toMatchObject({
+      action: "mock",
+      urlPattern: "|https://api.example.com/v1/cart?",
+      methods: ["post"],
+      resourceTypes: ["xmlhttprequest"],
+      mockBody: '{"ok":true}',
+      mockContentType: "application/json; charset=utf-8",
+      sourceRequestId: "req_1",
+    });
+    expect(validateRequestRule(draft).urlPattern).toBe(draft.urlPattern);
+    expect(
+      createRuleFromRequest({ url: "https://example.com/a", method: "GET" })
+        .urlPattern
+    ).toBe("|https://example.com/a|");
+  });
+
+  describe("RequestRulesManager", () => {
+    it("should install enabled rules by scope and roll back rejected ones", async () => {
+      const persistent = await requestRulesManager.saveRule({
+        action: "block",
+        urlPattern: "||ads.example.com",
+      });
+      await requestRulesManager.saveRule({
+        action: "block",
+        urlPattern: "||tracker.example.com",
+        scope: "session",
+      });
+      await requestRulesManager.saveRule({
+        action: "block",
+        urlPattern: "||off.example.com",
+        enabled: false,
+      });
+
+      const lastDynamic = declarativeNetRequest.updateDynamicRules.mock.calls.slice(
+        -1
+      )[0][0];
+      const lastSession = declarativeNetRequest.updateSessionRules.mock.calls.slice(
+        -1
+      )[0][0];
+      expect(lastDynamic.addRules.map((rule) => rule.id)).toEqual([
+        persistent.id,
+      ]);
+      expect(lastSession.addRules.map((rule) => rule.id)).toEqual([2]);
+
+      declarativeNetRequest.updateDynamicRules.mockRejectedValueOnce(
+        new Error("Rule count exceeded")
+      );
+      await expect(
+        requestRulesManager.saveRule({
+          action: "block",
+          urlPattern: "||rejected.example.com",
+        })
+      ).rejects.toThrow("The browser rejected the rules");
+
+      const rules = await requestRulesManager.getRules();
+      expect(rules.map((rule) => rule.urlPattern)).toEqual([
+        "||ads.example.com",
+        "||tracker.example.com",
+        "||off.example.com",
+      ]);
+
+      await requestRulesManager.deleteRule(persistent.id);
+      expect(
+        declarativeNetRequest.updateDynamicRules.mock.calls.slice(-1)[0][0]
+          .addRules
+      ).toEqual([]);
+    });
+
+    it("should switch off session rules lost on restart", async () => {
+      declarativeNetRequest.getSessionRules.mockResolvedValueOnce([]);
+
+      await requestRulesManager.initialize();
+
+      const rules = await requestRulesManager.getRules();
+      const session = rules.find((rule) => rule.scope === "session");
+      expect(session.enabled).toBe(false);
+      expect(storage.set).toHaveBeenCalled();
+    });
+
+    it("should only install rules whose feature flag is on", async () => {
+      await requestRulesManager.saveRule({
+        action: "modifyHeaders",
+        urlPattern: "||api.example.com",
+        requestHeaders: [{ header: "x-debug", operation: "set", value: "1" }],
+      });
+      const installed = () =>
+        declarativeNetRequest.updateDynamicRules.mock.calls
+          .slice(-1)[0][0]
+          .addRules.map((rule) => rule.action.type);
+      expect(installed()).toEqual(["modifyHeaders"]);
+
+      // Flag changes made in Settings re-sync the installed rules
+      const [onFlagsChanged] = storage.onChanged.addListener.mock.calls.slice(
+        -1
+      )[0];
+      mockFlags.requestModification = false;
+      onFlagsChanged({ featureFlags: {} });
+      await requestRulesManager.activeSync;
+      expect(installed()).toEqual([]);
+
+      mockFlags.requestModification = true;
+    });
+  });
+});
@@ -0,0 +1,281 @@
+import { TextDecoder, TextEncoder } from "util";
+import jobScheduler, {
+  JOB_ALARM_NAME,
+  getNextMidnight,
+} from "../../background/scheduler/job-scheduler";
+import { initDatabase } from "../../background/database/db-manager-medallion";
+import { alarms } from "../../background/compat/browser-compat";
+
+jest.mock("../../background/compat/browser-compat", () => ({
+  alarms: { create: jest.fn(), clear: jest.fn() },
+}));
+
+jest.mock("../../background/database/sql-js-loader", () => ({
+  initSqlJs: () => require("sql.js")(),
+}));
+
+// Keep the database in memory instead of OPFS
+jest.mock("../../background/database/persistence-journal", () => ({
+  PersistenceJournal: class {
+    load(SQL) {
+      return new SQL.Database();
+    }
+    attach() {}
+    async compact() {}
+    async flush() {
+      return false;
+    }
+  },
+}));
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe("Job Scheduler", () => {
+  let database;
+
+  beforeAll(async () => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+    database = await initDatabase(null, null, null);
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jobScheduler.jobs.clear();
+    jobScheduler.running.clear();
+    jobScheduler.enabledChanges.clear();
+    jobScheduler.store = null;
+    database.executeQuery("DELETE FROM config_job_runs");
+    database.executeQuery("DELETE FROM config_jobs");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const makeDue = (name) =>
+    database.executeQuery(
+      "UPDATE config_jobs SET next_run_at = ? WHERE name = ?",
+      [Date.now() - MINUTE, name]
+    );
+
+  const getJob = async (name) =>
+    (await jobScheduler.getJobs()).find((job) => job.name === name);
+
+  it("should store new jobs and arm the alarm without running them", async () => {
+    const run = jest.fn();
+    jobScheduler.register("rollup", { intervalMs: 5 * MINUTE, run });
+
+    const before = Date.now();
+    await jobScheduler.start(database.job);
+
+    const job = await getJob("rollup");
+    expect(run).not.toHaveBeenCalled();
+    expect(job.nextRunAt).toBeGreaterThanOrEqual(before + 5 * MINUTE);
+    expect(alarms.create).toHaveBeenCalledWith(JOB_ALARM_NAME, {
+      when: job.nextRunAt,
+    });
+  });
+
+  it("should run overdue jobs, record the run and schedule the next one", async () => {
+    const run = jest.fn().mockResolvedValue();
+    jobScheduler.register("rollup", {
+      label: "Rollup",
+      intervalMs: 5 * MINUTE,
+      run,
+    });
+    await jobScheduler.start(database.job);
+    makeDue("rollup");
+
+    await jobScheduler.handleAlarm({ name: JOB_ALARM_NAME });
+
+    const job = await getJob("rollup");
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(job).toMatchObject({
+      label: "Rollup",
+      lastStatus: "success",
+      runCount: 1,
+      running: false,
+    });
+    expect(job.nextRunAt).toBeGreaterThan(Date.now() + 4 * MINUTE);
+
+    const runs = await jobScheduler.getJobRuns("rollup");
+    expect(runs).toEqual([
+      expect.objectContaining({ trigger: "schedule", status: "success" }),
+    ]);
+  });
+
+  it("should record errors and count consecutive failures", async () => {
+    const run = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("gold tables locked"))
+      .mockRejectedValueOnce(new Error("gold tables locked"))
+      .mockResolvedValueOnce();
+    jobScheduler.register("rollup", { intervalMs: 5 * MINUTE, run });
+    await jobScheduler.start(database.job);
+
+    await jobScheduler.runJob("rollup");
+    await jobScheduler.runJob("rollup");
+    expect(await getJob("rollup")).toMatchObject({
+      lastStatus: "failed",
+      lastError: "gold tables locked",
+      consecutiveFailures: 2,
+    });
+
+    await jobScheduler.runJob("rollup");
+    expect(await getJob("rollup")).toMatchObject({
+      lastStatus: "success",
+      lastError: null,
+      consecutiveFailures: 0,
+      runCount: 3,
+    });
+  });
+
+  it("should not overlap a run that is still in progress", async () => {
+    let finish;
+    const run = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          finish = resolve;
+        })
+    );
+    jobScheduler.register("export", { intervalMs: 5 * MINUTE, run });
+    await jobScheduler.start(database.job);
+
+    const first = jobScheduler.runJob("export");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await getJob("export")).toMatchObject({ running: true });
+
+    await expect(jobScheduler.runJob("export")).resolves.toEqual({
+      status: "skipped",
+    });
+    finish();
+    await first;
+
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it("should honour leases held by an earlier service worker until they expire", async () => {
+    const run = jest.fn();
+    jobScheduler.register("export", {
+      intervalMs: 5 * MINUTE,
+      timeoutMs: 10 * MINUTE,
+      run,
+    });
+    await jobScheduler.start(database.job);
+
+    database.executeQuery(
+      "UPDATE config_jobs SET running_since = ? WHERE name = 'export'",
+      [Date.now() - MINUTE]
+    );
+    expect((await jobScheduler.runJob("export")).status).toBe("skipped");
+
+    database.executeQuery(
+      "UPDATE config_jobs SET running_since = ? WHERE name = 'export'",
+      [Date.now() - 11 * MINUTE]
+    );
+    expect((await jobScheduler.runJob("export")).status).toBe("success");
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it("should keep the schedule for manual runs and skip disabled jobs", async () => {
+    const run = jest.fn();
+    jobScheduler.register("export", {
+      intervalMs: DAY,
+      enabled: false,
+      run,
+    });
+    await jobScheduler.start(database.job);
+    makeDue("export");
+
+    await jobScheduler.checkDueJobs();
+    expect(run).not.toHaveBeenCalled();
+    expect(alarms.clear).toHaveBeenCalledWith(JOB_ALARM_NAME);
+
+    const { nextRunAt } = await getJob("export");
+    await jobScheduler.runJob("export", { trigger: "manual" });
+
+    const job = await getJob("export");
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(job.nextRunAt).toBe(nextRunAt);
+    expect((await jobScheduler.getJobRuns())[0].trigger).toBe("manual");
+  });
+
+  it("should keep a job switched off across service worker restarts", async () => {
+    const run = jest.fn();
+    const restart = async () => {
+      jobScheduler.jobs.clear();
+      jobScheduler.store = null;
+      jobScheduler.register("cleanup", { intervalMs: DAY, run });
+      await jobScheduler.start(database.job);
+    };
+
+    await restart();
+    jobScheduler.setEnabled("cleanup", false);
+    await jobScheduler.pendingSync;
+
+    await restart();
+    makeDue("cleanup");
+    await jobScheduler.checkDueJobs();
+    expect(run).not.toHaveBeenCalled();
+    expect((await getJob("cleanup")).enabled).toBe(false);
+
+    // Switching it back on reschedules instead of running the missed run
+    jobScheduler.setEnabled("cleanup", true);
+    await jobScheduler.pendingSync;
+    await jobScheduler.checkDueJobs();
+    const job = await getJob("cleanup");
+    expect(run).not.toHaveBeenCalled();
+    expect(job.enabled).toBe(true);
+    expect(job.nextRunAt).toBeGreaterThan(Date.now());
+  });
+
+  it("should schedule clock-based jobs with getNextRunAt", async () => {
+    jobScheduler.register("gold", {
+      intervalMs: DAY,
+      getNextRunAt: getNextMidnight,
+      run: jest.fn(),
+    });
+    await jobScheduler.start(database.job);
+    await jobScheduler.runJob("gold");
+
+    const { nextRunAt } = await getJob("gold");
+    const midnight = new Date(nextRunAt);
+    expect(nextRunAt).toBeGreaterThan(Date.now());
+    expect(nextRunAt - Date.now()).toBeLessThanOrEqual(DAY);
+    expect(midnight.getHours() + midnight.getMinutes()).toBe(0);
+  });
+});
+
+describe("Gold rollup catch-up", () => {
+  let database;
+
+  beforeAll(async () => {
+    database = await initDatabase(null, null, null);
+  });
+
+  it("should roll up every day since the last rollup", async () => {
+    const toDateStr = (timestamp) =>
+      new Date(timestamp).toISOString().split("T")[0];
+    const now = Date.now();
+
+    database.executeQuery("DELETE FROM gold_daily_analytics");
+    database.executeQuery(
+      "INSERT INTO gold_daily_analytics (date, created_at, updated_at) VALUES (?, ?, ?)",
+      [toDateStr(now - 3 * DAY), now, now]
+    );
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const { days } = await database.medallion.processSilverToGold();
+
+    expect(days).toEqual([
+      toDateStr(now - 3 * DAY),
+      toDateStr(now - 2 * DAY),
+      toDateStr(now - DAY),
+      toDateStr(now),
+    ]);
+  });
+});
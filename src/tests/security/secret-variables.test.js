@@ -0,0 +1,144 @@
+import { webcrypto } from "crypto";
+import { TextDecoder, TextEncoder } from "util";
+
+let store;
+let secretVariables;
+
+function loadModule() {
+  jest.resetModules();
+  secretVariables = require("../../background/security/secret-variables")
+    .default;
+}
+
+beforeEach(() => {
+  store = {};
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+  chrome.storage.local.get = jest.fn((keys, callback) => {
+    const result = {};
+    [].concat(keys).forEach((key) => {
+      if (key in store) result[key] = store[key];
+    });
+    callback(result);
+  });
+  chrome.storage.local.set = jest.fn((items, callback) => {
+    Object.assign(store, JSON.parse(JSON.stringify(items)));
+    callback?.();
+  });
+  chrome.storage.local.remove = jest.fn((key, callback) => {
+    delete store[key];
+    callback?.();
+  });
+
+  Object.defineProperty(global, "crypto", {
+    value: webcrypto,
+    configurable: true,
+  });
+
+  loadModule();
+});
+
+describe("Secret Variables", () => {
+  it("should encrypt values at rest and decrypt them for the runner", async () => {
+    await secretVariables.setSecret("API_TOKEN", "s3cret-€-token");
+    await secretVariables.setSecret("API_TOKEN", "prod-token", "env_prod");
+
+    const stored = JSON.stringify(store.secretVariables);
+    expect(stored).not.toContain("s3cret");
+    expect(stored).not.toContain("prod-token");
+
+    expect(await secretVariables.resolve(null)).toEqual({
+      API_TOKEN: "s3cret-€-token",
+    });
+    expect(await secretVariables.resolve("env_prod")).toEqual({
+      API_TOKEN: "prod-token",
+    });
+  });
+
+  it("should encrypt every value with its own IV and detect tampering", async () => {
+    await secretVariables.setSecret("A", "same-value");
+    await secretVariables.setSecret("B", "same-value");
+
+    const { A, B } = store.secretVariables.values.global;
+    expect(A.iv).not.toBe(B.iv);
+    expect(A.data).not.toBe(B.data);
+
+    const tampered = Buffer.from(A.data, "base64");
+    tampered[0] ^= 1;
+    store.secretVariables.values.global.A = {
+      ...A,
+      data: tampered.toString("base64"),
+    };
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    expect(await secretVariables.resolve(null)).toEqual({ B: "same-value" });
+    consoleError.mockRestore();
+  });
+
+  it("should report secret names without values", async () => {
+    await secretVariables.setSecret("API_TOKEN", "abc");
+
+    const status = await secretVariables.getStatus();
+    expect(status).toMatchObject({
+      mode: "device",
+      locked: false,
+      secrets: { global: ["API_TOKEN"] },
+    });
+    expect(JSON.stringify(status)).not.toContain("abc");
+  });
+
+  it("should delete secrets from every scope", async () => {
+    await secretVariables.setSecret("API_TOKEN", "abc");
+    await secretVariables.setSecret("API_TOKEN", "def", "env_prod");
+    await secretVariables.deleteSecret("API_TOKEN");
+
+    expect(store.secretVariables.values).toEqual({});
+  });
+
+  it("should lock passphrase-protected secrets", async () => {
+    await secretVariables.setSecret("API_TOKEN", "abc");
+    await secretVariables.setPassphrase("correct horse", 0);
+    expect(store.secretVariablesKey).toBeUndefined();
+
+    expect(secretVariables.lock()).toBe(true);
+    expect(await secretVariables.resolve(null)).toEqual({});
+    await expect(secretVariables.setSecret("OTHER", "x")).rejects.toThrow(
+      "locked"
+    );
+    await expect(secretVariables.unlock("wrong horse")).rejects.toThrow(
+      "Incorrect passphrase"
+    );
+
+    await secretVariables.unlock("correct horse");
+    expect(await secretVariables.resolve(null)).toEqual({ API_TOKEN: "abc" });
+  });
+
+  it("should start locked after a restart and auto-lock when idle", async () => {
+    await secretVariables.setSecret("API_TOKEN", "abc");
+    await secretVariables.setPassphrase("correct horse", 5);
+
+    loadModule();
+    expect((await secretVariables.getStatus()).locked).toBe(true);
+
+    jest.useFakeTimers();
+    try {
+      await secretVariables.unlock("correct horse");
+      expect((await secretVariables.getStatus()).locked).toBe(false);
+      jest.advanceTimersByTime(5 * 60 * 1000);
+      expect((await secretVariables.getStatus()).locked).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("should return to a device key when the passphrase is removed", async () => {
+    await secretVariables.setSecret("API_TOKEN", "abc");
+    await secretVariables.setPassphrase("correct horse");
+    await secretVariables.clearPassphrase();
+
+    expect(store.secretVariablesKey).toBeTruthy();
+    expect(secretVariables.lock()).toBe(false);
+    expect(await secretVariables.resolve(null)).toEqual({ API_TOKEN: "abc" });
+  });
+});
@@ -16,8 +16,13 @@ module.exports = (env, argv) => {
       options: "./src/options/js/options.js",
       background: "./src/background/background.js",
       content: "./src/content/content.js",
+      "page-interceptor": "./src/content/page-interceptor.js",
+      "realtime-interceptor": "./src/content/realtime-interceptor.js",
       devtools: "./src/devtools/js/devtools.js",
       panel: "./src/devtools/js/panel.js",
+      report: "./src/report/js/report.js",
+      offscreen: "./src/offscreen/js/offscreen.js",
+      "db-engine-worker": "./src/background/database/db-engine-worker.js",
     },
     output: {
       path: path.resolve(__dirname, "dist"),
@@ -112,6 +117,16 @@ module.exports = (env, argv) => {
         filename: "panel.html",
         chunks: ["panel"],
       }),
+      new HtmlWebpackPlugin({
+        template: "./src/report/report.html",
+        filename: "report.html",
+        chunks: ["report"],
+      }),
+      new HtmlWebpackPlugin({
+        template: "./src/offscreen/offscreen.html",
+        filename: "offscreen.html",
+        chunks: ["offscreen"],
+      }),
       new HtmlWebpackPlugin({
         template: "./src/help/help.html",
         filename: "help/help.html",